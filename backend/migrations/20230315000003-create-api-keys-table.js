@@ -0,0 +1,76 @@
+'use strict';
+
+// Scoped, hashed keys replace the single plaintext key on each user; plaintext keys cannot be
+// turned into scoped ones, so they stop working and their owners issue new keys
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ApiKeys', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      label: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      prefix: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      keyHash: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      scopes: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('ApiKeys', ['prefix'], { unique: true });
+    await queryInterface.addIndex('ApiKeys', ['userId']);
+
+    await queryInterface.removeColumn('Users', 'apiKey');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Users', 'apiKey', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.dropTable('ApiKeys');
+  }
+};
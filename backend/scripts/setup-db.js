@@ -3,18 +3,16 @@
  * 
  * This script initializes the database schema and creates an admin user.
  */
-const { Sequelize } = require('sequelize');
 const { execSync } = require('child_process');
 const path = require('path');
-const crypto = require('crypto');
-const { v4: uuidv4 } = require('uuid');
 
 // Load environment config
 require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
-const dbConfig = require('../src/config/database');
+const authConfig = require('../src/config/auth');
+const DB = require('../src/models');
+const apiKeyService = require('../src/services/api_key.service');
 
-// Initialize Sequelize
-const sequelize = new Sequelize(dbConfig.url, dbConfig.options);
+const { sequelize } = DB;
 
 async function setupDatabase() {
   try {
@@ -37,26 +35,20 @@ async function setupDatabase() {
       const adminWallet = process.env.ADMIN_WALLET;
       
       // Check if admin user already exists
-      const [adminUser] = await sequelize.query(
-        `SELECT * FROM "Users" WHERE "walletAddress" = '${adminWallet}'`
-      );
+      const [adminUser, created] = await DB.User.findOrCreate({
+        where: { walletAddress: adminWallet },
+        defaults: { username: 'admin', role: 'admin', verified: true }
+      });
       
-      if (adminUser.length === 0) {
-        // Create admin user
-        const apiKey = crypto.randomBytes(32).toString('hex');
-        const adminId = uuidv4();
-        const now = new Date().toISOString();
-        
-        await sequelize.query(`
-          INSERT INTO "Users" (
-            "id", "username", "walletAddress", "role", "verified", "apiKey", "createdAt", "updatedAt"
-          ) VALUES (
-            '${adminId}', 'admin', '${adminWallet}', 'admin', true, '${apiKey}', '${now}', '${now}'
-          )
-        `);
+      if (created) {
+        // Only the key's hash is stored, so this is the one time it can be shown
+        const { key } = await apiKeyService.createApiKey(adminUser.id, {
+          label: 'Admin (setup-db)',
+          scopes: authConfig.apiKeyScopes
+        });
         
         console.log(`✅ Admin user created with wallet address: ${adminWallet}`);
-        console.log(`🔑 API Key: ${apiKey}`);
+        console.log(`🔑 API Key (shown once, store it now): ${key}`);
       } else {
         console.log(`✅ Admin user already exists with wallet address: ${adminWallet}`);
       }
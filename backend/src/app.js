@@ -23,6 +23,9 @@ const marketplaceRoutes = require('./routes/marketplace.routes');
 const attributionRoutes = require('./routes/attribution.routes');
 const filecoinRoutes = require('./routes/filecoin.routes');
 const daoRoutes = require('./routes/dao.routes');
+const adminRoutes = require('./routes/admin.routes');
+const uploadRoutes = require('./routes/upload.routes');
+const verificationRoutes = require('./routes/verification.routes');
 
 // Initialize Express app
 const app = express();
@@ -44,7 +47,9 @@ app.use(rateLimit({
   max: config.rateLimitRequests,
   standardHeaders: true,
   legacyHeaders: false,
-  skip: (req) => req.ip === '127.0.0.1' // Skip rate limiting for local requests
+  // Skip rate limiting for local requests, and for upload chunks, which have their own limiter
+  skip: (req) => req.ip === '127.0.0.1' ||
+    (req.method === 'PATCH' && req.path.startsWith(`${config.apiPrefix}/uploads/`))
 }));
 
 // Health check route
@@ -70,6 +75,9 @@ app.use(`${config.apiPrefix}/marketplace`, marketplaceRoutes);
 app.use(`${config.apiPrefix}/attribution`, attributionRoutes);
 app.use(`${config.apiPrefix}/filecoin`, filecoinRoutes);
 app.use(`${config.apiPrefix}/dao`, daoRoutes);
+app.use(`${config.apiPrefix}/admin`, adminRoutes);
+app.use(`${config.apiPrefix}/uploads`, uploadRoutes);
+app.use(`${config.apiPrefix}/verifications`, verificationRoutes);
 
 // Error handling middleware
 app.use(errorMiddleware);
@@ -16,6 +16,10 @@ const config = {
   logLevel: process.env.LOG_LEVEL || 'info',
   uploadDir: process.env.UPLOAD_DIR || path.resolve(__dirname, '../../../uploads'),
   tempDir: process.env.TEMP_DIR || path.resolve(__dirname, '../../../temp'),
+  uploadChunkSize: parseInt(process.env.UPLOAD_CHUNK_SIZE || String(8 * 1024 * 1024), 10), // 8MiB
+  uploadMaxSize: parseInt(process.env.UPLOAD_MAX_SIZE || String(50 * 1024 * 1024 * 1024), 10), // 50GiB
+  uploadExpirationHours: parseInt(process.env.UPLOAD_EXPIRATION_HOURS || '24', 10), // Since the last chunk
+  subscriptionReminderWindow: (process.env.SUBSCRIPTION_REMINDER_DAYS || 3) * 24 * 60 * 60 * 1000, // 3 days
 };
 
 module.exports = config;
\ No newline at end of file
@@ -1,6 +1,8 @@
 /**
  * Authentication configuration
  */
+const siweUri = process.env.SIWE_URI || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
 const config = {
     jwtSecret: process.env.JWT_SECRET || 'your-secret-key',
     jwtExpirationInterval: parseInt(process.env.JWT_EXPIRATION_MINUTES || '10080', 10), // 7 days in minutes
@@ -8,11 +10,27 @@ const config = {
     // Web3 authentication
     challengeExpirationMinutes: parseInt(process.env.CHALLENGE_EXPIRATION_MINUTES || '5', 10),
     
+    // Sign-In with Ethereum (EIP-4361): the frontend's domain and URI, and the chains sessions may be bound to;
+    // messages naming anything else are rejected so signatures phished by other sites cannot be replayed here
+    siweDomain: process.env.SIWE_DOMAIN || new URL(siweUri).host,
+    siweUri,
+    siweChainIds: (process.env.SIWE_CHAIN_IDS || '314,314159').split(',').map(id => parseInt(id, 10)),
+    siweStatement: process.env.SIWE_STATEMENT || 'Sign in to DataProvChain.',
+    
+    // Scopes an API key can be granted; routes that accept keys each require one of them
+    apiKeyScopes: ['datasets:read', 'datasets:write', 'usage:write', 'provenance:write'],
+    maxApiKeysPerUser: parseInt(process.env.MAX_API_KEYS_PER_USER || '20', 10),
+    
     // Admin wallets that have special permissions
     adminWallets: (process.env.ADMIN_WALLETS || '').split(',').filter(Boolean),
     
     // Password hashing
-    saltRounds: parseInt(process.env.SALT_ROUNDS || '10', 10)
+    saltRounds: parseInt(process.env.SALT_ROUNDS || '10', 10),
+    
+    // Master key (32 bytes, hex) that wraps the escrowed data keys of encrypted datasets; the ID is
+    // stored with every wrapped key so keys wrapped under a retired master key are recognised
+    keyEscrowMasterKey: process.env.KEY_ESCROW_MASTER_KEY,
+    keyEscrowMasterKeyId: process.env.KEY_ESCROW_MASTER_KEY_ID || 'v1'
   };
   
   module.exports = config;
\ No newline at end of file
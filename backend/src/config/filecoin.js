@@ -1,12 +1,23 @@
 /**
  * Filecoin configuration
  */
+const path = require('path');
+
 const config = {
     network: process.env.FILECOIN_NETWORK || 'calibrationnet',
     rpcUrl: process.env.FILECOIN_RPC_URL || 'https://api.calibration.node.glif.io/rpc/v1',
     privateKey: process.env.FILECOIN_PRIVATE_KEY,
     dealDuration: parseInt(process.env.FILECOIN_DEAL_DURATION || '518400', 10), // ~180 days in epochs
     replicationFactor: parseInt(process.env.FILECOIN_REPLICATION_FACTOR || '3', 10),
+    maxReplicationFactor: parseInt(process.env.FILECOIN_MAX_REPLICATION_FACTOR || '10', 10),
+    
+    // Provider regions as "f01234=eu-west,f05678=us-east"; unlisted providers are in region "Unknown"
+    providerRegions: Object.fromEntries(
+      (process.env.FILECOIN_PROVIDER_REGIONS || '')
+        .split(',')
+        .map(entry => entry.split('=').map(part => part.trim()))
+        .filter(([minerId, region]) => minerId && region)
+    ),
     verifiedDeals: process.env.FILECOIN_VERIFIED_DEALS === 'true',
     
     // Web3.Storage for simplified Filecoin/IPFS storage
@@ -16,9 +27,39 @@ const config = {
     lotusApiUrl: process.env.LOTUS_API_URL || 'https://api.calibration.node.glif.io',
     lotusAuthToken: process.env.LOTUS_AUTH_TOKEN,
     
+    // Storage backends (web3storage, kubo, lotus or local): where content is stored, where retrieval
+    // falls back to in order, and which backend reports deals and retrieves from storage providers
+    storageBackend: process.env.STORAGE_BACKEND || 'web3storage',
+    retrievalFallbackBackends: (process.env.STORAGE_RETRIEVAL_FALLBACKS || 'lotus')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    dealBackend: process.env.STORAGE_DEAL_BACKEND || 'lotus',
+    
+    // Directory of the local backend, which keeps CARs on disk for development and offline tests
+    localStoragePath: process.env.LOCAL_STORAGE_PATH || path.resolve(__dirname, '../../../storage'),
+    
     // Deal monitoring intervals
     dealCheckIntervalMinutes: parseInt(process.env.FILECOIN_DEAL_CHECK_INTERVAL || '30', 10),
     
+    // Deal renewal defaults; datasets can override them with a renewal policy
+    renewalMode: process.env.FILECOIN_RENEWAL_MODE || 'approval', // auto, approval or off
+    renewalLookaheadDays: parseInt(process.env.FILECOIN_RENEWAL_LOOKAHEAD_DAYS || '30', 10),
+    
+    // Proof-of-retrievability audits: offsets challenged per audit, deals per run and how often a deal is audited
+    auditChallengeCount: parseInt(process.env.FILECOIN_AUDIT_CHALLENGE_COUNT || '16', 10),
+    
+    // Provider provers as "f01234=https://prover.example/proofs", each answering challenges with
+    // filecoin/src/verification/proof.js; deals with providers that have none are not audited
+    auditProvers: Object.fromEntries(
+      (process.env.FILECOIN_AUDIT_PROVERS || '')
+        .split(',')
+        .map(entry => entry.split(/=(.*)/).map(part => part.trim()))
+        .filter(([minerId, url]) => minerId && url)
+    ),
+    auditBatchSize: parseInt(process.env.FILECOIN_AUDIT_BATCH_SIZE || '10', 10),
+    auditIntervalHours: parseInt(process.env.FILECOIN_AUDIT_INTERVAL_HOURS || '24', 10),
+    
     // Maximum file size for direct uploads (20MB)
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE || '20971520', 10)
   };
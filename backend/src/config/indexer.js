@@ -0,0 +1,30 @@
+/**
+ * Chain event indexer configuration
+ */
+const config = {
+    // Set INDEXER_ENABLED=false to stop syncing contract events into the database
+    enabled: process.env.INDEXER_ENABLED !== 'false',
+    
+    // Blocks an event must be buried under before it is indexed; use 0 against a local Hardhat node
+    confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '12', 10),
+    
+    // Largest block range requested from the RPC node in one query
+    blockBatchSize: parseInt(process.env.INDEXER_BLOCK_BATCH_SIZE || '2000', 10),
+    
+    // Block ranges processed per contract in one job run, so a long backfill yields to other jobs
+    maxBatchesPerRun: parseInt(process.env.INDEXER_MAX_BATCHES_PER_RUN || '10', 10),
+    
+    // Runs an event is retried in before it is left failed and the indexer moves past it
+    maxEventAttempts: parseInt(process.env.INDEXER_MAX_EVENT_ATTEMPTS || '3', 10),
+    
+    // Deployment block of each contract, where a backfill starts
+    startBlocks: {
+      DatasetRegistry: parseInt(process.env.DATASET_REGISTRY_DEPLOY_BLOCK || '0', 10),
+      Marketplace: parseInt(process.env.MARKETPLACE_DEPLOY_BLOCK || '0', 10),
+      DataDAO: parseInt(process.env.DATA_DAO_DEPLOY_BLOCK || '0', 10),
+      RoyaltyDistributor: parseInt(process.env.ROYALTY_DISTRIBUTOR_DEPLOY_BLOCK || '0', 10),
+      VerificationRegistry: parseInt(process.env.VERIFICATION_REGISTRY_DEPLOY_BLOCK || '0', 10)
+    }
+  };
+  
+  module.exports = config;
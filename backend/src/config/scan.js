@@ -0,0 +1,35 @@
+/**
+ * Content scan configuration
+ * Dataset submissions are scanned for personal data and secrets before anything is stored
+ */
+const path = require('path');
+
+const list = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : null);
+
+const config = {
+    // Set CONTENT_SCAN_ENABLED=false to store submissions unscanned
+    enabled: process.env.CONTENT_SCAN_ENABLED !== 'false',
+    
+    // Detectors to run, by ID; all of them when unset (see utils/scanner)
+    detectors: list(process.env.CONTENT_SCAN_DETECTORS),
+    
+    // What findings of each severity do to a submission: block, quarantine or report
+    actions: {
+      high: process.env.CONTENT_SCAN_HIGH_ACTION || 'block',
+      medium: process.env.CONTENT_SCAN_MEDIUM_ACTION || 'quarantine'
+    },
+    
+    // What content the scanner cannot read does to a submission, such as xz files or encrypted zip entries
+    unscannableAction: process.env.CONTENT_SCAN_UNSCANNABLE_ACTION || 'quarantine',
+    
+    // Matches a detector needs before it counts, so a contact address in a README does not hold a dataset
+    minFindings: parseInt(process.env.CONTENT_SCAN_MIN_FINDINGS || '1', 10),
+    
+    // Redacted examples kept per detector in the findings report
+    maxSamples: parseInt(process.env.CONTENT_SCAN_MAX_SAMPLES || '5', 10),
+    
+    // Where quarantined uploads wait for an admin's review
+    quarantineDir: process.env.QUARANTINE_DIR || path.resolve(__dirname, '../../../quarantine')
+  };
+  
+  module.exports = config;
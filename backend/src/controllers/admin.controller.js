@@ -0,0 +1,311 @@
+/**
+ * Admin controller
+ */
+const outboxService = require('../services/outbox.service');
+const royaltyService = require('../services/royalty.service');
+const indexerService = require('../services/indexer.service');
+const logger = require('../utils/logger');
+
+/**
+ * List queued blockchain writes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listOutboxEntries = async (req, res) => {
+  try {
+    const { status, operation, page, limit } = req.query;
+    
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+    
+    const result = await outboxService.listEntries({ status, operation }, pageNum, limitNum);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: result.entries,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error listing outbox entries', { error: error.message });
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a queued blockchain write
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOutboxEntry = async (req, res) => {
+  try {
+    const entry = await outboxService.getEntry(req.params.id);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Error getting outbox entry', { error: error.message, id: req.params.id });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Retry a queued blockchain write now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const retryOutboxEntry = async (req, res) => {
+  try {
+    const entry = await outboxService.retryEntry(req.params.id);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Error retrying outbox entry', { error: error.message, id: req.params.id });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Cannot retry') || error.message.includes('already being processed')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Abandon a queued blockchain write
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const abandonOutboxEntry = async (req, res) => {
+  try {
+    const entry = await outboxService.abandonEntry(req.params.id, {
+      abandonedBy: req.user.walletAddress,
+      reason: req.body.reason
+    });
+    
+    return res.status(200).json({
+      status: 'success',
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Error abandoning outbox entry', { error: error.message, id: req.params.id });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Cannot abandon')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Record a royalty payout as a debit in the royalty ledger
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const recordRoyaltyPayout = async (req, res) => {
+  try {
+    const { account, amount, datasetId, transactionHash, description } = req.body;
+    
+    const entry = await royaltyService.recordPayout({
+      account,
+      amount,
+      datasetId,
+      transactionHash,
+      description,
+      recordedBy: req.user.walletAddress
+    });
+    
+    return res.status(201).json({
+      status: 'success',
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Error recording royalty payout', { error: error.message });
+    
+    if (error.message.includes('Insufficient royalty balance') || 
+        error.message.includes('must be positive')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('already recorded')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Reconcile a dataset's royalty ledger with the RoyaltyDistributor contract
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reconcileRoyalties = async (req, res) => {
+  try {
+    const result = await royaltyService.reconcileDataset(req.params.datasetId, {
+      repair: req.query.repair !== 'false'
+    });
+    
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error reconciling royalties', { 
+      error: error.message, 
+      datasetId: req.params.datasetId 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('not registered on chain')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the progress of the chain event indexer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getIndexerStatus = async (req, res) => {
+  try {
+    const status = await indexerService.getIndexerStatus();
+    
+    return res.status(200).json({
+      status: 'success',
+      data: status
+    });
+  } catch (error) {
+    logger.error('Error getting indexer status', { error: error.message });
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Backfill a contract's events from a block
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reindexContract = async (req, res) => {
+  try {
+    const { fromBlock } = req.body;
+    
+    const cursor = await indexerService.reindexContract(
+      req.params.contractName,
+      fromBlock === undefined ? undefined : parseInt(fromBlock, 10)
+    );
+    
+    return res.status(202).json({
+      status: 'success',
+      data: cursor
+    });
+  } catch (error) {
+    logger.error('Error reindexing contract', { 
+      error: error.message, 
+      contractName: req.params.contractName 
+    });
+    
+    if (error.message.includes('Unknown indexed contract')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Cannot reindex')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  listOutboxEntries,
+  getOutboxEntry,
+  retryOutboxEntry,
+  abandonOutboxEntry,
+  recordRoyaltyPayout,
+  reconcileRoyalties,
+  getIndexerStatus,
+  reindexContract
+};
@@ -2,6 +2,7 @@
  * Attribution controller
  */
 const attributionService = require('../services/attribution.service');
+const royaltyService = require('../services/royalty.service');
 const logger = require('../utils/logger');
 
 /**
@@ -168,6 +169,80 @@ const distributeRoyalties = async (req, res) => {
       });
     }
     
+    if (error.message.includes('Invalid wei amount')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('already distributed')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Distribute a royalty payment for a model to the datasets it used
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const distributeModelRoyalties = async (req, res) => {
+  try {
+    const { modelId } = req.params;
+    const { paymentId, paymentAmount, paymentType, period, from, to } = req.body;
+    
+    const result = await attributionService.distributeModelRoyalties(modelId, {
+      paymentId,
+      paymentAmount,
+      paymentType,
+      paidBy: req.user.walletAddress,
+      period,
+      from,
+      to
+    });
+    
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error distributing model royalties', { 
+      error: error.message, 
+      modelId: req.params.modelId 
+    });
+    
+    if (error.message.includes('No usage found') || 
+        error.message.includes('No contributors found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Invalid wei amount') || 
+        error.message.includes('Invalid statement period')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('already distributed')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
     return res.status(500).json({
       status: 'error',
       message: error.message
@@ -210,10 +285,53 @@ const getAttributionMetrics = async (req, res) => {
   }
 };
 
+/**
+ * Get a royalty statement for a period
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRoyaltyStatement = async (req, res) => {
+  try {
+    const { period, from, to, datasetId } = req.query;
+    const account = req.query.account || req.user.walletAddress;
+    
+    // Only admins may read another contributor's statement
+    if (account.toLowerCase() !== req.user.walletAddress.toLowerCase() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to view this royalty statement'
+      });
+    }
+    
+    const statement = await royaltyService.getStatement(account, { period, from, to, datasetId });
+    
+    return res.status(200).json({
+      status: 'success',
+      data: statement
+    });
+  } catch (error) {
+    logger.error('Error getting royalty statement', { error: error.message });
+    
+    if (error.message.includes('Invalid statement period')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   recordUsage,
   getUsageHistory,
   getRoyaltyDistribution,
   distributeRoyalties,
-  getAttributionMetrics
+  distributeModelRoyalties,
+  getAttributionMetrics,
+  getRoyaltyStatement
 };
\ No newline at end of file
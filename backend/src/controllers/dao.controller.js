@@ -2,6 +2,7 @@
  * DAO governance controller
  */
 const daoService = require('../services/dao.service');
+const proposalActionService = require('../services/proposal_action.service');
 const logger = require('../utils/logger');
 
 /**
@@ -11,7 +12,7 @@ const logger = require('../utils/logger');
  */
 const createProposal = async (req, res) => {
   try {
-    const { title, description, proposalType, parameters, votingPeriod } = req.body;
+    const { title, description, proposalType, parameters, actions, votingPeriod } = req.body;
     
     if (!title || !description || !proposalType) {
       return res.status(400).json({
@@ -25,6 +26,7 @@ const createProposal = async (req, res) => {
       description,
       proposalType,
       parameters: parameters || {},
+      actions,
       proposer: req.user.walletAddress,
       votingPeriod: votingPeriod ? parseInt(votingPeriod) : undefined
     });
@@ -36,6 +38,13 @@ const createProposal = async (req, res) => {
   } catch (error) {
     logger.error('Error creating proposal', { error: error.message });
     
+    if (error.message.includes('Invalid proposal actions')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
     return res.status(500).json({
       status: 'error',
       message: error.message
@@ -51,18 +60,18 @@ const createProposal = async (req, res) => {
 const castVote = async (req, res) => {
   try {
     const { proposalId } = req.params;
-    const { support, reason } = req.body;
+    const { voteType, support, reason } = req.body;
     
-    if (support === undefined) {
+    if (voteType === undefined && support === undefined) {
       return res.status(400).json({
         status: 'error',
-        message: 'Support parameter is required'
+        message: 'Vote type or support parameter is required'
       });
     }
     
     const vote = await daoService.castVote(proposalId, {
       voter: req.user.walletAddress,
-      support: support === true || support === 'true',
+      voteType: voteType || (support === true || support === 'true' ? 'for' : 'against'),
       reason
     });
     
@@ -80,9 +89,17 @@ const castVote = async (req, res) => {
       });
     }
     
+    if (error.message.includes('no voting power')) {
+      return res.status(403).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
     if (error.message.includes('not active') || 
         error.message.includes('has ended') ||
-        error.message.includes('already voted')) {
+        error.message.includes('already voted') ||
+        error.message.includes('Invalid vote type')) {
       return res.status(400).json({
         status: 'error',
         message: error.message
@@ -128,6 +145,18 @@ const getProposal = async (req, res) => {
   }
 };
 
+/**
+ * List the action types a proposal can carry out
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getActionTypes = async (req, res) => {
+  return res.status(200).json({
+    status: 'success',
+    data: proposalActionService.getActionTypes()
+  });
+};
+
 /**
  * List proposals
  * @param {Object} req - Express request object
@@ -201,6 +230,38 @@ const getProposalVotes = async (req, res) => {
   }
 };
 
+/**
+ * Project the outcome of a proposal without executing it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const previewExecution = async (req, res) => {
+  try {
+    const { proposalId } = req.params;
+    
+    const preview = await daoService.previewExecution(proposalId);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: preview
+    });
+  } catch (error) {
+    logger.error('Error previewing proposal execution', { error: error.message, proposalId: req.params.proposalId });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Execute a proposal
  * @param {Object} req - Express request object
@@ -246,6 +307,8 @@ module.exports = {
   castVote,
   getProposal,
   listProposals,
+  getActionTypes,
   getProposalVotes,
+  previewExecution,
   executeProposal
 };
\ No newline at end of file
@@ -3,6 +3,9 @@
  */
 const datasetService = require('../services/dataset.service');
 const provenanceService = require('../services/provenance.service');
+const marketplaceService = require('../services/marketplace.service');
+const searchService = require('../services/search.service');
+const keyEscrowService = require('../services/key_escrow.service');
 const logger = require('../utils/logger');
 const multer = require('multer');
 const path = require('path');
@@ -71,7 +74,7 @@ const createDataset = async (req, res) => {
     // Handle file upload first
     await uploadAsync(req, res);
     
-    const { name, description, dataType, license, contributors, tags } = req.body;
+    const { name, description, dataType, license, contributors, tags, encrypt } = req.body;
     
     // Validate contributors JSON if it's a string
     let parsedContributors;
@@ -104,8 +107,8 @@ const createDataset = async (req, res) => {
       });
     }
     
-    // Create dataset
-    const dataset = await datasetService.createDataset({
+    // Start the creation pipeline; it removes the uploaded file once it ends
+    const creation = await datasetService.createDataset({
       name,
       description,
       dataType,
@@ -113,30 +116,14 @@ const createDataset = async (req, res) => {
       contributors: parsedContributors,
       tags: parsedTags,
       file: req.file.path,
-      creator: req.user.walletAddress
+      fileName: req.file.originalname,
+      creator: req.user.walletAddress,
+      encrypt: encrypt === true || encrypt === 'true'
     });
     
-    // Clean up the uploaded file
-    try {
-      await unlinkAsync(req.file.path);
-    } catch (unlinkError) {
-      logger.warn('Error deleting temporary file', { 
-        error: unlinkError.message, 
-        path: req.file.path 
-      });
-    }
-    
-    // Add initial provenance record
-    await provenanceService.addProvenanceRecord({
-      datasetId: dataset.id,
-      actionType: 'creation',
-      performedBy: req.user.walletAddress,
-      description: 'Dataset created'
-    });
-    
-    return res.status(201).json({
+    return res.status(202).json({
       status: 'success',
-      data: dataset
+      data: creation
     });
   } catch (error) {
     logger.error('Error creating dataset', { error: error.message });
@@ -228,41 +215,43 @@ const listDatasets = async (req, res) => {
 };
 
 /**
- * Verify a dataset
+ * Search datasets by free text with facet counts
+ * List filters take comma-separated values or repeated query parameters
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const verifyDataset = async (req, res) => {
+const searchDatasets = async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Only admins can verify datasets
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Only admins can verify datasets'
-      });
-    }
-    
-    const result = await datasetService.verifyDataset(id, req.user.walletAddress);
+    const { q, creator, verified, sort, order, cursor, limit } = req.query;
+    const toList = value => (value === undefined ? [] : [].concat(value).flatMap(v => v.split(',')).filter(Boolean));
     
-    // Add provenance record for verification
-    await provenanceService.addProvenanceRecord({
-      datasetId: id,
-      actionType: 'verification',
-      performedBy: req.user.walletAddress,
-      description: 'Dataset verified by admin'
+    const result = await searchService.searchDatasets({
+      q,
+      creator,
+      dataType: toList(req.query.dataType),
+      license: toList(req.query.license),
+      verified: verified === 'true' ? true : verified === 'false' ? false : undefined,
+      tag: toList(req.query.tag),
+      contributor: toList(req.query.contributor),
+      priceBand: toList(req.query.priceBand),
+      sort,
+      order,
+      cursor,
+      limit: parseInt(limit) || 10
     });
     
     return res.status(200).json({
       status: 'success',
-      data: result
+      data: result.datasets,
+      facets: result.facets,
+      pagination: result.pagination
     });
   } catch (error) {
-    logger.error('Error verifying dataset', { error: error.message, id: req.params.id });
+    logger.error('Error searching datasets', { error: error.message });
     
-    if (error.message.includes('not found')) {
-      return res.status(404).json({
+    if (error.message.includes('Invalid search') || 
+        error.message.includes('Invalid price band')) {
+      return res.status(400).json({
         status: 'error',
         message: error.message
       });
@@ -283,10 +272,42 @@ const verifyDataset = async (req, res) => {
 const downloadDataset = async (req, res) => {
   try {
     const { id } = req.params;
+    const { licenseType } = req.query;
+    
+    // Check the requester's access grant before retrieving anything
+    const access = await marketplaceService.checkDownloadAccess(id, req.user.walletAddress, {
+      accessToken: req.headers['x-access-token'],
+      licenseType
+    });
+    
+    if (!access.hasAccess) {
+      return res.status(access.paymentRequired ? 402 : 403).json({
+        status: 'error',
+        message: access.error,
+        data: {
+          datasetId: id,
+          listings: access.listings
+        }
+      });
+    }
     
     // Download dataset content
     const result = await datasetService.downloadDataset(id);
     
+    // Record the download as dataset usage
+    await provenanceService.addProvenanceRecord({
+      datasetId: id,
+      actionType: 'usage',
+      performedBy: req.user.walletAddress,
+      description: 'Dataset downloaded',
+      metadata: {
+        accessType: access.reason,
+        accessGrantId: access.grant ? access.grant.id : null,
+        licenseType: access.grant ? access.grant.licenseType : null,
+        encrypted: result.encrypted
+      }
+    });
+    
     // Check if content is a file path or buffer
     if (result.isPath) {
       return res.download(result.data, result.name, async (err) => {
@@ -303,7 +324,11 @@ const downloadDataset = async (req, res) => {
         
         // Delete temporary file after sending
         try {
-          await unlinkAsync(result.data);
+          if (result.outputDir) {
+            await fs.promises.rm(result.outputDir, { recursive: true, force: true });
+          } else {
+            await unlinkAsync(result.data);
+          }
         } catch (unlinkError) {
           logger.warn('Error deleting temporary file', { 
             error: unlinkError.message, 
@@ -336,6 +361,53 @@ const downloadDataset = async (req, res) => {
   }
 };
 
+/**
+ * Release the escrowed data key of an encrypted dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDatasetKey = async (req, res) => {
+  try {
+    const result = await keyEscrowService.releaseDataKey(req.params.id, req.user.walletAddress, {
+      publicKey: req.query.publicKey,
+      accessToken: req.headers['x-access-token']
+    });
+    
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error releasing dataset key', { error: error.message, id: req.params.id });
+    
+    if (error.message.includes('Access denied')) {
+      return res.status(403).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Get dataset by token ID
  * @param {Object} req - Express request object
@@ -370,11 +442,156 @@ const getDatasetByTokenId = async (req, res) => {
   }
 };
 
+/**
+ * Get the status of a dataset creation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCreationStatus = async (req, res) => {
+  try {
+    const creation = await datasetService.getDatasetCreationStatus(req.params.id, req.user.walletAddress);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: creation
+    });
+  } catch (error) {
+    return handleCreationError(res, error, 'Error getting dataset creation status', req.params.id);
+  }
+};
+
+/**
+ * Resume a failed dataset creation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resumeCreation = async (req, res) => {
+  try {
+    const creation = await datasetService.resumeDatasetCreation(req.params.id, req.user.walletAddress);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: creation
+    });
+  } catch (error) {
+    return handleCreationError(res, error, 'Error resuming dataset creation', req.params.id);
+  }
+};
+
+/**
+ * Cancel a failed dataset creation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelCreation = async (req, res) => {
+  try {
+    const creation = await datasetService.cancelDatasetCreation(req.params.id, req.user.walletAddress);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: creation
+    });
+  } catch (error) {
+    return handleCreationError(res, error, 'Error cancelling dataset creation', req.params.id);
+  }
+};
+
+/**
+ * List dataset creations for review (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listCreations = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    
+    const result = await datasetService.listDatasetCreations({ status: req.query.status }, page, limit);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error listing dataset creations', { error: error.message });
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Release or reject a quarantined dataset creation (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reviewCreation = async (req, res) => {
+  try {
+    const creation = await datasetService.reviewQuarantinedCreation(req.params.id, req.user.walletAddress, {
+      decision: req.body.decision,
+      reason: req.body.reason
+    });
+    
+    return res.status(200).json({
+      status: 'success',
+      data: creation
+    });
+  } catch (error) {
+    return handleCreationError(res, error, 'Error reviewing dataset creation', req.params.id);
+  }
+};
+
+/**
+ * Map a dataset creation error to a response
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error
+ * @param {string} message - Log message
+ * @param {string} id - Creation ID
+ */
+const handleCreationError = (res, error, message, id) => {
+  logger.error(message, { error: error.message, id });
+  
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  
+  if (error.message.includes('Only the creator')) {
+    return res.status(403).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  
+  if (error.message.includes('Cannot resume') || error.message.includes('Cannot cancel')
+    || error.message.includes('Cannot review')) {
+    return res.status(409).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  
+  return res.status(500).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
 module.exports = {
   createDataset,
+  getCreationStatus,
+  resumeCreation,
+  cancelCreation,
+  listCreations,
+  reviewCreation,
   getDataset,
   listDatasets,
-  verifyDataset,
+  searchDatasets,
   downloadDataset,
+  getDatasetKey,
   getDatasetByTokenId
 };
\ No newline at end of file
@@ -2,6 +2,9 @@
  * Filecoin controller
  */
 const filecoinService = require('../services/filecoin.service');
+const replicationService = require('../services/replication.service');
+const renewalService = require('../services/renewal.service');
+const auditService = require('../services/audit.service');
 const logger = require('../utils/logger');
 const multer = require('multer');
 const path = require('path');
@@ -334,11 +337,314 @@ const findStorageProviders = async (req, res) => {
   }
 };
 
+/**
+ * Get the replica health of a dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReplicaHealth = async (req, res) => {
+  try {
+    const health = await replicationService.getReplicaHealth(req.params.datasetId);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: health
+    });
+  } catch (error) {
+    logger.error('Error getting replica health', { error: error.message, datasetId: req.params.datasetId });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the replica health of the authenticated user's datasets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyReplicaHealth = async (req, res) => {
+  try {
+    const health = await replicationService.getCreatorReplicaHealth(req.user.walletAddress);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: health
+    });
+  } catch (error) {
+    logger.error('Error getting replica health', { error: error.message });
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Set the replica target of a dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setReplicationTarget = async (req, res) => {
+  try {
+    const health = await replicationService.setReplicationTarget(
+      req.params.datasetId,
+      parseInt(req.body.target, 10),
+      req.user.walletAddress
+    );
+    
+    return res.status(200).json({
+      status: 'success',
+      data: health
+    });
+  } catch (error) {
+    logger.error('Error setting replica target', { error: error.message, datasetId: req.params.datasetId });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Only the dataset creator')) {
+      return res.status(403).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Invalid replica target') || error.message.includes('no stored content')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the deal renewal policy and renewals of a dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRenewals = async (req, res) => {
+  try {
+    const result = await renewalService.getRenewals(req.params.datasetId, req.user.walletAddress);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error getting renewals', { error: error.message, datasetId: req.params.datasetId });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Only the dataset owner')) {
+      return res.status(403).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Set the deal renewal policy of a dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setRenewalPolicy = async (req, res) => {
+  try {
+    const result = await renewalService.setRenewalPolicy(req.params.datasetId, req.body, req.user.walletAddress);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error setting renewal policy', { error: error.message, datasetId: req.params.datasetId });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Only the dataset owner')) {
+      return res.status(403).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Invalid')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Approve a pending deal renewal
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveRenewal = async (req, res) => {
+  try {
+    const result = await renewalService.approveRenewal(req.params.id, req.user.walletAddress);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error approving renewal', { error: error.message, id: req.params.id });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Only the dataset owner')) {
+      return res.status(403).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('not awaiting approval') || error.message.includes('no longer exists')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Reject a pending deal renewal
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectRenewal = async (req, res) => {
+  try {
+    const result = await renewalService.rejectRenewal(req.params.id, req.user.walletAddress, req.body.reason);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error rejecting renewal', { error: error.message, id: req.params.id });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Only the dataset owner')) {
+      return res.status(403).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('not awaiting approval')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the audit history of a storage provider
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProviderAudits = async (req, res) => {
+  try {
+    const history = await auditService.getProviderAudits(req.params.providerId, {
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+    });
+    
+    return res.status(200).json({
+      status: 'success',
+      data: history
+    });
+  } catch (error) {
+    logger.error('Error getting provider audits', { error: error.message, providerId: req.params.providerId });
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   storeData,
   createStorageDeal,
   checkDealStatus,
   retrieveData,
   calculateStorageCost,
-  findStorageProviders
+  findStorageProviders,
+  getReplicaHealth,
+  getMyReplicaHealth,
+  setReplicationTarget,
+  getRenewals,
+  setRenewalPolicy,
+  approveRenewal,
+  rejectRenewal,
+  getProviderAudits
 };
\ No newline at end of file
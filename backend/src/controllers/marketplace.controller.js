@@ -11,7 +11,7 @@ const logger = require('../utils/logger');
  */
 const createListing = async (req, res) => {
   try {
-    const { datasetId, price, licenseType, duration, terms } = req.body;
+    const { datasetId, price, licenseType, duration, terms, saleMode, maxSeats, availableFor } = req.body;
     
     const listing = await marketplaceService.createListing({
       datasetId,
@@ -19,7 +19,10 @@ const createListing = async (req, res) => {
       licenseType,
       duration: parseInt(duration),
       seller: req.user.walletAddress,
-      terms
+      terms,
+      saleMode,
+      maxSeats: maxSeats === undefined ? undefined : parseInt(maxSeats),
+      availableFor: availableFor === undefined ? undefined : parseInt(availableFor)
     });
     
     return res.status(201).json({
@@ -43,6 +46,14 @@ const createListing = async (req, res) => {
       });
     }
     
+    if (error.message.includes('Invalid sale mode') || 
+        error.message.includes('Invalid seat cap')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
     return res.status(500).json({
       status: 'error',
       message: error.message
@@ -195,13 +206,29 @@ const purchaseListing = async (req, res) => {
     }
     
     if (error.message.includes('Cannot purchase an inactive') || 
-        error.message.includes('has expired')) {
+        error.message.includes('has expired') ||
+        error.message.includes('no seats remaining') ||
+        error.message.includes('Invalid transaction')) {
       return res.status(400).json({
         status: 'error',
         message: error.message
       });
     }
     
+    if (error.message.includes('Payment required')) {
+      return res.status(402).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('already recorded')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
     return res.status(500).json({
       status: 'error',
       message: error.message
@@ -275,6 +302,110 @@ const getUserPurchases = async (req, res) => {
   }
 };
 
+/**
+ * Renew a subscription for another billing period
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const renewSubscription = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { transactionHash } = req.body;
+    
+    const purchase = await marketplaceService.renewSubscription(id, req.user.walletAddress, {
+      transactionHash
+    });
+    
+    return res.status(200).json({
+      status: 'success',
+      data: purchase
+    });
+  } catch (error) {
+    logger.error('Error renewing subscription', { error: error.message, id: req.params.id });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Only the subscriber')) {
+      return res.status(403).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Cannot purchase an inactive') || 
+        error.message.includes('has expired') ||
+        error.message.includes('no seats remaining')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('already recorded')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a subscription at the end of its current period
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelSubscription = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const subscription = await marketplaceService.cancelSubscription(id, req.user.walletAddress);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: subscription
+    });
+  } catch (error) {
+    logger.error('Error cancelling subscription', { error: error.message, id: req.params.id });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Only the subscriber')) {
+      return res.status(403).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('not active')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   createListing,
   getListing,
@@ -282,5 +413,7 @@ module.exports = {
   updateListing,
   purchaseListing,
   verifyAccess,
-  getUserPurchases
+  getUserPurchases,
+  renewSubscription,
+  cancelSubscription
 };
\ No newline at end of file
@@ -11,7 +11,15 @@ const logger = require('../utils/logger');
  */
 const addProvenanceRecord = async (req, res) => {
   try {
-    const { datasetId, actionType, description, metadata, previousRecordId } = req.body;
+    const { 
+      datasetId, 
+      actionType, 
+      description, 
+      metadata, 
+      previousRecordId, 
+      parentDatasetIds, 
+      relationType 
+    } = req.body;
     
     const record = await provenanceService.addProvenanceRecord({
       datasetId,
@@ -19,7 +27,9 @@ const addProvenanceRecord = async (req, res) => {
       performedBy: req.user.walletAddress,
       description,
       metadata,
-      previousRecordId
+      previousRecordId,
+      parentDatasetIds,
+      relationType
     });
     
     return res.status(201).json({
@@ -36,6 +46,15 @@ const addProvenanceRecord = async (req, res) => {
       });
     }
     
+    if (error.message.includes('Lineage cycle') || 
+        error.message.includes('Parent datasets') || 
+        error.message.includes('derived from itself')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
     return res.status(500).json({
       status: 'error',
       message: error.message
@@ -119,6 +138,45 @@ const getProvenanceGraph = async (req, res) => {
   }
 };
 
+/**
+ * Get the cross-dataset lineage graph of a dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDatasetLineage = async (req, res) => {
+  try {
+    const { datasetId } = req.params;
+    const { depth, direction } = req.query;
+    
+    const lineage = await provenanceService.getDatasetLineage(datasetId, {
+      depth: depth ? parseInt(depth) : undefined,
+      direction
+    });
+    
+    return res.status(200).json({
+      status: 'success',
+      data: lineage
+    });
+  } catch (error) {
+    logger.error('Error getting dataset lineage', { 
+      error: error.message, 
+      datasetId: req.params.datasetId 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Verify a dataset's provenance chain
  * @param {Object} req - Express request object
@@ -154,9 +212,104 @@ const verifyProvenanceChain = async (req, res) => {
   }
 };
 
+/**
+ * Export a dataset's provenance history as W3C PROV
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportProvenance = async (req, res) => {
+  try {
+    const { datasetId } = req.params;
+    const { format } = req.query;
+    
+    const result = await provenanceService.exportProvenance(datasetId, format);
+    
+    res.set('Content-Type', result.contentType);
+    res.set('Content-Disposition', `attachment; filename="${result.fileName}"`);
+    
+    return res.status(200).send(
+      typeof result.document === 'string' ? result.document : JSON.stringify(result.document, null, 2)
+    );
+  } catch (error) {
+    logger.error('Error exporting provenance', { 
+      error: error.message, 
+      datasetId: req.params.datasetId 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Unsupported PROV format')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Import W3C PROV provenance onto a dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importProvenance = async (req, res) => {
+  try {
+    const { datasetId } = req.params;
+    const { format, document } = req.body;
+    
+    const result = await provenanceService.importProvenance(datasetId, document, {
+      format,
+      importedBy: req.user.walletAddress
+    });
+    
+    return res.status(201).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error importing provenance', { 
+      error: error.message, 
+      datasetId: req.params.datasetId 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Invalid provenance document') || 
+        error.message.includes('Unsupported PROV')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   addProvenanceRecord,
   getProvenanceHistory,
   getProvenanceGraph,
-  verifyProvenanceChain
+  getDatasetLineage,
+  verifyProvenanceChain,
+  exportProvenance,
+  importProvenance
 };
\ No newline at end of file
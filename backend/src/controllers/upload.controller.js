@@ -0,0 +1,167 @@
+/**
+ * Upload controller
+ */
+const uploadService = require('../services/upload.service');
+const logger = require('../utils/logger');
+
+/**
+ * Start a resumable upload
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createUpload = async (req, res) => {
+  try {
+    const upload = await uploadService.createUpload({
+      fileName: req.body.fileName,
+      fileSize: req.body.fileSize
+    }, req.user.walletAddress);
+
+    return res.status(201).json({
+      status: 'success',
+      data: upload
+    });
+  } catch (error) {
+    return handleUploadError(res, error, 'Error starting upload');
+  }
+};
+
+/**
+ * Get an upload and the offset to resume it from
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUpload = async (req, res) => {
+  try {
+    const upload = await uploadService.getUpload(req.params.id, req.user.walletAddress);
+
+    res.set('Upload-Offset', String(upload.offset));
+    return res.status(200).json({
+      status: 'success',
+      data: upload
+    });
+  } catch (error) {
+    return handleUploadError(res, error, 'Error getting upload', req.params.id);
+  }
+};
+
+/**
+ * Receive a chunk of an upload; the raw request body is the chunk
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const uploadChunk = async (req, res) => {
+  try {
+    const upload = await uploadService.appendChunk(req.params.id, req.user.walletAddress, {
+      offset: parseInt(req.get('Upload-Offset'), 10),
+      checksum: req.get('Upload-Checksum'),
+      source: req
+    });
+
+    res.set('Upload-Offset', String(upload.offset));
+    return res.status(200).json({
+      status: 'success',
+      data: upload
+    });
+  } catch (error) {
+    return handleUploadError(res, error, 'Error receiving upload chunk', req.params.id);
+  }
+};
+
+/**
+ * Assemble a complete upload and start creating a dataset from it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const completeUpload = async (req, res) => {
+  try {
+    const { name, description, dataType, license, contributors, tags, encrypt } = req.body;
+
+    const result = await uploadService.completeUpload(req.params.id, req.user.walletAddress, {
+      name,
+      description,
+      dataType,
+      license,
+      contributors,
+      tags,
+      encrypt
+    });
+
+    return res.status(202).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    return handleUploadError(res, error, 'Error completing upload', req.params.id);
+  }
+};
+
+/**
+ * Cancel an upload
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelUpload = async (req, res) => {
+  try {
+    const upload = await uploadService.cancelUpload(req.params.id, req.user.walletAddress);
+
+    return res.status(200).json({
+      status: 'success',
+      data: upload
+    });
+  } catch (error) {
+    return handleUploadError(res, error, 'Error cancelling upload', req.params.id);
+  }
+};
+
+/**
+ * Map an upload error to a response
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error
+ * @param {string} message - Log message
+ * @param {string} [id] - Upload ID
+ */
+const handleUploadError = (res, error, message, id) => {
+  logger.error(message, { error: error.message, id });
+
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Only the uploader')) {
+    return res.status(403).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Invalid') || error.message.includes('Checksum mismatch')) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('offset mismatch') || error.message.includes('not in progress') ||
+      error.message.includes('incomplete') || error.message.includes('busy')) {
+    return res.status(409).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+module.exports = {
+  createUpload,
+  getUpload,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+};
@@ -2,6 +2,8 @@
  * User controller
  */
 const authService = require('../services/auth.service');
+const notificationService = require('../services/notification.service');
+const apiKeyService = require('../services/api_key.service');
 const logger = require('../utils/logger');
 
 /**
@@ -11,7 +13,7 @@ const logger = require('../utils/logger');
  */
 const generateChallenge = async (req, res) => {
   try {
-    const { address } = req.body;
+    const { address, chainId } = req.body;
     
     if (!address) {
       return res.status(400).json({
@@ -20,7 +22,7 @@ const generateChallenge = async (req, res) => {
       });
     }
     
-    const challenge = await authService.generateChallenge(address);
+    const challenge = await authService.generateChallenge(address, { chainId });
     
     return res.status(200).json({
       status: 'success',
@@ -29,6 +31,13 @@ const generateChallenge = async (req, res) => {
   } catch (error) {
     logger.error('Error generating challenge', { error: error.message });
     
+    if (error.message.includes('Invalid wallet address') || error.message.includes('Unsupported chain')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
     return res.status(500).json({
       status: 'error',
       message: error.message
@@ -37,22 +46,22 @@ const generateChallenge = async (req, res) => {
 };
 
 /**
- * Authenticate user with wallet signature
+ * Authenticate user with a signed Sign-In with Ethereum message
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const authenticateWithWallet = async (req, res) => {
   try {
-    const { address, signature } = req.body;
+    const { message, signature, session } = req.body;
     
-    if (!address || !signature) {
+    if (!message || !signature || !session) {
       return res.status(400).json({
         status: 'error',
-        message: 'Address and signature are required'
+        message: 'Message, signature and session are required'
       });
     }
     
-    const result = await authService.authenticateWithWallet(address, signature);
+    const result = await authService.authenticateWithWallet(message, signature, session);
     
     return res.status(200).json({
       status: 'success',
@@ -168,22 +177,153 @@ const updateUserProfile = async (req, res) => {
 };
 
 /**
- * Refresh API key
+ * List the current user's API keys
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const refreshApiKey = async (req, res) => {
+const listApiKeys = async (req, res) => {
   try {
-    const apiKey = await authService.refreshApiKey(req.user.id);
+    const apiKeys = await apiKeyService.listApiKeys(req.user.id);
     
     return res.status(200).json({
       status: 'success',
-      data: {
-        apiKey
-      }
+      data: apiKeys
+    });
+  } catch (error) {
+    logger.error('Error listing API keys', { error: error.message });
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Create a scoped API key for the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { label, scopes, expiresAt } = req.body;
+    
+    const apiKey = await apiKeyService.createApiKey(req.user.id, { label, scopes, expiresAt });
+    
+    return res.status(201).json({
+      status: 'success',
+      data: apiKey
     });
   } catch (error) {
-    logger.error('Error refreshing API key', { error: error.message });
+    logger.error('Error creating API key', { error: error.message });
+    
+    if (error.message.includes('Invalid API key scopes') || error.message.includes('must be in the future')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('limit reached')) {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's API keys
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeApiKey(req.user.id, req.params.id);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: apiKey
+    });
+  } catch (error) {
+    logger.error('Error revoking API key', { error: error.message });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the current user's notifications
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { page, limit, unread } = req.query;
+    
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+    
+    const result = await notificationService.listNotifications(
+      req.user.walletAddress,
+      { unreadOnly: unread === 'true' },
+      pageNum,
+      limitNum
+    );
+    
+    return res.status(200).json({
+      status: 'success',
+      data: result.notifications,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error getting notifications', { error: error.message });
+    
+    return res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Mark one of the current user's notifications as read
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.params.id, req.user.walletAddress);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: notification
+    });
+  } catch (error) {
+    logger.error('Error marking notification read', { error: error.message, id: req.params.id });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
     
     return res.status(500).json({
       status: 'error',
@@ -198,5 +338,9 @@ module.exports = {
   registerUser,
   getCurrentUser,
   updateUserProfile,
-  refreshApiKey
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  getNotifications,
+  markNotificationRead
 };
\ No newline at end of file
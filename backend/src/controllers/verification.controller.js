@@ -0,0 +1,191 @@
+/**
+ * Verification controller
+ */
+const verificationService = require('../services/verification.service');
+const logger = require('../utils/logger');
+
+/**
+ * Record a verification request the dataset owner paid for on-chain
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const requestVerification = async (req, res) => {
+  try {
+    const request = await verificationService.requestVerification(req.params.id, req.user.walletAddress, {
+      transactionHash: req.body.transactionHash
+    });
+    
+    return res.status(201).json({
+      status: 'success',
+      data: request
+    });
+  } catch (error) {
+    return handleVerificationError(res, error, 'Error requesting verification', req.params.id);
+  }
+};
+
+/**
+ * Get the verification history of a dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getVerificationHistory = async (req, res) => {
+  try {
+    const history = await verificationService.getVerificationHistory(req.params.id);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: history
+    });
+  } catch (error) {
+    return handleVerificationError(res, error, 'Error getting verification history', req.params.id);
+  }
+};
+
+/**
+ * List verification requests; admins see every request, verifiers the ones assigned to them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listVerificationRequests = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    
+    const filters = { status };
+    if (req.user.role !== 'admin') {
+      filters.assignedVerifier = req.user.walletAddress;
+    }
+    
+    const result = await verificationService.listVerificationRequests(
+      filters,
+      parseInt(page, 10),
+      parseInt(limit, 10)
+    );
+    
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    return handleVerificationError(res, error, 'Error listing verification requests');
+  }
+};
+
+/**
+ * Get a verification request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getVerificationRequest = async (req, res) => {
+  try {
+    const request = await verificationService.getVerificationRequest(req.params.id);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: request
+    });
+  } catch (error) {
+    return handleVerificationError(res, error, 'Error getting verification request', req.params.id);
+  }
+};
+
+/**
+ * Assign a verifier to a verification request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const assignVerifier = async (req, res) => {
+  try {
+    const request = await verificationService.assignVerifier(
+      req.params.id,
+      req.body.verifier,
+      req.user.walletAddress
+    );
+    
+    return res.status(200).json({
+      status: 'success',
+      data: request
+    });
+  } catch (error) {
+    return handleVerificationError(res, error, 'Error assigning verifier', req.params.id);
+  }
+};
+
+/**
+ * Submit the assigned verifier's report
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const submitReport = async (req, res) => {
+  try {
+    const { decision, checklist, evidenceCids, summary } = req.body;
+    
+    const request = await verificationService.submitReport(req.params.id, req.user.walletAddress, {
+      decision,
+      checklist,
+      evidenceCids,
+      summary
+    });
+    
+    return res.status(200).json({
+      status: 'success',
+      data: request
+    });
+  } catch (error) {
+    return handleVerificationError(res, error, 'Error submitting verification report', req.params.id);
+  }
+};
+
+/**
+ * Map a verification error to a response
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error
+ * @param {string} message - Log message
+ * @param {string} [id] - Dataset or verification request ID
+ */
+const handleVerificationError = (res, error, message, id) => {
+  logger.error(message, { error: error.message, id });
+  
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  
+  if (error.message.includes('Only the')) {
+    return res.status(403).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  
+  if (error.message.includes('Invalid') || error.message.includes('not a verifier')) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  
+  if (error.message.includes('already') || error.message.includes('not pending') ||
+      error.message.includes('not awaiting')) {
+    return res.status(409).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+  
+  return res.status(500).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+module.exports = {
+  requestVerification,
+  getVerificationHistory,
+  listVerificationRequests,
+  getVerificationRequest,
+  assignVerifier,
+  submitReport
+};
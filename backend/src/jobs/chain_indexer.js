@@ -0,0 +1,37 @@
+/**
+ * Chain event indexer job
+ */
+const indexerService = require('../services/indexer.service');
+const logger = require('../utils/logger');
+
+// Set while a sync is running, so a slow backfill is not started twice
+let syncing = false;
+
+/**
+ * Sync new contract events into the database
+ */
+const syncChainEvents = async () => {
+  if (syncing) {
+    logger.info('Chain event sync already running, skipping');
+    return { skipped: true };
+  }
+  
+  syncing = true;
+  try {
+    const summary = await indexerService.syncChainEvents();
+    
+    const processed = summary.contracts.reduce((sum, contract) => sum + (contract.processed || 0), 0);
+    logger.info(`Chain event sync completed. ${processed} events applied`, { headBlock: summary.headBlock });
+    
+    return summary;
+  } catch (error) {
+    logger.error('Chain event sync job failed', { error: error.message });
+    throw error;
+  } finally {
+    syncing = false;
+  }
+};
+
+module.exports = {
+  syncChainEvents
+};
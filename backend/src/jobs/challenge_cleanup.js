@@ -0,0 +1,27 @@
+/**
+ * Authentication challenge cleanup job
+ */
+const authService = require('../services/auth.service');
+const logger = require('../utils/logger');
+
+/**
+ * Delete sign-in challenges that have expired or been used
+ */
+const cleanupChallenges = async () => {
+  try {
+    logger.info('Starting challenge cleanup');
+    
+    const purged = await authService.purgeExpiredChallenges();
+    
+    logger.info(`Challenge cleanup completed. Deleted ${purged} challenges`);
+    
+    return purged;
+  } catch (error) {
+    logger.error('Challenge cleanup job failed', { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  cleanupChallenges
+};
@@ -0,0 +1,27 @@
+/**
+ * Dataset creation recovery job
+ */
+const datasetService = require('../services/dataset.service');
+const logger = require('../utils/logger');
+
+/**
+ * Resume dataset creations that were interrupted or failed
+ */
+const recoverCreations = async () => {
+  try {
+    logger.info('Starting dataset creation recovery');
+    
+    const summary = await datasetService.recoverDatasetCreations();
+    
+    logger.info(`Dataset creation recovery completed. ${summary.completed} of ${summary.recovered} creations completed`);
+    
+    return summary;
+  } catch (error) {
+    logger.error('Dataset creation recovery job failed', { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  recoverCreations
+};
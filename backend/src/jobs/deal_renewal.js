@@ -0,0 +1,31 @@
+/**
+ * Filecoin deal renewal job
+ */
+const renewalService = require('../services/renewal.service');
+const logger = require('../utils/logger');
+
+/**
+ * Renew active deals nearing their end epoch according to each dataset's renewal policy
+ */
+const renewDeals = async () => {
+  try {
+    logger.info('Starting Filecoin deal renewal');
+    
+    const result = await renewalService.processRenewals();
+    
+    logger.info(`Deal renewal completed. ${result.due} deals due, ${result.completed} renewed`, {
+      requested: result.requested,
+      failed: result.failed,
+      skipped: result.skipped
+    });
+    
+    return result;
+  } catch (error) {
+    logger.error('Deal renewal job failed', { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  renewDeals
+};
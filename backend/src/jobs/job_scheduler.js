@@ -4,6 +4,15 @@
 const { scheduleJob, cancelJob } = require('node-schedule');
 const dealMonitor = require('./deal_monitor');
 const royaltyProcessor = require('./royalty_processor');
+const outboxProcessor = require('./outbox_processor');
+const creationRecovery = require('./creation_recovery');
+const chainIndexer = require('./chain_indexer');
+const proposalFinalizer = require('./proposal_finalizer');
+const subscriptionMonitor = require('./subscription_monitor');
+const dealRenewal = require('./deal_renewal');
+const storageAudit = require('./storage_audit');
+const uploadCleanup = require('./upload_cleanup');
+const challengeCleanup = require('./challenge_cleanup');
 const logger = require('../utils/logger');
 
 // Map to store job references
@@ -36,6 +45,105 @@ const initializeJobs = async () => {
     jobMap.set('royaltyProcessor', royaltyProcessorJob);
     logger.info('Royalty processor job scheduled');
     
+    // Schedule blockchain outbox retries to run every 5 minutes
+    const outboxProcessorJob = scheduleJob('outboxProcessor', '*/5 * * * *', async () => {
+      try {
+        await outboxProcessor.retryBlockchainWrites();
+      } catch (error) {
+        logger.error('Outbox processor job failed', { error: error.message });
+      }
+    });
+    jobMap.set('outboxProcessor', outboxProcessorJob);
+    logger.info('Outbox processor job scheduled');
+    
+    // Schedule dataset creation recovery to run every 10 minutes
+    const creationRecoveryJob = scheduleJob('creationRecovery', '*/10 * * * *', async () => {
+      try {
+        await creationRecovery.recoverCreations();
+      } catch (error) {
+        logger.error('Creation recovery job failed', { error: error.message });
+      }
+    });
+    jobMap.set('creationRecovery', creationRecoveryJob);
+    logger.info('Creation recovery job scheduled');
+    
+    // Schedule chain event indexing to run every minute
+    const chainIndexerJob = scheduleJob('chainIndexer', '* * * * *', async () => {
+      try {
+        await chainIndexer.syncChainEvents();
+      } catch (error) {
+        logger.error('Chain indexer job failed', { error: error.message });
+      }
+    });
+    jobMap.set('chainIndexer', chainIndexerJob);
+    logger.info('Chain indexer job scheduled');
+    
+    // Schedule proposal finalization to run every 5 minutes
+    const proposalFinalizerJob = scheduleJob('proposalFinalizer', '*/5 * * * *', async () => {
+      try {
+        await proposalFinalizer.finalizeProposals();
+      } catch (error) {
+        logger.error('Proposal finalizer job failed', { error: error.message });
+      }
+    });
+    jobMap.set('proposalFinalizer', proposalFinalizerJob);
+    logger.info('Proposal finalizer job scheduled');
+    
+    // Schedule subscription expiry and renewal reminders to run every hour
+    const subscriptionMonitorJob = scheduleJob('subscriptionMonitor', '0 * * * *', async () => {
+      try {
+        await subscriptionMonitor.monitorSubscriptions();
+      } catch (error) {
+        logger.error('Subscription monitor job failed', { error: error.message });
+      }
+    });
+    jobMap.set('subscriptionMonitor', subscriptionMonitorJob);
+    logger.info('Subscription monitor job scheduled');
+    
+    // Schedule renewal of expiring storage deals to run every 6 hours
+    const dealRenewalJob = scheduleJob('dealRenewal', '15 */6 * * *', async () => {
+      try {
+        await dealRenewal.renewDeals();
+      } catch (error) {
+        logger.error('Deal renewal job failed', { error: error.message });
+      }
+    });
+    jobMap.set('dealRenewal', dealRenewalJob);
+    logger.info('Deal renewal job scheduled');
+    
+    // Schedule proof-of-retrievability audits of storage providers to run every 3 hours
+    const storageAuditJob = scheduleJob('storageAudit', '30 */3 * * *', async () => {
+      try {
+        await storageAudit.auditStorage();
+      } catch (error) {
+        logger.error('Storage audit job failed', { error: error.message });
+      }
+    });
+    jobMap.set('storageAudit', storageAuditJob);
+    logger.info('Storage audit job scheduled');
+    
+    // Schedule expiry of abandoned uploads to run every hour
+    const uploadCleanupJob = scheduleJob('uploadCleanup', '45 * * * *', async () => {
+      try {
+        await uploadCleanup.cleanupUploads();
+      } catch (error) {
+        logger.error('Upload cleanup job failed', { error: error.message });
+      }
+    });
+    jobMap.set('uploadCleanup', uploadCleanupJob);
+    logger.info('Upload cleanup job scheduled');
+    
+    // Schedule deletion of expired and used sign-in challenges to run every 15 minutes
+    const challengeCleanupJob = scheduleJob('challengeCleanup', '*/15 * * * *', async () => {
+      try {
+        await challengeCleanup.cleanupChallenges();
+      } catch (error) {
+        logger.error('Challenge cleanup job failed', { error: error.message });
+      }
+    });
+    jobMap.set('challengeCleanup', challengeCleanupJob);
+    logger.info('Challenge cleanup job scheduled');
+    
     // Run the deal monitor immediately for initial check
     await dealMonitor.checkDeals();
     
@@ -77,6 +185,33 @@ const runJobNow = async (jobName) => {
       case 'royaltyProcessor':
         await royaltyProcessor.processRoyalties();
         break;
+      case 'outboxProcessor':
+        await outboxProcessor.retryBlockchainWrites();
+        break;
+      case 'creationRecovery':
+        await creationRecovery.recoverCreations();
+        break;
+      case 'chainIndexer':
+        await chainIndexer.syncChainEvents();
+        break;
+      case 'proposalFinalizer':
+        await proposalFinalizer.finalizeProposals();
+        break;
+      case 'subscriptionMonitor':
+        await subscriptionMonitor.monitorSubscriptions();
+        break;
+      case 'dealRenewal':
+        await dealRenewal.renewDeals();
+        break;
+      case 'storageAudit':
+        await storageAudit.auditStorage();
+        break;
+      case 'uploadCleanup':
+        await uploadCleanup.cleanupUploads();
+        break;
+      case 'challengeCleanup':
+        await challengeCleanup.cleanupChallenges();
+        break;
       default:
         throw new Error(`Unknown job: ${jobName}`);
     }
@@ -0,0 +1,27 @@
+/**
+ * Blockchain outbox retry job
+ */
+const outboxService = require('../services/outbox.service');
+const logger = require('../utils/logger');
+
+/**
+ * Retry queued blockchain writes whose next attempt is due
+ */
+const retryBlockchainWrites = async () => {
+  try {
+    logger.info('Starting blockchain outbox retry');
+    
+    const summary = await outboxService.processOutbox();
+    
+    logger.info(`Outbox retry completed. ${summary.succeeded} of ${summary.processed} writes succeeded`);
+    
+    return summary;
+  } catch (error) {
+    logger.error('Outbox retry job failed', { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  retryBlockchainWrites
+};
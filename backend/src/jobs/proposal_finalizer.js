@@ -0,0 +1,27 @@
+/**
+ * DAO proposal finalization job
+ */
+const daoService = require('../services/dao.service');
+const logger = require('../utils/logger');
+
+/**
+ * Move proposals whose voting period has ended to succeeded or defeated
+ */
+const finalizeProposals = async () => {
+  try {
+    logger.info('Starting proposal finalization');
+    
+    const summary = await daoService.finalizeEndedProposals();
+    
+    logger.info(`Proposal finalization completed. ${summary.finalized} of ${summary.ended} ended proposals finalized`);
+    
+    return summary;
+  } catch (error) {
+    logger.error('Proposal finalization job failed', { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  finalizeProposals
+};
@@ -2,80 +2,89 @@
  * Royalty processing job
  */
 const DB = require('../models');
+const attributionService = require('../services/attribution.service');
+const royaltyService = require('../services/royalty.service');
 const logger = require('../utils/logger');
 
 /**
  * Process royalties for all datasets
+ * Credits purchases and on-chain distributions missing from the ledger, reconciles with the
+ * RoyaltyDistributor contract and refreshes each contributor's royalty total
  */
 const processRoyalties = async () => {
   try {
     logger.info('Starting royalty processing job');
     
-    // Get all datasets with usage records
+    // Get all datasets with contributors
     const datasets = await DB.Dataset.findAll({
       include: [
         {
-          model: DB.Usage,
+          model: DB.Contributor,
           required: true
-        },
-        {
-          model: DB.Contributor
         }
       ]
     });
     
-    logger.info(`Found ${datasets.length} datasets with usage records`);
+    logger.info(`Found ${datasets.length} datasets with contributors`);
     
     if (datasets.length === 0) {
-      return { processed: 0 };
+      return { processed: 0, unreconciled: 0 };
     }
     
+    const { Op } = DB.Sequelize;
     let processedCount = 0;
+    let unreconciledCount = 0;
     
     // Process each dataset
     for (const dataset of datasets) {
       try {
-        // Get all usage records for the dataset
-        const usageRecords = await DB.Usage.findAll({
-          where: { datasetId: dataset.id }
+        // Credit confirmed purchases whose revenue was not recorded when they were confirmed
+        const purchases = await DB.Purchase.findAll({
+          where: { datasetId: dataset.id, confirmedAt: { [Op.ne]: null } }
+        });
+        const credited = await DB.RoyaltyLedgerEntry.findAll({
+          where: { datasetId: dataset.id, source: 'purchase' },
+          attributes: ['sourceId']
         });
+        const creditedPurchaseIds = new Set(credited.map(entry => entry.sourceId));
         
-        // Calculate total impact
-        const totalImpact = usageRecords.reduce((sum, record) => sum + record.impactScore, 0);
+        for (const purchase of purchases) {
+          if (!creditedPurchaseIds.has(purchase.id)) {
+            await royaltyService.recordPurchaseRevenue(purchase);
+          }
+        }
         
-        // Calculate royalties for each contributor
-        for (const contributor of dataset.Contributors) {
-          const share = contributor.share / 100; // Convert percentage to decimal
-          const royaltyAmount = totalImpact * share;
-          
-          // Update or create royalty record
-          await DB.Royalty.upsert({
-            contributorAddress: contributor.address,
-            datasetId: dataset.id,
-            share: contributor.share,
-            totalAmount: royaltyAmount,
-            lastCalculated: new Date()
-          });
+        // Credit on-chain distributions and check the ledger against the contract
+        if (dataset.tokenId) {
+          const reconciliation = await royaltyService.reconcileDataset(dataset.id);
+          if (!reconciliation.reconciled) {
+            unreconciledCount++;
+          }
         }
         
+        const { totalCredited } = await attributionService.calculateRoyalties(dataset.id);
+        
         processedCount++;
-        logger.info('Royalties processed for dataset', { 
-          datasetId: dataset.id, 
-          totalImpact,
+        logger.info('Royalties processed for dataset', {
+          datasetId: dataset.id,
+          totalCredited,
           contributorCount: dataset.Contributors.length
         });
       } catch (error) {
-        logger.error('Error processing royalties for dataset', { 
-          error: error.message, 
+        logger.error('Error processing royalties for dataset', {
+          error: error.message,
           datasetId: dataset.id
         });
       }
     }
     
-    logger.info(`Royalty processing completed. Processed ${processedCount} of ${datasets.length} datasets`);
+    logger.info(`Royalty processing completed. Processed ${processedCount} of ${datasets.length} datasets`, {
+      unreconciled: unreconciledCount
+    });
     
     return {
-      processed: processedCount
+      processed: processedCount,
+      unreconciled: unreconciledCount
     };
   } catch (error) {
     logger.error('Royalty processing job failed', { error: error.message });
@@ -85,4 +94,4 @@ const processRoyalties = async () => {
 
 module.exports = {
   processRoyalties
-};
\ No newline at end of file
+};
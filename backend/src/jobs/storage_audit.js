@@ -0,0 +1,30 @@
+/**
+ * Storage provider audit job
+ */
+const auditService = require('../services/audit.service');
+const logger = require('../utils/logger');
+
+/**
+ * Challenge providers of active deals to prove they still hold the data
+ */
+const auditStorage = async () => {
+  try {
+    logger.info('Starting storage provider audits');
+    
+    const result = await auditService.runAudits();
+    
+    logger.info(`Storage audits completed. Audited ${result.audited} deals, ${result.passed} passed`, {
+      failed: result.failed,
+      unreachable: result.unreachable
+    });
+    
+    return result;
+  } catch (error) {
+    logger.error('Storage audit job failed', { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  auditStorage
+};
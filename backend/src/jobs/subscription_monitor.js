@@ -0,0 +1,27 @@
+/**
+ * Subscription monitoring job
+ */
+const marketplaceService = require('../services/marketplace.service');
+const logger = require('../utils/logger');
+
+/**
+ * Expire lapsed subscriptions and send renewal reminders for those ending soon
+ */
+const monitorSubscriptions = async () => {
+  try {
+    logger.info('Starting subscription monitoring');
+    
+    const summary = await marketplaceService.processSubscriptions();
+    
+    logger.info(`Subscription monitoring completed. ${summary.expired} expired, ${summary.reminded} reminded`);
+    
+    return summary;
+  } catch (error) {
+    logger.error('Subscription monitoring job failed', { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  monitorSubscriptions
+};
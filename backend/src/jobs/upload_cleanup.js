@@ -0,0 +1,27 @@
+/**
+ * Upload cleanup job
+ */
+const uploadService = require('../services/upload.service');
+const logger = require('../utils/logger');
+
+/**
+ * Expire resumable uploads that stopped receiving chunks and remove their partial files
+ */
+const cleanupUploads = async () => {
+  try {
+    logger.info('Starting upload cleanup');
+    
+    const expired = await uploadService.expireUploads();
+    
+    logger.info(`Upload cleanup completed. Expired ${expired} uploads`);
+    
+    return expired;
+  } catch (error) {
+    logger.error('Upload cleanup job failed', { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  cleanupUploads
+};
@@ -2,6 +2,7 @@
  * Authentication middleware
  */
 const authService = require('../services/auth.service');
+const apiKeyService = require('../services/api_key.service');
 const logger = require('../utils/logger');
 
 /**
@@ -61,9 +62,31 @@ const requireAdmin = (req, res, next) => {
 };
 
 /**
- * Middleware to authenticate using API key
+ * Check that an API key grants the scopes a route requires
+ * @param {Object} res - Express response object
+ * @param {Object} user - User attached by the API key
+ * @param {Array<string>} scopes - Required scopes
+ * @returns {Object|null} - The 403 response when a scope is missing
  */
-const authenticateApiKey = async (req, res, next) => {
+const rejectMissingScopes = (res, user, scopes) => {
+  const missing = scopes.filter(scope => !user.scopes.includes(scope));
+  if (missing.length === 0) {
+    return null;
+  }
+  
+  logger.warn('API key lacks required scopes', { apiKeyId: user.apiKeyId, missing });
+  return res.status(403).json({
+    status: 'error',
+    message: `API key lacks required scope: ${missing.join(', ')}`
+  });
+};
+
+/**
+ * Middleware factory to authenticate using an API key
+ * @param {...string} scopes - Scopes the key must grant for the route
+ * @returns {Function} - Middleware
+ */
+const authenticateApiKey = (...scopes) => async (req, res, next) => {
   try {
     const apiKey = req.headers['x-api-key'];
     
@@ -75,12 +98,10 @@ const authenticateApiKey = async (req, res, next) => {
     }
     
     // Validate API key
-    const user = await authService.validateApiKey(apiKey);
+    const user = await apiKeyService.validateApiKey(apiKey);
     
     // Attach user to request
     req.user = user;
-    
-    next();
   } catch (error) {
     logger.error('API key authentication failed', { error: error.message });
     
@@ -89,12 +110,16 @@ const authenticateApiKey = async (req, res, next) => {
       message: 'Invalid API key'
     });
   }
+  
+  return rejectMissingScopes(res, req.user, scopes) || next();
 };
 
 /**
- * Middleware to authenticate using either JWT or API key
+ * Middleware factory to authenticate using either JWT or API key
+ * @param {...string} scopes - Scopes an API key must grant for the route; JWTs carry the user's full access
+ * @returns {Function} - Middleware
  */
-const authenticateAny = async (req, res, next) => {
+const authenticateAny = (...scopes) => async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     const apiKey = req.headers['x-api-key'];
@@ -108,14 +133,18 @@ const authenticateAny = async (req, res, next) => {
     
     if (apiKey) {
       // Try API key auth
+      let user = null;
       try {
-        const user = await authService.validateApiKey(apiKey);
-        req.user = user;
-        return next();
+        user = await apiKeyService.validateApiKey(apiKey);
       } catch (apiKeyError) {
         // Fall through to try JWT auth if API key fails
         logger.debug('API key auth failed, trying JWT', { error: apiKeyError.message });
       }
+      
+      if (user) {
+        req.user = user;
+        return rejectMissingScopes(res, user, scopes) || next();
+      }
     }
     
     if (authHeader) {
@@ -85,8 +85,28 @@ const authLimiter = rateLimit({
   }
 });
 
+// Upload chunk limiter (15 minutes, 2000 requests); a large upload sends many chunks in quick succession
+const uploadLimiter = rateLimit({
+  windowMs: appConfig.rateLimitWindow,
+  max: 2000,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: redisClient 
+    ? new RedisStore({
+        sendCommand: (...args) => redisClient.call(...args),
+        prefix: 'rateLimitUpload:'
+      })
+    : undefined,
+  skip: (req) => req.ip === '127.0.0.1',
+  message: {
+    status: 'error',
+    message: 'Too many upload requests, please try again later'
+  }
+});
+
 module.exports = {
   basicLimiter,
   apiLimiter,
-  authLimiter
+  authLimiter,
+  uploadLimiter
 };
\ No newline at end of file
@@ -1,9 +1,10 @@
 /**
  * Validation middleware
  */
-const { body, param, query, validationResult } = require('express-validator');
+const { body, param, query, header, validationResult } = require('express-validator');
 const validationUtils = require('../utils/validation');
 const web3Utils = require('../utils/web3');
+const authConfig = require('../config/auth');
 
 /**
  * Generic validation result checker middleware
@@ -44,9 +45,9 @@ const userRegistrationRules = [
 ];
 
 /**
- * Wallet authentication validation rules
+ * Authentication challenge validation rules
  */
-const walletAuthRules = [
+const challengeRules = [
   body('address')
     .notEmpty().withMessage('Wallet address is required')
     .custom(value => {
@@ -56,8 +57,44 @@ const walletAuthRules = [
       return true;
     }),
   
+  body('chainId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Chain ID must be a positive integer')
+];
+
+/**
+ * API key creation validation rules
+ */
+const apiKeyCreationRules = [
+  body('label')
+    .isString().withMessage('Label is required')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Label must be between 1 and 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 }).withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(authConfig.apiKeyScopes).withMessage(`Scopes must be among ${authConfig.apiKeyScopes.join(', ')}`),
+  
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Expiry must be an ISO 8601 date')
+];
+
+/**
+ * Wallet authentication validation rules
+ */
+const walletAuthRules = [
+  body('message')
+    .isString().withMessage('Sign-in message is required')
+    .isLength({ min: 1, max: 4000 }).withMessage('Sign-in message must be at most 4000 characters'),
+  
   body('signature')
-    .notEmpty().withMessage('Signature is required')
+    .notEmpty().withMessage('Signature is required'),
+  
+  body('session')
+    .notEmpty().withMessage('Session of the challenge is required')
 ];
 
 /**
@@ -134,7 +171,12 @@ const datasetCreationRules = [
       }
       
       return true;
-    })
+    }),
+  
+  body('encrypt')
+    .optional()
+    .isBoolean().withMessage('Encrypt must be a boolean')
+    .toBoolean()
 ];
 
 /**
@@ -164,7 +206,48 @@ const listingCreationRules = [
   
   body('duration')
     .notEmpty().withMessage('Duration is required')
-    .isInt({ min: 86400 }).withMessage('Duration must be at least 1 day (86400 seconds)')
+    .isInt({ min: 86400 }).withMessage('Duration must be at least 1 day (86400 seconds)'),
+  
+  body('saleMode')
+    .optional()
+    .isIn(['unlimited', 'capped', 'subscription']).withMessage('Invalid sale mode'),
+  
+  body('maxSeats')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Max seats must be a positive integer'),
+  
+  body('availableFor')
+    .optional()
+    .isInt({ min: 86400 }).withMessage('Availability must be at least 1 day (86400 seconds)')
+];
+
+/**
+ * Dataset search validation rules
+ */
+const searchRules = [
+  query('q')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Search query must be less than 200 characters'),
+  
+  query('verified')
+    .optional()
+    .isIn(['true', 'false']).withMessage('Verified must be true or false'),
+  
+  query('sort')
+    .optional()
+    .isIn(['relevance', 'price', 'usage', 'recent']).withMessage('Sort must be relevance, price, usage or recent'),
+  
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc']).withMessage('Order must be asc or desc'),
+  
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true }).withMessage('Invalid search cursor'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
 ];
 
 /**
@@ -221,9 +304,383 @@ const provenanceRecordRules = [
   
   body('description')
     .notEmpty().withMessage('Description is required')
+    .isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
+  
+  body('parentDatasetIds')
+    .optional()
+    .isArray({ min: 1, max: 50 }).withMessage('Parent dataset IDs must be an array of 1 to 50 IDs'),
+  
+  body('parentDatasetIds.*')
+    .isUUID().withMessage('Invalid parent dataset ID format'),
+  
+  body('relationType')
+    .optional()
+    .isIn(['derivation', 'training', 'augmentation', 'subset', 'merge']).withMessage('Invalid relation type')
+];
+
+/**
+ * Dataset lineage query validation rules
+ */
+const lineageRules = [
+  query('depth')
+    .optional()
+    .isInt({ min: 1, max: 10 }).withMessage('Depth must be between 1 and 10'),
+  
+  query('direction')
+    .optional()
+    .isIn(['ancestors', 'descendants', 'both']).withMessage('Direction must be ancestors, descendants or both')
+];
+
+/**
+ * Provenance export query validation rules
+ */
+const provExportRules = [
+  query('format')
+    .optional()
+    .isIn(['prov-json', 'jsonld', 'turtle']).withMessage('Format must be prov-json, jsonld or turtle')
+];
+
+/**
+ * Provenance import validation rules
+ */
+const provImportRules = [
+  body('format')
+    .optional()
+    .isIn(['prov-json', 'jsonld']).withMessage('Format must be prov-json or jsonld'),
+  
+  body('document')
+    .notEmpty().withMessage('PROV document is required')
+    .custom(value => {
+      if (typeof value !== 'object') {
+        throw new Error('PROV document must be a JSON object or array');
+      }
+      return true;
+    })
+];
+
+/**
+ * Blockchain outbox filter validation rules
+ */
+const outboxFilterRules = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'processing', 'succeeded', 'failed', 'abandoned']).withMessage('Invalid outbox status'),
+  
+  query('operation')
+    .optional()
+    .isIn(['addProvenanceRecord', 'recordUsage', 'createProposal']).withMessage('Invalid outbox operation')
+];
+
+/**
+ * Blockchain outbox abandon validation rules
+ */
+const outboxAbandonRules = [
+  body('reason')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+];
+
+/**
+ * Royalty statement validation rules
+ */
+const royaltyStatementRules = [
+  query('account')
+    .optional()
+    .custom(value => {
+      if (!web3Utils.isValidAddress(value)) {
+        throw new Error('Invalid account address');
+      }
+      return true;
+    }),
+  
+  query('period')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Period must be a month in YYYY-MM format'),
+  
+  query('from')
+    .optional()
+    .isISO8601().withMessage('From must be an ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601().withMessage('To must be an ISO 8601 date'),
+  
+  query('datasetId')
+    .optional()
+    .isUUID().withMessage('Invalid dataset ID format')
+];
+
+/**
+ * Royalty payout validation rules
+ */
+const royaltyPayoutRules = [
+  body('account')
+    .notEmpty().withMessage('Account address is required')
+    .custom(value => {
+      if (!web3Utils.isValidAddress(value)) {
+        throw new Error('Invalid account address');
+      }
+      return true;
+    }),
+  
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .matches(/^[1-9]\d*$/).withMessage('Amount must be a positive integer in wei'),
+  
+  body('datasetId')
+    .optional()
+    .isUUID().withMessage('Invalid dataset ID format'),
+  
+  body('transactionHash')
+    .optional()
+    .matches(/^0x[0-9a-fA-F]{64}$/).withMessage('Invalid transaction hash'),
+  
+  body('description')
+    .optional()
     .isLength({ max: 500 }).withMessage('Description must be less than 500 characters')
 ];
 
+/**
+ * Model royalty payment validation rules
+ */
+const modelRoyaltyPaymentRules = [
+  param('modelId')
+    .notEmpty().withMessage('Model ID is required'),
+  
+  body('paymentId')
+    .notEmpty().withMessage('Payment ID is required'),
+  
+  body('paymentAmount')
+    .notEmpty().withMessage('Payment amount is required')
+    .matches(/^[1-9]\d*$/).withMessage('Payment amount must be a positive integer in wei'),
+  
+  body('paymentType')
+    .notEmpty().withMessage('Payment type is required'),
+  
+  body('period')
+    .optional()
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Period must be a month in YYYY-MM format'),
+  
+  body('from')
+    .optional()
+    .isISO8601().withMessage('From must be an ISO 8601 date'),
+  
+  body('to')
+    .optional()
+    .isISO8601().withMessage('To must be an ISO 8601 date')
+];
+
+/**
+ * DAO proposal validation rules
+ * Action parameters are checked against their action type by the proposal action service
+ */
+const proposalRules = [
+  body('actions')
+    .optional()
+    .isArray({ max: 20 }).withMessage('Actions must be an array of at most 20 actions'),
+  body('actions.*.type')
+    .isString().withMessage('Each action must have a type')
+];
+
+/**
+ * DAO vote validation rules
+ */
+const voteRules = [
+  body('voteType')
+    .optional()
+    .isIn(['for', 'against', 'abstain']).withMessage('Vote type must be for, against or abstain'),
+  body('support')
+    .optional()
+    .isBoolean().withMessage('Support must be a boolean')
+];
+
+/**
+ * Indexer reindex validation rules
+ */
+const indexerReindexRules = [
+  body('fromBlock')
+    .optional()
+    .isInt({ min: 0 }).withMessage('From block must be a non-negative integer')
+];
+
+/**
+ * Replica target validation rules
+ */
+const replicationTargetRules = [
+  body('target')
+    .isInt({ min: 1 }).withMessage('Target must be a positive integer')
+];
+
+/**
+ * Deal renewal policy validation rules
+ */
+const renewalPolicyRules = [
+  body('mode')
+    .optional()
+    .isIn(['auto', 'approval', 'off']).withMessage('Mode must be auto, approval or off'),
+  body('renewalDuration')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Renewal duration must be a positive number of epochs'),
+  body('lookaheadDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Lookahead must be a positive number of days'),
+  body('maxEpochPrice')
+    .optional({ nullable: true })
+    .matches(/^\d+$/).withMessage('Price limit must be an amount in attoFIL'),
+  body('budget')
+    .optional({ nullable: true })
+    .matches(/^\d+$/).withMessage('Budget must be an amount in attoFIL')
+];
+
+/**
+ * Resumable upload creation validation rules
+ */
+const uploadCreationRules = [
+  body('fileName')
+    .isString().withMessage('File name is required')
+    .isLength({ min: 1, max: 255 }).withMessage('File name must be between 1 and 255 characters'),
+  body('fileSize')
+    .isInt({ min: 1 }).withMessage('File size must be a positive number of bytes')
+    .toInt()
+];
+
+/**
+ * Upload chunk validation rules
+ */
+const uploadChunkRules = [
+  header('Upload-Offset')
+    .isInt({ min: 0 }).withMessage('Upload-Offset must be a byte offset'),
+  header('Upload-Checksum')
+    .matches(/^sha256 [A-Za-z0-9+/]+={0,2}$/).withMessage('Upload-Checksum must be "sha256 <base64 digest>"')
+];
+
+/**
+ * Provider audit history validation rules
+ */
+const providerAuditRules = [
+  param('providerId')
+    .matches(/^[ft]0\d+$/).withMessage('Invalid storage provider ID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Deal renewal rejection validation rules
+ */
+const renewalRejectionRules = [
+  body('reason')
+    .optional()
+    .isString().withMessage('Reason must be a string')
+    .isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+];
+
+/**
+ * Dataset download validation rules
+ */
+const downloadRules = [
+  query('licenseType')
+    .optional()
+    .isIn(['research', 'commercial', 'educational', 'personal']).withMessage('Invalid license type')
+];
+
+/**
+ * Dataset key release validation rules
+ */
+const datasetKeyRules = [
+  query('publicKey')
+    .optional()
+    .matches(/^0x([0-9a-fA-F]{66}|[0-9a-fA-F]{130})$/).withMessage('Public key must be a hex secp256k1 public key')
+];
+
+/**
+ * Verification request validation rules
+ */
+const verificationRequestRules = [
+  body('transactionHash')
+    .matches(/^0x[0-9a-fA-F]{64}$/).withMessage('Transaction hash of the verification request is required')
+];
+
+/**
+ * Verification request filter validation rules
+ */
+const verificationFilterRules = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'assigned', 'verified', 'rejected']).withMessage('Invalid verification status')
+];
+
+/**
+ * Verifier assignment validation rules
+ */
+const verifierAssignmentRules = [
+  body('verifier')
+    .custom(value => {
+      if (!web3Utils.isValidAddress(value)) {
+        throw new Error('Invalid verifier address');
+      }
+      return true;
+    })
+];
+
+/**
+ * Verification report validation rules
+ */
+const verificationReportRules = [
+  body('decision')
+    .isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  
+  body('checklist')
+    .isArray({ min: 1, max: 50 }).withMessage('Checklist must be an array of 1 to 50 items'),
+  
+  body('checklist.*.item')
+    .isString().withMessage('Each checklist item must be named')
+    .isLength({ min: 1, max: 200 }).withMessage('Checklist item names must be between 1 and 200 characters'),
+  
+  body('checklist.*.passed')
+    .isBoolean({ strict: true }).withMessage('Each checklist item must have passed or not'),
+  
+  body('checklist.*.notes')
+    .optional()
+    .isString().withMessage('Checklist notes must be a string')
+    .isLength({ max: 1000 }).withMessage('Checklist notes must be at most 1000 characters'),
+  
+  body('evidenceCids')
+    .optional()
+    .isArray({ max: 50 }).withMessage('Evidence CIDs must be an array of at most 50 CIDs'),
+  
+  body('evidenceCids.*')
+    .custom(value => validateCID(value)),
+  
+  body('summary')
+    .optional()
+    .isString().withMessage('Summary must be a string')
+    .isLength({ max: 5000 }).withMessage('Summary must be at most 5000 characters')
+];
+
+/**
+ * Dataset creation filter validation rules
+ */
+const creationFilterRules = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'running', 'completed', 'failed', 'compensating', 'compensated', 'quarantined', 'blocked'])
+    .withMessage('Invalid creation status')
+];
+
+/**
+ * Quarantined dataset creation review validation rules
+ */
+const creationReviewRules = [
+  body('decision')
+    .isIn(['release', 'reject']).withMessage('Decision must be release or reject'),
+  
+  body('reason')
+    .isString().withMessage('Reason is required')
+    .trim()
+    .isLength({ min: 1, max: 500 }).withMessage('Reason must be between 1 and 500 characters')
+];
+
 /**
  * ID parameter validation
  */
@@ -266,11 +723,39 @@ const validateCID = (value) => {
 module.exports = {
   validateRequest,
   userRegistrationRules,
+  challengeRules,
   walletAuthRules,
+  apiKeyCreationRules,
   datasetCreationRules,
   listingCreationRules,
+  searchRules,
   usageRecordingRules,
   provenanceRecordRules,
+  lineageRules,
+  provExportRules,
+  provImportRules,
+  outboxFilterRules,
+  outboxAbandonRules,
+  royaltyStatementRules,
+  royaltyPayoutRules,
+  modelRoyaltyPaymentRules,
+  indexerReindexRules,
+  replicationTargetRules,
+  renewalPolicyRules,
+  renewalRejectionRules,
+  providerAuditRules,
+  uploadCreationRules,
+  uploadChunkRules,
+  proposalRules,
+  voteRules,
+  downloadRules,
+  datasetKeyRules,
+  verificationRequestRules,
+  verificationFilterRules,
+  verifierAssignmentRules,
+  verificationReportRules,
+  creationFilterRules,
+  creationReviewRules,
   validateUUID,
   validateDatasetId,
   paginationRules,
@@ -0,0 +1,71 @@
+/**
+ * Access grant model
+ */
+module.exports = (sequelize, DataTypes) => {
+    const AccessGrant = sequelize.define('AccessGrant', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      purchaseId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Purchases',
+          key: 'id'
+        }
+      },
+      datasetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Datasets',
+          key: 'id'
+        }
+      },
+      grantee: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      accessToken: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+      },
+      licenseType: {
+        type: DataTypes.ENUM('research', 'commercial', 'educational', 'personal'),
+        allowNull: false
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['purchaseId']
+        },
+        {
+          fields: ['datasetId', 'grantee']
+        },
+        {
+          unique: true,
+          fields: ['accessToken']
+        }
+      ]
+    });
+
+    AccessGrant.associate = function(models) {
+      AccessGrant.belongsTo(models.Purchase, { foreignKey: 'purchaseId' });
+      AccessGrant.belongsTo(models.Dataset, { foreignKey: 'datasetId' });
+      AccessGrant.belongsTo(models.User, { foreignKey: 'grantee', targetKey: 'walletAddress', as: 'granteeUser' });
+    };
+
+    return AccessGrant;
+  };
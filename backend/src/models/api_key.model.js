@@ -0,0 +1,64 @@
+/**
+ * API key model
+ * A scoped key a user issues for scripts and CI pipelines; only its hash is stored,
+ * and its public prefix finds the row to compare against
+ */
+module.exports = (sequelize, DataTypes) => {
+    const ApiKey = sequelize.define('ApiKey', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      label: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      prefix: {
+        type: DataTypes.STRING, // Public part of the key, shown in listings and used for lookup
+        allowNull: false
+      },
+      keyHash: {
+        type: DataTypes.STRING, // SHA-256 of the whole key
+        allowNull: false
+      },
+      scopes: {
+        type: DataTypes.JSON, // Scopes the key grants, such as usage:write
+        allowNull: false,
+        defaultValue: []
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['prefix']
+        },
+        {
+          fields: ['userId']
+        }
+      ]
+    });
+    
+    ApiKey.associate = function(models) {
+      ApiKey.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    };
+    
+    return ApiKey;
+  };
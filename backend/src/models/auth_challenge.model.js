@@ -0,0 +1,46 @@
+/**
+ * Authentication challenge model
+ * A Sign-In with Ethereum nonce issued to one address and client session; shared by every
+ * backend instance, and consumed on first use so a signed message cannot be replayed
+ */
+module.exports = (sequelize, DataTypes) => {
+    const AuthChallenge = sequelize.define('AuthChallenge', {
+      nonce: {
+        type: DataTypes.STRING,
+        primaryKey: true
+      },
+      address: {
+        type: DataTypes.STRING, // Lowercase wallet address the nonce was issued to
+        allowNull: false
+      },
+      sessionHash: {
+        type: DataTypes.STRING, // SHA-256 of the session secret returned to the requesting client
+        allowNull: false
+      },
+      chainId: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      issuedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      consumedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['expiresAt']
+        }
+      ]
+    });
+    
+    return AuthChallenge;
+  };
@@ -0,0 +1,70 @@
+/**
+ * Chain event model
+ * A contract event synced by the indexer
+ */
+module.exports = (sequelize, DataTypes) => {
+    const ChainEvent = sequelize.define('ChainEvent', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      contractName: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      eventName: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      blockNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      blockHash: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      transactionHash: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      logIndex: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      args: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('processed', 'ignored', 'failed'),
+        allowNull: false
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['transactionHash', 'logIndex']
+        },
+        {
+          fields: ['contractName', 'blockNumber']
+        },
+        {
+          fields: ['status']
+        }
+      ]
+    });
+    
+    return ChainEvent;
+  };
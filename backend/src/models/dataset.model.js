@@ -63,6 +63,26 @@ module.exports = (sequelize, DataTypes) => {
       dealConfirmed: {
         type: DataTypes.BOOLEAN,
         defaultValue: false
+      },
+      replicationTarget: {
+        type: DataTypes.INTEGER,
+        allowNull: true // Falls back to the configured replication factor
+      },
+      storageCommitment: {
+        type: DataTypes.JSON,
+        allowNull: true // Merkle root over the stored CAR's blocks that audits are checked against
+      },
+      encrypted: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false // Stored encrypted, with the data key in escrow
+      },
+      profile: {
+        type: DataTypes.JSON,
+        allowNull: true // Schema, statistics or archive manifest of the content, taken on ingest
+      },
+      profileCid: {
+        type: DataTypes.STRING,
+        allowNull: true // The profile as published on IPFS
       }
     }, {
       timestamps: true,
@@ -92,6 +112,9 @@ module.exports = (sequelize, DataTypes) => {
       Dataset.hasMany(models.Listing, { foreignKey: 'datasetId' });
       Dataset.hasMany(models.Royalty, { foreignKey: 'datasetId' });
       Dataset.hasMany(models.AccessGrant, { foreignKey: 'datasetId' });
+      Dataset.hasMany(models.FilecoinDeal, { foreignKey: 'datasetId' });
+      Dataset.hasMany(models.DatasetLineage, { foreignKey: 'childDatasetId', as: 'parentLinks' });
+      Dataset.hasMany(models.DatasetLineage, { foreignKey: 'parentDatasetId', as: 'childLinks' });
     };
     
     return Dataset;
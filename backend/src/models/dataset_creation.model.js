@@ -0,0 +1,115 @@
+/**
+ * Dataset creation model
+ * Persisted state of the multi-step dataset creation pipeline
+ */
+module.exports = (sequelize, DataTypes) => {
+    const DatasetCreation = sequelize.define('DatasetCreation', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      creator: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'running', 'completed', 'failed', 'compensating', 'compensated', 'quarantined', 'blocked'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      currentStep: {
+        type: DataTypes.ENUM(
+          'scan_content',
+          'profile_dataset',
+          'upload_metadata',
+          'store_dataset',
+          'register_dataset',
+          'create_storage_deal',
+          'save_records',
+          'record_provenance',
+          'done'
+        ),
+        allowNull: false,
+        defaultValue: 'scan_content'
+      },
+      input: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      scan: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      profile: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      profileCid: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      metadataUri: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      cid: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      storageCommitment: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      tokenId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      dealId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      steps: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      leaseOwner: {
+        type: DataTypes.STRING, // Run holding the creation while it is running
+        allowNull: true
+      },
+      leaseExpiresAt: {
+        type: DataTypes.DATE, // Renewed by the running run; once past, the run counts as interrupted
+        allowNull: true
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      compensation: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['creator']
+        },
+        {
+          fields: ['status']
+        }
+      ]
+    });
+
+    return DatasetCreation;
+  };
@@ -0,0 +1,44 @@
+/**
+ * Dataset key model
+ * The escrowed data key of an encrypted dataset, wrapped under the key escrow master key
+ */
+module.exports = (sequelize, DataTypes) => {
+    const DatasetKey = sequelize.define('DatasetKey', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      datasetId: {
+        type: DataTypes.UUID, // Set while the dataset is being created, before its row exists
+        allowNull: false,
+        unique: true
+      },
+      algorithm: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      wrappedKey: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      masterKeyId: {
+        type: DataTypes.STRING, // Master key the data key is wrapped under
+        allowNull: false
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['datasetId']
+        }
+      ]
+    });
+    
+    DatasetKey.associate = function(models) {
+      DatasetKey.hasMany(models.KeyRelease, { foreignKey: 'datasetKeyId', as: 'releases' });
+    };
+    
+    return DatasetKey;
+  };
@@ -0,0 +1,68 @@
+/**
+ * Dataset lineage model
+ * Links a derived dataset to each of the datasets it was derived from
+ */
+module.exports = (sequelize, DataTypes) => {
+    const DatasetLineage = sequelize.define('DatasetLineage', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      parentDatasetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Datasets',
+          key: 'id'
+        }
+      },
+      childDatasetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Datasets',
+          key: 'id'
+        }
+      },
+      relationType: {
+        type: DataTypes.ENUM('derivation', 'training', 'augmentation', 'subset', 'merge'),
+        allowNull: false,
+        defaultValue: 'derivation'
+      },
+      provenanceRecordId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'ProvenanceRecords',
+          key: 'id'
+        }
+      },
+      createdBy: {
+        type: DataTypes.STRING,
+        allowNull: false
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['parentDatasetId']
+        },
+        {
+          fields: ['childDatasetId']
+        },
+        {
+          unique: true,
+          fields: ['parentDatasetId', 'childDatasetId']
+        }
+      ]
+    });
+
+    DatasetLineage.associate = function(models) {
+      DatasetLineage.belongsTo(models.Dataset, { foreignKey: 'parentDatasetId', as: 'parent' });
+      DatasetLineage.belongsTo(models.Dataset, { foreignKey: 'childDatasetId', as: 'child' });
+      DatasetLineage.belongsTo(models.ProvenanceRecord, { foreignKey: 'provenanceRecordId' });
+    };
+
+    return DatasetLineage;
+  };
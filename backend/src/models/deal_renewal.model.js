@@ -0,0 +1,91 @@
+/**
+ * Deal renewal model
+ * A planned renewal of a storage deal nearing its end epoch, and its outcome
+ */
+module.exports = (sequelize, DataTypes) => {
+    const DealRenewal = sequelize.define('DealRenewal', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      datasetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Datasets',
+          key: 'id'
+        }
+      },
+      dealId: {
+        type: DataTypes.STRING, // Deal being renewed
+        allowNull: false,
+        unique: true
+      },
+      action: {
+        type: DataTypes.ENUM('renew', 'redeal'),
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('pending_approval', 'approved', 'completed', 'failed', 'rejected', 'skipped'),
+        allowNull: false
+      },
+      provider: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      startEpoch: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      duration: {
+        type: DataTypes.INTEGER, // Epochs
+        allowNull: true
+      },
+      estimatedCost: {
+        type: DataTypes.STRING, // attoFIL
+        allowNull: true
+      },
+      newDealId: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      reason: {
+        type: DataTypes.TEXT, // Why the renewal was skipped, rejected or failed
+        allowNull: true
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      decidedBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      decidedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['datasetId', 'createdAt']
+        },
+        {
+          fields: ['status']
+        }
+      ]
+    });
+    
+    DealRenewal.associate = function(models) {
+      DealRenewal.belongsTo(models.Dataset, { foreignKey: 'datasetId' });
+    };
+    
+    return DealRenewal;
+  };
@@ -0,0 +1,56 @@
+/**
+ * Deal renewal policy model
+ * How the storage deals of a dataset are renewed when they near their end epoch
+ */
+module.exports = (sequelize, DataTypes) => {
+    const DealRenewalPolicy = sequelize.define('DealRenewalPolicy', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      datasetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'Datasets',
+          key: 'id'
+        }
+      },
+      mode: {
+        type: DataTypes.ENUM('auto', 'approval', 'off'),
+        allowNull: false,
+        defaultValue: 'approval'
+      },
+      renewalDuration: {
+        type: DataTypes.INTEGER, // Epochs; the configured deal duration when not set
+        allowNull: true
+      },
+      lookaheadDays: {
+        type: DataTypes.INTEGER, // The configured lookahead when not set
+        allowNull: true
+      },
+      maxEpochPrice: {
+        type: DataTypes.STRING, // attoFIL per GiB per epoch
+        allowNull: true
+      },
+      budget: {
+        type: DataTypes.STRING, // Total attoFIL that renewals may spend
+        allowNull: true
+      },
+      spent: {
+        type: DataTypes.STRING, // attoFIL committed by completed renewals
+        allowNull: false,
+        defaultValue: '0'
+      }
+    }, {
+      timestamps: true
+    });
+    
+    DealRenewalPolicy.associate = function(models) {
+      DealRenewalPolicy.belongsTo(models.Dataset, { foreignKey: 'datasetId' });
+    };
+    
+    return DealRenewalPolicy;
+  };
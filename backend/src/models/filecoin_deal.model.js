@@ -24,7 +24,7 @@ module.exports = (sequelize) => {
       comment: 'The Filecoin deal ID'
     },
     datasetId: {
-      type: DataTypes.INTEGER,
+      type: DataTypes.UUID,
       allowNull: false,
       references: {
         model: 'Datasets',
@@ -33,7 +33,7 @@ module.exports = (sequelize) => {
     },
     providerId: {
       type: DataTypes.INTEGER,
-      allowNull: false,
+      allowNull: true,
       references: {
         model: 'Users',
         key: 'id'
@@ -49,6 +49,12 @@ module.exports = (sequelize) => {
       allowNull: false,
       comment: 'Filecoin miner address'
     },
+    region: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'Unknown',
+      comment: 'Region of the storage provider'
+    },
     size: {
       type: DataTypes.BIGINT,
       allowNull: false,
@@ -59,6 +65,18 @@ module.exports = (sequelize) => {
       allowNull: false,
       comment: 'When the deal starts'
     },
+    endTime: {
+      type: DataTypes.DATE,
+      comment: 'When the deal expires'
+    },
+    startEpoch: {
+      type: DataTypes.INTEGER,
+      comment: 'Epoch the deal starts at'
+    },
+    endEpoch: {
+      type: DataTypes.INTEGER,
+      comment: 'Epoch the deal expires at'
+    },
     duration: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -88,6 +106,30 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       comment: 'Piece CID for the deal'
     },
+    pieceSize: {
+      type: DataTypes.BIGINT,
+      comment: 'Padded piece size in bytes'
+    },
+    dealCid: {
+      type: DataTypes.STRING,
+      comment: 'Proposal CID returned by Lotus'
+    },
+    replacesDealId: {
+      type: DataTypes.STRING,
+      comment: 'Deal ID of the failed or expired replica this deal replaces'
+    },
+    failureReason: {
+      type: DataTypes.TEXT,
+      comment: 'Why the deal failed'
+    },
+    lastCheckedAt: {
+      type: DataTypes.DATE,
+      comment: 'When the deal status was last checked'
+    },
+    lastAuditedAt: {
+      type: DataTypes.DATE,
+      comment: 'When the provider last answered a retrievability audit for the deal'
+    },
     verifiedDeal: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
@@ -105,7 +147,19 @@ module.exports = (sequelize) => {
     sequelize,
     modelName: 'FilecoinDeal',
     tableName: 'filecoin_deals',
-    timestamps: true
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['datasetId', 'status']
+      },
+      {
+        fields: ['status', 'endEpoch']
+      },
+      {
+        unique: true,
+        fields: ['dealId']
+      }
+    ]
   });
 
   return FilecoinDeal;
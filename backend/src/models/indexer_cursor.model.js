@@ -0,0 +1,49 @@
+/**
+ * Indexer cursor model
+ * The last block whose events were synced into the database, per contract
+ */
+module.exports = (sequelize, DataTypes) => {
+    const IndexerCursor = sequelize.define('IndexerCursor', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      contractName: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+      },
+      contractAddress: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      startBlock: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastProcessedBlock: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: -1
+      },
+      lastProcessedBlockHash: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      reorgCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      }
+    }, {
+      timestamps: true
+    });
+    
+    return IndexerCursor;
+  };
@@ -0,0 +1,63 @@
+/**
+ * Key release model
+ * A data key handed out of escrow, and the access that allowed it
+ */
+module.exports = (sequelize, DataTypes) => {
+    const KeyRelease = sequelize.define('KeyRelease', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      datasetKeyId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'DatasetKeys',
+          key: 'id'
+        }
+      },
+      datasetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Datasets',
+          key: 'id'
+        }
+      },
+      grantee: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      accessType: {
+        type: DataTypes.ENUM('owner', 'grant', 'onchain'),
+        allowNull: false
+      },
+      accessGrantId: {
+        type: DataTypes.UUID,
+        allowNull: true
+      },
+      wrapping: {
+        type: DataTypes.STRING, // Key wrapping scheme, or 'none' when released unwrapped
+        allowNull: false
+      },
+      publicKey: {
+        type: DataTypes.STRING, // Wallet public key the data key was wrapped for
+        allowNull: true
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['datasetId', 'grantee']
+        }
+      ]
+    });
+    
+    KeyRelease.associate = function(models) {
+      KeyRelease.belongsTo(models.DatasetKey, { foreignKey: 'datasetKeyId' });
+      KeyRelease.belongsTo(models.Dataset, { foreignKey: 'datasetId' });
+    };
+    
+    return KeyRelease;
+  };
@@ -30,7 +30,22 @@ module.exports = (sequelize, DataTypes) => {
       },
       duration: {
         type: DataTypes.INTEGER,
-        allowNull: false
+        allowNull: false // Access period of a seat, or the billing period of a subscription
+      },
+      saleMode: {
+        type: DataTypes.ENUM('unlimited', 'capped', 'subscription'),
+        allowNull: false,
+        defaultValue: 'capped'
+      },
+      maxSeats: {
+        type: DataTypes.INTEGER,
+        allowNull: true, // No cap
+        defaultValue: 1
+      },
+      seatsSold: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
       },
       seller: {
         type: DataTypes.STRING,
@@ -78,6 +93,7 @@ module.exports = (sequelize, DataTypes) => {
       Listing.belongsTo(models.Dataset, { foreignKey: 'datasetId' });
       Listing.belongsTo(models.User, { foreignKey: 'seller', targetKey: 'walletAddress', as: 'sellerUser' });
       Listing.hasMany(models.Purchase, { foreignKey: 'listingId' });
+      Listing.hasMany(models.Subscription, { foreignKey: 'listingId' });
     };
     
     return Listing;
@@ -0,0 +1,46 @@
+/**
+ * Notification model
+ * A message for a user, such as a subscription renewal reminder
+ */
+module.exports = (sequelize, DataTypes) => {
+    const Notification = sequelize.define('Notification', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      recipient: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      type: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      message: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      data: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      readAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['recipient', 'readAt']
+        }
+      ]
+    });
+    
+    return Notification;
+  };
@@ -0,0 +1,83 @@
+/**
+ * Outbox entry model
+ * A blockchain write that failed and is queued for retry
+ */
+module.exports = (sequelize, DataTypes) => {
+    const OutboxEntry = sequelize.define('OutboxEntry', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      operation: {
+        type: DataTypes.ENUM('addProvenanceRecord', 'recordUsage', 'createProposal'),
+        allowNull: false
+      },
+      targetModel: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      targetId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      payload: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'processing', 'succeeded', 'failed', 'abandoned'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      maxAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 8
+      },
+      nextAttemptAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      transactionHash: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      abandonedBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      abandonReason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['status', 'nextAttemptAt']
+        },
+        {
+          fields: ['targetModel', 'targetId']
+        },
+        {
+          fields: ['operation']
+        }
+      ]
+    });
+
+    return OutboxEntry;
+  };
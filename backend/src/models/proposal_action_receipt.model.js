@@ -0,0 +1,75 @@
+/**
+ * Proposal action receipt model
+ * The outcome of one action carried out when a DAO proposal was executed
+ */
+module.exports = (sequelize, DataTypes) => {
+    const ProposalActionReceipt = sequelize.define('ProposalActionReceipt', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      proposalId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      actionIndex: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      actionType: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      contractName: {
+        type: DataTypes.STRING,
+        allowNull: true // Treasury transfers are not contract calls
+      },
+      method: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      args: {
+        type: DataTypes.JSON,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('executed', 'failed'),
+        allowNull: false
+      },
+      transactionHash: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      blockNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      gasUsed: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      executor: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      executedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['proposalId', 'actionIndex']
+        }
+      ]
+    });
+    
+    return ProposalActionReceipt;
+  };
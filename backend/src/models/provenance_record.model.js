@@ -17,7 +17,7 @@ module.exports = (sequelize, DataTypes) => {
         }
       },
       actionType: {
-        type: DataTypes.ENUM('creation', 'modification', 'derivation', 'usage', 'verification', 'transfer', 'storage_confirmed', 'storage_failed'),
+        type: DataTypes.ENUM('creation', 'modification', 'derivation', 'usage', 'verification', 'transfer', 'storage_confirmed', 'storage_failed', 'storage_renewal', 'content_scan'),
         allowNull: false
       },
       performedBy: {
@@ -47,6 +47,18 @@ module.exports = (sequelize, DataTypes) => {
           model: 'ProvenanceRecords',
           key: 'id'
         }
+      },
+      sequence: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      contentHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+      },
+      previousHash: {
+        type: DataTypes.STRING(64),
+        allowNull: true
       }
     }, {
       timestamps: true,
@@ -62,6 +74,10 @@ module.exports = (sequelize, DataTypes) => {
         },
         {
           fields: ['previousRecordId']
+        },
+        {
+          unique: true,
+          fields: ['datasetId', 'sequence']
         }
       ]
     });
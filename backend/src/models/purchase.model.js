@@ -32,6 +32,10 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING,
         allowNull: false
       },
+      platformFee: {
+        type: DataTypes.STRING,
+        allowNull: true // Wei the marketplace contract kept of the price; set once the fee is known
+      },
       licenseType: {
         type: DataTypes.ENUM('research', 'commercial', 'educational', 'personal'),
         allowNull: false
@@ -47,6 +51,22 @@ module.exports = (sequelize, DataTypes) => {
       transactionHash: {
         type: DataTypes.STRING,
         allowNull: true
+      },
+      verifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true // Set once the transaction's ListingPurchased event was checked against the purchase
+      },
+      confirmedAt: {
+        type: DataTypes.DATE,
+        allowNull: true // Set when the chain indexer sees the purchase confirmed; revenue is only credited after
+      },
+      subscriptionId: {
+        type: DataTypes.UUID,
+        allowNull: true, // Set on the purchases that start or renew a subscription
+        references: {
+          model: 'Subscriptions',
+          key: 'id'
+        }
       }
     }, {
       timestamps: true,
@@ -59,6 +79,9 @@ module.exports = (sequelize, DataTypes) => {
         },
         {
           fields: ['buyer']
+        },
+        {
+          fields: ['subscriptionId']
         }
       ]
     });
@@ -67,7 +90,8 @@ module.exports = (sequelize, DataTypes) => {
       Purchase.belongsTo(models.Listing, { foreignKey: 'listingId' });
       Purchase.belongsTo(models.Dataset, { foreignKey: 'datasetId' });
       Purchase.belongsTo(models.User, { foreignKey: 'buyer', targetKey: 'walletAddress', as: 'buyerUser' });
-      Purchase.hasOne(models.AccessGrant, { foreignKey: 'purchaseId' });
+      Purchase.hasOne(models.AccessGrant, { foreignKey: 'purchaseId', as: 'accessGrant' });
+      Purchase.belongsTo(models.Subscription, { foreignKey: 'subscriptionId' });
     };
     
     return Purchase;
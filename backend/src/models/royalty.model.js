@@ -29,9 +29,9 @@ module.exports = (sequelize, DataTypes) => {
         }
       },
       totalAmount: {
-        type: DataTypes.FLOAT,
+        type: DataTypes.STRING, // Ledger balance in wei
         allowNull: false,
-        defaultValue: 0
+        defaultValue: '0'
       },
       lastCalculated: {
         type: DataTypes.DATE,
@@ -0,0 +1,78 @@
+/**
+ * Royalty ledger entry model
+ * A credit or debit in wei against a contributor's royalty account
+ */
+module.exports = (sequelize, DataTypes) => {
+    const RoyaltyLedgerEntry = sequelize.define('RoyaltyLedgerEntry', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      datasetId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'Datasets',
+          key: 'id'
+        }
+      },
+      account: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      entryType: {
+        type: DataTypes.ENUM('credit', 'debit'),
+        allowNull: false
+      },
+      amount: {
+        type: DataTypes.STRING, // Amount in wei
+        allowNull: false
+      },
+      source: {
+        type: DataTypes.ENUM('purchase', 'royalty_distribution', 'payment', 'payout', 'claim', 'adjustment'),
+        allowNull: false
+      },
+      sourceId: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      transactionHash: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      occurredAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+      },
+      metadata: {
+        type: DataTypes.JSON,
+        allowNull: true
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['account', 'occurredAt']
+        },
+        {
+          fields: ['datasetId', 'occurredAt']
+        },
+        {
+          unique: true,
+          fields: ['source', 'sourceId', 'account', 'entryType']
+        }
+      ]
+    });
+    
+    RoyaltyLedgerEntry.associate = function(models) {
+      RoyaltyLedgerEntry.belongsTo(models.Dataset, { foreignKey: 'datasetId' });
+    };
+    
+    return RoyaltyLedgerEntry;
+  };
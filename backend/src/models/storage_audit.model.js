@@ -0,0 +1,74 @@
+/**
+ * Storage audit model
+ * A proof-of-retrievability challenge issued to a storage provider for one deal, and its result
+ */
+module.exports = (sequelize, DataTypes) => {
+    const StorageAudit = sequelize.define('StorageAudit', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      provider: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      dealId: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      datasetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Datasets',
+          key: 'id'
+        }
+      },
+      seed: {
+        type: DataTypes.STRING, // Hex seed the challenged offsets are derived from
+        allowNull: false
+      },
+      challengeCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      status: {
+        type: DataTypes.ENUM('passed', 'failed', 'unreachable'),
+        allowNull: false
+      },
+      failedChallenges: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      failures: {
+        type: DataTypes.JSON, // Offsets that were not proven and why
+        allowNull: true
+      },
+      error: {
+        type: DataTypes.TEXT, // Why the prover did not answer
+        allowNull: true
+      },
+      durationMs: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['provider', 'createdAt']
+        },
+        {
+          fields: ['dealId']
+        }
+      ]
+    });
+    
+    StorageAudit.associate = function(models) {
+      StorageAudit.belongsTo(models.Dataset, { foreignKey: 'datasetId' });
+    };
+    
+    return StorageAudit;
+  };
@@ -0,0 +1,90 @@
+/**
+ * Subscription model
+ * Recurring access to a dataset through a subscription listing, renewed one billing period at a time
+ */
+module.exports = (sequelize, DataTypes) => {
+    const Subscription = sequelize.define('Subscription', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      listingId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Listings',
+          key: 'id'
+        }
+      },
+      datasetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Datasets',
+          key: 'id'
+        }
+      },
+      subscriber: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      accessGrantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'AccessGrants',
+          key: 'id'
+        }
+      },
+      status: {
+        type: DataTypes.ENUM('active', 'cancelled', 'expired'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      currentPeriodStart: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      currentPeriodEnd: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      renewalCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      reminderSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      cancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['listingId', 'subscriber']
+        },
+        {
+          fields: ['subscriber']
+        },
+        {
+          fields: ['status', 'currentPeriodEnd']
+        }
+      ]
+    });
+    
+    Subscription.associate = function(models) {
+      Subscription.belongsTo(models.Listing, { foreignKey: 'listingId' });
+      Subscription.belongsTo(models.Dataset, { foreignKey: 'datasetId' });
+      Subscription.belongsTo(models.AccessGrant, { foreignKey: 'accessGrantId', as: 'accessGrant' });
+      Subscription.hasMany(models.Purchase, { foreignKey: 'subscriptionId' });
+    };
+    
+    return Subscription;
+  };
@@ -0,0 +1,63 @@
+/**
+ * Upload model
+ * A resumable upload of a dataset file, received in chunks at the offset the server has stored
+ */
+module.exports = (sequelize, DataTypes) => {
+    const Upload = sequelize.define('Upload', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      owner: {
+        type: DataTypes.STRING, // Uploader's wallet address
+        allowNull: false
+      },
+      fileName: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      fileSize: {
+        type: DataTypes.BIGINT,
+        allowNull: false
+      },
+      chunkSize: {
+        type: DataTypes.INTEGER, // Largest chunk accepted
+        allowNull: false
+      },
+      offset: {
+        type: DataTypes.BIGINT, // Bytes received and checked so far
+        allowNull: false,
+        defaultValue: 0
+      },
+      status: {
+        type: DataTypes.ENUM('uploading', 'completed', 'cancelled', 'expired'),
+        allowNull: false,
+        defaultValue: 'uploading'
+      },
+      checksum: {
+        type: DataTypes.STRING, // SHA-256 of the assembled file
+        allowNull: true
+      },
+      creationId: {
+        type: DataTypes.UUID, // Dataset creation started from the assembled file
+        allowNull: true
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['owner']
+        },
+        {
+          fields: ['status', 'expiresAt']
+        }
+      ]
+    });
+
+    return Upload;
+  };
@@ -42,10 +42,6 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.BOOLEAN,
         defaultValue: false
       },
-      apiKey: {
-        type: DataTypes.STRING,
-        allowNull: true
-      },
       lastLogin: {
         type: DataTypes.DATE,
         allowNull: true
@@ -74,6 +70,7 @@ module.exports = (sequelize, DataTypes) => {
       User.hasMany(models.Usage, { foreignKey: 'usedBy', as: 'usageRecords' });
       User.hasMany(models.Listing, { foreignKey: 'seller', as: 'listings' });
       User.hasMany(models.Purchase, { foreignKey: 'buyer', as: 'purchases' });
+      User.hasMany(models.ApiKey, { foreignKey: 'userId', as: 'apiKeys' });
     };
     
     return User;
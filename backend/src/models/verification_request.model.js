@@ -0,0 +1,107 @@
+/**
+ * Verification request model
+ * A dataset verification requested on the VerificationRegistry contract, its assigned verifier
+ * and the verifier's report
+ */
+module.exports = (sequelize, DataTypes) => {
+    const VerificationRequest = sequelize.define('VerificationRequest', {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      onChainId: {
+        type: DataTypes.STRING, // Request ID in the VerificationRegistry contract
+        allowNull: false,
+        unique: true
+      },
+      datasetId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'Datasets',
+          key: 'id'
+        }
+      },
+      requester: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      method: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      details: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      fee: {
+        type: DataTypes.STRING, // Wei paid with the request
+        allowNull: true
+      },
+      status: {
+        type: DataTypes.ENUM('pending', 'assigned', 'verified', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      assignedVerifier: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      assignedBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      assignedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      report: {
+        type: DataTypes.JSON, // Checklist results, evidence CIDs and summary
+        allowNull: true
+      },
+      reportCid: {
+        type: DataTypes.STRING, // Report document on IPFS, recorded on-chain as the feedback
+        allowNull: true
+      },
+      result: {
+        type: DataTypes.STRING, // VERIFIED or REJECTED
+        allowNull: true
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      requestTxHash: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      assignTxHash: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      completeTxHash: {
+        type: DataTypes.STRING,
+        allowNull: true
+      }
+    }, {
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['datasetId', 'createdAt']
+        },
+        {
+          fields: ['status']
+        },
+        {
+          fields: ['assignedVerifier']
+        }
+      ]
+    });
+    
+    VerificationRequest.associate = function(models) {
+      VerificationRequest.belongsTo(models.Dataset, { foreignKey: 'datasetId' });
+    };
+    
+    return VerificationRequest;
+  };
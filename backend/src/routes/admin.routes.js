@@ -0,0 +1,73 @@
+/**
+ * Admin routes
+ */
+const express = require('express');
+const adminController = require('../controllers/admin.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const validationMiddleware = require('../middleware/validation.middleware');
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin
+router.use(authMiddleware.authenticate, authMiddleware.requireAdmin);
+
+// Blockchain outbox
+router.get(
+  '/outbox',
+  validationMiddleware.paginationRules,
+  validationMiddleware.outboxFilterRules,
+  validationMiddleware.validateRequest,
+  adminController.listOutboxEntries
+);
+
+router.get(
+  '/outbox/:id',
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  adminController.getOutboxEntry
+);
+
+router.post(
+  '/outbox/:id/retry',
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  adminController.retryOutboxEntry
+);
+
+router.post(
+  '/outbox/:id/abandon',
+  validationMiddleware.validateUUID,
+  validationMiddleware.outboxAbandonRules,
+  validationMiddleware.validateRequest,
+  adminController.abandonOutboxEntry
+);
+
+// Royalty ledger
+router.post(
+  '/royalties/payouts',
+  validationMiddleware.royaltyPayoutRules,
+  validationMiddleware.validateRequest,
+  adminController.recordRoyaltyPayout
+);
+
+router.post(
+  '/royalties/dataset/:datasetId/reconcile',
+  validationMiddleware.validateDatasetId,
+  validationMiddleware.validateRequest,
+  adminController.reconcileRoyalties
+);
+
+// Chain event indexer
+router.get(
+  '/indexer',
+  adminController.getIndexerStatus
+);
+
+router.post(
+  '/indexer/:contractName/reindex',
+  validationMiddleware.indexerReindexRules,
+  validationMiddleware.validateRequest,
+  adminController.reindexContract
+);
+
+module.exports = router;
@@ -33,12 +33,20 @@ router.get(
 // Protected routes
 router.post(
   '/usage',
-  authMiddleware.authenticate,
+  authMiddleware.authenticateAny('usage:write'),
   validationMiddleware.usageRecordingRules,
   validationMiddleware.validateRequest,
   attributionController.recordUsage
 );
 
+router.get(
+  '/royalties/statement',
+  authMiddleware.authenticate,
+  validationMiddleware.royaltyStatementRules,
+  validationMiddleware.validateRequest,
+  attributionController.getRoyaltyStatement
+);
+
 router.post(
   '/dataset/:datasetId/royalties',
   authMiddleware.authenticate,
@@ -47,4 +55,12 @@ router.post(
   attributionController.distributeRoyalties
 );
 
+router.post(
+  '/model/:modelId/royalties',
+  authMiddleware.authenticate,
+  validationMiddleware.modelRoyaltyPaymentRules,
+  validationMiddleware.validateRequest,
+  attributionController.distributeModelRoyalties
+);
+
 module.exports = router;
\ No newline at end of file
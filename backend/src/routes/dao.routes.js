@@ -9,6 +9,11 @@ const validationMiddleware = require('../middleware/validation.middleware');
 const router = express.Router();
 
 // Public routes
+router.get(
+  '/actions',
+  daoController.getActionTypes
+);
+
 router.get(
   '/proposals',
   validationMiddleware.paginationRules,
@@ -31,10 +36,19 @@ router.get(
   daoController.getProposalVotes
 );
 
+router.get(
+  '/proposals/:proposalId/dry-run',
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  daoController.previewExecution
+);
+
 // Protected routes
 router.post(
   '/proposals',
   authMiddleware.authenticate,
+  validationMiddleware.proposalRules,
+  validationMiddleware.validateRequest,
   daoController.createProposal
 );
 
@@ -42,6 +56,7 @@ router.post(
   '/proposals/:proposalId/vote',
   authMiddleware.authenticate,
   validationMiddleware.validateUUID,
+  validationMiddleware.voteRules,
   validationMiddleware.validateRequest,
   daoController.castVote
 );
@@ -3,6 +3,7 @@
  */
 const express = require('express');
 const datasetController = require('../controllers/dataset.controller');
+const verificationController = require('../controllers/verification.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const validationMiddleware = require('../middleware/validation.middleware');
 const rateLimitMiddleware = require('../middleware/rate-limit.middleware');
@@ -17,6 +18,24 @@ router.get(
   datasetController.listDatasets
 );
 
+router.get(
+  '/search',
+  validationMiddleware.searchRules,
+  validationMiddleware.validateRequest,
+  datasetController.searchDatasets
+);
+
+// Admin routes; registered before /:id so the path is not read as an ID
+router.get(
+  '/creations',
+  authMiddleware.authenticate,
+  authMiddleware.requireAdmin,
+  validationMiddleware.creationFilterRules,
+  validationMiddleware.paginationRules,
+  validationMiddleware.validateRequest,
+  datasetController.listCreations
+);
+
 router.get(
   '/:id',
   validationMiddleware.validateUUID,
@@ -24,6 +43,13 @@ router.get(
   datasetController.getDataset
 );
 
+router.get(
+  '/:id/verifications',
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  verificationController.getVerificationHistory
+);
+
 router.get(
   '/token/:tokenId',
   datasetController.getDatasetByTokenId
@@ -32,25 +58,70 @@ router.get(
 // Protected routes
 router.post(
   '/',
-  authMiddleware.authenticate,
+  authMiddleware.authenticateAny('datasets:write'),
   rateLimitMiddleware.apiLimiter,
   datasetController.createDataset
 );
 
+router.get(
+  '/creations/:id',
+  authMiddleware.authenticate,
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  datasetController.getCreationStatus
+);
+
 router.post(
-  '/:id/verify',
+  '/creations/:id/resume',
   authMiddleware.authenticate,
   validationMiddleware.validateUUID,
   validationMiddleware.validateRequest,
-  datasetController.verifyDataset
+  datasetController.resumeCreation
+);
+
+router.post(
+  '/creations/:id/review',
+  authMiddleware.authenticate,
+  authMiddleware.requireAdmin,
+  validationMiddleware.validateUUID,
+  validationMiddleware.creationReviewRules,
+  validationMiddleware.validateRequest,
+  datasetController.reviewCreation
+);
+
+router.delete(
+  '/creations/:id',
+  authMiddleware.authenticate,
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  datasetController.cancelCreation
+);
+
+router.post(
+  '/:id/verifications',
+  authMiddleware.authenticate,
+  validationMiddleware.validateUUID,
+  validationMiddleware.verificationRequestRules,
+  validationMiddleware.validateRequest,
+  verificationController.requestVerification
 );
 
 router.get(
   '/:id/download',
-  authMiddleware.authenticateAny,
+  authMiddleware.authenticateAny('datasets:read'),
   validationMiddleware.validateUUID,
+  validationMiddleware.downloadRules,
   validationMiddleware.validateRequest,
   datasetController.downloadDataset
 );
 
+router.get(
+  '/:id/key',
+  authMiddleware.authenticateAny('datasets:read'),
+  validationMiddleware.validateUUID,
+  validationMiddleware.datasetKeyRules,
+  validationMiddleware.validateRequest,
+  datasetController.getDatasetKey
+);
+
 module.exports = router;
\ No newline at end of file
@@ -24,6 +24,20 @@ router.get(
   filecoinController.checkDealStatus
 );
 
+router.get(
+  '/providers/:providerId/audits',
+  validationMiddleware.providerAuditRules,
+  validationMiddleware.validateRequest,
+  filecoinController.getProviderAudits
+);
+
+router.get(
+  '/datasets/:datasetId/replicas',
+  validationMiddleware.validateDatasetId,
+  validationMiddleware.validateRequest,
+  filecoinController.getReplicaHealth
+);
+
 // Protected routes
 router.post(
   '/store',
@@ -33,7 +47,7 @@ router.post(
 
 router.post(
   '/retrieve',
-  authMiddleware.authenticateAny,
+  authMiddleware.authenticateAny('datasets:read'),
   filecoinController.retrieveData
 );
 
@@ -43,4 +57,53 @@ router.post(
   filecoinController.createStorageDeal
 );
 
+router.get(
+  '/replicas',
+  authMiddleware.authenticate,
+  filecoinController.getMyReplicaHealth
+);
+
+router.put(
+  '/datasets/:datasetId/replicas',
+  authMiddleware.authenticate,
+  validationMiddleware.validateDatasetId,
+  validationMiddleware.replicationTargetRules,
+  validationMiddleware.validateRequest,
+  filecoinController.setReplicationTarget
+);
+
+router.get(
+  '/datasets/:datasetId/renewals',
+  authMiddleware.authenticate,
+  validationMiddleware.validateDatasetId,
+  validationMiddleware.validateRequest,
+  filecoinController.getRenewals
+);
+
+router.put(
+  '/datasets/:datasetId/renewal-policy',
+  authMiddleware.authenticate,
+  validationMiddleware.validateDatasetId,
+  validationMiddleware.renewalPolicyRules,
+  validationMiddleware.validateRequest,
+  filecoinController.setRenewalPolicy
+);
+
+router.post(
+  '/renewals/:id/approve',
+  authMiddleware.authenticate,
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  filecoinController.approveRenewal
+);
+
+router.post(
+  '/renewals/:id/reject',
+  authMiddleware.authenticate,
+  validationMiddleware.validateUUID,
+  validationMiddleware.renewalRejectionRules,
+  validationMiddleware.validateRequest,
+  filecoinController.rejectRenewal
+);
+
 module.exports = router;
\ No newline at end of file
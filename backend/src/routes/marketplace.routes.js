@@ -56,6 +56,22 @@ router.get(
   marketplaceController.getUserPurchases
 );
 
+router.post(
+  '/subscriptions/:id/renew',
+  authMiddleware.authenticate,
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  marketplaceController.renewSubscription
+);
+
+router.post(
+  '/subscriptions/:id/cancel',
+  authMiddleware.authenticate,
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  marketplaceController.cancelSubscription
+);
+
 router.post(
   '/verify-access',
   marketplaceController.verifyAccess
@@ -23,6 +23,14 @@ router.get(
   provenanceController.getProvenanceGraph
 );
 
+router.get(
+  '/dataset/:datasetId/lineage',
+  validationMiddleware.validateDatasetId,
+  validationMiddleware.lineageRules,
+  validationMiddleware.validateRequest,
+  provenanceController.getDatasetLineage
+);
+
 router.get(
   '/dataset/:datasetId/verify',
   validationMiddleware.validateDatasetId,
@@ -30,13 +38,30 @@ router.get(
   provenanceController.verifyProvenanceChain
 );
 
+router.get(
+  '/dataset/:datasetId/export',
+  validationMiddleware.validateDatasetId,
+  validationMiddleware.provExportRules,
+  validationMiddleware.validateRequest,
+  provenanceController.exportProvenance
+);
+
 // Protected routes
 router.post(
   '/',
-  authMiddleware.authenticate,
+  authMiddleware.authenticateAny('provenance:write'),
   validationMiddleware.provenanceRecordRules,
   validationMiddleware.validateRequest,
   provenanceController.addProvenanceRecord
 );
 
+router.post(
+  '/dataset/:datasetId/import',
+  authMiddleware.authenticateAny('provenance:write'),
+  validationMiddleware.validateDatasetId,
+  validationMiddleware.provImportRules,
+  validationMiddleware.validateRequest,
+  provenanceController.importProvenance
+);
+
 module.exports = router;
\ No newline at end of file
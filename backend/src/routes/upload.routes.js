@@ -0,0 +1,59 @@
+/**
+ * Upload routes
+ */
+const express = require('express');
+const uploadController = require('../controllers/upload.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const validationMiddleware = require('../middleware/validation.middleware');
+const rateLimitMiddleware = require('../middleware/rate-limit.middleware');
+
+const router = express.Router();
+
+// Protected routes
+router.post(
+  '/',
+  authMiddleware.authenticateAny('datasets:write'),
+  rateLimitMiddleware.apiLimiter,
+  validationMiddleware.uploadCreationRules,
+  validationMiddleware.validateRequest,
+  uploadController.createUpload
+);
+
+router.get(
+  '/:id',
+  authMiddleware.authenticateAny('datasets:write'),
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  uploadController.getUpload
+);
+
+// Chunks are sent as raw bodies and streamed to disk
+router.patch(
+  '/:id',
+  authMiddleware.authenticateAny('datasets:write'),
+  rateLimitMiddleware.uploadLimiter,
+  validationMiddleware.validateUUID,
+  validationMiddleware.uploadChunkRules,
+  validationMiddleware.validateRequest,
+  uploadController.uploadChunk
+);
+
+router.post(
+  '/:id/complete',
+  authMiddleware.authenticateAny('datasets:write'),
+  rateLimitMiddleware.apiLimiter,
+  validationMiddleware.validateUUID,
+  validationMiddleware.datasetCreationRules,
+  validationMiddleware.validateRequest,
+  uploadController.completeUpload
+);
+
+router.delete(
+  '/:id',
+  authMiddleware.authenticateAny('datasets:write'),
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  uploadController.cancelUpload
+);
+
+module.exports = router;
@@ -16,7 +16,7 @@ const router = express.Router();
  *     tags:
  *       - Authentication
  *     summary: Generate authentication challenge
- *     description: Generates a challenge message for wallet-based authentication
+ *     description: Issues a Sign-In with Ethereum (EIP-4361) nonce for wallet-based authentication
  *     requestBody:
  *       required: true
  *       content:
@@ -29,6 +29,9 @@ const router = express.Router();
  *               address:
  *                 type: string
  *                 description: Wallet address requesting authentication
+ *               chainId:
+ *                 type: integer
+ *                 description: Chain the session is for; defaults to the first supported chain
  *     responses:
  *       200:
  *         description: Challenge generated successfully
@@ -43,8 +46,32 @@ const router = express.Router();
  *                 data:
  *                   type: object
  *                   properties:
+ *                     domain:
+ *                       type: string
+ *                     address:
+ *                       type: string
+ *                     statement:
+ *                       type: string
+ *                     uri:
+ *                       type: string
+ *                     version:
+ *                       type: string
+ *                     chainId:
+ *                       type: integer
+ *                     nonce:
+ *                       type: string
+ *                     issuedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     expirationTime:
+ *                       type: string
+ *                       format: date-time
  *                     message:
  *                       type: string
+ *                       description: SIWE message built from the fields above
+ *                     session:
+ *                       type: string
+ *                       description: Secret to send back with the signature; binds the nonce to this client
  *                     expiresAt:
  *                       type: string
  *                       format: date-time
@@ -58,6 +85,8 @@ const router = express.Router();
 router.post(
   '/challenge',
   rateLimitMiddleware.authLimiter,
+  validationMiddleware.challengeRules,
+  validationMiddleware.validateRequest,
   userController.generateChallenge
 );
 
@@ -68,7 +97,7 @@ router.post(
  *     tags:
  *       - Authentication
  *     summary: Authenticate with wallet signature
- *     description: Authenticates a user using wallet signature
+ *     description: Authenticates a user with a signed Sign-In with Ethereum (EIP-4361) message
  *     requestBody:
  *       required: true
  *       content:
@@ -76,15 +105,19 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - address
+ *               - message
  *               - signature
+ *               - session
  *             properties:
- *               address:
+ *               message:
  *                 type: string
- *                 description: Wallet address
+ *                 description: SIWE message carrying the challenge nonce
  *               signature:
  *                 type: string
- *                 description: Signed message
+ *                 description: Signature of the message
+ *               session:
+ *                 type: string
+ *                 description: Session secret returned with the challenge
  *     responses:
  *       200:
  *         description: Authentication successful
@@ -281,41 +314,200 @@ router.put(
 
 /**
  * @swagger
- * /users/refresh-api-key:
- *   post:
+ * /users/me/api-keys:
+ *   get:
  *     tags:
  *       - Users
- *     summary: Refresh API key
- *     description: Generates a new API key for the authenticated user
+ *     summary: List API keys
+ *     description: Lists the authenticated user's API keys, newest first; keys themselves are never returned
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: API key refreshed successfully
+ *         description: API keys retrieved successfully
+ *       401:
+ *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/me/api-keys',
+  authMiddleware.authenticate,
+  userController.listApiKeys
+);
+
+/**
+ * @swagger
+ * /users/me/api-keys:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Create API key
+ *     description: Issues a scoped API key for the authenticated user; the key is only shown in this response
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - label
+ *               - scopes
+ *             properties:
+ *               label:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
  *                   type: string
- *                   enum: [success]
- *                 data:
- *                   type: object
- *                   properties:
- *                     apiKey:
- *                       type: string
+ *                   enum: [datasets:read, datasets:write, usage:write, provenance:write]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created; send it in the x-api-key header
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Conflict - API key limit reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  '/me/api-keys',
+  authMiddleware.authenticate,
+  validationMiddleware.apiKeyCreationRules,
+  validationMiddleware.validateRequest,
+  userController.createApiKey
+);
+
+/**
+ * @swagger
+ * /users/me/api-keys/{id}:
+ *   delete:
+ *     tags:
+ *       - Users
+ *     summary: Revoke API key
+ *     description: Revokes one of the authenticated user's API keys
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete(
+  '/me/api-keys/:id',
+  authMiddleware.authenticate,
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  userController.revokeApiKey
+);
+
+/**
+ * @swagger
+ * /users/me/notifications:
+ *   get:
+ *     tags:
+ *       - Users
+ *     summary: Get notifications
+ *     description: Lists the authenticated user's notifications, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only list unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  '/me/notifications',
+  authMiddleware.authenticate,
+  validationMiddleware.paginationRules,
+  validationMiddleware.validateRequest,
+  userController.getNotifications
+);
+
+/**
+ * @swagger
+ * /users/me/notifications/{id}/read:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Mark notification as read
+ *     description: Marks one of the authenticated user's notifications as read
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
  *       401:
  *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Notification not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post(
-  '/refresh-api-key',
+  '/me/notifications/:id/read',
   authMiddleware.authenticate,
-  userController.refreshApiKey
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  userController.markNotificationRead
 );
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,48 @@
+/**
+ * Verification routes
+ */
+const express = require('express');
+const verificationController = require('../controllers/verification.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const validationMiddleware = require('../middleware/validation.middleware');
+
+const router = express.Router();
+
+// Protected routes
+router.get(
+  '/',
+  authMiddleware.authenticate,
+  validationMiddleware.paginationRules,
+  validationMiddleware.verificationFilterRules,
+  validationMiddleware.validateRequest,
+  verificationController.listVerificationRequests
+);
+
+router.post(
+  '/:id/assign',
+  authMiddleware.authenticate,
+  authMiddleware.requireAdmin,
+  validationMiddleware.validateUUID,
+  validationMiddleware.verifierAssignmentRules,
+  validationMiddleware.validateRequest,
+  verificationController.assignVerifier
+);
+
+router.post(
+  '/:id/report',
+  authMiddleware.authenticate,
+  validationMiddleware.validateUUID,
+  validationMiddleware.verificationReportRules,
+  validationMiddleware.validateRequest,
+  verificationController.submitReport
+);
+
+// Public routes
+router.get(
+  '/:id',
+  validationMiddleware.validateUUID,
+  validationMiddleware.validateRequest,
+  verificationController.getVerificationRequest
+);
+
+module.exports = router;
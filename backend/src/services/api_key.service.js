@@ -0,0 +1,176 @@
+/**
+ * Service for users' scoped API keys
+ */
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const cryptoUtils = require('../utils/crypto');
+const logger = require('../utils/logger');
+const DB = require('../models');
+
+// Keys read dpc_<prefix>_<secret>; the prefix is public and finds the key's row
+const KEY_PATTERN = /^dpc_([0-9a-f]{12})_([0-9a-f]{64})$/;
+
+// Uses closer together than this do not update lastUsedAt again
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Format an API key for API responses; the key itself is never stored
+ * @param {Object} apiKey - API key
+ * @returns {Object} - API key details
+ */
+const formatApiKey = (apiKey) => ({
+  id: apiKey.id,
+  label: apiKey.label,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * Issue an API key
+ * @param {string} userId - ID of the user the key acts for
+ * @param {Object} options - Key options
+ * @param {string} options.label - Name to recognise the key by, such as the pipeline using it
+ * @param {Array<string>} options.scopes - Scopes the key grants
+ * @param {Date|string} [options.expiresAt] - When the key stops working; never when unset
+ * @returns {Promise<Object>} - Key details with the key, which is only returned here
+ */
+const createApiKey = async (userId, options) => {
+  try {
+    const unknown = options.scopes.filter(scope => !authConfig.apiKeyScopes.includes(scope));
+    if (options.scopes.length === 0 || unknown.length > 0) {
+      throw new Error(`Invalid API key scopes: ${unknown.join(', ') || 'none given'}`);
+    }
+    
+    const expiresAt = options.expiresAt ? new Date(options.expiresAt) : null;
+    if (expiresAt && expiresAt <= new Date()) {
+      throw new Error('API key expiry must be in the future');
+    }
+    
+    const active = await DB.ApiKey.count({ where: { userId, revokedAt: null } });
+    if (active >= authConfig.maxApiKeysPerUser) {
+      throw new Error(`API key limit reached: revoke one of your ${active} keys first`);
+    }
+    
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const key = `dpc_${prefix}_${cryptoUtils.generateApiKey()}`;
+    
+    const apiKey = await DB.ApiKey.create({
+      userId,
+      label: options.label,
+      prefix,
+      keyHash: cryptoUtils.sha256(key),
+      scopes: [...new Set(options.scopes)],
+      expiresAt
+    });
+    
+    logger.info('API key created', { id: apiKey.id, userId, scopes: apiKey.scopes });
+    
+    return { ...formatApiKey(apiKey), key };
+  } catch (error) {
+    logger.error('Error creating API key', { error: error.message, userId });
+    throw error;
+  }
+};
+
+/**
+ * List a user's API keys, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} - Key details
+ */
+const listApiKeys = async (userId) => {
+  try {
+    const apiKeys = await DB.ApiKey.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']]
+    });
+    
+    return apiKeys.map(formatApiKey);
+  } catch (error) {
+    logger.error('Error listing API keys', { error: error.message, userId });
+    throw error;
+  }
+};
+
+/**
+ * Revoke one of a user's API keys
+ * @param {string} userId - User ID
+ * @param {string} id - API key ID
+ * @returns {Promise<Object>} - Key details
+ */
+const revokeApiKey = async (userId, id) => {
+  try {
+    const apiKey = await DB.ApiKey.findOne({ where: { id, userId } });
+    if (!apiKey) {
+      throw new Error(`API key not found: ${id}`);
+    }
+    
+    if (!apiKey.revokedAt) {
+      await apiKey.update({ revokedAt: new Date() });
+      logger.info('API key revoked', { id, userId });
+    }
+    
+    return formatApiKey(apiKey);
+  } catch (error) {
+    logger.error('Error revoking API key', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Validate an API key
+ * @param {string} key - API key
+ * @returns {Promise<Object>} - The user the key acts for, with the key's ID and scopes
+ */
+const validateApiKey = async (key) => {
+  try {
+    const match = KEY_PATTERN.exec(key);
+    if (!match) {
+      throw new Error('Invalid API key');
+    }
+    
+    const apiKey = await DB.ApiKey.findOne({
+      where: { prefix: match[1] },
+      include: [{ model: DB.User, as: 'user' }]
+    });
+    
+    const expected = Buffer.from(apiKey ? apiKey.keyHash : '', 'hex');
+    const actual = Buffer.from(cryptoUtils.sha256(key), 'hex');
+    if (!apiKey || !apiKey.user || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid API key');
+    }
+    
+    if (apiKey.revokedAt) {
+      throw new Error('API key has been revoked');
+    }
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+      throw new Error('API key has expired');
+    }
+    
+    if (!apiKey.lastUsedAt || Date.now() - new Date(apiKey.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+      await apiKey.update({ lastUsedAt: new Date() });
+    }
+    
+    return {
+      id: apiKey.user.id,
+      username: apiKey.user.username,
+      walletAddress: apiKey.user.walletAddress,
+      role: apiKey.user.role,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes
+    };
+  } catch (error) {
+    logger.error('API key validation failed', { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  validateApiKey
+};
@@ -3,6 +3,8 @@
  */
 const { v4: uuidv4 } = require('uuid');
 const contractsService = require('./contracts.service');
+const outboxService = require('./outbox.service');
+const royaltyService = require('./royalty.service');
 const logger = require('../utils/logger');
 const DB = require('../models');
 
@@ -32,6 +34,7 @@ const recordUsage = async (usage) => {
     
     // Record usage on blockchain
     let txHash = null;
+    let blockchainFailure = null;
     try {
       const { receipt } = await contractsService.recordDatasetUsage(
         dataset.tokenId,
@@ -49,7 +52,8 @@ const recordUsage = async (usage) => {
         error: blockchainError.message,
         datasetId: usage.datasetId 
       });
-      // Continue with database record even if blockchain fails
+      // Continue with database record; the write is retried from the outbox
+      blockchainFailure = blockchainError;
     }
     
     // Create usage record
@@ -64,6 +68,20 @@ const recordUsage = async (usage) => {
       transactionHash: txHash
     });
     
+    if (blockchainFailure) {
+      await outboxService.enqueue({
+        operation: 'recordUsage',
+        targetId: usageRecord.id,
+        payload: {
+          datasetId: usage.datasetId,
+          modelId: usage.modelId,
+          usageType: usage.usageType,
+          impactScore: usage.impactScore
+        },
+        error: blockchainFailure
+      });
+    }
+    
     logger.info('Usage record created', { 
       id: usageRecord.id, 
       datasetId: usage.datasetId 
@@ -90,9 +108,9 @@ const recordUsage = async (usage) => {
 };
 
 /**
- * Calculate royalties for a dataset
+ * Calculate royalties for a dataset from its royalty ledger
  * @param {string} datasetId - Dataset ID
- * @returns {Promise<Object>} - Royalty calculation result
+ * @returns {Promise<Object>} - Royalty calculation result with amounts in wei
  */
 const calculateRoyalties = async (datasetId) => {
   try {
@@ -107,24 +125,20 @@ const calculateRoyalties = async (datasetId) => {
       throw new Error(`Dataset not found: ${datasetId}`);
     }
     
-    // Get all usage records
-    const usageRecords = await DB.Usage.findAll({
-      where: { datasetId }
-    });
-    
-    // Calculate total impact
-    const totalImpact = usageRecords.reduce((sum, record) => sum + record.impactScore, 0);
+    // Credits and debits recorded for each contributor
+    const balances = await royaltyService.getDatasetBalances(datasetId);
+    const balanceByAccount = new Map(balances.map(balance => [balance.account, balance]));
     
-    // Calculate royalties for each contributor
     const royalties = dataset.Contributors.map(contributor => {
-      const share = contributor.share / 100; // Convert percentage to decimal
-      const royaltyAmount = totalImpact * share;
+      const balance = balanceByAccount.get(contributor.address.toLowerCase());
       
       return {
         contributorId: contributor.id,
         contributorAddress: contributor.address,
         share: contributor.share,
-        royaltyAmount,
+        credited: balance ? balance.credited : '0',
+        debited: balance ? balance.debited : '0',
+        royaltyAmount: balance ? balance.balance : '0',
         datasetId
       };
     });
@@ -140,11 +154,13 @@ const calculateRoyalties = async (datasetId) => {
       });
     }
     
-    logger.info('Royalties calculated', { datasetId, totalImpact });
+    const totalCredited = royalties.reduce((sum, royalty) => sum + BigInt(royalty.credited), 0n);
+    
+    logger.info('Royalties calculated', { datasetId, totalCredited: totalCredited.toString() });
     
     return {
       datasetId,
-      totalImpact,
+      totalCredited: totalCredited.toString(),
       royalties
     };
   } catch (error) {
@@ -239,8 +255,10 @@ const getRoyaltyDistribution = async (datasetId) => {
       where: { datasetId }
     }) || 0;
     
-    // Calculate total royalties
-    const totalRoyalties = royalties.reduce((sum, record) => sum + record.totalAmount, 0);
+    // Calculate total royalties in wei
+    const totalRoyalties = royalties
+      .reduce((sum, record) => sum + BigInt(record.totalAmount), 0n)
+      .toString();
     
     return {
       datasetId,
@@ -266,74 +284,56 @@ const getRoyaltyDistribution = async (datasetId) => {
 };
 
 /**
- * Distribute royalties to contributors
+ * Distribute a royalty payment to contributors by crediting their ledger accounts
  * @param {string} datasetId - Dataset ID
  * @param {Object} paymentData - Payment data
  * @param {string} paymentData.paymentId - Payment transaction ID
- * @param {string} paymentData.paymentAmount - Payment amount
+ * @param {string} paymentData.paymentAmount - Payment amount in wei
  * @param {string} paymentData.paymentType - Payment type (e.g., "eth", "fil")
  * @param {string} paymentData.paidBy - Address of the payer
  * @returns {Promise<Object>} - Distribution result
  */
 const distributeRoyalties = async (datasetId, paymentData) => {
   try {
-    // Get royalty distribution
-    const distribution = await getRoyaltyDistribution(datasetId);
-    
-    if (distribution.contributors.length === 0) {
-      throw new Error('No contributors found for royalty distribution');
+    // Check if dataset exists
+    const dataset = await DB.Dataset.findByPk(datasetId);
+    if (!dataset) {
+      throw new Error(`Dataset not found: ${datasetId}`);
     }
     
-    // Record payment in database
-    const payment = await DB.RoyaltyPayment.create({
-      id: uuidv4(),
-      datasetId,
+    const { entries, created } = await royaltyService.recordPayment(datasetId, {
       paymentId: paymentData.paymentId,
       amount: paymentData.paymentAmount,
       paymentType: paymentData.paymentType,
-      paidBy: paymentData.paidBy,
-      status: 'completed'
+      paidBy: paymentData.paidBy
     });
     
-    // Record distributions for each contributor
-    const distributions = [];
-    for (const contributor of distribution.contributors) {
-      // Calculate share of this payment
-      const share = contributor.share / 100;
-      const amount = paymentData.paymentAmount * share;
-      
-      // Record distribution
-      const dist = await DB.RoyaltyDistribution.create({
-        id: uuidv4(),
-        paymentId: payment.id,
-        contributorAddress: contributor.address,
-        amount,
-        share: contributor.share,
-        status: 'completed'
-      });
-      
-      distributions.push({
-        id: dist.id,
-        contributorAddress: contributor.address,
-        amount,
-        share: contributor.share
-      });
+    if (created === 0) {
+      throw new Error(`Payment already distributed: ${paymentData.paymentId}`);
     }
     
+    // Refresh the contributors' royalty totals
+    await calculateRoyalties(datasetId);
+    
     logger.info('Royalties distributed', { 
       datasetId, 
-      paymentId: payment.id, 
+      paymentId: paymentData.paymentId, 
       amount: paymentData.paymentAmount 
     });
     
     return {
-      paymentId: payment.id,
+      paymentId: paymentData.paymentId,
       datasetId,
       amount: paymentData.paymentAmount,
       paymentType: paymentData.paymentType,
       paidBy: paymentData.paidBy,
-      distributionDate: payment.createdAt,
-      distributions
+      distributionDate: entries[0].occurredAt,
+      distributions: entries.map(entry => ({
+        id: entry.id,
+        contributorAddress: entry.account,
+        amount: entry.amount,
+        share: entry.metadata.share
+      }))
     };
   } catch (error) {
     logger.error('Error distributing royalties', { 
@@ -344,6 +344,72 @@ const distributeRoyalties = async (datasetId, paymentData) => {
   }
 };
 
+/**
+ * Distribute a royalty payment for a model to the contributors of the datasets it used
+ * The payment is weighted by the impact of the model's usage of each dataset in the period
+ * @param {string} modelId - Model ID
+ * @param {Object} paymentData - Payment data
+ * @param {string} paymentData.paymentId - Payment transaction ID
+ * @param {string} paymentData.paymentAmount - Payment amount in wei
+ * @param {string} paymentData.paymentType - Payment type (e.g., "eth", "fil")
+ * @param {string} paymentData.paidBy - Address of the payer
+ * @param {string} [paymentData.period] - Usage period as a calendar month (YYYY-MM)
+ * @param {Date|string} [paymentData.from] - Usage period start, inclusive
+ * @param {Date|string} [paymentData.to] - Usage period end, exclusive
+ * @returns {Promise<Object>} - Distribution result
+ */
+const distributeModelRoyalties = async (modelId, paymentData) => {
+  try {
+    const { entries, created, datasets } = await royaltyService.recordModelPayment({
+      paymentId: paymentData.paymentId,
+      modelId,
+      amount: paymentData.paymentAmount,
+      paymentType: paymentData.paymentType,
+      paidBy: paymentData.paidBy,
+      period: paymentData.period,
+      from: paymentData.from,
+      to: paymentData.to
+    });
+    
+    if (created === 0) {
+      throw new Error(`Payment already distributed: ${paymentData.paymentId}`);
+    }
+    
+    // Refresh the contributors' royalty totals
+    for (const { datasetId } of datasets) {
+      await calculateRoyalties(datasetId);
+    }
+    
+    logger.info('Model royalties distributed', { 
+      modelId, 
+      paymentId: paymentData.paymentId, 
+      amount: paymentData.paymentAmount 
+    });
+    
+    return {
+      paymentId: paymentData.paymentId,
+      modelId,
+      amount: paymentData.paymentAmount,
+      paymentType: paymentData.paymentType,
+      paidBy: paymentData.paidBy,
+      datasets,
+      distributions: entries.map(entry => ({
+        id: entry.id,
+        datasetId: entry.datasetId,
+        contributorAddress: entry.account,
+        amount: entry.amount,
+        share: entry.metadata.share
+      }))
+    };
+  } catch (error) {
+    logger.error('Error distributing model royalties', { 
+      error: error.message, 
+      modelId 
+    });
+    throw error;
+  }
+};
+
 /**
  * Get attribution metrics for a dataset
  * @param {string} datasetId - Dataset ID
@@ -362,9 +428,10 @@ const getAttributionMetrics = async (datasetId) => {
       where: { datasetId }
     });
     
-    // Get royalty payments
-    const payments = await DB.RoyaltyPayment.findAll({
-      where: { datasetId }
+    // Get royalty credits
+    const credits = await DB.RoyaltyLedgerEntry.findAll({
+      where: { datasetId, entryType: 'credit' },
+      attributes: ['source', 'sourceId', 'amount']
     });
     
     // Calculate metrics
@@ -384,8 +451,11 @@ const getAttributionMetrics = async (datasetId) => {
       impactByMonth[month] = (impactByMonth[month] || 0) + record.impactScore;
     });
     
-    // Total royalties
-    const totalRoyalties = payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
+    // Total royalties in wei, and the number of purchases and payments they came from
+    const totalRoyalties = credits
+      .reduce((sum, credit) => sum + BigInt(credit.amount), 0n)
+      .toString();
+    const paymentCount = new Set(credits.map(credit => `${credit.source}:${credit.sourceId}`)).size;
     
     return {
       datasetId,
@@ -401,7 +471,7 @@ const getAttributionMetrics = async (datasetId) => {
         month,
         impact
       })),
-      paymentCount: payments.length
+      paymentCount
     };
   } catch (error) {
     logger.error('Error getting attribution metrics', { 
@@ -418,5 +488,6 @@ module.exports = {
   getUsageHistory,
   getRoyaltyDistribution,
   distributeRoyalties,
+  distributeModelRoyalties,
   getAttributionMetrics
 };
\ No newline at end of file
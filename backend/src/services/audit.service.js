@@ -0,0 +1,194 @@
+/**
+ * Service for proof-of-retrievability audits of storage providers
+ * Each audit sends a fresh challenge to the provider's prover, which answers with the challenged blocks
+ * and their Merkle paths as filecoin/src/verification/proof.js does. Only the answers cross the network,
+ * never the whole CAR, so an audit costs no retrieval.
+ */
+const axios = require('axios');
+const filecoinConfig = require('../config/filecoin');
+const por = require('../utils/por');
+const DB = require('../models');
+const logger = require('../utils/logger');
+
+const AUDIT_STATUSES = ['passed', 'failed', 'unreachable'];
+
+// How long a prover has to answer a challenge
+const PROOF_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Format an audit for API responses
+ * @param {Object} audit - StorageAudit row
+ * @returns {Object} - Audit information
+ */
+const formatAudit = (audit) => ({
+  id: audit.id,
+  provider: audit.provider,
+  dealId: audit.dealId,
+  datasetId: audit.datasetId,
+  seed: audit.seed,
+  challengeCount: audit.challengeCount,
+  status: audit.status,
+  failedChallenges: audit.failedChallenges,
+  failures: audit.failures,
+  error: audit.error,
+  durationMs: audit.durationMs,
+  createdAt: audit.createdAt
+});
+
+/**
+ * Ask a provider's prover to answer a challenge
+ * Only the seed and count are sent; the prover derives the offsets and has no use for the stored root.
+ * @param {string} provider - Provider ID
+ * @param {string} cid - Root CID of the challenged data
+ * @param {Object} challenge - Issued challenge
+ * @returns {Promise<Object>} - Answers, one per challenged offset
+ */
+const requestProof = async (provider, cid, challenge) => {
+  const { data: proof } = await axios.post(
+    filecoinConfig.auditProvers[provider],
+    { cid, challenge: { seed: challenge.seed, count: challenge.count } },
+    { timeout: PROOF_TIMEOUT_MS }
+  );
+  
+  if (!proof || !Array.isArray(proof.challenges)) {
+    throw new Error(`Prover of ${provider} did not answer the challenge`);
+  }
+  
+  return { answers: proof.challenges };
+};
+
+/**
+ * Challenge the provider of a deal to prove it still holds the dataset
+ * The provider's prover answers at offsets derived from a fresh seed, and each answer is checked
+ * against the commitment recorded when the dataset was packed.
+ * @param {Object} deal - Active FilecoinDeal row
+ * @param {Object} dataset - Dataset with a storage commitment
+ * @returns {Promise<Object>} - Recorded audit
+ */
+const auditDeal = async (deal, dataset) => {
+  const challenge = por.createChallenge(dataset.storageCommitment, filecoinConfig.auditChallengeCount);
+  const startedAt = Date.now();
+  let result;
+  
+  try {
+    const response = await requestProof(deal.miner, dataset.cid, challenge);
+    const { passed, failures } = por.verifyResponse(response, challenge);
+    
+    result = {
+      status: passed ? 'passed' : 'failed',
+      failedChallenges: failures.length,
+      failures: failures.length ? failures : null
+    };
+  } catch (error) {
+    result = { status: 'unreachable', failedChallenges: challenge.count, error: error.message };
+  }
+  
+  const audit = await DB.StorageAudit.create({
+    provider: deal.miner,
+    dealId: deal.dealId,
+    datasetId: dataset.id,
+    seed: challenge.seed,
+    challengeCount: challenge.count,
+    durationMs: Date.now() - startedAt,
+    ...result
+  });
+  await deal.update({ lastAuditedAt: new Date() });
+  
+  if (audit.status === 'passed') {
+    logger.info('Storage audit passed', { dealId: deal.dealId, provider: deal.miner });
+  } else {
+    logger.warn('Storage audit did not pass', {
+      dealId: deal.dealId,
+      provider: deal.miner,
+      status: audit.status,
+      failedChallenges: audit.failedChallenges,
+      error: audit.error
+    });
+  }
+  
+  return audit;
+};
+
+/**
+ * Audit the active deals that have gone longest without an audit
+ * Only deals of datasets packed with a storage commitment, with providers that run a prover, can be audited
+ * @returns {Promise<Object>} - Counts of audit results
+ */
+const runAudits = async () => {
+  const summary = { audited: 0, passed: 0, failed: 0, unreachable: 0 };
+  const cutoff = new Date(Date.now() - filecoinConfig.auditIntervalHours * 60 * 60 * 1000);
+  
+  const deals = await DB.FilecoinDeal.findAll({
+    where: {
+      status: 'active',
+      miner: { [DB.Sequelize.Op.in]: Object.keys(filecoinConfig.auditProvers) },
+      [DB.Sequelize.Op.or]: [
+        { lastAuditedAt: null },
+        { lastAuditedAt: { [DB.Sequelize.Op.lt]: cutoff } }
+      ]
+    },
+    include: [{
+      model: DB.Dataset,
+      as: 'dataset',
+      required: true,
+      where: { storageCommitment: { [DB.Sequelize.Op.ne]: null } }
+    }],
+    order: [['lastAuditedAt', 'ASC NULLS FIRST']],
+    limit: filecoinConfig.auditBatchSize
+  });
+  
+  // One audit at a time, so provers are not challenged in bursts
+  for (const deal of deals) {
+    try {
+      const audit = await auditDeal(deal, deal.dataset);
+      summary.audited++;
+      summary[audit.status]++;
+    } catch (error) {
+      logger.error('Error auditing deal', { error: error.message, dealId: deal.dealId });
+    }
+  }
+  
+  return summary;
+};
+
+/**
+ * Get the audit history of a storage provider
+ * @param {string} provider - Provider ID
+ * @param {Object} [options] - Query options
+ * @param {number} [options.limit=50] - Number of recent audits to return
+ * @returns {Promise<Object>} - Audit counts, pass rate and recent audits, newest first
+ */
+const getProviderAudits = async (provider, { limit = 50 } = {}) => {
+  try {
+    const counts = {};
+    for (const status of AUDIT_STATUSES) {
+      counts[status] = await DB.StorageAudit.count({ where: { provider, status } });
+    }
+    
+    const total = counts.passed + counts.failed + counts.unreachable;
+    const audits = await DB.StorageAudit.findAll({
+      where: { provider },
+      order: [['createdAt', 'DESC']],
+      limit
+    });
+    
+    return {
+      provider,
+      region: filecoinConfig.providerRegions[provider] || 'Unknown',
+      total,
+      ...counts,
+      passRate: total ? counts.passed / total : null,
+      lastAuditAt: audits.length ? audits[0].createdAt : null,
+      audits: audits.map(formatAudit)
+    };
+  } catch (error) {
+    logger.error('Error getting provider audits', { error: error.message, provider });
+    throw error;
+  }
+};
+
+module.exports = {
+  auditDeal,
+  runAudits,
+  getProviderAudits
+};
@@ -7,68 +7,144 @@ const crypto = require('crypto');
 const authConfig = require('../config/auth');
 const web3Utils = require('../utils/web3');
 const cryptoUtils = require('../utils/crypto');
+const siwe = require('../utils/siwe');
 const logger = require('../utils/logger');
 const DB = require('../models');
 
-// Store for challenge messages (in real production, use Redis)
-const challengeStore = new Map();
-
 /**
- * Generate an authentication challenge for web3 authentication
+ * Generate a Sign-In with Ethereum (EIP-4361) challenge
+ * 
+ * The nonce is stored in the database so any backend instance can verify the
+ * signed message, and bound to a session secret only the requesting client
+ * receives, so a signature relayed by someone else cannot be redeemed.
  * @param {string} address - Wallet address
- * @returns {Promise<Object>} - Challenge object
+ * @param {Object} [options] - Challenge options
+ * @param {number} [options.chainId] - Chain the session is for; the first configured chain when unset
+ * @returns {Promise<Object>} - Message fields, the message to sign and the session secret
  */
-const generateChallenge = async (address) => {
+const generateChallenge = async (address, options = {}) => {
   if (!web3Utils.isValidAddress(address)) {
     throw new Error('Invalid wallet address');
   }
   
-  const challenge = cryptoUtils.generateChallenge(address);
+  const chainId = options.chainId !== undefined ? Number(options.chainId) : authConfig.siweChainIds[0];
+  if (!authConfig.siweChainIds.includes(chainId)) {
+    throw new Error(`Unsupported chain ID: ${options.chainId}`);
+  }
+  
+  const challenge = cryptoUtils.generateChallenge();
   
-  // Store the challenge
-  challengeStore.set(address.toLowerCase(), challenge);
+  await DB.AuthChallenge.create({
+    nonce: challenge.nonce,
+    address: address.toLowerCase(),
+    sessionHash: cryptoUtils.sha256(challenge.session),
+    chainId,
+    issuedAt: new Date(challenge.issuedAt),
+    expiresAt: new Date(challenge.expirationTime)
+  });
+  
+  const fields = {
+    domain: authConfig.siweDomain,
+    address: ethers.utils.getAddress(address),
+    statement: authConfig.siweStatement,
+    uri: authConfig.siweUri,
+    version: '1',
+    chainId,
+    nonce: challenge.nonce,
+    issuedAt: new Date(challenge.issuedAt).toISOString(),
+    expirationTime: new Date(challenge.expirationTime).toISOString()
+  };
   
-  logger.info('Authentication challenge generated', { address });
+  logger.info('Authentication challenge generated', { address, chainId });
   
   return {
-    message: challenge.message,
-    expiresAt: new Date(challenge.expirationTime).toISOString()
+    ...fields,
+    message: siwe.buildMessage(fields),
+    session: challenge.session,
+    expiresAt: fields.expirationTime
   };
 };
 
 /**
- * Verify a signed challenge
- * @param {string} address - Wallet address
- * @param {string} signature - Signed message
- * @returns {Promise<boolean>} - Whether the signature is valid
+ * Verify a signed Sign-In with Ethereum message
+ * 
+ * The message must name this domain, URI and a configured chain, and carry an
+ * unexpired nonce issued to the signer for this session. The nonce is consumed
+ * before the signature is checked, so every message can be tried only once.
+ * @param {string} message - Signed SIWE message
+ * @param {string} signature - Signature of the message
+ * @param {string} session - Session secret returned with the challenge
+ * @returns {Promise<string>} - Lowercase address of the signer
  */
-const verifyChallenge = async (address, signature) => {
-  address = address.toLowerCase();
+const verifyChallenge = async (message, signature, session) => {
+  const fields = siwe.parseMessage(message);
+  const address = fields.address.toLowerCase();
+  
+  if (fields.domain !== authConfig.siweDomain || fields.uri !== authConfig.siweUri) {
+    throw new Error('Sign-in message was created for another site');
+  }
   
-  const challenge = challengeStore.get(address);
-  if (!challenge) {
+  const challenge = await DB.AuthChallenge.findByPk(fields.nonce);
+  if (!challenge || challenge.address !== address) {
     throw new Error('No challenge found for this address. Please request a new challenge.');
   }
   
-  // Check if challenge has expired
-  if (Date.now() > challenge.expirationTime) {
-    challengeStore.delete(address);
-    throw new Error('Challenge has expired. Please request a new challenge.');
+  // Only one request can mark the nonce used, however many instances receive it
+  const [consumed] = await DB.AuthChallenge.update(
+    { consumedAt: new Date() },
+    { where: { nonce: fields.nonce, consumedAt: null } }
+  );
+  if (consumed !== 1) {
+    logger.warn('Challenge replayed', { address });
+    throw new Error('Challenge has already been used. Please request a new challenge.');
   }
   
-  // Verify signature
-  const isValid = web3Utils.verifyPersonalSignature(address, challenge.message, signature);
+  const now = Date.now();
+  if (now > new Date(challenge.expiresAt).getTime()
+    || (fields.expirationTime && now > Date.parse(fields.expirationTime))) {
+    throw new Error('Challenge has expired. Please request a new challenge.');
+  }
+  if (fields.notBefore && now < Date.parse(fields.notBefore)) {
+    throw new Error('Sign-in message is not valid yet');
+  }
   
-  // Delete the challenge to prevent replay attacks
-  challengeStore.delete(address);
+  if (!session || cryptoUtils.sha256(session) !== challenge.sessionHash) {
+    logger.warn('Challenge redeemed from another session', { address });
+    throw new Error('Challenge was issued to another session');
+  }
+  if (fields.chainId !== challenge.chainId) {
+    throw new Error('Sign-in message names a different chain than the challenge');
+  }
   
-  if (!isValid) {
+  if (!web3Utils.verifyPersonalSignature(address, message, signature)) {
     logger.warn('Invalid signature', { address });
     throw new Error('Invalid signature');
   }
   
   logger.info('Challenge verified successfully', { address });
-  return true;
+  return address;
+};
+
+/**
+ * Delete challenges that have expired or been used
+ * @returns {Promise<number>} - Number of challenges deleted
+ */
+const purgeExpiredChallenges = async () => {
+  try {
+    const { Op } = DB.Sequelize;
+    
+    return await DB.AuthChallenge.destroy({
+      where: {
+        [Op.or]: [
+          { expiresAt: { [Op.lt]: new Date() } },
+          { consumedAt: { [Op.ne]: null } }
+        ]
+      }
+    });
+  } catch (error) {
+    logger.error('Error purging authentication challenges', { error: error.message });
+    throw error;
+  }
 };
 
 /**
@@ -110,8 +186,7 @@ const registerUser = async (userData) => {
       email: userData.email,
       walletAddress: userData.walletAddress.toLowerCase(),
       role: 'user',
-      verified: false, // Require email verification
-      apiKey: cryptoUtils.generateApiKey()
+      verified: false // Require email verification
     });
     
     logger.info('User registered', { id: user.id, walletAddress: user.walletAddress });
@@ -132,15 +207,17 @@ const registerUser = async (userData) => {
 };
 
 /**
- * Authenticate a user with wallet signature
- * @param {string} address - Wallet address
- * @param {string} signature - Signed message
+ * Authenticate a user with a signed Sign-In with Ethereum message
+ * @param {string} message - Signed SIWE message
+ * @param {string} signature - Signature of the message
+ * @param {string} session - Session secret returned with the challenge
  * @returns {Promise<Object>} - Authentication result with token
  */
-const authenticateWithWallet = async (address, signature) => {
+const authenticateWithWallet = async (message, signature, session) => {
+  let address;
   try {
     // Verify signature
-    await verifyChallenge(address, signature);
+    address = await verifyChallenge(message, signature, session);
     
     // Find user
     let user = await DB.User.findOne({
@@ -156,8 +233,7 @@ const authenticateWithWallet = async (address, signature) => {
         email: null,
         walletAddress: address.toLowerCase(),
         role: 'user',
-        verified: true, // Wallet auth is inherently verified
-        apiKey: cryptoUtils.generateApiKey()
+        verified: true // Wallet auth is inherently verified
       });
       
       logger.info('New user created via wallet authentication', { 
@@ -339,41 +415,14 @@ const updateUserProfile = async (id, updateData) => {
   }
 };
 
-/**
- * Validate API key
- * @param {string} apiKey - API key
- * @returns {Promise<Object>} - User object
- */
-const validateApiKey = async (apiKey) => {
-  try {
-    const user = await DB.User.findOne({
-      where: { apiKey }
-    });
-    
-    if (!user) {
-      throw new Error('Invalid API key');
-    }
-    
-    return {
-      id: user.id,
-      username: user.username,
-      walletAddress: user.walletAddress,
-      role: user.role
-    };
-  } catch (error) {
-    logger.error('API key validation failed', { error: error.message });
-    throw error;
-  }
-};
-
 module.exports = {
   generateChallenge,
   verifyChallenge,
+  purgeExpiredChallenges,
   registerUser,
   authenticateWithWallet,
   generateToken,
   verifyToken,
   getUserById,
-  updateUserProfile,
-  validateApiKey
+  updateUserProfile
 };
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * Service for scanning dataset submissions for personal data and secrets
+ */
+const fs = require('fs');
+const path = require('path');
+const scanConfig = require('../config/scan');
+const scanner = require('../utils/scanner');
+const fileUtils = require('../utils/file');
+const logger = require('../utils/logger');
+
+// Actions from the most to the least permissive
+const ACTIONS = ['pass', 'report', 'quarantine', 'block'];
+
+/**
+ * Decide what a scan's findings do to a submission
+ * @param {Array<Object>} findings - Findings per detector
+ * @param {Object} [policy] - Actions per severity, for unscannable content and the matches a detector needs to count
+ * @param {Array<Object>} [unscannable] - Sources the scanner could not read
+ * @returns {string} - The strictest action any counted finding or unscannable source calls for
+ */
+const decideAction = (findings, policy = scanConfig, unscannable = []) => findings
+  .filter(finding => finding.count >= policy.minFindings)
+  .map(finding => policy.actions[finding.severity] || 'report')
+  .concat(unscannable.length > 0 ? [policy.unscannableAction || 'quarantine'] : [])
+  .reduce((strictest, action) => (ACTIONS.indexOf(action) > ACTIONS.indexOf(strictest) ? action : strictest), 'pass');
+
+/**
+ * Scan a submission before anything of it is stored
+ * @param {Object} submission - Submission to scan
+ * @param {string} submission.filePath - Path of the uploaded file
+ * @param {Object} [submission.fields] - Text fields of the submission, by name
+ * @returns {Promise<Object>} - Findings report with the action the policy calls for
+ */
+const scanSubmission = async (submission) => {
+  try {
+    const scannedAt = new Date().toISOString();
+    
+    if (!scanConfig.enabled) {
+      return { enabled: false, action: 'pass', findings: [], scannedAt };
+    }
+    
+    const result = await scanner.scanFile(submission.filePath, {
+      fields: submission.fields,
+      detectors: scanConfig.detectors,
+      maxSamples: scanConfig.maxSamples
+    });
+    
+    return {
+      enabled: true,
+      ...result,
+      action: decideAction(result.findings, scanConfig, result.unscannable),
+      policy: {
+        actions: scanConfig.actions,
+        unscannableAction: scanConfig.unscannableAction,
+        minFindings: scanConfig.minFindings
+      },
+      scannedAt
+    };
+  } catch (error) {
+    logger.error('Error scanning submission', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Move a file, copying it when the destination is on another device
+ * @param {string} from - Current path
+ * @param {string} to - New path
+ */
+const moveFile = async (from, to) => {
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+};
+
+/**
+ * Move an uploaded file out of the upload directory until it has been reviewed
+ * @param {string} id - Dataset creation ID
+ * @param {string} filePath - Path of the uploaded file
+ * @returns {Promise<string>} - Path of the quarantined file
+ */
+const quarantineFile = async (id, filePath) => {
+  try {
+    await fileUtils.ensureDirectoryExists(scanConfig.quarantineDir);
+    
+    const quarantinedPath = path.join(scanConfig.quarantineDir, `${id}-${path.basename(filePath)}`);
+    await moveFile(filePath, quarantinedPath);
+    
+    logger.info('Uploaded file quarantined', { id, path: quarantinedPath });
+    return quarantinedPath;
+  } catch (error) {
+    logger.error('Error quarantining uploaded file', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Summarize a scan for the provenance record, leaving the redacted samples out
+ * @param {Object} scan - Findings report
+ * @returns {Object} - Action, finding counts and the review that overrode the action, if any
+ */
+const summarizeScan = (scan) => ({
+  action: scan.action,
+  scannedAt: scan.scannedAt,
+  bytesScanned: scan.bytesScanned,
+  findings: (scan.findings || []).map(({ detector, severity, count }) => ({ detector, severity, count })),
+  unscannable: (scan.unscannable || []).map(({ source }) => source),
+  ...(scan.review ? { review: scan.review } : {})
+});
+
+module.exports = {
+  decideAction,
+  scanSubmission,
+  quarantineFile,
+  summarizeScan
+};
@@ -12,6 +12,9 @@ const AttributionManagerABI = require('../../abi/AttributionManager.json');
 const MarketplaceABI = require('../../abi/Marketplace.json');
 const FilecoinDealClientABI = require('../../abi/FilecoinDealClient.json');
 const DataDAOABI = require('../../abi/DataDAO.json');
+const RoyaltyDistributorABI = require('../../abi/RoyaltyDistributor.json');
+const VerificationRegistryABI = require('../../abi/VerificationRegistry.json');
+const DataProvChainABI = require('../../abi/DataProvChain.json');
 
 // Contract addresses (would come from environment variables in production)
 const CONTRACT_ADDRESSES = {
@@ -19,7 +22,10 @@ const CONTRACT_ADDRESSES = {
   AttributionManager: process.env.ATTRIBUTION_MANAGER_ADDRESS,
   Marketplace: process.env.MARKETPLACE_ADDRESS,
   FilecoinDealClient: process.env.FILECOIN_DEAL_CLIENT_ADDRESS,
-  DataDAO: process.env.DATA_DAO_ADDRESS
+  DataDAO: process.env.DATA_DAO_ADDRESS,
+  RoyaltyDistributor: process.env.ROYALTY_DISTRIBUTOR_ADDRESS,
+  VerificationRegistry: process.env.VERIFICATION_REGISTRY_ADDRESS,
+  DataProvChain: process.env.DATA_PROV_CHAIN_ADDRESS
 };
 
 let provider;
@@ -69,6 +75,24 @@ const initialize = () => {
     DataDAOABI,
     signer || provider
   );
+  
+  contracts.RoyaltyDistributor = new ethers.Contract(
+    CONTRACT_ADDRESSES.RoyaltyDistributor,
+    RoyaltyDistributorABI,
+    signer || provider
+  );
+  
+  contracts.VerificationRegistry = new ethers.Contract(
+    CONTRACT_ADDRESSES.VerificationRegistry,
+    VerificationRegistryABI,
+    signer || provider
+  );
+  
+  contracts.DataProvChain = new ethers.Contract(
+    CONTRACT_ADDRESSES.DataProvChain,
+    DataProvChainABI,
+    signer || provider
+  );
 };
 
 /**
@@ -139,6 +163,88 @@ const verifyDataset = async (tokenId) => {
   }
 };
 
+/**
+ * Find the token already minted for a CID
+ * @param {string} cid - IPFS CID of the dataset
+ * @returns {Promise<string|null>} - Token ID, or null if the CID is not registered
+ */
+const getTokenIdByCID = async (cid) => {
+  try {
+    const contract = getContract('DatasetRegistry');
+    
+    const registered = await contract.isCIDRegistered(cid);
+    if (!registered) {
+      return null;
+    }
+    
+    const tokenId = await contract.getTokenIdByCID(cid);
+    return tokenId.toString();
+  } catch (error) {
+    logger.error('Error looking up dataset token by CID', { error: error.message, cid });
+    throw error;
+  }
+};
+
+/**
+ * Get who registered a dataset token and the metadata document it points at
+ * @param {string} tokenId - ID of the dataset
+ * @returns {Promise<Object>} - Creator address and token URI
+ */
+const getDatasetRegistration = async (tokenId) => {
+  try {
+    const contract = getContract('DatasetRegistry');
+    
+    const [metadata, metadataURI] = await Promise.all([
+      contract.getDatasetMetadata(tokenId),
+      contract.tokenURI(tokenId)
+    ]);
+    
+    return { creator: metadata.creator, metadataURI };
+  } catch (error) {
+    logger.error('Error getting dataset registration from blockchain', { error: error.message, tokenId });
+    throw error;
+  }
+};
+
+/**
+ * Get the address of the platform wallet that sends transactions
+ * @returns {Promise<string>} - Signer address
+ */
+const getSignerAddress = async () => {
+  if (!signer) {
+    throw new Error('No signer configured for the platform wallet');
+  }
+  return signer.getAddress();
+};
+
+/**
+ * Point a dataset token at a new metadata document
+ * @param {string} tokenId - ID of the dataset
+ * @param {string} metadataURI - URI of the new metadata
+ * @returns {Promise<Object>} - Transaction receipt
+ */
+const updateMetadataURI = async (tokenId, metadataURI) => {
+  try {
+    const contract = getContract('DatasetRegistry');
+    
+    const tx = await contract.updateMetadataURI(tokenId, metadataURI);
+    const receipt = await tx.wait();
+    
+    logger.info('Dataset metadata URI updated on blockchain', { 
+      tokenId, 
+      txHash: receipt.transactionHash 
+    });
+    
+    return { receipt };
+  } catch (error) {
+    logger.error('Error updating dataset metadata URI on blockchain', { 
+      error: error.message, 
+      tokenId 
+    });
+    throw error;
+  }
+};
+
 /**
  * Get dataset metadata from the blockchain
  * @param {string} tokenId - ID of the dataset
@@ -245,6 +351,445 @@ const createListing = async (listing) => {
   }
 };
 
+/**
+ * Create a DAO governance proposal
+ * @param {Object} proposal - Proposal object
+ * @param {string} proposal.title - Proposal title
+ * @param {string} proposal.description - Proposal description
+ * @param {string} proposal.encodedData - JSON-encoded proposal data
+ * @param {number} proposal.votingPeriod - Voting period in seconds
+ * @returns {Promise<Object>} - Transaction receipt and proposalId
+ */
+const createProposal = async (proposal) => {
+  try {
+    const contract = getContract('DataDAO');
+    
+    // The contract takes the proposal data as bytes; the indexer reads it back with toUtf8String
+    const tx = await contract.createProposal(
+      proposal.title,
+      proposal.description,
+      ethers.utils.toUtf8Bytes(proposal.encodedData),
+      proposal.votingPeriod
+    );
+    
+    const receipt = await tx.wait();
+    
+    // Find the ProposalCreated event to get the on-chain proposalId
+    const event = receipt.events.find(e => e.event === 'ProposalCreated');
+    const proposalId = event.args.proposalId.toString();
+    
+    logger.info('DAO proposal created on blockchain', { 
+      proposalId, 
+      txHash: receipt.transactionHash 
+    });
+    
+    return { receipt, proposalId };
+  } catch (error) {
+    logger.error('Error creating DAO proposal on blockchain', { 
+      error: error.message 
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get a marketplace listing from the blockchain
+ * @param {string} listingId - On-chain listing ID
+ * @returns {Promise<Object>} - Listing with the price in wei and the duration in seconds
+ */
+const getListing = async (listingId) => {
+  try {
+    const contract = getContract('Marketplace');
+    
+    const listing = await contract.getListing(listingId);
+    
+    return {
+      datasetId: listing.datasetId.toString(),
+      seller: listing.seller,
+      price: listing.price.toString(),
+      licenseType: listing.licenseType,
+      duration: listing.duration.toNumber(),
+      creationTime: new Date(listing.creationTime.toNumber() * 1000),
+      isActive: listing.isActive
+    };
+  } catch (error) {
+    logger.error('Error getting listing from blockchain', { error: error.message, listingId });
+    throw error;
+  }
+};
+
+/**
+ * Find the listing purchase made by a transaction
+ * @param {string} txHash - Hash of a purchaseListing transaction
+ * @returns {Promise<Object|null>} - Listing ID, buyer and price paid in wei, or null if the transaction
+ * did not succeed or purchased no listing
+ */
+const getListingPurchase = async (txHash) => {
+  try {
+    const contract = getContract('Marketplace');
+    
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt || receipt.status !== 1) {
+      return null;
+    }
+    
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contract.address.toLowerCase()) {
+        continue;
+      }
+      
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed.name === 'ListingPurchased') {
+          return {
+            listingId: parsed.args.listingId.toString(),
+            buyer: parsed.args.buyer,
+            price: parsed.args.price.toString(),
+            purchasedAt: new Date(parsed.args.timestamp.toNumber() * 1000),
+            blockNumber: receipt.blockNumber
+          };
+        }
+      } catch (parseError) {
+        // Logs whose event is not in the ABI are skipped
+      }
+    }
+    
+    return null;
+  } catch (error) {
+    logger.error('Error finding listing purchase of transaction', { error: error.message, txHash });
+    throw error;
+  }
+};
+
+/**
+ * Check whether the marketplace contract records a buyer's access to a dataset
+ * @param {string} buyer - Buyer's wallet address
+ * @param {string} tokenId - ID of the dataset
+ * @returns {Promise<boolean>} - Whether the buyer has access
+ */
+const hasAccess = async (buyer, tokenId) => {
+  try {
+    const contract = getContract('Marketplace');
+    
+    return await contract.hasAccess(buyer, tokenId);
+  } catch (error) {
+    logger.error('Error checking dataset access on blockchain', { error: error.message, buyer, tokenId });
+    throw error;
+  }
+};
+
+/**
+ * Get the share of each purchase the marketplace contract keeps as its platform fee
+ * @returns {Promise<number>} - Fee in basis points
+ */
+const getPlatformFeePercentage = async () => {
+  try {
+    const contract = getContract('Marketplace');
+    
+    const fee = await contract.platformFeePercentage();
+    
+    return fee.toNumber();
+  } catch (error) {
+    logger.error('Error getting platform fee from blockchain', { error: error.message });
+    throw error;
+  }
+};
+
+// Request statuses of the VerificationRegistry contract, by enum value
+const VERIFICATION_STATUSES = ['pending', 'approved', 'rejected', 'completed'];
+
+/**
+ * Get the fee the verification registry charges for a request
+ * @returns {Promise<string>} - Fee in wei
+ */
+const getVerificationFee = async () => {
+  try {
+    const contract = getContract('VerificationRegistry');
+    
+    const fee = await contract.verificationFee();
+    
+    return fee.toString();
+  } catch (error) {
+    logger.error('Error getting verification fee from blockchain', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get a verification request from the blockchain
+ * @param {string} requestId - On-chain request ID
+ * @returns {Promise<Object>} - Verification request
+ */
+const getVerificationRequest = async (requestId) => {
+  try {
+    const contract = getContract('VerificationRegistry');
+    
+    const request = await contract.getVerificationRequest(requestId);
+    const completionTime = request.completionTime.toNumber();
+    
+    return {
+      id: request.id.toString(),
+      datasetId: request.datasetId.toString(),
+      requester: request.requester,
+      method: request.method,
+      details: request.details,
+      assignedVerifier: request.assignedVerifier === ethers.constants.AddressZero ? null : request.assignedVerifier,
+      status: VERIFICATION_STATUSES[Number(request.status)],
+      requestTime: new Date(request.requestTime.toNumber() * 1000),
+      completionTime: completionTime ? new Date(completionTime * 1000) : null,
+      result: request.result,
+      feedback: request.feedback
+    };
+  } catch (error) {
+    logger.error('Error getting verification request from blockchain', { error: error.message, requestId });
+    throw error;
+  }
+};
+
+/**
+ * Find the verification request created by a transaction
+ * @param {string} txHash - Hash of a requestVerification transaction
+ * @returns {Promise<string|null>} - On-chain request ID, or null if the transaction created none
+ */
+const getVerificationRequestId = async (txHash) => {
+  try {
+    const contract = getContract('VerificationRegistry');
+    
+    const receipt = await provider.getTransactionReceipt(txHash);
+    if (!receipt || receipt.status !== 1) {
+      return null;
+    }
+    
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contract.address.toLowerCase()) {
+        continue;
+      }
+      
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed.name === 'VerificationRequested') {
+          return parsed.args.requestId.toString();
+        }
+      } catch (parseError) {
+        // Logs whose event is not in the ABI are skipped
+      }
+    }
+    
+    return null;
+  } catch (error) {
+    logger.error('Error finding verification request of transaction', { error: error.message, txHash });
+    throw error;
+  }
+};
+
+/**
+ * Assign a verifier to a verification request
+ * @param {string} requestId - On-chain request ID
+ * @param {string} verifier - Verifier's address; must hold the verifier role
+ * @returns {Promise<Object>} - Transaction receipt
+ */
+const assignVerifier = async (requestId, verifier) => {
+  try {
+    const contract = getContract('VerificationRegistry');
+    
+    const tx = await contract.assignVerifier(requestId, verifier);
+    const receipt = await tx.wait();
+    
+    logger.info('Verifier assigned on blockchain', { requestId, verifier, txHash: receipt.transactionHash });
+    
+    return { receipt };
+  } catch (error) {
+    logger.error('Error assigning verifier on blockchain', { error: error.message, requestId, verifier });
+    throw error;
+  }
+};
+
+/**
+ * Complete a verification request
+ * @param {string} requestId - On-chain request ID
+ * @param {string} result - VERIFIED or REJECTED
+ * @param {string} feedback - Feedback recorded with the result
+ * @returns {Promise<Object>} - Transaction receipt
+ */
+const completeVerification = async (requestId, result, feedback) => {
+  try {
+    const contract = getContract('VerificationRegistry');
+    
+    const tx = await contract.completeVerification(requestId, result, feedback);
+    const receipt = await tx.wait();
+    
+    logger.info('Verification completed on blockchain', { requestId, result, txHash: receipt.transactionHash });
+    
+    return { receipt };
+  } catch (error) {
+    logger.error('Error completing verification on blockchain', { error: error.message, requestId });
+    throw error;
+  }
+};
+
+/**
+ * Get a DAO proposal from the blockchain
+ * @param {string} proposalId - On-chain proposal ID
+ * @returns {Promise<Object>} - Proposal with its call data decoded as UTF-8
+ */
+const getProposal = async (proposalId) => {
+  try {
+    const contract = getContract('DataDAO');
+    
+    const proposal = await contract.getProposal(proposalId);
+    
+    return {
+      id: proposal.id.toString(),
+      proposer: proposal.proposer,
+      title: proposal.title,
+      description: proposal.description,
+      data: ethers.utils.toUtf8String(proposal.data),
+      creationTime: new Date(proposal.creationTime.toNumber() * 1000),
+      votingEndTime: new Date(proposal.votingEndTime.toNumber() * 1000),
+      forVotes: proposal.forVotes.toString(),
+      againstVotes: proposal.againstVotes.toString(),
+      executed: proposal.executed,
+      canceled: proposal.canceled
+    };
+  } catch (error) {
+    logger.error('Error getting proposal from blockchain', { error: error.message, proposalId });
+    throw error;
+  }
+};
+
+/**
+ * Get the status the DAO contract reports for a proposal
+ * @param {string} proposalId - On-chain proposal ID
+ * @returns {Promise<number>} - 0 missing, 1 active, 2 succeeded, 3 failed, 4 executed, 5 canceled
+ */
+const getProposalStatus = async (proposalId) => {
+  try {
+    const contract = getContract('DataDAO');
+    
+    const status = await contract.getProposalStatus(proposalId);
+    
+    return Number(status);
+  } catch (error) {
+    logger.error('Error getting proposal status from blockchain', { error: error.message, proposalId });
+    throw error;
+  }
+};
+
+/**
+ * Get the DAO voting power of an address
+ * @param {string} address - Wallet address
+ * @returns {Promise<string>} - Voting power
+ */
+const getVotingPower = async (address) => {
+  try {
+    const contract = getContract('DataDAO');
+    
+    const votingPower = await contract.getVotingPower(address);
+    
+    return votingPower.toString();
+  } catch (error) {
+    logger.error('Error getting voting power from blockchain', { error: error.message, address });
+    throw error;
+  }
+};
+
+/**
+ * Get the parameters the DAO contract tallies proposals with
+ * @returns {Promise<Object>} - Total voting power and quorum in basis points
+ */
+const getGovernanceParameters = async () => {
+  try {
+    const contract = getContract('DataDAO');
+    
+    const [totalVotingPower, quorumPercentage] = await Promise.all([
+      contract.getTotalVotingPower(),
+      contract.quorumPercentage()
+    ]);
+    
+    return {
+      totalVotingPower: totalVotingPower.toString(),
+      quorumPercentage: quorumPercentage.toNumber()
+    };
+  } catch (error) {
+    logger.error('Error getting governance parameters from blockchain', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get a royalty distribution from the blockchain
+ * @param {string} distributionId - On-chain distribution ID
+ * @returns {Promise<Object>} - Distribution with amounts in wei
+ */
+const getRoyaltyDistribution = async (distributionId) => {
+  try {
+    const contract = getContract('RoyaltyDistributor');
+    
+    const distribution = await contract.getDistribution(distributionId);
+    
+    return {
+      distributionId: distributionId.toString(),
+      datasetId: distribution.datasetId.toString(),
+      totalAmount: distribution.totalAmount.toString(),
+      recipients: distribution.recipients,
+      amounts: distribution.amounts.map(amount => amount.toString()),
+      distributionTime: new Date(distribution.distributionTime.toNumber() * 1000)
+    };
+  } catch (error) {
+    logger.error('Error getting royalty distribution from blockchain', { 
+      error: error.message, 
+      distributionId 
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get the royalty distributions made for a dataset
+ * @param {string} tokenId - ID of the dataset
+ * @returns {Promise<Array<Object>>} - Distributions with amounts in wei
+ */
+const getRoyaltyDistributions = async (tokenId) => {
+  try {
+    const contract = getContract('RoyaltyDistributor');
+    
+    const distributionIds = await contract.getDatasetDistributions(tokenId);
+    
+    const distributions = [];
+    for (const distributionId of distributionIds) {
+      distributions.push(await getRoyaltyDistribution(distributionId));
+    }
+    
+    return distributions;
+  } catch (error) {
+    logger.error('Error getting royalty distributions from blockchain', { 
+      error: error.message, 
+      tokenId 
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get the total royalties distributed for a dataset
+ * @param {string} tokenId - ID of the dataset
+ * @returns {Promise<string>} - Total amount in wei, after platform fees
+ */
+const getTotalDistributed = async (tokenId) => {
+  try {
+    const contract = getContract('RoyaltyDistributor');
+    
+    const total = await contract.getTotalDistributed(tokenId);
+    return total.toString();
+  } catch (error) {
+    logger.error('Error getting total royalties distributed from blockchain', { 
+      error: error.message, 
+      tokenId 
+    });
+    throw error;
+  }
+};
+
 /**
  * Make a deal proposal on Filecoin
  * @param {Object} deal - Deal object
@@ -323,6 +868,118 @@ const checkDealStatus = async (dealId) => {
   }
 };
 
+/**
+ * Send native currency from the platform wallet
+ * @param {string} recipient - Address receiving the funds
+ * @param {string} amount - Amount in wei
+ * @returns {Promise<Object>} - Transaction receipt
+ */
+const transferFunds = async (recipient, amount) => {
+  try {
+    if (!signer) {
+      throw new Error('No signer configured for the platform wallet');
+    }
+    
+    const tx = await signer.sendTransaction({
+      to: recipient,
+      value: ethers.BigNumber.from(amount)
+    });
+    
+    const receipt = await tx.wait();
+    
+    logger.info('Funds transferred from platform wallet', { 
+      recipient, 
+      amount, 
+      txHash: receipt.transactionHash 
+    });
+    
+    return receipt;
+  } catch (error) {
+    logger.error('Error transferring funds from platform wallet', { 
+      error: error.message, 
+      recipient 
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get the number of the latest block
+ * @returns {Promise<number>} - Block number
+ */
+const getBlockNumber = async () => {
+  return provider.getBlockNumber();
+};
+
+/**
+ * Get the hash of a block
+ * @param {number} blockNumber - Block number
+ * @returns {Promise<string|null>} - Block hash, or null if the block does not exist
+ */
+const getBlockHash = async (blockNumber) => {
+  const block = await provider.getBlock(blockNumber);
+  return block ? block.hash : null;
+};
+
+/**
+ * Check whether a contract has a deployed address configured
+ * @param {string} contractName - Name of the contract
+ * @returns {boolean} - Whether the contract can be queried
+ */
+const isContractConfigured = (contractName) => {
+  return Boolean(CONTRACT_ADDRESSES[contractName] && contracts[contractName]);
+};
+
+/**
+ * Get the events a contract emitted in a block range
+ * @param {string} contractName - Name of the contract
+ * @param {number} fromBlock - First block, inclusive
+ * @param {number} toBlock - Last block, inclusive
+ * @returns {Promise<Array<Object>>} - Decoded events in block and log order
+ */
+const getContractEvents = async (contractName, fromBlock, toBlock) => {
+  try {
+    const contract = getContract(contractName);
+    
+    const logs = await provider.getLogs({
+      address: contract.address,
+      fromBlock,
+      toBlock
+    });
+    
+    const events = [];
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = contract.interface.parseLog(log);
+      } catch (parseError) {
+        // Logs whose event is not in the ABI are skipped
+        continue;
+      }
+      
+      events.push({
+        contractName,
+        eventName: parsed.name,
+        args: parsed.args,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex
+      });
+    }
+    
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  } catch (error) {
+    logger.error('Error getting contract events from blockchain', { 
+      error: error.message, 
+      contractName, 
+      fromBlock, 
+      toBlock 
+    });
+    throw error;
+  }
+};
+
 /**
  * Setup event listeners for contracts
  * @param {Object} eventHandlers - Map of event handlers by contract and event name
@@ -356,9 +1013,35 @@ module.exports = {
   registerDataset,
   verifyDataset,
   getDatasetMetadata,
+  getDatasetRegistration,
+  getSignerAddress,
+  getTokenIdByCID,
+  updateMetadataURI,
   recordDatasetUsage,
   createListing,
+  createProposal,
+  getListing,
+  getListingPurchase,
+  hasAccess,
+  getPlatformFeePercentage,
+  getVerificationFee,
+  getVerificationRequest,
+  getVerificationRequestId,
+  assignVerifier,
+  completeVerification,
+  getProposal,
+  getProposalStatus,
+  getVotingPower,
+  getGovernanceParameters,
+  getRoyaltyDistribution,
+  getRoyaltyDistributions,
+  getTotalDistributed,
   makeDealProposal,
   checkDealStatus,
+  transferFunds,
+  getBlockNumber,
+  getBlockHash,
+  isContractConfigured,
+  getContractEvents,
   setupEventListeners
 };
\ No newline at end of file
@@ -3,9 +3,130 @@
  */
 const { v4: uuidv4 } = require('uuid');
 const contractsService = require('./contracts.service');
+const outboxService = require('./outbox.service');
+const proposalActionService = require('./proposal_action.service');
 const logger = require('../utils/logger');
 const DB = require('../models');
 
+const VOTE_TYPES = ['for', 'against', 'abstain'];
+
+/**
+ * Get how a vote was cast
+ * @param {Object} vote - Vote row
+ * @returns {string} - "for", "against" or "abstain"
+ */
+const getVoteType = (vote) => vote.voteType || (vote.support ? 'for' : 'against');
+
+/**
+ * Count votes and sum their voting power by vote type
+ * Votes recorded before voting power was tracked count once
+ * @param {Array<Object>} votes - Vote rows
+ * @returns {Object} - Vote counts and voting power by vote type
+ */
+const sumVotes = (votes) => {
+  const counts = { for: 0, against: 0, abstain: 0 };
+  const weights = { for: 0n, against: 0n, abstain: 0n };
+  
+  for (const vote of votes) {
+    const voteType = getVoteType(vote);
+    counts[voteType]++;
+    weights[voteType] += BigInt(vote.weight || '1');
+  }
+  
+  return { counts, weights };
+};
+
+/**
+ * Format vote counts for a response
+ * @param {Object} counts - Vote counts by vote type
+ * @returns {Object} - Vote counts with a total
+ */
+const formatVoteCounts = (counts) => ({
+  for: counts.for,
+  against: counts.against,
+  abstain: counts.abstain,
+  total: counts.for + counts.against + counts.abstain
+});
+
+/**
+ * Tally a proposal the way the DAO contract does
+ * Only votes for and against count toward the quorum; abstentions are reported but not counted
+ * @param {Object} proposal - Proposal row
+ * @param {Array<Object>} votes - Votes on the proposal
+ * @returns {Promise<Object>} - Weighted tally and the projected outcome
+ */
+const tallyProposal = async (proposal, votes) => {
+  const { counts, weights } = sumVotes(votes);
+  const { totalVotingPower, quorumPercentage } = await contractsService.getGovernanceParameters();
+  
+  const total = BigInt(totalVotingPower);
+  const quorum = BigInt(quorumPercentage);
+  const participation = weights.for + weights.against;
+  
+  // Same integer arithmetic as DataDAO: (forVotes + againstVotes) * 10000 / totalVotingPower >= quorumPercentage
+  const quorumReached = total > 0n && (participation * 10000n) / total >= quorum;
+  const quorumVotes = (total * quorum + 9999n) / 10000n;
+  const passing = weights.for > weights.against;
+  const ended = proposal.endTime <= new Date();
+  
+  let outcome = 'pending';
+  if (ended) {
+    outcome = quorumReached && passing ? 'succeeded' : 'defeated';
+  }
+  
+  let reason = null;
+  if (!quorumReached) {
+    reason = 'Quorum not reached';
+  } else if (!passing) {
+    reason = 'More voting power against than for';
+  }
+  
+  return {
+    votes: formatVoteCounts(counts),
+    votingPower: {
+      for: weights.for.toString(),
+      against: weights.against.toString(),
+      abstain: weights.abstain.toString()
+    },
+    totalVotingPower,
+    quorumPercentage,
+    quorumVotes: quorumVotes.toString(),
+    quorumReached,
+    passing,
+    outcome,
+    reason
+  };
+};
+
+/**
+ * Close voting on a proposal whose voting period has ended
+ * The proposal moves to succeeded or defeated; if the tally cannot be read from the chain it is
+ * marked closed and tallied again on the next call
+ * @param {Object} proposal - Proposal row
+ * @returns {Promise<Object>} - The proposal, updated in place
+ */
+const closeEndedProposal = async (proposal) => {
+  if (!['active', 'closed'].includes(proposal.status) || proposal.endTime >= new Date()) {
+    return proposal;
+  }
+  
+  let status = 'closed';
+  try {
+    const votes = await DB.Vote.findAll({ where: { proposalId: proposal.id } });
+    const tally = await tallyProposal(proposal, votes);
+    status = tally.outcome;
+  } catch (error) {
+    logger.warn('Could not tally ended proposal', { error: error.message, proposalId: proposal.id });
+  }
+  
+  if (status !== proposal.status) {
+    await proposal.update({ status });
+    proposal.status = status;
+  }
+  
+  return proposal;
+};
+
 /**
  * Create a governance proposal
  * @param {Object} proposal - Proposal data
@@ -13,44 +134,47 @@ const DB = require('../models');
  * @param {string} proposal.description - Proposal description
  * @param {string} proposal.proposalType - Type of proposal (e.g., "parameter_change", "funds_allocation")
  * @param {Object} proposal.parameters - Proposal-specific parameters
+ * @param {Array<Object>} [proposal.actions] - Actions carried out on execution, each with a type and params
  * @param {string} proposal.proposer - Address of the proposer
  * @param {number} proposal.votingPeriod - Voting period in seconds
  * @returns {Promise<Object>} - Created proposal
  */
 const createProposal = async (proposal) => {
   try {
+    // Actions are stored with the parameters, so the on-chain proposal data commits to them
+    const parameters = { ...proposal.parameters };
+    const actions = proposal.actions || parameters.actions;
+    delete parameters.actions;
+    if (actions) {
+      parameters.actions = proposalActionService.validateActions(actions);
+    }
+    
     // Create transaction data for on-chain proposal
     const proposalData = {
       proposalId: uuidv4(),
       title: proposal.title,
       description: proposal.description,
       proposalType: proposal.proposalType,
-      parameters: proposal.parameters,
+      parameters,
       proposer: proposal.proposer
     };
     
     // Create proposal on blockchain
     let onChainId = null;
     let txHash = null;
+    let blockchainFailure = null;
+    
+    const chainProposal = {
+      title: proposal.title,
+      description: proposal.description,
+      encodedData: JSON.stringify(proposalData),
+      votingPeriod: proposal.votingPeriod || 604800 // 7 days in seconds
+    };
     
     try {
-      const encodedData = JSON.stringify(proposalData);
-      const contract = contractsService.getContract('DataDAO');
-      
-      const votingPeriod = proposal.votingPeriod || 604800; // 7 days in seconds
-      
-      const tx = await contract.createProposal(
-        proposal.title,
-        proposal.description,
-        encodedData,
-        votingPeriod
-      );
-      
-      const receipt = await tx.wait();
+      const { receipt, proposalId } = await contractsService.createProposal(chainProposal);
       
-      // Get event data to extract on-chain ID
-      const event = receipt.events.find(e => e.event === 'ProposalCreated');
-      onChainId = event.args.proposalId.toString();
+      onChainId = proposalId;
       txHash = receipt.transactionHash;
       
       logger.info('Proposal created on blockchain', { 
@@ -61,7 +185,8 @@ const createProposal = async (proposal) => {
       logger.error('Error creating proposal on blockchain', { 
         error: blockchainError.message
       });
-      // Continue with database record even if blockchain fails
+      // Continue with database record; the write is retried from the outbox
+      blockchainFailure = blockchainError;
     }
     
     // Save proposal to database
@@ -70,7 +195,7 @@ const createProposal = async (proposal) => {
       title: proposal.title,
       description: proposal.description,
       proposalType: proposal.proposalType,
-      parameters: proposal.parameters,
+      parameters,
       proposer: proposal.proposer,
       votingPeriod: proposal.votingPeriod || 604800,
       onChainId,
@@ -80,6 +205,15 @@ const createProposal = async (proposal) => {
       endTime: new Date(Date.now() + (proposal.votingPeriod || 604800) * 1000)
     });
     
+    if (blockchainFailure) {
+      await outboxService.enqueue({
+        operation: 'createProposal',
+        targetId: dbProposal.id,
+        payload: chainProposal,
+        error: blockchainFailure
+      });
+    }
+    
     logger.info('Proposal created', { id: dbProposal.id });
     
     return {
@@ -108,7 +242,7 @@ const createProposal = async (proposal) => {
  * @param {string} proposalId - Proposal ID
  * @param {Object} vote - Vote data
  * @param {string} vote.voter - Address of the voter
- * @param {boolean} vote.support - Whether to support the proposal
+ * @param {string} vote.voteType - "for", "against" or "abstain"
  * @param {string} [vote.reason] - Reason for the vote
  * @returns {Promise<Object>} - Vote information
  */
@@ -120,18 +254,21 @@ const castVote = async (proposalId, vote) => {
       throw new Error(`Proposal not found: ${proposalId}`);
     }
     
-    // Check if proposal is active
-    if (proposal.status !== 'active') {
-      throw new Error(`Proposal is not active: ${proposalId}`);
+    if (!VOTE_TYPES.includes(vote.voteType)) {
+      throw new Error(`Invalid vote type: ${vote.voteType}`);
     }
     
     // Check if voting period has ended
-    if (proposal.endTime < new Date()) {
-      // Update proposal status
-      await proposal.update({ status: 'closed' });
+    if (proposal.status === 'active' && proposal.endTime < new Date()) {
+      await closeEndedProposal(proposal);
       throw new Error(`Voting period has ended for proposal: ${proposalId}`);
     }
     
+    // Check if proposal is active
+    if (proposal.status !== 'active') {
+      throw new Error(`Proposal is not active: ${proposalId}`);
+    }
+    
     // Check if voter has already voted
     const existingVote = await DB.Vote.findOne({
       where: {
@@ -144,15 +281,21 @@ const castVote = async (proposalId, vote) => {
       throw new Error(`Voter has already voted on this proposal: ${vote.voter}`);
     }
     
-    // Cast vote on blockchain if on-chain ID is available
+    // The vote carries the voting power the contract would count for the voter
+    const weight = await contractsService.getVotingPower(vote.voter);
+    if (BigInt(weight) === 0n) {
+      throw new Error(`Voter has no voting power: ${vote.voter}`);
+    }
+    
+    // Cast vote on blockchain if on-chain ID is available; the contract has no abstain option
     let txHash = null;
-    if (proposal.onChainId) {
+    if (proposal.onChainId && vote.voteType !== 'abstain') {
       try {
         const contract = contractsService.getContract('DataDAO');
         
         const tx = await contract.castVote(
           proposal.onChainId,
-          vote.support
+          vote.voteType === 'for'
         );
         
         const receipt = await tx.wait();
@@ -177,7 +320,9 @@ const castVote = async (proposalId, vote) => {
       id: uuidv4(),
       proposalId,
       voter: vote.voter,
-      support: vote.support,
+      support: vote.voteType === 'for',
+      voteType: vote.voteType,
+      weight,
       reason: vote.reason || null,
       transactionHash: txHash
     });
@@ -193,6 +338,8 @@ const castVote = async (proposalId, vote) => {
       proposalId,
       voter: dbVote.voter,
       support: dbVote.support,
+      voteType: dbVote.voteType,
+      weight: dbVote.weight,
       reason: dbVote.reason,
       transactionHash: dbVote.transactionHash,
       createdAt: dbVote.createdAt
@@ -221,15 +368,10 @@ const getProposal = async (proposalId) => {
       where: { proposalId }
     });
     
-    const forVotes = votes.filter(v => v.support).length;
-    const againstVotes = votes.filter(v => !v.support).length;
+    const { counts, weights } = sumVotes(votes);
     
     // Check if voting period has ended and update status if needed
-    if (proposal.status === 'active' && proposal.endTime < new Date()) {
-      // Update proposal status
-      await proposal.update({ status: 'closed' });
-      proposal.status = 'closed';
-    }
+    await closeEndedProposal(proposal);
     
     return {
       id: proposal.id,
@@ -244,10 +386,11 @@ const getProposal = async (proposalId) => {
       status: proposal.status,
       startTime: proposal.startTime,
       endTime: proposal.endTime,
-      votes: {
-        for: forVotes,
-        against: againstVotes,
-        total: votes.length
+      votes: formatVoteCounts(counts),
+      votingPower: {
+        for: weights.for.toString(),
+        against: weights.against.toString(),
+        abstain: weights.abstain.toString()
       },
       createdAt: proposal.createdAt,
       updatedAt: proposal.updatedAt
@@ -297,32 +440,24 @@ const listProposals = async (filters = {}, page = 1, limit = 10) => {
     });
     
     // Update status of any proposals whose voting period has ended
-    const now = new Date();
     for (const proposal of rows) {
-      if (proposal.status === 'active' && proposal.endTime < now) {
-        await proposal.update({ status: 'closed' });
-        proposal.status = 'closed';
-      }
+      await closeEndedProposal(proposal);
     }
     
     // Get vote counts for each proposal
     const proposalIds = rows.map(p => p.id);
     const votes = await DB.Vote.findAll({
       where: { proposalId: proposalIds },
-      attributes: ['proposalId', 'support']
+      attributes: ['proposalId', 'support', 'voteType', 'weight']
     });
     
     // Group votes by proposal
     const votesByProposal = {};
     for (const vote of votes) {
       if (!votesByProposal[vote.proposalId]) {
-        votesByProposal[vote.proposalId] = { for: 0, against: 0 };
-      }
-      if (vote.support) {
-        votesByProposal[vote.proposalId].for++;
-      } else {
-        votesByProposal[vote.proposalId].against++;
+        votesByProposal[vote.proposalId] = [];
       }
+      votesByProposal[vote.proposalId].push(vote);
     }
     
     // Format proposals
@@ -335,15 +470,7 @@ const listProposals = async (filters = {}, page = 1, limit = 10) => {
       status: proposal.status,
       startTime: proposal.startTime,
       endTime: proposal.endTime,
-      votes: votesByProposal[proposal.id] ? {
-        for: votesByProposal[proposal.id].for,
-        against: votesByProposal[proposal.id].against,
-        total: votesByProposal[proposal.id].for + votesByProposal[proposal.id].against
-      } : {
-        for: 0,
-        against: 0,
-        total: 0
-      },
+      votes: formatVoteCounts(sumVotes(votesByProposal[proposal.id] || []).counts),
       createdAt: proposal.createdAt
     }));
     
@@ -393,6 +520,8 @@ const getProposalVotes = async (proposalId, page = 1, limit = 50) => {
       id: vote.id,
       voter: vote.voter,
       support: vote.support,
+      voteType: getVoteType(vote),
+      weight: vote.weight,
       reason: vote.reason,
       transactionHash: vote.transactionHash,
       createdAt: vote.createdAt
@@ -401,8 +530,9 @@ const getProposalVotes = async (proposalId, page = 1, limit = 50) => {
     return {
       votes,
       summary: {
-        for: rows.filter(v => v.support).length,
-        against: rows.filter(v => !v.support).length,
+        for: rows.filter(v => getVoteType(v) === 'for').length,
+        against: rows.filter(v => getVoteType(v) === 'against').length,
+        abstain: rows.filter(v => getVoteType(v) === 'abstain').length,
         total: count
       },
       pagination: {
@@ -419,40 +549,133 @@ const getProposalVotes = async (proposalId, page = 1, limit = 50) => {
 };
 
 /**
- * Execute a proposal
+ * Project the outcome of a proposal without executing it
  * @param {string} proposalId - Proposal ID
- * @param {string} executor - Address of the executor
- * @returns {Promise<Object>} - Execution result
+ * @returns {Promise<Object>} - Weighted tally, projected outcome and whether execution would succeed
  */
-const executeProposal = async (proposalId, executor) => {
+const previewExecution = async (proposalId) => {
   try {
-    // Get proposal from database
     const proposal = await DB.Proposal.findByPk(proposalId);
     if (!proposal) {
       throw new Error(`Proposal not found: ${proposalId}`);
     }
     
-    // Check if proposal can be executed
-    if (proposal.status !== 'closed') {
-      throw new Error(`Proposal is not ready for execution: ${proposalId}`);
-    }
+    await closeEndedProposal(proposal);
     
-    // Get vote counts
     const votes = await DB.Vote.findAll({
       where: { proposalId }
     });
+    const tally = await tallyProposal(proposal, votes);
     
-    const forVotes = votes.filter(v => v.support).length;
-    const againstVotes = votes.filter(v => !v.support).length;
+    // The contract has the final say on proposals it knows about; a proposal it has already
+    // executed can still be executed here to finish actions that did not complete
+    let onChainStatus = null;
+    if (proposal.onChainId) {
+      onChainStatus = await contractsService.getProposalStatus(proposal.onChainId);
+    }
     
-    // Check if proposal has passed
-    if (forVotes <= againstVotes) {
-      throw new Error(`Proposal did not pass: ${proposalId}`);
+    let canExecute = false;
+    let reason = tally.reason;
+    if (['executed', 'cancelled'].includes(proposal.status)) {
+      reason = `Proposal is ${proposal.status}`;
+    } else if (tally.outcome === 'pending') {
+      reason = 'Voting period has not ended';
+    } else if (tally.outcome === 'succeeded' && onChainStatus !== null && ![2, 4].includes(onChainStatus)) {
+      reason = 'The DAO contract would reject execution';
+    } else {
+      canExecute = tally.outcome === 'succeeded';
     }
     
-    // Execute proposal on blockchain if on-chain ID is available
-    let txHash = null;
-    if (proposal.onChainId) {
+    // Latest receipt of each action
+    const receipts = await DB.ProposalActionReceipt.findAll({
+      where: { proposalId },
+      order: [['executedAt', 'ASC']]
+    });
+    const receiptByIndex = {};
+    for (const receipt of receipts) {
+      receiptByIndex[receipt.actionIndex] = receipt;
+    }
+    
+    const actions = proposalActionService.getProposalActions(proposal).map((action, index) => {
+      const receipt = receiptByIndex[index];
+      return {
+        index,
+        type: action.type,
+        params: action.params,
+        status: receipt ? receipt.status : 'pending',
+        transactionHash: receipt ? receipt.transactionHash : null,
+        error: receipt ? receipt.error : null
+      };
+    });
+    
+    return {
+      proposalId: proposal.id,
+      onChainId: proposal.onChainId,
+      status: proposal.status,
+      endTime: proposal.endTime,
+      ...tally,
+      onChainStatus,
+      actions,
+      canExecute,
+      reason: canExecute ? null : reason
+    };
+  } catch (error) {
+    logger.error('Error previewing proposal execution', { error: error.message, proposalId });
+    throw error;
+  }
+};
+
+/**
+ * Finalize the status of every proposal whose voting period has ended
+ * @returns {Promise<Object>} - Number of proposals finalized
+ */
+const finalizeEndedProposals = async () => {
+  try {
+    const proposals = await DB.Proposal.findAll({
+      where: {
+        status: ['active', 'closed'],
+        endTime: { [DB.Sequelize.Op.lt]: new Date() }
+      }
+    });
+    
+    let finalized = 0;
+    for (const proposal of proposals) {
+      await closeEndedProposal(proposal);
+      if (proposal.status !== 'closed') {
+        finalized++;
+      }
+    }
+    
+    return { ended: proposals.length, finalized };
+  } catch (error) {
+    logger.error('Error finalizing ended proposals', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Execute a proposal
+ * @param {string} proposalId - Proposal ID
+ * @param {string} executor - Address of the executor
+ * @returns {Promise<Object>} - Execution result
+ */
+const executeProposal = async (proposalId, executor) => {
+  try {
+    const preview = await previewExecution(proposalId);
+    
+    // Check if proposal can be executed
+    if (!preview.canExecute) {
+      if (preview.outcome === 'defeated') {
+        throw new Error(`Proposal did not pass: ${preview.reason}`);
+      }
+      throw new Error(`Proposal is not ready for execution: ${preview.reason}`);
+    }
+    
+    const proposal = await DB.Proposal.findByPk(proposalId);
+    
+    // Execute proposal on blockchain if on-chain ID is available and the contract has not already
+    let txHash = proposal.executionTransactionHash || null;
+    if (proposal.onChainId && preview.onChainStatus !== 4) {
       try {
         const contract = contractsService.getContract('DataDAO');
         
@@ -472,6 +695,58 @@ const executeProposal = async (proposalId, executor) => {
         });
         throw blockchainError;
       }
+      
+      await proposal.update({ executor, executionTransactionHash: txHash });
+    }
+    
+    // Carry out the proposal's actions in order, skipping any completed by an earlier attempt
+    const actions = proposalActionService.getProposalActions(proposal);
+    const actionReceipts = [];
+    for (const [index, action] of actions.entries()) {
+      const previous = preview.actions[index];
+      if (previous.status === 'executed') {
+        actionReceipts.push(previous);
+        continue;
+      }
+      
+      const call = proposalActionService.getActionCall(action);
+      const receipt = {
+        id: uuidv4(),
+        proposalId,
+        actionIndex: index,
+        actionType: action.type,
+        contractName: call.contractName,
+        method: call.method,
+        args: call.args,
+        executor,
+        executedAt: new Date()
+      };
+      
+      try {
+        const txReceipt = await proposalActionService.executeAction(action);
+        await DB.ProposalActionReceipt.create({
+          ...receipt,
+          status: 'executed',
+          transactionHash: txReceipt.transactionHash,
+          blockNumber: txReceipt.blockNumber,
+          gasUsed: txReceipt.gasUsed ? txReceipt.gasUsed.toString() : null
+        });
+        actionReceipts.push({
+          index,
+          type: action.type,
+          params: action.params,
+          status: 'executed',
+          transactionHash: txReceipt.transactionHash,
+          error: null
+        });
+      } catch (actionError) {
+        await DB.ProposalActionReceipt.create({
+          ...receipt,
+          status: 'failed',
+          error: actionError.message
+        });
+        throw new Error(`Proposal action ${index} (${action.type}) failed: ${actionError.message}`);
+      }
     }
     
     // Update proposal status
@@ -494,11 +769,9 @@ const executeProposal = async (proposalId, executor) => {
       executedAt: proposal.executedAt,
       executor,
       executionTransactionHash: txHash,
-      votes: {
-        for: forVotes,
-        against: againstVotes,
-        total: votes.length
-      }
+      actions: actionReceipts,
+      votes: preview.votes,
+      votingPower: preview.votingPower
     };
   } catch (error) {
     logger.error('Error executing proposal', { error: error.message, proposalId });
@@ -512,5 +785,7 @@ module.exports = {
   getProposal,
   listProposals,
   getProposalVotes,
+  previewExecution,
+  finalizeEndedProposals,
   executeProposal
 };
\ No newline at end of file
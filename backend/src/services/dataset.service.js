@@ -1,16 +1,51 @@
 /**
  * Service for managing datasets
  */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const filecoinService = require('./filecoin.service');
 const ipfsService = require('./ipfs.service');
 const contractsService = require('./contracts.service');
+const provenanceService = require('./provenance.service');
+const keyEscrowService = require('./key_escrow.service');
+const contentScanService = require('./content_scan.service');
+const notificationService = require('./notification.service');
+const envelope = require('../utils/envelope');
 const fileUtils = require('../utils/file');
+const profiler = require('../utils/profiler');
 const logger = require('../utils/logger');
 const DB = require('../models'); // This would be your database models
 
+// Pipeline steps in execution order; each one is skipped when its output is already persisted
+const CREATION_STEPS = [
+  'scan_content',
+  'profile_dataset',
+  'upload_metadata',
+  'store_dataset',
+  'register_dataset',
+  'create_storage_deal',
+  'save_records',
+  'record_provenance'
+];
+
+// Failed runs after which a creation is compensated instead of resumed
+const MAX_CREATION_ATTEMPTS = 5;
+
+// Time a failed creation waits before recovery retries it
+const CREATION_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+// A run holds a lease on its creation and renews it while it runs, however long a step takes;
+// a lease that lapses means the run was interrupted and another run may take the creation over
+const CREATION_LEASE_MS = 5 * 60 * 1000;
+const CREATION_HEARTBEAT_MS = 60 * 1000;
+
 /**
  * Create a new dataset
+ * 
+ * Creation runs as a persisted pipeline in the background; poll
+ * getDatasetCreationStatus with the returned ID to follow its progress.
  * @param {Object} dataset - Dataset creation parameters
  * @param {string} dataset.name - Dataset name
  * @param {string} dataset.description - Dataset description
@@ -18,111 +53,825 @@ const DB = require('../models'); // This would be your database models
  * @param {Array<Object>} dataset.contributors - Array of contributor objects
  * @param {string} dataset.license - License information
  * @param {Array<string>} dataset.tags - Array of tags
- * @param {Buffer|string} dataset.file - Dataset file data or path
+ * @param {string} dataset.file - Path of the uploaded dataset file, removed once creation ends
+ * @param {string} [dataset.fileName] - Original name of the file, which decides how it is profiled
  * @param {string} dataset.creator - Creator's wallet address
- * @returns {Promise<Object>} - Created dataset information
+ * @param {boolean} [dataset.encrypt=false] - Encrypt the file before storing it, escrowing its key
+ * @returns {Promise<Object>} - Creation status
  */
 const createDataset = async (dataset) => {
   try {
     logger.info('Creating new dataset', { name: dataset.name, creator: dataset.creator });
     
-    // Generate an internal ID
-    const internalId = uuidv4();
+    const fileSize = await fileUtils.getFileSize(dataset.file);
     
-    // Create metadata object
-    const metadata = {
-      name: dataset.name,
-      description: dataset.description,
-      dataType: dataset.dataType,
-      contributors: dataset.contributors,
-      license: dataset.license,
-      tags: dataset.tags,
+    // The creation ID becomes the dataset ID
+    const creation = await DB.DatasetCreation.create({
+      id: uuidv4(),
       creator: dataset.creator,
-      created: new Date().toISOString()
-    };
+      status: 'pending',
+      currentStep: CREATION_STEPS[0],
+      input: {
+        name: dataset.name,
+        description: dataset.description,
+        dataType: dataset.dataType,
+        contributors: dataset.contributors,
+        license: dataset.license,
+        tags: dataset.tags || [],
+        filePath: dataset.file,
+        fileName: path.basename(dataset.fileName || dataset.file),
+        fileSize,
+        encrypt: Boolean(dataset.encrypt)
+      },
+      steps: {}
+    });
     
-    // Upload metadata to IPFS
-    const metadataUri = await ipfsService.uploadMetadata(metadata);
-    logger.info('Dataset metadata uploaded to IPFS', { metadataUri });
+    // Run the pipeline in the background
+    runDatasetCreation(creation.id).catch(error => {
+      logger.error('Dataset creation run failed', { error: error.message, id: creation.id });
+    });
+    
+    return formatCreation(creation);
+  } catch (error) {
+    logger.error('Error creating dataset', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Build the metadata document of a dataset being created
+ * @param {Object} creation - Dataset creation
+ * @returns {Object} - Metadata
+ */
+const getCreationMetadata = (creation) => ({
+  name: creation.input.name,
+  description: creation.input.description,
+  dataType: creation.input.dataType,
+  contributors: creation.input.contributors,
+  license: creation.input.license,
+  tags: creation.input.tags,
+  creator: creation.creator,
+  created: new Date(creation.createdAt).toISOString(),
+  ...(creation.profileCid ? { profile: creation.profileCid } : {}),
+  ...(creation.input.encrypt ? { encryption: envelope.getFileFormat() } : {})
+});
+
+// Work done by each step; returns the fields to persist, or null when there was nothing to do
+const STEP_HANDLERS = {
+  scan_content: async (creation) => {
+    if (creation.scan) {
+      return null;
+    }
+    
+    if (!fs.existsSync(creation.input.filePath)) {
+      throw new Error('Uploaded dataset file is no longer available');
+    }
+    
+    // Everything later steps publish is scanned: the file and the metadata fields
+    const scan = await contentScanService.scanSubmission({
+      filePath: creation.input.filePath,
+      fields: {
+        name: creation.input.name,
+        description: creation.input.description,
+        tags: creation.input.tags,
+        contributors: creation.input.contributors.map(c => c.name).filter(Boolean)
+      }
+    });
+    logger.info('Dataset content scanned', { id: creation.id, action: scan.action, findings: scan.findings.length });
+    return { scan };
+  },
+  
+  profile_dataset: async (creation) => {
+    if (creation.profileCid) {
+      return null;
+    }
     
-    // Store dataset on Filecoin/IPFS
-    const { cid } = await filecoinService.storeDataset({
-      data: dataset.file,
-      metadata,
-      name: dataset.name
+    if (!fs.existsSync(creation.input.filePath)) {
+      throw new Error('Uploaded dataset file is no longer available');
+    }
+    
+    // Profiles are public, so encrypted datasets are profiled without their values
+    const profile = await profiler.profileFile(creation.input.filePath, {
+      fileName: creation.input.fileName,
+      includeValues: !creation.input.encrypt
     });
-    logger.info('Dataset stored on Filecoin/IPFS', { cid });
+    const profileCid = await ipfsService.uploadMetadata({ type: 'dataset-profile', ...profile });
+    logger.info('Dataset profile uploaded to IPFS', { profileCid, kind: profile.kind });
+    return { profile, profileCid };
+  },
+  
+  upload_metadata: async (creation) => {
+    if (creation.metadataUri) {
+      return null;
+    }
     
-    // Extract contributor addresses for the smart contract
-    const contributorAddresses = dataset.contributors.map(c => c.id);
+    const metadataUri = await ipfsService.uploadMetadata(getCreationMetadata(creation));
+    logger.info('Dataset metadata uploaded to IPFS', { metadataUri });
+    return { metadataUri };
+  },
+  
+  store_dataset: async (creation) => {
+    if (creation.cid) {
+      return null;
+    }
+    
+    if (!fs.existsSync(creation.input.filePath)) {
+      throw new Error('Uploaded dataset file is no longer available');
+    }
+    
+    // Encrypted datasets are packed from a ciphertext copy; the metadata stays readable
+    const encryptedPath = creation.input.encrypt
+      ? await keyEscrowService.encryptDatasetFile(creation.id, creation.input.filePath)
+      : null;
+    
+    try {
+      const { cid, commitment } = await filecoinService.storeDataset({
+        data: encryptedPath || creation.input.filePath,
+        metadata: getCreationMetadata(creation),
+        profile: creation.profile,
+        name: creation.input.name
+      });
+      logger.info('Dataset stored on Filecoin/IPFS', { cid, encrypted: Boolean(encryptedPath) });
+      return { cid, storageCommitment: commitment };
+    } finally {
+      if (encryptedPath) {
+        await fs.promises.rm(encryptedPath, { force: true });
+      }
+    }
+  },
+  
+  register_dataset: async (creation) => {
+    if (creation.tokenId) {
+      return null;
+    }
+    
+    // A run interrupted after minting left the token registered under this CID; a token
+    // someone else minted for the same content, or with other metadata, is not this creation's
+    const mintedTokenId = await contractsService.getTokenIdByCID(creation.cid);
+    if (mintedTokenId) {
+      const [registration, signerAddress] = await Promise.all([
+        contractsService.getDatasetRegistration(mintedTokenId),
+        contractsService.getSignerAddress()
+      ]);
+      
+      if (registration.metadataURI !== creation.metadataUri ||
+          registration.creator.toLowerCase() !== signerAddress.toLowerCase()) {
+        throw new Error('Dataset already registered');
+      }
+      
+      logger.info('Dataset already registered on blockchain', { tokenId: mintedTokenId });
+      return { tokenId: mintedTokenId };
+    }
     
-    // Register dataset on blockchain
     const { tokenId } = await contractsService.registerDataset({
-      cid,
-      dataType: dataset.dataType,
-      contributors: contributorAddresses,
-      metadataURI: metadataUri
+      cid: creation.cid,
+      dataType: creation.input.dataType,
+      contributors: creation.input.contributors.map(c => c.id),
+      metadataURI: creation.metadataUri
     });
     logger.info('Dataset registered on blockchain', { tokenId });
-    
-    // Create storage deal on Filecoin
-    let fileSize;
-    if (Buffer.isBuffer(dataset.file)) {
-      fileSize = dataset.file.length;
-    } else if (typeof dataset.file === 'string') {
-      fileSize = await fileUtils.getFileSize(dataset.file);
+    return { tokenId };
+  },
+  
+  create_storage_deal: async (creation) => {
+    if (creation.dealId) {
+      return null;
     }
     
     const dealInfo = await filecoinService.createStorageDeal({
-      cid,
-      size: fileSize
+      cid: creation.cid,
+      size: creation.input.fileSize
     });
     logger.info('Filecoin storage deal created', { dealId: dealInfo.dealId });
+    return { dealId: dealInfo.dealId };
+  },
+  
+  save_records: async (creation) => {
+    const existing = await DB.Dataset.findByPk(creation.id);
+    if (existing) {
+      return null;
+    }
     
-    // Save dataset to database
-    const dbDataset = await DB.Dataset.create({
-      id: internalId,
-      name: dataset.name,
-      description: dataset.description,
-      dataType: dataset.dataType,
-      cid: cid,
-      tokenId: tokenId,
-      metadataUri: metadataUri,
-      license: dataset.license,
-      creator: dataset.creator,
-      fileSize: fileSize,
-      verified: false,
-      dealId: dealInfo.dealId
+    // Dataset, contributors and tags are saved together or not at all
+    await DB.sequelize.transaction(async (transaction) => {
+      await DB.Dataset.create({
+        id: creation.id,
+        name: creation.input.name,
+        description: creation.input.description,
+        dataType: creation.input.dataType,
+        cid: creation.cid,
+        tokenId: creation.tokenId,
+        metadataUri: creation.metadataUri,
+        license: creation.input.license,
+        creator: creation.creator,
+        fileSize: creation.input.fileSize,
+        verified: false,
+        dealId: creation.dealId,
+        storageCommitment: creation.storageCommitment,
+        encrypted: Boolean(creation.input.encrypt),
+        profile: creation.profile || null,
+        profileCid: creation.profileCid || null
+      }, { transaction });
+      
+      for (const contributor of creation.input.contributors) {
+        await DB.Contributor.create({
+          datasetId: creation.id,
+          address: contributor.id,
+          share: contributor.share,
+          name: contributor.name || null
+        }, { transaction });
+      }
+      
+      for (const tag of creation.input.tags) {
+        await DB.Tag.create({
+          datasetId: creation.id,
+          name: tag
+        }, { transaction });
+      }
     });
     
-    // Save contributors to database
-    for (const contributor of dataset.contributors) {
-      await DB.Contributor.create({
-        datasetId: internalId,
-        address: contributor.id,
-        share: contributor.share,
-        name: contributor.name || null
+    return {};
+  },
+  
+  record_provenance: async (creation) => {
+    const recorded = await Promise.all(['creation', 'content_scan'].map(actionType =>
+      DB.ProvenanceRecord.findOne({ where: { datasetId: creation.id, actionType } })));
+    
+    // Creations that started before scanning was introduced have no scan to record
+    if (recorded[0] && (recorded[1] || !creation.scan)) {
+      return null;
+    }
+    
+    if (!recorded[0]) {
+      await provenanceService.addProvenanceRecord({
+        datasetId: creation.id,
+        actionType: 'creation',
+        performedBy: creation.creator,
+        description: 'Dataset created',
+        metadata: creation.input.encrypt
+          ? { cid: creation.cid, encrypted: true, algorithm: envelope.ALGORITHM }
+          : undefined
       });
     }
     
-    // Save tags to database
-    for (const tag of dataset.tags) {
-      await DB.Tag.create({
-        datasetId: internalId,
-        name: tag
+    if (creation.scan && !recorded[1]) {
+      const { review } = creation.scan;
+      await provenanceService.addProvenanceRecord({
+        datasetId: creation.id,
+        actionType: 'content_scan',
+        performedBy: review ? review.reviewedBy : 'system',
+        description: review
+          ? `Content scan findings released on review: ${review.reason}`
+          : `Content scanned with result ${creation.scan.action}`,
+        metadata: contentScanService.summarizeScan(creation.scan)
       });
     }
+    return {};
+  }
+};
+
+/**
+ * Whether a creation's content scan holds it back from being stored
+ * @param {Object} creation - Dataset creation
+ * @returns {boolean}
+ */
+const isHeldByScan = (creation) => Boolean(creation.scan)
+  && ['block', 'quarantine'].includes(creation.scan.action)
+  && !(creation.scan.review && creation.scan.review.decision === 'release');
+
+/**
+ * Notify the creator of a dataset creation; failures are logged and ignored
+ * @param {Object} creation - Dataset creation
+ * @param {string} type - Notification type
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ */
+const notifyCreator = async (creation, type, title, message) => {
+  try {
+    await notificationService.notify({
+      recipient: creation.creator,
+      type,
+      title,
+      message,
+      data: { creationId: creation.id, name: creation.input.name }
+    });
+  } catch (error) {
+    logger.error('Error notifying dataset creator', { error: error.message, id: creation.id, type });
+  }
+};
+
+/**
+ * Stop a creation whose content scan blocks or quarantines it
+ * 
+ * Blocked uploads are deleted. Quarantined ones are moved out of the upload
+ * directory until an admin releases or rejects them.
+ * @param {Object} creation - Dataset creation
+ * @returns {Promise<Object>} - Creation status
+ */
+const holdDatasetCreation = async (creation) => {
+  const detectors = creation.scan.findings.map(finding => finding.description.toLowerCase()).join(', ');
+  
+  if (creation.scan.action === 'block') {
+    await removeUploadedFile(creation);
+    await creation.update({
+      status: 'blocked',
+      lastError: `Submission blocked by the content scan: found ${detectors}`,
+      completedAt: new Date()
+    });
+  } else {
+    const filePath = await contentScanService.quarantineFile(creation.id, creation.input.filePath);
+    await creation.update({
+      status: 'quarantined',
+      input: { ...creation.input, filePath },
+      lastError: `Submission quarantined for review by the content scan: found ${detectors}`
+    });
+  }
+  
+  logger.warn('Dataset creation held by content scan', { id: creation.id, status: creation.status });
+  await notifyCreator(creation, `dataset_${creation.status}`, creation.status === 'blocked'
+    ? 'Dataset submission blocked'
+    : 'Dataset submission quarantined', creation.lastError);
+  
+  return formatCreation(creation);
+};
+
+/**
+ * Record the outcome of a step in the creation's step history
+ * @param {Object} creation - Dataset creation
+ * @param {string} step - Step name
+ * @param {Object} outcome - Step outcome
+ * @returns {Object} - Updated step history
+ */
+const recordStep = (creation, step, outcome) => {
+  const previous = creation.steps[step] || { attempts: 0 };
+  return {
+    ...creation.steps,
+    [step]: {
+      ...previous,
+      ...outcome,
+      attempts: outcome.status === 'running' ? previous.attempts + 1 : previous.attempts
+    }
+  };
+};
+
+/**
+ * Claim a creation for a run, taking it over from an earlier run whose lease lapsed
+ * @param {string} id - Creation ID
+ * @param {string} owner - Lease owner of the run
+ * @returns {Promise<boolean>} - Whether the run holds the creation
+ */
+const claimCreation = async (id, owner) => {
+  const { Op } = DB.Sequelize;
+  const now = new Date();
+  
+  const [claimed] = await DB.DatasetCreation.update(
+    { status: 'running', leaseOwner: owner, leaseExpiresAt: new Date(now.getTime() + CREATION_LEASE_MS) },
+    {
+      where: {
+        id,
+        [Op.or]: [
+          { status: ['pending', 'failed'] },
+          { status: 'running', leaseExpiresAt: { [Op.or]: [{ [Op.lte]: now }, { [Op.is]: null }] } }
+        ]
+      }
+    }
+  );
+  
+  return claimed === 1;
+};
+
+/**
+ * Renew a run's lease on its creation until the run ends
+ * @param {string} id - Creation ID
+ * @param {string} owner - Lease owner of the run
+ * @returns {Object} - Lease, whose lost flag is set once another run has taken the creation over
+ */
+const keepLease = (id, owner) => {
+  const lease = { lost: false };
+  
+  lease.timer = setInterval(async () => {
+    try {
+      const [renewed] = await DB.DatasetCreation.update(
+        { leaseExpiresAt: new Date(Date.now() + CREATION_LEASE_MS) },
+        { where: { id, status: 'running', leaseOwner: owner } }
+      );
+      
+      if (renewed !== 1) {
+        lease.lost = true;
+        clearInterval(lease.timer);
+      }
+    } catch (error) {
+      logger.warn('Error renewing dataset creation lease', { error: error.message, id });
+    }
+  }, CREATION_HEARTBEAT_MS);
+  lease.timer.unref();
+  
+  return lease;
+};
+
+/**
+ * Run the remaining steps of a dataset creation
+ * @param {string} id - Creation ID
+ * @returns {Promise<Object>} - Creation status
+ */
+const runDatasetCreation = async (id) => {
+  // Claim the creation so two runs never execute steps side by side
+  const owner = `${os.hostname()}:${process.pid}:${uuidv4()}`;
+  const claimed = await claimCreation(id, owner);
+  
+  const creation = await DB.DatasetCreation.findByPk(id);
+  if (!creation) {
+    throw new Error(`Dataset creation not found: ${id}`);
+  }
+  if (!claimed) {
+    return formatCreation(creation);
+  }
+  
+  const lease = keepLease(id, owner);
+  let step = creation.currentStep;
+  
+  try {
+    for (step of CREATION_STEPS.slice(CREATION_STEPS.indexOf(creation.currentStep))) {
+      if (lease.lost) {
+        logger.warn('Dataset creation taken over by another run', { id, step });
+        return formatCreation(creation);
+      }
+      
+      await creation.update({
+        currentStep: step,
+        steps: recordStep(creation, step, { status: 'running', startedAt: new Date(), error: null })
+      });
+      
+      const result = await STEP_HANDLERS[step](creation);
+      
+      await creation.update({
+        ...(result || {}),
+        steps: recordStep(creation, step, {
+          status: result ? 'completed' : 'skipped',
+          completedAt: new Date()
+        })
+      });
+      
+      if (step === 'scan_content' && isHeldByScan(creation)) {
+        return await holdDatasetCreation(creation);
+      }
+    }
+    
+    await creation.update({
+      status: 'completed',
+      currentStep: 'done',
+      lastError: null,
+      completedAt: new Date()
+    });
+    await removeUploadedFile(creation);
+    
+    logger.info('Dataset created', { id, tokenId: creation.tokenId });
+  } catch (error) {
+    logger.error('Dataset creation step failed', { error: error.message, id, step });
+    
+    await creation.update({
+      status: 'failed',
+      attempts: creation.attempts + 1,
+      lastError: error.message,
+      steps: recordStep(creation, step, { status: 'failed', error: error.message })
+    });
+    
+    if (creation.attempts >= MAX_CREATION_ATTEMPTS) {
+      await compensateDatasetCreation(creation, `Gave up after ${creation.attempts} failed attempts`);
+    }
+  } finally {
+    clearInterval(lease.timer);
+    await DB.DatasetCreation.update(
+      { leaseOwner: null, leaseExpiresAt: null },
+      { where: { id, leaseOwner: owner } }
+    );
+  }
+  
+  return formatCreation(creation);
+};
+
+/**
+ * Undo what a failed creation left behind
+ * 
+ * Database rows are never partial because they are saved in one transaction.
+ * A minted token cannot be burned, so it is pointed at a withdrawal notice
+ * instead; storage deals and IPFS content cannot be cancelled and are reported.
+ * @param {Object} creation - Failed dataset creation
+ * @param {string} reason - Why the creation is abandoned
+ * @returns {Promise<Object>} - Updated creation
+ */
+const compensateDatasetCreation = async (creation, reason) => {
+  await creation.update({ status: 'compensating' });
+  
+  const compensation = { reason, actions: [] };
+  
+  try {
+    if (creation.tokenId) {
+      const notice = {
+        ...getCreationMetadata(creation),
+        status: 'withdrawn',
+        reason,
+        withdrawnAt: new Date().toISOString()
+      };
+      const noticeUri = await ipfsService.uploadMetadata(notice);
+      const { receipt } = await contractsService.updateMetadataURI(creation.tokenId, noticeUri);
+      compensation.actions.push({
+        action: 'token_withdrawn',
+        tokenId: creation.tokenId,
+        metadataUri: noticeUri,
+        transactionHash: receipt.transactionHash
+      });
+    }
+    
+    if (creation.dealId) {
+      compensation.actions.push({
+        action: 'deal_left_to_expire',
+        dealId: creation.dealId
+      });
+    }
+    
+    if (creation.cid) {
+      compensation.actions.push({
+        action: 'content_left_unreferenced',
+        cid: creation.cid
+      });
+    }
+    
+    await removeUploadedFile(creation);
+    
+    await creation.update({
+      status: 'compensated',
+      compensation,
+      completedAt: new Date()
+    });
+    
+    logger.info('Dataset creation compensated', { id: creation.id, actions: compensation.actions.length });
+  } catch (error) {
+    logger.error('Error compensating dataset creation', { error: error.message, id: creation.id });
+    
+    // Leave the creation failed so compensation can be attempted again
+    await creation.update({
+      status: 'failed',
+      compensation: { ...compensation, error: error.message }
+    });
+    throw error;
+  }
+  
+  return creation;
+};
+
+/**
+ * Remove the uploaded file of a creation that has ended
+ * @param {Object} creation - Dataset creation
+ */
+const removeUploadedFile = async (creation) => {
+  try {
+    await fs.promises.unlink(creation.input.filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Error deleting uploaded dataset file', { 
+        error: error.message, 
+        path: creation.input.filePath 
+      });
+    }
+  }
+};
+
+/**
+ * Format a dataset creation for API responses
+ * @param {Object} creation - Dataset creation
+ * @returns {Object} - Creation status
+ */
+const formatCreation = (creation) => ({
+  id: creation.id,
+  name: creation.input.name,
+  status: creation.status,
+  currentStep: creation.currentStep,
+  steps: CREATION_STEPS.map(step => ({
+    step,
+    status: 'pending',
+    attempts: 0,
+    ...(creation.steps[step] || {})
+  })),
+  attempts: creation.attempts,
+  lastError: creation.lastError,
+  cid: creation.cid,
+  tokenId: creation.tokenId,
+  metadataUri: creation.metadataUri,
+  profileCid: creation.profileCid,
+  scan: creation.scan,
+  dealId: creation.dealId,
+  compensation: creation.compensation,
+  createdAt: creation.createdAt,
+  updatedAt: creation.updatedAt,
+  completedAt: creation.completedAt
+});
+
+/**
+ * Find a dataset creation visible to the requester
+ * @param {string} id - Creation ID
+ * @param {string} requester - Wallet address of the requester
+ * @returns {Promise<Object>} - Dataset creation
+ */
+const findCreation = async (id, requester) => {
+  const creation = await DB.DatasetCreation.findByPk(id);
+  if (!creation) {
+    throw new Error(`Dataset creation not found: ${id}`);
+  }
+  if (creation.creator.toLowerCase() !== requester.toLowerCase()) {
+    throw new Error('Only the creator can access this dataset creation');
+  }
+  return creation;
+};
+
+/**
+ * Get the status of a dataset creation
+ * @param {string} id - Creation ID
+ * @param {string} requester - Wallet address of the requester
+ * @returns {Promise<Object>} - Creation status
+ */
+const getDatasetCreationStatus = async (id, requester) => {
+  try {
+    return formatCreation(await findCreation(id, requester));
+  } catch (error) {
+    logger.error('Error getting dataset creation status', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Resume a failed dataset creation from the step that failed
+ * @param {string} id - Creation ID
+ * @param {string} requester - Wallet address of the requester
+ * @returns {Promise<Object>} - Creation status
+ */
+const resumeDatasetCreation = async (id, requester) => {
+  try {
+    const creation = await findCreation(id, requester);
+    
+    if (creation.status !== 'failed') {
+      throw new Error(`Cannot resume a dataset creation that is ${creation.status}`);
+    }
+    
+    return await runDatasetCreation(id);
+  } catch (error) {
+    logger.error('Error resuming dataset creation', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Abandon a failed dataset creation and compensate its partial effects
+ * @param {string} id - Creation ID
+ * @param {string} requester - Wallet address of the requester
+ * @returns {Promise<Object>} - Creation status
+ */
+const cancelDatasetCreation = async (id, requester) => {
+  try {
+    const creation = await findCreation(id, requester);
+    
+    if (creation.status !== 'failed') {
+      throw new Error(`Cannot cancel a dataset creation that is ${creation.status}`);
+    }
+    
+    return formatCreation(await compensateDatasetCreation(creation, 'Cancelled by creator'));
+  } catch (error) {
+    logger.error('Error cancelling dataset creation', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * List dataset creations for review
+ * @param {Object} [filters] - Filter criteria
+ * @param {string} [filters.status] - Filter by status, such as quarantined
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=10] - Items per page
+ * @returns {Promise<Object>} - Paginated creations
+ */
+const listDatasetCreations = async (filters = {}, page = 1, limit = 10) => {
+  try {
+    const where = {};
+    
+    if (filters.status) {
+      where.status = filters.status;
+    }
+    
+    const { count, rows } = await DB.DatasetCreation.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
     
     return {
-      id: internalId,
-      tokenId,
-      cid,
-      metadataUri,
-      dealId: dealInfo.dealId,
-      status: 'pending'
+      creations: rows.map(creation => ({ ...formatCreation(creation), creator: creation.creator })),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
     };
   } catch (error) {
-    logger.error('Error creating dataset', { error: error.message });
+    logger.error('Error listing dataset creations', { error: error.message, filters });
+    throw error;
+  }
+};
+
+/**
+ * Release or reject a dataset creation quarantined by the content scan
+ * 
+ * Released creations continue from the step after the scan; rejected ones are
+ * blocked and their quarantined file deleted.
+ * @param {string} id - Creation ID
+ * @param {string} reviewer - Wallet address of the reviewing admin
+ * @param {Object} review - Review
+ * @param {string} review.decision - release or reject
+ * @param {string} review.reason - Why the findings are acceptable or not
+ * @returns {Promise<Object>} - Creation status
+ */
+const reviewQuarantinedCreation = async (id, reviewer, review) => {
+  try {
+    const creation = await DB.DatasetCreation.findByPk(id);
+    if (!creation) {
+      throw new Error(`Dataset creation not found: ${id}`);
+    }
+    if (creation.status !== 'quarantined') {
+      throw new Error(`Cannot review a dataset creation that is ${creation.status}`);
+    }
+    
+    const scan = {
+      ...creation.scan,
+      review: {
+        decision: review.decision,
+        reason: review.reason,
+        reviewedBy: reviewer.toLowerCase(),
+        reviewedAt: new Date().toISOString()
+      }
+    };
+    
+    if (review.decision === 'reject') {
+      await removeUploadedFile(creation);
+      await creation.update({
+        status: 'blocked',
+        scan,
+        lastError: `Submission rejected after review: ${review.reason}`,
+        completedAt: new Date()
+      });
+      await notifyCreator(creation, 'dataset_blocked', 'Dataset submission rejected', creation.lastError);
+      
+      logger.info('Quarantined dataset creation rejected', { id, reviewer });
+      return formatCreation(creation);
+    }
+    
+    await creation.update({ status: 'pending', scan, lastError: null });
+    logger.info('Quarantined dataset creation released', { id, reviewer });
+    
+    // Run the rest of the pipeline in the background
+    runDatasetCreation(creation.id).catch(error => {
+      logger.error('Dataset creation run failed', { error: error.message, id: creation.id });
+    });
+    
+    return formatCreation(creation);
+  } catch (error) {
+    logger.error('Error reviewing dataset creation', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Resume interrupted creations, whose run's lease lapsed, and retry failed ones
+ * @returns {Promise<Object>} - Recovery summary
+ */
+const recoverDatasetCreations = async () => {
+  try {
+    const now = new Date();
+    const retryBefore = new Date(now.getTime() - CREATION_RETRY_DELAY_MS);
+    const { Op } = DB.Sequelize;
+    
+    const interrupted = await DB.DatasetCreation.findAll({
+      where: {
+        [Op.or]: [
+          { status: 'pending' },
+          { status: 'running', leaseExpiresAt: { [Op.or]: [{ [Op.lte]: now }, { [Op.is]: null }] } },
+          { status: 'failed', attempts: { [Op.lt]: MAX_CREATION_ATTEMPTS }, updatedAt: { [Op.lte]: retryBefore } }
+        ]
+      },
+      order: [['createdAt', 'ASC']]
+    });
+    
+    let completed = 0;
+    for (const creation of interrupted) {
+      const result = await runDatasetCreation(creation.id);
+      if (result.status === 'completed') {
+        completed++;
+      }
+    }
+    
+    return { recovered: interrupted.length, completed };
+  } catch (error) {
+    logger.error('Error recovering dataset creations', { error: error.message });
     throw error;
   }
 };
@@ -170,6 +919,9 @@ const getDataset = async (id) => {
       creator: dataset.creator,
       fileSize: dataset.fileSize,
       verified: dataset.verified,
+      encrypted: dataset.encrypted,
+      profile: dataset.profile,
+      profileCid: dataset.profileCid,
       dealId: dataset.dealId,
       dealConfirmed: dataset.dealConfirmed,
       createdAt: dataset.createdAt,
@@ -220,6 +972,9 @@ const getDatasetByTokenId = async (tokenId) => {
       creator: dataset.creator,
       fileSize: dataset.fileSize,
       verified: dataset.verified,
+      encrypted: dataset.encrypted,
+      profile: dataset.profile,
+      profileCid: dataset.profileCid,
       dealId: dataset.dealId,
       dealConfirmed: dataset.dealConfirmed,
       createdAt: dataset.createdAt,
@@ -303,6 +1058,7 @@ const listDatasets = async (filters = {}, page = 1, limit = 10) => {
       license: dataset.license,
       creator: dataset.creator,
       verified: dataset.verified,
+      encrypted: dataset.encrypted,
       createdAt: dataset.createdAt,
       contributors: dataset.Contributors.map(c => ({
         id: c.address,
@@ -327,57 +1083,9 @@ const listDatasets = async (filters = {}, page = 1, limit = 10) => {
   }
 };
 
-/**
- * Verify a dataset
- * @param {string} id - Dataset ID
- * @param {string} verifier - Verifier's address
- * @returns {Promise<Object>} - Updated dataset information
- */
-const verifyDataset = async (id, verifier) => {
-  try {
-    // Get dataset from database
-    const dataset = await DB.Dataset.findByPk(id);
-    
-    if (!dataset) {
-      throw new Error(`Dataset not found: ${id}`);
-    }
-    
-    if (dataset.verified) {
-      throw new Error(`Dataset already verified: ${id}`);
-    }
-    
-    // Verify dataset on blockchain
-    await contractsService.verifyDataset(dataset.tokenId);
-    
-    // Update database
-    dataset.verified = true;
-    dataset.verifier = verifier;
-    dataset.verifiedAt = new Date();
-    await dataset.save();
-    
-    // Create verification record
-    await DB.Verification.create({
-      datasetId: id,
-      verifier,
-      verifiedAt: new Date()
-    });
-    
-    logger.info('Dataset verified', { id, tokenId: dataset.tokenId, verifier });
-    
-    return {
-      id,
-      verified: true,
-      verifier,
-      verifiedAt: dataset.verifiedAt
-    };
-  } catch (error) {
-    logger.error('Error verifying dataset', { error: error.message, id });
-    throw error;
-  }
-};
-
 /**
  * Download dataset
+ * Encrypted datasets are decrypted with their escrowed data key; check access before calling.
  * @param {string} id - Dataset ID
  * @returns {Promise<Object>} - Dataset content and metadata
  */
@@ -393,12 +1101,29 @@ const downloadDataset = async (id) => {
     // Retrieve dataset from Filecoin/IPFS
     const result = await filecoinService.retrieveDataset(dataset.cid);
     
-    logger.info('Dataset downloaded', { id, cid: dataset.cid });
+    let data = result.data;
+    if (dataset.encrypted) {
+      data = `${result.data}.decrypted`;
+      
+      try {
+        await keyEscrowService.decryptDatasetFile(id, result.data, data);
+      } catch (error) {
+        await fs.promises.rm(result.outputDir, { recursive: true, force: true });
+        throw error;
+      }
+      
+      await fs.promises.rm(result.data, { force: true });
+    }
+    
+    logger.info('Dataset downloaded', { id, cid: dataset.cid, encrypted: dataset.encrypted });
     
     return {
-      data: result.data,
+      data,
       metadata: result.metadata,
-      name: result.name
+      name: result.name,
+      isPath: result.isPath,
+      outputDir: result.outputDir, // Remove once the file is sent
+      encrypted: Boolean(dataset.encrypted)
     };
   } catch (error) {
     logger.error('Error downloading dataset', { error: error.message, id });
@@ -408,9 +1133,14 @@ const downloadDataset = async (id) => {
 
 module.exports = {
   createDataset,
+  getDatasetCreationStatus,
+  resumeDatasetCreation,
+  cancelDatasetCreation,
+  listDatasetCreations,
+  reviewQuarantinedCreation,
+  recoverDatasetCreations,
   getDataset,
   getDatasetByTokenId,
   listDatasets,
-  verifyDataset,
   downloadDataset
 };
\ No newline at end of file
@@ -1,43 +1,20 @@
 /**
  * Service for interacting with Filecoin
+ * Chain, deal and provider calls go through the deal backend, see services/storage
  */
-const { Web3Storage } = require('web3.storage');
-const { packToBlob } = require('ipfs-car/pack/blob');
-const { CarReader, CarWriter } = require('@ipld/car');
-const { BlockstoreCarReader } = require('@ipld/car/blockstore');
-const { CID } = require('multiformats/cid');
-const { blake2b256 } = require('@multiformats/blake2/blake2b');
-const { LotusRPC } = require('@filecoin-shipyard/lotus-client-rpc');
-const { NodejsProvider } = require('@filecoin-shipyard/lotus-client-provider-nodejs');
-import * as dagPB from '@ipld/dag-pb';
-import * as raw from 'multiformats/codecs/raw';
-const { create } = require('ipfs-http-client');
-const { Readable } = require('stream');
-const stream = require('stream');
+const { CarCIDIterator } = require('@ipld/car');
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 const crypto = require('crypto');
 const os = require('os');
-const util = require('util');
-const pipeline = util.promisify(stream.pipeline);
 const filecoinConfig = require('../config/filecoin');
 const contractsService = require('./contracts.service');
+const { getStorageBackend, getDealBackend, fetchCar, removeCar } = require('./storage');
+const { packToCar, readLazily, unpackCar } = require('../utils/car');
 const logger = require('../utils/logger');
 
-// Initialize Web3Storage client
-const web3Storage = new Web3Storage({ token: filecoinConfig.web3StorageToken });
-
-// Initialize Lotus client for direct API access
-const lotusProvider = new NodejsProvider(filecoinConfig.lotusApiUrl, {
-  token: filecoinConfig.lotusAuthToken
-});
-const lotusClient = new LotusRPC(lotusProvider);
-
-// Initialize IPFS client
-const ipfsClient = create({
-  url: 'https://ipfs.infura.io:5001/api/v0'
-});
+// Filecoin block time
+const EPOCH_DURATION_MS = 30 * 1000;
 
 /**
  * Create a temporary file path
@@ -55,18 +32,47 @@ const getTempFilePath = async (prefix = 'tmp', extension = '') => {
   return path.join(tempDir, filename);
 };
 
+// CID prefix of a piece: CIDv1, fil-commitment-unsealed codec, sha2-256-trunc254-padded multihash of 32 bytes
+const PIECE_CID_PREFIX = Buffer.from([0x01, 0x81, 0xe2, 0x03, 0x92, 0x20, 0x20]);
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
 /**
- * Calculate CommP (Piece CID) using the Filecoin Proofs FFI library
+ * Encode a piece commitment as a piece CID
+ * @param {Buffer} commitment - 32-byte commitment
+ * @returns {string} - Base32 piece CID
+ */
+const toPieceCid = (commitment) => {
+  const bytes = Buffer.concat([PIECE_CID_PREFIX, commitment]);
+  let bits = 0;
+  let value = 0;
+  let encoded = 'b';
+  
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      encoded += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    encoded += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return encoded;
+};
+
+/**
+ * Calculate CommP (Piece CID) of a CAR
+ * The deal backend calculates it when it can; otherwise an approximation is computed here
  * @param {Buffer|string} data - CAR data or path to CAR file
  * @returns {Promise<Object>} - CommP information
  */
 const calculateCommP = async (data) => {
-  // Use the Lotus API to calculate CommP
+  // Create a temporary file if data is a buffer
+  let carPath;
+  let needToCleanup = false;
+  
   try {
-    // Create a temporary file if data is a buffer
-    let carPath;
-    let needToCleanup = false;
-    
     if (Buffer.isBuffer(data)) {
       carPath = await getTempFilePath('commP', '.car');
       await fs.promises.writeFile(carPath, data);
@@ -77,77 +83,64 @@ const calculateCommP = async (data) => {
       throw new Error('Invalid data type for CommP calculation');
     }
     
-    // Call Lotus API
-    const calcCommPResponse = await lotusClient.clientCalcCommP(carPath);
+    const dealBackend = getDealBackend();
+    if (dealBackend.calcCommP) {
+      try {
+        return await dealBackend.calcCommP(carPath);
+      } catch (backendError) {
+        logger.error('Failed to calculate CommP with the deal backend', {
+          backend: dealBackend.name,
+          error: backendError.message
+        });
+      }
+    }
     
-    // Clean up temp file if needed
-    if (needToCleanup) {
-      await fs.promises.unlink(carPath);
+    const { size: carSize } = await fs.promises.stat(carPath);
+    
+    // Calculate padded size (next power of 2)
+    const paddedSize = Math.pow(2, Math.ceil(Math.log2(carSize)));
+    
+    // Only the CAR header is read to check the roots
+    const reader = await CarCIDIterator.fromIterable(fs.createReadStream(carPath));
+    const roots = await reader.getRoots();
+    
+    if (roots.length === 0) {
+      throw new Error('CAR file has no roots');
     }
     
+    // Calculate piece CID - note: this is a simplified approach
+    // In production, you'd use the fil-commP-hashhash library for proper calculation
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(carPath)) {
+      hash.update(chunk);
+    }
+    const pieceCommitment = hash.digest();
+    pieceCommitment[31] &= 0x3f; // Commitments are 254-bit field elements
+    
     return {
-      pieceCid: calcCommPResponse.Root['/'],
-      pieceSize: calcCommPResponse.Size
+      pieceCid: toPieceCid(pieceCommitment),
+      pieceSize: paddedSize
     };
-  } catch (lotusError) {
-    logger.error('Failed to calculate CommP using Lotus API', { error: lotusError.message });
-    
-    // If Lotus API fails, fall back to direct calculation
-    try {
-      let carData;
-      
-      if (Buffer.isBuffer(data)) {
-        carData = data;
-      } else if (typeof data === 'string') {
-        carData = await fs.promises.readFile(data);
-      } else {
-        throw new Error('Invalid data type for CommP calculation');
-      }
-      
-      // Calculate padded size (next power of 2)
-      const paddedSize = Math.pow(2, Math.ceil(Math.log2(carData.length)));
-      
-      // Read CAR file and calculate root CID
-      const reader = await CarReader.fromBytes(carData);
-      const roots = await reader.getRoots();
-      
-      if (roots.length === 0) {
-        throw new Error('CAR file has no roots');
-      }
-      
-      const rootCid = roots[0].toString();
-      
-      // Calculate piece CID - note: this is a simplified approach
-      // In production, you'd use the fil-commP-hashhash library for proper calculation
-      const hash = crypto.createHash('sha256');
-      hash.update(carData);
-      const pieceCommitment = hash.digest();
-      
-      // Create a CID from the hash
-      const multihash = await blake2b256.digest(pieceCommitment);
-      const pieceCid = CID.create(1, raw.code, multihash).toString();
-      
-      return {
-        pieceCid,
-        pieceSize: paddedSize
-      };
-    } catch (fallbackError) {
-      logger.error('Both CommP calculation methods failed', { 
-        lotusError: lotusError.message,
-        fallbackError: fallbackError.message
-      });
-      throw new Error(`Failed to calculate CommP: ${fallbackError.message}`);
+  } catch (error) {
+    logger.error('Error calculating CommP', { error: error.message });
+    throw new Error(`Failed to calculate CommP: ${error.message}`);
+  } finally {
+    // Clean up temp file if needed
+    if (needToCleanup) {
+      await fs.promises.rm(carPath, { force: true });
     }
   }
 };
 
 /**
- * Store a dataset on Filecoin via Web3.Storage
+ * Store a dataset on the configured storage backend
  * @param {Object} dataset - Dataset object
  * @param {Buffer|string} dataset.data - Dataset data or file path
  * @param {Object} dataset.metadata - Dataset metadata
+ * @param {Object} [dataset.profile] - Content profile, stored as profile.json
  * @param {string} dataset.name - Dataset name
- * @returns {Promise<Object>} - Storage result with CID
+ * @param {Object} [dataset.packing] - Chunking options for the CAR, see utils/car
+ * @returns {Promise<Object>} - Storage result with CID, piece and storage commitment
  */
 const storeDataset = async (dataset) => {
   // Create a temporary file if dataset.data is a buffer
@@ -170,139 +163,51 @@ const storeDataset = async (dataset) => {
     await fs.promises.writeFile(metadataPath, JSON.stringify(dataset.metadata, null, 2));
     tempFilesToCleanup.push(metadataPath);
     
-    // Get file stats for large file handling
-    const fileStats = await fs.promises.stat(filePath);
-    
-    // Handle large files specially
-    let root, car;
-    if (fileStats.size > 100 * 1024 * 1024) { // > 100MB
-      // For large files, we need to create the CAR file on disk
-      const carPath = await getTempFilePath('dataset', '.car');
-      tempFilesToCleanup.push(carPath);
-      
-      // Use carWriter to stream data instead of loading everything into memory
-      const { writer, out } = CarWriter.create([]);
-      const outStream = fs.createWriteStream(carPath);
-      
-      // Pipe the car writer output to the file
-      await pipeline(out, outStream);
-      
-      // Add files to the CAR archive
-      const dataStream = fs.createReadStream(filePath);
-      const dataBlock = await dagPB.encode({
-        Data: await util.promisify(stream.pipeline)(
-          dataStream,
-          async function* (source) {
-            for await (const chunk of source) {
-              yield chunk;
-            }
-          }
-        ),
-        Links: []
-      });
-      const dataCid = CID.create(1, dagPB.code, await blake2b256.digest(dataBlock));
-      await writer.put({ cid: dataCid, bytes: dataBlock });
-      
-      // Add metadata
-      const metadataContent = await fs.promises.readFile(metadataPath, 'utf8');
-      const metadataBlock = await dagPB.encode({
-        Data: Buffer.from(metadataContent),
-        Links: []
-      });
-      const metadataCid = CID.create(1, dagPB.code, await blake2b256.digest(metadataBlock));
-      await writer.put({ cid: metadataCid, bytes: metadataBlock });
-      
-      // Create root directory that links both files
-      const rootBlock = await dagPB.encode({
-        Data: Buffer.from(''),
-        Links: [
-          {
-            Name: dataset.name,
-            Hash: dataCid,
-            Tsize: dataBlock.length
-          },
-          {
-            Name: 'metadata.json',
-            Hash: metadataCid,
-            Tsize: metadataBlock.length
-          }
-        ]
-      });
-      const rootCid = CID.create(1, dagPB.code, await blake2b256.digest(rootBlock));
-      await writer.put({ cid: rootCid, bytes: rootBlock });
-      
-      // Set the root
-      await writer.close();
-      
-      // Calculate CommP for the CAR file
-      const { pieceCid, pieceSize } = await calculateCommP(carPath);
-      
-      // Upload to Web3.Storage
-      const web3Files = [new File([await fs.promises.readFile(carPath)], 'data.car')];
-      
-      const uploadCid = await web3Storage.put(web3Files, {
-        name: dataset.name,
-        onRootCidReady: (cid) => {
-          logger.info('Root CID ready', { cid });
-        },
-        onStoredChunk: (size) => {
-          logger.debug('Stored chunk', { size });
-        }
-      });
-      
-      logger.info('Large dataset stored on Web3.Storage', { 
-        cid: uploadCid, 
-        pieceCid,
-        pieceSize,
-        name: dataset.name 
-      });
-      
-      return {
-        cid: uploadCid,
-        pieceCid,
-        pieceSize
-      };
-    } else {
-      // For smaller files, use packToBlob
-      const { root, car } = await packToBlob({
-        input: [
-          { path: dataset.name, content: fs.createReadStream(filePath) },
-          { path: 'metadata.json', content: fs.createReadStream(metadataPath) }
-        ],
-        wrapWithDirectory: true
-      });
-      
-      // Calculate CommP directly from the CAR data
-      const carBuffer = Buffer.from(await car.arrayBuffer());
-      const { pieceCid, pieceSize } = await calculateCommP(carBuffer);
-      
-      // Upload to Web3.Storage
-      const files = [new File([carBuffer], 'data.car')];
-      const cid = await web3Storage.put(files, {
-        name: dataset.name,
-        onRootCidReady: (cid) => {
-          logger.info('Root CID ready', { cid });
-        },
-        onStoredChunk: (size) => {
-          logger.debug('Stored chunk', { size });
-        }
-      });
-      
-      logger.info('Dataset stored on Web3.Storage', { 
-        cid,
-        pieceCid,
-        pieceSize,
-        name: dataset.name
-      });
-      
-      return {
-        cid: root.toString(),
-        pieceCid,
-        pieceSize
-      };
+    // Pack the dataset and its metadata into a CAR on disk, one block at a time
+    const carPath = await getTempFilePath('dataset', '.car');
+    tempFilesToCleanup.push(carPath);
+    
+    const entries = [
+      { path: dataset.name, content: readLazily(filePath) },
+      { path: 'metadata.json', content: readLazily(metadataPath) }
+    ];
+    
+    // The content profile travels next to the metadata
+    if (dataset.profile) {
+      const profilePath = await getTempFilePath('profile', '.json');
+      await fs.promises.writeFile(profilePath, JSON.stringify(dataset.profile, null, 2));
+      tempFilesToCleanup.push(profilePath);
+      entries.push({ path: 'profile.json', content: readLazily(profilePath) });
     }
+    
+    const { rootCid, carSize, commitment } = await packToCar(entries, carPath, {
+      ...dataset.packing,
+      wrapWithDirectory: true
+    });
+    
+    // Calculate CommP for the CAR file
+    const { pieceCid, pieceSize } = await calculateCommP(carPath);
+    
+    const storageBackend = getStorageBackend();
+    await storageBackend.putCar(carPath, { name: dataset.name });
+    
+    logger.info('Dataset stored', { 
+      backend: storageBackend.name,
+      cid: rootCid,
+      carSize,
+      pieceCid,
+      pieceSize,
+      name: dataset.name
+    });
+    
+    return {
+      cid: rootCid,
+      pieceCid,
+      pieceSize,
+      commitment
+    };
   } catch (error) {
-    logger.error('Error storing dataset on Web3.Storage', { error: error.message });
+    logger.error('Error storing dataset', { error: error.message });
     throw error;
   } finally {
     // Clean up temporary files
@@ -328,62 +233,21 @@ const storeDataset = async (dataset) => {
  * @param {number} [dealParams.pieceSize] - Piece size for Filecoin storage
  * @param {string} [dealParams.minerId] - Optional specific miner ID
  * @param {boolean} [dealParams.verifiedDeal=false] - Whether to create a verified deal
+ * @param {number} [dealParams.startEpoch] - Epoch the deal starts at, ~1 day from now by default
+ * @param {number} [dealParams.duration] - Deal duration in epochs, the configured deal duration by default
  * @returns {Promise<Object>} - Deal information
  */
 const createStorageDeal = async (dealParams) => {
   try {
+    const dealBackend = getDealBackend();
+    
     // Get current epoch
-    const chainHead = await lotusClient.chainHead();
-    const currentEpoch = chainHead.Height;
+    const { epoch: currentEpoch } = await dealBackend.chainHead();
     
     // Calculate start and end epochs
-    const startEpoch = currentEpoch + 2880; // ~1 day from now
-    const endEpoch = startEpoch + filecoinConfig.dealDuration;
-    
-    // Find storage provider if not specified
-    let provider = dealParams.minerId;
-    if (!provider) {
-      // Get list of miners
-      const miners = await lotusClient.stateListMiners([]);
-      
-      // Get miner info for each miner to find suitable ones
-      const minerDetails = await Promise.all(
-        miners.slice(0, 50).map(async (minerId) => { // Limit to first 50 for performance
-          try {
-            const minerInfo = await lotusClient.stateMinerInfo(minerId, []);
-            const minerPower = await lotusClient.stateMinerPower(minerId, []);
-            
-            // Check if miner is active and has power
-            if (minerPower && minerPower.MinerPower && minerPower.MinerPower.QualityAdjPower > 0) {
-              return {
-                id: minerId,
-                sectorSize: minerInfo.SectorSize,
-                power: minerPower.MinerPower.QualityAdjPower
-              };
-            }
-            return null;
-          } catch (error) {
-            logger.debug(`Error getting miner info for ${minerId}`, { error: error.message });
-            return null;
-          }
-        })
-      );
-      
-      // Filter out nulls and find miners with enough space
-      const pieceSize = dealParams.pieceSize || Math.pow(2, Math.ceil(Math.log2(dealParams.size)));
-      const suitableMiners = minerDetails
-        .filter(m => m !== null && m.sectorSize >= pieceSize)
-        .sort((a, b) => parseInt(b.power) - parseInt(a.power)); // Sort by power descending
-      
-      if (suitableMiners.length === 0) {
-        throw new Error('No suitable storage providers found');
-      }
-      
-      provider = suitableMiners[0].id;
-    }
-    
-    // Get client address from wallet
-    const defaultWallet = await lotusClient.walletDefaultAddress();
+    const startEpoch = dealParams.startEpoch || currentEpoch + 2880; // ~1 day from now
+    const duration = dealParams.duration || filecoinConfig.dealDuration;
+    const endEpoch = startEpoch + duration;
     
     // Create deal proposal
     let pieceCid = dealParams.pieceCid;
@@ -391,26 +255,11 @@ const createStorageDeal = async (dealParams) => {
     
     // If pieceCid not provided, generate it
     if (!pieceCid || !pieceSize) {
-      // Retrieve CAR file from IPFS
-      const carPath = await getTempFilePath('deal', '.car');
+      let carPath = null;
       
       try {
-        // Download CAR from Web3.Storage
-        const res = await web3Storage.get(dealParams.cid);
-        if (!res.ok) {
-          throw new Error(`Failed to retrieve CAR: ${res.statusText}`);
-        }
-        
-        // Get the car file and save it locally
-        const files = await res.files();
-        const carFile = files.find(file => file.name.endsWith('.car'));
-        
-        if (!carFile) {
-          throw new Error('CAR file not found in storage');
-        }
-        
-        const carData = await carFile.arrayBuffer();
-        await fs.promises.writeFile(carPath, Buffer.from(carData));
+        // Fetch the CAR from storage
+        ({ carPath } = await fetchCar(dealParams.cid));
         
         // Calculate CommP from the CAR file
         const { pieceCid: calculatedPieceCid, pieceSize: calculatedPieceSize } = 
@@ -418,36 +267,46 @@ const createStorageDeal = async (dealParams) => {
         
         pieceCid = calculatedPieceCid;
         pieceSize = calculatedPieceSize;
-        
-        // Clean up
-        await fs.promises.unlink(carPath);
       } catch (error) {
         logger.error('Error preparing CAR file for deal', { error: error.message });
         throw new Error(`Failed to prepare CAR file: ${error.message}`);
+      } finally {
+        if (carPath) {
+          await removeCar(carPath);
+        }
       }
     }
     
-    // Create a deal proposal using Lotus API
-    const dealParams = {
-      Data: {
-        TransferType: 'graphsync',
-        Root: { '/': dealParams.cid },
-        PieceCid: { '/': pieceCid },
-        PieceSize: pieceSize
-      },
-      Wallet: defaultWallet,
-      Miner: provider,
-      EpochPrice: '0', // For testing, in production we'd set a real price
-      MinBlocksDuration: filecoinConfig.dealDuration,
-      DealStartEpoch: startEpoch,
-      FastRetrieval: true,
-      VerifiedDeal: dealParams.verifiedDeal || filecoinConfig.verifiedDeals
-    };
+    // Find storage provider if not specified
+    let provider = dealParams.minerId;
+    if (!provider) {
+      const suitableMiners = (await dealBackend.listProviders())
+        .filter(m => m.sectorSize >= pieceSize)
+        .sort((a, b) => parseInt(b.power) - parseInt(a.power)); // Sort by power descending
+      
+      if (suitableMiners.length === 0) {
+        throw new Error('No suitable storage providers found');
+      }
+      
+      provider = suitableMiners[0].id;
+    }
+    
+    const verifiedDeal = dealParams.verifiedDeal || filecoinConfig.verifiedDeals;
     
-    const dealCid = await lotusClient.clientStartDeal(dealParams);
+    const { dealCid, clientAddress } = await dealBackend.startDeal({
+      cid: dealParams.cid,
+      pieceCid,
+      pieceSize,
+      provider,
+      startEpoch,
+      duration,
+      epochPrice: '0', // For testing, in production we'd set a real price
+      verifiedDeal
+    });
     
-    logger.info('Filecoin storage deal created via Lotus', { 
-      dealCid: dealCid['/'],
+    logger.info('Filecoin storage deal created', { 
+      backend: dealBackend.name,
+      dealCid,
       cid: dealParams.cid,
       pieceCid,
       provider
@@ -457,31 +316,35 @@ const createStorageDeal = async (dealParams) => {
     const dealProposal = {
       pieceCid,
       pieceSize,
-      verifiedDeal: dealParams.verifiedDeal || filecoinConfig.verifiedDeals,
+      verifiedDeal,
       label: `deal-${Date.now()}`,
       startEpoch,
       endEpoch,
       price: '0', // Free deal for testing
       provider,
-      clientAddress: defaultWallet
+      clientAddress
     };
     
     const { dealId, receipt } = await contractsService.makeDealProposal(dealProposal);
     
     logger.info('Filecoin deal registered on blockchain', { 
       dealId, 
-      dealCid: dealCid['/'], 
+      dealCid, 
       txHash: receipt.transactionHash 
     });
     
     return {
       dealId,
-      dealCid: dealCid['/'],
+      dealCid,
       provider,
       pieceCid,
       pieceSize,
       startEpoch,
       endEpoch,
+      startTime: new Date(Date.now() + (startEpoch - currentEpoch) * EPOCH_DURATION_MS),
+      endTime: new Date(Date.now() + (endEpoch - currentEpoch) * EPOCH_DURATION_MS),
+      duration,
+      price: '0',
       status: 'proposed',
       transactionHash: receipt.transactionHash
     };
@@ -491,6 +354,20 @@ const createStorageDeal = async (dealParams) => {
   }
 };
 
+/**
+ * Get the current chain height
+ * @returns {Promise<number>} - Current epoch
+ */
+const getCurrentEpoch = async () => {
+  try {
+    const { epoch } = await getDealBackend().chainHead();
+    return epoch;
+  } catch (error) {
+    logger.error('Error getting chain head', { error: error.message });
+    throw error;
+  }
+};
+
 /**
  * Check the status of a storage deal
  * @param {string} dealId - Deal ID
@@ -501,54 +378,39 @@ const checkDealStatus = async (dealId) => {
     // First check status on blockchain
     const dealStatus = await contractsService.checkDealStatus(dealId);
     
-    // If deal is registered on blockchain, get details from Lotus
+    // Get the deal as registered on the blockchain
     const deal = await contractsService.getContract('FilecoinDealClient').getDeal(dealId);
     const dealCid = deal.dealCid;
     
-    if (dealCid) {
-      try {
-        // Get deal state from Lotus
-        const lotusStatus = await lotusClient.clientGetDealStatus(dealCid);
-        
-        // Check if the deal is published on chain
-        let onChainStatus = false;
-        let dealExpiration = null;
-        
-        try {
-          const dealInfo = await lotusClient.stateMarketDeal(dealId, []);
-          if (dealInfo) {
-            onChainStatus = true;
-            dealExpiration = dealInfo.Proposal.EndEpoch;
-          }
-        } catch (marketError) {
-          // Deal might not be on chain yet
-          logger.debug('Deal not found on chain', { dealId, error: marketError.message });
-        }
-        
+    try {
+      // Get deal state from the deal backend
+      const backendStatus = await getDealBackend().dealStatus({ dealId, dealCid });
+      
+      if (backendStatus) {
         return {
-          status: lotusStatus.State,
-          active: lotusStatus.State === 'StorageDealActive',
-          published: onChainStatus,
+          status: backendStatus.status,
+          active: backendStatus.active,
+          published: backendStatus.published,
           dealCid: dealCid,
           provider: deal.provider,
           pieceCid: deal.pieceCid,
-          expiration: dealExpiration,
-          message: lotusStatus.Message || dealStatus.message,
+          expiration: backendStatus.expiration,
+          message: backendStatus.message || dealStatus.message,
           onChainState: dealStatus.status
         };
-      } catch (lotusError) {
-        logger.warn('Error getting deal status from Lotus', { error: lotusError.message });
-        // Return blockchain status if Lotus query fails
-        return {
-          status: dealStatus.status,
-          active: dealStatus.active,
-          published: false,
-          message: dealStatus.message
-        };
       }
+    } catch (backendError) {
+      logger.warn('Error getting deal status from storage backend', { error: backendError.message });
+      // Return blockchain status if the backend query fails
+      return {
+        status: dealStatus.status,
+        active: dealStatus.active,
+        published: false,
+        message: dealStatus.message
+      };
     }
     
-    // If dealCid not available, return just the blockchain status
+    // If the backend does not track the deal, return just the blockchain status
     return {
       status: dealStatus.status,
       active: dealStatus.active,
@@ -562,207 +424,49 @@ const checkDealStatus = async (dealId) => {
 
 /**
  * Retrieve dataset from Filecoin/IPFS
+ * The CAR is fetched from the storage backend, or a retrieval fallback, and unpacked on disk
  * @param {string} cid - Content ID to retrieve
- * @returns {Promise<Object>} - Retrieved data and metadata
+ * @returns {Promise<Object>} - Path of the dataset file, its metadata and the directory to remove afterwards
  */
 const retrieveDataset = async (cid) => {
+  let carPath = null;
+  let outputDir = null;
+  
   try {
-    // Try retrieve from Web3.Storage first
-    try {
-      const res = await web3Storage.get(cid);
-      if (!res.ok) {
-        throw new Error(`Failed to retrieve dataset: ${res.statusText}`);
-      }
-      
-      // Get all files
-      const files = await res.files();
-      
-      // Find dataset and metadata files
-      const datasetFile = files.find(file => file.name !== 'metadata.json');
-      const metadataFile = files.find(file => file.name === 'metadata.json');
-      
-      if (!datasetFile || !metadataFile) {
-        throw new Error('Dataset or metadata file not found in the retrieved content');
-      }
-      
-      // For large files, save to disk instead of loading into memory
-      let datasetContent;
-      let isPath = false;
-      
-      if (datasetFile.size > 50 * 1024 * 1024) { // > 50MB
-        const tempPath = await getTempFilePath('dataset', path.extname(datasetFile.name));
-        
-        const dataResponse = await fetch(datasetFile.url);
-        if (!dataResponse.ok) {
-          throw new Error(`Failed to fetch dataset file: ${dataResponse.statusText}`);
-        }
-        
-        const fileStream = fs.createWriteStream(tempPath);
-        await pipeline(dataResponse.body, fileStream);
-        
-        datasetContent = tempPath;
-        isPath = true;
-      } else {
-        datasetContent = Buffer.from(await datasetFile.arrayBuffer());
-      }
-      
-      const metadataContent = JSON.parse(await metadataFile.text());
-      
-      logger.info('Dataset retrieved from Web3.Storage', { cid, name: datasetFile.name });
-      
-      return {
-        data: datasetContent,
-        metadata: metadataContent,
-        name: datasetFile.name,
-        isPath
-      };
-    } catch (web3Error) {
-      logger.warn('Web3.Storage retrieval failed, trying direct retrieval', { error: web3Error.message });
-      throw web3Error; // Pass to next retrieval method
+    const fetched = await fetchCar(cid);
+    carPath = fetched.carPath;
+    
+    outputDir = await getTempFilePath('retrieve-dir', '');
+    const files = await unpackCar(carPath, outputDir);
+    
+    // Find dataset and metadata files; newer datasets also carry a profile.json
+    const metadataFile = files.find(file => file.path === 'metadata.json');
+    const datasetFile = files.find(file => !['metadata.json', 'profile.json'].includes(file.path));
+    
+    if (!datasetFile || !metadataFile) {
+      throw new Error('Dataset or metadata file not found in the retrieved content');
     }
-  } catch (web3Error) {
-    // Try direct Lotus retrieval if Web3.Storage fails
-    try {
-      logger.info('Attempting direct retrieval from Filecoin via Lotus');
-      
-      // Find miners who have the data
-      const minerResponses = await lotusClient.clientFindData({ '/': cid }, []);
-      
-      if (!minerResponses || minerResponses.length === 0) {
-        throw new Error('No miners found with the data');
-      }
-      
-      // Create output directory
-      const outputDir = await getTempFilePath('filecoin-retrieve-dir', '');
-      await fs.promises.mkdir(outputDir, { recursive: true });
-      
-      // Create retrieval parameters
-      const retrievalOrder = {
-        Root: { '/': cid },
-        Piece: null, // Let Lotus find the piece
-        Size: 0, // Unknown size
-        Total: '0', // Let Lotus calculate price
-        UnsealPrice: '0',
-        PaymentInterval: 1048576, // 1MiB payment interval
-        PaymentIntervalIncrease: 1048576,
-        Client: await lotusClient.walletDefaultAddress(),
-        Miner: minerResponses[0].MinerPeer.Address,
-        MinerPeerID: minerResponses[0].MinerPeer.ID
-      };
-      
-      // Start retrieval
-      const retrievalRes = await lotusClient.clientRetrieve(retrievalOrder, outputDir);
-      
-      // Poll for completion
-      let complete = false;
-      let attempts = 0;
-      const maxAttempts = 60; // Check for up to 5 minutes (5s intervals)
-      
-      while (!complete && attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds
-        
-        try {
-          // Check if files exist in output dir
-          const files = await fs.promises.readdir(outputDir);
-          if (files.length > 0) {
-            complete = true;
-          }
-        } catch (checkError) {
-          logger.debug('Error checking retrieval status', { error: checkError.message });
-        }
-        
-        attempts++;
-      }
-      
-      if (!complete) {
-        throw new Error('Retrieval timed out');
-      }
-      
-      // Find dataset and metadata files
-      const files = await fs.promises.readdir(outputDir);
-      const metadataFile = files.find(f => f === 'metadata.json');
-      const datasetFile = files.find(f => f !== 'metadata.json');
-      
-      if (!datasetFile || !metadataFile) {
-        throw new Error('Retrieved files incomplete');
-      }
-      
-      const metadataPath = path.join(outputDir, metadataFile);
-      const datasetPath = path.join(outputDir, datasetFile);
-      
-      // Read metadata
-      const metadata = JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
-      
-      logger.info('Dataset retrieved from Filecoin via Lotus', { cid, name: datasetFile });
-      
-      return {
-        data: datasetPath,
-        metadata,
-        name: datasetFile,
-        isPath: true,
-        outputDir // Keep track of this for cleanup
-      };
-    } catch (lotusError) {
-      logger.error('Lotus retrieval failed, trying IPFS gateway', { error: lotusError.message });
-      
-      // Last resort: try IPFS gateway
-      try {
-        // Get directory listing
-        const gatewayUrl = `https://dweb.link/api/v0/ls?arg=${cid}`;
-        const response = await axios.get(gatewayUrl);
-        
-        if (!response.data || !response.data.Objects || response.data.Objects.length === 0) {
-          throw new Error('Invalid response from IPFS gateway');
-        }
-        
-        // Find files
-        const links = response.data.Objects[0].Links;
-        const datasetLink = links.find(link => link.Name !== 'metadata.json');
-        const metadataLink = links.find(link => link.Name === 'metadata.json');
-        
-        if (!datasetLink || !metadataLink) {
-          throw new Error('Dataset or metadata not found');
-        }
-        
-        // Get metadata
-        const metadataUrl = `https://dweb.link/ipfs/${metadataLink.Hash}`;
-        const metadataResponse = await axios.get(metadataUrl);
-        const metadata = metadataResponse.data;
-        
-        // For the dataset, save to disk
-        const outputPath = await getTempFilePath('ipfs', path.extname(datasetLink.Name));
-        const datasetUrl = `https://dweb.link/ipfs/${datasetLink.Hash}`;
-        
-        const writer = fs.createWriteStream(outputPath);
-        const datasetResponse = await axios({
-          method: 'get',
-          url: datasetUrl,
-          responseType: 'stream'
-        });
-        
-        await new Promise((resolve, reject) => {
-          datasetResponse.data.pipe(writer);
-          writer.on('finish', resolve);
-          writer.on('error', reject);
-        });
-        
-        logger.info('Dataset retrieved from IPFS gateway', { cid, name: datasetLink.Name });
-        
-        return {
-          data: outputPath,
-          metadata,
-          name: datasetLink.Name,
-          isPath: true
-        };
-      } catch (gatewayError) {
-        logger.error('All retrieval methods failed', { 
-          web3Error: web3Error.message,
-          lotusError: lotusError.message,
-          gatewayError: gatewayError.message
-        });
-        
-        throw new Error('Failed to retrieve dataset from any available source');
-      }
+    
+    const metadata = JSON.parse(await fs.promises.readFile(path.join(outputDir, metadataFile.path), 'utf8'));
+    
+    logger.info('Dataset retrieved', { cid, backend: fetched.backend, name: datasetFile.path });
+    
+    return {
+      data: path.join(outputDir, datasetFile.path),
+      metadata,
+      name: path.basename(datasetFile.path),
+      isPath: true,
+      outputDir // Keep track of this for cleanup
+    };
+  } catch (error) {
+    if (outputDir) {
+      await fs.promises.rm(outputDir, { recursive: true, force: true });
+    }
+    logger.error('Error retrieving dataset', { error: error.message, cid });
+    throw new Error(`Failed to retrieve dataset: ${error.message}`);
+  } finally {
+    if (carPath) {
+      await removeCar(carPath);
     }
   }
 };
@@ -776,41 +480,19 @@ const retrieveDataset = async (cid) => {
  */
 const calculateStorageCost = async (sizeBytes, durationEpochs, verifiedDeal = false) => {
   try {
-    // Get current network base fee
-    const chainHead = await lotusClient.chainHead();
-    const baseFee = chainHead.Blocks[0].ParentBaseFee;
+    const dealBackend = getDealBackend();
     
-    // Get actual prices from miners
-    const miners = await lotusClient.stateListMiners([]);
-    const minerSample = miners.slice(0, 10); // Take 10 miners for sample
-    
-    // Get ask prices from miners
-    const prices = await Promise.all(minerSample.map(async (minerId) => {
-      try {
-        const minerPower = await lotusClient.stateMinerPower(minerId, []);
-        
-        // Skip miners with no power
-        if (!minerPower.MinerPower || !minerPower.MinerPower.QualityAdjPower) {
-          return null;
-        }
-        
-        const askResponse = await lotusClient.clientQueryAsk(minerId, []);
-        
-        return {
-          minerId,
-          price: askResponse.Price,
-          verifiedPrice: askResponse.VerifiedPrice,
-          minPieceSize: askResponse.MinPieceSize,
-          maxPieceSize: askResponse.MaxPieceSize
-        };
-      } catch (error) {
-        logger.debug(`Error getting price from miner ${minerId}`, { error: error.message });
-        return null;
-      }
-    }));
+    // Get current network base fee
+    const { baseFee } = await dealBackend.chainHead();
     
-    // Filter out nulls and calculate average price
-    const validPrices = prices.filter(p => p !== null);
+    // Get ask prices from a sample of 10 miners
+    const validPrices = (await dealBackend.listProviders({ limit: 10 }))
+      .filter(p => p.ask)
+      .map(p => ({
+        minerId: p.id,
+        price: p.ask.price,
+        verifiedPrice: p.ask.verifiedPrice
+      }));
     
     if (validPrices.length === 0) {
       throw new Error('No valid price information available');
@@ -860,82 +542,26 @@ const calculateStorageCost = async (sizeBytes, durationEpochs, verifiedDeal = fa
  */
 const findStorageProviders = async (criteria = {}) => {
   try {
-    // Get all miners
-    const miners = await lotusClient.stateListMiners([]);
-    
-    // Get detailed information for miners (limit to 50 for performance)
-    const minerDetails = await Promise.all(
-      miners.slice(0, 50).map(async (minerId) => {
-        try {
-          // Get miner power and info
-          const minerPower = await lotusClient.stateMinerPower(minerId, []);
-          
-          // Skip miners with no power
-          if (!minerPower.MinerPower || !minerPower.MinerPower.QualityAdjPower) {
-            return null;
-          }
-          
-          const minerInfo = await lotusClient.stateMinerInfo(minerId, []);
-          
-          // Skip miners that aren't accepting deals
-          if (!minerInfo.Multiaddrs || minerInfo.Multiaddrs.length === 0) {
-            return null;
-          }
-          
-          // Get ask price
-          let askPrice, verifiedPrice, minPieceSize, maxPieceSize;
-          
-          try {
-            const askResponse = await lotusClient.clientQueryAsk(minerId, []);
-            askPrice = askResponse.Price;
-            verifiedPrice = askResponse.VerifiedPrice;
-            minPieceSize = askResponse.MinPieceSize;
-            maxPieceSize = askResponse.MaxPieceSize;
-          } catch (askError) {
-            logger.debug(`Error getting ask from miner ${minerId}`, { error: askError.message });
-            return null;
-          }
-          
-          // Check criteria
-          if (criteria.minFreeSpace && maxPieceSize < criteria.minFreeSpace) {
-            return null;
-          }
-          
-          if (criteria.maxPrice && 
-              Number(askPrice) / 1e18 > criteria.maxPrice) {
-            return null;
-          }
-          
-          // Determine region (this is a simplification - real impl would use geolocation)
-          let region = 'Unknown';
-          if (minerInfo.PeerId) {
-            // In a real implementation, we would use a service to get geolocation from peer ID
-            region = 'Unknown';
-          }
-          
-          if (criteria.region && region !== criteria.region) {
-            return null;
-          }
-          
-          return {
-            id: minerId,
-            power: minerPower.MinerPower.QualityAdjPower,
-            location: region,
-            price: Number(askPrice) / 1e18,
-            verifiedPrice: Number(verifiedPrice) / 1e18,
-            minPieceSize,
-            maxPieceSize,
-            sectorSize: minerInfo.SectorSize
-          };
-        } catch (error) {
-          logger.debug(`Error getting details for miner ${minerId}`, { error: error.message });
-          return null;
-        }
-      })
-    );
-    
-    // Filter out nulls
-    const validMiners = minerDetails.filter(m => m !== null);
+    const providers = await getDealBackend().listProviders();
+    
+    const validMiners = providers
+      // Skip miners that aren't accepting deals or did not answer with an ask
+      .filter(miner => miner.ask && miner.multiaddrs.length > 0)
+      .map(miner => ({
+        id: miner.id,
+        power: miner.power,
+        // Regions come from configuration; geolocating peer IDs is not reliable enough
+        location: filecoinConfig.providerRegions[miner.id] || 'Unknown',
+        price: Number(miner.ask.price) / 1e18,
+        askPrice: String(miner.ask.price), // attoFIL per GiB per epoch
+        verifiedPrice: Number(miner.ask.verifiedPrice) / 1e18,
+        minPieceSize: miner.ask.minPieceSize,
+        maxPieceSize: miner.ask.maxPieceSize,
+        sectorSize: miner.sectorSize
+      }))
+      .filter(miner => !(criteria.minFreeSpace && miner.maxPieceSize < criteria.minFreeSpace))
+      .filter(miner => !(criteria.maxPrice && miner.price > criteria.maxPrice))
+      .filter(miner => !(criteria.region && miner.location !== criteria.region));
     
     // Sort by price
     validMiners.sort((a, b) => a.price - b.price);
@@ -951,6 +577,7 @@ module.exports = {
   storeDataset,
   createStorageDeal,
   checkDealStatus,
+  getCurrentEpoch,
   retrieveDataset,
   calculateStorageCost,
   findStorageProviders,
@@ -0,0 +1,736 @@
+/**
+ * Chain event indexer service
+ * Syncs contract events into the database, tracking the last processed block of each contract
+ */
+const { v4: uuidv4 } = require('uuid');
+const { ethers } = require('ethers');
+const contractsService = require('./contracts.service');
+const marketplaceService = require('./marketplace.service');
+const royaltyService = require('./royalty.service');
+const attributionService = require('./attribution.service');
+const proposalActionService = require('./proposal_action.service');
+const verificationService = require('./verification.service');
+const indexerConfig = require('../config/indexer');
+const logger = require('../utils/logger');
+const DB = require('../models');
+
+// Blocks walked back when looking for the last block that survived a reorg
+const MAX_REORG_SCAN_BLOCKS = 100;
+
+const LICENSE_TYPES = ['research', 'commercial', 'educational', 'personal'];
+
+/**
+ * Convert an event timestamp to a date
+ * @param {ethers.BigNumber} timestamp - Unix timestamp in seconds
+ * @returns {Date} - Date
+ */
+const toDate = (timestamp) => new Date(Number(timestamp.toString()) * 1000);
+
+/**
+ * Convert decoded event arguments to plain JSON
+ * @param {Object} args - Decoded event arguments
+ * @returns {Object} - Named arguments, with big numbers as strings
+ */
+const serializeArgs = (args) => {
+  const serialized = {};
+  for (const key of Object.keys(args)) {
+    if (!isNaN(Number(key))) {
+      continue;
+    }
+    const value = args[key];
+    serialized[key] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+  }
+  return serialized;
+};
+
+/**
+ * Find the dataset minted as a token
+ * @param {ethers.BigNumber|string} tokenId - Token ID
+ * @returns {Promise<Object|null>} - Dataset row
+ */
+const findDatasetByTokenId = async (tokenId) => {
+  return DB.Dataset.findOne({ where: { tokenId: tokenId.toString() } });
+};
+
+/**
+ * Parse the JSON a proposal was created with
+ * @param {string} data - Proposal call data decoded as UTF-8
+ * @returns {Object} - Proposal data, or an empty object if it is not JSON
+ */
+const parseProposalData = (data) => {
+  try {
+    return JSON.parse(data) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Event handlers by contract; a handler returns false when the event has nothing to update
+const EVENT_HANDLERS = {
+  DatasetRegistry: {
+    DatasetRegistered: async ({ args }) => {
+      const dataset = await DB.Dataset.findOne({ where: { cid: args.cid } });
+      if (!dataset) {
+        return false;
+      }
+      if (!dataset.tokenId) {
+        await dataset.update({ tokenId: args.tokenId.toString() });
+      }
+      return true;
+    },
+    DatasetVerified: async ({ args }) => {
+      const dataset = await findDatasetByTokenId(args.tokenId);
+      if (!dataset) {
+        return false;
+      }
+      const verifier = args.verifier.toLowerCase();
+      // Verifications completed through the VerificationRegistry are recorded from its own event
+      if (contractsService.isContractConfigured('VerificationRegistry') &&
+          verifier === contractsService.getContract('VerificationRegistry').address.toLowerCase()) {
+        return true;
+      }
+      if (!dataset.verified) {
+        await dataset.update({ verified: true, verifier, verifiedAt: toDate(args.timestamp) });
+      }
+      const verification = await DB.Verification.findOne({
+        where: { datasetId: dataset.id, verifier }
+      });
+      if (!verification) {
+        await DB.Verification.create({
+          datasetId: dataset.id,
+          verifier,
+          verifiedAt: toDate(args.timestamp)
+        });
+      }
+      return true;
+    },
+    MetadataUpdated: async ({ args }) => {
+      const dataset = await findDatasetByTokenId(args.tokenId);
+      if (!dataset) {
+        return false;
+      }
+      if (dataset.metadataUri !== args.metadataURI) {
+        await dataset.update({ metadataUri: args.metadataURI });
+      }
+      return true;
+    }
+  },
+  Marketplace: {
+    ListingCreated: async ({ args, transactionHash }) => {
+      const onChainId = args.listingId.toString();
+      const existing = await DB.Listing.findOne({ where: { onChainId } });
+      if (existing) {
+        if (!existing.transactionHash) {
+          await existing.update({ transactionHash });
+        }
+        return true;
+      }
+      
+      const dataset = await findDatasetByTokenId(args.datasetId);
+      if (!dataset || !LICENSE_TYPES.includes(args.licenseType)) {
+        return false;
+      }
+      
+      const chainListing = await contractsService.getListing(onChainId);
+      await DB.Listing.create({
+        id: uuidv4(),
+        datasetId: dataset.id,
+        onChainId,
+        price: args.price.toString(),
+        licenseType: args.licenseType,
+        duration: chainListing.duration,
+        seller: args.seller.toLowerCase(),
+        status: chainListing.isActive ? 'active' : 'cancelled',
+        expiresAt: new Date(toDate(args.timestamp).getTime() + chainListing.duration * 1000),
+        transactionHash
+      });
+      return true;
+    },
+    ListingUpdated: async ({ args }) => {
+      const listing = await DB.Listing.findOne({ where: { onChainId: args.listingId.toString() } });
+      if (!listing) {
+        return false;
+      }
+      const updates = { price: args.price.toString() };
+      if (!args.isActive && listing.status === 'active') {
+        updates.status = 'cancelled';
+      } else if (args.isActive && listing.status === 'cancelled') {
+        updates.status = 'active';
+      }
+      await listing.update(updates);
+      return true;
+    },
+    ListingPurchased: async ({ args, transactionHash }) => {
+      const onChainId = args.listingId.toString();
+      const listing = await DB.Listing.findOne({ where: { onChainId } });
+      if (!listing) {
+        return false;
+      }
+      await marketplaceService.recordOnChainPurchase(onChainId, {
+        buyer: args.buyer,
+        price: args.price.toString(),
+        transactionHash,
+        purchasedAt: toDate(args.timestamp)
+      });
+      return true;
+    },
+    ListingCanceled: async ({ args }) => {
+      const listing = await DB.Listing.findOne({ where: { onChainId: args.listingId.toString() } });
+      if (!listing) {
+        return false;
+      }
+      if (listing.status === 'active') {
+        await listing.update({ status: 'cancelled' });
+      }
+      return true;
+    }
+  },
+  DataDAO: {
+    ProposalCreated: async ({ args, transactionHash }) => {
+      const onChainId = args.proposalId.toString();
+      const existing = await DB.Proposal.findOne({ where: { onChainId } });
+      if (existing) {
+        return true;
+      }
+      
+      const chainProposal = await contractsService.getProposal(onChainId);
+      const proposalData = parseProposalData(chainProposal.data);
+      
+      // A proposal created through the API whose contract call was retried from the outbox
+      if (proposalData.proposalId) {
+        const pending = await DB.Proposal.findByPk(proposalData.proposalId);
+        if (pending) {
+          await pending.update({ onChainId, transactionHash: pending.transactionHash || transactionHash });
+          return true;
+        }
+      }
+      
+      // Proposals made directly on chain are only executable if their actions are valid
+      let parameters = proposalData.parameters || null;
+      if (parameters && parameters.actions) {
+        try {
+          parameters = { ...parameters, actions: proposalActionService.validateActions(parameters.actions) };
+        } catch (error) {
+          logger.warn('Dropping invalid actions of on-chain proposal', { onChainId, error: error.message });
+          parameters = { ...parameters, actions: [], invalidActions: error.message };
+        }
+      }
+      
+      const startTime = toDate(args.creationTime);
+      const endTime = toDate(args.votingEndTime);
+      await DB.Proposal.create({
+        id: uuidv4(),
+        title: args.title,
+        description: chainProposal.description,
+        proposalType: proposalData.proposalType || null,
+        parameters,
+        proposer: args.proposer.toLowerCase(),
+        votingPeriod: Math.round((endTime.getTime() - startTime.getTime()) / 1000),
+        onChainId,
+        transactionHash,
+        status: endTime < new Date() ? 'closed' : 'active',
+        startTime,
+        endTime
+      });
+      return true;
+    },
+    VoteCast: async ({ args, transactionHash }) => {
+      const proposal = await DB.Proposal.findOne({ where: { onChainId: args.proposalId.toString() } });
+      if (!proposal) {
+        return false;
+      }
+      const voter = args.voter.toLowerCase();
+      const existing = await DB.Vote.findOne({ where: { proposalId: proposal.id, voter } });
+      if (existing) {
+        if (!existing.transactionHash) {
+          await existing.update({ transactionHash });
+        }
+        return true;
+      }
+      await DB.Vote.create({
+        id: uuidv4(),
+        proposalId: proposal.id,
+        voter,
+        support: args.support,
+        voteType: args.support ? 'for' : 'against',
+        weight: await contractsService.getVotingPower(voter),
+        reason: null,
+        transactionHash
+      });
+      return true;
+    },
+    ProposalExecuted: async ({ args, transactionHash }) => {
+      const proposal = await DB.Proposal.findOne({ where: { onChainId: args.proposalId.toString() } });
+      if (!proposal) {
+        return false;
+      }
+      if (proposal.status !== 'executed') {
+        // A proposal with actions is only executed once its actions have been carried out
+        const hasActions = proposalActionService.getProposalActions(proposal).length > 0;
+        await proposal.update({
+          status: hasActions ? proposal.status : 'executed',
+          executedAt: hasActions ? proposal.executedAt : toDate(args.timestamp),
+          executor: proposal.executor || args.executor.toLowerCase(),
+          executionTransactionHash: transactionHash
+        });
+      }
+      return true;
+    },
+    ProposalCanceled: async ({ args }) => {
+      const proposal = await DB.Proposal.findOne({ where: { onChainId: args.proposalId.toString() } });
+      if (!proposal) {
+        return false;
+      }
+      if (proposal.status !== 'cancelled') {
+        await proposal.update({ status: 'cancelled' });
+      }
+      return true;
+    }
+  },
+  RoyaltyDistributor: {
+    RoyaltyDistributed: async ({ args, transactionHash }) => {
+      const dataset = await findDatasetByTokenId(args.datasetId);
+      if (!dataset) {
+        return false;
+      }
+      const distribution = await contractsService.getRoyaltyDistribution(args.distributionId.toString());
+      await royaltyService.recordRoyaltyDistribution(dataset.id, { ...distribution, transactionHash });
+      await attributionService.calculateRoyalties(dataset.id);
+      return true;
+    },
+    RoyaltyClaimed: async ({ args, transactionHash, logIndex }) => {
+      const { datasetIds } = await royaltyService.recordClaim({
+        account: args.recipient,
+        amount: args.amount.toString(),
+        transactionHash,
+        logIndex,
+        occurredAt: toDate(args.timestamp)
+      });
+      for (const datasetId of datasetIds) {
+        await attributionService.calculateRoyalties(datasetId);
+      }
+      return true;
+    }
+  },
+  VerificationRegistry: {
+    VerificationRequested: async ({ args, transactionHash }) => {
+      const request = await verificationService.recordOnChainRequest(args.requestId.toString(), transactionHash);
+      return Boolean(request);
+    },
+    VerifierAssigned: async ({ args, transactionHash }) => {
+      const request = await DB.VerificationRequest.findOne({
+        where: { onChainId: args.requestId.toString() }
+      });
+      if (!request) {
+        return false;
+      }
+      if (request.status === 'pending') {
+        await request.update({
+          status: 'assigned',
+          assignedVerifier: args.verifier.toLowerCase(),
+          assignedAt: toDate(args.timestamp),
+          assignTxHash: transactionHash
+        });
+      }
+      return true;
+    },
+    VerificationCompleted: async ({ args, transactionHash }) => {
+      const dataset = await findDatasetByTokenId(args.datasetId);
+      if (!dataset) {
+        return false;
+      }
+      const verifier = args.verifier.toLowerCase();
+      const request = await DB.VerificationRequest.findOne({
+        where: { onChainId: args.requestId.toString() }
+      });
+      if (request && !request.completedAt) {
+        await request.update({
+          status: args.result === 'VERIFIED' ? 'verified' : 'rejected',
+          result: args.result,
+          completedAt: toDate(args.timestamp),
+          completeTxHash: transactionHash
+        });
+      }
+      if (args.result === 'VERIFIED' && !dataset.verified) {
+        await dataset.update({ verified: true, verifier, verifiedAt: toDate(args.timestamp) });
+      }
+      const verification = await DB.Verification.findOne({
+        where: { datasetId: dataset.id, verifier }
+      });
+      if (!verification) {
+        await DB.Verification.create({
+          datasetId: dataset.id,
+          verifier,
+          result: args.result,
+          verifiedAt: toDate(args.timestamp)
+        });
+      }
+      return true;
+    }
+  }
+};
+
+// Event reverters by contract, undoing what a handler derived from an event in a block dropped by a reorg;
+// other handlers update rows in place and are applied again from the replacement blocks
+const EVENT_REVERTERS = {
+  Marketplace: {
+    ListingPurchased: async ({ transactionHash }) => {
+      await marketplaceService.revertOnChainPurchase(transactionHash);
+    }
+  },
+  DataDAO: {
+    VoteCast: async ({ transactionHash }) => {
+      await DB.Vote.destroy({ where: { transactionHash } });
+    }
+  },
+  RoyaltyDistributor: {
+    RoyaltyDistributed: async ({ args }) => {
+      await royaltyService.revertRoyaltyDistribution(args.distributionId);
+      const dataset = await findDatasetByTokenId(args.datasetId);
+      if (dataset) {
+        await attributionService.calculateRoyalties(dataset.id);
+      }
+    },
+    RoyaltyClaimed: async ({ transactionHash, logIndex }) => {
+      const { datasetIds } = await royaltyService.revertClaim(transactionHash, logIndex);
+      for (const datasetId of datasetIds) {
+        await attributionService.calculateRoyalties(datasetId);
+      }
+    }
+  }
+};
+
+const INDEXED_CONTRACTS = Object.keys(EVENT_HANDLERS);
+
+/**
+ * Apply an event to the database once
+ * An event whose handler fails is retried on the next runs; once it has used up its attempts it is left
+ * failed, for reindexContract to retry, so one bad event does not hold back the events after it
+ * @param {Object} event - Decoded contract event
+ * @returns {Promise<string>} - "processed", "ignored", "failed" after its last attempt or "skipped" if it was applied before
+ */
+const processEvent = async (event) => {
+  const existing = await DB.ChainEvent.findOne({
+    where: { transactionHash: event.transactionHash, logIndex: event.logIndex }
+  });
+  
+  if (existing && existing.status !== 'failed') {
+    return 'skipped';
+  }
+  
+  const handler = (EVENT_HANDLERS[event.contractName] || {})[event.eventName];
+  let status = 'ignored';
+  let handlerError = null;
+  
+  if (handler) {
+    try {
+      status = (await handler(event)) === false ? 'ignored' : 'processed';
+    } catch (error) {
+      status = 'failed';
+      handlerError = error;
+    }
+  }
+  
+  const row = {
+    contractName: event.contractName,
+    eventName: event.eventName,
+    blockNumber: event.blockNumber,
+    blockHash: event.blockHash,
+    transactionHash: event.transactionHash,
+    logIndex: event.logIndex,
+    args: serializeArgs(event.args),
+    status,
+    error: handlerError ? handlerError.message : null,
+    attempts: existing ? existing.attempts + 1 : 1
+  };
+  
+  if (existing) {
+    await existing.update(row);
+  } else {
+    await DB.ChainEvent.create({ id: uuidv4(), ...row });
+  }
+  
+  if (handlerError) {
+    const message =
+      `Failed to index ${event.contractName}.${event.eventName} in block ${event.blockNumber}: ${handlerError.message}`;
+    if (row.attempts < indexerConfig.maxEventAttempts) {
+      throw new Error(message);
+    }
+    logger.error('Moving past an event that keeps failing', {
+      error: message,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex,
+      attempts: row.attempts
+    });
+  }
+  
+  return status;
+};
+
+/**
+ * Get the cursor of a contract, creating it at the deployment block on first use
+ * @param {string} contractName - Name of the contract
+ * @returns {Promise<Object>} - Cursor row
+ */
+const getCursor = async (contractName) => {
+  const startBlock = indexerConfig.startBlocks[contractName] || 0;
+  
+  const [cursor] = await DB.IndexerCursor.findOrCreate({
+    where: { contractName },
+    defaults: {
+      id: uuidv4(),
+      contractName,
+      contractAddress: contractsService.getContract(contractName).address,
+      startBlock,
+      lastProcessedBlock: startBlock - 1
+    }
+  });
+  
+  return cursor;
+};
+
+/**
+ * Rewind a cursor past blocks that were replaced by a reorg
+ * Events stored from the orphaned blocks are reverted, latest first, and removed so the replacement blocks
+ * are indexed afresh
+ * @param {Object} cursor - Cursor row
+ * @returns {Promise<boolean>} - Whether the cursor was rewound
+ */
+const rewindReorgedBlocks = async (cursor) => {
+  if (!cursor.lastProcessedBlockHash || cursor.lastProcessedBlock < cursor.startBlock) {
+    return false;
+  }
+  
+  const currentHash = await contractsService.getBlockHash(cursor.lastProcessedBlock);
+  if (currentHash === cursor.lastProcessedBlockHash) {
+    return false;
+  }
+  
+  // Walk back through the blocks we stored events from until one is still canonical
+  const events = await DB.ChainEvent.findAll({
+    where: {
+      contractName: cursor.contractName,
+      blockNumber: { [DB.Sequelize.Op.gte]: cursor.lastProcessedBlock - MAX_REORG_SCAN_BLOCKS }
+    },
+    order: [['blockNumber', 'DESC']]
+  });
+  
+  let safeBlock = Math.max(
+    cursor.startBlock - 1,
+    cursor.lastProcessedBlock - MAX_REORG_SCAN_BLOCKS - 1
+  );
+  const checked = new Set();
+  for (const event of events) {
+    if (checked.has(event.blockNumber)) {
+      continue;
+    }
+    checked.add(event.blockNumber);
+    if ((await contractsService.getBlockHash(event.blockNumber)) === event.blockHash) {
+      safeBlock = event.blockNumber;
+      break;
+    }
+  }
+  
+  const orphaned = await DB.ChainEvent.findAll({
+    where: {
+      contractName: cursor.contractName,
+      blockNumber: { [DB.Sequelize.Op.gt]: safeBlock }
+    },
+    order: [['blockNumber', 'DESC'], ['logIndex', 'DESC']]
+  });
+  
+  // Each event is removed once reverted, so a rewind that fails part way resumes where it stopped
+  let reverted = 0;
+  for (const event of orphaned) {
+    const reverter = (EVENT_REVERTERS[event.contractName] || {})[event.eventName];
+    if (reverter && event.status === 'processed') {
+      await reverter(event);
+      reverted++;
+    }
+    await event.destroy();
+  }
+  
+  logger.warn('Chain reorg detected, rewinding indexer', {
+    contractName: cursor.contractName,
+    fromBlock: cursor.lastProcessedBlock,
+    toBlock: safeBlock,
+    orphanedEvents: orphaned.length,
+    revertedEvents: reverted
+  });
+  
+  await cursor.update({
+    lastProcessedBlock: safeBlock,
+    lastProcessedBlockHash: safeBlock >= cursor.startBlock
+      ? await contractsService.getBlockHash(safeBlock)
+      : null,
+    reorgCount: cursor.reorgCount + 1
+  });
+  
+  return true;
+};
+
+/**
+ * Index the confirmed blocks of one contract
+ * @param {string} contractName - Name of the contract
+ * @param {number} headBlock - Latest block number
+ * @returns {Promise<Object>} - Indexing summary
+ */
+const indexContract = async (contractName, headBlock) => {
+  const cursor = await getCursor(contractName);
+  
+  try {
+    const rewound = await rewindReorgedBlocks(cursor);
+    const safeHead = headBlock - indexerConfig.confirmations;
+    const summary = {
+      contractName,
+      fromBlock: cursor.lastProcessedBlock + 1,
+      processed: 0,
+      ignored: 0,
+      failed: 0,
+      rewound
+    };
+    
+    let batches = 0;
+    while (cursor.lastProcessedBlock < safeHead && batches < indexerConfig.maxBatchesPerRun) {
+      const fromBlock = cursor.lastProcessedBlock + 1;
+      const toBlock = Math.min(safeHead, fromBlock + indexerConfig.blockBatchSize - 1);
+      
+      const events = await contractsService.getContractEvents(contractName, fromBlock, toBlock);
+      for (const event of events) {
+        const status = await processEvent(event);
+        if (status === 'processed') {
+          summary.processed++;
+        } else if (status === 'ignored') {
+          summary.ignored++;
+        } else if (status === 'failed') {
+          summary.failed++;
+        }
+      }
+      
+      await cursor.update({
+        lastProcessedBlock: toBlock,
+        lastProcessedBlockHash: await contractsService.getBlockHash(toBlock),
+        lastError: null
+      });
+      batches++;
+    }
+    
+    summary.lastProcessedBlock = cursor.lastProcessedBlock;
+    summary.caughtUp = cursor.lastProcessedBlock >= safeHead;
+    
+    return summary;
+  } catch (error) {
+    await cursor.update({ lastError: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Sync the events of every configured contract into the database
+ * @returns {Promise<Object>} - Sync summary per contract
+ */
+const syncChainEvents = async () => {
+  try {
+    if (!indexerConfig.enabled) {
+      return { enabled: false, contracts: [] };
+    }
+    
+    const headBlock = await contractsService.getBlockNumber();
+    const contracts = [];
+    
+    for (const contractName of INDEXED_CONTRACTS) {
+      if (!contractsService.isContractConfigured(contractName)) {
+        continue;
+      }
+      
+      try {
+        contracts.push(await indexContract(contractName, headBlock));
+      } catch (error) {
+        logger.error('Error indexing contract events', { error: error.message, contractName });
+        contracts.push({ contractName, error: error.message });
+      }
+    }
+    
+    return { enabled: true, headBlock, contracts };
+  } catch (error) {
+    logger.error('Error syncing chain events', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Get the progress of the indexer
+ * @returns {Promise<Object>} - Head block and the cursor of each contract
+ */
+const getIndexerStatus = async () => {
+  try {
+    const headBlock = await contractsService.getBlockNumber();
+    const cursors = await DB.IndexerCursor.findAll({ order: [['contractName', 'ASC']] });
+    const failedEvents = await DB.ChainEvent.count({ where: { status: 'failed' } });
+    
+    return {
+      enabled: indexerConfig.enabled,
+      headBlock,
+      confirmations: indexerConfig.confirmations,
+      failedEvents,
+      contracts: cursors.map(cursor => ({
+        contractName: cursor.contractName,
+        contractAddress: cursor.contractAddress,
+        startBlock: cursor.startBlock,
+        lastProcessedBlock: cursor.lastProcessedBlock,
+        lag: Math.max(headBlock - indexerConfig.confirmations - cursor.lastProcessedBlock, 0),
+        reorgCount: cursor.reorgCount,
+        lastError: cursor.lastError,
+        updatedAt: cursor.updatedAt
+      }))
+    };
+  } catch (error) {
+    logger.error('Error getting indexer status', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Move a contract's cursor back so its events are backfilled from a block
+ * Events already applied are skipped, so a backfill only adds what is missing and retries failed events
+ * @param {string} contractName - Name of the contract
+ * @param {number} [fromBlock] - First block to index again, defaults to the deployment block
+ * @returns {Promise<Object>} - Updated cursor
+ */
+const reindexContract = async (contractName, fromBlock) => {
+  try {
+    if (!INDEXED_CONTRACTS.includes(contractName)) {
+      throw new Error(`Unknown indexed contract: ${contractName}`);
+    }
+    
+    const cursor = await getCursor(contractName);
+    const startBlock = fromBlock === undefined ? cursor.startBlock : fromBlock;
+    
+    if (startBlock < cursor.startBlock) {
+      throw new Error(`Cannot reindex before the deployment block ${cursor.startBlock}`);
+    }
+    
+    await cursor.update({
+      lastProcessedBlock: startBlock - 1,
+      lastProcessedBlockHash: null,
+      lastError: null
+    });
+    
+    logger.info('Contract queued for reindexing', { contractName, fromBlock: startBlock });
+    
+    return {
+      contractName,
+      startBlock: cursor.startBlock,
+      lastProcessedBlock: cursor.lastProcessedBlock
+    };
+  } catch (error) {
+    logger.error('Error reindexing contract', { error: error.message, contractName });
+    throw error;
+  }
+};
+
+module.exports = {
+  syncChainEvents,
+  getIndexerStatus,
+  reindexContract
+};
@@ -1,31 +1,12 @@
-const { Web3Storage, File } = require('web3.storage');
-const { create } = require('ipfs-http-client');
 const fs = require('fs');
 const path = require('path');
-const { promisify } = require('util');
-const readFileAsync = promisify(fs.readFile);
-const config = require('../config');
+const ipfsConfig = require('../config/ipfs');
+const { getStorageBackend, fetchCar, removeCar } = require('./storage');
+const { packToCar, packPathToCar, readLazily, readCarEntries } = require('../utils/car');
+const { getTempFilePath } = require('../utils/file');
 const logger = require('../utils/logger');
 
 class IpfsService {
-  constructor() {
-    // Web3.Storage client for Filecoin integration
-    this.web3Storage = new Web3Storage({ token: config.web3StorageToken });
-    
-    // Local IPFS client (if configured)
-    if (config.ipfs.localNode) {
-      try {
-        this.ipfs = create({
-          host: config.ipfs.host || 'localhost',
-          port: config.ipfs.port || 5001,
-          protocol: config.ipfs.protocol || 'http'
-        });
-      } catch (error) {
-        logger.error('Failed to connect to local IPFS node', { error });
-      }
-    }
-  }
-
   /**
    * Upload a file to IPFS
    * @param {string} filePath - Path to the file to upload
@@ -34,19 +15,22 @@ class IpfsService {
    */
   async uploadFile(filePath, options = {}) {
     try {
-      const file = await this._prepareFile(filePath);
-      const cid = await this.web3Storage.put([file], {
-        name: options.name || path.basename(filePath),
-        wrapWithDirectory: options.wrapWithDirectory !== false
-      });
+      const name = path.basename(filePath);
+      const wrapWithDirectory = options.wrapWithDirectory !== false;
+      const { size } = await fs.promises.stat(filePath);
+      
+      const cid = await this._putCar(
+        (carPath) => packToCar([{ path: name, content: readLazily(filePath) }], carPath, { wrapWithDirectory }),
+        options.name || name
+      );
       
       logger.info(`File uploaded to IPFS with CID: ${cid}`);
       
       return {
         cid,
-        size: file.size,
-        name: file.name,
-        url: `https://${cid}.ipfs.dweb.link/${file.name}`
+        size,
+        name,
+        url: this._getUrl(cid, wrapWithDirectory ? name : null)
       };
     } catch (error) {
       logger.error('Error uploading file to IPFS', { error, filePath });
@@ -64,12 +48,12 @@ class IpfsService {
   async uploadContent(content, fileName, options = {}) {
     try {
       const buffer = typeof content === 'string' ? Buffer.from(content) : content;
-      const file = new File([buffer], fileName);
+      const wrapWithDirectory = options.wrapWithDirectory !== false;
       
-      const cid = await this.web3Storage.put([file], {
-        name: fileName,
-        wrapWithDirectory: options.wrapWithDirectory !== false
-      });
+      const cid = await this._putCar(
+        (carPath) => packToCar([{ path: fileName, content: buffer }], carPath, { wrapWithDirectory }),
+        fileName
+      );
       
       logger.info(`Content uploaded to IPFS with CID: ${cid}`);
       
@@ -77,7 +61,7 @@ class IpfsService {
         cid,
         size: buffer.length,
         name: fileName,
-        url: `https://${cid}.ipfs.dweb.link/${fileName}`
+        url: this._getUrl(cid, wrapWithDirectory ? fileName : null)
       };
     } catch (error) {
       logger.error('Error uploading content to IPFS', { error });
@@ -93,18 +77,17 @@ class IpfsService {
    */
   async uploadDirectory(dirPath, options = {}) {
     try {
-      const files = await this._prepareDirectory(dirPath);
-      const cid = await this.web3Storage.put(files, {
-        name: options.name || path.basename(dirPath),
-        wrapWithDirectory: true
-      });
+      const cid = await this._putCar(
+        (carPath) => packPathToCar(dirPath, carPath),
+        options.name || path.basename(dirPath)
+      );
       
       logger.info(`Directory uploaded to IPFS with CID: ${cid}`);
       
       return {
         cid,
         name: path.basename(dirPath),
-        url: `https://${cid}.ipfs.dweb.link/`
+        url: this._getUrl(cid)
       };
     } catch (error) {
       logger.error('Error uploading directory to IPFS', { error, dirPath });
@@ -118,30 +101,35 @@ class IpfsService {
    * @returns {Promise<Object>} - Retrieved content
    */
   async retrieveFile(cid) {
+    let carPath = null;
+    
     try {
-      const res = await this.web3Storage.get(cid);
-      if (!res.ok) {
-        throw new Error(`Failed to retrieve file: ${res.statusText}`);
-      }
+      ({ carPath } = await fetchCar(cid));
       
-      const files = await res.files();
+      const files = [];
+      for await (const entry of readCarEntries(carPath)) {
+        if (entry.type !== 'directory') {
+          files.push({
+            name: entry.path || entry.name,
+            size: Number(entry.size),
+            url: this._getUrl(cid, entry.path || null),
+            cid: entry.cid.toString()
+          });
+        }
+      }
       
       if (files.length === 0) {
         throw new Error('No files found');
       }
       
-      return {
-        cid,
-        files: files.map(file => ({
-          name: file.name,
-          size: file.size,
-          url: `https://${cid}.ipfs.dweb.link/${file.name}`,
-          cid: file.cid
-        }))
-      };
+      return { cid, files };
     } catch (error) {
       logger.error('Error retrieving file from IPFS', { error, cid });
       throw new Error(`Failed to retrieve file from IPFS: ${error.message}`);
+    } finally {
+      if (carPath) {
+        await removeCar(carPath);
+      }
     }
   }
   
@@ -152,29 +140,25 @@ class IpfsService {
    */
   async getStatus(cid) {
     try {
-      const status = await this.web3Storage.status(cid);
+      const status = await getStorageBackend().stat(cid);
+      if (!status.available) {
+        throw new Error(`Content not found: ${cid}`);
+      }
+      
       return {
         cid,
         created: status.created,
-        dagSize: status.dagSize,
+        dagSize: status.size,
+        pinned: status.pinned,
         pins: status.pins,
-        deals: status.deals?.map(deal => ({
-          dealId: deal.dealId,
-          storageProvider: deal.storageProvider,
-          status: deal.status,
-          pieceCid: deal.pieceCid,
-          dataCid: deal.dataCid,
-          dataModelSelector: deal.dataModelSelector,
-          activation: deal.activation,
-          expiration: deal.expiration
-        }))
+        deals: status.deals
       };
     } catch (error) {
       logger.error('Error getting status from IPFS', { error, cid });
       throw new Error(`Failed to get IPFS file status: ${error.message}`);
     }
   }
-
+  
   /**
    * Check if a CID exists on IPFS
    * @param {string} cid - Content ID to check
@@ -182,48 +166,99 @@ class IpfsService {
    */
   async exists(cid) {
     try {
-      const status = await this.web3Storage.status(cid);
-      return !!status;
+      const status = await getStorageBackend().stat(cid);
+      return status.available;
     } catch (error) {
       return false;
     }
   }
   
-  // Private helper methods
-  
   /**
-   * Prepare a file for IPFS upload
-   * @param {string} filePath - Path to the file
-   * @returns {Promise<File>} - Web3.Storage file object
-   * @private
+   * Upload a JSON metadata document to IPFS
+   * @param {Object} metadata - Metadata to upload
+   * @returns {Promise<string>} - CID of the metadata document
    */
-  async _prepareFile(filePath) {
-    const content = await readFileAsync(filePath);
-    const fileName = path.basename(filePath);
-    return new File([content], fileName);
+  async uploadMetadata(metadata) {
+    const { cid } = await this.uploadContent(
+      JSON.stringify(metadata),
+      'metadata.json',
+      { wrapWithDirectory: false }
+    );
+    return cid;
   }
   
   /**
-   * Prepare a directory for IPFS upload
-   * @param {string} dirPath - Path to the directory
-   * @returns {Promise<File[]>} - Array of Web3.Storage file objects
-   * @private
+   * Fetch a JSON metadata document from IPFS
+   * @param {string} cid - CID of the metadata document
+   * @returns {Promise<Object>} - Parsed metadata
    */
-  async _prepareDirectory(dirPath) {
-    const files = [];
-    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+  async getMetadata(cid) {
+    let carPath = null;
     
-    for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
+    try {
+      ({ carPath } = await fetchCar(cid));
       
-      if (entry.isFile()) {
-        const content = await readFileAsync(fullPath);
-        const file = new File([content], entry.name);
-        files.push(file);
+      // Metadata documents are uploaded unwrapped, so the root is the document itself
+      for await (const entry of readCarEntries(carPath)) {
+        if (entry.type !== 'directory') {
+          const chunks = [];
+          for await (const chunk of entry.content()) {
+            chunks.push(chunk);
+          }
+          return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        }
+      }
+      
+      throw new Error('No metadata document found');
+    } catch (error) {
+      logger.error('Error fetching metadata from IPFS', { error: error.message, cid });
+      throw new Error(`Failed to fetch metadata from IPFS: ${error.message}`);
+    } finally {
+      if (carPath) {
+        await removeCar(carPath);
       }
     }
+  }
+  
+  /**
+   * Check if content exists on IPFS
+   * @param {string} cid - Content ID to check
+   * @returns {Promise<boolean>} - Whether the content exists
+   */
+  async checkContentExists(cid) {
+    return this.exists(cid);
+  }
+  
+  // Private helper methods
+  
+  /**
+   * Pack content into a temporary CAR and store it on the storage backend
+   * @param {Function} pack - Packs the content into the CAR at the given path
+   * @param {string} name - Upload name
+   * @returns {Promise<string>} - Root CID
+   * @private
+   */
+  async _putCar(pack, name) {
+    const carPath = await getTempFilePath('ipfs', '.car');
     
-    return files;
+    try {
+      const { rootCid } = await pack(carPath);
+      await getStorageBackend().putCar(carPath, { name });
+      return rootCid;
+    } finally {
+      await removeCar(carPath);
+    }
+  }
+  
+  /**
+   * Get the gateway URL of content
+   * @param {string} cid - Content ID
+   * @param {string|null} [filePath] - Path of a file within the content
+   * @returns {string} - Gateway URL
+   * @private
+   */
+  _getUrl(cid, filePath = null) {
+    return filePath ? `${ipfsConfig.gateway}/${cid}/${filePath}` : `${ipfsConfig.gateway}/${cid}`;
   }
 }
 
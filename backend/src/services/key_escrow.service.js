@@ -0,0 +1,229 @@
+/**
+ * Service for encrypted datasets and the escrow of their data keys
+ * Each encrypted dataset has its own data key, kept wrapped under the escrow master key and only
+ * released to requesters with access to the dataset: its owner, holders of a valid access grant
+ * whose purchase was checked on chain, or buyers the marketplace contract records as having access.
+ */
+const authConfig = require('../config/auth');
+const contractsService = require('./contracts.service');
+const marketplaceService = require('./marketplace.service');
+const envelope = require('../utils/envelope');
+const { getTempFilePath } = require('../utils/file');
+const logger = require('../utils/logger');
+const DB = require('../models');
+
+/**
+ * Get a master key by ID
+ * @param {string} [masterKeyId] - Master key ID; the current one by default
+ * @returns {Buffer} - Master key
+ */
+const getMasterKey = (masterKeyId = authConfig.keyEscrowMasterKeyId) => {
+  if (!authConfig.keyEscrowMasterKey) {
+    throw new Error('Key escrow is not configured: KEY_ESCROW_MASTER_KEY is not set');
+  }
+  
+  if (masterKeyId !== authConfig.keyEscrowMasterKeyId) {
+    throw new Error(`Master key not available: ${masterKeyId}`);
+  }
+  
+  const masterKey = Buffer.from(authConfig.keyEscrowMasterKey, 'hex');
+  if (masterKey.length !== 32) {
+    throw new Error('Key escrow is not configured: KEY_ESCROW_MASTER_KEY must be 32 bytes of hex');
+  }
+  
+  return masterKey;
+};
+
+/**
+ * Get the data key of a dataset, creating and escrowing one when it has none yet
+ * Reusing the escrowed key keeps a retried creation consistent with content stored by an earlier run.
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Buffer>} - Data key
+ */
+const getOrCreateDataKey = async (datasetId) => {
+  const existing = await DB.DatasetKey.findOne({ where: { datasetId } });
+  if (existing) {
+    return envelope.unwrapKey(existing.wrappedKey, getMasterKey(existing.masterKeyId));
+  }
+  
+  const key = envelope.generateDataKey();
+  await DB.DatasetKey.create({
+    datasetId,
+    algorithm: envelope.ALGORITHM,
+    wrappedKey: envelope.wrapKey(key, getMasterKey()),
+    masterKeyId: authConfig.keyEscrowMasterKeyId
+  });
+  
+  logger.info('Dataset data key escrowed', { datasetId, masterKeyId: authConfig.keyEscrowMasterKeyId });
+  
+  return key;
+};
+
+/**
+ * Get the escrowed data key of a dataset
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Object>} - Dataset key row and the unwrapped data key
+ */
+const getDataKey = async (datasetId) => {
+  const datasetKey = await DB.DatasetKey.findOne({ where: { datasetId } });
+  if (!datasetKey) {
+    throw new Error(`Data key not found for dataset: ${datasetId}`);
+  }
+  
+  return {
+    datasetKey,
+    key: envelope.unwrapKey(datasetKey.wrappedKey, getMasterKey(datasetKey.masterKeyId))
+  };
+};
+
+/**
+ * Encrypt a dataset file before it is packed for storage
+ * @param {string} datasetId - Dataset ID
+ * @param {string} filePath - Plaintext file
+ * @returns {Promise<string>} - Path of the encrypted temporary file; the caller removes it
+ */
+const encryptDatasetFile = async (datasetId, filePath) => {
+  try {
+    const key = await getOrCreateDataKey(datasetId);
+    const encryptedPath = await getTempFilePath('encrypted', '.enc');
+    
+    await envelope.encryptFile(filePath, encryptedPath, key);
+    
+    return encryptedPath;
+  } catch (error) {
+    logger.error('Error encrypting dataset file', { error: error.message, datasetId });
+    throw error;
+  }
+};
+
+/**
+ * Decrypt a retrieved dataset file with its escrowed data key
+ * @param {string} datasetId - Dataset ID
+ * @param {string} encryptedPath - Encrypted file
+ * @param {string} outputPath - Plaintext file to write
+ * @returns {Promise<void>}
+ */
+const decryptDatasetFile = async (datasetId, encryptedPath, outputPath) => {
+  try {
+    const { key } = await getDataKey(datasetId);
+    await envelope.decryptFile(encryptedPath, outputPath, key);
+  } catch (error) {
+    logger.error('Error decrypting dataset file', { error: error.message, datasetId });
+    throw error;
+  }
+};
+
+/**
+ * Check whether a purchase backs a grant with a transaction seen on chain
+ * @param {string} purchaseId - Purchase ID of the grant
+ * @returns {Promise<boolean>} - Whether the purchase was verified or confirmed by the indexer
+ */
+const isPurchaseOnChain = async (purchaseId) => {
+  const purchase = purchaseId ? await DB.Purchase.findByPk(purchaseId) : null;
+  return Boolean(purchase && (purchase.verifiedAt || purchase.confirmedAt));
+};
+
+/**
+ * Check whether a requester may receive a dataset's data key
+ * Access recorded off-chain is checked first, and grants only count once their purchase was seen
+ * on chain; the marketplace contract is consulted for buyers whose purchase has no usable access
+ * grant here, such as purchases made directly on-chain.
+ * @param {Object} dataset - Dataset row
+ * @param {string} requester - Requester's wallet address
+ * @param {string} [accessToken] - Access token issued with a purchase
+ * @returns {Promise<Object>} - Access, as returned by marketplaceService.checkDownloadAccess
+ */
+const checkKeyAccess = async (dataset, requester, accessToken) => {
+  const access = await marketplaceService.checkDownloadAccess(dataset.id, requester, { accessToken });
+  let error = access.error;
+  
+  if (access.hasAccess) {
+    if (access.reason !== 'grant' || await isPurchaseOnChain(access.grant.purchaseId)) {
+      return access;
+    }
+    
+    error = 'the purchase behind the access grant is not verified on chain';
+  }
+  
+  if (dataset.tokenId && contractsService.isContractConfigured('Marketplace')) {
+    try {
+      if (await contractsService.hasAccess(requester, dataset.tokenId)) {
+        return { hasAccess: true, reason: 'onchain' };
+      }
+    } catch (error) {
+      logger.warn('On-chain access check failed', { error: error.message, datasetId: dataset.id });
+    }
+  }
+  
+  throw new Error(`Access denied: ${error}`);
+};
+
+/**
+ * Release the data key of an encrypted dataset to a requester with access to it
+ * With a public key the data key is wrapped for that key, which must belong to the requester's
+ * wallet; without one it is released as is over the authenticated connection.
+ * @param {string} datasetId - Dataset ID
+ * @param {string} requester - Requester's wallet address
+ * @param {Object} [options] - Release options
+ * @param {string} [options.publicKey] - Requester's wallet public key, hex
+ * @param {string} [options.accessToken] - Access token issued with a purchase
+ * @returns {Promise<Object>} - Data key, wrapped or not, and how to decrypt the stored file
+ */
+const releaseDataKey = async (datasetId, requester, options = {}) => {
+  try {
+    const dataset = await DB.Dataset.findByPk(datasetId);
+    if (!dataset) {
+      throw new Error(`Dataset not found: ${datasetId}`);
+    }
+    
+    if (!dataset.encrypted) {
+      throw new Error('Invalid request: dataset is not encrypted');
+    }
+    
+    if (options.publicKey) {
+      if (!envelope.isValidPublicKey(options.publicKey)) {
+        throw new Error('Invalid public key: expected a hex secp256k1 public key');
+      }
+      
+      if (envelope.getPublicKeyAddress(options.publicKey).toLowerCase() !== requester.toLowerCase()) {
+        throw new Error('Invalid public key: it does not belong to the requesting wallet');
+      }
+    }
+    
+    const access = await checkKeyAccess(dataset, requester, options.accessToken);
+    const { datasetKey, key } = await getDataKey(datasetId);
+    
+    const wrapping = options.publicKey ? envelope.ECIES_SCHEME : 'none';
+    
+    await DB.KeyRelease.create({
+      datasetKeyId: datasetKey.id,
+      datasetId,
+      grantee: requester,
+      accessType: access.reason,
+      accessGrantId: access.grant ? access.grant.id : null,
+      wrapping,
+      publicKey: options.publicKey || null
+    });
+    
+    logger.info('Dataset data key released', { datasetId, requester, accessType: access.reason, wrapping });
+    
+    return {
+      datasetId,
+      cid: dataset.cid,
+      format: envelope.getFileFormat(),
+      wrapping,
+      ...(options.publicKey
+        ? { wrappedKey: envelope.wrapKeyForPublicKey(key, options.publicKey) }
+        : { key: key.toString('base64') })
+    };
+  } catch (error) {
+    logger.error('Error releasing dataset data key', { error: error.message, datasetId, requester });
+    throw error;
+  }
+};
+
+module.exports = {
+  encryptDatasetFile,
+  decryptDatasetFile,
+  releaseDataKey
+};
@@ -1,22 +1,61 @@
 /**
  * Marketplace service for buying and selling datasets
  */
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const { ethers } = require('ethers');
 const contractsService = require('./contracts.service');
+const royaltyService = require('./royalty.service');
+const notificationService = require('./notification.service');
 const web3Utils = require('../utils/web3');
 const logger = require('../utils/logger');
+const appConfig = require('../config/app');
 const DB = require('../models');
 
+const SALE_MODES = ['unlimited', 'capped', 'subscription'];
+
+/**
+ * Describe how a listing is sold
+ * @param {Object} listing - Listing record
+ * @returns {Object} - Sale mode, seats and the billing period of a subscription
+ */
+const getSaleState = (listing) => ({
+  saleMode: listing.saleMode,
+  maxSeats: listing.maxSeats,
+  seatsSold: listing.seatsSold,
+  seatsRemaining: listing.maxSeats ? Math.max(listing.maxSeats - listing.seatsSold, 0) : null,
+  billingPeriod: listing.saleMode === 'subscription' ? listing.duration : null
+});
+
+/**
+ * Describe the state of a subscription
+ * @param {Object} subscription - Subscription record
+ * @returns {Object} - Subscription state
+ */
+const formatSubscription = (subscription) => ({
+  id: subscription.id,
+  listingId: subscription.listingId,
+  status: subscription.status,
+  currentPeriodStart: subscription.currentPeriodStart,
+  currentPeriodEnd: subscription.currentPeriodEnd,
+  renewalCount: subscription.renewalCount,
+  renewalDue: subscription.status === 'active' &&
+              subscription.currentPeriodEnd - Date.now() <= appConfig.subscriptionReminderWindow,
+  cancelledAt: subscription.cancelledAt
+});
+
 /**
  * Create a new listing
  * @param {Object} listing - Listing data
  * @param {string} listing.datasetId - Dataset ID
  * @param {string} listing.price - Price in wei
  * @param {string} listing.licenseType - Type of license (e.g., "research", "commercial")
- * @param {number} listing.duration - Duration in seconds
+ * @param {number} listing.duration - Access period of a seat, or the billing period of a subscription, in seconds
  * @param {string} listing.seller - Seller's wallet address
  * @param {Object} [listing.terms] - Additional terms
+ * @param {string} [listing.saleMode="capped"] - "unlimited", "capped" or "subscription"
+ * @param {number} [listing.maxSeats] - Seat cap; defaults to 1 for capped listings, optional for subscriptions
+ * @param {number} [listing.availableFor] - Seconds the listing stays on sale, defaults to the duration
  * @returns {Promise<Object>} - Created listing
  */
 const createListing = async (listing) => {
@@ -51,6 +90,23 @@ const createListing = async (listing) => {
       throw new Error('Duration must be greater than 0');
     }
     
+    // Validate the sale mode and its seat cap
+    const saleMode = listing.saleMode || 'capped';
+    if (!SALE_MODES.includes(saleMode)) {
+      throw new Error(`Invalid sale mode: ${saleMode}`);
+    }
+    
+    let maxSeats = listing.maxSeats === undefined ? null : listing.maxSeats;
+    if (saleMode === 'capped' && maxSeats === null) {
+      maxSeats = 1;
+    }
+    if (saleMode === 'unlimited' && maxSeats !== null) {
+      throw new Error('Invalid seat cap: unlimited listings have no seat cap');
+    }
+    if (maxSeats !== null && (!Number.isInteger(maxSeats) || maxSeats < 1)) {
+      throw new Error('Invalid seat cap: max seats must be a positive integer');
+    }
+    
     // Create listing on blockchain
     let listingId, txHash;
     try {
@@ -87,8 +143,11 @@ const createListing = async (listing) => {
       duration: listing.duration,
       seller: listing.seller,
       terms: listing.terms || {},
+      saleMode,
+      maxSeats,
+      seatsSold: 0,
       status: 'active',
-      expiresAt: new Date(Date.now() + listing.duration * 1000),
+      expiresAt: new Date(Date.now() + (listing.availableFor || listing.duration) * 1000),
       transactionHash: txHash
     });
     
@@ -107,6 +166,7 @@ const createListing = async (listing) => {
       duration: dbListing.duration,
       seller: dbListing.seller,
       terms: dbListing.terms,
+      ...getSaleState(dbListing),
       status: dbListing.status,
       expiresAt: dbListing.expiresAt,
       transactionHash: dbListing.transactionHash,
@@ -162,6 +222,7 @@ const getListing = async (id) => {
       duration: listing.duration,
       seller: listing.seller,
       terms: listing.terms,
+      ...getSaleState(listing),
       status: listing.status,
       expiresAt: listing.expiresAt,
       transactionHash: listing.transactionHash,
@@ -252,6 +313,7 @@ const listListings = async (filters = {}, page = 1, limit = 10) => {
       licenseType: listing.licenseType,
       duration: listing.duration,
       seller: listing.seller,
+      ...getSaleState(listing),
       status: listing.status,
       expiresAt: listing.expiresAt,
       createdAt: listing.createdAt
@@ -380,6 +442,264 @@ const updateListing = async (id, updates, requester) => {
   }
 };
 
+/**
+ * Take a seat on a listing, closing the listing once its last seat is taken
+ * Purchases already paid for on chain are recorded even if the listing turns out to be full
+ * @param {Object} listing - Listing record, updated in place
+ */
+const claimSeat = async (listing) => {
+  const { Op } = DB.Sequelize;
+  const where = { id: listing.id };
+  
+  if (listing.maxSeats) {
+    where.seatsSold = { [Op.lt]: listing.maxSeats };
+  }
+  
+  const increment = { seatsSold: DB.sequelize.literal('"seatsSold" + 1') };
+  const [claimed] = await DB.Listing.update(increment, { where });
+  
+  if (!claimed) {
+    logger.warn('Listing oversold, recording paid purchase anyway', { listingId: listing.id });
+    await DB.Listing.update(increment, { where: { id: listing.id } });
+  }
+  
+  listing.seatsSold += 1;
+  
+  if (listing.maxSeats && listing.seatsSold >= listing.maxSeats && listing.status === 'active') {
+    await listing.update({ status: 'sold' });
+    
+    // Subscription listings stay open on chain so existing subscribers can renew
+    if (listing.saleMode !== 'subscription' && listing.onChainId) {
+      try {
+        const contract = contractsService.getContract('Marketplace');
+        const tx = await contract.updateListing(listing.onChainId, listing.price, false);
+        await tx.wait();
+      } catch (blockchainError) {
+        logger.error('Sold out listing still active on blockchain', { 
+          error: blockchainError.message, 
+          listingId: listing.id 
+        });
+      }
+    }
+  }
+};
+
+/**
+ * Credit the revenue of a confirmed purchase to the contributors
+ * The royalty processor retries purchases whose credit fails
+ * @param {Object} purchase - Purchase record
+ */
+const creditPurchaseRevenue = async (purchase) => {
+  try {
+    await royaltyService.recordPurchaseRevenue(purchase);
+  } catch (ledgerError) {
+    logger.error('Purchase revenue not credited yet', { 
+      error: ledgerError.message, 
+      purchaseId: purchase.id 
+    });
+  }
+};
+
+/**
+ * Create a purchase record and, once its transaction is confirmed, credit its revenue less the
+ * platform fee to the contributors
+ * @param {Object} listing - Listing record
+ * @param {Object} details - Purchase details
+ * @param {Date} expiresAt - End of the access the purchase pays for
+ * @returns {Promise<Object>} - Purchase record
+ */
+const createPurchaseRecord = async (listing, details, expiresAt) => {
+  // The fee in force when the purchase was made; left for the royalty ledger to read if the chain is unreachable
+  let platformFee = null;
+  try {
+    platformFee = await royaltyService.getPlatformFee(details.price);
+  } catch (feeError) {
+    logger.warn('Platform fee not read for purchase', { 
+      error: feeError.message, 
+      listingId: listing.id 
+    });
+  }
+  
+  const purchase = await DB.Purchase.create({
+    id: uuidv4(),
+    listingId: listing.id,
+    datasetId: listing.datasetId,
+    buyer: details.buyer,
+    price: details.price,
+    platformFee,
+    licenseType: listing.licenseType,
+    duration: listing.duration,
+    expiresAt,
+    transactionHash: details.transactionHash,
+    verifiedAt: details.verifiedAt || null,
+    confirmedAt: details.confirmedAt || null
+  });
+  
+  logger.info('Purchase recorded', { 
+    id: purchase.id, 
+    listingId: listing.id, 
+    buyer: details.buyer 
+  });
+  
+  // Purchases are credited when the indexer confirms their transaction
+  if (purchase.confirmedAt) {
+    await creditPurchaseRevenue(purchase);
+  }
+  
+  return purchase;
+};
+
+/**
+ * Issue the access grant for a purchase
+ * @param {Object} listing - Listing record
+ * @param {Object} purchase - Purchase record
+ * @param {Date} expiresAt - Grant expiration
+ * @returns {Promise<Object>} - Access grant record
+ */
+const createAccessGrant = async (listing, purchase, expiresAt) => {
+  return DB.AccessGrant.create({
+    id: uuidv4(),
+    purchaseId: purchase.id,
+    datasetId: listing.datasetId,
+    grantee: purchase.buyer,
+    accessToken: crypto.randomBytes(32).toString('hex'),
+    licenseType: listing.licenseType,
+    expiresAt
+  });
+};
+
+/**
+ * Record a paid period of a subscription
+ * A subscriber's first purchase takes a seat and issues an access grant; each renewal adds a billing
+ * period after the current one and extends the same grant
+ * @param {Object} listing - Subscription listing record
+ * @param {Object} details - Purchase details
+ * @param {Date} purchasedAt - Time of the purchase
+ * @returns {Promise<Object>} - Purchase, subscription and access credentials
+ */
+const recordSubscriptionPurchase = async (listing, details, purchasedAt) => {
+  let subscription = await DB.Subscription.findOne({
+    where: { listingId: listing.id, subscriber: details.buyer }
+  });
+  
+  if (subscription && subscription.status !== 'expired') {
+    // A renewal paid before the current period ends starts when that period ends
+    const periodStart = subscription.currentPeriodEnd > purchasedAt ? subscription.currentPeriodEnd : purchasedAt;
+    const periodEnd = new Date(periodStart.getTime() + listing.duration * 1000);
+    
+    const purchase = await createPurchaseRecord(listing, details, periodEnd);
+    await purchase.update({ subscriptionId: subscription.id });
+    
+    const grant = await DB.AccessGrant.findByPk(subscription.accessGrantId);
+    await grant.update({ expiresAt: periodEnd });
+    
+    await subscription.update({
+      status: 'active',
+      currentPeriodStart: periodStart,
+      currentPeriodEnd: periodEnd,
+      renewalCount: subscription.renewalCount + 1,
+      reminderSentAt: null,
+      cancelledAt: null
+    });
+    
+    logger.info('Subscription renewed', { id: subscription.id, currentPeriodEnd: periodEnd });
+    
+    return { purchase, subscription, accessToken: grant.accessToken, accessExpiration: periodEnd };
+  }
+  
+  await claimSeat(listing);
+  
+  const periodEnd = new Date(purchasedAt.getTime() + listing.duration * 1000);
+  const purchase = await createPurchaseRecord(listing, details, periodEnd);
+  const grant = await createAccessGrant(listing, purchase, periodEnd);
+  
+  const period = {
+    accessGrantId: grant.id,
+    status: 'active',
+    currentPeriodStart: purchasedAt,
+    currentPeriodEnd: periodEnd,
+    renewalCount: 0,
+    reminderSentAt: null,
+    cancelledAt: null
+  };
+  
+  if (subscription) {
+    // Subscribing again after a subscription lapsed
+    await subscription.update(period);
+  } else {
+    subscription = await DB.Subscription.create({
+      id: uuidv4(),
+      listingId: listing.id,
+      datasetId: listing.datasetId,
+      subscriber: details.buyer,
+      ...period
+    });
+  }
+  
+  await purchase.update({ subscriptionId: subscription.id });
+  
+  logger.info('Subscription started', { id: subscription.id, listingId: listing.id });
+  
+  return { purchase, subscription, accessToken: grant.accessToken, accessExpiration: periodEnd };
+};
+
+/**
+ * Record a paid purchase: the purchase row, the seat taken, the royalty credits and the access grant
+ * @param {Object} listing - Listing row
+ * @param {Object} details - Purchase details
+ * @param {string} details.buyer - Address of the buyer
+ * @param {string} details.price - Price paid in wei
+ * @param {string} details.transactionHash - Purchase transaction hash
+ * @param {Date} [details.purchasedAt] - Time of the purchase
+ * @param {Date} [details.verifiedAt] - When the transaction was checked on chain
+ * @param {Date} [details.confirmedAt] - When the transaction was seen confirmed on chain
+ * @returns {Promise<Object>} - Purchase row, the subscription if any and access credentials
+ */
+const recordPurchase = async (listing, details) => {
+  const purchasedAt = details.purchasedAt || new Date();
+  
+  if (listing.saleMode === 'subscription') {
+    return recordSubscriptionPurchase(listing, details, purchasedAt);
+  }
+  
+  await claimSeat(listing);
+  
+  const accessExpiration = new Date(purchasedAt.getTime() + listing.duration * 1000);
+  const purchase = await createPurchaseRecord(listing, details, accessExpiration);
+  const grant = await createAccessGrant(listing, purchase, accessExpiration);
+  
+  return { purchase, subscription: null, accessToken: grant.accessToken, accessExpiration };
+};
+
+/**
+ * Check a purchase transaction sent by a buyer against the listing it claims to pay for
+ * @param {Object} listing - Listing record
+ * @param {string} txHash - Purchase transaction hash
+ * @param {string} buyer - Buyer's wallet address
+ * @returns {Promise<Object>} - The purchase the transaction made on chain
+ */
+const verifyPurchaseTransaction = async (listing, txHash, buyer) => {
+  const onChainPurchase = await contractsService.getListingPurchase(txHash);
+  
+  if (!onChainPurchase) {
+    throw new Error(`Invalid transaction: ${txHash} did not purchase a listing`);
+  }
+  
+  if (onChainPurchase.listingId !== String(listing.onChainId)) {
+    throw new Error(`Invalid transaction: ${txHash} purchased listing ${onChainPurchase.listingId}, not ${listing.onChainId}`);
+  }
+  
+  if (onChainPurchase.buyer.toLowerCase() !== buyer.toLowerCase()) {
+    throw new Error(`Invalid transaction: ${txHash} was not sent by the requesting wallet`);
+  }
+  
+  if (BigInt(onChainPurchase.price) < BigInt(listing.price)) {
+    throw new Error(`Payment required: ${txHash} paid ${onChainPurchase.price} wei of the ${listing.price} wei price`);
+  }
+  
+  return onChainPurchase;
+};
+
 /**
  * Purchase a listing
  * @param {string} id - Listing ID
@@ -401,27 +721,53 @@ const purchaseListing = async (id, purchaseData) => {
       throw new Error(`Listing not found: ${id}`);
     }
     
+    // Subscribers keep renewing after a listing sells out or closes to new buyers
+    let renewal = false;
+    if (listing.saleMode === 'subscription') {
+      const subscription = await DB.Subscription.findOne({
+        where: { listingId: id, subscriber: purchaseData.buyer }
+      });
+      renewal = Boolean(subscription) && subscription.status !== 'expired';
+    }
+    
     // Check if listing is active
-    if (listing.status !== 'active') {
+    if (listing.status === 'cancelled' || (!renewal && listing.status !== 'active')) {
       throw new Error('Cannot purchase an inactive listing');
     }
     
-    // Check if listing has expired
-    if (listing.expiresAt < new Date()) {
-      listing.status = 'expired';
-      await listing.save();
-      throw new Error('Listing has expired');
+    if (!renewal) {
+      // Check if listing has expired
+      if (listing.expiresAt < new Date()) {
+        listing.status = 'expired';
+        await listing.save();
+        throw new Error('Listing has expired');
+      }
+      
+      if (listing.maxSeats && listing.seatsSold >= listing.maxSeats) {
+        throw new Error('Listing has no seats remaining');
+      }
     }
     
     // If transactionHash is provided, verify it
     let txHash = purchaseData.transactionHash;
-    if (!txHash) {
+    let price = listing.price;
+    if (txHash) {
+      // The chain indexer may already have recorded this purchase
+      const recorded = await DB.Purchase.findOne({ where: { transactionHash: txHash } });
+      if (recorded) {
+        throw new Error(`Purchase already recorded for transaction: ${txHash}`);
+      }
+      
+      const onChainPurchase = await verifyPurchaseTransaction(listing, txHash, purchaseData.buyer);
+      price = onChainPurchase.price;
+    } else {
       // Purchase on blockchain
       try {
-        const { receipt } = await contractsService.getContract('Marketplace').purchaseListing(
+        const tx = await contractsService.getContract('Marketplace').purchaseListing(
           listing.onChainId,
           { value: listing.price }
         );
+        const receipt = await tx.wait();
         
         txHash = receipt.transactionHash;
         
@@ -439,39 +785,11 @@ const purchaseListing = async (id, purchaseData) => {
       }
     }
     
-    // Create purchase record
-    const purchase = await DB.Purchase.create({
-      id: uuidv4(),
-      listingId: id,
-      datasetId: listing.datasetId,
+    const { purchase, subscription, accessToken, accessExpiration } = await recordPurchase(listing, {
       buyer: purchaseData.buyer,
-      price: listing.price,
-      licenseType: listing.licenseType,
-      duration: listing.duration,
-      expiresAt: new Date(Date.now() + listing.duration * 1000),
-      transactionHash: txHash
-    });
-    
-    // Update listing status
-    await listing.update({ status: 'sold' });
-    
-    logger.info('Purchase recorded', { 
-      id: purchase.id, 
-      listingId: id, 
-      buyer: purchaseData.buyer 
-    });
-    
-    // Generate access credentials
-    const accessToken = crypto.randomBytes(32).toString('hex');
-    const accessExpiration = new Date(Date.now() + listing.duration * 1000);
-    
-    await DB.AccessGrant.create({
-      id: uuidv4(),
-      purchaseId: purchase.id,
-      datasetId: listing.datasetId,
-      grantee: purchaseData.buyer,
-      accessToken,
-      expiresAt: accessExpiration
+      price,
+      transactionHash: txHash,
+      verifiedAt: new Date()
     });
     
     return {
@@ -492,6 +810,8 @@ const purchaseListing = async (id, purchaseData) => {
       expiresAt: purchase.expiresAt,
       transactionHash: purchase.transactionHash,
       createdAt: purchase.createdAt,
+      saleMode: listing.saleMode,
+      subscription: subscription ? formatSubscription(subscription) : null,
       access: {
         token: accessToken,
         expiresAt: accessExpiration
@@ -503,6 +823,201 @@ const purchaseListing = async (id, purchaseData) => {
   }
 };
 
+/**
+ * Record a purchase made directly on the Marketplace contract
+ * @param {string} onChainListingId - On-chain listing ID
+ * @param {Object} details - ListingPurchased event details
+ * @param {string} details.buyer - Address of the buyer
+ * @param {string} details.price - Price paid in wei
+ * @param {string} details.transactionHash - Purchase transaction hash
+ * @param {Date} details.purchasedAt - Time of the purchase
+ * @returns {Promise<Object|null>} - Purchase, or null if it was already recorded
+ */
+const recordOnChainPurchase = async (onChainListingId, details) => {
+  try {
+    const existing = await DB.Purchase.findOne({
+      where: { transactionHash: details.transactionHash }
+    });
+    
+    // Purchases recorded through the API are credited now that their transaction is confirmed
+    if (existing) {
+      if (!existing.confirmedAt) {
+        await existing.update({ confirmedAt: new Date() });
+        await creditPurchaseRevenue(existing);
+      }
+      
+      return null;
+    }
+    
+    const listing = await DB.Listing.findOne({
+      where: { onChainId: onChainListingId }
+    });
+    
+    if (!listing) {
+      throw new Error(`Listing not found for on-chain ID: ${onChainListingId}`);
+    }
+    
+    const { purchase } = await recordPurchase(listing, {
+      buyer: details.buyer.toLowerCase(),
+      price: details.price,
+      transactionHash: details.transactionHash,
+      purchasedAt: details.purchasedAt,
+      confirmedAt: new Date()
+    });
+    
+    return {
+      id: purchase.id,
+      listingId: listing.id,
+      datasetId: listing.datasetId,
+      buyer: purchase.buyer,
+      price: purchase.price,
+      transactionHash: purchase.transactionHash
+    };
+  } catch (error) {
+    logger.error('Error recording on-chain purchase', { 
+      error: error.message, 
+      onChainListingId 
+    });
+    throw error;
+  }
+};
+
+/**
+ * Give back a seat taken by a purchase, reopening the listing if it had sold out
+ * @param {Object} listing - Listing record, updated in place
+ */
+const releaseSeat = async (listing) => {
+  const { Op } = DB.Sequelize;
+  
+  await DB.Listing.update(
+    { seatsSold: DB.sequelize.literal('"seatsSold" - 1') },
+    { where: { id: listing.id, seatsSold: { [Op.gt]: 0 } } }
+  );
+  
+  listing.seatsSold = Math.max(listing.seatsSold - 1, 0);
+  
+  if (listing.status === 'sold' && listing.maxSeats && listing.seatsSold < listing.maxSeats) {
+    await listing.update({ status: 'active' });
+    
+    if (listing.saleMode !== 'subscription' && listing.onChainId) {
+      try {
+        const contract = contractsService.getContract('Marketplace');
+        const tx = await contract.updateListing(listing.onChainId, listing.price, true);
+        await tx.wait();
+      } catch (blockchainError) {
+        logger.error('Reopened listing still inactive on blockchain', { 
+          error: blockchainError.message, 
+          listingId: listing.id 
+        });
+      }
+    }
+  }
+};
+
+/**
+ * Rebuild a subscription from the purchases it has left
+ * The latest remaining purchase sets the current period and the latest remaining grant carries the access
+ * @param {Object} subscription - Subscription record
+ * @param {Object} listing - Subscription listing record
+ * @param {boolean} restarted - Whether the removed purchase restarted a lapsed subscription
+ */
+const restoreSubscription = async (subscription, listing, restarted) => {
+  const purchases = await DB.Purchase.findAll({
+    where: { subscriptionId: subscription.id },
+    include: [{ model: DB.AccessGrant, as: 'accessGrant' }],
+    order: [['expiresAt', 'DESC']]
+  });
+  
+  if (purchases.length === 0) {
+    await subscription.destroy();
+    return;
+  }
+  
+  const latest = purchases[0];
+  const started = purchases.findIndex(purchase => purchase.accessGrant);
+  const grant = started === -1 ? null : purchases[started].accessGrant;
+  
+  if (grant) {
+    await grant.update({ expiresAt: latest.expiresAt });
+  }
+  
+  await subscription.update({
+    accessGrantId: grant ? grant.id : null,
+    // A subscription is only restarted once it has lapsed, and its seat was freed then
+    status: restarted ? 'expired' : subscription.status,
+    currentPeriodStart: new Date(latest.expiresAt.getTime() - listing.duration * 1000),
+    currentPeriodEnd: latest.expiresAt,
+    renewalCount: Math.max(started, 0)
+  });
+};
+
+/**
+ * Undo a purchase whose transaction was dropped by a chain reorg
+ * The purchase, its revenue credits and its access grant are removed, its seat is given back and a
+ * subscription it paid for falls back to the periods paid by its remaining purchases
+ * @param {string} transactionHash - Purchase transaction hash
+ * @returns {Promise<Object|null>} - Removed purchase, or null if none was recorded
+ */
+const revertOnChainPurchase = async (transactionHash) => {
+  try {
+    const purchase = await DB.Purchase.findOne({
+      where: { transactionHash },
+      include: [{ model: DB.AccessGrant, as: 'accessGrant' }]
+    });
+    
+    if (!purchase) {
+      return null;
+    }
+    
+    const listing = await DB.Listing.findByPk(purchase.listingId);
+    const subscription = purchase.subscriptionId
+      ? await DB.Subscription.findByPk(purchase.subscriptionId)
+      : null;
+    
+    await royaltyService.revertPurchaseRevenue(purchase);
+    
+    const grant = purchase.accessGrant;
+    if (grant) {
+      if (subscription && subscription.accessGrantId === grant.id) {
+        await subscription.update({ accessGrantId: null });
+      }
+      await grant.destroy();
+      
+      // A lapsed subscription gave its seat back when it expired
+      if (listing && !(subscription && subscription.status === 'expired')) {
+        await releaseSeat(listing);
+      }
+    }
+    
+    await purchase.destroy();
+    
+    if (subscription && listing) {
+      await restoreSubscription(subscription, listing, Boolean(grant));
+    }
+    
+    logger.warn('Purchase reverted', {
+      id: purchase.id,
+      listingId: purchase.listingId,
+      transactionHash
+    });
+    
+    return {
+      id: purchase.id,
+      listingId: purchase.listingId,
+      datasetId: purchase.datasetId,
+      buyer: purchase.buyer,
+      price: purchase.price,
+      transactionHash
+    };
+  } catch (error) {
+    logger.error('Error reverting on-chain purchase', {
+      error: error.message,
+      transactionHash
+    });
+    throw error;
+  }
+};
+
 /**
  * Verify dataset access
  * @param {string} datasetId - Dataset ID
@@ -523,14 +1038,16 @@ const verifyAccess = async (datasetId, accessToken) => {
       throw new Error('Invalid access token');
     }
     
-    // Check if access has expired
-    if (accessGrant.expiresAt < new Date()) {
-      throw new Error('Access has expired');
+    // Check if access is still valid
+    const grantError = getGrantError(accessGrant);
+    if (grantError) {
+      throw new Error(grantError);
     }
     
     return {
       hasAccess: true,
       grantee: accessGrant.grantee,
+      licenseType: accessGrant.licenseType,
       expiresAt: accessGrant.expiresAt,
       remainingTime: Math.max(0, accessGrant.expiresAt - Date.now())
     };
@@ -547,6 +1064,137 @@ const verifyAccess = async (datasetId, accessToken) => {
   }
 };
 
+/**
+ * Check why an access grant cannot be used
+ * @param {Object} accessGrant - Access grant record
+ * @param {string} [licenseType] - License the access is requested under
+ * @returns {string|null} - Reason the grant is invalid, or null if it is valid
+ */
+const getGrantError = (accessGrant, licenseType) => {
+  if (accessGrant.revokedAt) {
+    return 'Access has been revoked';
+  }
+  
+  if (accessGrant.expiresAt < new Date()) {
+    return 'Access has expired';
+  }
+  
+  if (licenseType && accessGrant.licenseType !== licenseType) {
+    return `Access grant does not cover a ${licenseType} license`;
+  }
+  
+  return null;
+};
+
+/**
+ * Check whether a user may download a dataset
+ * 
+ * The dataset creator always has access. Everyone else needs a valid access
+ * grant created by purchasing one of the dataset's listings.
+ * @param {string} datasetId - Dataset ID
+ * @param {string} requester - Requester's wallet address
+ * @param {Object} [options] - Check options
+ * @param {string} [options.accessToken] - Access token issued with a purchase
+ * @param {string} [options.licenseType] - License the download will be used under
+ * @returns {Promise<Object>} - Access decision, with the listings that would grant access when denied
+ */
+const checkDownloadAccess = async (datasetId, requester, options = {}) => {
+  try {
+    const dataset = await DB.Dataset.findByPk(datasetId);
+    if (!dataset) {
+      throw new Error(`Dataset not found: ${datasetId}`);
+    }
+    
+    const { Op } = DB.Sequelize;
+    
+    // Owners bypass the marketplace
+    if (dataset.creator.toLowerCase() === requester.toLowerCase()) {
+      return { hasAccess: true, reason: 'owner' };
+    }
+    
+    // Find the requester's grants, most recent first
+    const where = {
+      datasetId,
+      grantee: { [Op.iLike]: requester }
+    };
+    
+    if (options.accessToken) {
+      where.accessToken = options.accessToken;
+    }
+    
+    const grants = await DB.AccessGrant.findAll({
+      where,
+      order: [['expiresAt', 'DESC']]
+    });
+    
+    let error = 'No access grant found for this dataset';
+    for (const grant of grants) {
+      const grantError = getGrantError(grant, options.licenseType);
+      
+      if (!grantError) {
+        return {
+          hasAccess: true,
+          reason: 'grant',
+          grant: {
+            id: grant.id,
+            purchaseId: grant.purchaseId,
+            licenseType: grant.licenseType,
+            expiresAt: grant.expiresAt
+          }
+        };
+      }
+      
+      if (grant === grants[0]) {
+        error = grantError;
+      }
+    }
+    
+    // Point the requester at listings that would grant access
+    const listingWhere = {
+      datasetId,
+      status: 'active',
+      expiresAt: { [Op.gt]: new Date() }
+    };
+    
+    if (options.licenseType) {
+      listingWhere.licenseType = options.licenseType;
+    }
+    
+    const listings = await DB.Listing.findAll({
+      where: listingWhere,
+      order: [['createdAt', 'DESC']]
+    });
+    
+    const message = listings.length > 0
+      ? `${error}. Purchase listing ${listings.map(l => l.id).join(' or ')} to obtain access`
+      : `${error}. No active listing currently offers access to this dataset`;
+    
+    logger.info('Dataset download denied', { datasetId, requester, error });
+    
+    return {
+      hasAccess: false,
+      paymentRequired: grants.length === 0,
+      error: message,
+      listings: listings.map(listing => ({
+        id: listing.id,
+        onChainId: listing.onChainId,
+        price: listing.price,
+        priceInEther: web3Utils.weiToEther(listing.price),
+        licenseType: listing.licenseType,
+        duration: listing.duration,
+        ...getSaleState(listing),
+        seller: listing.seller
+      }))
+    };
+  } catch (error) {
+    logger.error('Error checking download access', { 
+      error: error.message, 
+      datasetId 
+    });
+    throw error;
+  }
+};
+
 /**
  * Get user purchases
  * @param {string} address - User's wallet address
@@ -570,6 +1218,9 @@ const getUserPurchases = async (address, page = 1, limit = 10) => {
         {
           model: DB.AccessGrant,
           as: 'accessGrant'
+        },
+        {
+          model: DB.Subscription
         }
       ],
       order: [['createdAt', 'DESC']],
@@ -596,9 +1247,13 @@ const getUserPurchases = async (address, page = 1, limit = 10) => {
       expiresAt: purchase.expiresAt,
       transactionHash: purchase.transactionHash,
       createdAt: purchase.createdAt,
-      hasValidAccess: purchase.accessGrant && 
-                       purchase.accessGrant.expiresAt > new Date(),
-      accessExpiresAt: purchase.accessGrant && purchase.accessGrant.expiresAt
+      hasValidAccess: purchase.Subscription
+        ? purchase.Subscription.status !== 'expired' && purchase.Subscription.currentPeriodEnd > new Date()
+        : Boolean(purchase.accessGrant && purchase.accessGrant.expiresAt > new Date()),
+      accessExpiresAt: purchase.Subscription
+        ? purchase.Subscription.currentPeriodEnd
+        : purchase.accessGrant && purchase.accessGrant.expiresAt,
+      subscription: purchase.Subscription ? formatSubscription(purchase.Subscription) : null
     }));
     
     return {
@@ -619,12 +1274,152 @@ const getUserPurchases = async (address, page = 1, limit = 10) => {
   }
 };
 
+/**
+ * Renew a subscription for another billing period
+ * @param {string} id - Subscription ID
+ * @param {string} subscriber - Subscriber's wallet address
+ * @param {Object} [payment] - Payment details
+ * @param {string} [payment.transactionHash] - Transaction hash if paid on blockchain
+ * @returns {Promise<Object>} - Renewal purchase details
+ */
+const renewSubscription = async (id, subscriber, payment = {}) => {
+  try {
+    const subscription = await DB.Subscription.findByPk(id);
+    if (!subscription) {
+      throw new Error(`Subscription not found: ${id}`);
+    }
+    
+    if (subscription.subscriber.toLowerCase() !== subscriber.toLowerCase()) {
+      throw new Error('Only the subscriber can manage the subscription');
+    }
+    
+    return await purchaseListing(subscription.listingId, {
+      buyer: subscription.subscriber,
+      transactionHash: payment.transactionHash
+    });
+  } catch (error) {
+    logger.error('Error renewing subscription', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Cancel a subscription; access continues until the end of the paid period
+ * @param {string} id - Subscription ID
+ * @param {string} subscriber - Subscriber's wallet address
+ * @returns {Promise<Object>} - Subscription state
+ */
+const cancelSubscription = async (id, subscriber) => {
+  try {
+    const subscription = await DB.Subscription.findByPk(id);
+    if (!subscription) {
+      throw new Error(`Subscription not found: ${id}`);
+    }
+    
+    if (subscription.subscriber.toLowerCase() !== subscriber.toLowerCase()) {
+      throw new Error('Only the subscriber can manage the subscription');
+    }
+    
+    if (subscription.status !== 'active') {
+      throw new Error(`Subscription is not active: ${id}`);
+    }
+    
+    await subscription.update({ status: 'cancelled', cancelledAt: new Date() });
+    
+    logger.info('Subscription cancelled', { id, subscriber });
+    
+    return formatSubscription(subscription);
+  } catch (error) {
+    logger.error('Error cancelling subscription', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Expire lapsed subscriptions and remind subscribers whose period ends soon
+ * A lapsed subscription frees its seat, reopening a sold out subscription listing
+ * @returns {Promise<Object>} - Number of subscriptions expired and reminders sent
+ */
+const processSubscriptions = async () => {
+  try {
+    const { Op } = DB.Sequelize;
+    const now = new Date();
+    
+    const lapsed = await DB.Subscription.findAll({
+      where: {
+        status: ['active', 'cancelled'],
+        currentPeriodEnd: { [Op.lt]: now }
+      }
+    });
+    
+    for (const subscription of lapsed) {
+      await subscription.update({ status: 'expired' });
+      await DB.Listing.update(
+        { seatsSold: DB.sequelize.literal('"seatsSold" - 1') },
+        { where: { id: subscription.listingId, seatsSold: { [Op.gt]: 0 } } }
+      );
+      await DB.Listing.update(
+        { status: 'active' },
+        { where: { id: subscription.listingId, status: 'sold' } }
+      );
+    }
+    
+    const expiring = await DB.Subscription.findAll({
+      where: {
+        status: 'active',
+        reminderSentAt: null,
+        currentPeriodEnd: {
+          [Op.gte]: now,
+          [Op.lte]: new Date(now.getTime() + appConfig.subscriptionReminderWindow)
+        }
+      },
+      include: [
+        {
+          model: DB.Dataset,
+          attributes: ['id', 'name']
+        }
+      ]
+    });
+    
+    for (const subscription of expiring) {
+      const datasetName = subscription.Dataset ? subscription.Dataset.name : subscription.datasetId;
+      
+      await notificationService.notify({
+        recipient: subscription.subscriber,
+        type: 'subscription_renewal',
+        title: 'Subscription renewal due',
+        message: `Your subscription to ${datasetName} ends on ${subscription.currentPeriodEnd.toISOString()}. ` +
+                 'Renew it to keep access.',
+        data: {
+          subscriptionId: subscription.id,
+          listingId: subscription.listingId,
+          datasetId: subscription.datasetId,
+          currentPeriodEnd: subscription.currentPeriodEnd
+        }
+      });
+      
+      await subscription.update({ reminderSentAt: now });
+    }
+    
+    return { expired: lapsed.length, reminded: expiring.length };
+  } catch (error) {
+    logger.error('Error processing subscriptions', { error: error.message });
+    throw error;
+  }
+};
+
 module.exports = {
   createListing,
   getListing,
   listListings,
   updateListing,
   purchaseListing,
+  recordOnChainPurchase,
+  revertOnChainPurchase,
   verifyAccess,
-  getUserPurchases
+  checkDownloadAccess,
+  getUserPurchases,
+  renewSubscription,
+  cancelSubscription,
+  processSubscriptions
 };
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * Notification service for messages to users
+ */
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const DB = require('../models');
+
+/**
+ * Send a notification to a user
+ * @param {Object} notification - Notification data
+ * @param {string} notification.recipient - Recipient's wallet address
+ * @param {string} notification.type - Notification type (e.g., "subscription_renewal")
+ * @param {string} notification.title - Short title
+ * @param {string} notification.message - Message text
+ * @param {Object} [notification.data] - Details for the client, such as the IDs involved
+ * @returns {Promise<Object>} - Created notification
+ */
+const notify = async (notification) => {
+  try {
+    const dbNotification = await DB.Notification.create({
+      id: uuidv4(),
+      recipient: notification.recipient.toLowerCase(),
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data || null
+    });
+    
+    logger.info('Notification sent', { 
+      id: dbNotification.id, 
+      type: notification.type, 
+      recipient: dbNotification.recipient 
+    });
+    
+    return dbNotification;
+  } catch (error) {
+    logger.error('Error sending notification', { error: error.message, type: notification.type });
+    throw error;
+  }
+};
+
+/**
+ * List a user's notifications
+ * @param {string} recipient - Recipient's wallet address
+ * @param {Object} [options] - Filter options
+ * @param {boolean} [options.unreadOnly] - Only list notifications that have not been read
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=20] - Items per page
+ * @returns {Promise<Object>} - Paginated notifications
+ */
+const listNotifications = async (recipient, options = {}, page = 1, limit = 20) => {
+  try {
+    const where = { recipient: recipient.toLowerCase() };
+    
+    if (options.unreadOnly) {
+      where.readAt = null;
+    }
+    
+    const offset = (page - 1) * limit;
+    
+    const { count, rows } = await DB.Notification.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+    
+    return {
+      notifications: rows.map(notification => ({
+        id: notification.id,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        data: notification.data,
+        readAt: notification.readAt,
+        createdAt: notification.createdAt
+      })),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Error listing notifications', { error: error.message, recipient });
+    throw error;
+  }
+};
+
+/**
+ * Mark a notification as read
+ * @param {string} id - Notification ID
+ * @param {string} recipient - Wallet address of the user marking it
+ * @returns {Promise<Object>} - Updated notification
+ */
+const markRead = async (id, recipient) => {
+  try {
+    const notification = await DB.Notification.findOne({
+      where: { id, recipient: recipient.toLowerCase() }
+    });
+    
+    if (!notification) {
+      throw new Error(`Notification not found: ${id}`);
+    }
+    
+    if (!notification.readAt) {
+      await notification.update({ readAt: new Date() });
+    }
+    
+    return {
+      id: notification.id,
+      readAt: notification.readAt
+    };
+  } catch (error) {
+    logger.error('Error marking notification read', { error: error.message, id });
+    throw error;
+  }
+};
+
+module.exports = {
+  notify,
+  listNotifications,
+  markRead
+};
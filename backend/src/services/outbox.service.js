@@ -0,0 +1,438 @@
+/**
+ * Blockchain outbox service
+ * Queues contract calls that failed and retries them until the owning row has its transaction hash
+ */
+const { v4: uuidv4 } = require('uuid');
+const contractsService = require('./contracts.service');
+const logger = require('../utils/logger');
+const DB = require('../models');
+
+// Delay before the first retry, doubled after every failed attempt
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+
+// Upper bound on the delay between two attempts
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// Attempts after which an entry is parked as failed until an admin intervenes
+const DEFAULT_MAX_ATTEMPTS = 8;
+
+// Entries processed per job run
+const DEFAULT_BATCH_SIZE = 25;
+
+// Time after which an entry left processing is taken to belong to a run that died mid-attempt
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+/**
+ * Get the on-chain token ID of a dataset
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<string>} - Token ID
+ */
+const getDatasetTokenId = async (datasetId) => {
+  const dataset = await DB.Dataset.findByPk(datasetId);
+  if (!dataset) {
+    throw new Error(`Dataset not found: ${datasetId}`);
+  }
+  if (!dataset.tokenId) {
+    throw new Error(`Dataset ${datasetId} is not registered on chain yet`);
+  }
+  return dataset.tokenId;
+};
+
+// Contract call and row update for each queued operation
+const OPERATIONS = {
+  addProvenanceRecord: {
+    targetModel: 'ProvenanceRecord',
+    execute: async (payload) => {
+      const { receipt } = await contractsService.getContract('DatasetRegistry').addProvenanceRecord(
+        await getDatasetTokenId(payload.datasetId),
+        payload.actionType,
+        payload.performedBy,
+        payload.ipfsCid
+      );
+      return { transactionHash: receipt.transactionHash };
+    }
+  },
+  recordUsage: {
+    targetModel: 'Usage',
+    execute: async (payload) => {
+      const { receipt } = await contractsService.recordDatasetUsage(
+        await getDatasetTokenId(payload.datasetId),
+        payload.modelId,
+        payload.usageType,
+        payload.impactScore
+      );
+      return { transactionHash: receipt.transactionHash };
+    }
+  },
+  createProposal: {
+    targetModel: 'Proposal',
+    execute: async (payload) => {
+      const { receipt, proposalId } = await contractsService.createProposal(payload);
+      return { transactionHash: receipt.transactionHash, onChainId: proposalId };
+    }
+  }
+};
+
+/**
+ * Compute when the next attempt of an entry is due
+ * @param {number} attempts - Attempts made so far
+ * @returns {Date} - Time of the next attempt
+ */
+const getNextAttemptAt = (attempts) => {
+  const delay = Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_MS);
+  return new Date(Date.now() + delay);
+};
+
+/**
+ * Format an outbox entry for API responses
+ * @param {Object} entry - Outbox entry
+ * @returns {Object} - Formatted entry
+ */
+const formatEntry = (entry) => ({
+  id: entry.id,
+  operation: entry.operation,
+  targetModel: entry.targetModel,
+  targetId: entry.targetId,
+  payload: entry.payload,
+  status: entry.status,
+  attempts: entry.attempts,
+  maxAttempts: entry.maxAttempts,
+  nextAttemptAt: entry.nextAttemptAt,
+  lastError: entry.lastError,
+  transactionHash: entry.transactionHash,
+  completedAt: entry.completedAt,
+  abandonedBy: entry.abandonedBy,
+  abandonReason: entry.abandonReason,
+  createdAt: entry.createdAt,
+  updatedAt: entry.updatedAt
+});
+
+/**
+ * Queue a failed contract call for retry
+ * @param {Object} write - Failed write
+ * @param {string} write.operation - "addProvenanceRecord", "recordUsage" or "createProposal"
+ * @param {string} write.targetId - ID of the row waiting for the transaction hash
+ * @param {Object} write.payload - Arguments of the contract call
+ * @param {Error} [write.error] - Error raised by the failed call
+ * @returns {Promise<Object>} - Created outbox entry
+ */
+const enqueue = async (write) => {
+  try {
+    const operation = OPERATIONS[write.operation];
+    if (!operation) {
+      throw new Error(`Unknown outbox operation: ${write.operation}`);
+    }
+    
+    const entry = await DB.OutboxEntry.create({
+      id: uuidv4(),
+      operation: write.operation,
+      targetModel: operation.targetModel,
+      targetId: write.targetId,
+      payload: write.payload,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: DEFAULT_MAX_ATTEMPTS,
+      nextAttemptAt: getNextAttemptAt(0),
+      lastError: write.error ? write.error.message : null
+    });
+    
+    logger.info('Blockchain write queued for retry', {
+      id: entry.id,
+      operation: write.operation,
+      targetId: write.targetId
+    });
+    
+    return formatEntry(entry);
+  } catch (error) {
+    logger.error('Error queueing blockchain write', {
+      error: error.message,
+      operation: write.operation,
+      targetId: write.targetId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Check whether an entry was left processing by a run that died mid-attempt
+ * @param {Object} entry - Outbox entry
+ * @returns {boolean}
+ */
+const isStale = (entry) => entry.status === 'processing'
+  && new Date(entry.updatedAt).getTime() <= Date.now() - STALE_PROCESSING_MS;
+
+/**
+ * Run the contract call of an entry and record the outcome
+ * @param {Object} entry - Claimed outbox entry
+ * @param {number} [maxAttempts] - Attempt budget to apply and save; the entry's own by default
+ * @returns {Promise<Object>} - Updated entry
+ */
+const attemptEntry = async (entry, maxAttempts = entry.maxAttempts) => {
+  const attempts = entry.attempts + 1;
+  
+  try {
+    const result = await OPERATIONS[entry.operation].execute(entry.payload);
+    
+    // Update the original row with the transaction hash
+    const target = await DB[entry.targetModel].findByPk(entry.targetId);
+    if (target) {
+      await target.update(result);
+    } else {
+      logger.warn('Outbox target row no longer exists', {
+        id: entry.id,
+        targetModel: entry.targetModel,
+        targetId: entry.targetId
+      });
+    }
+    
+    await entry.update({
+      status: 'succeeded',
+      attempts,
+      maxAttempts,
+      transactionHash: result.transactionHash,
+      lastError: null,
+      nextAttemptAt: null,
+      completedAt: new Date()
+    });
+    
+    logger.info('Queued blockchain write succeeded', {
+      id: entry.id,
+      operation: entry.operation,
+      txHash: result.transactionHash
+    });
+  } catch (error) {
+    const exhausted = attempts >= maxAttempts;
+    
+    await entry.update({
+      status: exhausted ? 'failed' : 'pending',
+      attempts,
+      maxAttempts,
+      lastError: error.message,
+      nextAttemptAt: exhausted ? null : getNextAttemptAt(attempts)
+    });
+    
+    logger.error('Queued blockchain write failed', {
+      error: error.message,
+      id: entry.id,
+      operation: entry.operation,
+      attempts,
+      exhausted
+    });
+  }
+  
+  return entry;
+};
+
+/**
+ * Claim an entry so concurrent runs do not submit the same transaction twice
+ *
+ * Entries stuck in processing past STALE_PROCESSING_MS can be claimed again; their run may have
+ * sent the transaction before it died, so the retry can land a second time.
+ * @param {Object} entry - Outbox entry
+ * @param {Array<string>} fromStatuses - Statuses the entry may be claimed from, besides stale processing
+ * @returns {Promise<boolean>} - Whether the entry was claimed
+ */
+const claimEntry = async (entry, fromStatuses) => {
+  const { Op } = DB.Sequelize;
+  const [claimed] = await DB.OutboxEntry.update(
+    { status: 'processing' },
+    {
+      where: {
+        id: entry.id,
+        [Op.or]: [
+          { status: fromStatuses },
+          { status: 'processing', updatedAt: { [Op.lte]: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      }
+    }
+  );
+  return claimed === 1;
+};
+
+/**
+ * Retry every entry whose next attempt is due, and every entry left processing by a run that died
+ * @param {Object} [options] - Processing options
+ * @param {number} [options.limit] - Maximum number of entries to process
+ * @returns {Promise<Object>} - Processing summary
+ */
+const processOutbox = async (options = {}) => {
+  try {
+    const { Op } = DB.Sequelize;
+    const entries = await DB.OutboxEntry.findAll({
+      where: {
+        [Op.or]: [
+          { status: 'pending', nextAttemptAt: { [Op.lte]: new Date() } },
+          { status: 'processing', updatedAt: { [Op.lte]: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      order: [['nextAttemptAt', 'ASC']],
+      limit: options.limit || DEFAULT_BATCH_SIZE
+    });
+    
+    const summary = { processed: 0, succeeded: 0, failed: 0 };
+    
+    for (const entry of entries) {
+      if (!(await claimEntry(entry, ['pending']))) {
+        continue;
+      }
+      
+      if (entry.status === 'processing') {
+        logger.warn('Reclaiming outbox entry left processing', { id: entry.id, updatedAt: entry.updatedAt });
+      }
+      
+      await attemptEntry(entry);
+      summary.processed++;
+      if (entry.status === 'succeeded') {
+        summary.succeeded++;
+      } else {
+        summary.failed++;
+      }
+    }
+    
+    return summary;
+  } catch (error) {
+    logger.error('Error processing blockchain outbox', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * List outbox entries
+ * @param {Object} [filters] - Filter options
+ * @param {string} [filters.status] - Filter by status
+ * @param {string} [filters.operation] - Filter by operation
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=20] - Items per page
+ * @returns {Promise<Object>} - Paginated entries
+ */
+const listEntries = async (filters = {}, page = 1, limit = 20) => {
+  try {
+    const where = {};
+    
+    if (filters.status) {
+      where.status = filters.status;
+    }
+    
+    if (filters.operation) {
+      where.operation = filters.operation;
+    }
+    
+    const offset = (page - 1) * limit;
+    
+    const { count, rows } = await DB.OutboxEntry.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+    
+    return {
+      entries: rows.map(formatEntry),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Error listing outbox entries', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Find an outbox entry row
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object>} - Entry row
+ */
+const findEntry = async (id) => {
+  const entry = await DB.OutboxEntry.findByPk(id);
+  if (!entry) {
+    throw new Error(`Outbox entry not found: ${id}`);
+  }
+  return entry;
+};
+
+/**
+ * Get an outbox entry
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object>} - Entry
+ */
+const getEntry = async (id) => {
+  try {
+    return formatEntry(await findEntry(id));
+  } catch (error) {
+    logger.error('Error getting outbox entry', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Retry an entry immediately, including one that exhausted its attempts or was left processing
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object>} - Updated entry
+ */
+const retryEntry = async (id) => {
+  try {
+    const entry = await findEntry(id);
+    
+    if (!['pending', 'failed'].includes(entry.status) && !isStale(entry)) {
+      throw new Error(`Cannot retry an outbox entry that is ${entry.status}`);
+    }
+    
+    if (!(await claimEntry(entry, ['pending', 'failed']))) {
+      throw new Error('Outbox entry is already being processed');
+    }
+    
+    // A manual retry grants one more attempt beyond the exhausted budget
+    await attemptEntry(entry, Math.max(entry.maxAttempts, entry.attempts + 1));
+    
+    return formatEntry(entry);
+  } catch (error) {
+    logger.error('Error retrying outbox entry', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Abandon an entry so it is never retried
+ * @param {string} id - Entry ID
+ * @param {Object} details - Abandon details
+ * @param {string} details.abandonedBy - Address of the admin
+ * @param {string} [details.reason] - Reason for abandoning
+ * @returns {Promise<Object>} - Updated entry
+ */
+const abandonEntry = async (id, details) => {
+  try {
+    const entry = await findEntry(id);
+    
+    if (!['pending', 'failed'].includes(entry.status) && !isStale(entry)) {
+      throw new Error(`Cannot abandon an outbox entry that is ${entry.status}`);
+    }
+    
+    await entry.update({
+      status: 'abandoned',
+      nextAttemptAt: null,
+      abandonedBy: details.abandonedBy,
+      abandonReason: details.reason || null,
+      completedAt: new Date()
+    });
+    
+    logger.info('Outbox entry abandoned', { id, abandonedBy: details.abandonedBy });
+    
+    return formatEntry(entry);
+  } catch (error) {
+    logger.error('Error abandoning outbox entry', { error: error.message, id });
+    throw error;
+  }
+};
+
+module.exports = {
+  enqueue,
+  processOutbox,
+  listEntries,
+  getEntry,
+  retryEntry,
+  abandonEntry
+};
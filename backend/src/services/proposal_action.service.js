@@ -0,0 +1,242 @@
+/**
+ * DAO proposal action service
+ * Typed actions a proposal carries out when it is executed, validated when the proposal is created
+ */
+const { ethers } = require('ethers');
+const contractsService = require('./contracts.service');
+const logger = require('../utils/logger');
+
+// Platform fees are capped at 10% by Marketplace and RoyaltyDistributor
+const MAX_PLATFORM_FEE = 1000;
+
+// Component names accepted by DataProvChain.updateContractAddress
+const PLATFORM_COMPONENTS = ['datasetRegistry', 'attributionManager', 'marketplace', 'dataDAO', 'filecoinDeal'];
+
+// Parameter validators by parameter type; each returns the normalized value or throws
+const PARAM_TYPES = {
+  address: (value) => {
+    if (typeof value !== 'string' || !ethers.utils.isAddress(value)) {
+      throw new Error('must be an address');
+    }
+    if (value === ethers.constants.AddressZero) {
+      throw new Error('must not be the zero address');
+    }
+    return ethers.utils.getAddress(value);
+  },
+  integer: (value, spec) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < spec.min || number > spec.max) {
+      throw new Error(`must be an integer from ${spec.min} to ${spec.max}`);
+    }
+    return number;
+  },
+  wei: (value) => {
+    const amount = String(value);
+    if (!/^\d+$/.test(amount) || BigInt(amount) === 0n) {
+      throw new Error('must be a positive amount in wei');
+    }
+    return amount;
+  },
+  enum: (value, spec) => {
+    if (!spec.values.includes(value)) {
+      throw new Error(`must be one of ${spec.values.join(', ')}`);
+    }
+    return value;
+  },
+  string: (value, spec) => {
+    if (typeof value !== 'string' || value.length > spec.maxLength) {
+      throw new Error(`must be text of at most ${spec.maxLength} characters`);
+    }
+    return value;
+  }
+};
+
+// Supported action types: the parameters each takes and the call it is executed as
+const ACTION_TYPES = {
+  setPlatformFee: {
+    description: 'Set the platform fee charged by the Marketplace or RoyaltyDistributor contract',
+    params: {
+      contract: { type: 'enum', values: ['Marketplace', 'RoyaltyDistributor'], required: true },
+      feePercentage: { type: 'integer', min: 0, max: MAX_PLATFORM_FEE, required: true } // Basis points
+    },
+    toCall: (params) => ({
+      contractName: params.contract,
+      method: 'setPlatformFeePercentage',
+      args: [params.feePercentage]
+    })
+  },
+  addVerifier: {
+    description: 'Grant the verifier role in the VerificationRegistry contract',
+    params: {
+      verifier: { type: 'address', required: true }
+    },
+    toCall: (params) => ({
+      contractName: 'VerificationRegistry',
+      method: 'addVerifier',
+      args: [params.verifier]
+    })
+  },
+  removeVerifier: {
+    description: 'Revoke the verifier role in the VerificationRegistry contract',
+    params: {
+      verifier: { type: 'address', required: true }
+    },
+    toCall: (params) => ({
+      contractName: 'VerificationRegistry',
+      method: 'removeVerifier',
+      args: [params.verifier]
+    })
+  },
+  updateContractAddress: {
+    description: 'Point DataProvChain at a new deployment of a platform contract',
+    params: {
+      component: { type: 'enum', values: PLATFORM_COMPONENTS, required: true },
+      contractAddress: { type: 'address', required: true }
+    },
+    toCall: (params) => ({
+      contractName: 'DataProvChain',
+      method: 'updateContractAddress',
+      args: [params.component, params.contractAddress]
+    })
+  },
+  allocateTreasuryFunds: {
+    description: 'Send funds from the platform treasury wallet',
+    params: {
+      recipient: { type: 'address', required: true },
+      amount: { type: 'wei', required: true },
+      purpose: { type: 'string', maxLength: 500, required: false }
+    },
+    toCall: (params) => ({
+      contractName: null,
+      method: 'transfer',
+      args: [params.recipient, params.amount]
+    })
+  }
+};
+
+/**
+ * Validate the actions of a new proposal
+ * @param {Array<Object>} actions - Actions, each with a type and params
+ * @returns {Array<Object>} - Actions with normalized parameters
+ */
+const validateActions = (actions) => {
+  if (!Array.isArray(actions)) {
+    throw new Error('Invalid proposal actions: actions must be an array');
+  }
+  
+  const errors = [];
+  const normalized = actions.map((action, index) => {
+    const definition = action && ACTION_TYPES[action.type];
+    if (!definition) {
+      errors.push(`action ${index} has unknown type ${action && action.type}`);
+      return null;
+    }
+    
+    const input = action.params || {};
+    const params = {};
+    
+    for (const name of Object.keys(input)) {
+      if (!definition.params[name]) {
+        errors.push(`action ${index} (${action.type}) has unknown parameter ${name}`);
+      }
+    }
+    
+    for (const [name, spec] of Object.entries(definition.params)) {
+      if (input[name] === undefined || input[name] === null) {
+        if (spec.required) {
+          errors.push(`action ${index} (${action.type}) is missing ${name}`);
+        }
+        continue;
+      }
+      try {
+        params[name] = PARAM_TYPES[spec.type](input[name], spec);
+      } catch (error) {
+        errors.push(`action ${index} (${action.type}) ${name} ${error.message}`);
+      }
+    }
+    
+    return { type: action.type, params };
+  });
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid proposal actions: ${errors.join('; ')}`);
+  }
+  
+  return normalized;
+};
+
+/**
+ * Get the actions a proposal carries out when executed
+ * @param {Object} proposal - Proposal row
+ * @returns {Array<Object>} - Validated actions
+ */
+const getProposalActions = (proposal) => {
+  return (proposal.parameters && proposal.parameters.actions) || [];
+};
+
+/**
+ * Describe the supported action types and their parameters
+ * @returns {Array<Object>} - Action types
+ */
+const getActionTypes = () => {
+  return Object.entries(ACTION_TYPES).map(([type, definition]) => ({
+    type,
+    description: definition.description,
+    params: definition.params
+  }));
+};
+
+/**
+ * Get the call a proposal action is executed as
+ * @param {Object} action - Validated action
+ * @returns {Object} - Contract name (null for treasury transfers), method and arguments
+ */
+const getActionCall = (action) => {
+  const definition = ACTION_TYPES[action.type];
+  if (!definition) {
+    throw new Error(`Unknown proposal action type: ${action.type}`);
+  }
+  
+  return definition.toCall(action.params);
+};
+
+/**
+ * Carry out a proposal action on chain
+ * @param {Object} action - Validated action
+ * @returns {Promise<Object>} - Transaction receipt
+ */
+const executeAction = async (action) => {
+  const call = getActionCall(action);
+  
+  try {
+    let receipt;
+    if (call.contractName) {
+      const contract = contractsService.getContract(call.contractName);
+      const tx = await contract[call.method](...call.args);
+      receipt = await tx.wait();
+    } else {
+      receipt = await contractsService.transferFunds(...call.args);
+    }
+    
+    logger.info('Proposal action executed', { 
+      actionType: action.type, 
+      txHash: receipt.transactionHash 
+    });
+    
+    return receipt;
+  } catch (error) {
+    logger.error('Error executing proposal action', { 
+      error: error.message, 
+      actionType: action.type 
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  validateActions,
+  getProposalActions,
+  getActionTypes,
+  getActionCall,
+  executeAction
+};
@@ -4,9 +4,63 @@
 const { v4: uuidv4 } = require('uuid');
 const contractsService = require('./contracts.service');
 const ipfsService = require('./ipfs.service');
+const outboxService = require('./outbox.service');
+const cryptoUtils = require('../utils/crypto');
+const provUtils = require('../utils/prov');
 const logger = require('../utils/logger');
 const DB = require('../models');
 
+// Upper bound on how many generations a lineage query may walk
+const MAX_LINEAGE_DEPTH = 10;
+
+// Upper bound on how many activities a single PROV import may add
+const MAX_IMPORT_ACTIVITIES = 200;
+
+// Action types an imported activity may declare
+const IMPORTABLE_ACTION_TYPES = ['creation', 'modification', 'derivation', 'usage', 'verification', 'transfer'];
+
+// Record fields covered by the content hash, in addition to the previous record's hash
+const HASHED_FIELDS = [
+  'id',
+  'datasetId',
+  'sequence',
+  'actionType',
+  'performedBy',
+  'description',
+  'metadata',
+  'previousRecordId',
+  'previousHash',
+  'timestamp'
+];
+
+/**
+ * Extract the hashed fields from a database row or its IPFS copy
+ * @param {Object} source - Provenance record row or IPFS document
+ * @returns {Object} - Hashed fields
+ */
+const getHashedFields = (source) => {
+  const fields = {};
+  for (const field of HASHED_FIELDS) {
+    fields[field] = source[field] === undefined ? null : source[field];
+  }
+  
+  // Database rows carry the timestamp as createdAt
+  const timestamp = source.timestamp || source.createdAt;
+  fields.timestamp = timestamp ? new Date(timestamp).toISOString() : null;
+  fields.metadata = fields.metadata || {};
+  
+  return fields;
+};
+
+/**
+ * Compute the content hash of a provenance record
+ * @param {Object} source - Provenance record row or IPFS document
+ * @returns {string} - Hex-encoded SHA-256 hash
+ */
+const computeRecordHash = (source) => {
+  return cryptoUtils.sha256(cryptoUtils.canonicalJson(getHashedFields(source)));
+};
+
 /**
  * Add a provenance record
  * @param {Object} record - Provenance record
@@ -16,6 +70,8 @@ const DB = require('../models');
  * @param {string} record.description - Description of the action
  * @param {Object} [record.metadata] - Additional metadata
  * @param {string} [record.previousRecordId] - ID of the previous record (for linking)
+ * @param {Array<string>} [record.parentDatasetIds] - Datasets this dataset was derived from (derivation records only)
+ * @param {string} [record.relationType] - How the dataset relates to its parents (e.g., "training", "subset")
  * @returns {Promise<Object>} - Created provenance record
  */
 const addProvenanceRecord = async (record) => {
@@ -26,29 +82,77 @@ const addProvenanceRecord = async (record) => {
       throw new Error(`Dataset not found: ${record.datasetId}`);
     }
     
+    // Validate parent datasets before anything is written
+    const parentDatasetIds = [...new Set(record.parentDatasetIds || [])];
+    if (parentDatasetIds.length > 0) {
+      await validateParentDatasets(record.datasetId, record.actionType, parentDatasetIds);
+    }
+    
     // Create unique ID for the record
     const id = uuidv4();
     
-    // Prepare record for IPFS
-    const timestamp = new Date();
-    const provenanceData = {
-      id,
-      datasetId: record.datasetId,
-      datasetTokenId: dataset.tokenId,
-      actionType: record.actionType,
-      performedBy: record.performedBy,
-      description: record.description,
-      metadata: record.metadata || {},
-      timestamp: timestamp.toISOString(),
-      previousRecordId: record.previousRecordId || null
-    };
+    // Parent links are kept in the metadata so the content hash covers them
+    const metadata = parentDatasetIds.length > 0
+      ? { ...(record.metadata || {}), parentDatasetIds, relationType: record.relationType || 'derivation' }
+      : record.metadata || {};
     
-    // Store record on IPFS
-    const cid = await ipfsService.uploadMetadata(provenanceData);
-    logger.info('Provenance record stored on IPFS', { cid, id });
+    // The dataset row stays locked while the record is chained onto the head, uploaded and saved,
+    // so concurrent records get consecutive sequences; the chain transaction is only sent afterwards
+    const provenanceRecord = await DB.sequelize.transaction(async (transaction) => {
+      await DB.Dataset.findByPk(record.datasetId, { transaction, lock: transaction.LOCK.UPDATE });
+      
+      // Chain onto the latest record of the dataset
+      const head = await DB.ProvenanceRecord.findOne({
+        where: { datasetId: record.datasetId },
+        order: [['sequence', 'DESC NULLS LAST'], ['createdAt', 'DESC']],
+        transaction
+      });
+      
+      // Prepare record for IPFS
+      const timestamp = new Date();
+      const data = {
+        id,
+        datasetId: record.datasetId,
+        datasetTokenId: dataset.tokenId,
+        sequence: head ? (head.sequence === null ? -1 : head.sequence) + 1 : 0,
+        actionType: record.actionType,
+        performedBy: record.performedBy,
+        description: record.description,
+        metadata,
+        timestamp: timestamp.toISOString(),
+        previousRecordId: record.previousRecordId || null,
+        previousHash: head ? head.contentHash : null
+      };
+      data.contentHash = computeRecordHash(data);
+      
+      // Store record on IPFS
+      const cid = await ipfsService.uploadMetadata(data);
+      logger.info('Provenance record stored on IPFS', { cid, id });
+      
+      // Store in database
+      const row = await DB.ProvenanceRecord.create({
+        id,
+        datasetId: record.datasetId,
+        actionType: record.actionType,
+        performedBy: record.performedBy,
+        description: record.description,
+        metadata,
+        ipfsCid: cid,
+        transactionHash: null,
+        previousRecordId: record.previousRecordId || null,
+        sequence: data.sequence,
+        contentHash: data.contentHash,
+        previousHash: data.previousHash,
+        createdAt: timestamp
+      }, { transaction });
+      
+      return row;
+    });
+    const cid = provenanceRecord.ipfsCid;
     
     // Record provenance on blockchain
     let txHash = null;
+    let blockchainFailure = null;
     try {
       const { receipt } = await contractsService.getContract('DatasetRegistry').addProvenanceRecord(
         dataset.tokenId,
@@ -66,21 +170,44 @@ const addProvenanceRecord = async (record) => {
         error: blockchainError.message,
         id 
       });
-      // Continue with database record even if blockchain fails
+      // Keep the database record; the write is retried from the outbox
+      blockchainFailure = blockchainError;
     }
     
-    // Store in database
-    const provenanceRecord = await DB.ProvenanceRecord.create({
-      id,
-      datasetId: record.datasetId,
-      actionType: record.actionType,
-      performedBy: record.performedBy,
-      description: record.description,
-      metadata: record.metadata || {},
-      ipfsCid: cid,
-      transactionHash: txHash,
-      previousRecordId: record.previousRecordId || null
-    });
+    if (txHash) {
+      await provenanceRecord.update({ transactionHash: txHash });
+    }
+    
+    if (blockchainFailure) {
+      await outboxService.enqueue({
+        operation: 'addProvenanceRecord',
+        targetId: id,
+        payload: {
+          datasetId: record.datasetId,
+          actionType: record.actionType,
+          performedBy: record.performedBy,
+          ipfsCid: cid
+        },
+        error: blockchainFailure
+      });
+    }
+    
+    // Link the dataset to the datasets it was derived from
+    if (parentDatasetIds.length > 0) {
+      await DB.DatasetLineage.bulkCreate(parentDatasetIds.map(parentDatasetId => ({
+        id: uuidv4(),
+        parentDatasetId,
+        childDatasetId: record.datasetId,
+        relationType: record.relationType || 'derivation',
+        provenanceRecordId: id,
+        createdBy: record.performedBy
+      })));
+      
+      logger.info('Dataset lineage recorded', { 
+        datasetId: record.datasetId, 
+        parentDatasetIds 
+      });
+    }
     
     logger.info('Provenance record created', { id });
     
@@ -94,6 +221,10 @@ const addProvenanceRecord = async (record) => {
       ipfsCid: provenanceRecord.ipfsCid,
       transactionHash: provenanceRecord.transactionHash,
       previousRecordId: provenanceRecord.previousRecordId,
+      parentDatasetIds,
+      sequence: provenanceRecord.sequence,
+      contentHash: provenanceRecord.contentHash,
+      previousHash: provenanceRecord.previousHash,
       createdAt: provenanceRecord.createdAt
     };
   } catch (error) {
@@ -102,6 +233,131 @@ const addProvenanceRecord = async (record) => {
   }
 };
 
+/**
+ * Check that a dataset can be linked to the given parent datasets
+ * @param {string} datasetId - ID of the derived dataset
+ * @param {string} actionType - Action type of the record creating the links
+ * @param {Array<string>} parentDatasetIds - IDs of the parent datasets
+ */
+const validateParentDatasets = async (datasetId, actionType, parentDatasetIds) => {
+  if (actionType !== 'derivation') {
+    throw new Error('Parent datasets can only be linked by a derivation record');
+  }
+  
+  if (parentDatasetIds.includes(datasetId)) {
+    throw new Error('A dataset cannot be derived from itself');
+  }
+  
+  const parents = await DB.Dataset.findAll({
+    where: { id: parentDatasetIds },
+    attributes: ['id']
+  });
+  
+  const foundIds = new Set(parents.map(p => p.id));
+  const missing = parentDatasetIds.filter(parentId => !foundIds.has(parentId));
+  if (missing.length > 0) {
+    throw new Error(`Dataset not found: ${missing.join(', ')}`);
+  }
+  
+  // A parent that already descends from this dataset would close a cycle
+  const { levels } = await walkLineage(datasetId, 'descendants', Infinity);
+  const cyclic = parentDatasetIds.filter(parentId => levels.has(parentId));
+  if (cyclic.length > 0) {
+    throw new Error(`Lineage cycle detected: ${cyclic.join(', ')} already derive from ${datasetId}`);
+  }
+};
+
+/**
+ * Walk dataset lineage links breadth-first in one direction
+ * @param {string} datasetId - Dataset to start from
+ * @param {string} direction - "ancestors" or "descendants"
+ * @param {number} depth - Maximum number of generations to walk
+ * @returns {Promise<Object>} - Visited links, generation of each dataset, and whether the walk was cut short
+ */
+const walkLineage = async (datasetId, direction, depth) => {
+  const fromKey = direction === 'ancestors' ? 'childDatasetId' : 'parentDatasetId';
+  const toKey = direction === 'ancestors' ? 'parentDatasetId' : 'childDatasetId';
+  
+  const links = new Map();
+  const levels = new Map([[datasetId, 0]]);
+  let frontier = [datasetId];
+  let truncated = false;
+  
+  for (let level = 1; frontier.length > 0; level++) {
+    const rows = await DB.DatasetLineage.findAll({
+      where: { [fromKey]: frontier }
+    });
+    
+    if (level > depth) {
+      truncated = rows.length > 0;
+      break;
+    }
+    
+    const next = [];
+    for (const link of rows) {
+      links.set(link.id, link);
+      
+      // Already-visited datasets are not expanded again, which keeps cycles finite
+      const target = link[toKey];
+      if (!levels.has(target)) {
+        levels.set(target, level);
+        next.push(target);
+      }
+    }
+    
+    frontier = next;
+  }
+  
+  return {
+    links: [...links.values()],
+    levels,
+    truncated
+  };
+};
+
+/**
+ * Find cycles in a directed lineage graph
+ * @param {Array<Object>} links - Lineage links with parentDatasetId and childDatasetId
+ * @returns {Array<Array<string>>} - Each cycle as a list of dataset IDs
+ */
+const findLineageCycles = (links) => {
+  const children = new Map();
+  for (const link of links) {
+    if (!children.has(link.parentDatasetId)) {
+      children.set(link.parentDatasetId, []);
+    }
+    children.get(link.parentDatasetId).push(link.childDatasetId);
+  }
+  
+  const state = new Map(); // undefined = unvisited, 1 = on current path, 2 = done
+  const path = [];
+  const cycles = [];
+  
+  const visit = (node) => {
+    state.set(node, 1);
+    path.push(node);
+    
+    for (const child of children.get(node) || []) {
+      if (state.get(child) === 1) {
+        cycles.push(path.slice(path.indexOf(child)));
+      } else if (!state.has(child)) {
+        visit(child);
+      }
+    }
+    
+    path.pop();
+    state.set(node, 2);
+  };
+  
+  for (const node of children.keys()) {
+    if (!state.has(node)) {
+      visit(node);
+    }
+  }
+  
+  return cycles;
+};
+
 /**
  * Get provenance history for a dataset
  * @param {string} datasetId - Dataset ID
@@ -145,6 +401,9 @@ const getProvenanceHistory = async (datasetId, options = {}) => {
       ipfsCid: record.ipfsCid,
       transactionHash: record.transactionHash,
       previousRecordId: record.previousRecordId,
+      sequence: record.sequence,
+      contentHash: record.contentHash,
+      previousHash: record.previousHash,
       createdAt: record.createdAt
     }));
   } catch (error) {
@@ -271,17 +530,121 @@ const getProvenanceGraph = async (datasetId) => {
   }
 };
 
+/**
+ * Get the cross-dataset lineage graph of a dataset
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} [options] - Query options
+ * @param {number} [options.depth=3] - Number of generations to walk in each direction
+ * @param {string} [options.direction='both'] - "ancestors", "descendants" or "both"
+ * @returns {Promise<Object>} - Merged graph data with nodes, edges and detected cycles
+ */
+const getDatasetLineage = async (datasetId, options = {}) => {
+  try {
+    const dataset = await DB.Dataset.findByPk(datasetId);
+    if (!dataset) {
+      throw new Error(`Dataset not found: ${datasetId}`);
+    }
+    
+    const depth = Math.min(options.depth || 3, MAX_LINEAGE_DEPTH);
+    const direction = options.direction || 'both';
+    
+    // Walk upstream and downstream separately, then merge
+    const generations = new Map([[datasetId, 0]]);
+    const links = new Map();
+    let truncated = false;
+    
+    const walks = [];
+    if (direction !== 'descendants') {
+      walks.push({ sign: -1, result: await walkLineage(datasetId, 'ancestors', depth) });
+    }
+    if (direction !== 'ancestors') {
+      walks.push({ sign: 1, result: await walkLineage(datasetId, 'descendants', depth) });
+    }
+    
+    for (const { sign, result } of walks) {
+      for (const [id, level] of result.levels) {
+        if (!generations.has(id)) {
+          generations.set(id, sign * level);
+        }
+      }
+      for (const link of result.links) {
+        links.set(link.id, link);
+      }
+      truncated = truncated || result.truncated;
+    }
+    
+    const datasets = await DB.Dataset.findAll({
+      where: { id: [...generations.keys()] },
+      attributes: ['id', 'name', 'dataType', 'creator', 'verified', 'createdAt']
+    });
+    
+    const nodes = datasets.map(d => ({
+      id: `dataset-${d.id}`,
+      type: 'dataset',
+      label: d.name,
+      data: {
+        id: d.id,
+        name: d.name,
+        dataType: d.dataType,
+        creator: d.creator,
+        verified: d.verified,
+        createdAt: d.createdAt,
+        generation: generations.get(d.id),
+        isRoot: d.id === datasetId
+      }
+    }));
+    
+    const edges = [...links.values()].map(link => ({
+      id: `edge-lineage-${link.id}`,
+      source: `dataset-${link.parentDatasetId}`,
+      target: `dataset-${link.childDatasetId}`,
+      label: link.relationType,
+      data: {
+        provenanceRecordId: link.provenanceRecordId,
+        createdBy: link.createdBy,
+        createdAt: link.createdAt
+      }
+    }));
+    
+    const cycles = findLineageCycles([...links.values()]);
+    if (cycles.length > 0) {
+      logger.warn('Cycles found in dataset lineage', { datasetId, cycles });
+    }
+    
+    return {
+      datasetId,
+      depth,
+      direction,
+      nodes,
+      edges,
+      cycles,
+      hasCycles: cycles.length > 0,
+      truncated
+    };
+  } catch (error) {
+    logger.error('Error getting dataset lineage', { 
+      error: error.message, 
+      datasetId 
+    });
+    throw error;
+  }
+};
+
 /**
  * Verify a dataset's provenance chain
+ * 
+ * Every record's content hash is recomputed and checked against the stored hash,
+ * the hash committed by the next record, the IPFS copy and the on-chain metadataURI,
+ * so an edit to any record is attributed to that record.
  * @param {string} datasetId - Dataset ID
  * @returns {Promise<Object>} - Verification result
  */
 const verifyProvenanceChain = async (datasetId) => {
   try {
-    // Get all provenance records
+    // Get all provenance records in chain order
     const records = await DB.ProvenanceRecord.findAll({
       where: { datasetId },
-      order: [['createdAt', 'ASC']]
+      order: [['sequence', 'ASC NULLS FIRST'], ['createdAt', 'ASC']]
     });
     
     if (records.length === 0) {
@@ -297,79 +660,124 @@ const verifyProvenanceChain = async (datasetId) => {
       throw new Error(`Dataset not found: ${datasetId}`);
     }
     
-    // Verify on blockchain
-    let blockchainVerified = true;
-    let failedRecords = [];
+    const issuesByRecord = new Map(records.map(record => [record.id, []]));
+    const addIssue = (record, type, message, fields) => {
+      issuesByRecord.get(record.id).push(fields ? { type, message, fields } : { type, message });
+    };
     
-    try {
-      const onChainRecords = await contractsService.getContract('DatasetRegistry')
-        .getProvenanceRecords(dataset.tokenId);
+    // Verify the hash chain
+    let chainIntegrity = true;
+    let previous = null;
+    
+    for (const record of records) {
+      if (!record.contentHash) {
+        addIssue(record, 'unhashed', 'Record predates hash chaining and cannot be verified');
+        chainIntegrity = false;
+        previous = record;
+        continue;
+      }
       
-      // Check if all records exist on chain
-      for (const record of records) {
-        if (record.transactionHash) {
-          const found = onChainRecords.some(
-            r => r.metadataURI === record.ipfsCid
-          );
-          
-          if (!found) {
-            blockchainVerified = false;
-            failedRecords.push(record.id);
-          }
+      const selfConsistent = computeRecordHash(record) === record.contentHash;
+      if (!selfConsistent) {
+        addIssue(record, 'content_modified', 'Record content does not match its content hash');
+        chainIntegrity = false;
+      }
+      
+      if (previous && previous.contentHash) {
+        if (record.sequence !== previous.sequence + 1) {
+          addIssue(record, 'record_missing', 
+            `Expected sequence ${previous.sequence + 1} but found ${record.sequence}`);
+          chainIntegrity = false;
+        } else if (record.previousHash !== previous.contentHash && selfConsistent) {
+          // This record is intact, so the hash it committed to was rewritten on the previous record
+          addIssue(previous, 'hash_rewritten', 
+            `Content hash differs from the hash committed by record ${record.id}`);
+          chainIntegrity = false;
         }
+      } else if (!previous && record.previousHash) {
+        addIssue(record, 'record_missing', 'First record in the chain references a previous hash');
+        chainIntegrity = false;
       }
-    } catch (blockchainError) {
-      logger.error('Error verifying provenance on blockchain', { 
-        error: blockchainError.message, 
-        datasetId 
-      });
-      blockchainVerified = false;
+      
+      // Check if links between records are valid
+      if (record.previousRecordId && !issuesByRecord.has(record.previousRecordId)) {
+        addIssue(record, 'broken_link', `Linked record ${record.previousRecordId} does not exist`);
+        chainIntegrity = false;
+      }
+      
+      previous = record;
     }
     
-    // Verify IPFS records
+    // Compare each record with its IPFS copy
     let ipfsVerified = true;
     
     for (const record of records) {
       try {
-        // Check if record exists on IPFS
-        const exists = await ipfsService.checkContentExists(record.ipfsCid);
+        const ipfsCopy = await ipfsService.getMetadata(record.ipfsCid);
         
-        if (!exists) {
+        const stored = getHashedFields(record);
+        const published = getHashedFields(ipfsCopy);
+        const alteredFields = HASHED_FIELDS.filter(field =>
+          cryptoUtils.canonicalJson(stored[field]) !== cryptoUtils.canonicalJson(published[field])
+        );
+        
+        if (alteredFields.length > 0 || (record.contentHash && ipfsCopy.contentHash !== record.contentHash)) {
+          addIssue(record, 'ipfs_mismatch', 'Record differs from its IPFS copy', alteredFields);
           ipfsVerified = false;
-          failedRecords.push(record.id);
         }
       } catch (ipfsError) {
         logger.error('Error verifying provenance on IPFS', { 
           error: ipfsError.message, 
           id: record.id 
         });
+        addIssue(record, 'ipfs_unavailable', `IPFS copy could not be fetched: ${ipfsError.message}`);
         ipfsVerified = false;
-        failedRecords.push(record.id);
       }
     }
     
-    // Verify chain integrity
-    let chainIntegrity = true;
+    // Check that each recorded transaction anchored the record's IPFS copy on chain
+    let blockchainVerified = true;
     
-    // Check if links between records are valid
-    for (const record of records) {
-      if (record.previousRecordId) {
-        const previousExists = records.some(r => r.id === record.previousRecordId);
-        
-        if (!previousExists) {
-          chainIntegrity = false;
-          failedRecords.push(record.id);
+    try {
+      const onChainRecords = await contractsService.getContract('DatasetRegistry')
+        .getProvenanceRecords(dataset.tokenId);
+      const anchoredUris = new Set(onChainRecords.map(r => r.metadataURI));
+      
+      for (const record of records) {
+        if (record.transactionHash && !anchoredUris.has(record.ipfsCid)) {
+          addIssue(record, 'not_on_chain', 'IPFS CID does not match any on-chain metadataURI');
+          blockchainVerified = false;
         }
       }
+    } catch (blockchainError) {
+      logger.error('Error verifying provenance on blockchain', { 
+        error: blockchainError.message, 
+        datasetId 
+      });
+      blockchainVerified = false;
     }
     
+    const alteredRecords = records
+      .filter(record => issuesByRecord.get(record.id).length > 0)
+      .map(record => ({
+        id: record.id,
+        sequence: record.sequence,
+        actionType: record.actionType,
+        issues: issuesByRecord.get(record.id)
+      }));
+    
+    const head = records[records.length - 1];
+    
     return {
       verified: blockchainVerified && ipfsVerified && chainIntegrity,
       blockchainVerified,
       ipfsVerified,
       chainIntegrity,
       recordsCount: records.length,
-      failedRecords: [...new Set(failedRecords)]
+      headHash: head.contentHash,
+      failedRecords: alteredRecords.map(record => record.id),
+      alteredRecords,
+      firstAlteredRecord: alteredRecords.length > 0 ? alteredRecords[0] : null
     };
   } catch (error) {
     logger.error('Error verifying provenance chain', { 
@@ -380,9 +788,197 @@ const verifyProvenanceChain = async (datasetId) => {
   }
 };
 
+/**
+ * Export a dataset's provenance history in a W3C PROV serialization
+ * @param {string} datasetId - Dataset ID
+ * @param {string} [format='prov-json'] - "prov-json", "jsonld" (PROV-O) or "turtle" (PROV-O)
+ * @returns {Promise<Object>} - Serialized document with its content type and file name
+ */
+const exportProvenance = async (datasetId, format = 'prov-json') => {
+  try {
+    if (!provUtils.PROV_FORMATS[format]) {
+      throw new Error(`Unsupported PROV format: ${format}`);
+    }
+    
+    const dataset = await DB.Dataset.findByPk(datasetId);
+    if (!dataset) {
+      throw new Error(`Dataset not found: ${datasetId}`);
+    }
+    
+    const records = await DB.ProvenanceRecord.findAll({
+      where: { datasetId },
+      order: [['sequence', 'ASC NULLS FIRST'], ['createdAt', 'ASC']]
+    });
+    
+    // Direct parents become prov:wasDerivedFrom relations
+    const parentLinks = await DB.DatasetLineage.findAll({
+      where: { childDatasetId: datasetId }
+    });
+    const parentDatasets = parentLinks.length > 0
+      ? await DB.Dataset.findAll({ where: { id: parentLinks.map(link => link.parentDatasetId) } })
+      : [];
+    const parents = parentLinks
+      .map(link => ({
+        dataset: parentDatasets.find(parent => parent.id === link.parentDatasetId),
+        relationType: link.relationType,
+        provenanceRecordId: link.provenanceRecordId
+      }))
+      .filter(parent => parent.dataset);
+    
+    const graph = provUtils.buildProvGraph(dataset, records, parents);
+    const { contentType, extension } = provUtils.PROV_FORMATS[format];
+    
+    return {
+      format,
+      contentType,
+      fileName: `provenance-${datasetId}.${extension}`,
+      document: provUtils.serializeProvGraph(graph, format)
+    };
+  } catch (error) {
+    logger.error('Error exporting provenance', { 
+      error: error.message, 
+      datasetId, 
+      format 
+    });
+    throw error;
+  }
+};
+
+/**
+ * Import provenance produced outside DataProvChain onto a dataset
+ * 
+ * Each activity becomes a provenance record performed by the importing user, so
+ * it is hash-chained and anchored like any other record; the original activity,
+ * agents and entities are kept in the record metadata. Activities exported from
+ * this dataset are recognised by their identifier and skipped.
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} document - PROV-JSON or PROV-O JSON-LD document
+ * @param {Object} options - Import options
+ * @param {string} [options.format='prov-json'] - "prov-json" or "jsonld"
+ * @param {string} options.importedBy - Wallet address of the importing user
+ * @returns {Promise<Object>} - Created records and skipped activities
+ */
+const importProvenance = async (datasetId, document, options = {}) => {
+  try {
+    const format = options.format || 'prov-json';
+    
+    const dataset = await DB.Dataset.findByPk(datasetId);
+    if (!dataset) {
+      throw new Error(`Dataset not found: ${datasetId}`);
+    }
+    
+    const activities = provUtils.parseProvDocument(document, format);
+    if (activities.length > MAX_IMPORT_ACTIVITIES) {
+      throw new Error(`Invalid provenance document: ${activities.length} activities exceed the limit of ${MAX_IMPORT_ACTIVITIES} per import`);
+    }
+    
+    // Skip activities that are records of this dataset already
+    const recordPrefix = 'dpc:record-';
+    const knownIds = activities
+      .filter(activity => typeof activity.id === 'string' && activity.id.startsWith(recordPrefix))
+      .map(activity => activity.id.slice(recordPrefix.length));
+    const existing = knownIds.length > 0
+      ? await DB.ProvenanceRecord.findAll({ where: { datasetId, id: knownIds }, attributes: ['id'] })
+      : [];
+    const existingIds = new Set(existing.map(record => `${recordPrefix}${record.id}`));
+    
+    const records = [];
+    const skipped = [];
+    
+    for (const activity of activities) {
+      if (existingIds.has(activity.id)) {
+        skipped.push({ activityId: activity.id, reason: 'Record already exists' });
+        continue;
+      }
+      
+      const record = await addProvenanceRecord({
+        datasetId,
+        actionType: getImportedActionType(activity),
+        performedBy: options.importedBy,
+        description: String(activity.label || `Imported activity ${activity.id}`).slice(0, 500),
+        metadata: {
+          ...getImportedMetadata(activity),
+          imported: {
+            format,
+            activityId: activity.id,
+            startTime: activity.startTime,
+            agents: activity.agents,
+            used: activity.used,
+            generated: activity.generated,
+            informedBy: activity.informedBy
+          }
+        }
+      });
+      records.push(record);
+    }
+    
+    logger.info('Provenance imported', { 
+      datasetId, 
+      format, 
+      imported: records.length, 
+      skipped: skipped.length 
+    });
+    
+    return {
+      datasetId,
+      format,
+      imported: records.length,
+      records,
+      skipped
+    };
+  } catch (error) {
+    logger.error('Error importing provenance', { 
+      error: error.message, 
+      datasetId 
+    });
+    throw error;
+  }
+};
+
+/**
+ * Pick the record action type for an imported activity
+ * @param {Object} activity - Imported activity
+ * @returns {string} - Action type
+ */
+const getImportedActionType = (activity) => {
+  const declared = activity.attributes['dpc:actionType'];
+  if (IMPORTABLE_ACTION_TYPES.includes(declared)) {
+    return declared;
+  }
+  
+  if (activity.generated.length > 0) {
+    return activity.used.length > 0 ? 'derivation' : 'modification';
+  }
+  
+  return activity.used.length > 0 ? 'usage' : 'modification';
+};
+
+/**
+ * Recover the record metadata carried by an imported activity
+ * @param {Object} activity - Imported activity
+ * @returns {Object} - Metadata
+ */
+const getImportedMetadata = (activity) => {
+  const { 'dpc:metadata': serialized, ...attributes } = activity.attributes;
+  
+  let metadata = {};
+  if (typeof serialized === 'string') {
+    try {
+      metadata = JSON.parse(serialized);
+    } catch (error) {
+      metadata = { originalMetadata: serialized };
+    }
+  }
+  
+  return { ...metadata, attributes };
+};
+
 module.exports = {
   addProvenanceRecord,
   getProvenanceHistory,
   getProvenanceGraph,
-  verifyProvenanceChain
+  getDatasetLineage,
+  verifyProvenanceChain,
+  exportProvenance,
+  importProvenance
 };
\ No newline at end of file
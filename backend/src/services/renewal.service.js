@@ -0,0 +1,622 @@
+/**
+ * Service for renewing Filecoin storage deals before they expire
+ * A deal's term cannot be changed once it is published, so every renewal is a new deal:
+ * a follow-on with the same provider starting where the current deal ends, or a deal
+ * with another provider when the current one is no longer eligible.
+ */
+const filecoinService = require('./filecoin.service');
+const provenanceService = require('./provenance.service');
+const notificationService = require('./notification.service');
+const filecoinConfig = require('../config/filecoin');
+const DB = require('../models');
+const logger = require('../utils/logger');
+
+const EPOCHS_PER_DAY = 2880;
+
+// New deals start about a day out so the provider has time to seal the data
+const DEAL_START_DELAY = EPOCHS_PER_DAY;
+
+// Deal durations accepted by the storage market
+const MIN_DEAL_DURATION = 180 * EPOCHS_PER_DAY;
+const MAX_DEAL_DURATION = 540 * EPOCHS_PER_DAY;
+
+const MAX_LOOKAHEAD_DAYS = 90;
+const MAX_RENEWAL_ATTEMPTS = 3;
+
+const GIB = BigInt(1024 * 1024 * 1024);
+
+const RENEWAL_MODES = ['auto', 'approval', 'off'];
+
+/**
+ * Get the renewal policy of a dataset, or the configured defaults when it has none
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Object>} - Policy row or default policy
+ */
+const getPolicy = async (datasetId) => {
+  const policy = await DB.DealRenewalPolicy.findOne({ where: { datasetId } });
+  
+  return policy || {
+    datasetId,
+    mode: filecoinConfig.renewalMode,
+    renewalDuration: null,
+    lookaheadDays: null,
+    maxEpochPrice: null,
+    budget: null,
+    spent: '0'
+  };
+};
+
+/**
+ * Format a policy with its effective values
+ * @param {Object} policy - Policy row or default policy
+ * @returns {Object} - Policy information
+ */
+const formatPolicy = (policy) => ({
+  datasetId: policy.datasetId,
+  mode: policy.mode,
+  renewalDuration: policy.renewalDuration || filecoinConfig.dealDuration,
+  lookaheadDays: policy.lookaheadDays || filecoinConfig.renewalLookaheadDays,
+  maxEpochPrice: policy.maxEpochPrice,
+  budget: policy.budget,
+  spent: policy.spent,
+  remainingBudget: policy.budget ? (BigInt(policy.budget) - BigInt(policy.spent)).toString() : null
+});
+
+/**
+ * Format a renewal for API responses
+ * @param {Object} renewal - DealRenewal row
+ * @returns {Object} - Renewal information
+ */
+const formatRenewal = (renewal) => ({
+  id: renewal.id,
+  datasetId: renewal.datasetId,
+  dealId: renewal.dealId,
+  action: renewal.action,
+  status: renewal.status,
+  provider: renewal.provider,
+  startEpoch: renewal.startEpoch,
+  duration: renewal.duration,
+  estimatedCost: renewal.estimatedCost,
+  newDealId: renewal.newDealId,
+  reason: renewal.reason,
+  attempts: renewal.attempts,
+  decidedBy: renewal.decidedBy,
+  decidedAt: renewal.decidedAt,
+  completedAt: renewal.completedAt,
+  createdAt: renewal.createdAt
+});
+
+/**
+ * Estimate what a deal costs from a provider's ask
+ * @param {string} askPrice - attoFIL per GiB per epoch
+ * @param {number} pieceSize - Piece size in bytes
+ * @param {number} duration - Duration in epochs
+ * @returns {bigint} - Cost in attoFIL
+ */
+const estimateCost = (askPrice, pieceSize, duration) =>
+  BigInt(askPrice) * BigInt(pieceSize) * BigInt(duration) / GIB;
+
+/**
+ * Place a deal in the renewal schedule, as createRenewalPlan in filecoin/src/storage/optimize.js does
+ * @param {Object} deal - FilecoinDeal row
+ * @param {number} currentEpoch - Current chain height
+ * @param {number} lookaheadEpochs - Epochs before the end epoch that renewal is due
+ * @returns {Object} - Status ("expired", "renewal-due" or "scheduled") and the epoch to renew by or on
+ */
+const scheduleRenewal = (deal, currentEpoch, lookaheadEpochs) => {
+  const timeToExpiration = deal.endEpoch - currentEpoch;
+  
+  if (timeToExpiration <= 0) {
+    return { status: 'expired', timeToExpiration };
+  }
+  
+  if (timeToExpiration <= lookaheadEpochs) {
+    return {
+      status: 'renewal-due',
+      timeToExpiration,
+      renewBy: deal.endEpoch - Math.floor(lookaheadEpochs * 0.25)
+    };
+  }
+  
+  return { status: 'scheduled', timeToExpiration, renewOn: deal.endEpoch - lookaheadEpochs };
+};
+
+/**
+ * Decide how to renew a deal under a policy
+ * The current provider is kept when its ask is within the price limit; otherwise
+ * the cheapest provider the dataset does not use yet gets a new deal.
+ * @param {Object} deal - FilecoinDeal row nearing its end epoch
+ * @param {Object} policy - Renewal policy
+ * @param {number} currentEpoch - Current chain height
+ * @param {Array<Object>} providers - Available storage providers with their asks
+ * @param {Set<string>} usedMiners - Providers holding live replicas of the dataset
+ * @returns {Object} - Renewal plan, with a reason when the deal cannot be renewed
+ */
+const planRenewal = (deal, policy, currentEpoch, providers, usedMiners) => {
+  const duration = policy.renewalDuration || filecoinConfig.dealDuration;
+  const pieceSize = Number(deal.pieceSize || deal.size);
+  const eligible = (provider) =>
+    (!policy.maxEpochPrice || BigInt(provider.askPrice) <= BigInt(policy.maxEpochPrice)) &&
+    (!provider.maxPieceSize || Number(provider.maxPieceSize) >= pieceSize);
+  
+  let plan;
+  let provider = providers.find(candidate => candidate.id === deal.miner);
+  
+  if (provider && eligible(provider)) {
+    // A follow-on deal starting where the current one ends, so the two never overlap
+    plan = { action: 'renew', startEpoch: deal.endEpoch, duration };
+  } else {
+    [provider] = providers
+      .filter(candidate => !usedMiners.has(candidate.id) && eligible(candidate))
+      .sort((a, b) => (BigInt(a.askPrice) < BigInt(b.askPrice) ? -1 : BigInt(a.askPrice) > BigInt(b.askPrice) ? 1 : 0));
+    
+    if (!provider) {
+      return { reason: 'No storage provider is available within the renewal price limit' };
+    }
+    
+    plan = { action: 'redeal', startEpoch: currentEpoch + DEAL_START_DELAY, duration };
+  }
+  
+  const estimatedCost = estimateCost(provider.askPrice, pieceSize, plan.duration);
+  plan = { ...plan, provider: provider.id, region: provider.location, estimatedCost: estimatedCost.toString() };
+  
+  if (policy.budget && BigInt(policy.spent) + estimatedCost > BigInt(policy.budget)) {
+    return { ...plan, reason: 'Renewal would exceed the storage budget' };
+  }
+  
+  return plan;
+};
+
+/**
+ * Record a renewal outcome in the dataset's provenance
+ * Provenance failures are logged so they never undo a deal that was already made
+ * @param {Object} renewal - DealRenewal row
+ * @param {string} outcome - Outcome (requested, rejected, skipped, completed or failed)
+ * @param {string} description - Description of the outcome
+ */
+const recordOutcome = async (renewal, outcome, description) => {
+  try {
+    await provenanceService.addProvenanceRecord({
+      datasetId: renewal.datasetId,
+      actionType: 'storage_renewal',
+      performedBy: renewal.decidedBy || 'system',
+      description,
+      metadata: {
+        renewalId: renewal.id,
+        dealId: renewal.dealId,
+        outcome,
+        action: renewal.action,
+        provider: renewal.provider,
+        duration: renewal.duration,
+        estimatedCost: renewal.estimatedCost,
+        newDealId: renewal.newDealId,
+        reason: renewal.reason
+      }
+    });
+  } catch (error) {
+    logger.error('Error recording renewal provenance', { error: error.message, renewalId: renewal.id, outcome });
+  }
+};
+
+/**
+ * Tell a dataset's owner about a renewal
+ * @param {Object} dataset - Dataset
+ * @param {Object} renewal - DealRenewal row
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ */
+const notifyOwner = async (dataset, renewal, title, message) => {
+  try {
+    await notificationService.notify({
+      recipient: dataset.creator,
+      type: 'deal_renewal',
+      title,
+      message,
+      data: { renewalId: renewal.id, datasetId: dataset.id, dealId: renewal.dealId }
+    });
+  } catch (error) {
+    logger.error('Error notifying about renewal', { error: error.message, renewalId: renewal.id });
+  }
+};
+
+/**
+ * Make the deal of an approved renewal
+ * @param {Object} renewal - Approved or previously failed DealRenewal row
+ * @param {Object} deal - FilecoinDeal row being renewed
+ * @param {Object} dataset - Dataset
+ * @param {Object} policy - Renewal policy
+ * @param {number} currentEpoch - Current chain height
+ * @returns {Promise<Object>} - Updated renewal
+ */
+const executeRenewal = async (renewal, deal, dataset, policy, currentEpoch) => {
+  // A renewal approved late cannot start in the past
+  const startEpoch = Math.max(renewal.startEpoch, currentEpoch + DEAL_START_DELAY);
+  
+  let dealInfo;
+  try {
+    dealInfo = await filecoinService.createStorageDeal({
+      cid: dataset.cid,
+      size: dataset.fileSize,
+      pieceCid: deal.pieceCid || undefined,
+      pieceSize: deal.pieceSize ? Number(deal.pieceSize) : undefined,
+      minerId: renewal.provider,
+      startEpoch,
+      duration: renewal.duration
+    });
+  } catch (error) {
+    logger.error('Error making renewal deal', { error: error.message, renewalId: renewal.id });
+    
+    await renewal.update({ status: 'failed', attempts: renewal.attempts + 1, reason: error.message });
+    await recordOutcome(renewal, 'failed', 'Filecoin storage deal renewal failed');
+    return renewal;
+  }
+  
+  await DB.FilecoinDeal.create({
+    dealId: dealInfo.dealId,
+    datasetId: dataset.id,
+    cid: dataset.cid,
+    miner: dealInfo.provider,
+    region: dealInfo.provider === deal.miner
+      ? deal.region
+      : filecoinConfig.providerRegions[dealInfo.provider] || 'Unknown',
+    size: dataset.fileSize || 0,
+    startTime: dealInfo.startTime,
+    endTime: dealInfo.endTime,
+    startEpoch: dealInfo.startEpoch,
+    endEpoch: dealInfo.endEpoch,
+    duration: dealInfo.duration,
+    price: dealInfo.price,
+    status: 'proposed',
+    network: filecoinConfig.network,
+    transactionHash: dealInfo.transactionHash,
+    pieceCid: dealInfo.pieceCid,
+    pieceSize: dealInfo.pieceSize,
+    dealCid: dealInfo.dealCid,
+    replacesDealId: deal.dealId
+  });
+  
+  await renewal.update({
+    status: 'completed',
+    startEpoch,
+    newDealId: dealInfo.dealId,
+    attempts: renewal.attempts + 1,
+    reason: null,
+    completedAt: new Date()
+  });
+  
+  if (policy.update && renewal.estimatedCost) {
+    await policy.update({ spent: (BigInt(policy.spent) + BigInt(renewal.estimatedCost)).toString() });
+  }
+  
+  logger.info('Deal renewed', { renewalId: renewal.id, dealId: deal.dealId, newDealId: dealInfo.dealId });
+  await recordOutcome(renewal, 'completed', `Filecoin storage deal renewed (${renewal.action})`);
+  
+  return renewal;
+};
+
+/**
+ * Plan renewals for active deals nearing their end epoch and carry out the ones allowed to run
+ * Datasets in "auto" mode are renewed right away, "approval" datasets wait for their owner
+ * and "off" datasets are left alone.
+ * @returns {Promise<Object>} - Counts of renewal outcomes
+ */
+const processRenewals = async () => {
+  const currentEpoch = await filecoinService.getCurrentEpoch();
+  const summary = { due: 0, requested: 0, completed: 0, failed: 0, skipped: 0 };
+  
+  const deals = await DB.FilecoinDeal.findAll({
+    where: {
+      status: 'active',
+      endEpoch: {
+        [DB.Sequelize.Op.gt]: currentEpoch,
+        [DB.Sequelize.Op.lte]: currentEpoch + MAX_LOOKAHEAD_DAYS * EPOCHS_PER_DAY
+      }
+    },
+    order: [['endEpoch', 'ASC']]
+  });
+  
+  let providers = null;
+  
+  for (const deal of deals) {
+    try {
+      const policy = await getPolicy(deal.datasetId);
+      const lookahead = (policy.lookaheadDays || filecoinConfig.renewalLookaheadDays) * EPOCHS_PER_DAY;
+      
+      if (policy.mode === 'off' || scheduleRenewal(deal, currentEpoch, lookahead).status !== 'renewal-due') {
+        continue;
+      }
+      
+      // Replication may already have replaced the deal
+      const replacement = await DB.FilecoinDeal.findOne({ where: { replacesDealId: deal.dealId } });
+      if (replacement) {
+        continue;
+      }
+      
+      const existing = await DB.DealRenewal.findOne({ where: { dealId: deal.dealId } });
+      if (existing) {
+        const waiting = ['pending_approval', 'completed', 'rejected'].includes(existing.status);
+        const exhausted = existing.status === 'failed' && existing.attempts >= MAX_RENEWAL_ATTEMPTS;
+        // A skipped renewal is only reconsidered once the policy changes
+        const unchanged = existing.status === 'skipped' && !(policy.updatedAt > existing.updatedAt);
+        
+        if (waiting || exhausted || unchanged) {
+          continue;
+        }
+      }
+      
+      summary.due++;
+      const dataset = await DB.Dataset.findByPk(deal.datasetId);
+      
+      if (existing && ['approved', 'failed'].includes(existing.status)) {
+        const renewal = await executeRenewal(existing, deal, dataset, policy, currentEpoch);
+        summary[renewal.status]++;
+        continue;
+      }
+      
+      if (!providers) {
+        providers = await filecoinService.findStorageProviders();
+      }
+      
+      const liveDeals = await DB.FilecoinDeal.findAll({
+        where: { datasetId: deal.datasetId, status: ['proposed', 'active'] }
+      });
+      const plan = planRenewal(deal, policy, currentEpoch, providers, new Set(liveDeals.map(live => live.miner)));
+      
+      const fields = {
+        datasetId: deal.datasetId,
+        dealId: deal.dealId,
+        action: plan.action || null,
+        provider: plan.provider || null,
+        startEpoch: plan.startEpoch || null,
+        duration: plan.duration || null,
+        estimatedCost: plan.estimatedCost || null,
+        reason: plan.reason || null,
+        decidedBy: null,
+        decidedAt: null
+      };
+      
+      if (plan.reason) {
+        fields.status = 'skipped';
+      } else if (policy.mode === 'approval') {
+        fields.status = 'pending_approval';
+      } else {
+        Object.assign(fields, { status: 'approved', decidedBy: 'system', decidedAt: new Date() });
+      }
+      
+      const renewal = existing ? await existing.update(fields) : await DB.DealRenewal.create(fields);
+      
+      if (renewal.status === 'skipped') {
+        summary.skipped++;
+        await recordOutcome(renewal, 'skipped', 'Filecoin storage deal renewal skipped');
+        await notifyOwner(dataset, renewal, 'Storage deal cannot be renewed',
+          `Deal ${deal.dealId} of "${dataset.name}" expires soon and was not renewed: ${plan.reason}.`);
+      } else if (renewal.status === 'pending_approval') {
+        summary.requested++;
+        await recordOutcome(renewal, 'requested', 'Filecoin storage deal renewal awaiting approval');
+        await notifyOwner(dataset, renewal, 'Storage deal renewal needs approval',
+          `Deal ${deal.dealId} of "${dataset.name}" expires soon. Approve the planned ${plan.action} with ${plan.provider} to keep it stored.`);
+      } else {
+        const executed = await executeRenewal(renewal, deal, dataset, policy, currentEpoch);
+        summary[executed.status]++;
+      }
+    } catch (error) {
+      logger.error('Error processing deal renewal', { error: error.message, dealId: deal.dealId });
+    }
+  }
+  
+  return summary;
+};
+
+/**
+ * Load a renewal and check that the requester owns its dataset
+ * @param {string} id - Renewal ID
+ * @param {string} requester - Requester's wallet address
+ * @returns {Promise<Object>} - Renewal and dataset
+ */
+const loadOwnedRenewal = async (id, requester) => {
+  const renewal = await DB.DealRenewal.findByPk(id);
+  if (!renewal) {
+    throw new Error(`Renewal not found: ${id}`);
+  }
+  
+  const dataset = await DB.Dataset.findByPk(renewal.datasetId);
+  if (!dataset || dataset.creator.toLowerCase() !== requester.toLowerCase()) {
+    throw new Error('Only the dataset owner can decide on a renewal');
+  }
+  
+  if (renewal.status !== 'pending_approval') {
+    throw new Error('Renewal is not awaiting approval');
+  }
+  
+  return { renewal, dataset };
+};
+
+/**
+ * Approve a renewal and make its deal
+ * @param {string} id - Renewal ID
+ * @param {string} requester - Owner's wallet address
+ * @returns {Promise<Object>} - Renewal after the deal was attempted
+ */
+const approveRenewal = async (id, requester) => {
+  try {
+    const { renewal, dataset } = await loadOwnedRenewal(id, requester);
+    
+    // The deal may have been removed while the renewal waited
+    const deal = await DB.FilecoinDeal.findOne({ where: { dealId: renewal.dealId } });
+    if (!deal) {
+      await renewal.update({ status: 'skipped', reason: 'The deal being renewed no longer exists' });
+      await recordOutcome(renewal, 'skipped', 'Filecoin storage deal renewal skipped');
+      throw new Error(`Deal ${renewal.dealId} being renewed no longer exists`);
+    }
+    
+    await renewal.update({ status: 'approved', decidedBy: requester, decidedAt: new Date() });
+    
+    const policy = await getPolicy(renewal.datasetId);
+    const currentEpoch = await filecoinService.getCurrentEpoch();
+    
+    await executeRenewal(renewal, deal, dataset, policy, currentEpoch);
+    
+    return formatRenewal(renewal);
+  } catch (error) {
+    logger.error('Error approving renewal', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Reject a renewal; the deal runs until its end epoch
+ * @param {string} id - Renewal ID
+ * @param {string} requester - Owner's wallet address
+ * @param {string} [reason] - Why the renewal was rejected
+ * @returns {Promise<Object>} - Rejected renewal
+ */
+const rejectRenewal = async (id, requester, reason) => {
+  try {
+    const { renewal } = await loadOwnedRenewal(id, requester);
+    
+    await renewal.update({
+      status: 'rejected',
+      reason: reason || 'Rejected by the dataset owner',
+      decidedBy: requester,
+      decidedAt: new Date()
+    });
+    await recordOutcome(renewal, 'rejected', 'Filecoin storage deal renewal rejected');
+    
+    return formatRenewal(renewal);
+  } catch (error) {
+    logger.error('Error rejecting renewal', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Load a dataset and check that the requester owns it
+ * @param {string} datasetId - Dataset ID
+ * @param {string} requester - Requester's wallet address
+ * @returns {Promise<Object>} - Dataset
+ */
+const loadOwnedDataset = async (datasetId, requester) => {
+  const dataset = await DB.Dataset.findByPk(datasetId);
+  if (!dataset) {
+    throw new Error(`Dataset not found: ${datasetId}`);
+  }
+  
+  if (dataset.creator.toLowerCase() !== requester.toLowerCase()) {
+    throw new Error('Only the dataset owner can manage deal renewals');
+  }
+  
+  return dataset;
+};
+
+/**
+ * Get the renewal policy and renewal history of a dataset
+ * @param {string} datasetId - Dataset ID
+ * @param {string} requester - Owner's wallet address
+ * @returns {Promise<Object>} - Policy and renewals, newest first
+ */
+const getRenewals = async (datasetId, requester) => {
+  try {
+    await loadOwnedDataset(datasetId, requester);
+    
+    const policy = await getPolicy(datasetId);
+    const renewals = await DB.DealRenewal.findAll({
+      where: { datasetId },
+      order: [['createdAt', 'DESC']]
+    });
+    
+    return {
+      policy: formatPolicy(policy),
+      renewals: renewals.map(formatRenewal)
+    };
+  } catch (error) {
+    logger.error('Error getting renewals', { error: error.message, datasetId });
+    throw error;
+  }
+};
+
+/**
+ * Validate renewal policy changes
+ * @param {Object} changes - Policy fields to change
+ * @returns {Object} - Validated changes
+ */
+const validatePolicy = (changes) => {
+  const validated = {};
+  
+  if (changes.mode !== undefined) {
+    if (!RENEWAL_MODES.includes(changes.mode)) {
+      throw new Error(`Invalid renewal mode: ${changes.mode}`);
+    }
+    validated.mode = changes.mode;
+  }
+  
+  if (changes.renewalDuration !== undefined && changes.renewalDuration !== null) {
+    const duration = Number(changes.renewalDuration);
+    if (!Number.isInteger(duration) || duration < MIN_DEAL_DURATION || duration > MAX_DEAL_DURATION) {
+      throw new Error(`Invalid renewal duration: must be between ${MIN_DEAL_DURATION} and ${MAX_DEAL_DURATION} epochs`);
+    }
+    validated.renewalDuration = duration;
+  } else if (changes.renewalDuration === null) {
+    validated.renewalDuration = null;
+  }
+  
+  if (changes.lookaheadDays !== undefined && changes.lookaheadDays !== null) {
+    const days = Number(changes.lookaheadDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_LOOKAHEAD_DAYS) {
+      throw new Error(`Invalid lookahead: must be between 1 and ${MAX_LOOKAHEAD_DAYS} days`);
+    }
+    validated.lookaheadDays = days;
+  } else if (changes.lookaheadDays === null) {
+    validated.lookaheadDays = null;
+  }
+  
+  // Amounts are attoFIL integer strings
+  for (const field of ['maxEpochPrice', 'budget']) {
+    if (changes[field] === undefined) {
+      continue;
+    }
+    if (changes[field] !== null && !/^\d+$/.test(String(changes[field]))) {
+      throw new Error(`Invalid ${field}: must be an amount in attoFIL`);
+    }
+    validated[field] = changes[field] === null ? null : String(changes[field]);
+  }
+  
+  return validated;
+};
+
+/**
+ * Create or change the renewal policy of a dataset
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} changes - Policy fields to change
+ * @param {string} [changes.mode] - "auto", "approval" or "off"
+ * @param {number|null} [changes.renewalDuration] - Renewal duration in epochs
+ * @param {number|null} [changes.lookaheadDays] - Days before the end epoch to renew
+ * @param {string|null} [changes.maxEpochPrice] - Highest ask to accept, in attoFIL per GiB per epoch
+ * @param {string|null} [changes.budget] - Total attoFIL renewals may spend
+ * @param {string} requester - Owner's wallet address
+ * @returns {Promise<Object>} - Updated policy
+ */
+const setRenewalPolicy = async (datasetId, changes, requester) => {
+  try {
+    const validated = validatePolicy(changes);
+    await loadOwnedDataset(datasetId, requester);
+    
+    const existing = await DB.DealRenewalPolicy.findOne({ where: { datasetId } });
+    const policy = existing
+      ? await existing.update(validated)
+      : await DB.DealRenewalPolicy.create({ mode: filecoinConfig.renewalMode, ...validated, datasetId });
+    
+    logger.info('Deal renewal policy updated', { datasetId, mode: policy.mode });
+    return formatPolicy(policy);
+  } catch (error) {
+    logger.error('Error setting renewal policy', { error: error.message, datasetId });
+    throw error;
+  }
+};
+
+module.exports = {
+  processRenewals,
+  approveRenewal,
+  rejectRenewal,
+  getRenewals,
+  setRenewalPolicy
+};
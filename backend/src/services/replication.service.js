@@ -0,0 +1,448 @@
+/**
+ * Service for keeping datasets replicated across Filecoin storage providers
+ */
+const filecoinService = require('./filecoin.service');
+const provenanceService = require('./provenance.service');
+const filecoinConfig = require('../config/filecoin');
+const DB = require('../models');
+const logger = require('../utils/logger');
+
+// Deals that count towards the replica target
+const LIVE_STATUSES = ['proposed', 'active'];
+
+// Deal states reported by the chain or Lotus that end a replica
+const FAILED_DEAL_STATES = [
+  'failed',
+  'terminated',
+  'slashed',
+  'StorageDealError',
+  'StorageDealFailing',
+  'StorageDealRejected',
+  'StorageDealSlashed'
+];
+const EXPIRED_DEAL_STATES = ['expired', 'StorageDealExpired'];
+
+/**
+ * Get the number of replicas a dataset should have
+ * @param {Object} dataset - Dataset
+ * @returns {number} - Replica target
+ */
+const getReplicationTarget = (dataset) => dataset.replicationTarget || filecoinConfig.replicationFactor;
+
+/**
+ * Format a deal row for API responses
+ * @param {Object} deal - FilecoinDeal row
+ * @returns {Object} - Replica information
+ */
+const formatReplica = (deal) => ({
+  dealId: deal.dealId,
+  miner: deal.miner,
+  region: deal.region,
+  status: deal.status,
+  pieceCid: deal.pieceCid,
+  startTime: deal.startTime,
+  endTime: deal.endTime,
+  replacesDealId: deal.replacesDealId,
+  failureReason: deal.failureReason,
+  lastCheckedAt: deal.lastCheckedAt
+});
+
+/**
+ * Summarize the replica health of a dataset
+ * @param {Object} dataset - Dataset
+ * @param {Array<Object>} deals - FilecoinDeal rows of the dataset
+ * @returns {Object} - Replica health
+ */
+const summarizeReplicas = (dataset, deals) => {
+  const target = getReplicationTarget(dataset);
+  const count = (status) => deals.filter(deal => deal.status === status).length;
+  const active = count('active');
+  const pending = count('proposed');
+  const live = deals.filter(deal => LIVE_STATUSES.includes(deal.status));
+  
+  let health = 'unreplicated';
+  if (active >= target) {
+    health = 'healthy';
+  } else if (live.length >= target) {
+    health = 'replicating';
+  } else if (live.length > 0) {
+    health = 'degraded';
+  }
+  
+  return {
+    datasetId: dataset.id,
+    target,
+    active,
+    pending,
+    failed: count('error'),
+    expired: count('expired'),
+    providers: [...new Set(live.map(deal => deal.miner))],
+    regions: [...new Set(live.map(deal => deal.region))],
+    health,
+    replicas: deals.map(formatReplica)
+  };
+};
+
+/**
+ * Pick providers for new replicas
+ * Providers already used by the dataset are skipped, and providers in regions
+ * without a replica are preferred over cheaper ones in covered regions.
+ * @param {Object} dataset - Dataset
+ * @param {number} count - Number of providers needed
+ * @param {Set<string>} usedMiners - Providers that hold or held a replica
+ * @param {Set<string>} coveredRegions - Regions that already hold a live replica
+ * @returns {Promise<Array<Object>>} - Selected providers, cheapest first within each pass
+ */
+const selectProviders = async (dataset, count, usedMiners, coveredRegions) => {
+  const candidates = (await filecoinService.findStorageProviders({ minFreeSpace: dataset.fileSize }))
+    .filter(provider => !usedMiners.has(provider.id));
+  
+  const regions = new Set(coveredRegions);
+  const selected = [];
+  
+  while (selected.length < count && candidates.length > 0) {
+    const index = Math.max(0, candidates.findIndex(provider => !regions.has(provider.location)));
+    const [provider] = candidates.splice(index, 1);
+    
+    selected.push(provider);
+    regions.add(provider.location);
+  }
+  
+  return selected;
+};
+
+/**
+ * Record a deal made before replicas were tracked
+ * Datasets created with a single deal only have Dataset.dealId
+ * @param {Object} dataset - Dataset
+ * @returns {Promise<Object>} - Created FilecoinDeal row
+ */
+const adoptLegacyDeal = async (dataset) => {
+  let provider = 'unknown';
+  let pieceCid = null;
+  let endEpoch = null;
+  
+  try {
+    const dealStatus = await filecoinService.checkDealStatus(dataset.dealId);
+    provider = dealStatus.provider || provider;
+    pieceCid = dealStatus.pieceCid || null;
+    endEpoch = dealStatus.expiration || null;
+  } catch (error) {
+    logger.warn('Could not look up legacy deal', { error: error.message, dealId: dataset.dealId });
+  }
+  
+  return DB.FilecoinDeal.create({
+    dealId: dataset.dealId,
+    datasetId: dataset.id,
+    cid: dataset.cid,
+    miner: provider,
+    region: filecoinConfig.providerRegions[provider] || 'Unknown',
+    size: dataset.fileSize || 0,
+    startTime: dataset.createdAt,
+    duration: filecoinConfig.dealDuration,
+    price: '0',
+    status: dataset.dealConfirmed ? 'active' : 'proposed',
+    network: filecoinConfig.network,
+    pieceCid,
+    endEpoch
+  });
+};
+
+/**
+ * Load a dataset and its deals
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Object>} - Dataset and its FilecoinDeal rows, oldest first
+ */
+const loadReplicas = async (datasetId) => {
+  const dataset = await DB.Dataset.findByPk(datasetId);
+  if (!dataset) {
+    throw new Error(`Dataset not found: ${datasetId}`);
+  }
+  
+  const deals = await DB.FilecoinDeal.findAll({
+    where: { datasetId },
+    order: [['createdAt', 'ASC']]
+  });
+  
+  if (dataset.dealId && !deals.some(deal => deal.dealId === dataset.dealId)) {
+    deals.unshift(await adoptLegacyDeal(dataset));
+  }
+  
+  return { dataset, deals };
+};
+
+/**
+ * Get the replica health of a dataset
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Object>} - Replica health
+ */
+const getReplicaHealth = async (datasetId) => {
+  try {
+    const { dataset, deals } = await loadReplicas(datasetId);
+    return summarizeReplicas(dataset, deals);
+  } catch (error) {
+    logger.error('Error getting replica health', { error: error.message, datasetId });
+    throw error;
+  }
+};
+
+/**
+ * Get the replica health of every dataset of a creator
+ * @param {string} creator - Creator's wallet address
+ * @returns {Promise<Array<Object>>} - Replica health per dataset
+ */
+const getCreatorReplicaHealth = async (creator) => {
+  try {
+    const datasets = await DB.Dataset.findAll({
+      where: { creator },
+      include: [{ model: DB.FilecoinDeal }],
+      order: [['createdAt', 'DESC']]
+    });
+    
+    return datasets.map(dataset => ({
+      ...summarizeReplicas(dataset, dataset.FilecoinDeals || []),
+      name: dataset.name
+    }));
+  } catch (error) {
+    logger.error('Error getting creator replica health', { error: error.message, creator });
+    throw error;
+  }
+};
+
+/**
+ * Make deals until a dataset has as many live replicas as its target
+ * Failed and expired replicas are replaced first, on providers the dataset has not used
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Object>} - Replica health after the new deals
+ */
+const ensureReplicas = async (datasetId) => {
+  try {
+    const { dataset, deals } = await loadReplicas(datasetId);
+    
+    if (!dataset.cid) {
+      throw new Error('Dataset has no stored content to replicate');
+    }
+    
+    const live = deals.filter(deal => LIVE_STATUSES.includes(deal.status));
+    const missing = getReplicationTarget(dataset) - live.length;
+    
+    if (missing <= 0) {
+      return summarizeReplicas(dataset, deals);
+    }
+    
+    const providers = await selectProviders(
+      dataset,
+      missing,
+      new Set(deals.map(deal => deal.miner)),
+      new Set(live.map(deal => deal.region))
+    );
+    
+    if (providers.length < missing) {
+      logger.warn('Not enough storage providers to reach the replica target', {
+        datasetId,
+        missing,
+        available: providers.length
+      });
+    }
+    
+    // Every replica stores the same piece, so CommP is only computed for the first deal
+    const piece = deals.find(deal => deal.pieceCid && deal.pieceSize);
+    const unreplaced = deals.filter(deal =>
+      !LIVE_STATUSES.includes(deal.status) &&
+      !deals.some(other => other.replacesDealId === deal.dealId)
+    );
+    
+    for (const provider of providers) {
+      try {
+        const dealInfo = await filecoinService.createStorageDeal({
+          cid: dataset.cid,
+          size: dataset.fileSize,
+          pieceCid: piece ? piece.pieceCid : undefined,
+          pieceSize: piece ? Number(piece.pieceSize) : undefined,
+          minerId: provider.id
+        });
+        
+        const replaced = unreplaced.shift();
+        
+        const deal = await DB.FilecoinDeal.create({
+          dealId: dealInfo.dealId,
+          datasetId: dataset.id,
+          cid: dataset.cid,
+          miner: dealInfo.provider,
+          region: provider.location || 'Unknown',
+          size: dataset.fileSize || 0,
+          startTime: dealInfo.startTime,
+          endTime: dealInfo.endTime,
+          startEpoch: dealInfo.startEpoch,
+          endEpoch: dealInfo.endEpoch,
+          duration: dealInfo.duration,
+          price: dealInfo.price,
+          status: 'proposed',
+          network: filecoinConfig.network,
+          transactionHash: dealInfo.transactionHash,
+          pieceCid: dealInfo.pieceCid,
+          pieceSize: dealInfo.pieceSize,
+          dealCid: dealInfo.dealCid,
+          replacesDealId: replaced ? replaced.dealId : null
+        });
+        deals.push(deal);
+        
+        logger.info('Replica deal created', {
+          datasetId,
+          dealId: deal.dealId,
+          miner: deal.miner,
+          replacesDealId: deal.replacesDealId
+        });
+      } catch (error) {
+        logger.error('Error creating replica deal', { error: error.message, datasetId, miner: provider.id });
+      }
+    }
+    
+    // Datasets keep pointing at one deal for older clients
+    if (!dataset.dealId && deals.length > 0) {
+      await dataset.update({ dealId: deals[0].dealId });
+    }
+    
+    return summarizeReplicas(dataset, deals);
+  } catch (error) {
+    logger.error('Error ensuring replicas', { error: error.message, datasetId });
+    throw error;
+  }
+};
+
+/**
+ * Refresh the status of a dataset's live replicas, then replace the ones that ended
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Object>} - Replica health and the deals confirmed by this check
+ */
+const checkReplicas = async (datasetId) => {
+  try {
+    const { dataset, deals } = await loadReplicas(datasetId);
+    let confirmed = 0;
+    
+    for (const deal of deals.filter(deal => LIVE_STATUSES.includes(deal.status))) {
+      try {
+        const dealStatus = await filecoinService.checkDealStatus(deal.dealId);
+        const ended = deal.endTime && new Date(deal.endTime) <= new Date();
+        
+        if (ended || EXPIRED_DEAL_STATES.includes(dealStatus.status)) {
+          await deal.update({ status: 'expired', lastCheckedAt: new Date() });
+          logger.info('Replica deal expired', { datasetId, dealId: deal.dealId });
+        } else if (dealStatus.active) {
+          const wasPending = deal.status === 'proposed';
+          await deal.update({ status: 'active', lastCheckedAt: new Date() });
+          
+          if (wasPending) {
+            confirmed++;
+            await provenanceService.addProvenanceRecord({
+              datasetId,
+              actionType: 'storage_confirmed',
+              performedBy: 'system',
+              description: 'Filecoin storage deal confirmed',
+              metadata: { dealId: deal.dealId, provider: deal.miner }
+            });
+          }
+        } else if (FAILED_DEAL_STATES.includes(dealStatus.status)) {
+          await deal.update({
+            status: 'error',
+            failureReason: dealStatus.message || dealStatus.status,
+            lastCheckedAt: new Date()
+          });
+          
+          logger.warn('Replica deal failed', { datasetId, dealId: deal.dealId, status: dealStatus.status });
+          await provenanceService.addProvenanceRecord({
+            datasetId,
+            actionType: 'storage_failed',
+            performedBy: 'system',
+            description: 'Filecoin storage deal failed',
+            metadata: { dealId: deal.dealId, provider: deal.miner, status: dealStatus.status, message: dealStatus.message }
+          });
+        } else {
+          await deal.update({ lastCheckedAt: new Date() });
+        }
+      } catch (error) {
+        logger.error('Error checking replica deal', { error: error.message, datasetId, dealId: deal.dealId });
+      }
+    }
+    
+    const dealConfirmed = deals.some(deal => deal.status === 'active');
+    if (dataset.dealConfirmed !== dealConfirmed) {
+      await dataset.update({ dealConfirmed });
+    }
+    
+    const health = await ensureReplicas(datasetId);
+    return { ...health, confirmed };
+  } catch (error) {
+    logger.error('Error checking replicas', { error: error.message, datasetId });
+    throw error;
+  }
+};
+
+/**
+ * Change the replica target of a dataset and make the deals it needs
+ * Lowering the target leaves existing deals to run until they expire
+ * @param {string} datasetId - Dataset ID
+ * @param {number} target - Replica target
+ * @param {string} requester - Wallet address of the requester
+ * @returns {Promise<Object>} - Replica health
+ */
+const setReplicationTarget = async (datasetId, target, requester) => {
+  try {
+    if (!Number.isInteger(target) || target < 1 || target > filecoinConfig.maxReplicationFactor) {
+      throw new Error(`Invalid replica target: must be between 1 and ${filecoinConfig.maxReplicationFactor}`);
+    }
+    
+    const dataset = await DB.Dataset.findByPk(datasetId);
+    if (!dataset) {
+      throw new Error(`Dataset not found: ${datasetId}`);
+    }
+    
+    if (dataset.creator.toLowerCase() !== requester.toLowerCase()) {
+      throw new Error('Only the dataset creator can change the replica target');
+    }
+    
+    await dataset.update({ replicationTarget: target });
+    
+    return ensureReplicas(datasetId);
+  } catch (error) {
+    logger.error('Error setting replica target', { error: error.message, datasetId });
+    throw error;
+  }
+};
+
+/**
+ * Check the replicas of every stored dataset
+ * @returns {Promise<Object>} - Counts of checked datasets, confirmed deals and datasets below target
+ */
+const monitorReplication = async () => {
+  const datasets = await DB.Dataset.findAll({
+    where: { cid: { [DB.Sequelize.Op.ne]: null } },
+    attributes: ['id']
+  });
+  
+  let confirmed = 0;
+  let degraded = 0;
+  
+  for (const { id } of datasets) {
+    try {
+      const health = await checkReplicas(id);
+      confirmed += health.confirmed;
+      if (health.health === 'degraded' || health.health === 'unreplicated') {
+        degraded++;
+      }
+    } catch (error) {
+      logger.error('Error monitoring dataset replicas', { error: error.message, datasetId: id });
+    }
+  }
+  
+  return { checked: datasets.length, confirmed, degraded };
+};
+
+module.exports = {
+  getReplicaHealth,
+  getCreatorReplicaHealth,
+  ensureReplicas,
+  checkReplicas,
+  setReplicationTarget,
+  monitorReplication
+};
@@ -0,0 +1,941 @@
+/**
+ * Royalty ledger service
+ * Records contributor royalties as wei credits and debits, and reconciles them with the RoyaltyDistributor contract
+ */
+const { v4: uuidv4 } = require('uuid');
+const contractsService = require('./contracts.service');
+const logger = require('../utils/logger');
+const DB = require('../models');
+
+// Contributor shares are percentages with up to two decimals, so they are split in basis points
+const SHARE_SCALE = 100;
+
+// The marketplace contract's platform fee is in basis points
+const FEE_SCALE = 10000n;
+
+/**
+ * Parse an amount in wei
+ * @param {string|number|bigint} amount - Amount in wei
+ * @returns {bigint} - Amount
+ */
+const toWei = (amount) => {
+  if (typeof amount === 'bigint') {
+    return amount;
+  }
+  if (!/^\d+$/.test(String(amount))) {
+    throw new Error(`Invalid wei amount: ${amount}`);
+  }
+  return BigInt(amount);
+};
+
+/**
+ * Split an amount in proportion to integer weights
+ * Every wei is assigned: the rounding remainder goes to the largest fractional parts, ties in key order
+ * @param {bigint} amount - Amount in wei
+ * @param {Array<Object>} weights - Weights, each with a key and a bigint weight
+ * @returns {Map<string, bigint>} - Amount per key
+ */
+const splitAmount = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, { weight }) => sum + weight, 0n);
+  const parts = new Map();
+  
+  if (totalWeight === 0n) {
+    return parts;
+  }
+  
+  const fractions = [];
+  let assigned = 0n;
+  for (const { key, weight } of weights) {
+    const part = (amount * weight) / totalWeight;
+    parts.set(key, part);
+    fractions.push({ key, fraction: (amount * weight) % totalWeight });
+    assigned += part;
+  }
+  
+  fractions.sort((a, b) => {
+    if (a.fraction !== b.fraction) {
+      return a.fraction > b.fraction ? -1 : 1;
+    }
+    return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+  });
+  
+  for (let i = 0; assigned < amount; i++, assigned++) {
+    const { key } = fractions[i % fractions.length];
+    parts.set(key, parts.get(key) + 1n);
+  }
+  
+  return parts;
+};
+
+/**
+ * Get the start and end of a statement period
+ * @param {Object} options - Period options
+ * @param {string} [options.period] - Calendar month (YYYY-MM)
+ * @param {Date|string} [options.from] - Period start, inclusive
+ * @param {Date|string} [options.to] - Period end, exclusive
+ * @returns {Object} - Period start and end
+ */
+const getPeriodRange = (options) => {
+  if (options.period) {
+    const match = /^(\d{4})-(\d{2})$/.exec(options.period);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new Error(`Invalid statement period: ${options.period}`);
+    }
+    const year = Number(match[1]);
+    const month = Number(match[2]) - 1;
+    return {
+      start: new Date(Date.UTC(year, month, 1)),
+      end: new Date(Date.UTC(year, month + 1, 1))
+    };
+  }
+  
+  const end = options.to ? new Date(options.to) : new Date();
+  const start = options.from
+    ? new Date(options.from)
+    : new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 1));
+  
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+    throw new Error('Invalid statement period: start must be before end');
+  }
+  
+  return { start, end };
+};
+
+/**
+ * Format a ledger entry for API responses
+ * @param {Object} entry - Ledger entry
+ * @returns {Object} - Formatted entry
+ */
+const formatEntry = (entry) => ({
+  id: entry.id,
+  datasetId: entry.datasetId,
+  account: entry.account,
+  entryType: entry.entryType,
+  amount: entry.amount,
+  source: entry.source,
+  sourceId: entry.sourceId,
+  transactionHash: entry.transactionHash,
+  description: entry.description,
+  occurredAt: entry.occurredAt,
+  metadata: entry.metadata
+});
+
+/**
+ * Sum ledger entries into credited, debited and balance totals
+ * @param {Array<Object>} entries - Ledger entries
+ * @returns {Object} - Totals as bigints
+ */
+const sumEntries = (entries) => {
+  let credited = 0n;
+  let debited = 0n;
+  for (const entry of entries) {
+    if (entry.entryType === 'credit') {
+      credited += toWei(entry.amount);
+    } else {
+      debited += toWei(entry.amount);
+    }
+  }
+  return { credited, debited, balance: credited - debited };
+};
+
+/**
+ * Write ledger entries, skipping any that were already recorded for the same source
+ * @param {Array<Object>} entries - Entries to write
+ * @param {Object} [transaction] - Transaction to write in; a new one by default
+ * @returns {Promise<Object>} - Written entries and the number newly created
+ */
+const recordEntries = async (entries, transaction) => {
+  if (!transaction) {
+    return DB.sequelize.transaction(newTransaction => recordEntries(entries, newTransaction));
+  }
+  
+  const recorded = [];
+  let created = 0;
+  
+  for (const entry of entries) {
+    const [row, isNew] = await DB.RoyaltyLedgerEntry.findOrCreate({
+      where: {
+        source: entry.source,
+        sourceId: entry.sourceId,
+        account: entry.account,
+        entryType: entry.entryType
+      },
+      defaults: { id: uuidv4(), ...entry },
+      transaction
+    });
+    
+    recorded.push(formatEntry(row));
+    if (isNew) {
+      created++;
+    }
+  }
+  
+  return { entries: recorded, created };
+};
+
+/**
+ * Credit revenue of a dataset to its contributors in proportion to their shares
+ * @param {Object} revenue - Revenue details
+ * @returns {Promise<Object>} - Written entries and the number newly created
+ */
+const creditByShare = async (revenue) => {
+  const contributors = await DB.Contributor.findAll({
+    where: { datasetId: revenue.datasetId }
+  });
+  
+  if (contributors.length === 0) {
+    throw new Error(`No contributors found for dataset: ${revenue.datasetId}`);
+  }
+  
+  const amount = toWei(revenue.amount);
+  const parts = splitAmount(amount, contributors.map(contributor => ({
+    key: contributor.address.toLowerCase(),
+    weight: BigInt(Math.round(contributor.share * SHARE_SCALE))
+  })));
+  
+  const entries = contributors
+    .filter(contributor => parts.get(contributor.address.toLowerCase()) > 0n)
+    .map(contributor => ({
+      datasetId: revenue.datasetId,
+      account: contributor.address.toLowerCase(),
+      entryType: 'credit',
+      amount: parts.get(contributor.address.toLowerCase()).toString(),
+      source: revenue.source,
+      sourceId: revenue.sourceId,
+      transactionHash: revenue.transactionHash || null,
+      description: revenue.description,
+      occurredAt: revenue.occurredAt || new Date(),
+      metadata: {
+        ...revenue.metadata,
+        grossAmount: amount.toString(),
+        share: contributor.share
+      }
+    }));
+  
+  return recordEntries(entries);
+};
+
+/**
+ * Compute the platform fee the marketplace contract keeps of a price, rounding down as it does
+ * @param {string} price - Price paid in wei
+ * @returns {Promise<string>} - Fee in wei
+ */
+const getPlatformFee = async (price) => {
+  const feePercentage = await contractsService.getPlatformFeePercentage();
+  return ((toWei(price) * BigInt(feePercentage)) / FEE_SCALE).toString();
+};
+
+/**
+ * Credit the revenue of a marketplace purchase to the dataset's contributors
+ * Only what the contract forwards to the contributors is credited: the price less the platform fee
+ * @param {Object} purchase - Purchase row, confirmed on chain
+ * @returns {Promise<Object>} - Credit entries and the number newly created
+ */
+const recordPurchaseRevenue = async (purchase) => {
+  try {
+    if (!purchase.confirmedAt) {
+      throw new Error(`Purchase ${purchase.id} is not confirmed on chain yet`);
+    }
+    
+    // Purchases recorded while the fee could not be read get it now
+    if (purchase.platformFee === null || purchase.platformFee === undefined) {
+      await purchase.update({ platformFee: await getPlatformFee(purchase.price) });
+    }
+    
+    const price = toWei(purchase.price);
+    const platformFee = toWei(purchase.platformFee);
+    if (platformFee > price) {
+      throw new Error(`Platform fee exceeds the price of purchase ${purchase.id}`);
+    }
+    
+    const result = await creditByShare({
+      datasetId: purchase.datasetId,
+      amount: price - platformFee,
+      source: 'purchase',
+      sourceId: purchase.id,
+      transactionHash: purchase.transactionHash,
+      description: 'Marketplace purchase revenue',
+      occurredAt: purchase.createdAt,
+      metadata: {
+        listingId: purchase.listingId,
+        buyer: purchase.buyer,
+        price: purchase.price,
+        platformFee: purchase.platformFee
+      }
+    });
+    
+    if (result.created > 0) {
+      logger.info('Purchase revenue credited', {
+        purchaseId: purchase.id,
+        datasetId: purchase.datasetId,
+        amount: (price - platformFee).toString()
+      });
+    }
+    
+    return result;
+  } catch (error) {
+    logger.error('Error crediting purchase revenue', {
+      error: error.message,
+      purchaseId: purchase.id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Remove the revenue credited for a purchase that was dropped by a chain reorg
+ * @param {Object} purchase - Purchase row
+ * @returns {Promise<number>} - Number of entries removed
+ */
+const revertPurchaseRevenue = async (purchase) => {
+  try {
+    return await DB.RoyaltyLedgerEntry.destroy({
+      where: { source: 'purchase', sourceId: purchase.id }
+    });
+  } catch (error) {
+    logger.error('Error reverting purchase revenue', {
+      error: error.message,
+      purchaseId: purchase.id
+    });
+    throw error;
+  }
+};
+
+/**
+ * Credit a royalty payment made outside the marketplace to the dataset's contributors
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} payment - Payment details
+ * @param {string} payment.paymentId - Payment transaction ID
+ * @param {string} payment.amount - Amount in wei
+ * @param {string} payment.paymentType - Payment type (e.g., "eth", "fil")
+ * @param {string} payment.paidBy - Address of the payer
+ * @returns {Promise<Object>} - Credit entries and the number newly created
+ */
+const recordPayment = async (datasetId, payment) => {
+  try {
+    return await creditByShare({
+      datasetId,
+      amount: payment.amount,
+      source: 'payment',
+      sourceId: payment.paymentId,
+      transactionHash: payment.paymentId,
+      description: 'Royalty payment',
+      metadata: {
+        paymentType: payment.paymentType,
+        paidBy: payment.paidBy
+      }
+    });
+  } catch (error) {
+    logger.error('Error crediting royalty payment', {
+      error: error.message,
+      datasetId,
+      paymentId: payment.paymentId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find the usage recorded in a period
+ * @param {Object} where - Usage filter, by dataset or model
+ * @param {Object} range - Period start and end
+ * @returns {Promise<Array<Object>>} - Usage records, oldest first
+ */
+const findUsage = async (where, range) => DB.Usage.findAll({
+  where: {
+    ...where,
+    createdAt: { [DB.Sequelize.Op.gte]: range.start, [DB.Sequelize.Op.lt]: range.end }
+  },
+  order: [['createdAt', 'ASC']]
+});
+
+/**
+ * Credit a royalty payment for a model to the datasets it used
+ * The payment is split between the datasets by the impact of the model's usage of each in the period,
+ * then between each dataset's contributors by share
+ * @param {Object} payment - Payment details
+ * @param {string} payment.paymentId - Payment transaction ID
+ * @param {string} payment.modelId - Model the payment is for
+ * @param {string} payment.amount - Amount in wei
+ * @param {string} payment.paymentType - Payment type (e.g., "eth", "fil")
+ * @param {string} payment.paidBy - Address of the payer
+ * @param {string} [payment.period] - Usage period as a calendar month (YYYY-MM)
+ * @param {Date|string} [payment.from] - Usage period start, inclusive
+ * @param {Date|string} [payment.to] - Usage period end, exclusive
+ * @returns {Promise<Object>} - Credit entries, the number newly created and the amount per dataset
+ */
+const recordModelPayment = async (payment) => {
+  try {
+    const range = getPeriodRange(payment);
+    const amount = toWei(payment.amount);
+    const usageRecords = await findUsage({ modelId: payment.modelId }, range);
+    
+    if (usageRecords.length === 0) {
+      throw new Error(`No usage found for model ${payment.modelId} in the period`);
+    }
+    
+    const impactByDataset = new Map();
+    for (const usage of usageRecords) {
+      impactByDataset.set(usage.datasetId, (impactByDataset.get(usage.datasetId) || 0) + usage.impactScore);
+    }
+    const parts = splitAmount(amount, Array.from(impactByDataset, ([datasetId, impactScore]) => ({
+      key: datasetId,
+      weight: BigInt(impactScore)
+    })));
+    
+    const datasets = [];
+    const entries = [];
+    let created = 0;
+    for (const [datasetId, impactScore] of impactByDataset) {
+      const part = parts.get(datasetId);
+      datasets.push({ datasetId, impactScore, amount: part.toString() });
+      if (part === 0n) {
+        continue;
+      }
+      
+      // A contributor of several datasets gets one credit per dataset
+      const result = await creditByShare({
+        datasetId,
+        amount: part,
+        source: 'payment',
+        sourceId: `${payment.paymentId}:${datasetId}`,
+        transactionHash: payment.paymentId,
+        description: 'Model royalty payment',
+        metadata: {
+          paymentType: payment.paymentType,
+          paidBy: payment.paidBy,
+          modelId: payment.modelId,
+          paymentAmount: amount.toString(),
+          impactScore,
+          periodStart: range.start,
+          periodEnd: range.end
+        }
+      });
+      entries.push(...result.entries);
+      created += result.created;
+    }
+    
+    if (created > 0) {
+      logger.info('Model royalty payment credited', {
+        paymentId: payment.paymentId,
+        modelId: payment.modelId,
+        datasets: datasets.length
+      });
+    }
+    
+    return { entries, created, datasets };
+  } catch (error) {
+    logger.error('Error crediting model royalty payment', {
+      error: error.message,
+      modelId: payment.modelId,
+      paymentId: payment.paymentId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Credit an on-chain royalty distribution with the exact amounts the contract assigned
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} distribution - Distribution read from RoyaltyDistributor
+ * @returns {Promise<Object>} - Credit entries and the number newly created
+ */
+const recordRoyaltyDistribution = async (datasetId, distribution) => {
+  try {
+    const entries = distribution.recipients
+      .map((recipient, index) => ({
+        datasetId,
+        account: recipient.toLowerCase(),
+        entryType: 'credit',
+        amount: toWei(distribution.amounts[index]).toString(),
+        source: 'royalty_distribution',
+        sourceId: distribution.distributionId,
+        transactionHash: distribution.transactionHash || null,
+        description: 'On-chain royalty distribution',
+        occurredAt: distribution.distributionTime || new Date(),
+        metadata: {
+          distributionId: distribution.distributionId,
+          totalAmount: distribution.totalAmount
+        }
+      }))
+      .filter(entry => entry.amount !== '0');
+    
+    return await recordEntries(entries);
+  } catch (error) {
+    logger.error('Error crediting royalty distribution', {
+      error: error.message,
+      datasetId,
+      distributionId: distribution.distributionId
+    });
+    throw error;
+  }
+};
+
+/**
+ * Debit an on-chain royalty claim
+ * A claim withdraws everything RoyaltyDistributor owes the recipient, so it is allocated to the
+ * recipient's unclaimed distribution credits, oldest dataset first
+ * @param {Object} claim - RoyaltyClaimed event details
+ * @param {string} claim.account - Recipient address
+ * @param {string} claim.amount - Amount in wei
+ * @param {string} claim.transactionHash - Claim transaction hash
+ * @param {number} claim.logIndex - Log index of the event
+ * @param {Date} [claim.occurredAt] - Time of the claim
+ * @returns {Promise<Object>} - Debit entries, the number newly created and the datasets debited
+ */
+const recordClaim = async (claim) => {
+  try {
+    const account = claim.account.toLowerCase();
+    const amount = toWei(claim.amount);
+    
+    const previous = await DB.RoyaltyLedgerEntry.findAll({
+      where: { account, source: ['royalty_distribution', 'claim'] },
+      order: [['occurredAt', 'ASC']]
+    });
+    
+    // Unclaimed distribution credits per dataset, in the order they were first credited
+    const outstanding = new Map();
+    for (const entry of previous) {
+      if (!entry.datasetId) {
+        continue;
+      }
+      const current = outstanding.get(entry.datasetId) || 0n;
+      const change = entry.entryType === 'credit' ? toWei(entry.amount) : -toWei(entry.amount);
+      outstanding.set(entry.datasetId, current + change);
+    }
+    
+    const allocations = [];
+    let remaining = amount;
+    for (const [datasetId, unclaimed] of outstanding) {
+      if (remaining === 0n) {
+        break;
+      }
+      if (unclaimed <= 0n) {
+        continue;
+      }
+      const allocated = unclaimed < remaining ? unclaimed : remaining;
+      allocations.push({ datasetId, amount: allocated });
+      remaining -= allocated;
+    }
+    
+    // A claim the ledger cannot place yet (its distributions are not synced) is kept unallocated
+    if (remaining > 0n) {
+      allocations.push({ datasetId: null, amount: remaining });
+    }
+    
+    const result = await recordEntries(allocations.map(allocation => ({
+      datasetId: allocation.datasetId,
+      account,
+      entryType: 'debit',
+      amount: allocation.amount.toString(),
+      source: 'claim',
+      sourceId: `${claim.transactionHash}:${claim.logIndex}:${allocation.datasetId || 'unallocated'}`,
+      transactionHash: claim.transactionHash,
+      description: 'On-chain royalty claim',
+      occurredAt: claim.occurredAt || new Date(),
+      metadata: { claimedAmount: amount.toString() }
+    })));
+    
+    return {
+      ...result,
+      datasetIds: allocations.filter(allocation => allocation.datasetId).map(allocation => allocation.datasetId)
+    };
+  } catch (error) {
+    logger.error('Error debiting royalty claim', {
+      error: error.message,
+      account: claim.account,
+      transactionHash: claim.transactionHash
+    });
+    throw error;
+  }
+};
+
+/**
+ * Remove the credits of a royalty distribution that was dropped by a chain reorg
+ * @param {string} distributionId - On-chain distribution ID
+ * @returns {Promise<number>} - Number of entries removed
+ */
+const revertRoyaltyDistribution = async (distributionId) => {
+  try {
+    return await DB.RoyaltyLedgerEntry.destroy({
+      where: { source: 'royalty_distribution', sourceId: distributionId.toString() }
+    });
+  } catch (error) {
+    logger.error('Error reverting royalty distribution', { error: error.message, distributionId });
+    throw error;
+  }
+};
+
+/**
+ * Remove the debits of a royalty claim that was dropped by a chain reorg
+ * @param {string} transactionHash - Claim transaction hash
+ * @param {number} logIndex - Log index of the event
+ * @returns {Promise<Object>} - Number of entries removed and the datasets they debited
+ */
+const revertClaim = async (transactionHash, logIndex) => {
+  try {
+    const entries = await DB.RoyaltyLedgerEntry.findAll({
+      where: {
+        source: 'claim',
+        sourceId: { [DB.Sequelize.Op.like]: `${transactionHash}:${logIndex}:%` }
+      }
+    });
+    
+    for (const entry of entries) {
+      await entry.destroy();
+    }
+    
+    return {
+      removed: entries.length,
+      datasetIds: [...new Set(entries.filter(entry => entry.datasetId).map(entry => entry.datasetId))]
+    };
+  } catch (error) {
+    logger.error('Error reverting royalty claim', { error: error.message, transactionHash });
+    throw error;
+  }
+};
+
+/**
+ * Get the on-chain token ID of a dataset
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<string>} - Token ID
+ */
+const getDatasetTokenId = async (datasetId) => {
+  const dataset = await DB.Dataset.findByPk(datasetId);
+  if (!dataset) {
+    throw new Error(`Dataset not found: ${datasetId}`);
+  }
+  if (!dataset.tokenId) {
+    throw new Error(`Dataset ${datasetId} is not registered on chain yet`);
+  }
+  return dataset.tokenId;
+};
+
+/**
+ * Credit every on-chain royalty distribution of a dataset that is not in the ledger yet
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Object>} - Number of distributions read and newly credited
+ */
+const syncRoyaltyDistributions = async (datasetId) => {
+  try {
+    const tokenId = await getDatasetTokenId(datasetId);
+    const distributions = await contractsService.getRoyaltyDistributions(tokenId);
+    
+    let credited = 0;
+    for (const distribution of distributions) {
+      const { created } = await recordRoyaltyDistribution(datasetId, distribution);
+      if (created > 0) {
+        credited++;
+      }
+    }
+    
+    if (credited > 0) {
+      logger.info('Royalty distributions credited', { datasetId, credited });
+    }
+    
+    return { distributions: distributions.length, credited };
+  } catch (error) {
+    logger.error('Error syncing royalty distributions', { error: error.message, datasetId });
+    throw error;
+  }
+};
+
+/**
+ * Get the royalty balance of an account
+ * @param {string} account - Contributor address
+ * @param {Object} [options] - Balance options
+ * @param {string} [options.datasetId] - Only count entries of this dataset
+ * @param {Date} [options.before] - Only count entries before this time
+ * @param {Object} [options.transaction] - Transaction to read in
+ * @returns {Promise<Object>} - Credited, debited and balance in wei
+ */
+const getBalance = async (account, options = {}) => {
+  const where = { account: account.toLowerCase() };
+  
+  if (options.datasetId) {
+    where.datasetId = options.datasetId;
+  }
+  
+  if (options.before) {
+    where.occurredAt = { [DB.Sequelize.Op.lt]: options.before };
+  }
+  
+  const entries = await DB.RoyaltyLedgerEntry.findAll({
+    where,
+    attributes: ['entryType', 'amount'],
+    transaction: options.transaction
+  });
+  
+  return sumEntries(entries);
+};
+
+/**
+ * Debit a royalty payout from a contributor's balance
+ * @param {Object} payout - Payout details
+ * @param {string} payout.account - Contributor address
+ * @param {string} payout.amount - Amount in wei
+ * @param {string} [payout.datasetId] - Dataset the payout settles
+ * @param {string} [payout.transactionHash] - Payout transaction hash
+ * @param {string} [payout.description] - Payout description
+ * @param {string} [payout.recordedBy] - Address of the admin recording the payout
+ * @returns {Promise<Object>} - Debit entry
+ */
+const recordPayout = async (payout) => {
+  try {
+    const amount = toWei(payout.amount);
+    if (amount === 0n) {
+      throw new Error('Payout amount must be positive');
+    }
+    
+    const account = payout.account.toLowerCase();
+    
+    const { entries, created } = await DB.sequelize.transaction(async (transaction) => {
+      // Concurrent payouts of the account wait on its entries here; the balance read after the lock
+      // then sees the debits they committed
+      await DB.RoyaltyLedgerEntry.findAll({
+        where: { account },
+        attributes: ['id'],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      
+      const { balance } = await getBalance(account, { datasetId: payout.datasetId, transaction });
+      if (amount > balance) {
+        throw new Error(`Insufficient royalty balance: ${balance.toString()} wei available`);
+      }
+      
+      return recordEntries([{
+        datasetId: payout.datasetId || null,
+        account,
+        entryType: 'debit',
+        amount: amount.toString(),
+        source: 'payout',
+        sourceId: payout.transactionHash || uuidv4(),
+        transactionHash: payout.transactionHash || null,
+        description: payout.description || 'Royalty payout',
+        occurredAt: new Date(),
+        metadata: payout.recordedBy ? { recordedBy: payout.recordedBy } : null
+      }], transaction);
+    });
+    
+    if (created === 0) {
+      throw new Error('Payout already recorded for this transaction');
+    }
+    
+    logger.info('Royalty payout recorded', {
+      account: payout.account,
+      amount: amount.toString(),
+      datasetId: payout.datasetId
+    });
+    
+    return entries[0];
+  } catch (error) {
+    logger.error('Error recording royalty payout', {
+      error: error.message,
+      account: payout.account
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get the ledger balance of every contributor of a dataset
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Array<Object>>} - Balances in wei per contributor
+ */
+const getDatasetBalances = async (datasetId) => {
+  try {
+    const entries = await DB.RoyaltyLedgerEntry.findAll({
+      where: { datasetId },
+      attributes: ['account', 'entryType', 'amount']
+    });
+    
+    const byAccount = new Map();
+    for (const entry of entries) {
+      if (!byAccount.has(entry.account)) {
+        byAccount.set(entry.account, []);
+      }
+      byAccount.get(entry.account).push(entry);
+    }
+    
+    return Array.from(byAccount.entries()).map(([account, accountEntries]) => {
+      const { credited, debited, balance } = sumEntries(accountEntries);
+      return {
+        account,
+        credited: credited.toString(),
+        debited: debited.toString(),
+        balance: balance.toString()
+      };
+    });
+  } catch (error) {
+    logger.error('Error getting dataset royalty balances', { error: error.message, datasetId });
+    throw error;
+  }
+};
+
+/**
+ * Attribute a dataset's period credits to the usage recorded in the period, weighted by impact score
+ * @param {string} datasetId - Dataset ID
+ * @param {bigint} amount - Credits of the dataset in the period
+ * @param {Object} range - Period start and end
+ * @returns {Promise<Object>} - Amount per usage and the amount no usage accounts for
+ */
+const attributeToUsage = async (datasetId, amount, range) => {
+  const usageRecords = await findUsage({ datasetId }, range);
+  
+  if (usageRecords.length === 0) {
+    return { datasetId, unattributed: amount.toString(), usage: [] };
+  }
+  
+  const parts = splitAmount(amount, usageRecords.map(usage => ({
+    key: usage.id,
+    weight: BigInt(usage.impactScore)
+  })));
+  
+  return {
+    datasetId,
+    unattributed: '0',
+    usage: usageRecords.map(usage => ({
+      usageId: usage.id,
+      modelId: usage.modelId,
+      usageType: usage.usageType,
+      impactScore: usage.impactScore,
+      amount: parts.get(usage.id).toString()
+    }))
+  };
+};
+
+/**
+ * Get a royalty statement of an account for a period
+ * @param {string} account - Contributor address
+ * @param {Object} [options] - Statement options
+ * @param {string} [options.period] - Calendar month (YYYY-MM)
+ * @param {Date|string} [options.from] - Period start, inclusive
+ * @param {Date|string} [options.to] - Period end, exclusive
+ * @param {string} [options.datasetId] - Only include entries of this dataset
+ * @returns {Promise<Object>} - Statement with opening and closing balances in wei
+ */
+const getStatement = async (account, options = {}) => {
+  try {
+    const range = getPeriodRange(options);
+    
+    const where = {
+      account: account.toLowerCase(),
+      occurredAt: { [DB.Sequelize.Op.gte]: range.start, [DB.Sequelize.Op.lt]: range.end }
+    };
+    if (options.datasetId) {
+      where.datasetId = options.datasetId;
+    }
+    
+    const opening = await getBalance(account, { datasetId: options.datasetId, before: range.start });
+    const entries = await DB.RoyaltyLedgerEntry.findAll({
+      where,
+      order: [['occurredAt', 'ASC'], ['createdAt', 'ASC']]
+    });
+    const period = sumEntries(entries);
+    
+    // Credits of each dataset in the period, attributed to the usage that earned them
+    const creditsByDataset = new Map();
+    for (const entry of entries) {
+      if (entry.entryType === 'credit' && entry.datasetId) {
+        creditsByDataset.set(
+          entry.datasetId,
+          (creditsByDataset.get(entry.datasetId) || 0n) + toWei(entry.amount)
+        );
+      }
+    }
+    
+    const usageAttribution = [];
+    for (const [datasetId, amount] of creditsByDataset) {
+      usageAttribution.push(await attributeToUsage(datasetId, amount, range));
+    }
+    
+    return {
+      account: account.toLowerCase(),
+      datasetId: options.datasetId || null,
+      periodStart: range.start,
+      periodEnd: range.end,
+      openingBalance: opening.balance.toString(),
+      totalCredits: period.credited.toString(),
+      totalDebits: period.debited.toString(),
+      closingBalance: (opening.balance + period.balance).toString(),
+      entries: entries.map(formatEntry),
+      usageAttribution
+    };
+  } catch (error) {
+    logger.error('Error getting royalty statement', { error: error.message, account });
+    throw error;
+  }
+};
+
+/**
+ * Compare the ledger's on-chain distribution credits of a dataset with RoyaltyDistributor.getTotalDistributed
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} [options] - Reconciliation options
+ * @param {boolean} [options.repair=true] - Credit missing distributions when the totals differ
+ * @returns {Promise<Object>} - Reconciliation result with totals in wei
+ */
+const reconcileDataset = async (datasetId, options = {}) => {
+  try {
+    const repair = options.repair !== false;
+    const tokenId = await getDatasetTokenId(datasetId);
+    
+    const getLedgerTotal = async () => {
+      const entries = await DB.RoyaltyLedgerEntry.findAll({
+        where: { datasetId, source: 'royalty_distribution', entryType: 'credit' },
+        attributes: ['entryType', 'amount']
+      });
+      return sumEntries(entries).credited;
+    };
+    
+    const onChainTotal = toWei(await contractsService.getTotalDistributed(tokenId));
+    let ledgerTotal = await getLedgerTotal();
+    let repaired = 0;
+    
+    if (ledgerTotal !== onChainTotal && repair) {
+      ({ credited: repaired } = await syncRoyaltyDistributions(datasetId));
+      ledgerTotal = await getLedgerTotal();
+    }
+    
+    const difference = onChainTotal - ledgerTotal;
+    
+    if (difference !== 0n) {
+      logger.warn('Royalty ledger does not reconcile with chain', {
+        datasetId,
+        onChainTotal: onChainTotal.toString(),
+        ledgerTotal: ledgerTotal.toString()
+      });
+    }
+    
+    return {
+      datasetId,
+      tokenId,
+      onChainTotal: onChainTotal.toString(),
+      ledgerTotal: ledgerTotal.toString(),
+      difference: difference.toString(),
+      reconciled: difference === 0n,
+      repairedDistributions: repaired,
+      checkedAt: new Date()
+    };
+  } catch (error) {
+    logger.error('Error reconciling royalty ledger', { error: error.message, datasetId });
+    throw error;
+  }
+};
+
+module.exports = {
+  getPlatformFee,
+  recordPurchaseRevenue,
+  revertPurchaseRevenue,
+  recordPayment,
+  recordModelPayment,
+  recordRoyaltyDistribution,
+  recordClaim,
+  revertRoyaltyDistribution,
+  revertClaim,
+  syncRoyaltyDistributions,
+  recordPayout,
+  getDatasetBalances,
+  getStatement,
+  reconcileDataset
+};
@@ -0,0 +1,461 @@
+/**
+ * Search service for full-text, faceted dataset search
+ * Runs on the application database: Postgres full-text search, with term matching on other dialects
+ */
+const web3Utils = require('../utils/web3');
+const logger = require('../utils/logger');
+const DB = require('../models');
+
+const SORTS = ['relevance', 'price', 'usage', 'recent'];
+
+const MAX_QUERY_TERMS = 10;
+const MAX_CONTRIBUTOR_FACETS = 20;
+const MAX_TAG_FACETS = 30;
+
+// Price bands in FIL over the cheapest active listing of a dataset
+const PRICE_BANDS = [
+  { key: 'under-1', min: null, max: '1' },
+  { key: '1-10', min: '1', max: '10' },
+  { key: '10-100', min: '10', max: '100' },
+  { key: '100-plus', min: '100', max: null }
+];
+const UNLISTED_BAND = 'unlisted';
+
+const MIN_PRICE = `(SELECT MIN(CAST(l.price AS NUMERIC)) FROM "Listings" l
+  WHERE l."datasetId" = d.id AND l.status = 'active')`;
+
+const USAGE_COUNT = '(SELECT COUNT(*) FROM "Usages" u WHERE u."datasetId" = d.id)';
+
+/**
+ * Concatenate the names in a child table of a dataset
+ * @param {string} dialect - Database dialect
+ * @param {string} table - Table name
+ * @param {string} column - Column to concatenate
+ * @returns {string} - SQL expression
+ */
+const childNames = (dialect, table, column) => {
+  const aggregate = dialect === 'postgres' ? `string_agg(x.${column}, ' ')` : `group_concat(x.${column}, ' ')`;
+  return `coalesce((SELECT ${aggregate} FROM "${table}" x WHERE x."datasetId" = d.id), '')`;
+};
+
+// The dataset metadata document on IPFS holds the same fields, so it is searched through its columns
+const PG_DOCUMENT = `(
+  setweight(to_tsvector('english', coalesce(d.name, '')), 'A') ||
+  setweight(to_tsvector('english', ${childNames('postgres', 'Tags', 'name')}), 'B') ||
+  setweight(to_tsvector('english', coalesce(d.description, '')), 'C') ||
+  setweight(to_tsvector('english', d."dataType" || ' ' || d.license || ' ' ||
+    ${childNames('postgres', 'Contributors', 'name')}), 'D')
+)`;
+
+/**
+ * Split a free-text query into terms for dialects without full-text search
+ * @param {string} q - Free-text query
+ * @returns {Array<string>} - Lowercase terms without LIKE wildcards
+ */
+const splitTerms = (q) => {
+  return q.toLowerCase()
+    .replace(/[%_\\]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, MAX_QUERY_TERMS);
+};
+
+/**
+ * Build the text match and relevance rank of a query
+ * @param {string} dialect - Database dialect
+ * @param {string} [q] - Free-text query
+ * @param {Object} replacements - Query replacements, extended in place
+ * @returns {Object} - Match condition (null without a query) and rank expression
+ */
+const buildTextSearch = (dialect, q, replacements) => {
+  if (!q) {
+    return { match: null, rank: '0' };
+  }
+  
+  if (dialect === 'postgres') {
+    replacements.q = q;
+    const query = 'websearch_to_tsquery(\'english\', :q)';
+    return {
+      match: `${PG_DOCUMENT} @@ ${query}`,
+      rank: `ROUND(CAST(ts_rank(${PG_DOCUMENT}, ${query}) AS NUMERIC), 6)`
+    };
+  }
+  
+  const terms = splitTerms(q);
+  if (terms.length === 0) {
+    return { match: null, rank: '0' };
+  }
+  
+  const name = 'lower(coalesce(d.name, \'\'))';
+  const tags = `lower(${childNames(dialect, 'Tags', 'name')})`;
+  const description = 'lower(coalesce(d.description, \'\'))';
+  const other = `lower(d."dataType" || ' ' || d.license || ' ' || ${childNames(dialect, 'Contributors', 'name')})`;
+  
+  const matches = [];
+  const weights = [];
+  terms.forEach((term, index) => {
+    const key = `term${index}`;
+    replacements[key] = `%${term}%`;
+    matches.push(`(${name} LIKE :${key} OR ${tags} LIKE :${key} OR ${description} LIKE :${key} OR ${other} LIKE :${key})`);
+    weights.push(`(CASE WHEN ${name} LIKE :${key} THEN 3 ELSE 0 END)`);
+    weights.push(`(CASE WHEN ${tags} LIKE :${key} THEN 2 ELSE 0 END)`);
+    weights.push(`(CASE WHEN ${description} LIKE :${key} THEN 1 ELSE 0 END)`);
+  });
+  
+  return { match: matches.join(' AND '), rank: weights.join(' + ') };
+};
+
+/**
+ * Build the condition selecting datasets in some price bands
+ * @param {Array<string>} bands - Price band keys
+ * @param {Object} replacements - Query replacements, extended in place
+ * @returns {string} - SQL condition
+ */
+const buildPriceBandCondition = (bands, replacements) => {
+  const conditions = bands.map(key => {
+    if (key === UNLISTED_BAND) {
+      return `${MIN_PRICE} IS NULL`;
+    }
+    
+    const index = PRICE_BANDS.findIndex(band => band.key === key);
+    const band = PRICE_BANDS[index];
+    const bounds = [];
+    if (band.min) {
+      replacements[`band${index}Min`] = web3Utils.etherToWei(band.min).toString();
+      bounds.push(`${MIN_PRICE} >= CAST(:band${index}Min AS NUMERIC)`);
+    }
+    if (band.max) {
+      replacements[`band${index}Max`] = web3Utils.etherToWei(band.max).toString();
+      bounds.push(`${MIN_PRICE} < CAST(:band${index}Max AS NUMERIC)`);
+    }
+    return `(${bounds.join(' AND ')})`;
+  });
+  
+  return `(${conditions.join(' OR ')})`;
+};
+
+/**
+ * Build the filter conditions of a search
+ * Facet counts leave out their own filter so that every value of a facet stays selectable
+ * @param {Object} params - Search parameters
+ * @param {string|null} textMatch - Text match condition
+ * @param {Object} replacements - Query replacements, extended in place
+ * @param {string} [excludeFacet] - Facet whose filter is left out
+ * @returns {string} - SQL WHERE clause body
+ */
+const buildConditions = (params, textMatch, replacements, excludeFacet) => {
+  const conditions = [];
+  
+  if (textMatch) {
+    conditions.push(textMatch);
+  }
+  
+  if (params.creator) {
+    replacements.creator = params.creator.toLowerCase();
+    conditions.push('lower(d.creator) = :creator');
+  }
+  
+  if (params.dataType.length && excludeFacet !== 'dataType') {
+    replacements.dataType = params.dataType;
+    conditions.push('d."dataType" IN (:dataType)');
+  }
+  
+  if (params.license.length && excludeFacet !== 'license') {
+    replacements.license = params.license;
+    conditions.push('d.license IN (:license)');
+  }
+  
+  if (params.verified !== undefined && excludeFacet !== 'verified') {
+    replacements.verified = params.verified;
+    conditions.push('d.verified = :verified');
+  }
+  
+  if (params.tag.length && excludeFacet !== 'tag') {
+    replacements.tag = params.tag;
+    conditions.push('EXISTS (SELECT 1 FROM "Tags" t WHERE t."datasetId" = d.id AND t.name IN (:tag))');
+  }
+  
+  if (params.contributor.length && excludeFacet !== 'contributor') {
+    replacements.contributor = params.contributor.map(address => address.toLowerCase());
+    conditions.push('EXISTS (SELECT 1 FROM "Contributors" c WHERE c."datasetId" = d.id AND lower(c.address) IN (:contributor))');
+  }
+  
+  if (params.priceBand.length && excludeFacet !== 'priceBand') {
+    conditions.push(buildPriceBandCondition(params.priceBand, replacements));
+  }
+  
+  return conditions.length ? conditions.join(' AND ') : '1 = 1';
+};
+
+/**
+ * Encode the position after a result as a pagination cursor
+ * @param {Object} row - Last result row of a page
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (row) => {
+  const key = row.sortKey instanceof Date ? row.sortKey.toISOString() : String(row.sortKey);
+  return Buffer.from(JSON.stringify({ key, id: row.id })).toString('base64url');
+};
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object} - Sort key and ID of the last result seen
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded.key !== 'string' || typeof decoded.id !== 'string') {
+      throw new Error('Malformed cursor');
+    }
+    return decoded;
+  } catch (error) {
+    throw new Error('Invalid search cursor');
+  }
+};
+
+/**
+ * Build the sort key of a sort order
+ * Datasets without an active listing sort last by price in either direction
+ * @param {string} sort - Sort order name
+ * @param {string} direction - "ASC" or "DESC"
+ * @returns {string} - SQL expression over the matched rows
+ */
+const buildSortKey = (sort, direction) => {
+  switch (sort) {
+    case 'relevance':
+      return '"rank"';
+    case 'price':
+      return direction === 'ASC'
+        ? 'COALESCE("minPrice", CAST(\'1e40\' AS NUMERIC))'
+        : 'COALESCE("minPrice", -1)';
+    case 'usage':
+      return '"usageCount"';
+    default:
+      return '"createdAt"';
+  }
+};
+
+/**
+ * Normalize search parameters
+ * @param {Object} params - Raw search parameters
+ * @returns {Object} - Parameters with list filters as arrays and defaults applied
+ */
+const normalizeParams = (params) => {
+  const toList = value => (value === undefined || value === null ? [] : [].concat(value));
+  const q = params.q ? String(params.q).trim() : '';
+  const sort = params.sort || (q ? 'relevance' : 'recent');
+  
+  if (!SORTS.includes(sort)) {
+    throw new Error(`Invalid search sort: ${sort}`);
+  }
+  
+  const priceBand = toList(params.priceBand);
+  const validBands = [...PRICE_BANDS.map(band => band.key), UNLISTED_BAND];
+  const invalidBand = priceBand.find(band => !validBands.includes(band));
+  if (invalidBand) {
+    throw new Error(`Invalid price band: ${invalidBand}`);
+  }
+  
+  return {
+    q,
+    sort,
+    order: params.order === 'asc' ? 'ASC' : params.order === 'desc' ? 'DESC' : (sort === 'price' ? 'ASC' : 'DESC'),
+    creator: params.creator,
+    dataType: toList(params.dataType),
+    license: toList(params.license),
+    verified: params.verified,
+    tag: toList(params.tag),
+    contributor: toList(params.contributor),
+    priceBand,
+    cursor: params.cursor,
+    limit: Math.min(Math.max(parseInt(params.limit) || 10, 1), 100)
+  };
+};
+
+/**
+ * Count the datasets of each facet value
+ * @param {Object} params - Normalized search parameters
+ * @param {string} dialect - Database dialect
+ * @returns {Promise<Object>} - Facet values with counts
+ */
+const countFacets = async (params, dialect) => {
+  const run = async (facet, sql) => {
+    const replacements = {};
+    const { match } = buildTextSearch(dialect, params.q, replacements);
+    const where = buildConditions(params, match, replacements, facet);
+    return DB.sequelize.query(sql(where), {
+      replacements,
+      type: DB.Sequelize.QueryTypes.SELECT
+    });
+  };
+  
+  const bandCases = PRICE_BANDS.map(band => {
+    const bounds = [];
+    if (band.min) {
+      bounds.push(`mp >= CAST('${web3Utils.etherToWei(band.min).toString()}' AS NUMERIC)`);
+    }
+    if (band.max) {
+      bounds.push(`mp < CAST('${web3Utils.etherToWei(band.max).toString()}' AS NUMERIC)`);
+    }
+    return `WHEN ${bounds.join(' AND ')} THEN '${band.key}'`;
+  }).join(' ');
+  
+  const [dataType, license, verified, tag, contributor, priceBand] = await Promise.all([
+    run('dataType', where => `SELECT d."dataType" AS value, COUNT(*) AS count FROM "Datasets" d
+      WHERE ${where} GROUP BY d."dataType" ORDER BY count DESC`),
+    run('license', where => `SELECT d.license AS value, COUNT(*) AS count FROM "Datasets" d
+      WHERE ${where} GROUP BY d.license ORDER BY count DESC`),
+    run('verified', where => `SELECT d.verified AS value, COUNT(*) AS count FROM "Datasets" d
+      WHERE ${where} GROUP BY d.verified`),
+    run('tag', where => `SELECT t.name AS value, COUNT(DISTINCT d.id) AS count FROM "Datasets" d
+      JOIN "Tags" t ON t."datasetId" = d.id
+      WHERE ${where} GROUP BY t.name ORDER BY count DESC LIMIT ${MAX_TAG_FACETS}`),
+    run('contributor', where => `SELECT lower(c.address) AS value, COUNT(DISTINCT d.id) AS count FROM "Datasets" d
+      JOIN "Contributors" c ON c."datasetId" = d.id
+      WHERE ${where} GROUP BY lower(c.address) ORDER BY count DESC LIMIT ${MAX_CONTRIBUTOR_FACETS}`),
+    run('priceBand', where => `SELECT value, COUNT(*) AS count FROM (
+        SELECT CASE WHEN mp IS NULL THEN '${UNLISTED_BAND}' ${bandCases} END AS value
+        FROM (SELECT ${MIN_PRICE} AS mp FROM "Datasets" d WHERE ${where}) prices
+      ) bands GROUP BY value`)
+  ]);
+  
+  const format = rows => rows.map(row => ({ value: row.value, count: Number(row.count) }));
+  const bandOrder = [...PRICE_BANDS.map(band => band.key), UNLISTED_BAND];
+  
+  return {
+    dataType: format(dataType),
+    license: format(license),
+    verified: verified.map(row => ({ value: Boolean(row.value), count: Number(row.count) })),
+    tag: format(tag),
+    contributor: format(contributor),
+    priceBand: format(priceBand).sort((a, b) => bandOrder.indexOf(a.value) - bandOrder.indexOf(b.value))
+  };
+};
+
+/**
+ * Search datasets by free text with facet counts
+ * @param {Object} params - Search parameters
+ * @param {string} [params.q] - Free text matched against name, tags, description, type, license and contributors
+ * @param {string} [params.creator] - Creator's address
+ * @param {string|Array<string>} [params.dataType] - Data types, any of
+ * @param {string|Array<string>} [params.license] - Licenses, any of
+ * @param {boolean} [params.verified] - Verification status
+ * @param {string|Array<string>} [params.tag] - Tags, any of
+ * @param {string|Array<string>} [params.contributor] - Contributor addresses, any of
+ * @param {string|Array<string>} [params.priceBand] - Price bands of the cheapest active listing, any of
+ * @param {string} [params.sort] - "relevance", "price", "usage" or "recent"; relevance by default with a query
+ * @param {string} [params.order] - "asc" or "desc"; ascending by default for price, descending otherwise
+ * @param {string} [params.cursor] - Cursor from the previous page
+ * @param {number} [params.limit=10] - Results per page
+ * @returns {Promise<Object>} - Datasets, facets and the cursor of the next page
+ */
+const searchDatasets = async (params = {}) => {
+  try {
+    const search = normalizeParams(params);
+    const dialect = DB.sequelize.getDialect();
+    
+    const replacements = {};
+    const { match, rank } = buildTextSearch(dialect, search.q, replacements);
+    const where = buildConditions(search, match, replacements);
+    const sortKey = buildSortKey(search.sort, search.order);
+    
+    let cursorCondition = '1 = 1';
+    if (search.cursor) {
+      const cursor = decodeCursor(search.cursor);
+      const comparison = search.order === 'ASC' ? '>' : '<';
+      replacements.cursorKey = cursor.key;
+      replacements.cursorId = cursor.id;
+      cursorCondition = `("sortKey" ${comparison} :cursorKey OR ("sortKey" = :cursorKey AND id ${comparison} :cursorId))`;
+    }
+    
+    replacements.limit = search.limit + 1;
+    
+    const rows = await DB.sequelize.query(`
+      WITH matches AS (
+        SELECT d.id, d.name, d.description, d."dataType", d.cid, d."tokenId", d.license, d.creator,
+          d.verified, d."createdAt",
+          ${rank} AS "rank",
+          ${MIN_PRICE} AS "minPrice",
+          ${USAGE_COUNT} AS "usageCount"
+        FROM "Datasets" d
+        WHERE ${where}
+      ), sorted AS (
+        SELECT matches.*, ${sortKey} AS "sortKey" FROM matches
+      )
+      SELECT * FROM sorted
+      WHERE ${cursorCondition}
+      ORDER BY "sortKey" ${search.order}, id ${search.order}
+      LIMIT :limit
+    `, {
+      replacements,
+      type: DB.Sequelize.QueryTypes.SELECT
+    });
+    
+    const [totals, facets] = await Promise.all([
+      DB.sequelize.query(`SELECT COUNT(*) AS total FROM "Datasets" d WHERE ${where}`, {
+        replacements,
+        type: DB.Sequelize.QueryTypes.SELECT
+      }),
+      countFacets(search, dialect)
+    ]);
+    
+    const page = rows.slice(0, search.limit);
+    const ids = page.map(row => row.id);
+    
+    const [tags, contributors] = ids.length ? await Promise.all([
+      DB.Tag.findAll({ where: { datasetId: ids } }),
+      DB.Contributor.findAll({ where: { datasetId: ids } })
+    ]) : [[], []];
+    
+    const datasets = page.map(row => {
+      const minPrice = row.minPrice === null || row.minPrice === undefined
+        ? null
+        : BigInt(String(row.minPrice).split('.')[0]).toString();
+      
+      return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        dataType: row.dataType,
+        cid: row.cid,
+        tokenId: row.tokenId,
+        license: row.license,
+        creator: row.creator,
+        verified: Boolean(row.verified),
+        createdAt: row.createdAt,
+        relevance: Number(row.rank),
+        minPrice,
+        minPriceInEther: minPrice && web3Utils.weiToEther(minPrice),
+        usageCount: Number(row.usageCount),
+        contributors: contributors
+          .filter(c => c.datasetId === row.id)
+          .map(c => ({
+            id: c.address,
+            share: c.share,
+            name: c.name
+          })),
+        tags: tags.filter(t => t.datasetId === row.id).map(t => t.name)
+      };
+    });
+    
+    return {
+      datasets,
+      facets,
+      pagination: {
+        total: Number(totals[0].total),
+        limit: search.limit,
+        sort: search.sort,
+        order: search.order.toLowerCase(),
+        nextCursor: rows.length > search.limit ? encodeCursor(page[page.length - 1]) : null
+      }
+    };
+  } catch (error) {
+    logger.error('Error searching datasets', { error: error.message, q: params.q });
+    throw error;
+  }
+};
+
+module.exports = {
+  searchDatasets
+};
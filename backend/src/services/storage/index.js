@@ -0,0 +1,90 @@
+/**
+ * Storage backends
+ * Content is stored and served as CAR files through one interface, so services do not depend on
+ * where it lives. Every backend provides:
+ * - name: backend name
+ * - putCar(carPath, options): store a CAR file, resolving to { cid, size }
+ * - getCar(cid, options): fetch the DAG under a root CID into a temporary CAR file, which the caller removes
+ * - stat(cid): { cid, available, size, pinned, created, pins, deals }
+ * - pin(cid) and unpin(cid): keep or release content
+ * - dealStatus(deal): status of a storage deal given as { cid, dealId, dealCid }, or null if the backend does not track it
+ *
+ * Backends used for deals (lotus and local) also provide:
+ * - chainHead(): { epoch, baseFee }
+ * - listProviders(options): storage providers with power as { id, power, sectorSize, multiaddrs, ask }
+ * - startDeal(deal): propose a storage deal, resolving to { dealCid, clientAddress }
+ * - calcCommP(carPath), optionally: { pieceCid, pieceSize }; the piece is computed locally otherwise
+ */
+const fs = require('fs');
+const filecoinConfig = require('../../config/filecoin');
+const logger = require('../../utils/logger');
+
+// Backends are loaded on first use, so only the clients of configured backends are created
+const BACKENDS = {
+  web3storage: () => require('./web3storage.backend'),
+  kubo: () => require('./kubo.backend'),
+  lotus: () => require('./lotus.backend'),
+  local: () => require('./local.backend')
+};
+
+/**
+ * Get a storage backend
+ * @param {string} [name] - Backend name, the configured storage backend by default
+ * @returns {Object} - Storage backend
+ */
+const getStorageBackend = (name = filecoinConfig.storageBackend) => {
+  const load = BACKENDS[name];
+  if (!load) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  
+  return load();
+};
+
+/**
+ * Get the backend that tracks storage deals and retrieves from storage providers
+ * @returns {Object} - Storage backend
+ */
+const getDealBackend = () => getStorageBackend(filecoinConfig.dealBackend);
+
+/**
+ * Fetch the CAR of stored content, trying the storage backend and then each retrieval fallback
+ * @param {string} cid - Root CID of the content
+ * @returns {Promise<Object>} - Path of the temporary CAR file and the name of the backend that served it
+ */
+const fetchCar = async (cid) => {
+  const names = [...new Set([filecoinConfig.storageBackend, ...filecoinConfig.retrievalFallbackBackends])];
+  const errors = [];
+  
+  for (const name of names) {
+    try {
+      const carPath = await getStorageBackend(name).getCar(cid);
+      return { carPath, backend: name };
+    } catch (error) {
+      logger.warn('Storage backend could not serve content', { backend: name, cid, error: error.message });
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+  
+  throw new Error(`Content not retrievable from any storage backend (${errors.join('; ')})`);
+};
+
+/**
+ * Remove a temporary CAR file
+ * @param {string} carPath - Path of the CAR file
+ * @returns {Promise<void>}
+ */
+const removeCar = async (carPath) => {
+  try {
+    await fs.promises.rm(carPath, { force: true });
+  } catch (error) {
+    logger.warn('Failed to clean up temporary file', { file: carPath, error: error.message });
+  }
+};
+
+module.exports = {
+  getStorageBackend,
+  getDealBackend,
+  fetchCar,
+  removeCar
+};
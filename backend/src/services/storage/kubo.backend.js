@@ -0,0 +1,132 @@
+/**
+ * Kubo backend
+ * Imports and exports CARs through the HTTP API of an IPFS node; IPFS does not make storage deals
+ */
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { create, CID } = require('ipfs-http-client');
+const ipfsConfig = require('../../config/ipfs');
+const { getTempFilePath } = require('../../utils/file');
+
+const ipfs = create({
+  url: `${ipfsConfig.apiUrl}/api/v0`,
+  timeout: ipfsConfig.timeout,
+  headers: ipfsConfig.projectId
+    ? { authorization: 'Basic ' + Buffer.from(`${ipfsConfig.projectId}:${ipfsConfig.projectSecret}`).toString('base64') }
+    : {}
+});
+
+/**
+ * Import a CAR file into the node, pinning its root
+ * @param {string} carPath - Path to the CAR file
+ * @returns {Promise<Object>} - Root CID and CAR size
+ */
+const putCar = async (carPath) => {
+  let cid = null;
+  
+  for await (const { root } of ipfs.dag.import(fs.createReadStream(carPath), { pinRoots: true })) {
+    cid = cid || root.cid.toString();
+  }
+  
+  if (!cid) {
+    throw new Error('CAR file has no roots');
+  }
+  
+  const { size } = await fs.promises.stat(carPath);
+  return { cid, size };
+};
+
+/**
+ * Export content from the node as a CAR file
+ * @param {string} cid - Root CID
+ * @returns {Promise<string>} - Path of the temporary CAR file
+ */
+const getCar = async (cid) => {
+  const carPath = await getTempFilePath('kubo', '.car');
+  
+  try {
+    await pipeline(Readable.from(ipfs.dag.export(CID.parse(cid))), fs.createWriteStream(carPath));
+  } catch (error) {
+    await fs.promises.rm(carPath, { force: true });
+    throw error;
+  }
+  
+  return carPath;
+};
+
+/**
+ * Check whether content is pinned on the node
+ * @param {string} cid - Root CID
+ * @returns {Promise<boolean>} - Whether the content is pinned
+ */
+const isPinned = async (cid) => {
+  try {
+    for await (const entry of ipfs.pin.ls({ paths: [CID.parse(cid)] })) {
+      if (entry) {
+        return true;
+      }
+    }
+    return false;
+  } catch (error) {
+    // The node answers with an error for content that is not pinned
+    return false;
+  }
+};
+
+/**
+ * Get the status of content on the node
+ * @param {string} cid - Root CID
+ * @returns {Promise<Object>} - Content status
+ */
+const stat = async (cid) => {
+  try {
+    const status = await ipfs.files.stat(`/ipfs/${cid}`);
+    
+    return {
+      cid,
+      available: true,
+      size: status.cumulativeSize,
+      pinned: await isPinned(cid),
+      created: null,
+      pins: [],
+      deals: []
+    };
+  } catch (error) {
+    return { cid, available: false, size: null, pinned: false, created: null, pins: [], deals: [] };
+  }
+};
+
+/**
+ * Pin content on the node
+ * @param {string} cid - Root CID
+ * @returns {Promise<void>}
+ */
+const pin = async (cid) => {
+  await ipfs.pin.add(CID.parse(cid));
+};
+
+/**
+ * Unpin content on the node
+ * @param {string} cid - Root CID
+ * @returns {Promise<void>}
+ */
+const unpin = async (cid) => {
+  await ipfs.pin.rm(CID.parse(cid));
+};
+
+/**
+ * IPFS nodes do not make storage deals
+ * @returns {Promise<null>}
+ */
+const dealStatus = async () => null;
+
+module.exports = {
+  name: 'kubo',
+  putCar,
+  getCar,
+  stat,
+  pin,
+  unpin,
+  dealStatus
+};
@@ -0,0 +1,246 @@
+/**
+ * Local storage backend
+ * Keeps CAR files in a directory with a JSON record beside each, so the dataset lifecycle can run
+ * without network access. Unpinned content is removed, like garbage collection on an IPFS node,
+ * and deals of held content are reported as active. Deals are made with one simulated provider on a
+ * chain whose epochs follow the clock.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CarIndexedReader } = require('@ipld/car');
+const filecoinConfig = require('../../config/filecoin');
+const { getTempFilePath } = require('../../utils/file');
+const logger = require('../../utils/logger');
+
+const CID_PATTERN = /^[a-zA-Z0-9]+$/;
+
+// Epochs are counted from Filecoin mainnet genesis, 30 seconds apart
+const GENESIS_TIME = Date.UTC(2020, 7, 24, 22, 0, 0);
+const EPOCH_DURATION_MS = 30 * 1000;
+
+// The one provider deals are made with, and the client address they are made from
+const LOCAL_PROVIDER = {
+  id: 'f01000',
+  power: '1',
+  sectorSize: 34359738368,
+  multiaddrs: ['/ip4/127.0.0.1/tcp/24001'],
+  ask: { price: '0', verifiedPrice: '0', minPieceSize: 256, maxPieceSize: 34359738368 }
+};
+const LOCAL_CLIENT_ADDRESS = 'f01001';
+
+/**
+ * Get the paths of stored content
+ * @param {string} cid - Root CID
+ * @returns {Object} - Paths of the CAR file and its record
+ */
+const getPaths = (cid) => {
+  // CIDs become file names, so anything else could point outside the store
+  if (typeof cid !== 'string' || !CID_PATTERN.test(cid)) {
+    throw new Error(`Invalid CID: ${cid}`);
+  }
+  
+  return {
+    carPath: path.join(filecoinConfig.localStoragePath, `${cid}.car`),
+    recordPath: path.join(filecoinConfig.localStoragePath, `${cid}.json`)
+  };
+};
+
+/**
+ * Read the record of stored content
+ * @param {string} cid - Root CID
+ * @returns {Promise<Object|null>} - Record, or null if the content is not stored
+ */
+const readRecord = async (cid) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(getPaths(cid).recordPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Write the record of stored content
+ * @param {Object} record - Record with the content's CID
+ * @returns {Promise<void>}
+ */
+const writeRecord = async (record) => {
+  await fs.promises.writeFile(getPaths(record.cid).recordPath, JSON.stringify(record, null, 2));
+};
+
+/**
+ * Store a CAR file under its root CID
+ * @param {string} carPath - Path to the CAR file
+ * @param {Object} [options] - Upload options
+ * @param {string} [options.name] - Content name
+ * @returns {Promise<Object>} - Root CID and CAR size
+ */
+const putCar = async (carPath, options = {}) => {
+  // Indexing the whole file checks that it is a readable CAR before it is stored
+  const reader = await CarIndexedReader.fromFile(carPath);
+  let roots;
+  try {
+    roots = await reader.getRoots();
+  } finally {
+    await reader.close();
+  }
+  
+  if (roots.length === 0) {
+    throw new Error('CAR file has no roots');
+  }
+  
+  const cid = roots[0].toString();
+  const paths = getPaths(cid);
+  const { size } = await fs.promises.stat(carPath);
+  
+  await fs.promises.mkdir(filecoinConfig.localStoragePath, { recursive: true });
+  
+  // Copy and rename, so a stored CAR is never partially written
+  const partialPath = `${paths.carPath}.${process.pid}.partial`;
+  await fs.promises.copyFile(carPath, partialPath);
+  await fs.promises.rename(partialPath, paths.carPath);
+  
+  const existing = await readRecord(cid);
+  await writeRecord({
+    cid,
+    name: options.name || (existing && existing.name) || null,
+    size,
+    pinned: true,
+    created: existing ? existing.created : new Date().toISOString()
+  });
+  
+  logger.debug('CAR stored in local storage', { cid, size });
+  
+  return { cid, size };
+};
+
+/**
+ * Copy stored content to a temporary CAR file
+ * @param {string} cid - Root CID
+ * @returns {Promise<string>} - Path of the temporary CAR file
+ */
+const getCar = async (cid) => {
+  if (!(await readRecord(cid))) {
+    throw new Error(`Content not found: ${cid}`);
+  }
+  
+  const carPath = await getTempFilePath('local', '.car');
+  await fs.promises.copyFile(getPaths(cid).carPath, carPath);
+  
+  return carPath;
+};
+
+/**
+ * Get the status of stored content
+ * @param {string} cid - Root CID
+ * @returns {Promise<Object>} - Content status
+ */
+const stat = async (cid) => {
+  const record = await readRecord(cid);
+  
+  return {
+    cid,
+    available: Boolean(record),
+    size: record ? record.size : null,
+    pinned: Boolean(record && record.pinned),
+    created: record ? record.created : null,
+    pins: [],
+    deals: []
+  };
+};
+
+/**
+ * Pin stored content
+ * @param {string} cid - Root CID
+ * @returns {Promise<void>}
+ */
+const pin = async (cid) => {
+  const record = await readRecord(cid);
+  if (!record) {
+    throw new Error(`Content not found: ${cid}`);
+  }
+  
+  await writeRecord({ ...record, pinned: true });
+};
+
+/**
+ * Unpin content, removing it from the store
+ * @param {string} cid - Root CID
+ * @returns {Promise<void>}
+ */
+const unpin = async (cid) => {
+  const paths = getPaths(cid);
+  
+  await fs.promises.rm(paths.recordPath, { force: true });
+  await fs.promises.rm(paths.carPath, { force: true });
+};
+
+/**
+ * Get the status of a storage deal
+ * @param {Object} deal - Deal reference
+ * @param {string} [deal.cid] - Root CID of the deal's content
+ * @returns {Promise<Object|null>} - Deal status, or null if the content is not held
+ */
+const dealStatus = async ({ cid } = {}) => {
+  if (cid && !(await readRecord(cid))) {
+    return null;
+  }
+  
+  return {
+    status: 'StorageDealActive',
+    active: true,
+    published: true,
+    expiration: null,
+    message: 'Deal simulated by the local storage backend'
+  };
+};
+
+/**
+ * Get the current chain head
+ * @returns {Promise<Object>} - Current epoch and parent base fee in attoFIL
+ */
+const chainHead = async () => ({
+  epoch: Math.floor((Date.now() - GENESIS_TIME) / EPOCH_DURATION_MS),
+  baseFee: '100'
+});
+
+/**
+ * List storage providers
+ * @returns {Promise<Array>} - The simulated provider
+ */
+const listProviders = async () => [LOCAL_PROVIDER];
+
+/**
+ * Propose a storage deal; the deal is active while its content is held
+ * @param {Object} deal - Deal proposal, see the Lotus backend
+ * @returns {Promise<Object>} - Proposal CID and the client address
+ */
+const startDeal = async (deal) => {
+  if (!(await readRecord(deal.cid))) {
+    throw new Error(`Content not found: ${deal.cid}`);
+  }
+  
+  const dealCid = `local${crypto.createHash('sha256')
+    .update(`${deal.cid}:${deal.provider}:${deal.startEpoch}:${Date.now()}`)
+    .digest('hex')}`;
+  
+  logger.debug('Deal simulated by the local storage backend', { cid: deal.cid, dealCid });
+  
+  return { dealCid, clientAddress: LOCAL_CLIENT_ADDRESS };
+};
+
+module.exports = {
+  name: 'local',
+  putCar,
+  getCar,
+  stat,
+  pin,
+  unpin,
+  dealStatus,
+  chainHead,
+  listProviders,
+  startDeal
+};
@@ -0,0 +1,307 @@
+/**
+ * Lotus backend
+ * Imports CARs into a Lotus node for deal making, proposes deals and retrieves content from storage providers
+ */
+const fs = require('fs');
+const { LotusRPC } = require('@filecoin-shipyard/lotus-client-rpc');
+const { NodejsProvider } = require('@filecoin-shipyard/lotus-client-provider-nodejs');
+const filecoinConfig = require('../../config/filecoin');
+const { getTempFilePath } = require('../../utils/file');
+const logger = require('../../utils/logger');
+
+const lotusProvider = new NodejsProvider(filecoinConfig.lotusApiUrl, {
+  token: filecoinConfig.lotusAuthToken
+});
+const lotusClient = new LotusRPC(lotusProvider);
+
+/**
+ * Import a CAR file into the Lotus client store
+ * @param {string} carPath - Path to the CAR file
+ * @returns {Promise<Object>} - Root CID and CAR size
+ */
+const putCar = async (carPath) => {
+  const result = await lotusClient.clientImport({ Path: carPath, IsCAR: true });
+  const { size } = await fs.promises.stat(carPath);
+  
+  return { cid: result.Root['/'], size };
+};
+
+/**
+ * Find a retrieval offer for content
+ * @param {string} cid - Root CID
+ * @param {Object} [options] - Retrieval options
+ * @param {string} [options.minerId] - Provider to retrieve from; any provider holding the content by default
+ * @param {string} [options.pieceCid] - Piece holding the content
+ * @returns {Promise<Object>} - Retrieval offer
+ */
+const findOffer = async (cid, { minerId, pieceCid } = {}) => {
+  const piece = pieceCid ? { '/': pieceCid } : null;
+  
+  if (minerId) {
+    const offer = await lotusClient.clientMinerQueryOffer(minerId, { '/': cid }, piece);
+    if (offer.Err) {
+      throw new Error(`Provider ${minerId} has no retrieval offer: ${offer.Err}`);
+    }
+    return offer;
+  }
+  
+  const offers = await lotusClient.clientFindData({ '/': cid }, piece);
+  const offer = (offers || []).find(entry => !entry.Err);
+  if (!offer) {
+    throw new Error('No storage provider has a retrieval offer for the content');
+  }
+  return offer;
+};
+
+/**
+ * Retrieve content from a storage provider as a CAR file
+ * @param {string} cid - Root CID
+ * @param {Object} [options] - Retrieval options, see findOffer
+ * @returns {Promise<string>} - Path of the temporary CAR file
+ */
+const getCar = async (cid, options = {}) => {
+  const carPath = await getTempFilePath('retrieval', '.car');
+  
+  try {
+    const offer = await findOffer(cid, options);
+    
+    await lotusClient.clientRetrieve({
+      Root: { '/': cid },
+      Piece: offer.Piece,
+      Size: offer.Size,
+      Total: offer.MinPrice,
+      UnsealPrice: offer.UnsealPrice,
+      PaymentInterval: offer.PaymentInterval,
+      PaymentIntervalIncrease: offer.PaymentIntervalIncrease,
+      Client: await lotusClient.walletDefaultAddress(),
+      Miner: offer.Miner,
+      MinerPeer: offer.MinerPeer
+    }, { Path: carPath, IsCAR: true });
+    
+    if (!fs.existsSync(carPath)) {
+      throw new Error(`Retrieval from ${offer.Miner} produced no data`);
+    }
+    
+    logger.info('CAR retrieved from provider', { cid, minerId: offer.Miner });
+    return carPath;
+  } catch (error) {
+    await fs.promises.rm(carPath, { force: true });
+    throw error;
+  }
+};
+
+/**
+ * Get the status of content in the client store and with storage providers
+ * @param {string} cid - Root CID
+ * @returns {Promise<Object>} - Content status; content imported into the node counts as pinned
+ */
+const stat = async (cid) => {
+  const local = await lotusClient.clientHasLocal({ '/': cid });
+  let offer = null;
+  
+  try {
+    offer = await findOffer(cid);
+  } catch (error) {
+    logger.debug('No retrieval offer for content', { cid, error: error.message });
+  }
+  
+  return {
+    cid,
+    available: Boolean(local || offer),
+    size: offer ? offer.Size : null,
+    pinned: Boolean(local),
+    created: null,
+    pins: [],
+    deals: []
+  };
+};
+
+/**
+ * Pin content; Lotus keeps what is imported into its client store
+ * @param {string} cid - Root CID
+ * @returns {Promise<void>}
+ */
+const pin = async (cid) => {
+  if (!(await lotusClient.clientHasLocal({ '/': cid }))) {
+    throw new Error(`Lotus can only pin content imported into the node: ${cid}`);
+  }
+};
+
+/**
+ * Remove imported content from the client store
+ * @param {string} cid - Root CID
+ * @returns {Promise<void>}
+ */
+const unpin = async (cid) => {
+  const imports = await lotusClient.clientListImports();
+  
+  for (const entry of imports || []) {
+    if (entry.Root && entry.Root['/'] === cid) {
+      await lotusClient.clientRemoveImport(entry.Key);
+    }
+  }
+};
+
+/**
+ * Get the status of a storage deal from Lotus
+ * @param {Object} deal - Deal reference
+ * @param {string|number} deal.dealId - Deal ID
+ * @param {string} [deal.dealCid] - Proposal CID of the deal
+ * @returns {Promise<Object|null>} - Deal status, or null without a proposal CID
+ */
+const dealStatus = async ({ dealId, dealCid } = {}) => {
+  if (!dealCid) {
+    return null;
+  }
+  
+  const lotusStatus = await lotusClient.clientGetDealStatus(dealCid);
+  
+  // Check if the deal is published on chain
+  let published = false;
+  let expiration = null;
+  
+  try {
+    const dealInfo = await lotusClient.stateMarketDeal(dealId, []);
+    if (dealInfo) {
+      published = true;
+      expiration = dealInfo.Proposal.EndEpoch;
+    }
+  } catch (marketError) {
+    // Deal might not be on chain yet
+    logger.debug('Deal not found on chain', { dealId, error: marketError.message });
+  }
+  
+  return {
+    status: lotusStatus.State,
+    active: lotusStatus.State === 'StorageDealActive',
+    published,
+    expiration,
+    message: lotusStatus.Message || null
+  };
+};
+
+/**
+ * Get the current chain head
+ * @returns {Promise<Object>} - Current epoch and parent base fee in attoFIL
+ */
+const chainHead = async () => {
+  const head = await lotusClient.chainHead();
+  
+  return {
+    epoch: head.Height,
+    baseFee: head.Blocks[0].ParentBaseFee
+  };
+};
+
+/**
+ * List storage providers with power, with their storage ask
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.limit=50] - Miners to look at, from the start of the miner list
+ * @returns {Promise<Array>} - Providers; ask is null when the provider did not answer
+ */
+const listProviders = async ({ limit = 50 } = {}) => {
+  const miners = await lotusClient.stateListMiners([]);
+  
+  const providers = await Promise.all(miners.slice(0, limit).map(async (minerId) => {
+    try {
+      const minerPower = await lotusClient.stateMinerPower(minerId, []);
+      
+      // Skip miners with no power
+      if (!minerPower || !minerPower.MinerPower || !minerPower.MinerPower.QualityAdjPower ||
+          minerPower.MinerPower.QualityAdjPower === '0') {
+        return null;
+      }
+      
+      const minerInfo = await lotusClient.stateMinerInfo(minerId, []);
+      
+      let ask = null;
+      try {
+        const askResponse = await lotusClient.clientQueryAsk(minerId, []);
+        ask = {
+          price: askResponse.Price,
+          verifiedPrice: askResponse.VerifiedPrice,
+          minPieceSize: askResponse.MinPieceSize,
+          maxPieceSize: askResponse.MaxPieceSize
+        };
+      } catch (askError) {
+        logger.debug(`Error getting ask from miner ${minerId}`, { error: askError.message });
+      }
+      
+      return {
+        id: minerId,
+        power: minerPower.MinerPower.QualityAdjPower,
+        sectorSize: minerInfo.SectorSize,
+        multiaddrs: minerInfo.Multiaddrs || [],
+        ask
+      };
+    } catch (error) {
+      logger.debug(`Error getting details for miner ${minerId}`, { error: error.message });
+      return null;
+    }
+  }));
+  
+  return providers.filter(Boolean);
+};
+
+/**
+ * Calculate the piece commitment of a CAR file
+ * @param {string} carPath - Path to the CAR file
+ * @returns {Promise<Object>} - Piece CID and padded piece size
+ */
+const calcCommP = async (carPath) => {
+  const result = await lotusClient.clientCalcCommP(carPath);
+  
+  return {
+    pieceCid: result.Root['/'],
+    pieceSize: result.Size
+  };
+};
+
+/**
+ * Propose a storage deal from the node's default wallet
+ * @param {Object} deal - Deal proposal
+ * @param {string} deal.cid - Root CID of content imported into the node
+ * @param {string} deal.pieceCid - Piece CID
+ * @param {number} deal.pieceSize - Padded piece size
+ * @param {string} deal.provider - Storage provider
+ * @param {number} deal.startEpoch - Epoch the deal starts at
+ * @param {number} deal.duration - Deal duration in epochs
+ * @param {string} deal.epochPrice - Price per epoch in attoFIL
+ * @param {boolean} deal.verifiedDeal - Whether the deal uses DataCap
+ * @returns {Promise<Object>} - Proposal CID and the client wallet
+ */
+const startDeal = async (deal) => {
+  const wallet = await lotusClient.walletDefaultAddress();
+  
+  const dealCid = await lotusClient.clientStartDeal({
+    Data: {
+      TransferType: 'graphsync',
+      Root: { '/': deal.cid },
+      PieceCid: { '/': deal.pieceCid },
+      PieceSize: deal.pieceSize
+    },
+    Wallet: wallet,
+    Miner: deal.provider,
+    EpochPrice: deal.epochPrice,
+    MinBlocksDuration: deal.duration,
+    DealStartEpoch: deal.startEpoch,
+    FastRetrieval: true,
+    VerifiedDeal: deal.verifiedDeal
+  });
+  
+  return { dealCid: dealCid['/'], clientAddress: wallet };
+};
+
+module.exports = {
+  name: 'lotus',
+  putCar,
+  getCar,
+  stat,
+  pin,
+  unpin,
+  dealStatus,
+  chainHead,
+  listProviders,
+  calcCommP,
+  startDeal
+};
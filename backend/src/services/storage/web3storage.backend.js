@@ -0,0 +1,151 @@
+/**
+ * Web3.Storage backend
+ * Web3.Storage pins uploaded content and makes Filecoin deals for it on its own
+ */
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Web3Storage } = require('web3.storage');
+const { CarIndexedReader } = require('@ipld/car');
+const filecoinConfig = require('../../config/filecoin');
+const { getTempFilePath } = require('../../utils/file');
+const logger = require('../../utils/logger');
+
+const web3Storage = new Web3Storage({ token: filecoinConfig.web3StorageToken });
+
+/**
+ * Upload a CAR file, reading blocks from it as they are sent
+ * @param {string} carPath - Path to the CAR file
+ * @param {Object} [options] - Upload options
+ * @param {string} [options.name] - Upload name
+ * @returns {Promise<Object>} - Root CID and CAR size
+ */
+const putCar = async (carPath, options = {}) => {
+  const carReader = await CarIndexedReader.fromFile(carPath);
+  
+  try {
+    const cid = await web3Storage.putCar(carReader, {
+      name: options.name,
+      onStoredChunk: (size) => {
+        logger.debug('Stored chunk', { size });
+      }
+    });
+    
+    const { size } = await fs.promises.stat(carPath);
+    return { cid, size };
+  } finally {
+    await carReader.close();
+  }
+};
+
+/**
+ * Download content as a CAR file
+ * @param {string} cid - Root CID
+ * @returns {Promise<string>} - Path of the temporary CAR file
+ */
+const getCar = async (cid) => {
+  const res = await web3Storage.get(cid);
+  if (!res || !res.ok) {
+    throw new Error(`Failed to retrieve CAR: ${res ? res.statusText : 'not found'}`);
+  }
+  
+  const carPath = await getTempFilePath('web3storage', '.car');
+  try {
+    await pipeline(Readable.from(res.body), fs.createWriteStream(carPath));
+  } catch (error) {
+    await fs.promises.rm(carPath, { force: true });
+    throw error;
+  }
+  
+  return carPath;
+};
+
+/**
+ * Get the pins and deals of uploaded content
+ * @param {string} cid - Root CID
+ * @returns {Promise<Object>} - Content status
+ */
+const stat = async (cid) => {
+  const status = await web3Storage.status(cid);
+  
+  if (!status) {
+    return { cid, available: false, size: null, pinned: false, created: null, pins: [], deals: [] };
+  }
+  
+  return {
+    cid,
+    available: true,
+    size: status.dagSize,
+    pinned: (status.pins || []).some(pin => pin.status === 'Pinned'),
+    created: status.created,
+    pins: status.pins || [],
+    deals: (status.deals || []).map(deal => ({
+      dealId: deal.dealId,
+      storageProvider: deal.storageProvider,
+      status: deal.status,
+      pieceCid: deal.pieceCid,
+      dataCid: deal.dataCid,
+      dataModelSelector: deal.dataModelSelector,
+      activation: deal.activation,
+      expiration: deal.expiration
+    }))
+  };
+};
+
+/**
+ * Pin content; Web3.Storage pins what is uploaded to it, so this only checks the content is there
+ * @param {string} cid - Root CID
+ * @returns {Promise<void>}
+ */
+const pin = async (cid) => {
+  const { available } = await stat(cid);
+  if (!available) {
+    throw new Error(`Web3.Storage can only pin content uploaded to it: ${cid}`);
+  }
+};
+
+/**
+ * Unpin content
+ * @returns {Promise<void>}
+ */
+const unpin = async () => {
+  throw new Error('Web3.Storage does not support unpinning content');
+};
+
+/**
+ * Get the status of a deal Web3.Storage made for uploaded content
+ * @param {Object} deal - Deal reference
+ * @param {string} [deal.cid] - Root CID of the deal's content
+ * @param {string|number} deal.dealId - Deal ID
+ * @returns {Promise<Object|null>} - Deal status, or null if Web3.Storage does not know the deal
+ */
+const dealStatus = async ({ cid, dealId } = {}) => {
+  if (!cid) {
+    return null;
+  }
+  
+  const { deals } = await stat(cid);
+  const deal = deals.find(entry => String(entry.dealId) === String(dealId));
+  
+  if (!deal) {
+    return null;
+  }
+  
+  return {
+    status: deal.status,
+    active: deal.status === 'Active',
+    published: deal.status !== 'Queued',
+    expiration: deal.expiration,
+    message: null
+  };
+};
+
+module.exports = {
+  name: 'web3storage',
+  putCar,
+  getCar,
+  stat,
+  pin,
+  unpin,
+  dealStatus
+};
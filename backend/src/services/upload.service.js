@@ -0,0 +1,372 @@
+/**
+ * Service for resumable dataset uploads
+ * A file arrives in chunks, each written at the offset the server has stored and checked against its
+ * SHA-256 checksum, so an interrupted upload continues from the last stored chunk. Once every byte
+ * has arrived the file is assembled and handed to the dataset creation pipeline.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const datasetService = require('./dataset.service');
+const appConfig = require('../config/app');
+const DB = require('../models');
+const logger = require('../utils/logger');
+
+// Uploads with a request in progress in this process; chunks of one upload are written one at a time
+const busyUploads = new Set();
+
+/**
+ * Get the path of an upload's partial file
+ * @param {string} id - Upload ID
+ * @returns {string} - Partial file path
+ */
+const getPartPath = (id) => path.join(appConfig.uploadDir, 'partial', `${id}.part`);
+
+/**
+ * Get the expiry of an upload that just received data
+ * @returns {Date} - Expiry
+ */
+const getExpiry = () => new Date(Date.now() + appConfig.uploadExpirationHours * 60 * 60 * 1000);
+
+/**
+ * Format an upload for API responses
+ * @param {Object} upload - Upload row
+ * @returns {Object} - Upload information
+ */
+const formatUpload = (upload) => ({
+  id: upload.id,
+  fileName: upload.fileName,
+  fileSize: Number(upload.fileSize),
+  chunkSize: upload.chunkSize,
+  offset: Number(upload.offset),
+  status: upload.status,
+  checksum: upload.checksum,
+  creationId: upload.creationId,
+  expiresAt: upload.expiresAt,
+  createdAt: upload.createdAt
+});
+
+/**
+ * Find an upload of a user
+ * @param {string} id - Upload ID
+ * @param {string} owner - Requester's wallet address
+ * @returns {Promise<Object>} - Upload row
+ */
+const findUpload = async (id, owner) => {
+  const upload = await DB.Upload.findByPk(id);
+  if (!upload) {
+    throw new Error(`Upload not found: ${id}`);
+  }
+
+  if (upload.owner.toLowerCase() !== owner.toLowerCase()) {
+    throw new Error('Only the uploader can access an upload');
+  }
+
+  return upload;
+};
+
+/**
+ * Make sure an upload still accepts requests
+ * @param {Object} upload - Upload row
+ */
+const assertUploading = (upload) => {
+  if (upload.status !== 'uploading') {
+    throw new Error(`Upload is not in progress: ${upload.status}`);
+  }
+};
+
+/**
+ * Run work on an upload while no other request works on it
+ * @param {string} id - Upload ID
+ * @param {Function} work - Work to run
+ * @returns {Promise<*>} - Result of the work
+ */
+const withUpload = async (id, work) => {
+  if (busyUploads.has(id)) {
+    throw new Error('Upload is busy with another request');
+  }
+
+  busyUploads.add(id);
+  try {
+    return await work();
+  } finally {
+    busyUploads.delete(id);
+  }
+};
+
+/**
+ * Parse a chunk checksum given as "sha256 <base64 digest>"
+ * @param {string} checksum - Checksum header value
+ * @returns {Buffer} - Digest
+ */
+const parseChecksum = (checksum) => {
+  const match = /^sha256 ([A-Za-z0-9+/]+={0,2})$/.exec(checksum || '');
+  const digest = match ? Buffer.from(match[1], 'base64') : null;
+
+  if (!digest || digest.length !== 32) {
+    throw new Error('Invalid checksum: expected "sha256 <base64 digest>"');
+  }
+
+  return digest;
+};
+
+/**
+ * Start a resumable upload
+ * @param {Object} params - Upload parameters
+ * @param {string} params.fileName - Name of the file
+ * @param {number} params.fileSize - Size of the file in bytes
+ * @param {string} owner - Uploader's wallet address
+ * @returns {Promise<Object>} - Upload, with the chunk size to send
+ */
+const createUpload = async ({ fileName, fileSize }, owner) => {
+  try {
+    const name = path.basename(String(fileName || ''));
+    if (!name || name === '.' || name === '..') {
+      throw new Error('Invalid file name');
+    }
+
+    if (!Number.isSafeInteger(fileSize) || fileSize < 1 || fileSize > appConfig.uploadMaxSize) {
+      throw new Error(`Invalid file size: must be between 1 and ${appConfig.uploadMaxSize} bytes`);
+    }
+
+    const upload = await DB.Upload.create({
+      owner,
+      fileName: name,
+      fileSize,
+      chunkSize: appConfig.uploadChunkSize,
+      offset: 0,
+      status: 'uploading',
+      expiresAt: getExpiry()
+    });
+
+    await fs.promises.mkdir(path.dirname(getPartPath(upload.id)), { recursive: true });
+    await fs.promises.writeFile(getPartPath(upload.id), '');
+
+    logger.info('Upload started', { id: upload.id, owner, fileSize });
+
+    return formatUpload(upload);
+  } catch (error) {
+    logger.error('Error starting upload', { error: error.message, owner });
+    throw error;
+  }
+};
+
+/**
+ * Get an upload, including the offset to resume from
+ * @param {string} id - Upload ID
+ * @param {string} owner - Requester's wallet address
+ * @returns {Promise<Object>} - Upload
+ */
+const getUpload = async (id, owner) => {
+  try {
+    return formatUpload(await findUpload(id, owner));
+  } catch (error) {
+    logger.error('Error getting upload', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Write a chunk at the stored offset
+ * The chunk is only counted once its checksum matches; anything written for a chunk that failed,
+ * or that was never confirmed before a crash, is cut off before the next chunk is written.
+ * @param {string} id - Upload ID
+ * @param {string} owner - Requester's wallet address
+ * @param {Object} chunk - Chunk to write
+ * @param {number} chunk.offset - Offset the client is sending from; must be the stored offset
+ * @param {string} chunk.checksum - SHA-256 of the chunk as "sha256 <base64 digest>"
+ * @param {Readable} chunk.source - Chunk data
+ * @returns {Promise<Object>} - Upload with its new offset
+ */
+const appendChunk = async (id, owner, { offset, checksum, source }) => {
+  try {
+    const expected = parseChecksum(checksum);
+
+    return await withUpload(id, async () => {
+      const upload = await findUpload(id, owner);
+      assertUploading(upload);
+
+      const current = Number(upload.offset);
+      if (offset !== current) {
+        throw new Error(`Upload offset mismatch: expected ${current}`);
+      }
+
+      const limit = Math.min(upload.chunkSize, Number(upload.fileSize) - current);
+      const partPath = getPartPath(id);
+      const hash = crypto.createHash('sha256');
+      let received = 0;
+
+      const meter = new Transform({
+        transform(data, encoding, callback) {
+          received += data.length;
+          if (received > limit) {
+            return callback(new Error(`Invalid chunk: larger than ${limit} bytes`));
+          }
+          hash.update(data);
+          callback(null, data);
+        }
+      });
+
+      await fs.promises.truncate(partPath, current);
+
+      try {
+        await pipeline(source, meter, fs.createWriteStream(partPath, { flags: 'r+', start: current }));
+
+        if (received === 0) {
+          throw new Error('Invalid chunk: no data');
+        }
+
+        if (!hash.digest().equals(expected)) {
+          throw new Error('Checksum mismatch: the chunk was not stored');
+        }
+      } catch (error) {
+        await fs.promises.truncate(partPath, current);
+        throw error;
+      }
+
+      await upload.update({ offset: current + received, expiresAt: getExpiry() });
+
+      return formatUpload(upload);
+    });
+  } catch (error) {
+    logger.error('Error writing upload chunk', { error: error.message, id, offset });
+    throw error;
+  }
+};
+
+/**
+ * Hash a file with SHA-256
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} - Hex digest
+ */
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+/**
+ * Assemble a fully received upload and start creating a dataset from it
+ * The dataset creation pipeline removes the assembled file once it ends.
+ * @param {string} id - Upload ID
+ * @param {string} owner - Requester's wallet address
+ * @param {Object} dataset - Dataset fields, as taken by datasetService.createDataset
+ * @returns {Promise<Object>} - Completed upload and the dataset creation status
+ */
+const completeUpload = async (id, owner, dataset) => {
+  try {
+    return await withUpload(id, async () => {
+      const upload = await findUpload(id, owner);
+      assertUploading(upload);
+
+      const offset = Number(upload.offset);
+      const fileSize = Number(upload.fileSize);
+      if (offset < fileSize) {
+        throw new Error(`Upload is incomplete: ${offset} of ${fileSize} bytes received`);
+      }
+
+      const partPath = getPartPath(id);
+      const filePath = path.join(appConfig.uploadDir, `${id}-${upload.fileName.replace(/[^\w.-]+/g, '_')}`);
+      const checksum = await hashFile(partPath);
+
+      await fs.promises.rename(partPath, filePath);
+
+      let creation;
+      try {
+        creation = await datasetService.createDataset({
+          name: dataset.name,
+          description: dataset.description,
+          dataType: dataset.dataType,
+          license: dataset.license,
+          contributors: dataset.contributors,
+          tags: dataset.tags,
+          encrypt: dataset.encrypt,
+          file: filePath,
+          fileName: upload.fileName,
+          creator: upload.owner
+        });
+      } catch (error) {
+        // Keep the upload so completing can be retried
+        await fs.promises.rename(filePath, partPath);
+        throw error;
+      }
+
+      await upload.update({ status: 'completed', checksum, creationId: creation.id });
+
+      logger.info('Upload completed', { id, checksum, creationId: creation.id });
+
+      return {
+        upload: formatUpload(upload),
+        creation
+      };
+    });
+  } catch (error) {
+    logger.error('Error completing upload', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Cancel an upload and remove its data
+ * @param {string} id - Upload ID
+ * @param {string} owner - Requester's wallet address
+ * @returns {Promise<Object>} - Cancelled upload
+ */
+const cancelUpload = async (id, owner) => {
+  try {
+    return await withUpload(id, async () => {
+      const upload = await findUpload(id, owner);
+      assertUploading(upload);
+
+      await fs.promises.rm(getPartPath(id), { force: true });
+      await upload.update({ status: 'cancelled' });
+
+      return formatUpload(upload);
+    });
+  } catch (error) {
+    logger.error('Error cancelling upload', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Expire uploads that have not received data in time and remove their data
+ * @returns {Promise<number>} - Number of uploads expired
+ */
+const expireUploads = async () => {
+  const uploads = await DB.Upload.findAll({
+    where: {
+      status: 'uploading',
+      expiresAt: { [DB.Sequelize.Op.lt]: new Date() }
+    }
+  });
+
+  let expired = 0;
+  for (const upload of uploads) {
+    // An upload still receiving a chunk is not stale
+    if (busyUploads.has(upload.id)) {
+      continue;
+    }
+
+    try {
+      await fs.promises.rm(getPartPath(upload.id), { force: true });
+      await upload.update({ status: 'expired' });
+      expired++;
+    } catch (error) {
+      logger.error('Error expiring upload', { error: error.message, id: upload.id });
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  createUpload,
+  getUpload,
+  appendChunk,
+  completeUpload,
+  cancelUpload,
+  expireUploads
+};
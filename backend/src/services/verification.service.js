@@ -0,0 +1,456 @@
+/**
+ * Service for the dataset verification workflow of the VerificationRegistry contract
+ * Dataset owners request verification and pay the fee from their wallet, admins assign a verifier
+ * holding the verifier role, and the verifier submits a report whose IPFS CID completes the request
+ * on-chain with an approve or reject decision.
+ */
+const contractsService = require('./contracts.service');
+const ipfsService = require('./ipfs.service');
+const provenanceService = require('./provenance.service');
+const notificationService = require('./notification.service');
+const logger = require('../utils/logger');
+const DB = require('../models');
+
+// Results recorded on-chain for each report decision
+const DECISION_RESULTS = {
+  approve: 'VERIFIED',
+  reject: 'REJECTED'
+};
+
+/**
+ * Format a verification request for API responses
+ * @param {Object} request - VerificationRequest row
+ * @returns {Object} - Verification request information
+ */
+const formatRequest = (request) => ({
+  id: request.id,
+  onChainId: request.onChainId,
+  datasetId: request.datasetId,
+  requester: request.requester,
+  method: request.method,
+  details: request.details,
+  fee: request.fee,
+  status: request.status,
+  assignedVerifier: request.assignedVerifier,
+  assignedBy: request.assignedBy,
+  assignedAt: request.assignedAt,
+  report: request.report,
+  reportCid: request.reportCid,
+  result: request.result,
+  completedAt: request.completedAt,
+  requestTxHash: request.requestTxHash,
+  assignTxHash: request.assignTxHash,
+  completeTxHash: request.completeTxHash,
+  createdAt: request.createdAt
+});
+
+/**
+ * Send a notification without failing the workflow step that triggered it
+ * @param {Object} notification - Notification to send
+ * @returns {Promise<void>}
+ */
+const notifyQuietly = async (notification) => {
+  try {
+    await notificationService.notify(notification);
+  } catch (error) {
+    logger.error('Error notifying about verification', { error: error.message, type: notification.type });
+  }
+};
+
+/**
+ * Find a verification request row
+ * @param {string} id - Verification request ID
+ * @returns {Promise<Object>} - VerificationRequest row
+ */
+const findRequest = async (id) => {
+  const request = await DB.VerificationRequest.findByPk(id);
+  if (!request) {
+    throw new Error(`Verification request not found: ${id}`);
+  }
+  
+  return request;
+};
+
+/**
+ * Record a request read from the contract, once
+ * @param {Object} onChainRequest - Request as returned by contractsService.getVerificationRequest
+ * @param {Object} dataset - Dataset row the request is for
+ * @param {Object} details - Request details
+ * @param {string} [details.transactionHash] - Hash of the requestVerification transaction
+ * @param {string} [details.fee] - Fee paid in wei
+ * @returns {Promise<Object>} - VerificationRequest row
+ */
+const saveRequest = async (onChainRequest, dataset, details) => {
+  const existing = await DB.VerificationRequest.findOne({ where: { onChainId: onChainRequest.id } });
+  if (existing) {
+    if (!existing.requestTxHash && details.transactionHash) {
+      await existing.update({ requestTxHash: details.transactionHash });
+    }
+    return existing;
+  }
+  
+  const request = await DB.VerificationRequest.create({
+    onChainId: onChainRequest.id,
+    datasetId: dataset.id,
+    requester: onChainRequest.requester.toLowerCase(),
+    method: onChainRequest.method,
+    details: onChainRequest.details,
+    fee: details.fee || null,
+    status: 'pending',
+    requestTxHash: details.transactionHash || null
+  });
+  
+  logger.info('Verification requested', {
+    id: request.id,
+    onChainId: request.onChainId,
+    datasetId: dataset.id,
+    requester: request.requester
+  });
+  
+  return request;
+};
+
+/**
+ * Record a verification request the dataset owner made and paid for on the VerificationRegistry
+ * @param {string} datasetId - Dataset ID
+ * @param {string} requester - Requester's wallet address
+ * @param {Object} details - Request details
+ * @param {string} details.transactionHash - Hash of the requestVerification transaction
+ * @returns {Promise<Object>} - Verification request
+ */
+const requestVerification = async (datasetId, requester, details) => {
+  try {
+    const dataset = await DB.Dataset.findByPk(datasetId);
+    if (!dataset) {
+      throw new Error(`Dataset not found: ${datasetId}`);
+    }
+    
+    if (dataset.creator.toLowerCase() !== requester.toLowerCase()) {
+      throw new Error('Only the dataset owner can request verification');
+    }
+    
+    if (!dataset.tokenId) {
+      throw new Error('Invalid request: dataset is not registered on-chain');
+    }
+    
+    const recorded = await DB.VerificationRequest.findOne({
+      where: { requestTxHash: details.transactionHash }
+    });
+    if (recorded) {
+      throw new Error(`Verification request already recorded for transaction: ${details.transactionHash}`);
+    }
+    
+    const onChainId = await contractsService.getVerificationRequestId(details.transactionHash);
+    if (!onChainId) {
+      throw new Error('Invalid transaction: it did not create a verification request');
+    }
+    
+    const onChainRequest = await contractsService.getVerificationRequest(onChainId);
+    
+    if (onChainRequest.datasetId !== dataset.tokenId.toString()) {
+      throw new Error('Invalid transaction: the verification request is for another dataset');
+    }
+    
+    if (onChainRequest.requester.toLowerCase() !== requester.toLowerCase()) {
+      throw new Error('Invalid transaction: the verification request was made by another wallet');
+    }
+    
+    const fee = await contractsService.getVerificationFee();
+    
+    // The chain indexer may have recorded the request already
+    const request = await saveRequest(onChainRequest, dataset, {
+      transactionHash: details.transactionHash,
+      fee
+    });
+    
+    return formatRequest(request);
+  } catch (error) {
+    logger.error('Error requesting verification', { error: error.message, datasetId, requester });
+    throw error;
+  }
+};
+
+/**
+ * Record a verification request made directly on the VerificationRegistry contract
+ * @param {string} onChainId - On-chain request ID
+ * @param {string} [transactionHash] - Hash of the requestVerification transaction
+ * @returns {Promise<Object|null>} - Verification request, or null if its dataset is not known here
+ */
+const recordOnChainRequest = async (onChainId, transactionHash) => {
+  try {
+    const onChainRequest = await contractsService.getVerificationRequest(onChainId);
+    
+    const dataset = await DB.Dataset.findOne({ where: { tokenId: onChainRequest.datasetId } });
+    if (!dataset) {
+      return null;
+    }
+    
+    const request = await saveRequest(onChainRequest, dataset, { transactionHash });
+    
+    return formatRequest(request);
+  } catch (error) {
+    logger.error('Error recording on-chain verification request', { error: error.message, onChainId });
+    throw error;
+  }
+};
+
+/**
+ * Assign a verifier to a pending verification request
+ * The contract only accepts verifiers holding its verifier role.
+ * @param {string} id - Verification request ID
+ * @param {string} verifier - Verifier's wallet address
+ * @param {string} admin - Assigning admin's wallet address
+ * @returns {Promise<Object>} - Verification request
+ */
+const assignVerifier = async (id, verifier, admin) => {
+  try {
+    const request = await findRequest(id);
+    
+    if (request.status !== 'pending') {
+      throw new Error(`Verification request is not pending: ${request.status}`);
+    }
+    
+    const { receipt } = await contractsService.assignVerifier(request.onChainId, verifier);
+    
+    await request.update({
+      status: 'assigned',
+      assignedVerifier: verifier.toLowerCase(),
+      assignedBy: admin.toLowerCase(),
+      assignedAt: new Date(),
+      assignTxHash: receipt.transactionHash
+    });
+    
+    await notifyQuietly({
+      recipient: verifier,
+      type: 'verification_assigned',
+      title: 'Dataset verification assigned',
+      message: 'You have been assigned to verify a dataset',
+      data: { verificationRequestId: request.id, datasetId: request.datasetId }
+    });
+    
+    logger.info('Verifier assigned', { id, verifier, admin });
+    
+    return formatRequest(request);
+  } catch (error) {
+    logger.error('Error assigning verifier', { error: error.message, id, verifier });
+    throw error;
+  }
+};
+
+/**
+ * Submit the assigned verifier's report and complete the verification request on-chain
+ * The report is stored on IPFS and its CID recorded on-chain as the request's feedback. Approving
+ * marks the dataset verified; a report cannot approve a dataset that failed a checklist item.
+ * @param {string} id - Verification request ID
+ * @param {string} verifier - Verifier's wallet address
+ * @param {Object} report - Verification report
+ * @param {string} report.decision - approve or reject
+ * @param {Array<Object>} report.checklist - Checklist items, each with item, passed and optional notes
+ * @param {Array<string>} [report.evidenceCids] - CIDs of the evidence the verifier relied on
+ * @param {string} [report.summary] - Summary of the findings
+ * @returns {Promise<Object>} - Verification request
+ */
+const submitReport = async (id, verifier, report) => {
+  try {
+    const request = await findRequest(id);
+    
+    if (request.status !== 'assigned') {
+      throw new Error(`Verification request is not awaiting a report: ${request.status}`);
+    }
+    
+    if (request.assignedVerifier.toLowerCase() !== verifier.toLowerCase()) {
+      throw new Error('Only the assigned verifier can submit a report');
+    }
+    
+    const result = DECISION_RESULTS[report.decision];
+    if (!result) {
+      throw new Error(`Invalid report: unknown decision ${report.decision}`);
+    }
+    
+    const checklist = report.checklist.map(entry => ({
+      item: entry.item,
+      passed: entry.passed,
+      notes: entry.notes || null
+    }));
+    
+    if (report.decision === 'approve' && checklist.some(entry => !entry.passed)) {
+      throw new Error('Invalid report: a dataset that failed checklist items cannot be approved');
+    }
+    
+    const dataset = await DB.Dataset.findByPk(request.datasetId);
+    if (!dataset) {
+      throw new Error(`Dataset not found: ${request.datasetId}`);
+    }
+    
+    const submittedAt = new Date();
+    const document = {
+      type: 'dataset-verification-report',
+      verificationRequestId: request.onChainId,
+      // The ingest profile the verifier could check the content against
+      dataset: { id: dataset.id, tokenId: dataset.tokenId, cid: dataset.cid, profileCid: dataset.profileCid || null },
+      method: request.method,
+      verifier: verifier.toLowerCase(),
+      decision: report.decision,
+      result,
+      checklist,
+      evidenceCids: report.evidenceCids || [],
+      summary: report.summary || null,
+      submittedAt: submittedAt.toISOString()
+    };
+    
+    const reportCid = await ipfsService.uploadMetadata(document);
+    const { receipt } = await contractsService.completeVerification(request.onChainId, result, reportCid);
+    
+    await request.update({
+      status: report.decision === 'approve' ? 'verified' : 'rejected',
+      report: {
+        checklist,
+        evidenceCids: document.evidenceCids,
+        summary: document.summary
+      },
+      reportCid,
+      result,
+      completedAt: submittedAt,
+      completeTxHash: receipt.transactionHash
+    });
+    
+    if (report.decision === 'approve') {
+      await dataset.update({ verified: true, verifier: verifier.toLowerCase(), verifiedAt: submittedAt });
+    }
+    
+    await DB.Verification.create({
+      datasetId: dataset.id,
+      verifier: verifier.toLowerCase(),
+      result,
+      verifiedAt: submittedAt
+    });
+    
+    await provenanceService.addProvenanceRecord({
+      datasetId: dataset.id,
+      actionType: 'verification',
+      performedBy: verifier,
+      description: report.decision === 'approve' ? 'Dataset verified' : 'Dataset verification rejected',
+      metadata: {
+        verificationRequestId: request.onChainId,
+        result,
+        reportCid,
+        transactionHash: receipt.transactionHash
+      }
+    });
+    
+    await notifyQuietly({
+      recipient: request.requester,
+      type: 'verification_completed',
+      title: report.decision === 'approve' ? 'Dataset verified' : 'Dataset verification rejected',
+      message: `Verification of ${dataset.name} completed: ${result}`,
+      data: { verificationRequestId: request.id, datasetId: dataset.id, reportCid }
+    });
+    
+    logger.info('Verification report submitted', { id, verifier, result, reportCid });
+    
+    return formatRequest(request);
+  } catch (error) {
+    logger.error('Error submitting verification report', { error: error.message, id, verifier });
+    throw error;
+  }
+};
+
+/**
+ * Get a verification request
+ * @param {string} id - Verification request ID
+ * @returns {Promise<Object>} - Verification request
+ */
+const getVerificationRequest = async (id) => {
+  try {
+    const request = await findRequest(id);
+    return formatRequest(request);
+  } catch (error) {
+    logger.error('Error getting verification request', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Get the verification history of a dataset, newest first
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Object>} - Verification status and requests with their reports
+ */
+const getVerificationHistory = async (datasetId) => {
+  try {
+    const dataset = await DB.Dataset.findByPk(datasetId);
+    if (!dataset) {
+      throw new Error(`Dataset not found: ${datasetId}`);
+    }
+    
+    const requests = await DB.VerificationRequest.findAll({
+      where: { datasetId },
+      order: [['createdAt', 'DESC']]
+    });
+    
+    return {
+      datasetId,
+      verified: dataset.verified,
+      verifier: dataset.verifier,
+      verifiedAt: dataset.verifiedAt,
+      requests: requests.map(formatRequest)
+    };
+  } catch (error) {
+    logger.error('Error getting verification history', { error: error.message, datasetId });
+    throw error;
+  }
+};
+
+/**
+ * List verification requests
+ * @param {Object} [filters] - Filter options
+ * @param {string} [filters.status] - Filter by status
+ * @param {string} [filters.assignedVerifier] - Only requests assigned to this verifier
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=20] - Items per page
+ * @returns {Promise<Object>} - Paginated verification requests
+ */
+const listVerificationRequests = async (filters = {}, page = 1, limit = 20) => {
+  try {
+    const where = {};
+    
+    if (filters.status) {
+      where.status = filters.status;
+    }
+    
+    if (filters.assignedVerifier) {
+      where.assignedVerifier = filters.assignedVerifier.toLowerCase();
+    }
+    
+    const offset = (page - 1) * limit;
+    
+    const { count, rows } = await DB.VerificationRequest.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+    
+    return {
+      requests: rows.map(formatRequest),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    };
+  } catch (error) {
+    logger.error('Error listing verification requests', { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  requestVerification,
+  recordOnChainRequest,
+  assignVerifier,
+  submitReport,
+  getVerificationRequest,
+  getVerificationHistory,
+  listVerificationRequests
+};
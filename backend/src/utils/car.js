@@ -0,0 +1,304 @@
+/**
+ * Streaming UnixFS packing into CAR files, and reading UnixFS content back out of them
+ * Inputs are chunked and written to disk block by block, so memory use does not grow with the input size
+ */
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const crypto = require('crypto');
+const { importer } = require('ipfs-unixfs-importer');
+const { recursive } = require('ipfs-unixfs-exporter');
+const { CarWriter, CarIndexedReader } = require('@ipld/car');
+const { createCommitmentBuilder } = require('./por');
+
+// CIDv1 with raw leaves, 256KiB chunks and 174-link balanced nodes match `ipfs add --cid-version=1`
+const DEFAULT_CHUNK_SIZE = 256 * 1024;
+const DEFAULT_MAX_CHILDREN = 174;
+const CHUNKERS = ['fixed', 'rabin'];
+const SHA2_256 = 0x12;
+
+/**
+ * Build the importer options for a packing request
+ * @param {Object} [options] - Packing options
+ * @param {string} [options.chunker="fixed"] - "fixed" for fixed-size chunks or "rabin" for content-defined chunks
+ * @param {number} [options.chunkSize=262144] - Chunk size, or the average chunk size of content-defined chunking
+ * @param {number} [options.maxChildrenPerNode=174] - Width of the balanced DAG
+ * @param {boolean} [options.wrapWithDirectory=false] - Wrap the entries in a directory
+ * @returns {Object} - ipfs-unixfs-importer options
+ */
+const getImporterOptions = (options = {}) => {
+  const chunker = options.chunker || 'fixed';
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  
+  if (!CHUNKERS.includes(chunker)) {
+    throw new Error(`Invalid chunker: ${chunker}`);
+  }
+  
+  if (!Number.isInteger(chunkSize) || chunkSize < 1024) {
+    throw new Error('Invalid chunk size: must be an integer of at least 1024 bytes');
+  }
+  
+  const chunkSizes = chunker === 'rabin'
+    ? { minChunkSize: Math.floor(chunkSize / 2), avgChunkSize: chunkSize, maxChunkSize: chunkSize * 2 }
+    : { maxChunkSize: chunkSize };
+  
+  return {
+    chunker,
+    ...chunkSizes,
+    strategy: 'balanced',
+    maxChildrenPerNode: options.maxChildrenPerNode || DEFAULT_MAX_CHILDREN,
+    cidVersion: 1,
+    rawLeaves: true,
+    reduceSingleLeafToSelf: true,
+    wrapWithDirectory: Boolean(options.wrapWithDirectory),
+    // One file and one block at a time keeps memory bounded and the block order stable
+    fileImportConcurrency: 1,
+    blockWriteConcurrency: 1
+  };
+};
+
+/**
+ * Create a blockstore that appends each block to a CAR file as the importer produces it
+ * The root is only known once every block is written, so the header is written with the first
+ * block's CID as a placeholder of the same length and patched when the CAR is finished.
+ * Blocks also feed the storage commitment that retrievability audits are checked against.
+ * @param {string} carPath - Path of the CAR file to write
+ * @returns {Object} - Blockstore with put and finish methods
+ */
+const createCarBlockstore = (carPath) => {
+  // Only CIDs are remembered, to skip repeated chunks
+  const written = new Set();
+  const commitment = createCommitmentBuilder();
+  let writer = null;
+  let flushed = null;
+  let blockCount = 0;
+  
+  return {
+    async put(cid, bytes) {
+      const key = cid.toString();
+      if (written.has(key)) {
+        return cid;
+      }
+      written.add(key);
+      
+      if (!writer) {
+        const car = CarWriter.create([cid]);
+        writer = car.writer;
+        flushed = pipeline(Readable.from(car.out), fs.createWriteStream(carPath));
+        flushed.catch(() => {});
+      }
+      
+      // The write resolves once the block is flushed, or fails with the file stream
+      await Promise.race([writer.put({ cid, bytes }), flushed]);
+      commitment.add(cid, bytes);
+      blockCount++;
+      return cid;
+    },
+    
+    async get() {
+      throw new Error('Blocks are written to the CAR file and not kept for reading');
+    },
+    
+    async has(cid) {
+      return written.has(cid.toString());
+    },
+    
+    async finish(root) {
+      await writer.close();
+      await flushed;
+      
+      const fd = await fs.promises.open(carPath, 'r+');
+      try {
+        await CarWriter.updateRootsInFile(fd, [root]);
+      } finally {
+        await fd.close();
+      }
+      
+      return {
+        blockCount,
+        commitment: commitment.finish()
+      };
+    }
+  };
+};
+
+/**
+ * List the entries of a file or directory for the importer without reading their content
+ * Directory entries are sorted so that files are imported in a stable order
+ * @param {string} inputPath - Path to a file or directory
+ * @param {string} [basePath] - Path the entry paths are relative to
+ * @returns {AsyncGenerator<Object>} - Importer entries with lazily opened content streams
+ */
+async function* walkPath(inputPath, basePath = path.dirname(inputPath)) {
+  const stat = await fs.promises.stat(inputPath);
+  const entryPath = path.relative(basePath, inputPath).split(path.sep).join('/');
+  
+  if (!stat.isDirectory()) {
+    yield { path: entryPath, content: readLazily(inputPath) };
+    return;
+  }
+  
+  const names = (await fs.promises.readdir(inputPath)).sort();
+  if (names.length === 0) {
+    yield { path: entryPath };
+    return;
+  }
+  
+  for (const name of names) {
+    yield* walkPath(path.join(inputPath, name), basePath);
+  }
+}
+
+/**
+ * Read a file only when the importer starts consuming it
+ * @param {string} filePath - File path
+ * @returns {AsyncGenerator<Buffer>} - File chunks
+ */
+async function* readLazily(filePath) {
+  yield* fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 });
+}
+
+/**
+ * Pack entries into a CAR file
+ * @param {Iterable<Object>|AsyncIterable<Object>} entries - Importer entries of { path, content }, where
+ * content is a Buffer or an (async) iterable of chunks; entries without content are directories
+ * @param {string} carPath - Path of the CAR file to write
+ * @param {Object} [options] - Packing options, see getImporterOptions
+ * @returns {Promise<Object>} - Root CID, CAR size, block count, storage commitment and the imported entries
+ */
+const packToCar = async (entries, carPath, options = {}) => {
+  const importerOptions = getImporterOptions(options);
+  
+  await fs.promises.mkdir(path.dirname(carPath), { recursive: true });
+  
+  const blockstore = createCarBlockstore(carPath);
+  const imported = [];
+  let root = null;
+  
+  try {
+    for await (const entry of importer(entries, blockstore, importerOptions)) {
+      imported.push({ path: entry.path, cid: entry.cid.toString(), size: entry.size });
+      root = entry.cid;
+    }
+    
+    if (!root) {
+      throw new Error('Nothing to pack');
+    }
+    
+    const { blockCount, commitment } = await blockstore.finish(root);
+    const { size } = await fs.promises.stat(carPath);
+    
+    return {
+      rootCid: root.toString(),
+      carSize: size,
+      blockCount,
+      commitment,
+      entries: imported
+    };
+  } catch (error) {
+    await fs.promises.rm(carPath, { force: true });
+    throw error;
+  }
+};
+
+/**
+ * Pack a file or directory into a CAR file
+ * A directory keeps its name and layout; a single file is packed under its name when wrapped in a directory
+ * @param {string} inputPath - Path to a file or directory
+ * @param {string} carPath - Path of the CAR file to write
+ * @param {Object} [options] - Packing options, see getImporterOptions
+ * @returns {Promise<Object>} - Root CID, CAR size, block count, storage commitment and the imported entries
+ */
+const packPathToCar = async (inputPath, carPath, options = {}) => {
+  const stat = await fs.promises.stat(inputPath).catch(() => null);
+  if (!stat) {
+    throw new Error(`Input path does not exist: ${inputPath}`);
+  }
+  
+  return packToCar(walkPath(path.resolve(inputPath)), carPath, options);
+};
+
+/**
+ * Read the UnixFS entries of a CAR file
+ * Blocks are read from the file as the exporter asks for them, and SHA-256 blocks are checked against their CIDs
+ * @param {string} carPath - Path to the CAR file
+ * @returns {AsyncGenerator<Object>} - Exporter entries, with paths relative to the root; a root file has an empty path
+ */
+async function* readCarEntries(carPath) {
+  const reader = await CarIndexedReader.fromFile(carPath);
+  
+  try {
+    const [root] = await reader.getRoots();
+    if (!root) {
+      throw new Error('CAR file has no roots');
+    }
+    
+    const blockstore = {
+      async get(cid) {
+        const block = await reader.get(cid);
+        if (!block) {
+          throw new Error(`Block missing from CAR: ${cid}`);
+        }
+        
+        if (cid.multihash.code === SHA2_256 &&
+            !crypto.createHash('sha256').update(block.bytes).digest().equals(Buffer.from(cid.multihash.digest))) {
+          throw new Error(`Block does not match its CID: ${cid}`);
+        }
+        
+        return block.bytes;
+      }
+    };
+    
+    for await (const entry of recursive(root, blockstore)) {
+      yield Object.assign(entry, { path: entry.path.split('/').slice(1).join('/') });
+    }
+  } finally {
+    await reader.close();
+  }
+}
+
+/**
+ * Unpack the UnixFS content of a CAR file into a directory
+ * @param {string} carPath - Path to the CAR file
+ * @param {string} outputDir - Directory to write into
+ * @param {string} [rootName] - Name to write a root file under, its CID by default; a root directory's content is written directly
+ * @returns {Promise<Array<Object>>} - Written files as { path, size, cid }, with paths relative to outputDir
+ */
+const unpackCar = async (carPath, outputDir, rootName) => {
+  const base = path.resolve(outputDir);
+  const files = [];
+  
+  await fs.promises.mkdir(base, { recursive: true });
+  
+  for await (const entry of readCarEntries(carPath)) {
+    // A root directory is the output directory itself
+    const relativePath = entry.path || (entry.type === 'directory' ? '' : rootName || entry.cid.toString());
+    const target = path.resolve(base, relativePath);
+    
+    // Entry names come from the CAR and must not escape the output directory
+    if (target !== base && !target.startsWith(base + path.sep)) {
+      throw new Error(`Invalid entry path in CAR: ${entry.path}`);
+    }
+    
+    if (entry.type === 'directory') {
+      await fs.promises.mkdir(target, { recursive: true });
+    } else if (['file', 'raw', 'identity'].includes(entry.type)) {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await pipeline(Readable.from(entry.content()), fs.createWriteStream(target));
+      files.push({ path: relativePath, size: Number(entry.size), cid: entry.cid.toString() });
+    } else {
+      throw new Error(`Unsupported entry type in CAR: ${entry.type}`);
+    }
+  }
+  
+  return files;
+};
+
+module.exports = {
+  packToCar,
+  packPathToCar,
+  readLazily,
+  readCarEntries,
+  unpackCar
+};
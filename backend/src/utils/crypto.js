@@ -7,20 +7,16 @@ const authConfig = require('../config/auth');
 
 /**
  * Generate a random challenge for Web3 authentication
- * @param {string} address - Wallet address requesting the challenge
- * @returns {Object} - Challenge object with message and expiration
+ * @returns {Object} - Nonce, the session secret binding it to the requesting client, and its lifetime
  */
-const generateChallenge = (address) => {
-  const nonce = crypto.randomBytes(16).toString('hex');
-  const timestamp = Date.now();
-  const expirationTime = timestamp + (authConfig.challengeExpirationMinutes * 60 * 1000);
-  
-  const message = `Sign this message to authenticate with DataProvChain: ${nonce}`;
+const generateChallenge = () => {
+  const issuedAt = Date.now();
   
   return {
-    message,
-    expirationTime,
-    nonce
+    nonce: crypto.randomBytes(16).toString('hex'),
+    session: crypto.randomBytes(32).toString('hex'),
+    issuedAt,
+    expirationTime: issuedAt + (authConfig.challengeExpirationMinutes * 60 * 1000)
   };
 };
 
@@ -55,6 +51,32 @@ const sha256 = (data) => {
     .digest('hex');
 };
 
+/**
+ * Serialize a value to JSON with object keys sorted at every level,
+ * so equal values always produce identical strings (and hashes)
+ * @param {*} value - The value to serialize
+ * @returns {string} - Canonical JSON string
+ */
+const canonicalJson = (value) => {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  
+  return JSON.stringify(value === undefined ? null : value);
+};
+
 /**
  * Generate a random API key
  * @returns {string} - The generated API key
@@ -68,5 +90,6 @@ module.exports = {
   hashPassword,
   verifyPassword,
   sha256,
+  canonicalJson,
   generateApiKey
 };
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * Envelope encryption utilities
+ * A dataset file is encrypted with its own random data key; the data key is then wrapped, either
+ * under the key escrow master key or under a buyer's secp256k1 wallet public key.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { ethers } = require('ethers');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Encrypted files are MAGIC, IV, ciphertext and the authentication tag, in that order
+const FILE_MAGIC = Buffer.from('DPCENC01');
+const HEADER_LENGTH = FILE_MAGIC.length + IV_LENGTH;
+
+// Data keys wrapped for a public key: ECDH with an ephemeral key, HKDF-SHA256, then AES-256-GCM
+const ECIES_SCHEME = 'ecies-secp256k1-hkdf-sha256-aes-256-gcm';
+const ECIES_INFO = Buffer.from('dataprovchain data key');
+
+/**
+ * Describe the encrypted file format, for metadata and clients that decrypt themselves
+ * @returns {Object} - File format description
+ */
+const getFileFormat = () => ({
+  algorithm: ALGORITHM,
+  magic: FILE_MAGIC.toString(),
+  ivLength: IV_LENGTH,
+  tagLength: TAG_LENGTH
+});
+
+/**
+ * Generate a random data key
+ * @returns {Buffer} - 256-bit key
+ */
+const generateDataKey = () => crypto.randomBytes(KEY_LENGTH);
+
+/**
+ * Encrypt a buffer with AES-256-GCM
+ * @param {Buffer} key - 256-bit key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Object} - IV, tag and ciphertext
+ */
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+};
+
+/**
+ * Decrypt a buffer sealed with AES-256-GCM
+ * @param {Buffer} key - 256-bit key
+ * @param {Object} sealed - IV, tag and ciphertext
+ * @returns {Buffer} - Plaintext
+ */
+const open = (key, { iv, tag, ciphertext }) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+/**
+ * Encrypt a file, streaming it so large datasets are never held in memory
+ * @param {string} inputPath - Plaintext file
+ * @param {string} outputPath - Encrypted file to write
+ * @param {Buffer} key - Data key
+ * @returns {Promise<void>}
+ */
+const encryptFile = async (inputPath, outputPath, key) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  
+  await pipeline(
+    fs.createReadStream(inputPath),
+    async function* (source) {
+      yield Buffer.concat([FILE_MAGIC, iv]);
+      for await (const chunk of source) {
+        yield cipher.update(chunk);
+      }
+      yield cipher.final();
+      yield cipher.getAuthTag();
+    },
+    fs.createWriteStream(outputPath)
+  );
+};
+
+/**
+ * Decrypt a file written by encryptFile
+ * Nothing is left at the output path when the file or key does not authenticate.
+ * @param {string} inputPath - Encrypted file
+ * @param {string} outputPath - Plaintext file to write
+ * @param {Buffer} key - Data key
+ * @returns {Promise<void>}
+ */
+const decryptFile = async (inputPath, outputPath, key) => {
+  const { size } = await fs.promises.stat(inputPath);
+  const header = Buffer.alloc(HEADER_LENGTH);
+  const tag = Buffer.alloc(TAG_LENGTH);
+  
+  const handle = await fs.promises.open(inputPath, 'r');
+  try {
+    if (size >= HEADER_LENGTH + TAG_LENGTH) {
+      await handle.read(header, 0, HEADER_LENGTH, 0);
+      await handle.read(tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+    }
+  } finally {
+    await handle.close();
+  }
+  
+  if (!header.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC)) {
+    throw new Error('Invalid encrypted file: unknown format');
+  }
+  
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, header.subarray(FILE_MAGIC.length));
+  decipher.setAuthTag(tag);
+  
+  const ciphertextEnd = size - TAG_LENGTH;
+  
+  try {
+    await pipeline(
+      ciphertextEnd > HEADER_LENGTH
+        ? fs.createReadStream(inputPath, { start: HEADER_LENGTH, end: ciphertextEnd - 1 })
+        : [],
+      async function* (source) {
+        for await (const chunk of source) {
+          yield decipher.update(chunk);
+        }
+        yield decipher.final();
+      },
+      fs.createWriteStream(outputPath)
+    );
+  } catch (error) {
+    await fs.promises.rm(outputPath, { force: true });
+    throw new Error(`Decryption failed: ${error.message}`);
+  }
+};
+
+/**
+ * Wrap a data key under a master key
+ * @param {Buffer} key - Data key
+ * @param {Buffer} masterKey - Master key
+ * @returns {string} - Wrapped key, base64
+ */
+const wrapKey = (key, masterKey) => {
+  const { iv, tag, ciphertext } = seal(masterKey, key);
+  return Buffer.concat([iv, tag, ciphertext]).toString('base64');
+};
+
+/**
+ * Unwrap a data key wrapped by wrapKey
+ * @param {string} wrappedKey - Wrapped key, base64
+ * @param {Buffer} masterKey - Master key
+ * @returns {Buffer} - Data key
+ */
+const unwrapKey = (wrappedKey, masterKey) => {
+  const wrapped = Buffer.from(wrappedKey, 'base64');
+  return open(masterKey, {
+    iv: wrapped.subarray(0, IV_LENGTH),
+    tag: wrapped.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH),
+    ciphertext: wrapped.subarray(IV_LENGTH + TAG_LENGTH)
+  });
+};
+
+/**
+ * Check that a value is a secp256k1 public key, compressed or not
+ * @param {string} publicKey - Hex public key
+ * @returns {boolean} - Whether the value is a public key
+ */
+const isValidPublicKey = (publicKey) => {
+  if (!ethers.utils.isHexString(publicKey) || ![33, 65].includes(ethers.utils.hexDataLength(publicKey))) {
+    return false;
+  }
+  
+  try {
+    ethers.utils.computePublicKey(publicKey);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wallet address of a public key
+ * @param {string} publicKey - Hex public key
+ * @returns {string} - Checksummed address
+ */
+const getPublicKeyAddress = (publicKey) => ethers.utils.computeAddress(publicKey);
+
+/**
+ * Derive the AES key shared between an ECDH key pair and a public key
+ * @param {Object} ecdh - ECDH key pair
+ * @param {Buffer} publicKey - Uncompressed public key of the other side
+ * @param {Buffer} ephemeralPublicKey - Uncompressed ephemeral public key, used as the salt
+ * @returns {Buffer} - 256-bit key
+ */
+const deriveWrappingKey = (ecdh, publicKey, ephemeralPublicKey) => Buffer.from(
+  crypto.hkdfSync('sha256', ecdh.computeSecret(publicKey), ephemeralPublicKey, ECIES_INFO, KEY_LENGTH)
+);
+
+/**
+ * Wrap a data key so only the holder of a wallet's private key can unwrap it
+ * @param {Buffer} key - Data key
+ * @param {string} publicKey - Wallet public key, hex
+ * @returns {Object} - Wrapped key envelope
+ */
+const wrapKeyForPublicKey = (key, publicKey) => {
+  if (!isValidPublicKey(publicKey)) {
+    throw new Error('Invalid public key: expected a hex secp256k1 public key');
+  }
+  
+  const recipient = Buffer.from(ethers.utils.computePublicKey(publicKey, false).slice(2), 'hex');
+  const ecdh = crypto.createECDH('secp256k1');
+  const ephemeralPublicKey = ecdh.generateKeys(null, 'uncompressed');
+  
+  const { iv, tag, ciphertext } = seal(deriveWrappingKey(ecdh, recipient, ephemeralPublicKey), key);
+  
+  return {
+    scheme: ECIES_SCHEME,
+    ephemeralPublicKey: `0x${ephemeralPublicKey.toString('hex')}`,
+    iv: iv.toString('base64'),
+    tag: tag.toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+};
+
+/**
+ * Unwrap a data key wrapped by wrapKeyForPublicKey; the reference for clients decrypting themselves
+ * @param {Object} envelope - Wrapped key envelope
+ * @param {string} privateKey - Wallet private key, hex
+ * @returns {Buffer} - Data key
+ */
+const unwrapKeyWithPrivateKey = (envelope, privateKey) => {
+  if (envelope.scheme !== ECIES_SCHEME) {
+    throw new Error(`Unsupported key wrapping scheme: ${envelope.scheme}`);
+  }
+  
+  const ephemeralPublicKey = Buffer.from(envelope.ephemeralPublicKey.slice(2), 'hex');
+  const ecdh = crypto.createECDH('secp256k1');
+  ecdh.setPrivateKey(Buffer.from(privateKey.replace(/^0x/, ''), 'hex'));
+  
+  return open(deriveWrappingKey(ecdh, ephemeralPublicKey, ephemeralPublicKey), {
+    iv: Buffer.from(envelope.iv, 'base64'),
+    tag: Buffer.from(envelope.tag, 'base64'),
+    ciphertext: Buffer.from(envelope.ciphertext, 'base64')
+  });
+};
+
+module.exports = {
+  ALGORITHM,
+  ECIES_SCHEME,
+  getFileFormat,
+  generateDataKey,
+  encryptFile,
+  decryptFile,
+  wrapKey,
+  unwrapKey,
+  isValidPublicKey,
+  getPublicKeyAddress,
+  wrapKeyForPublicKey,
+  unwrapKeyWithPrivateKey
+};
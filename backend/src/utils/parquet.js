@@ -0,0 +1,281 @@
+/**
+ * Parquet footer reader
+ * Decodes the Thrift compact-encoded FileMetaData at the end of a Parquet file, which carries the
+ * schema, row count and per-column chunk statistics. Pages are not decoded, so value distributions
+ * are not available from here.
+ */
+const fs = require('fs');
+
+const MAGIC = 'PAR1';
+
+// Thrift compact protocol type IDs
+const COMPACT = {
+  STOP: 0,
+  TRUE: 1,
+  FALSE: 2,
+  BYTE: 3,
+  I16: 4,
+  I32: 5,
+  I64: 6,
+  DOUBLE: 7,
+  BINARY: 8,
+  LIST: 9,
+  SET: 10,
+  MAP: 11,
+  STRUCT: 12
+};
+
+const PHYSICAL_TYPES = ['boolean', 'int32', 'int64', 'int96', 'float', 'double', 'byte_array', 'fixed_len_byte_array'];
+const REPETITION_TYPES = ['required', 'optional', 'repeated'];
+
+// Converted types that change how a physical type reads, by Thrift enum value
+const CONVERTED_TYPES = {
+  0: 'utf8',
+  4: 'enum',
+  5: 'decimal',
+  6: 'date',
+  7: 'time',
+  8: 'time',
+  9: 'timestamp',
+  10: 'timestamp',
+  19: 'json'
+};
+
+/**
+ * Minimal reader for the Thrift compact protocol; structs decode to objects keyed by field ID
+ */
+class CompactReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+  
+  readByte() {
+    if (this.offset >= this.buffer.length) {
+      throw new Error('Invalid Parquet footer: unexpected end of metadata');
+    }
+    return this.buffer[this.offset++];
+  }
+  
+  readVarint() {
+    let result = 0n;
+    let shift = 0n;
+    let byte;
+    do {
+      byte = this.readByte();
+      result |= BigInt(byte & 0x7f) << shift;
+      shift += 7n;
+    } while (byte & 0x80);
+    return result;
+  }
+  
+  readZigzag() {
+    const value = this.readVarint();
+    return (value >> 1n) ^ -(value & 1n);
+  }
+  
+  readValue(type) {
+    switch (type) {
+      case COMPACT.TRUE:
+        return true;
+      case COMPACT.FALSE:
+        return false;
+      case COMPACT.BYTE:
+        return this.readByte();
+      case COMPACT.I16:
+      case COMPACT.I32:
+        return Number(this.readZigzag());
+      case COMPACT.I64:
+        return this.readZigzag();
+      case COMPACT.DOUBLE: {
+        const value = this.buffer.readDoubleLE(this.offset);
+        this.offset += 8;
+        return value;
+      }
+      case COMPACT.BINARY: {
+        const length = Number(this.readVarint());
+        const value = this.buffer.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return value;
+      }
+      case COMPACT.LIST:
+      case COMPACT.SET:
+        return this.readList();
+      case COMPACT.MAP:
+        return this.readMap();
+      case COMPACT.STRUCT:
+        return this.readStruct();
+      default:
+        throw new Error(`Invalid Parquet footer: unknown Thrift type ${type}`);
+    }
+  }
+  
+  readList() {
+    const header = this.readByte();
+    const size = (header >> 4) === 15 ? Number(this.readVarint()) : header >> 4;
+    const type = header & 0x0f;
+    
+    const items = [];
+    for (let i = 0; i < size; i++) {
+      // Booleans inside collections take a byte each
+      items.push(type === COMPACT.TRUE || type === COMPACT.FALSE ? this.readByte() === 1 : this.readValue(type));
+    }
+    return items;
+  }
+  
+  readMap() {
+    const size = Number(this.readVarint());
+    if (size === 0) {
+      return new Map();
+    }
+    
+    const types = this.readByte();
+    const map = new Map();
+    for (let i = 0; i < size; i++) {
+      map.set(this.readValue(types >> 4), this.readValue(types & 0x0f));
+    }
+    return map;
+  }
+  
+  readStruct() {
+    const struct = {};
+    let fieldId = 0;
+    
+    for (;;) {
+      const header = this.readByte();
+      const type = header & 0x0f;
+      if (type === COMPACT.STOP) {
+        return struct;
+      }
+      
+      const delta = header >> 4;
+      fieldId = delta === 0 ? Number(this.readZigzag()) : fieldId + delta;
+      struct[fieldId] = this.readValue(type);
+    }
+  }
+}
+
+/**
+ * Check whether a file starts with the Parquet magic bytes
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<boolean>}
+ */
+const isParquetFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const magic = Buffer.alloc(4);
+    const { bytesRead } = await handle.read(magic, 0, 4, 0);
+    return bytesRead === 4 && magic.toString('latin1') === MAGIC;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Read the raw FileMetaData struct from the footer of a Parquet file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} - FileMetaData keyed by Thrift field ID
+ */
+const readFooter = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    if (size < 12) {
+      throw new Error('Invalid Parquet file: too small');
+    }
+    
+    // The footer ends with the metadata length and the magic bytes
+    const tail = Buffer.alloc(8);
+    await handle.read(tail, 0, 8, size - 8);
+    if (tail.toString('latin1', 4) !== MAGIC) {
+      throw new Error('Invalid Parquet file: missing footer magic');
+    }
+    
+    const length = tail.readUInt32LE(0);
+    if (length > size - 12) {
+      throw new Error('Invalid Parquet file: footer length out of range');
+    }
+    
+    const metadata = Buffer.alloc(length);
+    await handle.read(metadata, 0, length, size - 8 - length);
+    return new CompactReader(metadata).readStruct();
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Flatten the schema tree into its leaf columns, which are what row groups store
+ * @param {Array<Object>} elements - SchemaElement structs in depth-first order, root first
+ * @returns {Array<Object>} - Leaf columns with their dotted paths
+ */
+const getLeafColumns = (elements) => {
+  const columns = [];
+  let index = 1;
+  
+  const walk = (count, parents) => {
+    for (let i = 0; i < count && index < elements.length; i++) {
+      const element = elements[index++];
+      const name = element[4] ? element[4].toString('utf8') : '';
+      const children = element[5] || 0;
+      const repetition = REPETITION_TYPES[element[3]] || 'required';
+      
+      if (children > 0) {
+        walk(children, [...parents, name]);
+      } else {
+        columns.push({
+          path: [...parents, name].join('.'),
+          physicalType: PHYSICAL_TYPES[element[1]] || 'unknown',
+          logicalType: CONVERTED_TYPES[element[6]] || null,
+          repetition
+        });
+      }
+    }
+  };
+  
+  walk(elements.length > 0 ? elements[0][5] || 0 : 0, []);
+  return columns;
+};
+
+/**
+ * Read the schema, row count and column statistics of a Parquet file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} - Row count, row group count and leaf columns; a column's nullCount
+ *   is null unless every row group recorded it
+ */
+const readParquetMetadata = async (filePath) => {
+  const footer = await readFooter(filePath);
+  const columns = getLeafColumns(footer[2] || []);
+  const rowGroups = footer[4] || [];
+  
+  const nullCounts = new Map(columns.map(column => [column.path, 0n]));
+  for (const rowGroup of rowGroups) {
+    for (const chunk of rowGroup[1] || []) {
+      const meta = chunk[3];
+      const path = meta && meta[3] ? meta[3].map(part => part.toString('utf8')).join('.') : null;
+      const nullCount = meta && meta[12] ? meta[12][3] : undefined;
+      
+      if (nullCounts.has(path)) {
+        nullCounts.set(path, nullCount === undefined || nullCounts.get(path) === null
+          ? null
+          : nullCounts.get(path) + nullCount);
+      }
+    }
+  }
+  
+  return {
+    version: footer[1],
+    rowCount: Number(footer[3] || 0n),
+    rowGroupCount: rowGroups.length,
+    createdBy: footer[6] ? footer[6].toString('utf8') : null,
+    columns: columns.map(column => {
+      const nullCount = nullCounts.get(column.path);
+      return { ...column, nullCount: nullCount === null ? null : Number(nullCount) };
+    })
+  };
+};
+
+module.exports = {
+  isParquetFile,
+  readParquetMetadata
+};
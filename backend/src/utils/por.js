@@ -0,0 +1,318 @@
+/**
+ * Proof-of-retrievability challenges over the blocks of a CAR file
+ * Blocks are laid out in CID order, so the commitment does not depend on the order a provider
+ * exports them in, and committed to with a Merkle tree whose leaves hash each block with its offset
+ * in that layout. Audits derive random offsets from a fresh seed and check that the block covering
+ * each offset has a Merkle path to the stored root. Matches filecoin/src/verification/challenge.js,
+ * and respondToChallenge answers the way provers running filecoin/src/verification/proof.js do.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { CarBlockIterator } = require('@ipld/car');
+
+const DEFAULT_CHALLENGE_COUNT = 16;
+
+/**
+ * Hash data with SHA-256
+ * @param {Buffer} data - Data to hash
+ * @returns {Buffer} - Digest
+ */
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Hash a block into a leaf, binding it to where it starts in the layout
+ * @param {number} start - Offset of the block's first byte
+ * @param {Buffer} digest - SHA-256 digest of the block data
+ * @returns {Buffer} - Leaf hash
+ */
+const hashLeaf = (start, digest) => {
+  const prefix = Buffer.alloc(8);
+  prefix.writeBigUInt64BE(BigInt(start));
+  
+  return sha256(Buffer.concat([prefix, digest]));
+};
+
+/**
+ * Build the layers of a Merkle tree; the last node of an odd layer is paired with itself
+ * @param {Array<Buffer>} leaves - Leaf hashes
+ * @returns {Array<Array<Buffer>>} - Layers from the leaves up to the root
+ */
+const buildLayers = (leaves) => {
+  let nodes = [...leaves];
+  const layers = [nodes];
+  
+  while (nodes.length > 1) {
+    if (nodes.length % 2 === 1) {
+      nodes.push(nodes[nodes.length - 1]);
+    }
+    
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += 2) {
+      parents.push(sha256(Buffer.concat([nodes[i], nodes[i + 1]])));
+    }
+    
+    layers.push(parents);
+    nodes = parents;
+  }
+  
+  return layers;
+};
+
+/**
+ * Lay out blocks in CID order and build their tree
+ * @param {Array<Object>} blocks - Blocks as { cid, size, digest }, where cid is the CID bytes
+ * @returns {Object} - Blocks in layout order with their start offsets, tree layers and total size
+ */
+const layOut = (blocks) => {
+  const ordered = [...blocks].sort((a, b) => Buffer.compare(a.cid, b.cid));
+  const leaves = [];
+  let dataSize = 0;
+  
+  for (const block of ordered) {
+    block.start = dataSize;
+    leaves.push(hashLeaf(dataSize, block.digest));
+    dataSize += block.size;
+  }
+  
+  if (dataSize === 0) {
+    throw new Error('No block data to commit to');
+  }
+  
+  return { ordered, layers: buildLayers(leaves), dataSize };
+};
+
+/**
+ * Read the blocks of a CAR file, once each
+ * @param {string} carPath - Path to the CAR file
+ * @returns {AsyncGenerator<Object>} - Blocks as { cid, bytes }, with cid as CID bytes
+ */
+async function* readBlocks(carPath) {
+  const seen = new Set();
+  
+  for await (const { cid, bytes } of await CarBlockIterator.fromIterable(fs.createReadStream(carPath))) {
+    const key = cid.toString();
+    if (!seen.has(key)) {
+      seen.add(key);
+      yield { cid: Buffer.from(cid.bytes), bytes };
+    }
+  }
+}
+
+/**
+ * Get the sibling hashes from a leaf to the root
+ * @param {Array<Array<Buffer>>} layers - Tree layers
+ * @param {number} index - Leaf index
+ * @returns {Array<string>} - Hex sibling hashes
+ */
+const getPath = (layers, index) => {
+  const siblings = [];
+  let current = index;
+  
+  for (let level = 0; level < layers.length - 1; level++) {
+    siblings.push('0x' + layers[level][current % 2 === 0 ? current + 1 : current - 1].toString('hex'));
+    current = Math.floor(current / 2);
+  }
+  
+  return siblings;
+};
+
+/**
+ * Compute the root a leaf's path leads to
+ * @param {Buffer} leaf - Leaf hash
+ * @param {Array<string>} siblings - Hex sibling hashes
+ * @param {number} index - Leaf index, which decides the side of each sibling
+ * @returns {string} - Hex root
+ */
+const rootFromPath = (leaf, siblings, index) => {
+  let node = leaf;
+  let current = index;
+  
+  for (const sibling of siblings) {
+    const siblingBytes = Buffer.from(sibling.replace(/^0x/, ''), 'hex');
+    node = current % 2 === 0
+      ? sha256(Buffer.concat([node, siblingBytes]))
+      : sha256(Buffer.concat([siblingBytes, node]));
+    current = Math.floor(current / 2);
+  }
+  
+  return '0x' + node.toString('hex');
+};
+
+/**
+ * Number of levels between the leaves and the root
+ * @param {number} blockCount - Number of leaves
+ * @returns {number} - Path length
+ */
+const treeDepth = (blockCount) => {
+  let depth = 0;
+  for (let width = blockCount; width > 1; width = Math.ceil(width / 2)) {
+    depth++;
+  }
+  return depth;
+};
+
+/**
+ * Create a commitment builder fed with the blocks of a CAR
+ * Only CIDs, sizes and digests are kept, never block data
+ * @returns {Object} - Builder with add and finish methods
+ */
+const createCommitmentBuilder = () => {
+  const blocks = [];
+  
+  return {
+    add(cid, bytes) {
+      blocks.push({ cid: Buffer.from(cid.bytes), size: bytes.length, digest: sha256(bytes) });
+    },
+    
+    finish() {
+      const { layers, dataSize } = layOut(blocks);
+      return {
+        root: '0x' + layers[layers.length - 1][0].toString('hex'),
+        blockCount: blocks.length,
+        dataSize
+      };
+    }
+  };
+};
+
+/**
+ * Create a challenge against a stored commitment with a fresh random seed
+ * @param {Object} commitment - Stored commitment
+ * @param {number} [count=16] - Number of offsets to challenge
+ * @returns {Object} - Challenge with the commitment, seed and count
+ */
+const createChallenge = (commitment, count = DEFAULT_CHALLENGE_COUNT) => ({
+  root: commitment.root,
+  blockCount: commitment.blockCount,
+  dataSize: commitment.dataSize,
+  seed: '0x' + crypto.randomBytes(32).toString('hex'),
+  count
+});
+
+/**
+ * Derive the challenged byte offsets from a seed
+ * @param {string} seed - Hex challenge seed
+ * @param {number} count - Number of offsets
+ * @param {number} dataSize - Total block data size
+ * @returns {Array<number>} - Challenged offsets
+ */
+const deriveOffsets = (seed, count, dataSize) => {
+  const seedBytes = Buffer.from(seed.replace(/^0x/, ''), 'hex');
+  const offsets = [];
+  
+  for (let i = 0; i < count; i++) {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(i);
+    
+    const digest = sha256(Buffer.concat([seedBytes, counter]));
+    offsets.push(Number(digest.readBigUInt64BE(0) % BigInt(dataSize)));
+  }
+  
+  return offsets;
+};
+
+/**
+ * Answer a challenge from a CAR file
+ * The file is read twice, once for the tree and once for the challenged blocks
+ * @param {string} carPath - Path to the CAR file
+ * @param {Object} challenge - Challenge with seed and count
+ * @returns {Promise<Object>} - Root of the file's tree and one answer per challenged offset
+ */
+const respondToChallenge = async (carPath, challenge) => {
+  const blocks = [];
+  for await (const { cid, bytes } of readBlocks(carPath)) {
+    blocks.push({ cid, size: bytes.length, digest: sha256(bytes) });
+  }
+  
+  const { ordered, layers, dataSize } = layOut(blocks);
+  const offsets = deriveOffsets(challenge.seed, challenge.count, dataSize);
+  
+  // The block covering an offset is the last one starting at or before it
+  const indexes = offsets.map(offset => {
+    let low = 0;
+    let high = ordered.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (ordered[middle].start <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  });
+  
+  const wanted = new Set(indexes.map(index => ordered[index].cid.toString('hex')));
+  const found = new Map();
+  
+  for await (const { cid, bytes } of readBlocks(carPath)) {
+    const key = cid.toString('hex');
+    if (wanted.has(key)) {
+      found.set(key, bytes);
+    }
+  }
+  
+  return {
+    root: '0x' + layers[layers.length - 1][0].toString('hex'),
+    answers: offsets.map((offset, i) => {
+      const block = ordered[indexes[i]];
+      return {
+        offset,
+        leafIndex: indexes[i],
+        start: block.start,
+        block: Buffer.from(found.get(block.cid.toString('hex'))).toString('base64'),
+        siblings: getPath(layers, indexes[i])
+      };
+    })
+  };
+};
+
+/**
+ * Check answers to a challenge against the stored commitment
+ * @param {Object} response - Response from respondToChallenge
+ * @param {Object} challenge - Issued challenge, including the stored root
+ * @returns {Object} - Whether every offset was proven, and why the others failed
+ */
+const verifyResponse = (response, challenge) => {
+  const offsets = deriveOffsets(challenge.seed, challenge.count, challenge.dataSize);
+  const depth = treeDepth(challenge.blockCount);
+  const failures = [];
+  
+  offsets.forEach((offset, i) => {
+    const answer = response.answers[i];
+    if (!answer || answer.offset !== offset) {
+      failures.push({ offset, reason: 'Challenge not answered' });
+      return;
+    }
+    
+    const block = Buffer.from(answer.block, 'base64');
+    if (answer.start > offset || answer.start + block.length <= offset) {
+      failures.push({ offset, reason: 'Block does not cover the challenged offset' });
+      return;
+    }
+    
+    // A path of the wrong length could prove an inner node instead of a block
+    if (answer.leafIndex < 0 || answer.leafIndex >= challenge.blockCount || answer.siblings.length !== depth) {
+      failures.push({ offset, reason: 'Invalid Merkle path' });
+      return;
+    }
+    
+    if (rootFromPath(hashLeaf(answer.start, sha256(block)), answer.siblings, answer.leafIndex) !== challenge.root) {
+      failures.push({ offset, reason: 'Block does not match the stored root' });
+    }
+  });
+  
+  return {
+    passed: failures.length === 0,
+    failures
+  };
+};
+
+module.exports = {
+  DEFAULT_CHALLENGE_COUNT,
+  createCommitmentBuilder,
+  createChallenge,
+  deriveOffsets,
+  respondToChallenge,
+  verifyResponse
+};
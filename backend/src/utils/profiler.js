@@ -0,0 +1,822 @@
+/**
+ * Dataset content profiler
+ * Streams through an uploaded file once to describe what it contains: the schema, row count,
+ * null ratios, value distributions and duplicate rows of tabular files, and a per-file manifest
+ * of archives. Parquet files are described from their footer only.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { createGunzip } = require('zlib');
+const { isParquetFile, readParquetMetadata } = require('./parquet');
+
+const PROFILE_VERSION = 1;
+
+// Distinct values tracked per column; columns with more report a lower bound
+const MAX_DISTINCT_VALUES = 1000;
+
+// Most frequent values reported per column
+const TOP_VALUES = 10;
+
+// Row fingerprints kept for duplicate detection; larger files are checked over their first rows
+const MAX_TRACKED_ROWS = 500000;
+
+// Files listed in an archive manifest; counts and totals cover every file
+const MAX_MANIFEST_FILES = 10000;
+
+// Cells read as missing in delimited files
+const NULL_TOKENS = new Set(['', 'null', 'na', 'n/a', 'nan', 'none']);
+
+const MIME_TYPES = {
+  '.csv': 'text/csv',
+  '.tsv': 'text/tab-separated-values',
+  '.tab': 'text/tab-separated-values',
+  '.jsonl': 'application/x-ndjson',
+  '.ndjson': 'application/x-ndjson',
+  '.json': 'application/json',
+  '.parquet': 'application/vnd.apache.parquet',
+  '.avro': 'application/avro',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.xml': 'application/xml',
+  '.html': 'text/html',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.tar': 'application/x-tar',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.bmp': 'image/bmp',
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.h5': 'application/x-hdf5',
+  '.hdf5': 'application/x-hdf5',
+  '.npy': 'application/x-npy'
+};
+
+// Leading bytes of formats whose name may not say what they are
+const SIGNATURES = [
+  { bytes: [0x89, 0x50, 0x4e, 0x47], mimeType: 'image/png' },
+  { bytes: [0xff, 0xd8, 0xff], mimeType: 'image/jpeg' },
+  { bytes: [0x47, 0x49, 0x46, 0x38], mimeType: 'image/gif' },
+  { bytes: [0x25, 0x50, 0x44, 0x46], mimeType: 'application/pdf' },
+  { bytes: [0x50, 0x4b, 0x03, 0x04], mimeType: 'application/zip' },
+  { bytes: [0x1f, 0x8b], mimeType: 'application/gzip' },
+  { bytes: [0x50, 0x41, 0x52, 0x31], mimeType: 'application/vnd.apache.parquet' }
+];
+
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+/**
+ * Look up the MIME type of a file from its name
+ * @param {string} fileName - File name
+ * @returns {string} - MIME type
+ */
+const getMimeType = (fileName) => MIME_TYPES[path.extname(fileName).toLowerCase()] || DEFAULT_MIME_TYPE;
+
+/**
+ * Hash a file and read its first bytes in one pass
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} - SHA-256 digest and leading bytes
+ */
+const scanFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  let head = Buffer.alloc(0);
+  
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', (chunk) => {
+      hash.update(chunk);
+      if (head.length < 8) {
+        head = Buffer.concat([head, chunk.subarray(0, 8)]);
+      }
+    })
+    .on('end', () => resolve({ sha256: hash.digest('hex'), head }));
+});
+
+/**
+ * Work out how to profile a file from its name, falling back to its leading bytes
+ * @param {string} fileName - File name
+ * @param {Buffer} head - Leading bytes of the file
+ * @returns {Object} - Format and MIME type
+ */
+const detectFormat = (fileName, head) => {
+  const lower = fileName.toLowerCase();
+  const signature = SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => head[i] === byte));
+  const byName = getMimeType(fileName);
+  const mimeType = byName !== DEFAULT_MIME_TYPE || !signature ? byName : signature.mimeType;
+  
+  let format = null;
+  if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) {
+    format = 'tar.gz';
+  } else if (lower.endsWith('.tar')) {
+    format = 'tar';
+  } else if (mimeType === 'application/zip') {
+    format = 'zip';
+  } else if (mimeType === 'application/vnd.apache.parquet') {
+    format = 'parquet';
+  } else if (mimeType === 'text/csv') {
+    format = 'csv';
+  } else if (mimeType === 'text/tab-separated-values') {
+    format = 'tsv';
+  } else if (mimeType === 'application/x-ndjson') {
+    format = 'jsonl';
+  }
+  
+  return { format, mimeType };
+};
+
+/**
+ * Classify a delimited-file cell
+ * @param {string} value - Raw cell
+ * @returns {string} - null, integer, number, boolean, date or string
+ */
+const classifyText = (value) => {
+  const trimmed = value.trim();
+  const lower = trimmed.toLowerCase();
+  
+  if (NULL_TOKENS.has(lower)) {
+    return 'null';
+  }
+  if (/^[-+]?\d+$/.test(trimmed)) {
+    return 'integer';
+  }
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(trimmed)) {
+    return 'number';
+  }
+  if (lower === 'true' || lower === 'false') {
+    return 'boolean';
+  }
+  if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(trimmed) && !Number.isNaN(Date.parse(trimmed))) {
+    return 'date';
+  }
+  return 'string';
+};
+
+/**
+ * Classify a JSON value
+ * @param {*} value - Parsed value
+ * @returns {string} - null, integer, number, boolean, date, string, object or array
+ */
+const classifyJson = (value) => {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  if (typeof value === 'boolean') {
+    return 'boolean';
+  }
+  if (typeof value === 'string') {
+    return classifyText(value) === 'date' ? 'date' : 'string';
+  }
+  return Array.isArray(value) ? 'array' : 'object';
+};
+
+/**
+ * Accumulates the statistics of a table as rows stream past
+ */
+class TableProfile {
+  constructor(columns = []) {
+    this.columns = new Map();
+    this.rowCount = 0;
+    this.malformedRows = 0;
+    this.fingerprints = new Set();
+    this.duplicateRows = 0;
+    this.duplicatesComplete = true;
+    
+    columns.forEach(name => this.column(name));
+  }
+  
+  column(name) {
+    if (!this.columns.has(name)) {
+      this.columns.set(name, {
+        name,
+        present: 0,
+        types: {},
+        values: new Map(),
+        distinctCapped: false,
+        numeric: { count: 0, sum: 0, min: null, max: null }
+      });
+    }
+    return this.columns.get(name);
+  }
+  
+  /**
+   * Count a row towards duplicate detection
+   * @param {string} key - Canonical form of the row
+   */
+  fingerprint(key) {
+    const digest = crypto.createHash('sha1').update(key).digest('base64').slice(0, 16);
+    
+    if (this.fingerprints.has(digest)) {
+      this.duplicateRows++;
+    } else if (this.fingerprints.size < MAX_TRACKED_ROWS) {
+      this.fingerprints.add(digest);
+    } else {
+      this.duplicatesComplete = false;
+    }
+  }
+  
+  /**
+   * Record one cell
+   * @param {string} name - Column name
+   * @param {string} type - Classified type
+   * @param {*} value - Cell value
+   */
+  record(name, type, value) {
+    const column = this.column(name);
+    if (type === 'null') {
+      return;
+    }
+    
+    column.present++;
+    column.types[type] = (column.types[type] || 0) + 1;
+    
+    if (type === 'integer' || type === 'number') {
+      const number = Number(value);
+      const { numeric } = column;
+      numeric.count++;
+      numeric.sum += number;
+      numeric.min = numeric.min === null ? number : Math.min(numeric.min, number);
+      numeric.max = numeric.max === null ? number : Math.max(numeric.max, number);
+    }
+    
+    if (type === 'object' || type === 'array') {
+      return;
+    }
+    
+    const key = String(value);
+    if (column.values.has(key)) {
+      column.values.set(key, column.values.get(key) + 1);
+    } else if (column.values.size < MAX_DISTINCT_VALUES) {
+      column.values.set(key, 1);
+    } else {
+      column.distinctCapped = true;
+    }
+  }
+  
+  /**
+   * Summarize the table
+   * @param {boolean} includeValues - Include value samples and ranges
+   * @returns {Object} - Row count, duplicates and per-column statistics
+   */
+  toJSON(includeValues) {
+    return {
+      rowCount: this.rowCount,
+      malformedRows: this.malformedRows,
+      duplicateRows: this.duplicateRows,
+      duplicatesComplete: this.duplicatesComplete,
+      columns: [...this.columns.values()].map(column => {
+        const nullCount = this.rowCount - column.present;
+        const summary = {
+          name: column.name,
+          type: inferColumnType(column.types),
+          types: column.types,
+          nullCount,
+          nullRatio: this.rowCount > 0 ? Number((nullCount / this.rowCount).toFixed(4)) : 0,
+          distinctCount: column.values.size,
+          distinctCapped: column.distinctCapped
+        };
+        
+        if (!includeValues) {
+          return summary;
+        }
+        
+        const { numeric } = column;
+        return {
+          ...summary,
+          topValues: [...column.values.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_VALUES)
+            .map(([value, count]) => ({ value, count })),
+          ...(numeric.count > 0 ? {
+            min: numeric.min,
+            max: numeric.max,
+            mean: numeric.sum / numeric.count
+          } : {})
+        };
+      })
+    };
+  }
+}
+
+/**
+ * Settle on one type for a column from the types of its cells
+ * @param {Object} types - Cell count per type
+ * @returns {string} - Column type; mixed when cells disagree
+ */
+const inferColumnType = (types) => {
+  const seen = Object.keys(types);
+  if (seen.length === 0) {
+    return 'null';
+  }
+  if (seen.length === 1) {
+    return seen[0];
+  }
+  return seen.every(type => type === 'integer' || type === 'number') ? 'number' : 'mixed';
+};
+
+/**
+ * Guess the delimiter of a file from its first line
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Delimiter
+ */
+const sniffDelimiter = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const line = buffer.toString('utf8', 0, bytesRead).split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+    
+    const counts = [',', '\t', ';', '|'].map(delimiter => ({ delimiter, count: line.split(delimiter).length - 1 }));
+    const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+    return best.count > 0 ? best.delimiter : ',';
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Read the records of a delimited file, honouring quoted fields that span lines
+ * @param {string} filePath - Path to the file
+ * @param {string} delimiter - Field delimiter
+ * @returns {AsyncGenerator<Array<string>>} - Records
+ */
+async function* readDelimitedRecords(filePath, delimiter) {
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let afterQuote = false;
+  let started = false;
+  let first = true;
+  
+  for await (let chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) {
+    if (first) {
+      chunk = chunk.replace(/^\uFEFF/, '');
+      first = false;
+    }
+    
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          afterQuote = true;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+      
+      if (char === '"') {
+        // A doubled quote inside a quoted field is a literal quote
+        if (afterQuote) {
+          field += '"';
+        }
+        quoted = true;
+        afterQuote = false;
+        started = true;
+      } else if (char === delimiter) {
+        record.push(field);
+        field = '';
+        afterQuote = false;
+        started = true;
+      } else if (char === '\n') {
+        if (started) {
+          record.push(field);
+          yield record;
+        }
+        record = [];
+        field = '';
+        afterQuote = false;
+        started = false;
+      } else if (char !== '\r') {
+        field += char;
+        afterQuote = false;
+        started = true;
+      }
+    }
+  }
+  
+  if (started) {
+    record.push(field);
+    yield record;
+  }
+}
+
+/**
+ * Profile a CSV or TSV file whose first record is the header
+ * @param {string} filePath - Path to the file
+ * @param {string} format - csv or tsv
+ * @returns {Promise<Object>} - Delimiter and table profile
+ */
+const profileDelimited = async (filePath, format) => {
+  const delimiter = format === 'tsv' ? '\t' : await sniffDelimiter(filePath);
+  let table = null;
+  let header = null;
+  
+  for await (const record of readDelimitedRecords(filePath, delimiter)) {
+    if (!header) {
+      header = record.map((name, i) => name.trim() || `column_${i + 1}`);
+      table = new TableProfile(header);
+      continue;
+    }
+    
+    if (record.length !== header.length) {
+      table.malformedRows++;
+      continue;
+    }
+    
+    table.rowCount++;
+    table.fingerprint(record.join('\u0000'));
+    record.forEach((value, i) => table.record(header[i], classifyText(value), value.trim()));
+  }
+  
+  return { delimiter, table: table || new TableProfile() };
+};
+
+/**
+ * Profile a JSON Lines file; columns are the top-level keys of its objects
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<TableProfile>}
+ */
+const profileJsonLines = async (filePath) => {
+  const table = new TableProfile();
+  let buffered = '';
+  
+  const processLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return;
+    }
+    
+    let row;
+    try {
+      row = JSON.parse(trimmed);
+    } catch (error) {
+      row = null;
+    }
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      table.malformedRows++;
+      return;
+    }
+    
+    table.rowCount++;
+    table.fingerprint(trimmed);
+    for (const [key, value] of Object.entries(row)) {
+      table.record(key, classifyJson(value), value);
+    }
+  };
+  
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) {
+    const lines = (buffered + chunk).split('\n');
+    buffered = lines.pop();
+    lines.forEach(processLine);
+  }
+  processLine(buffered);
+  
+  return table;
+};
+
+/**
+ * Describe a Parquet file from its footer
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} - Tabular profile without value statistics
+ */
+const profileParquet = async (filePath) => {
+  if (!(await isParquetFile(filePath))) {
+    throw new Error('Invalid Parquet file: missing header magic');
+  }
+  
+  const metadata = await readParquetMetadata(filePath);
+  return {
+    rowCount: metadata.rowCount,
+    rowGroupCount: metadata.rowGroupCount,
+    createdBy: metadata.createdBy,
+    // Values live in compressed pages, which are not decoded
+    valueStatistics: false,
+    columns: metadata.columns.map(column => ({
+      name: column.path,
+      type: column.logicalType || column.physicalType,
+      physicalType: column.physicalType,
+      repetition: column.repetition,
+      nullCount: column.nullCount,
+      nullRatio: column.nullCount !== null && metadata.rowCount > 0
+        ? Number((column.nullCount / metadata.rowCount).toFixed(4))
+        : null
+    }))
+  };
+};
+
+/**
+ * List the files of a zip archive from its central directory
+ * @param {string} filePath - Path to the archive
+ * @returns {Promise<Array<Object>>} - Files with their paths, sizes, compression method, whether they
+ *   are encrypted and where their local headers start
+ */
+const readZipEntries = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const tailLength = Math.min(size, 65557);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+    
+    // The end of central directory record sits behind an optional comment
+    let eocd = -1;
+    for (let i = tailLength - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) {
+      throw new Error('Invalid zip archive: end of central directory not found');
+    }
+    
+    let directorySize = tail.readUInt32LE(eocd + 12);
+    let directoryOffset = tail.readUInt32LE(eocd + 16);
+    
+    // Zip64 archives point to a second directory record through a locator
+    if (directoryOffset === 0xffffffff && eocd >= 20 && tail.readUInt32LE(eocd - 20) === 0x07064b50) {
+      const record = Buffer.alloc(56);
+      await handle.read(record, 0, 56, Number(tail.readBigUInt64LE(eocd - 12)));
+      directorySize = Number(record.readBigUInt64LE(40));
+      directoryOffset = Number(record.readBigUInt64LE(48));
+    }
+    
+    const directory = Buffer.alloc(directorySize);
+    await handle.read(directory, 0, directorySize, directoryOffset);
+    
+    const entries = [];
+    let offset = 0;
+    while (offset + 46 <= directory.length && directory.readUInt32LE(offset) === 0x02014b50) {
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+      const fields = [24, 20, 42].map(position => directory.readUInt32LE(offset + position));
+      
+      // Sizes and offsets that overflow 32 bits are kept in the zip64 extra field, in this order
+      if (fields.includes(0xffffffff)) {
+        let extra = offset + 46 + nameLength;
+        const extraEnd = extra + extraLength;
+        while (extra + 4 <= extraEnd) {
+          if (directory.readUInt16LE(extra) === 0x0001) {
+            let value = extra + 4;
+            fields.forEach((field, i) => {
+              if (field === 0xffffffff) {
+                fields[i] = Number(directory.readBigUInt64LE(value));
+                value += 8;
+              }
+            });
+            break;
+          }
+          extra += 4 + directory.readUInt16LE(extra + 2);
+        }
+      }
+      
+      if (!name.endsWith('/')) {
+        const [entrySize, compressedSize, localHeaderOffset] = fields;
+        entries.push({
+          path: name,
+          size: entrySize,
+          compressedSize,
+          method: directory.readUInt16LE(offset + 10),
+          encrypted: (directory.readUInt16LE(offset + 8) & 0x1) === 1,
+          localHeaderOffset
+        });
+      }
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    
+    return entries;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Parse a numeric tar header field, in octal or GNU base-256
+ * @param {Buffer} field - Header field
+ * @returns {number}
+ */
+const parseTarNumber = (field) => {
+  if (field[0] & 0x80) {
+    let value = 0;
+    for (let i = 1; i < field.length; i++) {
+      value = value * 256 + field[i];
+    }
+    return value;
+  }
+  const text = field.toString('latin1').replace(/\0.*$/, '').trim();
+  return text ? parseInt(text, 8) : 0;
+};
+
+/**
+ * Read a NUL-terminated tar header string
+ * @param {Buffer} field - Header field
+ * @returns {string}
+ */
+const parseTarString = (field) => {
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end < 0 ? field.length : end);
+};
+
+/**
+ * List the files of a tar stream, following GNU long names and pax path headers
+ * @param {Readable} stream - Tar stream
+ * @returns {AsyncGenerator<Object>} - Files with their paths and sizes
+ */
+async function* readTarEntries(stream) {
+  const padded = (size) => Math.ceil(size / 512) * 512;
+  let buffer = Buffer.alloc(0);
+  let toSkip = 0;
+  let extension = null;
+  let override = {};
+  
+  for await (const chunk of stream) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    
+    for (;;) {
+      if (toSkip > 0) {
+        const skipped = Math.min(toSkip, buffer.length);
+        buffer = buffer.subarray(skipped);
+        toSkip -= skipped;
+        if (toSkip > 0) {
+          break;
+        }
+      }
+      
+      if (extension) {
+        if (buffer.length < padded(extension.size)) {
+          break;
+        }
+        
+        const data = buffer.subarray(0, extension.size);
+        if (extension.type === 'L') {
+          override.path = parseTarString(data);
+        } else {
+          // Pax records read "<length> <key>=<value>\n"
+          for (const line of data.toString('utf8').split('\n')) {
+            const match = line.match(/^\d+ (path|size)=(.*)$/);
+            if (match) {
+              override[match[1]] = match[1] === 'size' ? Number(match[2]) : match[2];
+            }
+          }
+        }
+        
+        buffer = buffer.subarray(padded(extension.size));
+        extension = null;
+        continue;
+      }
+      
+      if (buffer.length < 512) {
+        break;
+      }
+      
+      const header = buffer.subarray(0, 512);
+      buffer = buffer.subarray(512);
+      if (header.every(byte => byte === 0)) {
+        return;
+      }
+      
+      const type = String.fromCharCode(header[156] || 0x30);
+      const size = parseTarNumber(header.subarray(124, 136));
+      
+      if ((type === 'L' || type === 'x') && size <= 1024 * 1024) {
+        extension = { type, size };
+        continue;
+      }
+      
+      if (type === '0' || type === '7') {
+        const prefix = header.toString('latin1', 257, 263) === 'ustar\0' ? parseTarString(header.subarray(345, 500)) : '';
+        const name = parseTarString(header.subarray(0, 100));
+        
+        yield {
+          path: override.path || (prefix ? `${prefix}/${name}` : name),
+          size: override.size !== undefined ? override.size : size
+        };
+      }
+      
+      toSkip = padded(override.size !== undefined && (type === '0' || type === '7') ? override.size : size);
+      override = {};
+    }
+  }
+}
+
+/**
+ * Build the manifest of a zip or tar archive
+ * @param {string} filePath - Path to the archive
+ * @param {string} format - zip, tar or tar.gz
+ * @param {boolean} includeValues - List file names
+ * @returns {Promise<Object>} - File count, total size, MIME type counts and listed files
+ */
+const profileArchive = async (filePath, format, includeValues) => {
+  const manifest = { archiveFormat: format, fileCount: 0, totalSize: 0, mimeTypes: {} };
+  const files = [];
+  
+  const add = (entry) => {
+    const mimeType = getMimeType(entry.path);
+    manifest.fileCount++;
+    manifest.totalSize += entry.size;
+    manifest.mimeTypes[mimeType] = (manifest.mimeTypes[mimeType] || 0) + 1;
+    
+    if (files.length < MAX_MANIFEST_FILES) {
+      files.push({ path: entry.path, size: entry.size, mimeType });
+    }
+  };
+  
+  if (format === 'zip') {
+    (await readZipEntries(filePath)).forEach(add);
+  } else {
+    const source = fs.createReadStream(filePath);
+    const stream = format === 'tar.gz' ? pipeline(source, createGunzip(), () => {}) : source;
+    
+    try {
+      for await (const entry of readTarEntries(stream)) {
+        add(entry);
+      }
+    } finally {
+      source.destroy();
+    }
+  }
+  
+  return includeValues
+    ? { ...manifest, files, filesTruncated: manifest.fileCount > files.length }
+    : manifest;
+};
+
+/**
+ * Profile a dataset file
+ *
+ * Profiles are published, so files stored encrypted should be profiled without values:
+ * their columns then carry no value samples or ranges and their manifests no file names.
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options] - Profiling options
+ * @param {string} [options.fileName] - Original file name, which decides the format
+ * @param {boolean} [options.includeValues=true] - Include value samples, ranges and file names
+ * @returns {Promise<Object>} - Profile; kind is tabular, archive or file, with a warning when
+ *   the content could not be read as its format
+ */
+const profileFile = async (filePath, options = {}) => {
+  const fileName = path.basename(options.fileName || filePath);
+  const includeValues = options.includeValues !== false;
+  
+  const [{ size }, { sha256, head }] = await Promise.all([fs.promises.stat(filePath), scanFile(filePath)]);
+  const { format, mimeType } = detectFormat(fileName, head);
+  
+  const profile = {
+    version: PROFILE_VERSION,
+    fileName,
+    size,
+    sha256,
+    mimeType,
+    format,
+    kind: 'file',
+    profiledAt: new Date().toISOString()
+  };
+  
+  try {
+    if (format === 'csv' || format === 'tsv') {
+      const { delimiter, table } = await profileDelimited(filePath, format);
+      return { ...profile, kind: 'tabular', delimiter, ...table.toJSON(includeValues) };
+    }
+    if (format === 'jsonl') {
+      return { ...profile, kind: 'tabular', ...(await profileJsonLines(filePath)).toJSON(includeValues) };
+    }
+    if (format === 'parquet') {
+      return { ...profile, kind: 'tabular', ...(await profileParquet(filePath)) };
+    }
+    if (format === 'zip' || format === 'tar' || format === 'tar.gz') {
+      return { ...profile, kind: 'archive', ...(await profileArchive(filePath, format, includeValues)) };
+    }
+  } catch (error) {
+    return { ...profile, warning: `Could not read the file as ${format}: ${error.message}` };
+  }
+  
+  return profile;
+};
+
+module.exports = {
+  profileFile,
+  getMimeType,
+  readZipEntries
+};
@@ -0,0 +1,583 @@
+/**
+ * W3C PROV serialization utilities
+ * Converts provenance history to and from PROV-JSON and PROV-O (JSON-LD or Turtle)
+ */
+
+const PROV_NS = 'http://www.w3.org/ns/prov#';
+const XSD_NS = 'http://www.w3.org/2001/XMLSchema#';
+const RDFS_NS = 'http://www.w3.org/2000/01/rdf-schema#';
+const DPC_NS = 'https://dataprovchain.io/ns/prov#';
+
+const PREFIXES = {
+  prov: PROV_NS,
+  xsd: XSD_NS,
+  rdfs: RDFS_NS,
+  dpc: DPC_NS
+};
+
+// Supported serializations and how they are served
+const PROV_FORMATS = {
+  'prov-json': { contentType: 'application/json', extension: 'json' },
+  jsonld: { contentType: 'application/ld+json', extension: 'jsonld' },
+  turtle: { contentType: 'text/turtle', extension: 'ttl' }
+};
+
+// Relation types with their subject and object roles, in PROV-JSON naming
+const RELATIONS = {
+  wasGeneratedBy: ['prov:entity', 'prov:activity'],
+  used: ['prov:activity', 'prov:entity'],
+  wasAssociatedWith: ['prov:activity', 'prov:agent'],
+  wasAttributedTo: ['prov:entity', 'prov:agent'],
+  wasInformedBy: ['prov:informed', 'prov:informant'],
+  wasDerivedFrom: ['prov:generatedEntity', 'prov:usedEntity']
+};
+
+// Record action types that produce a new state of the dataset rather than consume it
+const GENERATING_ACTIONS = ['creation', 'modification', 'derivation'];
+
+/**
+ * Build a qualified name in the DataProvChain namespace
+ * @param {string} kind - Kind of resource (dataset, record, agent)
+ * @param {string} id - Resource identifier
+ * @returns {string} - Qualified name
+ */
+const qualifiedName = (kind, id) => `dpc:${kind}-${id}`;
+
+/**
+ * Build the PROV graph of a dataset's provenance history
+ * @param {Object} dataset - Dataset
+ * @param {Array<Object>} records - Provenance records in chain order
+ * @param {Array<Object>} [parents] - Direct parent datasets with the lineage link relation
+ * @returns {Object} - Graph with entities, activities, agents and relations
+ */
+const buildProvGraph = (dataset, records, parents = []) => {
+  const graph = {
+    entities: {},
+    activities: {},
+    agents: {},
+    relations: []
+  };
+
+  const addAgent = (address) => {
+    const id = qualifiedName('agent', address);
+    if (!graph.agents[id]) {
+      graph.agents[id] = {
+        'prov:type': address === 'system' ? 'prov:SoftwareAgent' : 'dpc:Wallet',
+        'dpc:walletAddress': address
+      };
+    }
+    return id;
+  };
+
+  const datasetId = qualifiedName('dataset', dataset.id);
+  graph.entities[datasetId] = {
+    'prov:type': 'dpc:Dataset',
+    'prov:label': dataset.name,
+    'dpc:cid': dataset.cid,
+    'dpc:tokenId': dataset.tokenId,
+    'dpc:metadataUri': dataset.metadataUri,
+    'dpc:dataType': dataset.dataType,
+    'dpc:license': dataset.license,
+    'dpc:dealId': dataset.dealId
+  };
+
+  if (dataset.creator) {
+    graph.relations.push({
+      type: 'wasAttributedTo',
+      subject: datasetId,
+      object: addAgent(dataset.creator)
+    });
+  }
+
+  records.forEach((record, index) => {
+    const activityId = qualifiedName('record', record.id);
+    const time = new Date(record.createdAt);
+
+    graph.activities[activityId] = {
+      'prov:type': `dpc:${record.actionType}`,
+      'prov:label': record.description,
+      'prov:startTime': time,
+      'prov:endTime': time,
+      'dpc:actionType': record.actionType,
+      'dpc:sequence': record.sequence,
+      'dpc:ipfsCid': record.ipfsCid,
+      'dpc:transactionHash': record.transactionHash,
+      'dpc:contentHash': record.contentHash,
+      'dpc:previousHash': record.previousHash,
+      'dpc:metadata': record.metadata && Object.keys(record.metadata).length > 0
+        ? JSON.stringify(record.metadata)
+        : null
+    };
+
+    graph.relations.push({
+      type: 'wasAssociatedWith',
+      subject: activityId,
+      object: addAgent(record.performedBy)
+    });
+
+    graph.relations.push(GENERATING_ACTIONS.includes(record.actionType)
+      ? { type: 'wasGeneratedBy', subject: datasetId, object: activityId, attributes: { 'prov:time': time } }
+      : { type: 'used', subject: activityId, object: datasetId, attributes: { 'prov:time': time } });
+
+    const previousId = record.previousRecordId || (index > 0 ? records[index - 1].id : null);
+    if (previousId) {
+      graph.relations.push({
+        type: 'wasInformedBy',
+        subject: activityId,
+        object: qualifiedName('record', previousId)
+      });
+    }
+  });
+
+  parents.forEach(({ dataset: parent, relationType, provenanceRecordId }) => {
+    const parentId = qualifiedName('dataset', parent.id);
+    graph.entities[parentId] = {
+      'prov:type': 'dpc:Dataset',
+      'prov:label': parent.name,
+      'dpc:cid': parent.cid
+    };
+
+    graph.relations.push({
+      type: 'wasDerivedFrom',
+      subject: datasetId,
+      object: parentId,
+      attributes: {
+        'prov:activity': provenanceRecordId ? qualifiedName('record', provenanceRecordId) : null,
+        'dpc:relationType': relationType
+      }
+    });
+  });
+
+  return graph;
+};
+
+/**
+ * Drop attributes without a value
+ * @param {Object} attributes - Attributes
+ * @returns {Array<Array>} - Remaining [name, value] pairs
+ */
+const presentAttributes = (attributes = {}) => {
+  return Object.entries(attributes).filter(([, value]) => value !== null && value !== undefined);
+};
+
+/**
+ * Serialize a graph as PROV-JSON
+ * @param {Object} graph - PROV graph
+ * @returns {Object} - PROV-JSON document
+ */
+const toProvJson = (graph) => {
+  const encode = (name, value) => {
+    if (value instanceof Date) {
+      return name === 'prov:startTime' || name === 'prov:endTime' || name === 'prov:time'
+        ? value.toISOString()
+        : { $: value.toISOString(), type: 'xsd:dateTime' };
+    }
+    if (name === 'prov:type' || name === 'prov:activity') {
+      return { $: value, type: 'prov:QUALIFIED_NAME' };
+    }
+    return value;
+  };
+
+  const encodeAll = (attributes) => {
+    return Object.fromEntries(presentAttributes(attributes).map(([name, value]) => [name, encode(name, value)]));
+  };
+
+  const document = {
+    prefix: { dpc: DPC_NS },
+    entity: {},
+    activity: {},
+    agent: {}
+  };
+
+  Object.entries(graph.entities).forEach(([id, attributes]) => {
+    document.entity[id] = encodeAll(attributes);
+  });
+  Object.entries(graph.activities).forEach(([id, attributes]) => {
+    document.activity[id] = encodeAll(attributes);
+  });
+  Object.entries(graph.agents).forEach(([id, attributes]) => {
+    document.agent[id] = encodeAll(attributes);
+  });
+
+  graph.relations.forEach((relation, index) => {
+    const [subjectRole, objectRole] = RELATIONS[relation.type];
+    document[relation.type] = document[relation.type] || {};
+    document[relation.type][`_:${relation.type}${index}`] = {
+      [subjectRole]: relation.subject,
+      [objectRole]: relation.object,
+      ...Object.fromEntries(presentAttributes(relation.attributes).map(([name, value]) =>
+        [name, name === 'prov:activity' ? value : encode(name, value)]
+      ))
+    };
+  });
+
+  return document;
+};
+
+/**
+ * Map a PROV-JSON attribute to its PROV-O property
+ * @param {string} name - Attribute name
+ * @returns {string} - Property name
+ */
+const provOProperty = (name) => {
+  switch (name) {
+    case 'prov:label':
+      return 'rdfs:label';
+    case 'prov:type':
+      return '@type';
+    case 'prov:startTime':
+      return 'prov:startedAtTime';
+    case 'prov:endTime':
+      return 'prov:endedAtTime';
+    default:
+      return name;
+  }
+};
+
+/**
+ * Collect the PROV-O nodes of a graph; relation attributes are not expressed
+ * because PROV-O only carries them on qualified relations
+ * @param {Object} graph - PROV graph
+ * @returns {Array<Object>} - Nodes with a type, properties and links
+ */
+const toProvONodes = (graph) => {
+  const nodes = new Map();
+
+  const addNodes = (collection, provType) => {
+    Object.entries(collection).forEach(([id, attributes]) => {
+      const node = { id, types: [provType], properties: [], links: [] };
+      presentAttributes(attributes).forEach(([name, value]) => {
+        const property = provOProperty(name);
+        if (property === '@type') {
+          node.types.push(value);
+        } else {
+          node.properties.push([property, value]);
+        }
+      });
+      nodes.set(id, node);
+    });
+  };
+
+  addNodes(graph.entities, 'prov:Entity');
+  addNodes(graph.activities, 'prov:Activity');
+  addNodes(graph.agents, 'prov:Agent');
+
+  graph.relations.forEach(relation => {
+    const node = nodes.get(relation.subject);
+    if (node) {
+      node.links.push([`prov:${relation.type}`, relation.object]);
+    }
+  });
+
+  return [...nodes.values()];
+};
+
+/**
+ * Serialize a graph as PROV-O JSON-LD
+ * @param {Object} graph - PROV graph
+ * @returns {Object} - JSON-LD document
+ */
+const toProvOJsonLd = (graph) => {
+  const encode = (value) => {
+    if (value instanceof Date) {
+      return { '@value': value.toISOString(), '@type': 'xsd:dateTime' };
+    }
+    return value;
+  };
+
+  return {
+    '@context': { ...PREFIXES },
+    '@graph': toProvONodes(graph).map(node => {
+      const jsonNode = {
+        '@id': node.id,
+        '@type': node.types.length === 1 ? node.types[0] : node.types
+      };
+
+      node.properties.forEach(([property, value]) => {
+        jsonNode[property] = encode(value);
+      });
+
+      node.links.forEach(([property, target]) => {
+        const link = { '@id': target };
+        if (jsonNode[property]) {
+          jsonNode[property] = [].concat(jsonNode[property], link);
+        } else {
+          jsonNode[property] = link;
+        }
+      });
+
+      return jsonNode;
+    })
+  };
+};
+
+/**
+ * Write a qualified name as a Turtle term
+ * @param {string} name - Qualified name
+ * @returns {string} - Prefixed name, or full IRI when the local part is not a valid Turtle name
+ */
+const turtleName = (name) => {
+  const separator = name.indexOf(':');
+  const prefix = name.slice(0, separator);
+  const local = name.slice(separator + 1);
+
+  if (/^[A-Za-z0-9_-]+$/.test(local)) {
+    return name;
+  }
+  return `<${PREFIXES[prefix]}${encodeURIComponent(local)}>`;
+};
+
+/**
+ * Write a value as a Turtle literal
+ * @param {*} value - Value
+ * @returns {string} - Turtle literal
+ */
+const turtleLiteral = (value) => {
+  if (value instanceof Date) {
+    return `"${value.toISOString()}"^^xsd:dateTime`;
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+  return JSON.stringify(String(value));
+};
+
+/**
+ * Serialize a graph as PROV-O Turtle
+ * @param {Object} graph - PROV graph
+ * @returns {string} - Turtle document
+ */
+const toProvOTurtle = (graph) => {
+  const lines = Object.entries(PREFIXES).map(([prefix, ns]) => `@prefix ${prefix}: <${ns}> .`);
+
+  toProvONodes(graph).forEach(node => {
+    const statements = [
+      `a ${node.types.map(turtleName).join(', ')}`,
+      ...node.properties.map(([property, value]) => `${property} ${turtleLiteral(value)}`),
+      ...node.links.map(([property, target]) => `${property} ${turtleName(target)}`)
+    ];
+
+    lines.push('');
+    lines.push(`${turtleName(node.id)}`);
+    lines.push(statements.map(statement => `    ${statement}`).join(' ;\n') + ' .');
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Serialize a graph in the requested format
+ * @param {Object} graph - PROV graph
+ * @param {string} format - "prov-json", "jsonld" or "turtle"
+ * @returns {Object|string} - Serialized document
+ */
+const serializeProvGraph = (graph, format) => {
+  switch (format) {
+    case 'prov-json':
+      return toProvJson(graph);
+    case 'jsonld':
+      return toProvOJsonLd(graph);
+    case 'turtle':
+      return toProvOTurtle(graph);
+    default:
+      throw new Error(`Unsupported PROV format: ${format}`);
+  }
+};
+
+/**
+ * Read a literal value from PROV-JSON or JSON-LD
+ * @param {*} value - Encoded value
+ * @returns {*} - Plain value
+ */
+const decodeValue = (value) => {
+  if (Array.isArray(value)) {
+    return decodeValue(value[0]);
+  }
+  if (value && typeof value === 'object') {
+    if ('$' in value) return value.$;
+    if ('@value' in value) return value['@value'];
+    if ('@id' in value) return value['@id'];
+  }
+  return value;
+};
+
+/**
+ * Collect the values of a possibly repeated JSON-LD property
+ * @param {*} value - Property value
+ * @returns {Array} - Plain values
+ */
+const decodeValues = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return [].concat(value).map(decodeValue);
+};
+
+/**
+ * Create an empty imported activity
+ * @param {string} id - Activity identifier
+ * @param {Object} attributes - Activity attributes
+ * @returns {Object} - Activity
+ */
+const importedActivity = (id, attributes) => ({
+  id,
+  label: null,
+  startTime: null,
+  attributes,
+  agents: [],
+  used: [],
+  generated: [],
+  informedBy: []
+});
+
+/**
+ * Read the activities of a PROV-JSON document
+ * @param {Object} document - PROV-JSON document
+ * @returns {Array<Object>} - Activities with their associated agents and entities
+ */
+const parseProvJson = (document) => {
+  if (!document.activity || typeof document.activity !== 'object') {
+    throw new Error('Invalid provenance document: PROV-JSON document has no activities');
+  }
+
+  const activities = new Map();
+  Object.entries(document.activity).forEach(([id, rawAttributes]) => {
+    const attributes = Object.fromEntries(
+      Object.entries(rawAttributes || {}).map(([name, value]) => [name, decodeValue(value)])
+    );
+    const activity = importedActivity(id, attributes);
+    activity.label = attributes['prov:label'] || null;
+    activity.startTime = attributes['prov:startTime'] || null;
+    activities.set(id, activity);
+  });
+
+  const link = (relationType, activityRole, otherRole, field) => {
+    Object.values(document[relationType] || {}).forEach(relation => {
+      const activity = activities.get(relation[activityRole]);
+      if (activity && relation[otherRole]) {
+        activity[field].push(relation[otherRole]);
+      }
+    });
+  };
+
+  link('wasAssociatedWith', 'prov:activity', 'prov:agent', 'agents');
+  link('used', 'prov:activity', 'prov:entity', 'used');
+  link('wasGeneratedBy', 'prov:activity', 'prov:entity', 'generated');
+  link('wasInformedBy', 'prov:informed', 'prov:informant', 'informedBy');
+
+  return [...activities.values()];
+};
+
+/**
+ * Read the activities of a PROV-O JSON-LD document
+ *
+ * Compact IRIs are expanded against the document's own context so documents
+ * using other prefixes for the PROV namespace are understood.
+ * @param {Object|Array} document - JSON-LD document
+ * @returns {Array<Object>} - Activities with their associated agents and entities
+ */
+const parseProvOJsonLd = (document) => {
+  const context = document && typeof document['@context'] === 'object' ? document['@context'] : {};
+  const nodes = Array.isArray(document) ? document : [].concat(document['@graph'] || document);
+
+  const expand = (term) => {
+    if (typeof term !== 'string') return term;
+    const separator = term.indexOf(':');
+    if (separator === -1) return term;
+    const prefix = term.slice(0, separator);
+    const namespace = typeof context[prefix] === 'string' ? context[prefix] : PREFIXES[prefix];
+    return namespace ? namespace + term.slice(separator + 1) : term;
+  };
+
+  const property = (node, iri) => {
+    const key = Object.keys(node).find(name => expand(name) === iri);
+    return key ? node[key] : undefined;
+  };
+
+  const typesOf = (node) => [].concat(node['@type'] || []).map(expand);
+
+  const activities = new Map();
+  nodes.filter(node => typesOf(node).includes(`${PROV_NS}Activity`)).forEach(node => {
+    const attributes = {};
+    Object.entries(node).forEach(([name, value]) => {
+      if (!name.startsWith('@')) {
+        attributes[name] = decodeValue(value);
+      }
+    });
+
+    const otherTypes = typesOf(node).filter(type => type !== `${PROV_NS}Activity`);
+    if (otherTypes.length > 0) {
+      attributes['prov:type'] = otherTypes[0];
+    }
+
+    const activity = importedActivity(node['@id'], attributes);
+    activity.label = decodeValue(property(node, `${RDFS_NS}label`)) || null;
+    activity.startTime = decodeValue(property(node, `${PROV_NS}startedAtTime`)) || null;
+    activity.agents = decodeValues(property(node, `${PROV_NS}wasAssociatedWith`));
+    activity.used = decodeValues(property(node, `${PROV_NS}used`));
+    activity.informedBy = decodeValues(property(node, `${PROV_NS}wasInformedBy`));
+    activities.set(node['@id'], activity);
+  });
+
+  // Generation is stated on the entity in PROV-O
+  nodes.forEach(node => {
+    decodeValues(property(node, `${PROV_NS}wasGeneratedBy`)).forEach(activityId => {
+      const activity = activities.get(activityId);
+      if (activity) {
+        activity.generated.push(node['@id']);
+      }
+    });
+  });
+
+  if (activities.size === 0) {
+    throw new Error('Invalid provenance document: JSON-LD document has no prov:Activity nodes');
+  }
+
+  return [...activities.values()];
+};
+
+/**
+ * Read the activities of a PROV document
+ * @param {Object} document - Parsed document
+ * @param {string} format - "prov-json" or "jsonld"
+ * @returns {Array<Object>} - Activities ordered by start time
+ */
+const parseProvDocument = (document, format) => {
+  if (!document || typeof document !== 'object') {
+    throw new Error('Invalid provenance document: expected a JSON object');
+  }
+
+  let activities;
+  switch (format) {
+    case 'prov-json':
+      activities = parseProvJson(document);
+      break;
+    case 'jsonld':
+      activities = parseProvOJsonLd(document);
+      break;
+    default:
+      throw new Error(`Unsupported PROV import format: ${format}`);
+  }
+
+  // Activities without a start time keep their document order after the timed ones
+  const time = (activity) => {
+    const parsed = activity.startTime ? Date.parse(activity.startTime) : NaN;
+    return Number.isNaN(parsed) ? Infinity : parsed;
+  };
+
+  return activities
+    .map((activity, index) => ({ activity, index }))
+    .sort((a, b) => (time(a.activity) - time(b.activity)) || (a.index - b.index))
+    .map(({ activity }) => activity);
+};
+
+module.exports = {
+  PROV_FORMATS,
+  GENERATING_ACTIONS,
+  buildProvGraph,
+  serializeProvGraph,
+  parseProvDocument
+};
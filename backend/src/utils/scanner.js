@@ -0,0 +1,438 @@
+/**
+ * Personal data and secret scanner
+ * Runs pattern detectors over text, line by line, and confirms candidate matches with checksum
+ * or context validators where a pattern alone would be too noisy: Luhn for card numbers, mod-97
+ * for IBANs, the BIP-39 checksum for mnemonics and the curve order for raw private keys.
+ */
+const fs = require('fs');
+const { pipeline } = require('stream');
+const { createGunzip, createInflateRaw } = require('zlib');
+const { ethers } = require('ethers');
+const { readZipEntries } = require('./profiler');
+
+// Longest stretch scanned without a line break; binary content is cut at whitespace instead
+const MAX_LINE_LENGTH = 64 * 1024;
+
+// Order of the secp256k1 group; valid private keys lie in [1, n - 1]
+const SECP256K1_ORDER = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
+const MNEMONIC_LENGTHS = [24, 21, 18, 15, 12];
+
+// Leading bytes of compressed and columnar formats whose content cannot be matched as stored
+const UNSCANNABLE_SIGNATURES = [
+  { bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], format: 'xz' },
+  { bytes: [0x42, 0x5a, 0x68], format: 'bzip2' },
+  { bytes: [0x28, 0xb5, 0x2f, 0xfd], format: 'zstd' },
+  { bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], format: '7z' },
+  { bytes: [0x50, 0x41, 0x52, 0x31], format: 'Parquet' }
+];
+
+// Zip entries the scanner can read, by compression method; names flag entries compressed again inside
+const ZIP_METHODS = { 0: 'stored', 8: 'deflate' };
+const UNSCANNABLE_ENTRY_NAME = /\.(?:gz|tgz|xz|bz2|zst|7z|zip|parquet)$/i;
+
+const BIP39_WORDS = new Set(Array.from({ length: 2048 }, (_, i) => ethers.wordlists.en.getWord(i)));
+
+/**
+ * Check a digit string with the Luhn algorithm
+ * @param {string} digits - Digits only
+ * @returns {boolean}
+ */
+const luhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Check an IBAN with the ISO 7064 mod-97 checksum
+ * @param {string} iban - IBAN without spaces
+ * @returns {boolean}
+ */
+const ibanChecksum = (iban) => {
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+/**
+ * Find the BIP-39 mnemonics in a stretch of wordlist words
+ * @param {Array<string>} words - Words
+ * @returns {Array<string>} - Valid mnemonics
+ */
+const findMnemonicsIn = (words) => {
+  const found = [];
+  
+  for (let start = 0; start < words.length;) {
+    const length = MNEMONIC_LENGTHS.find(size =>
+      start + size <= words.length && ethers.utils.isValidMnemonic(words.slice(start, start + size).join(' ')));
+    
+    if (length) {
+      found.push(words.slice(start, start + length).join(' '));
+      start += length;
+    } else {
+      start++;
+    }
+  }
+  return found;
+};
+
+/**
+ * Find the BIP-39 mnemonics in a run of words
+ * @param {string} run - Lowercase words separated by whitespace
+ * @returns {Array<string>} - Valid mnemonics
+ */
+const findMnemonics = (run) => {
+  // Only stretches made entirely of wordlist words are worth a checksum
+  const stretches = run.trim().split(/\s+/).reduce((result, word) => {
+    if (BIP39_WORDS.has(word)) {
+      result[result.length - 1].push(word);
+    } else if (result[result.length - 1].length > 0) {
+      result.push([]);
+    }
+    return result;
+  }, [[]]);
+  
+  return stretches
+    .filter(stretch => stretch.length >= MNEMONIC_LENGTHS[MNEMONIC_LENGTHS.length - 1])
+    .flatMap(findMnemonicsIn);
+};
+
+/**
+ * Detectors, each with a severity, a global pattern and an optional validator of its matches;
+ * validators may return the matched values to report when one match holds several
+ */
+const DETECTORS = [
+  {
+    id: 'pem_private_key',
+    severity: 'high',
+    description: 'PEM-encoded private key',
+    pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----/g
+  },
+  {
+    id: 'wallet_private_key',
+    severity: 'high',
+    description: 'Wallet private key',
+    pattern: /\b(?:0x)?[0-9a-fA-F]{64}\b/g,
+    // Transaction hashes and digests look the same, so only keys labelled as such count
+    validate: (match, line) => {
+      if (!/priv|secret|wallet|signer|\bkey\b|_key|key_|key=|key:/i.test(line)) {
+        return false;
+      }
+      const value = BigInt(match.startsWith('0x') ? match : `0x${match}`);
+      return value > 0n && value < SECP256K1_ORDER;
+    }
+  },
+  {
+    id: 'wallet_mnemonic',
+    severity: 'high',
+    description: 'Wallet recovery phrase',
+    pattern: /\b(?:[a-z]{3,8}[ \t]+){11,}[a-z]{3,8}\b/g,
+    validate: (match) => findMnemonics(match)
+  },
+  {
+    id: 'aws_access_key',
+    severity: 'high',
+    description: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g
+  },
+  {
+    id: 'api_token',
+    severity: 'high',
+    description: 'API token',
+    pattern: /\b(?:ghp_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82}|xox[abprs]-[A-Za-z0-9-]{10,}|sk_live_[A-Za-z0-9]{24,}|AIza[0-9A-Za-z_-]{35})\b/g
+  },
+  {
+    id: 'credit_card',
+    severity: 'high',
+    description: 'Payment card number',
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 13 && digits.length <= 19 && !/^(\d)\1+$/.test(digits) && luhn(digits);
+    }
+  },
+  {
+    id: 'iban',
+    severity: 'medium',
+    description: 'Bank account number (IBAN)',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: (match) => ibanChecksum(match.replace(/ /g, ''))
+  },
+  {
+    id: 'email',
+    severity: 'medium',
+    description: 'Email address',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g
+  },
+  {
+    id: 'phone',
+    severity: 'medium',
+    description: 'Phone number',
+    // International numbers with their country code, or North American ones with an area code
+    pattern: /(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{1,4}(?:[ .-]?\d{2,4}){1,4}|\(\d{3}\) ?\d{3}[ .-]\d{4})\b/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 8 && digits.length <= 15;
+    }
+  }
+];
+
+/**
+ * Mask a matched value, keeping just enough of it to be recognised by its owner
+ * @param {string} value - Matched value
+ * @param {string} severity - Severity of the detector; secrets keep less
+ * @returns {string} - Redacted value
+ */
+const redact = (value, severity) => {
+  if (value.length <= 6) {
+    return '*'.repeat(value.length);
+  }
+  const visible = severity === 'high' ? 2 : Math.min(4, Math.floor(value.length / 6));
+  return `${value.slice(0, visible)}${'*'.repeat(Math.min(value.length - 2 * visible, 16))}${value.slice(-visible)}`;
+};
+
+/**
+ * Accumulates the findings of a scan
+ */
+class FindingsReport {
+  constructor(detectors, maxSamples) {
+    this.detectors = detectors;
+    this.maxSamples = maxSamples;
+    this.findings = new Map();
+    this.bytesScanned = 0;
+    this.warnings = [];
+    this.unscannable = [];
+  }
+  
+  /**
+   * Record content that could not be scanned
+   * @param {string} source - Where the content is
+   * @param {string} reason - Why it could not be scanned
+   */
+  skip(source, reason) {
+    this.unscannable.push({ source, reason });
+    this.warnings.push(`${source} could not be scanned: ${reason}`);
+  }
+  
+  /**
+   * Scan one line of text
+   * @param {string} line - Text
+   * @param {string} source - Where the text came from
+   * @param {number} lineNumber - Line number within the source
+   */
+  scanLine(line, source, lineNumber) {
+    for (const detector of this.detectors) {
+      for (const [match] of line.matchAll(detector.pattern)) {
+        const validated = detector.validate ? detector.validate(match, line) : true;
+        const values = Array.isArray(validated) ? validated : (validated ? [match] : []);
+        
+        values.forEach(value => this.add(detector, value, source, lineNumber));
+      }
+    }
+  }
+  
+  add(detector, value, source, line) {
+    if (!this.findings.has(detector.id)) {
+      this.findings.set(detector.id, {
+        detector: detector.id,
+        severity: detector.severity,
+        description: detector.description,
+        count: 0,
+        samples: []
+      });
+    }
+    
+    const finding = this.findings.get(detector.id);
+    finding.count++;
+    if (finding.samples.length < this.maxSamples) {
+      finding.samples.push({ source, line, preview: redact(value, detector.severity) });
+    }
+  }
+  
+  toJSON() {
+    return {
+      bytesScanned: this.bytesScanned,
+      findings: [...this.findings.values()],
+      warnings: this.warnings,
+      unscannable: this.unscannable
+    };
+  }
+}
+
+/**
+ * Resolve the detectors to run
+ * @param {Array<string>} [ids] - Detector IDs; all detectors when empty
+ * @returns {Array<Object>} - Detectors
+ */
+const getDetectors = (ids) => {
+  if (!ids || ids.length === 0) {
+    return DETECTORS;
+  }
+  
+  const unknown = ids.filter(id => !DETECTORS.some(detector => detector.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown content scan detectors: ${unknown.join(', ')}`);
+  }
+  return DETECTORS.filter(detector => ids.includes(detector.id));
+};
+
+/**
+ * Scan a text stream line by line
+ * @param {Readable} stream - UTF-8 text stream
+ * @param {FindingsReport} report - Report to add to
+ * @param {string} source - Name of the source
+ */
+const scanStream = async (stream, report, source) => {
+  let buffered = '';
+  let lineNumber = 0;
+  
+  for await (const chunk of stream) {
+    report.bytesScanned += Buffer.byteLength(chunk);
+    const lines = (buffered + chunk).split('\n');
+    buffered = lines.pop();
+    
+    for (const line of lines) {
+      report.scanLine(line, source, ++lineNumber);
+    }
+    
+    // Without line breaks, scan up to the last whitespace and carry the rest
+    if (buffered.length > MAX_LINE_LENGTH) {
+      const cut = buffered.search(/\s\S*$/);
+      const end = cut > 0 ? cut : buffered.length;
+      report.scanLine(buffered.slice(0, end), source, lineNumber + 1);
+      buffered = buffered.slice(end);
+    }
+  }
+  
+  if (buffered) {
+    report.scanLine(buffered, source, ++lineNumber);
+  }
+};
+
+/**
+ * Scan the files of a zip archive
+ * @param {string} filePath - Path to the archive
+ * @param {FindingsReport} report - Report to add to
+ */
+const scanZip = async (filePath, report) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    for (const entry of await readZipEntries(filePath)) {
+      const source = `file:${entry.path}`;
+      
+      if (entry.encrypted) {
+        report.skip(source, 'entry is encrypted');
+        continue;
+      }
+      if (!ZIP_METHODS[entry.method]) {
+        report.skip(source, `unsupported compression method ${entry.method}`);
+        continue;
+      }
+      if (UNSCANNABLE_ENTRY_NAME.test(entry.path)) {
+        report.skip(source, 'entry is a compressed or columnar file');
+        continue;
+      }
+      if (entry.compressedSize === 0) {
+        continue;
+      }
+      
+      // Entry data follows its local header, whose name and extra field lengths may differ from the directory's
+      const header = Buffer.alloc(30);
+      await handle.read(header, 0, 30, entry.localHeaderOffset);
+      if (header.readUInt32LE(0) !== 0x04034b50) {
+        throw new Error(`Invalid zip archive: no local header for ${entry.path}`);
+      }
+      const start = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+      
+      const raw = fs.createReadStream(filePath, { start, end: start + entry.compressedSize - 1 });
+      try {
+        const stream = entry.method === 8 ? pipeline(raw, createInflateRaw(), () => {}) : raw;
+        stream.setEncoding('utf8');
+        await scanStream(stream, report, source);
+      } finally {
+        raw.destroy();
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Scan a file and optional text fields for personal data and secrets
+ *
+ * Gzip files and the stored and deflated files of zip archives are scanned decompressed. Content
+ * the scanner cannot read, such as xz, bzip2 or Parquet files and encrypted zip entries, is listed
+ * as unscannable so the caller's policy can hold it.
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options] - Scan options
+ * @param {Object} [options.fields] - Text fields to scan too, by name
+ * @param {Array<string>} [options.detectors] - Detector IDs to run; all when unset
+ * @param {number} [options.maxSamples=5] - Redacted examples kept per detector
+ * @returns {Promise<Object>} - Bytes scanned, findings per detector, warnings and unscannable sources
+ */
+const scanFile = async (filePath, options = {}) => {
+  const report = new FindingsReport(getDetectors(options.detectors), options.maxSamples || 5);
+  
+  for (const [name, value] of Object.entries(options.fields || {})) {
+    [].concat(value || [])
+      .flatMap(text => String(text).split('\n'))
+      .forEach((line, i) => report.scanLine(line, `metadata.${name}`, i + 1));
+  }
+  
+  const head = Buffer.alloc(6);
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    await handle.read(head, 0, 6, 0);
+  } finally {
+    await handle.close();
+  }
+  
+  const unscannable = UNSCANNABLE_SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => head[i] === byte));
+  if (unscannable) {
+    report.skip('file', `${unscannable.format} content cannot be matched as stored`);
+    return report.toJSON();
+  }
+  
+  if (head.readUInt32LE(0) === 0x04034b50) {
+    await scanZip(filePath, report);
+    return report.toJSON();
+  }
+  
+  const source = fs.createReadStream(filePath);
+  try {
+    if (head[0] === 0x1f && head[1] === 0x8b) {
+      const gunzip = pipeline(source, createGunzip(), () => {});
+      gunzip.setEncoding('utf8');
+      await scanStream(gunzip, report, 'file');
+    } else {
+      source.setEncoding('utf8');
+      await scanStream(source, report, 'file');
+    }
+  } finally {
+    source.destroy();
+  }
+  
+  return report.toJSON();
+};
+
+module.exports = {
+  DETECTORS,
+  scanFile
+};
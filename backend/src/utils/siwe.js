@@ -0,0 +1,145 @@
+/**
+ * Sign-In with Ethereum (EIP-4361) messages
+ * Builds and parses the plain-text messages wallets sign to log in; the frontend
+ * builds the same format in utils/siwe.js.
+ */
+const { ethers } = require('ethers');
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Optional fields in the order the message lists them, by the property they are read into
+const FIELDS = [
+  ['URI', 'uri'],
+  ['Version', 'version'],
+  ['Chain ID', 'chainId'],
+  ['Nonce', 'nonce'],
+  ['Issued At', 'issuedAt'],
+  ['Expiration Time', 'expirationTime'],
+  ['Not Before', 'notBefore'],
+  ['Request ID', 'requestId']
+];
+
+const REQUIRED_FIELDS = ['uri', 'version', 'chainId', 'nonce', 'issuedAt'];
+
+/**
+ * Build a SIWE message
+ * @param {Object} fields - Message fields
+ * @param {string} fields.domain - Domain requesting the sign-in, such as app.example.org
+ * @param {string} fields.address - Signing address; written EIP-55 checksummed
+ * @param {string} [fields.statement] - Human-readable statement the user agrees to
+ * @param {string} fields.uri - URI of the resource the session is for
+ * @param {string} [fields.version='1'] - Message version
+ * @param {number} fields.chainId - Chain the session is bound to
+ * @param {string} fields.nonce - Server-issued nonce of at least 8 alphanumeric characters
+ * @param {string} fields.issuedAt - ISO 8601 time the message was issued
+ * @param {string} [fields.expirationTime] - ISO 8601 time after which the message is invalid
+ * @param {string} [fields.notBefore] - ISO 8601 time before which the message is invalid
+ * @param {string} [fields.requestId] - Request the sign-in belongs to
+ * @param {Array<string>} [fields.resources] - Resource URIs the sign-in covers
+ * @returns {string} - Message to sign
+ */
+const buildMessage = (fields) => {
+  const lines = [
+    `${fields.domain}${HEADER_SUFFIX}`,
+    ethers.utils.getAddress(fields.address),
+    '',
+    ...(fields.statement ? [fields.statement, ''] : ['']),
+    ...FIELDS
+      .map(([label, key]) => [label, key === 'version' ? fields.version || '1' : fields[key]])
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([label, value]) => `${label}: ${value}`)
+  ];
+  
+  if (fields.resources && fields.resources.length > 0) {
+    lines.push('Resources:', ...fields.resources.map(resource => `- ${resource}`));
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Parse a SIWE message
+ * @param {string} message - Signed message
+ * @returns {Object} - Message fields, with the chain ID as a number
+ * @throws {Error} - If the message does not follow EIP-4361
+ */
+const parseMessage = (message) => {
+  const lines = String(message).split('\n');
+  const fail = (reason) => {
+    throw new Error(`Invalid sign-in message: ${reason}`);
+  };
+  
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+    fail('missing the sign-in request line');
+  }
+  const fields = { domain: lines[0].slice(0, -HEADER_SUFFIX.length) };
+  if (!fields.domain || /\s/.test(fields.domain)) {
+    fail('invalid domain');
+  }
+  
+  if (!/^0x[0-9a-fA-F]{40}$/.test(lines[1] || '')) {
+    fail('invalid address');
+  }
+  if (ethers.utils.getAddress(lines[1]) !== lines[1]) {
+    fail('address is not EIP-55 checksummed');
+  }
+  fields.address = lines[1];
+  
+  if (lines[2] !== '') {
+    fail('missing blank line after the address');
+  }
+  let index = 3;
+  if (lines[index] !== '') {
+    fields.statement = lines[index++];
+    if (lines[index] !== '') {
+      fail('the statement must be a single line');
+    }
+  }
+  index++;
+  
+  let field = 0;
+  for (; index < lines.length && lines[index] !== 'Resources:'; index++) {
+    const line = lines[index];
+    while (field < FIELDS.length && !line.startsWith(`${FIELDS[field][0]}: `)) {
+      field++;
+    }
+    if (field === FIELDS.length) {
+      fail(`unexpected line "${line}"`);
+    }
+    const [label, key] = FIELDS[field++];
+    fields[key] = line.slice(label.length + 2);
+  }
+  
+  if (lines[index] === 'Resources:') {
+    fields.resources = lines.slice(index + 1).map(line => {
+      if (!line.startsWith('- ')) {
+        fail('resources must be listed one per line');
+      }
+      return line.slice(2);
+    });
+  }
+  
+  const missing = REQUIRED_FIELDS.filter(key => fields[key] === undefined);
+  if (missing.length > 0) {
+    fail(`missing ${missing.join(', ')}`);
+  }
+  if (fields.version !== '1') {
+    fail(`unsupported version ${fields.version}`);
+  }
+  if (!/^[1-9]\d*$/.test(fields.chainId)) {
+    fail('invalid chain ID');
+  }
+  fields.chainId = Number(fields.chainId);
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    fail('invalid nonce');
+  }
+  ['issuedAt', 'expirationTime', 'notBefore']
+    .filter(key => fields[key] !== undefined && Number.isNaN(Date.parse(fields[key])))
+    .forEach(key => fail(`invalid ${key}`));
+  
+  return fields;
+};
+
+module.exports = {
+  buildMessage,
+  parseMessage
+};
@@ -32,7 +32,7 @@ describe('User Controller', () => {
       await userController.generateChallenge(req, res);
       
       // Assert
-      expect(authService.generateChallenge).toHaveBeenCalledWith('0x1234567890abcdef');
+      expect(authService.generateChallenge).toHaveBeenCalledWith('0x1234567890abcdef', { chainId: undefined });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         status: 'success',
@@ -65,8 +65,9 @@ describe('User Controller', () => {
       // Setup
       const req = mockRequest({
         body: {
-          address: '0x1234567890abcdef',
-          signature: '0xsignature'
+          message: 'localhost:3000 wants you to sign in with your Ethereum account:',
+          signature: '0xsignature',
+          session: 'session-secret'
         }
       });
       const res = mockResponse();
@@ -84,8 +85,9 @@ describe('User Controller', () => {
       
       // Assert
       expect(authService.authenticateWithWallet).toHaveBeenCalledWith(
-        '0x1234567890abcdef',
-        '0xsignature'
+        'localhost:3000 wants you to sign in with your Ethereum account:',
+        '0xsignature',
+        'session-secret'
       );
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
@@ -97,7 +99,7 @@ describe('User Controller', () => {
     it('should return 400 when parameters are missing', async () => {
       // Setup
       const req = mockRequest({
-        body: { address: '0x1234567890abcdef' }
+        body: { signature: '0xsignature' }
       });
       const res = mockResponse();
       
@@ -109,7 +111,7 @@ describe('User Controller', () => {
       expect(res.status).toHaveBeenCalledWith(400);
       expect(res.json).toHaveBeenCalledWith({
         status: 'error',
-        message: 'Address and signature are required'
+        message: 'Message, signature and session are required'
       });
     });
     
@@ -117,8 +119,9 @@ describe('User Controller', () => {
       // Setup
       const req = mockRequest({
         body: {
-          address: '0x1234567890abcdef',
-          signature: '0xsignature'
+          message: 'localhost:3000 wants you to sign in with your Ethereum account:',
+          signature: '0xsignature',
+          session: 'session-secret'
         }
       });
       const res = mockResponse();
@@ -0,0 +1,131 @@
+/**
+ * API key service test
+ */
+
+// Mock the required dependencies
+jest.mock('../../src/models', () => ({
+  ApiKey: { count: jest.fn(), create: jest.fn(), findOne: jest.fn(), findAll: jest.fn() },
+  User: {}
+}));
+
+const DB = require('../../src/models');
+const apiKeyService = require('../../src/services/api_key.service');
+const authMiddleware = require('../../src/middleware/auth.middleware');
+const { generateMockUser } = require('../utils/test-helpers');
+
+describe('API Key Service', () => {
+  const user = generateMockUser();
+  let stored;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = null;
+    
+    DB.ApiKey.count.mockResolvedValue(0);
+    DB.ApiKey.create.mockImplementation(async (values) => {
+      stored = {
+        id: 'key-1',
+        lastUsedAt: null,
+        revokedAt: null,
+        createdAt: new Date(),
+        ...values,
+        user,
+        update: jest.fn(async (changes) => Object.assign(stored, changes))
+      };
+      return stored;
+    });
+    DB.ApiKey.findOne.mockImplementation(async ({ where }) =>
+      (stored && (where.prefix === stored.prefix || where.id === stored.id) ? stored : null));
+  });
+  
+  describe('createApiKey', () => {
+    it('should store only the hash of the key and return the key once', async () => {
+      const result = await apiKeyService.createApiKey(user.id, {
+        label: 'CI',
+        scopes: ['usage:write', 'datasets:read', 'usage:write']
+      });
+      
+      expect(result.key).toMatch(new RegExp(`^dpc_${result.prefix}_[0-9a-f]{64}$`));
+      expect(result.scopes).toEqual(['usage:write', 'datasets:read']);
+      expect(stored.keyHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(Object.values(stored)).not.toContain(result.key);
+      
+      const revoked = await apiKeyService.revokeApiKey(user.id, 'key-1');
+      expect(revoked.revokedAt).toBeInstanceOf(Date);
+      expect(revoked).not.toHaveProperty('key');
+    });
+    
+    it('should refuse unknown scopes, past expiries and keys over the limit', async () => {
+      await expect(apiKeyService.createApiKey(user.id, { label: 'CI', scopes: ['admin'] }))
+        .rejects.toThrow('Invalid API key scopes: admin');
+      await expect(apiKeyService.createApiKey(user.id, { label: 'CI', scopes: ['usage:write'], expiresAt: '2020-01-01' }))
+        .rejects.toThrow('API key expiry must be in the future');
+      
+      DB.ApiKey.count.mockResolvedValue(20);
+      await expect(apiKeyService.createApiKey(user.id, { label: 'CI', scopes: ['usage:write'] }))
+        .rejects.toThrow('API key limit reached');
+      expect(DB.ApiKey.create).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('validateApiKey', () => {
+    it('should resolve a key to its user and scopes and track its use', async () => {
+      const { key } = await apiKeyService.createApiKey(user.id, { label: 'CI', scopes: ['usage:write'] });
+      
+      const result = await apiKeyService.validateApiKey(key);
+      
+      expect(result).toEqual({
+        id: user.id,
+        username: user.username,
+        walletAddress: user.walletAddress,
+        role: user.role,
+        apiKeyId: 'key-1',
+        scopes: ['usage:write']
+      });
+      expect(stored.lastUsedAt).toBeInstanceOf(Date);
+    });
+    
+    it('should reject wrong, revoked and expired keys', async () => {
+      const { key } = await apiKeyService.createApiKey(user.id, { label: 'CI', scopes: ['usage:write'] });
+      
+      await expect(apiKeyService.validateApiKey(`${key.slice(0, -1)}${key.endsWith('0') ? '1' : '0'}`))
+        .rejects.toThrow('Invalid API key');
+      await expect(apiKeyService.validateApiKey('not-a-key')).rejects.toThrow('Invalid API key');
+      
+      stored.expiresAt = new Date(Date.now() - 1000);
+      await expect(apiKeyService.validateApiKey(key)).rejects.toThrow('API key has expired');
+      
+      await apiKeyService.revokeApiKey(user.id, 'key-1');
+      await expect(apiKeyService.validateApiKey(key)).rejects.toThrow('API key has been revoked');
+    });
+  });
+  
+  describe('authenticateApiKey middleware', () => {
+    const mockResponse = () => {
+      const res = {};
+      res.status = jest.fn().mockReturnValue(res);
+      res.json = jest.fn().mockReturnValue(res);
+      return res;
+    };
+    
+    it('should only pass keys that grant the route\'s scopes', async () => {
+      const { key } = await apiKeyService.createApiKey(user.id, { label: 'CI', scopes: ['datasets:read'] });
+      const req = { headers: { 'x-api-key': key } };
+      
+      const next = jest.fn();
+      await authMiddleware.authenticateApiKey('datasets:read')(req, mockResponse(), next);
+      expect(next).toHaveBeenCalled();
+      expect(req.user.walletAddress).toBe(user.walletAddress);
+      
+      const res = mockResponse();
+      const denied = jest.fn();
+      await authMiddleware.authenticateAny('usage:write')(req, res, denied);
+      expect(denied).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'error',
+        message: 'API key lacks required scope: usage:write'
+      });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Audit service test
+ */
+
+// Mock the required dependencies
+jest.mock('axios', () => ({
+  post: jest.fn()
+}));
+jest.mock('../../src/config/filecoin', () => ({
+  ...jest.requireActual('../../src/config/filecoin'),
+  auditProvers: {
+    f01: 'https://f01.example/proofs',
+    f02: 'https://f02.example/proofs',
+    f03: 'https://f03.example/proofs'
+  }
+}));
+jest.mock('../../src/utils/por', () => ({
+  createChallenge: jest.fn(),
+  verifyResponse: jest.fn()
+}));
+jest.mock('../../src/models', () => {
+  const { Op } = require('sequelize');
+  return {
+    Sequelize: { Op },
+    Dataset: {},
+    FilecoinDeal: { findAll: jest.fn() },
+    StorageAudit: { create: jest.fn(), count: jest.fn(), findAll: jest.fn() }
+  };
+});
+
+const { Op } = require('sequelize');
+const axios = require('axios');
+const DB = require('../../src/models');
+const por = require('../../src/utils/por');
+const auditService = require('../../src/services/audit.service');
+const { mockRow } = require('../utils/test-helpers');
+
+describe('Audit Service', () => {
+  const commitment = { root: '0xroot', blockCount: 10, dataSize: 5000 };
+  const answers = [{ offset: 42, leafIndex: 3, start: 40, block: 'AAAA', siblings: [] }];
+  let deals;
+  
+  const deal = (dealId, miner) => mockRow({
+    dealId,
+    miner,
+    pieceCid: 'baga-piece',
+    dataset: { id: 'dataset-1', cid: 'bafydata', storageCommitment: commitment }
+  });
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    deals = [deal('d1', 'f01'), deal('d2', 'f02'), deal('d3', 'f03')];
+    DB.FilecoinDeal.findAll.mockImplementation(async () => deals);
+    DB.StorageAudit.create.mockImplementation(async (fields) => ({ id: 'audit', ...fields }));
+    
+    por.createChallenge.mockImplementation((stored, count) => ({ ...stored, seed: '0xseed', count }));
+    axios.post.mockImplementation(async (url) => {
+      if (url === 'https://f03.example/proofs') {
+        throw new Error('connect ECONNREFUSED');
+      }
+      return { data: { cid: 'bafydata', seed: '0xseed', challenges: answers } };
+    });
+    por.verifyResponse.mockImplementation(() => (
+      por.verifyResponse.mock.calls.length === 2
+        ? { passed: false, failures: [{ offset: 42, reason: 'Block does not match the stored root' }] }
+        : { passed: true, failures: [] }
+    ));
+  });
+  
+  it('should challenge each provider\'s prover and record the results', async () => {
+    const summary = await auditService.runAudits();
+    
+    expect(summary).toEqual({ audited: 3, passed: 1, failed: 1, unreachable: 1 });
+    
+    // Provers get the seed and count, never the stored root
+    expect(axios.post).toHaveBeenCalledWith(
+      'https://f01.example/proofs',
+      { cid: 'bafydata', challenge: { seed: '0xseed', count: 16 } },
+      expect.objectContaining({ timeout: expect.any(Number) })
+    );
+    expect(por.verifyResponse).toHaveBeenCalledWith(
+      { answers },
+      expect.objectContaining({ root: '0xroot', seed: '0xseed', count: 16 })
+    );
+    
+    const audits = DB.StorageAudit.create.mock.calls.map(([fields]) => fields);
+    expect(audits[0]).toEqual(expect.objectContaining({
+      provider: 'f01',
+      dealId: 'd1',
+      seed: '0xseed',
+      challengeCount: 16,
+      status: 'passed',
+      failedChallenges: 0
+    }));
+    expect(audits[1]).toEqual(expect.objectContaining({
+      provider: 'f02',
+      status: 'failed',
+      failedChallenges: 1,
+      failures: [{ offset: 42, reason: 'Block does not match the stored root' }]
+    }));
+    expect(audits[2]).toEqual(expect.objectContaining({
+      provider: 'f03',
+      status: 'unreachable',
+      failedChallenges: 16,
+      error: 'connect ECONNREFUSED'
+    }));
+    
+    // Every deal is marked as audited
+    expect(deals.every(audited => audited.lastAuditedAt instanceof Date)).toBe(true);
+  });
+  
+  it('should count a prover reply without answers as unreachable', async () => {
+    deals = [deal('d1', 'f01')];
+    axios.post.mockResolvedValue({ data: { error: 'Data is not available to the prover' } });
+    
+    const summary = await auditService.runAudits();
+    
+    expect(summary.unreachable).toBe(1);
+    expect(por.verifyResponse).not.toHaveBeenCalled();
+    expect(DB.StorageAudit.create).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'Prover of f01 did not answer the challenge'
+    }));
+  });
+  
+  it('should only pick active deals of committed datasets not audited recently', async () => {
+    await auditService.runAudits();
+    
+    const [query] = DB.FilecoinDeal.findAll.mock.calls[0];
+    expect(query.where.status).toBe('active');
+    expect(query.where.miner).toEqual({ [Op.in]: ['f01', 'f02', 'f03'] });
+    expect(query.include[0]).toEqual(expect.objectContaining({ as: 'dataset', required: true }));
+    expect(query.limit).toBe(10);
+  });
+  
+  it('should summarize a provider audit history', async () => {
+    DB.StorageAudit.count.mockImplementation(async ({ where }) => ({ passed: 3, failed: 1, unreachable: 0 }[where.status]));
+    DB.StorageAudit.findAll.mockResolvedValue([
+      { id: 'a2', provider: 'f01', status: 'failed', createdAt: new Date('2026-01-02') },
+      { id: 'a1', provider: 'f01', status: 'passed', createdAt: new Date('2026-01-01') }
+    ]);
+    
+    const history = await auditService.getProviderAudits('f01', { limit: 2 });
+    
+    expect(history).toEqual(expect.objectContaining({
+      provider: 'f01',
+      total: 4,
+      passed: 3,
+      failed: 1,
+      passRate: 0.75,
+      lastAuditAt: new Date('2026-01-02')
+    }));
+    expect(history.audits.map(audit => audit.id)).toEqual(['a2', 'a1']);
+    expect(DB.StorageAudit.findAll).toHaveBeenCalledWith(expect.objectContaining({ limit: 2 }));
+  });
+});
@@ -5,6 +5,7 @@ const jwt = require('jsonwebtoken');
 const authService = require('../../src/services/auth.service');
 const web3Utils = require('../../src/utils/web3');
 const cryptoUtils = require('../../src/utils/crypto');
+const siwe = require('../../src/utils/siwe');
 const { generateMockUser } = require('../utils/test-helpers');
 
 // Mock the required dependencies
@@ -21,42 +22,147 @@ describe('Auth Service', () => {
   });
   
   describe('generateChallenge', () => {
-    it('should generate a challenge for a valid address', async () => {
-      // Setup
-      const address = '0x1234567890abcdef';
-      const mockChallenge = {
-        message: 'Sign this message to authenticate: abc123',
-        expirationTime: Date.now() + 300000, // 5 minutes
-        nonce: 'abc123'
-      };
-      
+    const address = '0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359';
+    const mockChallenge = {
+      nonce: 'abc123def456',
+      session: 'session-secret',
+      issuedAt: Date.parse('2024-01-01T00:00:00Z'),
+      expirationTime: Date.parse('2024-01-01T00:05:00Z')
+    };
+    
+    beforeEach(() => {
       web3Utils.isValidAddress.mockReturnValue(true);
       cryptoUtils.generateChallenge.mockReturnValue(mockChallenge);
-      
+      cryptoUtils.sha256.mockImplementation(value => `hash:${value}`);
+    });
+    
+    it('should issue a SIWE nonce bound to the address and session', async () => {
       // Execute
-      const result = await authService.generateChallenge(address);
+      const result = await authService.generateChallenge(address, { chainId: 314159 });
       
       // Assert
       expect(web3Utils.isValidAddress).toHaveBeenCalledWith(address);
-      expect(cryptoUtils.generateChallenge).toHaveBeenCalledWith(address);
-      expect(result).toEqual({
-        message: mockChallenge.message,
-        expiresAt: new Date(mockChallenge.expirationTime).toISOString()
+      expect(DB.AuthChallenge.create).toHaveBeenCalledWith({
+        nonce: 'abc123def456',
+        address,
+        sessionHash: 'hash:session-secret',
+        chainId: 314159,
+        issuedAt: new Date(mockChallenge.issuedAt),
+        expiresAt: new Date(mockChallenge.expirationTime)
+      });
+      expect(result).toMatchObject({
+        domain: 'localhost:3000',
+        address: '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+        uri: 'http://localhost:3000',
+        chainId: 314159,
+        nonce: 'abc123def456',
+        session: 'session-secret',
+        expiresAt: '2024-01-01T00:05:00.000Z'
       });
+      expect(result.message).toBe([
+        'localhost:3000 wants you to sign in with your Ethereum account:',
+        '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+        '',
+        'Sign in to DataProvChain.',
+        '',
+        'URI: http://localhost:3000',
+        'Version: 1',
+        'Chain ID: 314159',
+        'Nonce: abc123def456',
+        'Issued At: 2024-01-01T00:00:00.000Z',
+        'Expiration Time: 2024-01-01T00:05:00.000Z'
+      ].join('\n'));
+    });
+    
+    it('should refuse chains sessions cannot be bound to', async () => {
+      await expect(authService.generateChallenge(address, { chainId: 1 })).rejects.toThrow('Unsupported chain ID: 1');
+      expect(DB.AuthChallenge.create).not.toHaveBeenCalled();
     });
     
     it('should throw an error for an invalid address', async () => {
       // Setup
-      const address = 'invalid-address';
+      const invalidAddress = 'invalid-address';
       web3Utils.isValidAddress.mockReturnValue(false);
       
       // Execute & Assert
-      await expect(authService.generateChallenge(address)).rejects.toThrow('Invalid wallet address');
-      expect(web3Utils.isValidAddress).toHaveBeenCalledWith(address);
+      await expect(authService.generateChallenge(invalidAddress)).rejects.toThrow('Invalid wallet address');
+      expect(web3Utils.isValidAddress).toHaveBeenCalledWith(invalidAddress);
       expect(cryptoUtils.generateChallenge).not.toHaveBeenCalled();
     });
   });
   
+  describe('verifyChallenge', () => {
+    const address = '0xfb6916095ca1df60bb79ce92ce3ea74c37c5d359';
+    let challenge;
+    
+    const signIn = (overrides = {}) => siwe.buildMessage({
+      domain: 'localhost:3000',
+      address,
+      uri: 'http://localhost:3000',
+      chainId: 314,
+      nonce: 'abc123def456',
+      issuedAt: new Date().toISOString(),
+      ...overrides
+    });
+    
+    beforeEach(() => {
+      challenge = {
+        nonce: 'abc123def456',
+        address,
+        sessionHash: 'hash:session-secret',
+        chainId: 314,
+        expiresAt: new Date(Date.now() + 60000),
+        consumedAt: null
+      };
+      DB.AuthChallenge.findByPk.mockImplementation(async () => challenge);
+      DB.AuthChallenge.update.mockImplementation(async (changes, { where }) => {
+        if (challenge.consumedAt !== where.consumedAt) {
+          return [0];
+        }
+        Object.assign(challenge, changes);
+        return [1];
+      });
+      cryptoUtils.sha256.mockImplementation(value => `hash:${value}`);
+      web3Utils.verifyPersonalSignature.mockReturnValue(true);
+    });
+    
+    it('should accept a signed message once and reject its replay', async () => {
+      const message = signIn();
+      
+      await expect(authService.verifyChallenge(message, '0xsignature', 'session-secret')).resolves.toBe(address);
+      expect(web3Utils.verifyPersonalSignature).toHaveBeenCalledWith(address, message, '0xsignature');
+      
+      await expect(authService.verifyChallenge(message, '0xsignature', 'session-secret'))
+        .rejects.toThrow('Challenge has already been used');
+    });
+    
+    it('should reject a challenge redeemed from another session', async () => {
+      await expect(authService.verifyChallenge(signIn(), '0xsignature', 'stolen'))
+        .rejects.toThrow('Challenge was issued to another session');
+      expect(challenge.consumedAt).not.toBeNull();
+    });
+    
+    it('should reject messages for another site, chain or an expired nonce', async () => {
+      await expect(authService.verifyChallenge(signIn({ domain: 'evil.example' }), '0xsignature', 'session-secret'))
+        .rejects.toThrow('Sign-in message was created for another site');
+      
+      await expect(authService.verifyChallenge(signIn({ chainId: 314159 }), '0xsignature', 'session-secret'))
+        .rejects.toThrow('Sign-in message names a different chain than the challenge');
+      
+      challenge.consumedAt = null;
+      challenge.expiresAt = new Date(Date.now() - 1000);
+      await expect(authService.verifyChallenge(signIn(), '0xsignature', 'session-secret'))
+        .rejects.toThrow('Challenge has expired');
+    });
+    
+    it('should reject an invalid signature', async () => {
+      web3Utils.verifyPersonalSignature.mockReturnValue(false);
+      
+      await expect(authService.verifyChallenge(signIn(), '0xsignature', 'session-secret'))
+        .rejects.toThrow('Invalid signature');
+    });
+  });
+  
   describe('getUserById', () => {
     it('should return a user by ID', async () => {
       // Setup
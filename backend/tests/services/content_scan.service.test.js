@@ -0,0 +1,28 @@
+/**
+ * Content scan service test
+ */
+const { decideAction } = require('../../src/services/content_scan.service');
+
+describe('Content scan service', () => {
+  const policy = {
+    actions: { high: 'block', medium: 'quarantine' },
+    unscannableAction: 'quarantine',
+    minFindings: 1
+  };
+  
+  describe('decideAction', () => {
+    it('should take the strictest action of the counted findings', () => {
+      expect(decideAction([], policy)).toBe('pass');
+      expect(decideAction([{ severity: 'medium', count: 1 }, { severity: 'high', count: 1 }], policy)).toBe('block');
+      expect(decideAction([{ severity: 'high', count: 1 }], { ...policy, minFindings: 2 })).toBe('pass');
+    });
+    
+    it('should hold submissions with content the scanner could not read', () => {
+      const unscannable = [{ source: 'file', reason: 'xz content cannot be matched as stored' }];
+      
+      expect(decideAction([], policy, unscannable)).toBe('quarantine');
+      expect(decideAction([{ severity: 'high', count: 1 }], policy, unscannable)).toBe('block');
+      expect(decideAction([], { ...policy, unscannableAction: 'report' }, unscannable)).toBe('report');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Contracts service test
+ */
+const { ethers } = require('ethers');
+
+const DAO_ABI = require('../../../artifacts/contracts/DataDAO.sol/DataDAO.json').abi;
+const DAO_ADDRESS = '0x1111111111111111111111111111111111111111';
+const SIGNER_ADDRESS = '0x2222222222222222222222222222222222222222';
+
+// The service builds its contracts from ABIs exported next to the backend at deploy time
+['DatasetRegistry', 'AttributionManager', 'Marketplace', 'FilecoinDealClient', 'RoyaltyDistributor',
+  'VerificationRegistry', 'DataProvChain'].forEach(name => {
+  jest.mock(`../../abi/${name}.json`, () => [], { virtual: true });
+});
+jest.mock('../../abi/DataDAO.json', () => require('../../../artifacts/contracts/DataDAO.sol/DataDAO.json').abi, {
+  virtual: true
+});
+jest.mock('../../src/config/filecoin', () => ({
+  rpcUrl: 'http://localhost:8545',
+  privateKey: '0x0123456789012345678901234567890123456789012345678901234567890123'
+}));
+jest.mock('../../src/utils/web3', () => ({
+  createProvider: jest.fn(() => null),
+  createWallet: jest.fn()
+}));
+
+['DATASET_REGISTRY', 'ATTRIBUTION_MANAGER', 'MARKETPLACE', 'FILECOIN_DEAL_CLIENT', 'ROYALTY_DISTRIBUTOR',
+  'VERIFICATION_REGISTRY', 'DATA_PROV_CHAIN'].forEach(name => {
+  process.env[`${name}_ADDRESS`] = '0x3333333333333333333333333333333333333333';
+});
+process.env.DATA_DAO_ADDRESS = DAO_ADDRESS;
+
+const web3Utils = require('../../src/utils/web3');
+
+describe('Contracts service', () => {
+  const daoInterface = new ethers.utils.Interface(DAO_ABI);
+  let signer;
+  let contractsService;
+  
+  beforeAll(() => {
+    // A signer that records the transactions it is asked to send and mines them at once
+    signer = {
+      _isSigner: true,
+      provider: null,
+      getAddress: jest.fn(async () => SIGNER_ADDRESS),
+      sendTransaction: jest.fn(async (tx) => ({
+        hash: '0xabc',
+        wait: async () => ({
+          transactionHash: '0xabc',
+          logs: [{
+            address: DAO_ADDRESS,
+            ...daoInterface.encodeEventLog(daoInterface.getEvent('ProposalCreated'), [7, SIGNER_ADDRESS, 'Raise fee', 1, 2])
+          }]
+        }),
+        ...tx
+      }))
+    };
+    web3Utils.createWallet.mockReturnValue(signer);
+    
+    contractsService = require('../../src/services/contracts.service');
+  });
+  
+  describe('createProposal', () => {
+    it('should send the JSON proposal data as UTF-8 bytes', async () => {
+      const encodedData = JSON.stringify({ proposalType: 'parameter_change', parameters: { fee: 3 } });
+      
+      const result = await contractsService.createProposal({
+        title: 'Raise fee',
+        description: 'Raise the platform fee',
+        encodedData,
+        votingPeriod: 604800
+      });
+      
+      expect(result.proposalId).toBe('7');
+      const sent = signer.sendTransaction.mock.calls[0][0];
+      expect(sent.to).toBe(DAO_ADDRESS);
+      
+      const args = daoInterface.decodeFunctionData('createProposal', sent.data);
+      expect(args.title).toBe('Raise fee');
+      expect(args.description).toBe('Raise the platform fee');
+      expect(ethers.utils.toUtf8String(args.data)).toBe(encodedData);
+      expect(args.votingPeriod.toNumber()).toBe(604800);
+    });
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * DAO service test
+ */
+
+// Mock the required dependencies
+jest.mock('../../src/services/contracts.service', () => ({
+  getContract: jest.fn(),
+  getVotingPower: jest.fn(),
+  getGovernanceParameters: jest.fn(),
+  getProposalStatus: jest.fn(),
+  createProposal: jest.fn(),
+  transferFunds: jest.fn()
+}));
+jest.mock('../../src/services/outbox.service', () => ({
+  enqueue: jest.fn()
+}));
+jest.mock('../../src/models', () => {
+  const { Op } = require('sequelize');
+  return {
+    Sequelize: { Op },
+    Proposal: { findByPk: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+    Vote: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+    ProposalActionReceipt: { findAll: jest.fn(), create: jest.fn() }
+  };
+});
+
+const DB = require('../../src/models');
+const contractsService = require('../../src/services/contracts.service');
+const daoService = require('../../src/services/dao.service');
+const { mockRow } = require('../utils/test-helpers');
+
+describe('DAO Service', () => {
+  let proposal;
+  let contract;
+
+  const makeProposal = (values) => mockRow({
+    id: 'proposal-1',
+    title: 'Raise verification threshold',
+    onChainId: null,
+    status: 'active',
+    endTime: new Date(Date.now() - 1000),
+    ...values
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    proposal = makeProposal();
+    DB.Proposal.findByPk.mockImplementation(async () => proposal);
+
+    // 1000 voting power in total with a 30% quorum
+    contractsService.getGovernanceParameters.mockResolvedValue({
+      totalVotingPower: '1000',
+      quorumPercentage: 3000
+    });
+
+    contract = {
+      castVote: jest.fn(async () => ({ wait: async () => ({ transactionHash: '0xvote' }) })),
+      executeProposal: jest.fn(async () => ({ wait: async () => ({ transactionHash: '0xexecute' }) }))
+    };
+    contractsService.getContract.mockReturnValue(contract);
+    DB.ProposalActionReceipt.findAll.mockResolvedValue([]);
+    DB.ProposalActionReceipt.create.mockImplementation(async (row) => row);
+  });
+
+  describe('createProposal', () => {
+    beforeEach(() => {
+      contractsService.createProposal.mockResolvedValue({ receipt: { transactionHash: '0xcreate' }, proposalId: '9' });
+      DB.Proposal.create.mockImplementation(async (row) => row);
+    });
+
+    it('should store validated actions with the parameters', async () => {
+      const created = await daoService.createProposal({
+        title: 'Lower marketplace fee',
+        description: 'Cut the fee to 2%',
+        proposalType: 'parameter_change',
+        parameters: { rationale: 'Grow volume' },
+        actions: [{ type: 'setPlatformFee', params: { contract: 'Marketplace', feePercentage: '200' } }],
+        proposer: '0xproposer'
+      });
+
+      expect(created.parameters).toEqual({
+        rationale: 'Grow volume',
+        actions: [{ type: 'setPlatformFee', params: { contract: 'Marketplace', feePercentage: 200 } }]
+      });
+      const encoded = JSON.parse(contractsService.createProposal.mock.calls[0][0].encodedData);
+      expect(encoded.parameters.actions).toEqual(created.parameters.actions);
+    });
+
+    it('should reject invalid actions before creating anything', async () => {
+      await expect(daoService.createProposal({
+        title: 'Raise fee',
+        description: 'Raise the fee to 20%',
+        proposalType: 'parameter_change',
+        actions: [{ type: 'setPlatformFee', params: { contract: 'Marketplace', feePercentage: 2000 } }],
+        proposer: '0xproposer'
+      })).rejects.toThrow('Invalid proposal actions: action 0 (setPlatformFee) feePercentage must be an integer from 0 to 1000');
+
+      expect(contractsService.createProposal).not.toHaveBeenCalled();
+      expect(DB.Proposal.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('previewExecution', () => {
+    it('should weight votes by voting power', async () => {
+      // Two small holders against cannot outvote one large holder
+      DB.Vote.findAll.mockResolvedValue([
+        { voteType: 'for', weight: '250' },
+        { voteType: 'against', weight: '40' },
+        { voteType: 'against', weight: '30' }
+      ]);
+
+      const preview = await daoService.previewExecution('proposal-1');
+
+      expect(preview.votes).toEqual({ for: 1, against: 2, abstain: 0, total: 3 });
+      expect(preview.votingPower).toEqual({ for: '250', against: '70', abstain: '0' });
+      expect(preview.quorumVotes).toBe('300');
+      expect(preview.quorumReached).toBe(true);
+      expect(preview.outcome).toBe('succeeded');
+      expect(preview.canExecute).toBe(true);
+      expect(proposal.status).toBe('succeeded');
+    });
+
+    it('should not count abstentions toward the quorum', async () => {
+      DB.Vote.findAll.mockResolvedValue([
+        { voteType: 'for', weight: '200' },
+        { voteType: 'abstain', weight: '500' }
+      ]);
+
+      const preview = await daoService.previewExecution('proposal-1');
+
+      expect(preview.quorumReached).toBe(false);
+      expect(preview.outcome).toBe('defeated');
+      expect(preview.canExecute).toBe(false);
+      expect(preview.reason).toBe('Quorum not reached');
+      expect(proposal.status).toBe('defeated');
+    });
+
+    it('should project the outcome while voting is open', async () => {
+      proposal = makeProposal({ endTime: new Date(Date.now() + 60000) });
+      DB.Vote.findAll.mockResolvedValue([{ voteType: 'for', weight: '400' }]);
+
+      const preview = await daoService.previewExecution('proposal-1');
+
+      expect(preview.outcome).toBe('pending');
+      expect(preview.quorumReached).toBe(true);
+      expect(preview.passing).toBe(true);
+      expect(preview.canExecute).toBe(false);
+      expect(preview.reason).toBe('Voting period has not ended');
+      expect(proposal.status).toBe('active');
+    });
+
+    it('should defer to the contract for proposals on chain', async () => {
+      proposal = makeProposal({ onChainId: '5' });
+      DB.Vote.findAll.mockResolvedValue([{ voteType: 'for', weight: '400' }]);
+      contractsService.getProposalStatus.mockResolvedValue(3);
+
+      const preview = await daoService.previewExecution('proposal-1');
+
+      expect(preview.outcome).toBe('succeeded');
+      expect(preview.onChainStatus).toBe(3);
+      expect(preview.canExecute).toBe(false);
+      expect(preview.reason).toBe('The DAO contract would reject execution');
+    });
+
+    it('should mark the proposal closed when the tally cannot be read', async () => {
+      DB.Vote.findAll.mockResolvedValue([]);
+      contractsService.getGovernanceParameters.mockRejectedValue(new Error('network error'));
+
+      await expect(daoService.previewExecution('proposal-1')).rejects.toThrow('network error');
+      expect(proposal.status).toBe('closed');
+    });
+  });
+
+  describe('executeProposal', () => {
+    it('should refuse a proposal that did not reach quorum', async () => {
+      DB.Vote.findAll.mockResolvedValue([{ voteType: 'for', weight: '100' }]);
+
+      await expect(daoService.executeProposal('proposal-1', '0xexecutor'))
+        .rejects.toThrow('Proposal did not pass: Quorum not reached');
+      expect(contract.executeProposal).not.toHaveBeenCalled();
+    });
+
+    it('should execute a succeeded proposal on chain', async () => {
+      proposal = makeProposal({ onChainId: '5' });
+      DB.Vote.findAll.mockResolvedValue([{ voteType: 'for', weight: '400' }]);
+      contractsService.getProposalStatus.mockResolvedValue(2);
+
+      const result = await daoService.executeProposal('proposal-1', '0xexecutor');
+
+      expect(contract.executeProposal).toHaveBeenCalledWith('5');
+      expect(result.status).toBe('executed');
+      expect(result.executionTransactionHash).toBe('0xexecute');
+    });
+
+    describe('with actions', () => {
+      const verifier = '0x1111111111111111111111111111111111111111';
+
+      beforeEach(() => {
+        proposal = makeProposal({
+          parameters: {
+            actions: [
+              { type: 'addVerifier', params: { verifier } },
+              { type: 'allocateTreasuryFunds', params: { recipient: verifier, amount: '5000' } }
+            ]
+          }
+        });
+        DB.Vote.findAll.mockResolvedValue([{ voteType: 'for', weight: '400' }]);
+        contract.addVerifier = jest.fn(async () => ({
+          wait: async () => ({ transactionHash: '0xverifier', blockNumber: 12, gasUsed: { toString: () => '21000' } })
+        }));
+        contractsService.transferFunds.mockResolvedValue({ transactionHash: '0xtransfer', blockNumber: 13 });
+      });
+
+      it('should carry out each action and record its receipt', async () => {
+        const result = await daoService.executeProposal('proposal-1', '0xexecutor');
+
+        expect(contractsService.getContract).toHaveBeenCalledWith('VerificationRegistry');
+        expect(contract.addVerifier).toHaveBeenCalledWith(verifier);
+        expect(contractsService.transferFunds).toHaveBeenCalledWith(verifier, '5000');
+        expect(DB.ProposalActionReceipt.create).toHaveBeenCalledWith(expect.objectContaining({
+          actionIndex: 0,
+          contractName: 'VerificationRegistry',
+          method: 'addVerifier',
+          status: 'executed',
+          transactionHash: '0xverifier',
+          gasUsed: '21000'
+        }));
+        expect(result.actions.map(action => action.transactionHash)).toEqual(['0xverifier', '0xtransfer']);
+        expect(proposal.status).toBe('executed');
+      });
+
+      it('should record a failed action and resume after it', async () => {
+        contractsService.transferFunds.mockRejectedValueOnce(new Error('insufficient funds'));
+
+        await expect(daoService.executeProposal('proposal-1', '0xexecutor'))
+          .rejects.toThrow('Proposal action 1 (allocateTreasuryFunds) failed: insufficient funds');
+        expect(DB.ProposalActionReceipt.create).toHaveBeenLastCalledWith(expect.objectContaining({
+          actionIndex: 1,
+          status: 'failed',
+          error: 'insufficient funds'
+        }));
+        expect(proposal.status).toBe('succeeded');
+
+        // The retry only runs the action that failed
+        DB.ProposalActionReceipt.findAll.mockResolvedValue([
+          { actionIndex: 0, status: 'executed', transactionHash: '0xverifier' },
+          { actionIndex: 1, status: 'failed', error: 'insufficient funds' }
+        ]);
+        await daoService.executeProposal('proposal-1', '0xexecutor');
+
+        expect(contract.addVerifier).toHaveBeenCalledTimes(1);
+        expect(contractsService.transferFunds).toHaveBeenCalledTimes(2);
+        expect(proposal.status).toBe('executed');
+      });
+    });
+  });
+
+  describe('castVote', () => {
+    beforeEach(() => {
+      proposal = makeProposal({ onChainId: '5', endTime: new Date(Date.now() + 60000) });
+      DB.Vote.findOne.mockResolvedValue(null);
+      DB.Vote.create.mockImplementation(async (row) => row);
+      contractsService.getVotingPower.mockResolvedValue('120');
+    });
+
+    it('should record the voter\'s voting power', async () => {
+      const vote = await daoService.castVote('proposal-1', { voter: '0xvoter', voteType: 'against' });
+
+      expect(contract.castVote).toHaveBeenCalledWith('5', false);
+      expect(vote.weight).toBe('120');
+      expect(vote.voteType).toBe('against');
+      expect(vote.support).toBe(false);
+    });
+
+    it('should keep abstentions off chain', async () => {
+      const vote = await daoService.castVote('proposal-1', { voter: '0xvoter', voteType: 'abstain' });
+
+      expect(contract.castVote).not.toHaveBeenCalled();
+      expect(vote.voteType).toBe('abstain');
+    });
+
+    it('should reject voters without voting power', async () => {
+      contractsService.getVotingPower.mockResolvedValue('0');
+
+      await expect(daoService.castVote('proposal-1', { voter: '0xvoter', voteType: 'for' }))
+        .rejects.toThrow('Voter has no voting power: 0xvoter');
+      expect(DB.Vote.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,419 @@
+/**
+ * Dataset service test
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.QUARANTINE_DIR = path.join(os.tmpdir(), 'dataset-service-quarantine');
+
+// Mock the required dependencies
+jest.mock('../../src/services/filecoin.service', () => ({
+  storeDataset: jest.fn(),
+  createStorageDeal: jest.fn()
+}));
+jest.mock('../../src/services/ipfs.service', () => ({
+  uploadMetadata: jest.fn()
+}));
+jest.mock('../../src/services/contracts.service', () => ({
+  getTokenIdByCID: jest.fn(),
+  getDatasetRegistration: jest.fn(),
+  getSignerAddress: jest.fn(),
+  registerDataset: jest.fn(),
+  updateMetadataURI: jest.fn()
+}));
+jest.mock('../../src/services/provenance.service', () => ({
+  addProvenanceRecord: jest.fn()
+}));
+jest.mock('../../src/services/notification.service', () => ({
+  notify: jest.fn()
+}));
+jest.mock('../../src/models', () => {
+  const { Op } = require('sequelize');
+  return {
+    Sequelize: { Op },
+    sequelize: { transaction: jest.fn(async (work) => work('transaction')) },
+    DatasetCreation: { create: jest.fn(), findByPk: jest.fn(), findAll: jest.fn(), update: jest.fn() },
+    Dataset: { findByPk: jest.fn(), create: jest.fn() },
+    Contributor: { create: jest.fn() },
+    Tag: { create: jest.fn() },
+    ProvenanceRecord: { findOne: jest.fn() }
+  };
+});
+
+const DB = require('../../src/models');
+const filecoinService = require('../../src/services/filecoin.service');
+const ipfsService = require('../../src/services/ipfs.service');
+const contractsService = require('../../src/services/contracts.service');
+const provenanceService = require('../../src/services/provenance.service');
+const notificationService = require('../../src/services/notification.service');
+const datasetService = require('../../src/services/dataset.service');
+const { mockRow, matchesWhere } = require('../utils/test-helpers');
+
+describe('Dataset Service', () => {
+  const creator = '0xcreator';
+  let filePath;
+  let creation;
+
+  /**
+   * Create the persisted creation row; update() applies changes in place
+   * @param {Object} [overrides] - Field overrides
+   */
+  const useCreation = (overrides = {}) => {
+    creation = mockRow({
+      id: 'creation-1',
+      creator,
+      status: 'pending',
+      currentStep: 'scan_content',
+      input: {
+        name: 'Weather',
+        description: 'Hourly readings',
+        dataType: 'tabular',
+        contributors: [{ id: '0xcontributor', share: 100 }],
+        license: 'CC-BY-4.0',
+        tags: ['weather'],
+        filePath,
+        fileName: 'weather.csv',
+        fileSize: 5
+      },
+      steps: {},
+      attempts: 0,
+      createdAt: new Date('2024-01-01T00:00:00Z'),
+      ...overrides
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    filePath = path.join(os.tmpdir(), `dataset-${Date.now()}-${Math.random()}.csv`);
+    fs.writeFileSync(filePath, 'a,b\n');
+    useCreation();
+
+    DB.DatasetCreation.findByPk.mockImplementation(async () => creation);
+    DB.DatasetCreation.update.mockImplementation(async (changes, { where }) => {
+      if (!matchesWhere(creation, where)) {
+        return [0];
+      }
+      Object.assign(creation, changes);
+      return [1];
+    });
+    DB.Dataset.findByPk.mockResolvedValue(null);
+    DB.ProvenanceRecord.findOne.mockResolvedValue(null);
+
+    ipfsService.uploadMetadata.mockResolvedValue('bafymetadata');
+    filecoinService.storeDataset.mockResolvedValue({ cid: 'bafydata' });
+    contractsService.getTokenIdByCID.mockResolvedValue(null);
+    contractsService.registerDataset.mockResolvedValue({ tokenId: '7' });
+    filecoinService.createStorageDeal.mockResolvedValue({ dealId: 'deal-1' });
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  describe('dataset creation pipeline', () => {
+    it('should run every step and save the dataset in one transaction', async () => {
+      DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+      await datasetService.recoverDatasetCreations();
+
+      expect(creation.status).toBe('completed');
+      expect(creation.currentStep).toBe('done');
+      expect(DB.sequelize.transaction).toHaveBeenCalledTimes(1);
+      expect(DB.Dataset.create).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'creation-1', tokenId: '7', dealId: 'deal-1' }),
+        { transaction: 'transaction' }
+      );
+      expect(provenanceService.addProvenanceRecord).toHaveBeenCalledWith(
+        expect.objectContaining({ datasetId: 'creation-1', actionType: 'creation' })
+      );
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    it('should profile the file before registering it and publish the profile with the metadata', async () => {
+      fs.writeFileSync(filePath, 'station,temp\nA,1.5\nB,\nA,1.5\n');
+      ipfsService.uploadMetadata.mockImplementation(async (document) =>
+        (document.type === 'dataset-profile' ? 'bafyprofile' : 'bafymetadata'));
+      DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+
+      await datasetService.recoverDatasetCreations();
+
+      expect(creation.status).toBe('completed');
+      expect(creation.profileCid).toBe('bafyprofile');
+      expect(creation.profile).toMatchObject({ kind: 'tabular', format: 'csv', rowCount: 3, duplicateRows: 1 });
+      expect(creation.profile.columns[1]).toMatchObject({ name: 'temp', type: 'number', nullCount: 1 });
+      expect(ipfsService.uploadMetadata).toHaveBeenCalledWith(expect.objectContaining({ profile: 'bafyprofile' }));
+      expect(filecoinService.storeDataset).toHaveBeenCalledWith(expect.objectContaining({ profile: creation.profile }));
+      expect(DB.Dataset.create).toHaveBeenCalledWith(
+        expect.objectContaining({ profileCid: 'bafyprofile' }),
+        { transaction: 'transaction' }
+      );
+    });
+
+    it('should profile encrypted datasets without their values', async () => {
+      fs.writeFileSync(filePath, 'station,temp\nA,1.5\n');
+      useCreation({ input: { ...creation.input, encrypt: true } });
+      ipfsService.uploadMetadata
+        .mockResolvedValueOnce('bafyprofile')
+        .mockRejectedValueOnce(new Error('IPFS unavailable'));
+      DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+
+      await datasetService.recoverDatasetCreations();
+
+      expect(creation.currentStep).toBe('upload_metadata');
+      expect(creation.profile.columns[0]).toMatchObject({ name: 'station', distinctCount: 1 });
+      expect(creation.profile.columns[0].topValues).toBeUndefined();
+      expect(creation.profile.columns[1].min).toBeUndefined();
+    });
+
+    it('should resume after a failed deal without minting a second token', async () => {
+      filecoinService.createStorageDeal.mockRejectedValueOnce(new Error('No providers available'));
+      DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+
+      await datasetService.recoverDatasetCreations();
+
+      expect(creation.status).toBe('failed');
+      expect(creation.currentStep).toBe('create_storage_deal');
+      expect(creation.tokenId).toBe('7');
+      expect(creation.steps.create_storage_deal.error).toBe('No providers available');
+      expect(fs.existsSync(filePath)).toBe(true);
+
+      const result = await datasetService.resumeDatasetCreation('creation-1', creator);
+
+      expect(result.status).toBe('completed');
+      expect(contractsService.registerDataset).toHaveBeenCalledTimes(1);
+      expect(result.steps.find(s => s.step === 'create_storage_deal').attempts).toBe(2);
+    });
+
+    it('should adopt a token minted by an interrupted run', async () => {
+      useCreation({ status: 'running', currentStep: 'register_dataset', metadataUri: 'bafymetadata', cid: 'bafydata' });
+      contractsService.getTokenIdByCID.mockResolvedValue('12');
+      contractsService.getDatasetRegistration.mockResolvedValue({ creator: '0xPlatform', metadataURI: 'bafymetadata' });
+      contractsService.getSignerAddress.mockResolvedValue('0xplatform');
+      DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+
+      await datasetService.recoverDatasetCreations();
+
+      expect(contractsService.registerDataset).not.toHaveBeenCalled();
+      expect(creation.tokenId).toBe('12');
+      expect(creation.status).toBe('completed');
+    });
+
+    it('should not adopt a token registered by someone else or with other metadata', async () => {
+      contractsService.getTokenIdByCID.mockResolvedValue('12');
+      contractsService.getSignerAddress.mockResolvedValue('0xplatform');
+
+      for (const registration of [
+        { creator: '0xother', metadataURI: 'bafymetadata' },
+        { creator: '0xplatform', metadataURI: 'bafyothermetadata' }
+      ]) {
+        useCreation({ status: 'running', currentStep: 'register_dataset', metadataUri: 'bafymetadata', cid: 'bafydata' });
+        contractsService.getDatasetRegistration.mockResolvedValue(registration);
+        DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+
+        await datasetService.recoverDatasetCreations();
+
+        expect(creation.status).toBe('failed');
+        expect(creation.lastError).toBe('Dataset already registered');
+        expect(creation.tokenId).toBeUndefined();
+      }
+      expect(contractsService.registerDataset).not.toHaveBeenCalled();
+    });
+
+    it('should leave a running creation to its run while the lease is renewed', async () => {
+      useCreation({ status: 'running', leaseOwner: 'other-run', leaseExpiresAt: new Date(Date.now() + 60000) });
+      DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+
+      await datasetService.recoverDatasetCreations();
+
+      expect(creation).toMatchObject({ status: 'running', leaseOwner: 'other-run' });
+      expect(ipfsService.uploadMetadata).not.toHaveBeenCalled();
+    });
+
+    it('should take over a running creation once its lease has lapsed', async () => {
+      useCreation({ status: 'running', leaseOwner: 'crashed-run', leaseExpiresAt: new Date(Date.now() - 1000) });
+      DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+
+      await datasetService.recoverDatasetCreations();
+
+      expect(creation.status).toBe('completed');
+      expect(creation.leaseOwner).toBeNull();
+      expect(creation.leaseExpiresAt).toBeNull();
+    });
+
+    it('should renew the lease during a long step and stop once another run took over', async () => {
+      let renewLease;
+      jest.spyOn(global, 'setInterval').mockImplementation((callback) => {
+        renewLease = callback;
+        return { unref: jest.fn() };
+      });
+      filecoinService.storeDataset.mockImplementation(async () => {
+        const before = creation.leaseExpiresAt;
+        await renewLease();
+        expect(creation.leaseExpiresAt.getTime()).toBeGreaterThanOrEqual(before.getTime());
+
+        // Another run takes the creation over, so the next renewal fails
+        creation.leaseOwner = 'other-run';
+        await renewLease();
+        return { cid: 'bafydata' };
+      });
+      DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+
+      try {
+        await datasetService.recoverDatasetCreations();
+      } finally {
+        global.setInterval.mockRestore();
+      }
+
+      expect(DB.DatasetCreation.update).toHaveBeenCalledWith(
+        { leaseExpiresAt: expect.any(Date) },
+        { where: { id: 'creation-1', status: 'running', leaseOwner: expect.any(String) } }
+      );
+      expect(contractsService.registerDataset).not.toHaveBeenCalled();
+      expect(creation).toMatchObject({ status: 'running', leaseOwner: 'other-run' });
+    });
+
+    it('should not run a creation that another run has claimed', async () => {
+      useCreation({ status: 'running' });
+
+      const result = await datasetService.resumeDatasetCreation('creation-1', creator)
+        .catch(error => error);
+
+      expect(result.message).toBe('Cannot resume a dataset creation that is running');
+      expect(ipfsService.uploadMetadata).not.toHaveBeenCalled();
+    });
+
+    it('should withdraw the minted token when a creation is cancelled', async () => {
+      useCreation({ status: 'failed', currentStep: 'create_storage_deal', cid: 'bafydata', tokenId: '7' });
+      ipfsService.uploadMetadata.mockResolvedValue('bafywithdrawn');
+      contractsService.updateMetadataURI.mockResolvedValue({ receipt: { transactionHash: '0xabc' } });
+
+      const result = await datasetService.cancelDatasetCreation('creation-1', creator);
+
+      expect(result.status).toBe('compensated');
+      expect(contractsService.updateMetadataURI).toHaveBeenCalledWith('7', 'bafywithdrawn');
+      expect(result.compensation.actions.map(a => a.action))
+        .toEqual(['token_withdrawn', 'content_left_unreferenced']);
+      expect(DB.Dataset.create).not.toHaveBeenCalled();
+    });
+
+    it('should compensate automatically once attempts are exhausted', async () => {
+      useCreation({ status: 'failed', currentStep: 'create_storage_deal', cid: 'bafydata', tokenId: '7', attempts: 4 });
+      filecoinService.createStorageDeal.mockRejectedValue(new Error('No providers available'));
+      contractsService.updateMetadataURI.mockResolvedValue({ receipt: { transactionHash: '0xabc' } });
+
+      const result = await datasetService.resumeDatasetCreation('creation-1', creator);
+
+      expect(result.status).toBe('compensated');
+      expect(result.compensation.reason).toBe('Gave up after 5 failed attempts');
+    });
+
+    it('should hide a creation from other users', async () => {
+      await expect(datasetService.getDatasetCreationStatus('creation-1', '0xsomeoneelse'))
+        .rejects.toThrow('Only the creator can access this dataset creation');
+    });
+  });
+
+  describe('content scan gate', () => {
+    const admin = '0xadmin';
+
+    /**
+     * Wait for a creation run started in the background to stop
+     */
+    // A run has ended once it released its lease, after removing the uploaded file
+    const waitForRun = async () => {
+      for (let i = 0; i < 500 && (['pending', 'running'].includes(creation.status) || creation.leaseOwner); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    afterEach(async () => {
+      await fs.promises.rm(process.env.QUARANTINE_DIR, { recursive: true, force: true });
+    });
+
+    it('should record a clean scan in the provenance of the dataset', async () => {
+      DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+
+      await datasetService.recoverDatasetCreations();
+
+      expect(creation.status).toBe('completed');
+      expect(creation.scan).toMatchObject({ enabled: true, action: 'pass', findings: [] });
+      expect(provenanceService.addProvenanceRecord).toHaveBeenCalledWith(expect.objectContaining({
+        actionType: 'content_scan',
+        performedBy: 'system',
+        metadata: expect.objectContaining({ action: 'pass', findings: [] })
+      }));
+    });
+
+    it('should block a submission containing a secret before anything is stored', async () => {
+      fs.writeFileSync(filePath, 'name,value\nsigner private key,0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318\n');
+      DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+
+      await datasetService.recoverDatasetCreations();
+
+      expect(creation.status).toBe('blocked');
+      expect(creation.lastError).toMatch(/wallet private key/);
+      expect(creation.scan.findings[0]).toMatchObject({ detector: 'wallet_private_key', severity: 'high', count: 1 });
+      expect(creation.scan.findings[0].samples[0].preview).not.toContain('4c0883a691');
+      expect(ipfsService.uploadMetadata).not.toHaveBeenCalled();
+      expect(filecoinService.storeDataset).not.toHaveBeenCalled();
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(notificationService.notify).toHaveBeenCalledWith(expect.objectContaining({
+        recipient: creator,
+        type: 'dataset_blocked'
+      }));
+    });
+
+    it('should quarantine personal data and store it once an admin releases it', async () => {
+      fs.writeFileSync(filePath, 'name,email\nAda,ada@example.org\n');
+      DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+
+      await datasetService.recoverDatasetCreations();
+
+      expect(creation.status).toBe('quarantined');
+      expect(creation.scan.findings.map(f => f.detector)).toEqual(['email']);
+      expect(creation.input.filePath.startsWith(process.env.QUARANTINE_DIR)).toBe(true);
+      expect(fs.existsSync(creation.input.filePath)).toBe(true);
+      expect(filecoinService.storeDataset).not.toHaveBeenCalled();
+
+      await datasetService.reviewQuarantinedCreation('creation-1', admin, {
+        decision: 'release',
+        reason: 'Contact addresses are public'
+      });
+      await waitForRun();
+
+      expect(creation.status).toBe('completed');
+      expect(filecoinService.storeDataset).toHaveBeenCalledWith(
+        expect.objectContaining({ data: creation.input.filePath })
+      );
+      expect(fs.existsSync(creation.input.filePath)).toBe(false);
+      expect(provenanceService.addProvenanceRecord).toHaveBeenCalledWith(expect.objectContaining({
+        actionType: 'content_scan',
+        performedBy: admin,
+        metadata: expect.objectContaining({
+          action: 'quarantine',
+          review: expect.objectContaining({ decision: 'release', reason: 'Contact addresses are public' })
+        })
+      }));
+    });
+
+    it('should delete a quarantined submission an admin rejects', async () => {
+      fs.writeFileSync(filePath, 'name,phone\nAda,+44 20 7946 0958\n');
+      DB.DatasetCreation.findAll.mockResolvedValue([creation]);
+      await datasetService.recoverDatasetCreations();
+      const quarantinedPath = creation.input.filePath;
+
+      const result = await datasetService.reviewQuarantinedCreation('creation-1', admin, {
+        decision: 'reject',
+        reason: 'Customer phone numbers'
+      });
+
+      expect(result.status).toBe('blocked');
+      expect(result.scan.review).toMatchObject({ decision: 'reject', reviewedBy: admin });
+      expect(fs.existsSync(quarantinedPath)).toBe(false);
+      await expect(datasetService.reviewQuarantinedCreation('creation-1', admin, { decision: 'release', reason: 'Oops' }))
+        .rejects.toThrow('Cannot review a dataset creation that is blocked');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Dataset lifecycle test
+ * Creates and downloads a dataset through the real storage services on the local backend,
+ * so no IPFS node, Lotus node or network is needed
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-lifecycle-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.STORAGE_DEAL_BACKEND = 'local';
+process.env.STORAGE_RETRIEVAL_FALLBACKS = '';
+process.env.LOCAL_STORAGE_PATH = path.join(workDir, 'store');
+process.env.QUARANTINE_DIR = path.join(workDir, 'quarantine');
+
+// Only the chain and the database are mocked
+jest.mock('../../src/services/contracts.service', () => ({
+  getTokenIdByCID: jest.fn(async () => null),
+  registerDataset: jest.fn(async () => ({ tokenId: '1' })),
+  makeDealProposal: jest.fn(async () => ({ dealId: '7', receipt: { transactionHash: '0xdeal' } }))
+}));
+jest.mock('../../src/services/provenance.service', () => ({
+  addProvenanceRecord: jest.fn()
+}));
+jest.mock('../../src/services/notification.service', () => ({
+  notify: jest.fn()
+}));
+jest.mock('../../src/models', () => {
+  const { Op } = require('sequelize');
+  const { mockRow, matchesWhere } = require('../utils/test-helpers');
+  const rows = { DatasetCreation: new Map(), Dataset: new Map() };
+  
+  const store = (table, values) => {
+    const row = mockRow(values);
+    rows[table].set(row.id, row);
+    return row;
+  };
+  
+  return {
+    rows,
+    Sequelize: { Op },
+    sequelize: { transaction: jest.fn(async (work) => work('transaction')) },
+    DatasetCreation: {
+      create: jest.fn(async (values) => store('DatasetCreation', { attempts: 0, createdAt: new Date(), ...values })),
+      findByPk: jest.fn(async (id) => rows.DatasetCreation.get(id) || null),
+      // Claims match on ID, status and lease, as runDatasetCreation uses them
+      update: jest.fn(async (changes, { where }) => {
+        const row = rows.DatasetCreation.get(where.id);
+        if (!row || !matchesWhere(row, where)) {
+          return [0];
+        }
+        Object.assign(row, changes);
+        return [1];
+      })
+    },
+    Dataset: {
+      findByPk: jest.fn(async (id) => rows.Dataset.get(id) || null),
+      create: jest.fn(async (values) => store('Dataset', values))
+    },
+    Contributor: { create: jest.fn() },
+    Tag: { create: jest.fn() },
+    ProvenanceRecord: { findOne: jest.fn(async () => null) }
+  };
+});
+
+const DB = require('../../src/models');
+const contractsService = require('../../src/services/contracts.service');
+const datasetService = require('../../src/services/dataset.service');
+
+describe('Dataset lifecycle on the local storage backend', () => {
+  const content = 'station,hour,temperature\nLHR,00,11.2\nLHR,01,10.8\n';
+  
+  afterAll(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Wait for a background creation run to end
+   * @param {string} id - Creation ID
+   * @returns {Promise<Object>} - Creation row
+   */
+  const waitForCreation = async (id) => {
+    for (let i = 0; i < 200; i++) {
+      const creation = DB.rows.DatasetCreation.get(id);
+      if (['completed', 'failed', 'blocked', 'quarantined'].includes(creation.status)) {
+        return creation;
+      }
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    throw new Error('Dataset creation did not finish');
+  };
+  
+  it('should create a dataset and download the same content', async () => {
+    const uploadPath = path.join(workDir, 'weather.csv');
+    await fs.promises.writeFile(uploadPath, content);
+    
+    const status = await datasetService.createDataset({
+      name: 'Weather',
+      description: 'Hourly readings',
+      dataType: 'tabular',
+      contributors: [{ id: '0x1111111111111111111111111111111111111111', share: 100 }],
+      license: 'CC-BY-4.0',
+      tags: ['weather'],
+      file: uploadPath,
+      fileName: 'weather.csv',
+      creator: '0x2222222222222222222222222222222222222222'
+    });
+    
+    const creation = await waitForCreation(status.id);
+    expect(creation.lastError || null).toBeNull();
+    expect(creation.status).toBe('completed');
+    expect(creation.dealId).toBe('7');
+    expect(fs.existsSync(uploadPath)).toBe(false);
+    
+    // The CAR, its metadata and profile documents are all held by the local backend
+    const stored = await fs.promises.readdir(process.env.LOCAL_STORAGE_PATH);
+    expect(stored).toEqual(expect.arrayContaining([creation.cid, creation.metadataUri, creation.profileCid].map(cid => `${cid}.car`)));
+    
+    const deal = contractsService.makeDealProposal.mock.calls[0][0];
+    expect(deal.pieceCid).toMatch(/^baga6ea4sea/);
+    expect(deal.provider).toBe('f01000');
+    
+    const download = await datasetService.downloadDataset(status.id);
+    try {
+      expect(download.name).toBe('Weather');
+      expect(download.metadata).toMatchObject({ name: 'Weather', profile: creation.profileCid });
+      expect(await fs.promises.readFile(download.data, 'utf8')).toBe(content);
+    } finally {
+      await fs.promises.rm(download.outputDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Chain event indexer test against a Hardhat node
+ * Indexes a DataDAO vote from a local node, then replaces the vote's block the way a reorg would
+ * Skipped when Hardhat is not installed at the repository root
+ */
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+
+const ROOT = path.join(__dirname, '../../..');
+const HARDHAT_CLI = path.join(ROOT, 'node_modules/hardhat/internal/cli/cli.js');
+const DAO_ARTIFACT = path.join(ROOT, 'artifacts/contracts/DataDAO.sol/DataDAO.json');
+
+const mockRpcUrl = `http://127.0.0.1:${18545 + Number(process.env.JEST_WORKER_ID || 1)}`;
+// First of the accounts Hardhat funds on every node
+const mockDeployerKey = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+['DatasetRegistry', 'AttributionManager', 'Marketplace', 'FilecoinDealClient', 'RoyaltyDistributor',
+  'VerificationRegistry', 'DataProvChain'].forEach(name => {
+  jest.mock(`../../abi/${name}.json`, () => [], { virtual: true });
+});
+jest.mock('../../abi/DataDAO.json', () => require('../../../artifacts/contracts/DataDAO.sol/DataDAO.json').abi, {
+  virtual: true
+});
+jest.mock('../../src/config/filecoin', () => ({
+  rpcUrl: mockRpcUrl,
+  privateKey: mockDeployerKey
+}));
+jest.mock('../../src/config/indexer', () => ({
+  enabled: true,
+  confirmations: 0,
+  blockBatchSize: 100,
+  maxBatchesPerRun: 10,
+  maxEventAttempts: 3,
+  startBlocks: {}
+}));
+jest.mock('../../src/services/marketplace.service', () => ({}));
+jest.mock('../../src/services/royalty.service', () => ({}));
+jest.mock('../../src/services/attribution.service', () => ({}));
+jest.mock('../../src/services/verification.service', () => ({}));
+jest.mock('../../src/services/proposal_action.service', () => ({}));
+jest.mock('../../src/models', () => {
+  const { Op } = require('sequelize');
+  const { mockRow } = require('../utils/test-helpers');
+  const rows = { IndexerCursor: [], ChainEvent: [], Proposal: [], Vote: [], Dataset: [] };
+  
+  // Equality, plus the ranges the indexer selects blocks with
+  const matches = (row, where = {}) => Object.keys(where).every(key => {
+    const condition = where[key];
+    if (condition && typeof condition === 'object') {
+      return (condition[Op.gt] === undefined || row[key] > condition[Op.gt]) &&
+        (condition[Op.gte] === undefined || row[key] >= condition[Op.gte]);
+    }
+    return row[key] === condition;
+  });
+  
+  const table = (name) => {
+    const store = (values) => {
+      const row = mockRow(values);
+      row.destroy = jest.fn(async () => rows[name].splice(rows[name].indexOf(row), 1));
+      rows[name].push(row);
+      return row;
+    };
+    
+    return {
+      findOne: jest.fn(async ({ where }) => rows[name].find(row => matches(row, where)) || null),
+      findAll: jest.fn(async ({ where, order = [] } = {}) => rows[name]
+        .filter(row => matches(row, where))
+        .sort((a, b) => {
+          for (const [key, direction] of order) {
+            if (a[key] !== b[key]) {
+              return (a[key] < b[key] ? -1 : 1) * (direction === 'DESC' ? -1 : 1);
+            }
+          }
+          return 0;
+        })),
+      create: jest.fn(async (values) => store(values)),
+      findOrCreate: jest.fn(async ({ where, defaults }) => {
+        const existing = rows[name].find(row => matches(row, where));
+        return existing ? [existing, false] : [store(defaults), true];
+      }),
+      destroy: jest.fn(async ({ where }) => {
+        const found = rows[name].filter(row => matches(row, where));
+        found.forEach(row => rows[name].splice(rows[name].indexOf(row), 1));
+        return found.length;
+      })
+    };
+  };
+  
+  return {
+    rows,
+    Sequelize: { Op },
+    IndexerCursor: table('IndexerCursor'),
+    ChainEvent: table('ChainEvent'),
+    Proposal: table('Proposal'),
+    Vote: table('Vote'),
+    Dataset: table('Dataset')
+  };
+});
+
+const DB = require('../../src/models');
+
+const describeOnNode = fs.existsSync(HARDHAT_CLI) && fs.existsSync(DAO_ARTIFACT) ? describe : describe.skip;
+
+/**
+ * Start a Hardhat node and wait until it accepts requests
+ * @param {Object} handle - Receives the node process as soon as it is spawned, so it can be stopped
+ * @returns {Promise<void>}
+ */
+const startNode = (handle) => new Promise((resolve, reject) => {
+  const port = new URL(mockRpcUrl).port;
+  const child = spawn(process.execPath, [HARDHAT_CLI, 'node', '--port', port], { cwd: ROOT });
+  handle.process = child;
+  
+  let output = '';
+  const timer = setTimeout(() => reject(new Error(`Hardhat node did not start: ${output}`)), 60000);
+  
+  // The node logs every request, so its output is read for as long as it runs
+  child.stdout.on('data', (chunk) => {
+    if (output.includes('Started HTTP')) {
+      return;
+    }
+    output += chunk;
+    if (output.includes('Started HTTP')) {
+      clearTimeout(timer);
+      resolve();
+    }
+  });
+  child.stderr.on('data', (chunk) => {
+    output += chunk;
+  });
+  child.on('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`Hardhat node exited with code ${code}: ${output}`));
+  });
+});
+
+describeOnNode('Indexer Service on a Hardhat node', () => {
+  const node = {};
+  let provider;
+  let dao;
+  let indexerService;
+  
+  beforeAll(async () => {
+    await startNode(node);
+    
+    provider = new ethers.providers.JsonRpcProvider(mockRpcUrl);
+    provider.pollingInterval = 100;
+    const deployer = new ethers.Wallet(mockDeployerKey, provider);
+    
+    // The deployer gets 100 voting power; proposing takes 1 and the quorum is 40%
+    const artifact = require(DAO_ARTIFACT);
+    dao = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer).deploy(1, 4000);
+    await dao.deployed();
+    
+    ['DATASET_REGISTRY', 'ATTRIBUTION_MANAGER', 'MARKETPLACE', 'FILECOIN_DEAL_CLIENT', 'ROYALTY_DISTRIBUTOR',
+      'VERIFICATION_REGISTRY', 'DATA_PROV_CHAIN'].forEach(name => {
+      process.env[`${name}_ADDRESS`] = '0x3333333333333333333333333333333333333333';
+    });
+    process.env.DATA_DAO_ADDRESS = dao.address;
+    
+    indexerService = require('../../src/services/indexer.service');
+  }, 90000);
+  
+  afterAll(() => {
+    if (node.process) {
+      node.process.kill();
+    }
+  });
+  
+  it('should revert a vote whose block is replaced by a reorg', async () => {
+    await (await dao.createProposal('Raise fee', 'Raise the platform fee', '0x', 7 * 86400)).wait();
+    const snapshot = await provider.send('evm_snapshot', []);
+    
+    const orphaned = await (await dao.castVote(1, true)).wait();
+    await indexerService.syncChainEvents();
+    
+    expect(DB.rows.Proposal).toHaveLength(1);
+    expect(DB.rows.Vote).toHaveLength(1);
+    expect(DB.rows.Vote[0]).toMatchObject({ support: true, weight: '100', transactionHash: orphaned.transactionHash });
+    
+    // Drop the vote's block and mine a different vote at the same height
+    await provider.send('evm_revert', [snapshot]);
+    const replacement = await (await dao.castVote(1, false)).wait();
+    expect(replacement.blockNumber).toBe(orphaned.blockNumber);
+    expect(replacement.blockHash).not.toBe(orphaned.blockHash);
+    
+    const result = await indexerService.syncChainEvents();
+    
+    expect(result.contracts.find(summary => summary.contractName === 'DataDAO')).toMatchObject({
+      rewound: true,
+      processed: 1,
+      caughtUp: true
+    });
+    expect(DB.rows.Vote).toHaveLength(1);
+    expect(DB.rows.Vote[0]).toMatchObject({ support: false, transactionHash: replacement.transactionHash });
+    expect(DB.rows.ChainEvent.map(event => event.transactionHash)).not.toContain(orphaned.transactionHash);
+    expect(DB.rows.Proposal).toHaveLength(1);
+  }, 60000);
+});
@@ -0,0 +1,253 @@
+/**
+ * Chain event indexer service test
+ */
+
+// Mock the required dependencies
+jest.mock('../../src/config/indexer', () => ({
+  enabled: true,
+  confirmations: 2,
+  blockBatchSize: 10,
+  maxBatchesPerRun: 5,
+  maxEventAttempts: 3,
+  startBlocks: { Marketplace: 100 }
+}));
+jest.mock('../../src/services/contracts.service', () => ({
+  getContract: jest.fn(() => ({ address: '0xmarketplace' })),
+  isContractConfigured: jest.fn(),
+  getBlockNumber: jest.fn(),
+  getBlockHash: jest.fn(),
+  getContractEvents: jest.fn(),
+  getListing: jest.fn(),
+  getProposal: jest.fn(),
+  getRoyaltyDistribution: jest.fn()
+}));
+jest.mock('../../src/services/marketplace.service', () => ({
+  recordOnChainPurchase: jest.fn(),
+  revertOnChainPurchase: jest.fn()
+}));
+jest.mock('../../src/services/royalty.service', () => ({
+  recordRoyaltyDistribution: jest.fn(),
+  recordClaim: jest.fn(),
+  revertRoyaltyDistribution: jest.fn(),
+  revertClaim: jest.fn()
+}));
+jest.mock('../../src/services/attribution.service', () => ({
+  calculateRoyalties: jest.fn()
+}));
+jest.mock('../../src/services/verification.service', () => ({
+  recordOnChainRequest: jest.fn()
+}));
+jest.mock('../../src/models', () => {
+  const { Op } = require('sequelize');
+  return {
+    Sequelize: { Op },
+    Dataset: { findOne: jest.fn() },
+    Listing: { findOne: jest.fn(), create: jest.fn() },
+    Proposal: { findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+    Vote: { destroy: jest.fn() },
+    ChainEvent: {
+      findOne: jest.fn(),
+      findAll: jest.fn(),
+      create: jest.fn(),
+      count: jest.fn()
+    },
+    IndexerCursor: { findOrCreate: jest.fn(), findAll: jest.fn() }
+  };
+});
+
+const { Op } = require('sequelize');
+const DB = require('../../src/models');
+const contractsService = require('../../src/services/contracts.service');
+const marketplaceService = require('../../src/services/marketplace.service');
+const royaltyService = require('../../src/services/royalty.service');
+const attributionService = require('../../src/services/attribution.service');
+const indexerService = require('../../src/services/indexer.service');
+
+describe('Indexer Service', () => {
+  let cursor;
+  let chainEvents;
+
+  const purchaseEvent = {
+    contractName: 'Marketplace',
+    eventName: 'ListingPurchased',
+    args: { listingId: '4', datasetId: '7', buyer: '0xBuyer', price: '500', timestamp: 1767225600 },
+    blockNumber: 103,
+    blockHash: '0xhash103',
+    transactionHash: '0xpurchase',
+    logIndex: 0
+  };
+
+  /**
+   * Add an event to the in-memory event log
+   * @param {Object} row - Chain event fields
+   * @returns {Object} - Stored event
+   */
+  const storeEvent = (row) => {
+    const event = {
+      ...row,
+      update: jest.fn(async (values) => Object.assign(event, values)),
+      destroy: jest.fn(async () => chainEvents.splice(chainEvents.indexOf(event), 1))
+    };
+    chainEvents.push(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chainEvents = [];
+
+    cursor = {
+      contractName: 'Marketplace',
+      startBlock: 100,
+      lastProcessedBlock: 99,
+      lastProcessedBlockHash: null,
+      reorgCount: 0,
+      update: jest.fn(async (values) => Object.assign(cursor, values))
+    };
+    DB.IndexerCursor.findOrCreate.mockImplementation(async () => [cursor, false]);
+
+    // In-memory event log keyed by transaction hash and log index
+    DB.ChainEvent.findOne.mockImplementation(async ({ where }) =>
+      chainEvents.find(event =>
+        event.transactionHash === where.transactionHash && event.logIndex === where.logIndex
+      ) || null
+    );
+    DB.ChainEvent.findAll.mockImplementation(async ({ where }) => {
+      const { [Op.gte]: from = -Infinity, [Op.gt]: after = -Infinity } = where.blockNumber;
+      return chainEvents
+        .filter(event => event.contractName === where.contractName && event.blockNumber >= from && event.blockNumber > after)
+        .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+    });
+    DB.ChainEvent.create.mockImplementation(async (row) => storeEvent(row));
+
+    contractsService.isContractConfigured.mockImplementation(name => name === 'Marketplace');
+    contractsService.getBlockNumber.mockResolvedValue(110);
+    contractsService.getBlockHash.mockImplementation(async (blockNumber) => `0xhash${blockNumber}`);
+    contractsService.getContractEvents.mockResolvedValue([]);
+    DB.Listing.findOne.mockResolvedValue({ id: 'listing-1', onChainId: '4' });
+    marketplaceService.recordOnChainPurchase.mockResolvedValue({ purchase: { id: 'purchase-1' } });
+  });
+
+  describe('syncChainEvents', () => {
+    it('should index confirmed blocks and record the purchase', async () => {
+      contractsService.getContractEvents.mockResolvedValueOnce([purchaseEvent]);
+
+      const result = await indexerService.syncChainEvents();
+
+      // Head 110 with 2 confirmations leaves blocks 100-108 to index
+      expect(contractsService.getContractEvents).toHaveBeenCalledWith('Marketplace', 100, 108);
+      expect(cursor.lastProcessedBlock).toBe(108);
+      expect(cursor.lastProcessedBlockHash).toBe('0xhash108');
+      expect(result.contracts[0]).toMatchObject({ contractName: 'Marketplace', processed: 1, caughtUp: true });
+      expect(marketplaceService.recordOnChainPurchase).toHaveBeenCalledWith('4', {
+        buyer: '0xBuyer',
+        price: '500',
+        transactionHash: '0xpurchase',
+        purchasedAt: new Date(1767225600 * 1000)
+      });
+      expect(chainEvents[0]).toMatchObject({ status: 'processed', eventName: 'ListingPurchased' });
+    });
+
+    it('should not apply an event twice', async () => {
+      contractsService.getContractEvents.mockResolvedValue([purchaseEvent]);
+
+      await indexerService.syncChainEvents();
+      await indexerService.reindexContract('Marketplace');
+      await indexerService.syncChainEvents();
+
+      expect(marketplaceService.recordOnChainPurchase).toHaveBeenCalledTimes(1);
+      expect(chainEvents).toHaveLength(1);
+    });
+
+    it('should leave the cursor before a failed event', async () => {
+      contractsService.getContractEvents.mockResolvedValueOnce([purchaseEvent]);
+      marketplaceService.recordOnChainPurchase.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      const result = await indexerService.syncChainEvents();
+
+      expect(result.contracts[0].error).toContain('Failed to index Marketplace.ListingPurchased in block 103');
+      expect(cursor.lastProcessedBlock).toBe(99);
+      expect(cursor.lastError).toContain('Database unavailable');
+      expect(chainEvents[0].status).toBe('failed');
+
+      // The failed event is retried on the next run
+      contractsService.getContractEvents.mockResolvedValueOnce([purchaseEvent]);
+      await indexerService.syncChainEvents();
+
+      expect(marketplaceService.recordOnChainPurchase).toHaveBeenCalledTimes(2);
+      expect(chainEvents[0]).toMatchObject({ status: 'processed', attempts: 2 });
+      expect(cursor.lastProcessedBlock).toBe(108);
+    });
+
+    it('should move past an event that keeps failing', async () => {
+      contractsService.getContractEvents.mockResolvedValue([purchaseEvent]);
+      marketplaceService.recordOnChainPurchase.mockRejectedValue(new Error('Listing not found for on-chain ID: 4'));
+
+      await indexerService.syncChainEvents();
+      await indexerService.syncChainEvents();
+      expect(cursor.lastProcessedBlock).toBe(99);
+
+      // The third attempt is the last; the event is left failed and the blocks after it are indexed
+      const result = await indexerService.syncChainEvents();
+
+      expect(marketplaceService.recordOnChainPurchase).toHaveBeenCalledTimes(3);
+      expect(result.contracts[0]).toMatchObject({ failed: 1, caughtUp: true });
+      expect(cursor.lastProcessedBlock).toBe(108);
+      expect(cursor.lastError).toBeNull();
+      expect(chainEvents[0]).toMatchObject({ status: 'failed', attempts: 3 });
+    });
+
+    it('should rewind past blocks replaced by a reorg', async () => {
+      Object.assign(cursor, { lastProcessedBlock: 108, lastProcessedBlockHash: '0xold108' });
+      contractsService.getBlockNumber.mockResolvedValue(112);
+      storeEvent({ ...purchaseEvent, status: 'processed' });
+      storeEvent({ ...purchaseEvent, blockNumber: 106, blockHash: '0xold106', transactionHash: '0xorphaned', status: 'processed' });
+      storeEvent({ ...purchaseEvent, blockNumber: 107, blockHash: '0xold107', transactionHash: '0xfailed', status: 'failed' });
+
+      const result = await indexerService.syncChainEvents();
+
+      // Only the purchase that was applied is reverted, and both orphaned events are removed
+      expect(marketplaceService.revertOnChainPurchase).toHaveBeenCalledTimes(1);
+      expect(marketplaceService.revertOnChainPurchase).toHaveBeenCalledWith('0xorphaned');
+      expect(chainEvents.map(event => event.transactionHash)).toEqual(['0xpurchase']);
+      expect(contractsService.getContractEvents).toHaveBeenCalledWith('Marketplace', 104, 110);
+      expect(cursor.reorgCount).toBe(1);
+      expect(result.contracts[0].rewound).toBe(true);
+    });
+
+    it('should revert royalty claims from orphaned blocks', async () => {
+      contractsService.isContractConfigured.mockImplementation(name => name === 'RoyaltyDistributor');
+      Object.assign(cursor, { contractName: 'RoyaltyDistributor', lastProcessedBlock: 108, lastProcessedBlockHash: '0xold108' });
+      storeEvent({
+        contractName: 'RoyaltyDistributor',
+        eventName: 'RoyaltyClaimed',
+        args: { recipient: '0xContributor', amount: '300', timestamp: 1767225600 },
+        blockNumber: 105,
+        blockHash: '0xold105',
+        transactionHash: '0xclaim',
+        logIndex: 2,
+        status: 'processed'
+      });
+      royaltyService.revertClaim.mockResolvedValue({ removed: 2, datasetIds: ['dataset-1', 'dataset-2'] });
+
+      await indexerService.syncChainEvents();
+
+      expect(royaltyService.revertClaim).toHaveBeenCalledWith('0xclaim', 2);
+      expect(attributionService.calculateRoyalties).toHaveBeenCalledWith('dataset-1');
+      expect(attributionService.calculateRoyalties).toHaveBeenCalledWith('dataset-2');
+      expect(chainEvents).toHaveLength(0);
+    });
+  });
+
+  describe('reindexContract', () => {
+    it('should reject contracts that are not indexed', async () => {
+      await expect(indexerService.reindexContract('Token'))
+        .rejects.toThrow('Unknown indexed contract: Token');
+    });
+
+    it('should reject blocks before the deployment block', async () => {
+      await expect(indexerService.reindexContract('Marketplace', 50))
+        .rejects.toThrow('Cannot reindex before the deployment block 100');
+    });
+  });
+});
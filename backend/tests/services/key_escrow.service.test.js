@@ -0,0 +1,193 @@
+/**
+ * Key escrow service test
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const mockTempDir = path.join(os.tmpdir(), `key-escrow-test-${process.pid}`);
+
+// Mock the required dependencies
+jest.mock('../../src/config/auth', () => ({
+  ...jest.requireActual('../../src/config/auth'),
+  keyEscrowMasterKey: require('crypto').randomBytes(32).toString('hex'),
+  keyEscrowMasterKeyId: 'test'
+}));
+jest.mock('../../src/config/app', () => ({
+  ...jest.requireActual('../../src/config/app'),
+  tempDir: mockTempDir
+}));
+jest.mock('../../src/services/marketplace.service', () => ({
+  checkDownloadAccess: jest.fn()
+}));
+jest.mock('../../src/services/contracts.service', () => ({
+  isContractConfigured: jest.fn(),
+  hasAccess: jest.fn()
+}));
+jest.mock('../../src/models', () => ({
+  Dataset: { findByPk: jest.fn() },
+  DatasetKey: { findOne: jest.fn(), create: jest.fn() },
+  KeyRelease: { create: jest.fn() },
+  Purchase: { findByPk: jest.fn() }
+}));
+
+const authConfig = require('../../src/config/auth');
+const DB = require('../../src/models');
+const marketplaceService = require('../../src/services/marketplace.service');
+const contractsService = require('../../src/services/contracts.service');
+const keyEscrowService = require('../../src/services/key_escrow.service');
+const envelope = require('../../src/utils/envelope');
+
+describe('Key Escrow Service', () => {
+  const buyer = ethers.Wallet.createRandom();
+  const dataset = { id: 'dataset-1', cid: 'bafyencrypted', tokenId: '7', encrypted: true };
+  let keys;
+  let workDir;
+  
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'key-escrow-work-'));
+    
+    keys = new Map();
+    DB.DatasetKey.findOne.mockImplementation(async ({ where }) => keys.get(where.datasetId) || null);
+    DB.DatasetKey.create.mockImplementation(async (fields) => {
+      const row = { id: `key-${fields.datasetId}`, ...fields };
+      keys.set(fields.datasetId, row);
+      return row;
+    });
+    DB.Dataset.findByPk.mockResolvedValue(dataset);
+    DB.KeyRelease.create.mockImplementation(async (fields) => fields);
+    
+    marketplaceService.checkDownloadAccess.mockResolvedValue({
+      hasAccess: true,
+      reason: 'grant',
+      grant: { id: 'grant-1', purchaseId: 'purchase-1' }
+    });
+    DB.Purchase.findByPk.mockResolvedValue({ id: 'purchase-1', verifiedAt: new Date(), confirmedAt: null });
+    contractsService.isContractConfigured.mockReturnValue(true);
+    contractsService.hasAccess.mockResolvedValue(false);
+  });
+  
+  afterEach(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+    await fs.promises.rm(mockTempDir, { recursive: true, force: true });
+  });
+  
+  const encryptSample = async (content) => {
+    const plainPath = path.join(workDir, 'data.bin');
+    await fs.promises.writeFile(plainPath, content);
+    return keyEscrowService.encryptDatasetFile(dataset.id, plainPath);
+  };
+  
+  it('should encrypt a dataset file and decrypt it with the escrowed key', async () => {
+    const content = crypto.randomBytes(200 * 1024);
+    const encryptedPath = await encryptSample(content);
+    
+    const stored = await fs.promises.readFile(encryptedPath);
+    expect(stored.includes(content.subarray(0, 64))).toBe(false);
+    expect(keys.get(dataset.id)).toMatchObject({ algorithm: 'aes-256-gcm', masterKeyId: 'test' });
+    
+    const outputPath = path.join(workDir, 'data.out');
+    await keyEscrowService.decryptDatasetFile(dataset.id, encryptedPath, outputPath);
+    
+    expect((await fs.promises.readFile(outputPath)).equals(content)).toBe(true);
+  });
+  
+  it('should reuse the escrowed key when a dataset is encrypted again', async () => {
+    const content = Buffer.from('retried creation');
+    const first = await encryptSample(content);
+    const second = await encryptSample(content);
+    
+    expect(DB.DatasetKey.create).toHaveBeenCalledTimes(1);
+    
+    const outputPath = path.join(workDir, 'data.out');
+    await keyEscrowService.decryptDatasetFile(dataset.id, first, outputPath);
+    await keyEscrowService.decryptDatasetFile(dataset.id, second, outputPath);
+    expect((await fs.promises.readFile(outputPath)).equals(content)).toBe(true);
+  });
+  
+  it('should refuse a tampered file and leave no output', async () => {
+    const encryptedPath = await encryptSample(crypto.randomBytes(4096));
+    const stored = await fs.promises.readFile(encryptedPath);
+    stored[100] ^= 0x01;
+    await fs.promises.writeFile(encryptedPath, stored);
+    
+    const outputPath = path.join(workDir, 'data.out');
+    await expect(keyEscrowService.decryptDatasetFile(dataset.id, encryptedPath, outputPath))
+      .rejects.toThrow('Decryption failed');
+    expect(fs.existsSync(outputPath)).toBe(false);
+  });
+  
+  it('should wrap a released key for the buyer wallet public key', async () => {
+    await encryptSample(Buffer.from('paid data'));
+    const masterKey = Buffer.from(authConfig.keyEscrowMasterKey, 'hex');
+    const escrowed = envelope.unwrapKey(keys.get(dataset.id).wrappedKey, masterKey);
+    
+    const released = await keyEscrowService.releaseDataKey(dataset.id, buyer.address, {
+      publicKey: buyer.publicKey
+    });
+    
+    expect(released.key).toBeUndefined();
+    expect(released.wrapping).toBe(envelope.ECIES_SCHEME);
+    expect(envelope.unwrapKeyWithPrivateKey(released.wrappedKey, buyer.privateKey).equals(escrowed)).toBe(true);
+    expect(DB.KeyRelease.create).toHaveBeenCalledWith(expect.objectContaining({
+      grantee: buyer.address,
+      accessType: 'grant',
+      accessGrantId: 'grant-1',
+      wrapping: envelope.ECIES_SCHEME
+    }));
+  });
+  
+  it('should refuse a public key of another wallet', async () => {
+    await encryptSample(Buffer.from('paid data'));
+    
+    await expect(keyEscrowService.releaseDataKey(dataset.id, buyer.address, {
+      publicKey: ethers.Wallet.createRandom().publicKey
+    })).rejects.toThrow('Invalid public key: it does not belong to the requesting wallet');
+    expect(DB.KeyRelease.create).not.toHaveBeenCalled();
+  });
+  
+  it('should fall back to on-chain access and deny requesters without any', async () => {
+    await encryptSample(Buffer.from('paid data'));
+    marketplaceService.checkDownloadAccess.mockResolvedValue({
+      hasAccess: false,
+      error: 'No access grant found for this dataset'
+    });
+    
+    await expect(keyEscrowService.releaseDataKey(dataset.id, buyer.address))
+      .rejects.toThrow('Access denied: No access grant found for this dataset');
+    
+    contractsService.hasAccess.mockResolvedValue(true);
+    const released = await keyEscrowService.releaseDataKey(dataset.id, buyer.address);
+    
+    expect(contractsService.hasAccess).toHaveBeenCalledWith(buyer.address, '7');
+    expect(released).toMatchObject({ wrapping: 'none', cid: 'bafyencrypted' });
+    expect(Buffer.from(released.key, 'base64')).toHaveLength(32);
+    expect(DB.KeyRelease.create).toHaveBeenCalledWith(expect.objectContaining({ accessType: 'onchain' }));
+  });
+  
+  it('should not release keys for a grant whose purchase was never seen on chain', async () => {
+    await encryptSample(Buffer.from('paid data'));
+    DB.Purchase.findByPk.mockResolvedValue({ id: 'purchase-1', verifiedAt: null, confirmedAt: null });
+    
+    await expect(keyEscrowService.releaseDataKey(dataset.id, buyer.address))
+      .rejects.toThrow('Access denied: the purchase behind the access grant is not verified on chain');
+    expect(DB.KeyRelease.create).not.toHaveBeenCalled();
+    
+    // The indexer confirming the purchase is enough
+    DB.Purchase.findByPk.mockResolvedValue({ id: 'purchase-1', verifiedAt: null, confirmedAt: new Date() });
+    const released = await keyEscrowService.releaseDataKey(dataset.id, buyer.address);
+    
+    expect(DB.Purchase.findByPk).toHaveBeenCalledWith('purchase-1');
+    expect(released.wrapping).toBe('none');
+  });
+  
+  it('should not release keys of datasets stored in the clear', async () => {
+    DB.Dataset.findByPk.mockResolvedValue({ ...dataset, encrypted: false });
+    
+    await expect(keyEscrowService.releaseDataKey(dataset.id, buyer.address))
+      .rejects.toThrow('dataset is not encrypted');
+  });
+});
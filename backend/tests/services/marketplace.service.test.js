@@ -0,0 +1,503 @@
+/**
+ * Marketplace service test
+ */
+const { generateMockDataset, mockRow } = require('../utils/test-helpers');
+
+// Mock the required dependencies
+jest.mock('../../src/services/contracts.service', () => ({
+  getContract: jest.fn(),
+  createListing: jest.fn(),
+  getListingPurchase: jest.fn()
+}));
+jest.mock('../../src/services/royalty.service', () => ({
+  getPlatformFee: jest.fn(async () => '25000000000000000'),
+  recordPurchaseRevenue: jest.fn(),
+  revertPurchaseRevenue: jest.fn()
+}));
+jest.mock('../../src/services/notification.service', () => ({
+  notify: jest.fn()
+}));
+jest.mock('../../src/models', () => {
+  const { Op } = require('sequelize');
+  return {
+    Sequelize: { Op },
+    sequelize: { literal: jest.fn(sql => ({ sql })) },
+    Dataset: { findByPk: jest.fn() },
+    Contributor: { findOne: jest.fn() },
+    AccessGrant: { findOne: jest.fn(), findAll: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+    Listing: { findAll: jest.fn(), findOne: jest.fn(), findByPk: jest.fn(), update: jest.fn() },
+    Purchase: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+    Subscription: { findOne: jest.fn(), findByPk: jest.fn(), findAll: jest.fn(), create: jest.fn() }
+  };
+});
+
+const DB = require('../../src/models');
+const contractsService = require('../../src/services/contracts.service');
+const royaltyService = require('../../src/services/royalty.service');
+const notificationService = require('../../src/services/notification.service');
+const marketplaceService = require('../../src/services/marketplace.service');
+
+describe('Marketplace Service', () => {
+  const buyer = '0xbuyer';
+  const dataset = generateMockDataset({ creator: '0xCreator' });
+  const listing = {
+    id: 'listing-1',
+    onChainId: '7',
+    price: '1000000000000000000',
+    licenseType: 'commercial',
+    duration: 86400,
+    seller: '0xcreator'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    DB.Dataset.findByPk.mockResolvedValue(dataset);
+    DB.Contributor.findOne.mockResolvedValue(null);
+    DB.AccessGrant.findAll.mockResolvedValue([]);
+    DB.Listing.findAll.mockResolvedValue([listing]);
+  });
+
+  describe('checkDownloadAccess', () => {
+    it('should let the dataset creator download without a grant', async () => {
+      const result = await marketplaceService.checkDownloadAccess(dataset.id, '0xcreator');
+
+      expect(result).toEqual({ hasAccess: true, reason: 'owner' });
+      expect(DB.AccessGrant.findAll).not.toHaveBeenCalled();
+    });
+
+    it('should not let a contributor download without a grant', async () => {
+      DB.Contributor.findOne.mockResolvedValue({ address: buyer });
+
+      const result = await marketplaceService.checkDownloadAccess(dataset.id, buyer);
+
+      expect(result.hasAccess).toBe(false);
+      expect(result.paymentRequired).toBe(true);
+    });
+
+    it('should grant access with a valid grant', async () => {
+      const grant = {
+        id: 'grant-1',
+        purchaseId: 'purchase-1',
+        licenseType: 'commercial',
+        expiresAt: new Date(Date.now() + 60000),
+        revokedAt: null
+      };
+      DB.AccessGrant.findAll.mockResolvedValue([grant]);
+
+      const result = await marketplaceService.checkDownloadAccess(dataset.id, buyer, {
+        licenseType: 'commercial'
+      });
+
+      expect(result.hasAccess).toBe(true);
+      expect(result.reason).toBe('grant');
+      expect(result.grant.id).toBe('grant-1');
+    });
+
+    it('should require payment and name a listing when no grant exists', async () => {
+      const result = await marketplaceService.checkDownloadAccess(dataset.id, buyer);
+
+      expect(result.hasAccess).toBe(false);
+      expect(result.paymentRequired).toBe(true);
+      expect(result.error).toContain('Purchase listing listing-1');
+      expect(result.listings).toHaveLength(1);
+      expect(result.listings[0].licenseType).toBe('commercial');
+    });
+
+    it('should deny an expired grant without requiring payment', async () => {
+      DB.AccessGrant.findAll.mockResolvedValue([{
+        id: 'grant-1',
+        licenseType: 'research',
+        expiresAt: new Date(Date.now() - 60000),
+        revokedAt: null
+      }]);
+
+      const result = await marketplaceService.checkDownloadAccess(dataset.id, buyer);
+
+      expect(result.hasAccess).toBe(false);
+      expect(result.paymentRequired).toBe(false);
+      expect(result.error).toContain('Access has expired');
+    });
+
+    it('should deny a grant for a different license type', async () => {
+      DB.AccessGrant.findAll.mockResolvedValue([{
+        id: 'grant-1',
+        licenseType: 'research',
+        expiresAt: new Date(Date.now() + 60000),
+        revokedAt: null
+      }]);
+
+      const result = await marketplaceService.checkDownloadAccess(dataset.id, buyer, {
+        licenseType: 'commercial'
+      });
+
+      expect(result.hasAccess).toBe(false);
+      expect(result.error).toContain('does not cover a commercial license');
+      expect(DB.Listing.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ licenseType: 'commercial' })
+      }));
+    });
+
+    it('should throw when the dataset does not exist', async () => {
+      DB.Dataset.findByPk.mockResolvedValue(null);
+
+      await expect(marketplaceService.checkDownloadAccess('missing', buyer))
+        .rejects.toThrow('Dataset not found');
+    });
+  });
+
+  describe('purchaseListing', () => {
+    const day = 86400 * 1000;
+    let contract;
+
+    const saleListing = (fields) => mockRow({
+      ...listing,
+      datasetId: dataset.id,
+      Dataset: dataset,
+      status: 'active',
+      expiresAt: new Date(Date.now() + 30 * day),
+      seatsSold: 0,
+      ...fields
+    });
+
+    beforeEach(() => {
+      contract = { updateListing: jest.fn().mockResolvedValue({ wait: jest.fn() }) };
+      contractsService.getContract.mockReturnValue(contract);
+      DB.Purchase.findOne.mockResolvedValue(null);
+      DB.Purchase.create.mockImplementation(async (fields) => mockRow({ ...fields, createdAt: new Date() }));
+      DB.AccessGrant.create.mockImplementation(async (fields) => mockRow(fields));
+      DB.Listing.update.mockResolvedValue([1]);
+      DB.Subscription.findOne.mockResolvedValue(null);
+      DB.Subscription.create.mockImplementation(async (fields) => mockRow(fields));
+      contractsService.getListingPurchase.mockResolvedValue({ listingId: '7', buyer, price: listing.price });
+    });
+
+    it('should keep an unlimited listing on sale after a purchase', async () => {
+      const unlimited = saleListing({ saleMode: 'unlimited', maxSeats: null, seatsSold: 41 });
+      DB.Listing.findByPk.mockResolvedValue(unlimited);
+
+      const result = await marketplaceService.purchaseListing('listing-1', { buyer, transactionHash: '0xtx' });
+
+      expect(result.access.token).toHaveLength(64);
+      expect(unlimited.seatsSold).toBe(42);
+      expect(unlimited.update).not.toHaveBeenCalled();
+      expect(DB.Listing.update).toHaveBeenCalledWith(
+        { seatsSold: { sql: '"seatsSold" + 1' } },
+        { where: { id: 'listing-1' } }
+      );
+    });
+
+    it('should record the platform fee the contract kept with the purchase', async () => {
+      DB.Listing.findByPk.mockResolvedValue(saleListing({ saleMode: 'unlimited', maxSeats: null }));
+
+      await marketplaceService.purchaseListing('listing-1', { buyer, transactionHash: '0xtx' });
+
+      expect(royaltyService.getPlatformFee).toHaveBeenCalledWith(listing.price);
+      const purchase = await DB.Purchase.create.mock.results[0].value;
+      expect(purchase.platformFee).toBe('25000000000000000');
+    });
+
+    it('should leave the revenue uncredited until the transaction is confirmed', async () => {
+      DB.Listing.findByPk.mockResolvedValue(saleListing({ saleMode: 'unlimited', maxSeats: null }));
+
+      await marketplaceService.purchaseListing('listing-1', { buyer, transactionHash: '0xtx' });
+
+      const purchase = await DB.Purchase.create.mock.results[0].value;
+      expect(purchase.confirmedAt).toBeNull();
+      expect(royaltyService.recordPurchaseRevenue).not.toHaveBeenCalled();
+    });
+
+    it('should check the sent transaction against the listing before recording it', async () => {
+      DB.Listing.findByPk.mockResolvedValue(saleListing({ saleMode: 'unlimited', maxSeats: null }));
+
+      await marketplaceService.purchaseListing('listing-1', { buyer, transactionHash: '0xtx' });
+
+      expect(contractsService.getListingPurchase).toHaveBeenCalledWith('0xtx');
+      expect(DB.Purchase.create).toHaveBeenCalledWith(expect.objectContaining({
+        transactionHash: '0xtx',
+        price: listing.price,
+        verifiedAt: expect.any(Date)
+      }));
+    });
+
+    it('should refuse a transaction that did not purchase a listing', async () => {
+      DB.Listing.findByPk.mockResolvedValue(saleListing({ saleMode: 'unlimited', maxSeats: null }));
+      contractsService.getListingPurchase.mockResolvedValue(null);
+
+      await expect(marketplaceService.purchaseListing('listing-1', { buyer, transactionHash: '0xtx' }))
+        .rejects.toThrow('Invalid transaction: 0xtx did not purchase a listing');
+      expect(DB.Purchase.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a transaction that purchased another listing', async () => {
+      DB.Listing.findByPk.mockResolvedValue(saleListing({ saleMode: 'unlimited', maxSeats: null }));
+      contractsService.getListingPurchase.mockResolvedValue({ listingId: '8', buyer, price: listing.price });
+
+      await expect(marketplaceService.purchaseListing('listing-1', { buyer, transactionHash: '0xtx' }))
+        .rejects.toThrow('purchased listing 8, not 7');
+      expect(DB.Purchase.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a transaction sent by another wallet', async () => {
+      DB.Listing.findByPk.mockResolvedValue(saleListing({ saleMode: 'unlimited', maxSeats: null }));
+      contractsService.getListingPurchase.mockResolvedValue({ listingId: '7', buyer: '0xother', price: listing.price });
+
+      await expect(marketplaceService.purchaseListing('listing-1', { buyer, transactionHash: '0xtx' }))
+        .rejects.toThrow('was not sent by the requesting wallet');
+      expect(DB.Purchase.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a transaction that paid less than the listing price', async () => {
+      DB.Listing.findByPk.mockResolvedValue(saleListing({ saleMode: 'unlimited', maxSeats: null }));
+      contractsService.getListingPurchase.mockResolvedValue({ listingId: '7', buyer, price: '1' });
+
+      await expect(marketplaceService.purchaseListing('listing-1', { buyer, transactionHash: '0xtx' }))
+        .rejects.toThrow('Payment required');
+      expect(DB.Purchase.create).not.toHaveBeenCalled();
+    });
+
+    it('should close a capped listing on chain when its last seat is sold', async () => {
+      const capped = saleListing({ saleMode: 'capped', maxSeats: 3, seatsSold: 2 });
+      DB.Listing.findByPk.mockResolvedValue(capped);
+
+      await marketplaceService.purchaseListing('listing-1', { buyer, transactionHash: '0xtx' });
+
+      expect(capped.status).toBe('sold');
+      expect(contract.updateListing).toHaveBeenCalledWith('7', listing.price, false);
+    });
+
+    it('should refuse a capped listing with no seats remaining', async () => {
+      DB.Listing.findByPk.mockResolvedValue(saleListing({ saleMode: 'capped', maxSeats: 2, seatsSold: 2 }));
+
+      await expect(marketplaceService.purchaseListing('listing-1', { buyer, transactionHash: '0xtx' }))
+        .rejects.toThrow('Listing has no seats remaining');
+      expect(DB.Purchase.create).not.toHaveBeenCalled();
+    });
+
+    it('should start a subscription with access for one billing period', async () => {
+      DB.Listing.findByPk.mockResolvedValue(saleListing({ saleMode: 'subscription', maxSeats: null }));
+
+      const before = Date.now();
+      const result = await marketplaceService.purchaseListing('listing-1', { buyer, transactionHash: '0xtx' });
+
+      expect(DB.Subscription.create).toHaveBeenCalledWith(expect.objectContaining({
+        subscriber: buyer,
+        status: 'active',
+        renewalCount: 0
+      }));
+      expect(result.subscription.status).toBe('active');
+      expect(result.access.expiresAt.getTime()).toBeGreaterThanOrEqual(before + day);
+    });
+
+    it('should extend the same grant from the end of the current period on renewal', async () => {
+      const periodEnd = new Date(Date.now() + 2 * day);
+      const grant = mockRow({ id: 'grant-1', accessToken: 'token-1', expiresAt: periodEnd });
+      const subscription = mockRow({
+        id: 'subscription-1',
+        listingId: 'listing-1',
+        subscriber: buyer,
+        accessGrantId: 'grant-1',
+        status: 'cancelled',
+        currentPeriodStart: new Date(Date.now() - day),
+        currentPeriodEnd: periodEnd,
+        renewalCount: 0,
+        reminderSentAt: new Date(),
+        cancelledAt: new Date()
+      });
+      DB.Subscription.findOne.mockResolvedValue(subscription);
+      DB.AccessGrant.findByPk.mockResolvedValue(grant);
+      // A sold out listing still takes renewals from its subscribers
+      DB.Listing.findByPk.mockResolvedValue(saleListing({ saleMode: 'subscription', maxSeats: 1, seatsSold: 1, status: 'sold' }));
+
+      const result = await marketplaceService.purchaseListing('listing-1', { buyer, transactionHash: '0xtx' });
+
+      const expectedEnd = new Date(periodEnd.getTime() + day);
+      expect(result.access.token).toBe('token-1');
+      expect(grant.expiresAt).toEqual(expectedEnd);
+      expect(subscription.status).toBe('active');
+      expect(subscription.currentPeriodStart).toEqual(periodEnd);
+      expect(subscription.renewalCount).toBe(1);
+      expect(subscription.reminderSentAt).toBeNull();
+      expect(DB.Listing.update).not.toHaveBeenCalled();
+      expect(DB.AccessGrant.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordOnChainPurchase', () => {
+    const details = {
+      buyer: '0xBuyer',
+      price: listing.price,
+      transactionHash: '0xtx',
+      purchasedAt: new Date()
+    };
+
+    beforeEach(() => {
+      DB.Purchase.findOne.mockResolvedValue(null);
+      DB.Purchase.create.mockImplementation(async (fields) => mockRow({ ...fields, createdAt: new Date() }));
+      DB.AccessGrant.create.mockImplementation(async (fields) => mockRow(fields));
+      DB.Listing.update.mockResolvedValue([1]);
+    });
+
+    it('should record and credit a confirmed purchase made on the contract', async () => {
+      DB.Listing.findOne.mockResolvedValue(mockRow({ ...listing, datasetId: dataset.id, saleMode: 'unlimited', seatsSold: 0 }));
+
+      const result = await marketplaceService.recordOnChainPurchase('7', details);
+
+      expect(result).toMatchObject({ listingId: 'listing-1', buyer: '0xbuyer', transactionHash: '0xtx' });
+      const purchase = await DB.Purchase.create.mock.results[0].value;
+      expect(purchase.confirmedAt).toEqual(expect.any(Date));
+      expect(royaltyService.recordPurchaseRevenue).toHaveBeenCalledWith(purchase);
+    });
+
+    it('should confirm and credit a purchase recorded through the API', async () => {
+      const recorded = mockRow({ id: 'purchase-1', transactionHash: '0xtx', confirmedAt: null });
+      DB.Purchase.findOne.mockResolvedValue(recorded);
+
+      const result = await marketplaceService.recordOnChainPurchase('7', details);
+
+      expect(result).toBeNull();
+      expect(recorded.confirmedAt).toEqual(expect.any(Date));
+      expect(royaltyService.recordPurchaseRevenue).toHaveBeenCalledWith(recorded);
+      expect(DB.Purchase.create).not.toHaveBeenCalled();
+    });
+
+    it('should not credit a confirmed purchase again', async () => {
+      DB.Purchase.findOne.mockResolvedValue(mockRow({ id: 'purchase-1', confirmedAt: new Date() }));
+
+      await marketplaceService.recordOnChainPurchase('7', details);
+
+      expect(royaltyService.recordPurchaseRevenue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revertOnChainPurchase', () => {
+    const day = 86400 * 1000;
+    let contract;
+
+    beforeEach(() => {
+      contract = { updateListing: jest.fn().mockResolvedValue({ wait: jest.fn() }) };
+      contractsService.getContract.mockReturnValue(contract);
+      DB.Listing.update.mockResolvedValue([1]);
+    });
+
+    it('should remove the purchase, its credits and grant and reopen its seat', async () => {
+      const grant = mockRow({ id: 'grant-1' });
+      const purchase = mockRow({ id: 'purchase-1', listingId: 'listing-1', subscriptionId: null, accessGrant: grant });
+      const capped = mockRow({ ...listing, saleMode: 'capped', maxSeats: 2, seatsSold: 2, status: 'sold' });
+      DB.Purchase.findOne.mockResolvedValue(purchase);
+      DB.Listing.findByPk.mockResolvedValue(capped);
+
+      const result = await marketplaceService.revertOnChainPurchase('0xtx');
+
+      expect(result).toMatchObject({ id: 'purchase-1', transactionHash: '0xtx' });
+      expect(royaltyService.revertPurchaseRevenue).toHaveBeenCalledWith(purchase);
+      expect(grant.destroy).toHaveBeenCalled();
+      expect(purchase.destroy).toHaveBeenCalled();
+      expect(DB.Listing.update).toHaveBeenCalledWith(
+        { seatsSold: { sql: '"seatsSold" - 1' } },
+        { where: { id: 'listing-1', seatsSold: expect.anything() } }
+      );
+      expect(capped).toMatchObject({ seatsSold: 1, status: 'active' });
+      expect(contract.updateListing).toHaveBeenCalledWith('7', listing.price, true);
+    });
+
+    it('should roll a subscription back to the period before a reverted renewal', async () => {
+      const firstEnd = new Date(Date.now() + day);
+      const grant = mockRow({ id: 'grant-1', expiresAt: new Date(firstEnd.getTime() + day) });
+      const first = mockRow({ id: 'purchase-1', expiresAt: firstEnd, accessGrant: grant });
+      const renewal = mockRow({ id: 'purchase-2', listingId: 'listing-1', subscriptionId: 'subscription-1', accessGrant: null });
+      const subscription = mockRow({
+        id: 'subscription-1',
+        accessGrantId: 'grant-1',
+        status: 'active',
+        currentPeriodEnd: grant.expiresAt,
+        renewalCount: 1
+      });
+      DB.Purchase.findOne.mockResolvedValue(renewal);
+      DB.Purchase.findAll.mockResolvedValue([first]);
+      DB.Listing.findByPk.mockResolvedValue(mockRow({ ...listing, saleMode: 'subscription', seatsSold: 1 }));
+      DB.Subscription.findByPk.mockResolvedValue(subscription);
+
+      await marketplaceService.revertOnChainPurchase('0xrenewal');
+
+      expect(renewal.destroy).toHaveBeenCalled();
+      expect(grant.expiresAt).toEqual(firstEnd);
+      expect(subscription).toMatchObject({
+        accessGrantId: 'grant-1',
+        status: 'active',
+        currentPeriodStart: new Date(firstEnd.getTime() - day),
+        currentPeriodEnd: firstEnd,
+        renewalCount: 0
+      });
+      expect(DB.Listing.update).not.toHaveBeenCalled();
+    });
+
+    it('should remove a subscription whose only purchase is reverted', async () => {
+      const grant = mockRow({ id: 'grant-1' });
+      const purchase = mockRow({ id: 'purchase-1', listingId: 'listing-1', subscriptionId: 'subscription-1', accessGrant: grant });
+      const subscription = mockRow({ id: 'subscription-1', accessGrantId: 'grant-1', status: 'active' });
+      DB.Purchase.findOne.mockResolvedValue(purchase);
+      DB.Purchase.findAll.mockResolvedValue([]);
+      DB.Listing.findByPk.mockResolvedValue(mockRow({ ...listing, saleMode: 'subscription', maxSeats: null, seatsSold: 1 }));
+      DB.Subscription.findByPk.mockResolvedValue(subscription);
+
+      await marketplaceService.revertOnChainPurchase('0xtx');
+
+      expect(subscription.accessGrantId).toBeNull();
+      expect(grant.destroy).toHaveBeenCalled();
+      expect(subscription.destroy).toHaveBeenCalled();
+      expect(DB.Listing.update).toHaveBeenCalledTimes(1);
+    });
+
+    it('should do nothing for a transaction without a purchase', async () => {
+      DB.Purchase.findOne.mockResolvedValue(null);
+
+      await expect(marketplaceService.revertOnChainPurchase('0xunknown')).resolves.toBeNull();
+      expect(royaltyService.revertPurchaseRevenue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processSubscriptions', () => {
+    it('should expire lapsed subscriptions and free their seats', async () => {
+      const lapsed = mockRow({ id: 'subscription-1', listingId: 'listing-1', status: 'active' });
+      DB.Subscription.findAll
+        .mockResolvedValueOnce([lapsed])
+        .mockResolvedValueOnce([]);
+      DB.Listing.update.mockResolvedValue([1]);
+
+      const result = await marketplaceService.processSubscriptions();
+
+      expect(result).toEqual({ expired: 1, reminded: 0 });
+      expect(lapsed.status).toBe('expired');
+      expect(DB.Listing.update).toHaveBeenCalledWith(
+        { status: 'active' },
+        { where: { id: 'listing-1', status: 'sold' } }
+      );
+    });
+
+    it('should remind subscribers once before their period ends', async () => {
+      const expiring = mockRow({
+        id: 'subscription-2',
+        listingId: 'listing-1',
+        datasetId: dataset.id,
+        subscriber: buyer,
+        status: 'active',
+        currentPeriodEnd: new Date(Date.now() + 86400 * 1000),
+        Dataset: { id: dataset.id, name: 'Weather' }
+      });
+      DB.Subscription.findAll
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([expiring]);
+
+      const result = await marketplaceService.processSubscriptions();
+
+      expect(result).toEqual({ expired: 0, reminded: 1 });
+      expect(notificationService.notify).toHaveBeenCalledWith(expect.objectContaining({
+        recipient: buyer,
+        type: 'subscription_renewal',
+        data: expect.objectContaining({ subscriptionId: 'subscription-2' })
+      }));
+      expect(expiring.reminderSentAt).toBeInstanceOf(Date);
+      expect(DB.Subscription.findAll.mock.calls[1][0].where.reminderSentAt).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Blockchain outbox service test
+ */
+
+// Mock the required dependencies
+jest.mock('../../src/services/contracts.service', () => ({
+  getContract: jest.fn(),
+  recordDatasetUsage: jest.fn(),
+  createProposal: jest.fn()
+}));
+jest.mock('../../src/models', () => {
+  const { Op } = require('sequelize');
+  return {
+    Sequelize: { Op },
+    Dataset: { findByPk: jest.fn() },
+    Usage: { findByPk: jest.fn() },
+    OutboxEntry: {
+      create: jest.fn(),
+      findAll: jest.fn(),
+      findByPk: jest.fn(),
+      update: jest.fn()
+    }
+  };
+});
+
+const { Op } = require('sequelize');
+const DB = require('../../src/models');
+const contractsService = require('../../src/services/contracts.service');
+const outboxService = require('../../src/services/outbox.service');
+const { mockRow } = require('../utils/test-helpers');
+
+/**
+ * Create an outbox entry row whose update() applies changes in place
+ * @param {Object} [overrides] - Field overrides
+ * @returns {Object} - Entry row
+ */
+const mockEntry = (overrides = {}) => mockRow({
+  id: 'entry-1',
+  operation: 'recordUsage',
+  targetModel: 'Usage',
+  targetId: 'usage-1',
+  payload: { datasetId: 'dataset-1', modelId: 'model-1', usageType: 'training', impactScore: 50 },
+  status: 'pending',
+  attempts: 0,
+  maxAttempts: 3,
+  ...overrides
+});
+
+describe('Outbox Service', () => {
+  let usageRow;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    usageRow = { id: 'usage-1', update: jest.fn() };
+    DB.Usage.findByPk.mockResolvedValue(usageRow);
+    DB.Dataset.findByPk.mockResolvedValue({ id: 'dataset-1', tokenId: '42' });
+    DB.OutboxEntry.update.mockResolvedValue([1]);
+    DB.OutboxEntry.create.mockImplementation(async (entry) => entry);
+  });
+
+  describe('enqueue', () => {
+    it('should queue a failed call with its arguments and the target row', async () => {
+      const entry = await outboxService.enqueue({
+        operation: 'recordUsage',
+        targetId: 'usage-1',
+        payload: { datasetId: 'dataset-1', modelId: 'model-1' },
+        error: new Error('nonce too low')
+      });
+
+      expect(entry.status).toBe('pending');
+      expect(entry.targetModel).toBe('Usage');
+      expect(entry.lastError).toBe('nonce too low');
+      expect(entry.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should reject unknown operations', async () => {
+      await expect(outboxService.enqueue({ operation: 'mint', targetId: 'x', payload: {} }))
+        .rejects.toThrow('Unknown outbox operation');
+    });
+  });
+
+  describe('processOutbox', () => {
+    it('should write the transaction hash back to the original row', async () => {
+      const entry = mockEntry();
+      DB.OutboxEntry.findAll.mockResolvedValue([entry]);
+      contractsService.recordDatasetUsage.mockResolvedValue({ receipt: { transactionHash: '0xabc' } });
+
+      const summary = await outboxService.processOutbox();
+
+      expect(contractsService.recordDatasetUsage).toHaveBeenCalledWith('42', 'model-1', 'training', 50);
+      expect(usageRow.update).toHaveBeenCalledWith({ transactionHash: '0xabc' });
+      expect(entry.status).toBe('succeeded');
+      expect(summary).toEqual({ processed: 1, succeeded: 1, failed: 0 });
+    });
+
+    it('should back off after a failed attempt', async () => {
+      const entry = mockEntry({ attempts: 1 });
+      DB.OutboxEntry.findAll.mockResolvedValue([entry]);
+      contractsService.recordDatasetUsage.mockRejectedValue(new Error('RPC unavailable'));
+
+      await outboxService.processOutbox();
+
+      expect(entry.status).toBe('pending');
+      expect(entry.attempts).toBe(2);
+      expect(entry.lastError).toBe('RPC unavailable');
+      expect(entry.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + 60 * 1000);
+      expect(usageRow.update).not.toHaveBeenCalled();
+    });
+
+    it('should park an entry as failed once its attempts are exhausted', async () => {
+      const entry = mockEntry({ attempts: 2 });
+      DB.OutboxEntry.findAll.mockResolvedValue([entry]);
+      contractsService.recordDatasetUsage.mockRejectedValue(new Error('reverted'));
+
+      await outboxService.processOutbox();
+
+      expect(entry.status).toBe('failed');
+      expect(entry.nextAttemptAt).toBeNull();
+    });
+
+    it('should reclaim an entry left processing by a run that died', async () => {
+      const entry = mockEntry({ status: 'processing', attempts: 1, updatedAt: new Date(Date.now() - 60 * 60 * 1000) });
+      DB.OutboxEntry.findAll.mockResolvedValue([entry]);
+      contractsService.recordDatasetUsage.mockResolvedValue({ receipt: { transactionHash: '0xabc' } });
+
+      const summary = await outboxService.processOutbox();
+
+      const { where } = DB.OutboxEntry.update.mock.calls[0][1];
+      const [, stale] = where[Op.or];
+      expect(stale.status).toBe('processing');
+      expect(stale.updatedAt[Op.lte].getTime()).toBeLessThan(Date.now() - 10 * 60 * 1000);
+      expect(entry.status).toBe('succeeded');
+      expect(entry.attempts).toBe(2);
+      expect(summary.succeeded).toBe(1);
+    });
+
+    it('should skip entries claimed by another run', async () => {
+      DB.OutboxEntry.findAll.mockResolvedValue([mockEntry()]);
+      DB.OutboxEntry.update.mockResolvedValue([0]);
+
+      const summary = await outboxService.processOutbox();
+
+      expect(summary.processed).toBe(0);
+      expect(contractsService.recordDatasetUsage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('admin actions', () => {
+    it('should retry an exhausted entry on demand', async () => {
+      const entry = mockEntry({ status: 'failed', attempts: 3 });
+      DB.OutboxEntry.findByPk.mockResolvedValue(entry);
+      contractsService.recordDatasetUsage.mockResolvedValue({ receipt: { transactionHash: '0xdef' } });
+
+      const result = await outboxService.retryEntry('entry-1');
+
+      expect(result.status).toBe('succeeded');
+      expect(result.attempts).toBe(4);
+      expect(result.transactionHash).toBe('0xdef');
+      expect(entry.update).toHaveBeenCalledWith(expect.objectContaining({ attempts: 4, maxAttempts: 4 }));
+    });
+
+    it('should save the extra attempt a failed manual retry was granted', async () => {
+      const entry = mockEntry({ status: 'failed', attempts: 3 });
+      DB.OutboxEntry.findByPk.mockResolvedValue(entry);
+      contractsService.recordDatasetUsage.mockRejectedValue(new Error('reverted'));
+
+      const result = await outboxService.retryEntry('entry-1');
+
+      expect(result.status).toBe('failed');
+      expect(entry.update).toHaveBeenCalledWith(expect.objectContaining({ attempts: 4, maxAttempts: 4 }));
+    });
+
+    it('should only retry or abandon a processing entry once it is stale', async () => {
+      DB.OutboxEntry.findByPk.mockResolvedValue(mockEntry({ status: 'processing', updatedAt: new Date() }));
+
+      await expect(outboxService.retryEntry('entry-1'))
+        .rejects.toThrow('Cannot retry an outbox entry that is processing');
+      await expect(outboxService.abandonEntry('entry-1', { abandonedBy: '0xadmin' }))
+        .rejects.toThrow('Cannot abandon an outbox entry that is processing');
+
+      const entry = mockEntry({ status: 'processing', updatedAt: new Date(Date.now() - 60 * 60 * 1000) });
+      DB.OutboxEntry.findByPk.mockResolvedValue(entry);
+
+      const result = await outboxService.abandonEntry('entry-1', { abandonedBy: '0xadmin', reason: 'Sent by hand' });
+
+      expect(result.status).toBe('abandoned');
+    });
+
+    it('should abandon a pending entry', async () => {
+      const entry = mockEntry();
+      DB.OutboxEntry.findByPk.mockResolvedValue(entry);
+
+      const result = await outboxService.abandonEntry('entry-1', {
+        abandonedBy: '0xadmin',
+        reason: 'Dataset withdrawn'
+      });
+
+      expect(result.status).toBe('abandoned');
+      expect(result.abandonedBy).toBe('0xadmin');
+    });
+
+    it('should refuse to abandon a succeeded entry', async () => {
+      DB.OutboxEntry.findByPk.mockResolvedValue(mockEntry({ status: 'succeeded' }));
+
+      await expect(outboxService.abandonEntry('entry-1', { abandonedBy: '0xadmin' }))
+        .rejects.toThrow('Cannot abandon an outbox entry that is succeeded');
+    });
+  });
+});
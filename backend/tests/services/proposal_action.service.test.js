@@ -0,0 +1,58 @@
+/**
+ * Proposal action service test
+ */
+
+// Mock the required dependencies
+jest.mock('../../src/services/contracts.service', () => ({
+  getContract: jest.fn(),
+  transferFunds: jest.fn()
+}));
+
+const proposalActionService = require('../../src/services/proposal_action.service');
+
+describe('Proposal Action Service', () => {
+  describe('validateActions', () => {
+    it('should normalize addresses and amounts', () => {
+      const actions = proposalActionService.validateActions([
+        { type: 'updateContractAddress', params: { component: 'marketplace', contractAddress: '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd' } },
+        { type: 'allocateTreasuryFunds', params: { recipient: '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd', amount: 1000, purpose: 'Audit' } }
+      ]);
+
+      expect(actions[0].params.contractAddress).toBe('0xABcdEFABcdEFabcdEfAbCdefabcdeFABcDEFabCD');
+      expect(actions[1].params).toEqual({
+        recipient: '0xABcdEFABcdEFabcdEfAbCdefabcdeFABcDEFabCD',
+        amount: '1000',
+        purpose: 'Audit'
+      });
+    });
+
+    it('should report every problem at once', () => {
+      expect(() => proposalActionService.validateActions([
+        { type: 'mintTokens', params: {} },
+        { type: 'addVerifier', params: { verifier: '0x0000000000000000000000000000000000000000', extra: true } },
+        { type: 'updateContractAddress', params: { component: 'treasury' } }
+      ])).toThrow(
+        'Invalid proposal actions: action 0 has unknown type mintTokens; ' +
+        'action 1 (addVerifier) has unknown parameter extra; ' +
+        'action 1 (addVerifier) verifier must not be the zero address; ' +
+        'action 2 (updateContractAddress) component must be one of datasetRegistry, attributionManager, marketplace, dataDAO, filecoinDeal; ' +
+        'action 2 (updateContractAddress) is missing contractAddress'
+      );
+    });
+  });
+
+  describe('getActionCall', () => {
+    it('should encode a platform fee change for the chosen contract', () => {
+      const call = proposalActionService.getActionCall({
+        type: 'setPlatformFee',
+        params: { contract: 'RoyaltyDistributor', feePercentage: 150 }
+      });
+
+      expect(call).toEqual({
+        contractName: 'RoyaltyDistributor',
+        method: 'setPlatformFeePercentage',
+        args: [150]
+      });
+    });
+  });
+});
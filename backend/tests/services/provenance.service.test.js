@@ -0,0 +1,365 @@
+/**
+ * Provenance service test
+ */
+const { generateMockDataset } = require('../utils/test-helpers');
+
+// Mock the required dependencies
+jest.mock('../../src/services/contracts.service', () => ({
+  getContract: jest.fn()
+}));
+jest.mock('../../src/services/ipfs.service', () => ({
+  uploadMetadata: jest.fn(),
+  getMetadata: jest.fn(),
+  checkContentExists: jest.fn()
+}));
+jest.mock('../../src/models', () => ({
+  sequelize: { transaction: jest.fn() },
+  Dataset: { findByPk: jest.fn(), findAll: jest.fn() },
+  DatasetLineage: { findAll: jest.fn(), bulkCreate: jest.fn() },
+  ProvenanceRecord: { create: jest.fn(), findOne: jest.fn(), findAll: jest.fn() }
+}));
+
+const DB = require('../../src/models');
+const contractsService = require('../../src/services/contracts.service');
+const ipfsService = require('../../src/services/ipfs.service');
+const cryptoUtils = require('../../src/utils/crypto');
+const provenanceService = require('../../src/services/provenance.service');
+
+/**
+ * Make DatasetLineage.findAll answer from an in-memory list of links
+ * @param {Array<Object>} links - Lineage links
+ */
+const useLinks = (links) => {
+  DB.DatasetLineage.findAll.mockImplementation(async ({ where }) => {
+    const [key, ids] = Object.entries(where)[0];
+    return links.filter(link => ids.includes(link[key]));
+  });
+};
+
+const link = (id, parentDatasetId, childDatasetId) => ({
+  id,
+  parentDatasetId,
+  childDatasetId,
+  relationType: 'derivation'
+});
+
+describe('Provenance Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Transactions run one at a time, as the dataset row lock makes them for one dataset
+    let queue = Promise.resolve();
+    DB.sequelize.transaction.mockImplementation((work) => {
+      const run = queue.then(() => work({ LOCK: { UPDATE: 'UPDATE' } }));
+      queue = run.catch(() => {});
+      return run;
+    });
+    DB.Dataset.findByPk.mockImplementation(async (id) => generateMockDataset({ id }));
+    DB.Dataset.findAll.mockImplementation(async ({ where }) =>
+      where.id.map(id => generateMockDataset({ id, name: id }))
+    );
+  });
+
+  describe('getDatasetLineage', () => {
+    it('should merge the upstream tree of a dataset derived from three sources', async () => {
+      useLinks([
+        link('l1', 'a', 'd'),
+        link('l2', 'b', 'd'),
+        link('l3', 'c', 'd'),
+        link('l4', 'd', 'model'),
+        link('l5', 'root', 'a')
+      ]);
+
+      const result = await provenanceService.getDatasetLineage('model', { direction: 'ancestors' });
+
+      expect(result.nodes.map(n => n.data.id).sort()).toEqual(['a', 'b', 'c', 'd', 'model', 'root']);
+      expect(result.edges).toHaveLength(5);
+      expect(result.nodes.find(n => n.data.id === 'root').data.generation).toBe(-3);
+      expect(result.hasCycles).toBe(false);
+      expect(result.truncated).toBe(false);
+    });
+
+    it('should stop at the requested depth and report truncation', async () => {
+      useLinks([
+        link('l1', 'a', 'b'),
+        link('l2', 'b', 'c')
+      ]);
+
+      const result = await provenanceService.getDatasetLineage('a', { depth: 1, direction: 'descendants' });
+
+      expect(result.nodes.map(n => n.data.id).sort()).toEqual(['a', 'b']);
+      expect(result.truncated).toBe(true);
+    });
+
+    it('should detect cycles instead of looping forever', async () => {
+      useLinks([
+        link('l1', 'a', 'b'),
+        link('l2', 'b', 'c'),
+        link('l3', 'c', 'a')
+      ]);
+
+      const result = await provenanceService.getDatasetLineage('a');
+
+      expect(result.hasCycles).toBe(true);
+      expect(result.cycles).toHaveLength(1);
+      expect(result.cycles[0].sort()).toEqual(['a', 'b', 'c']);
+    });
+  });
+
+  describe('addProvenanceRecord', () => {
+    it('should reject parent links that would create a cycle', async () => {
+      useLinks([link('l1', 'child', 'grandchild')]);
+
+      await expect(provenanceService.addProvenanceRecord({
+        datasetId: 'child',
+        actionType: 'derivation',
+        performedBy: '0xabc',
+        description: 'Derived',
+        parentDatasetIds: ['grandchild']
+      })).rejects.toThrow('Lineage cycle detected');
+
+      expect(DB.ProvenanceRecord.create).not.toHaveBeenCalled();
+    });
+
+    it('should only accept parent datasets on derivation records', async () => {
+      await expect(provenanceService.addProvenanceRecord({
+        datasetId: 'child',
+        actionType: 'usage',
+        performedBy: '0xabc',
+        description: 'Used',
+        parentDatasetIds: ['parent']
+      })).rejects.toThrow('Parent datasets can only be linked by a derivation record');
+    });
+  });
+
+  describe('hash chain', () => {
+    let rows;
+    let ipfs;
+
+    /**
+     * Append records through the service, capturing the rows and IPFS copies it writes
+     * @param {number} count - Number of records to append
+     */
+    const appendRecords = async (count) => {
+      for (let i = 0; i < count; i++) {
+        await provenanceService.addProvenanceRecord({
+          datasetId: 'dataset-1',
+          actionType: 'modification',
+          performedBy: '0xabc',
+          description: `Change ${i}`,
+          metadata: { step: i }
+        });
+      }
+    };
+
+    beforeEach(() => {
+      rows = [];
+      ipfs = {};
+      let cidCounter = 0;
+
+      ipfsService.uploadMetadata.mockImplementation(async (doc) => {
+        const cid = `cid-${cidCounter++}`;
+        ipfs[cid] = JSON.parse(JSON.stringify(doc));
+        return cid;
+      });
+      ipfsService.getMetadata.mockImplementation(async (cid) => JSON.parse(JSON.stringify(ipfs[cid])));
+      contractsService.getContract.mockReturnValue({
+        addProvenanceRecord: jest.fn().mockResolvedValue({ receipt: { transactionHash: '0xtx' } }),
+        getProvenanceRecords: jest.fn(async () => rows.map(row => ({ metadataURI: row.ipfsCid })))
+      });
+      DB.ProvenanceRecord.findOne.mockImplementation(async () => rows[rows.length - 1] || null);
+      DB.ProvenanceRecord.create.mockImplementation(async (row) => {
+        // Rows are unique per dataset and sequence, like the database index
+        if (rows.some(existing => existing.datasetId === row.datasetId && existing.sequence === row.sequence)) {
+          throw new Error('Validation error: duplicate datasetId and sequence');
+        }
+        rows.push({ ...row });
+        return { ...row, update: jest.fn() };
+      });
+      DB.ProvenanceRecord.findAll.mockImplementation(async () => rows);
+    });
+
+    it('should link each record to the hash of the previous one', async () => {
+      await appendRecords(3);
+
+      expect(rows.map(row => row.sequence)).toEqual([0, 1, 2]);
+      expect(rows[0].previousHash).toBeNull();
+      expect(rows[1].previousHash).toBe(rows[0].contentHash);
+      expect(rows[2].previousHash).toBe(rows[1].contentHash);
+      expect(ipfs[rows[2].ipfsCid].contentHash).toBe(rows[2].contentHash);
+    });
+
+    it('should give concurrent records consecutive sequences before sending them on-chain', async () => {
+      // IPFS answers out of order, so the second record's upload finishes first
+      let delay = 30;
+      const upload = ipfsService.uploadMetadata.getMockImplementation();
+      ipfsService.uploadMetadata.mockImplementation(async (doc) => {
+        await new Promise(resolve => setTimeout(resolve, delay -= 20));
+        return upload(doc);
+      });
+      const contract = contractsService.getContract();
+
+      const results = await Promise.all(['First', 'Second'].map(description =>
+        provenanceService.addProvenanceRecord({
+          datasetId: 'dataset-1',
+          actionType: 'usage',
+          performedBy: '0xabc',
+          description
+        })));
+
+      expect(results.map(result => result.sequence).sort()).toEqual([0, 1]);
+      expect(rows[1].previousHash).toBe(rows[0].contentHash);
+      expect(contract.addProvenanceRecord).toHaveBeenCalledTimes(2);
+    });
+
+    it('should verify an untouched chain', async () => {
+      await appendRecords(3);
+
+      const result = await provenanceService.verifyProvenanceChain('dataset-1');
+
+      expect(result.verified).toBe(true);
+      expect(result.alteredRecords).toEqual([]);
+      expect(result.headHash).toBe(rows[2].contentHash);
+    });
+
+    it('should pinpoint a record whose content was edited', async () => {
+      await appendRecords(3);
+      rows[1].description = 'Rewritten history';
+
+      const result = await provenanceService.verifyProvenanceChain('dataset-1');
+
+      expect(result.verified).toBe(false);
+      expect(result.chainIntegrity).toBe(false);
+      expect(result.failedRecords).toEqual([rows[1].id]);
+      expect(result.firstAlteredRecord.sequence).toBe(1);
+      expect(result.firstAlteredRecord.issues.map(issue => issue.type))
+        .toEqual(['content_modified', 'ipfs_mismatch']);
+      expect(result.firstAlteredRecord.issues[1].fields).toEqual(['description']);
+    });
+
+    it('should pinpoint a record whose hash was recomputed after an edit', async () => {
+      await appendRecords(3);
+      rows[0].description = 'Rewritten history';
+      rows[0].contentHash = cryptoUtils.sha256('forged');
+
+      const result = await provenanceService.verifyProvenanceChain('dataset-1');
+
+      expect(result.verified).toBe(false);
+      expect(result.failedRecords).toEqual([rows[0].id]);
+      expect(result.firstAlteredRecord.issues.map(issue => issue.type)).toContain('hash_rewritten');
+    });
+
+    it('should report a deleted record as a gap in the sequence', async () => {
+      await appendRecords(3);
+      rows.splice(1, 1);
+
+      const result = await provenanceService.verifyProvenanceChain('dataset-1');
+
+      expect(result.chainIntegrity).toBe(false);
+      expect(result.firstAlteredRecord.sequence).toBe(2);
+      expect(result.firstAlteredRecord.issues[0].type).toBe('record_missing');
+    });
+  });
+
+  describe('PROV export and import', () => {
+    const record = (id, sequence, actionType, performedBy) => ({
+      id,
+      datasetId: 'dataset-1',
+      sequence,
+      actionType,
+      performedBy,
+      description: `${actionType} record`,
+      metadata: { step: sequence },
+      ipfsCid: `cid-${id}`,
+      transactionHash: `0xtx-${id}`,
+      contentHash: `hash-${id}`,
+      previousHash: null,
+      previousRecordId: null,
+      createdAt: new Date(Date.UTC(2024, 0, sequence + 1))
+    });
+
+    beforeEach(() => {
+      DB.Dataset.findByPk.mockResolvedValue(generateMockDataset({
+        id: 'dataset-1',
+        name: 'Weather',
+        creator: '0xcreator'
+      }));
+      DB.ProvenanceRecord.findAll.mockResolvedValue([
+        record('r1', 0, 'creation', '0xcreator'),
+        record('r2', 1, 'usage', '0xbuyer')
+      ]);
+      DB.DatasetLineage.findAll.mockResolvedValue([
+        { parentDatasetId: 'parent-1', relationType: 'subset', provenanceRecordId: 'r1' }
+      ]);
+      DB.Dataset.findAll.mockResolvedValue([generateMockDataset({ id: 'parent-1', name: 'Raw' })]);
+    });
+
+    it('should map datasets, records and wallets to PROV-JSON', async () => {
+      const { document, contentType } = await provenanceService.exportProvenance('dataset-1', 'prov-json');
+
+      expect(contentType).toBe('application/json');
+      expect(Object.keys(document.entity).sort()).toEqual(['dpc:dataset-dataset-1', 'dpc:dataset-parent-1']);
+      expect(Object.keys(document.agent).sort()).toEqual(['dpc:agent-0xbuyer', 'dpc:agent-0xcreator']);
+      expect(document.activity['dpc:record-r1']['dpc:ipfsCid']).toBe('cid-r1');
+      expect(document.activity['dpc:record-r2']['dpc:transactionHash']).toBe('0xtx-r2');
+      expect(Object.values(document.wasGeneratedBy)[0]['prov:activity']).toBe('dpc:record-r1');
+      expect(Object.values(document.used)[0]['prov:activity']).toBe('dpc:record-r2');
+      expect(Object.values(document.wasDerivedFrom)[0]).toEqual(expect.objectContaining({
+        'prov:generatedEntity': 'dpc:dataset-dataset-1',
+        'prov:usedEntity': 'dpc:dataset-parent-1',
+        'dpc:relationType': 'subset'
+      }));
+    });
+
+    it('should serialize PROV-O as Turtle', async () => {
+      const { document, contentType } = await provenanceService.exportProvenance('dataset-1', 'turtle');
+
+      expect(contentType).toBe('text/turtle');
+      expect(document).toContain('@prefix prov: <http://www.w3.org/ns/prov#> .');
+      expect(document).toMatch(/dpc:record-r2\n\s+a prov:Activity, dpc:usage ;/);
+      expect(document).toContain('prov:used dpc:dataset-dataset-1');
+      expect(document).toContain('prov:startedAtTime "2024-01-02T00:00:00.000Z"^^xsd:dateTime');
+    });
+
+    it('should import PROV-O JSON-LD activities as chained records', async () => {
+      const { document } = await provenanceService.exportProvenance('dataset-1', 'jsonld');
+      DB.ProvenanceRecord.findAll.mockResolvedValue([]);
+      DB.ProvenanceRecord.findOne.mockResolvedValue(null);
+      DB.ProvenanceRecord.create.mockImplementation(async (row) => ({ ...row, update: jest.fn() }));
+      ipfsService.uploadMetadata.mockResolvedValue('cid-imported');
+      contractsService.getContract.mockReturnValue({
+        addProvenanceRecord: jest.fn().mockResolvedValue({ receipt: { transactionHash: '0xtx' } })
+      });
+
+      const result = await provenanceService.importProvenance('dataset-1', document, {
+        format: 'jsonld',
+        importedBy: '0ximporter'
+      });
+
+      expect(result.imported).toBe(2);
+      expect(result.records.map(r => r.actionType)).toEqual(['creation', 'usage']);
+      expect(result.records[1].performedBy).toBe('0ximporter');
+      expect(result.records[1].metadata.step).toBe(1);
+      expect(result.records[1].metadata.imported.agents).toEqual(['dpc:agent-0xbuyer']);
+    });
+
+    it('should skip activities that are already records of the dataset', async () => {
+      const { document } = await provenanceService.exportProvenance('dataset-1', 'prov-json');
+      DB.ProvenanceRecord.findAll.mockResolvedValue([{ id: 'r1' }, { id: 'r2' }]);
+
+      const result = await provenanceService.importProvenance('dataset-1', document, {
+        importedBy: '0ximporter'
+      });
+
+      expect(result.imported).toBe(0);
+      expect(result.skipped).toHaveLength(2);
+      expect(DB.ProvenanceRecord.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject documents without activities', async () => {
+      await expect(provenanceService.importProvenance('dataset-1', { entity: {} }, {
+        importedBy: '0ximporter'
+      })).rejects.toThrow('Invalid provenance document');
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Renewal service test
+ */
+
+// Mock the required dependencies
+jest.mock('../../src/services/filecoin.service', () => ({
+  createStorageDeal: jest.fn(),
+  findStorageProviders: jest.fn(),
+  getCurrentEpoch: jest.fn()
+}));
+jest.mock('../../src/services/provenance.service', () => ({
+  addProvenanceRecord: jest.fn()
+}));
+jest.mock('../../src/services/notification.service', () => ({
+  notify: jest.fn()
+}));
+jest.mock('../../src/models', () => {
+  const { Op } = require('sequelize');
+  return {
+    Sequelize: { Op },
+    Dataset: { findByPk: jest.fn() },
+    FilecoinDeal: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+    DealRenewal: { findOne: jest.fn(), findByPk: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+    DealRenewalPolicy: { findOne: jest.fn(), create: jest.fn() }
+  };
+});
+
+const DB = require('../../src/models');
+const filecoinService = require('../../src/services/filecoin.service');
+const provenanceService = require('../../src/services/provenance.service');
+const notificationService = require('../../src/services/notification.service');
+const { mockRow } = require('../utils/test-helpers');
+const renewalService = require('../../src/services/renewal.service');
+
+describe('Renewal Service', () => {
+  const CURRENT_EPOCH = 1000000;
+  const GIB = 1024 * 1024 * 1024;
+  
+  let dataset;
+  let deals;
+  let renewals;
+  let policy;
+  
+  const deal = (dealId, miner, extra = {}) => mockRow({
+    dealId,
+    datasetId: 'dataset-1',
+    miner,
+    region: 'eu-west',
+    status: 'active',
+    pieceCid: 'baga-piece',
+    pieceSize: GIB,
+    endEpoch: CURRENT_EPOCH + 10 * 2880,
+    ...extra
+  });
+  
+  const outcomes = () => provenanceService.addProvenanceRecord.mock.calls.map(([record]) => record.metadata.outcome);
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    dataset = mockRow({ id: 'dataset-1', name: 'Weather', cid: 'bafydata', fileSize: 1000, creator: '0xCreator' });
+    deals = [deal('d1', 'f01')];
+    renewals = [];
+    policy = mockRow({
+      datasetId: 'dataset-1',
+      mode: 'auto',
+      renewalDuration: 518400,
+      lookaheadDays: 30,
+      maxEpochPrice: null,
+      budget: null,
+      spent: '0',
+      updatedAt: new Date(0)
+    });
+    
+    DB.Dataset.findByPk.mockImplementation(async () => dataset);
+    DB.DealRenewalPolicy.findOne.mockImplementation(async () => policy);
+    DB.FilecoinDeal.findAll.mockImplementation(async () => deals.slice());
+    DB.FilecoinDeal.findOne.mockImplementation(async ({ where }) => (
+      deals.find(candidate => Object.entries(where).every(([key, value]) => candidate[key] === value)) || null
+    ));
+    DB.FilecoinDeal.create.mockImplementation(async (fields) => {
+      const created = mockRow(fields);
+      deals.push(created);
+      return created;
+    });
+    DB.DealRenewal.findOne.mockImplementation(async ({ where }) => (
+      renewals.find(renewal => renewal.dealId === where.dealId) || null
+    ));
+    DB.DealRenewal.findByPk.mockImplementation(async (id) => renewals.find(renewal => renewal.id === id) || null);
+    DB.DealRenewal.create.mockImplementation(async (fields) => {
+      const created = mockRow({ id: `r${renewals.length + 1}`, attempts: 0, ...fields, updatedAt: new Date() });
+      renewals.push(created);
+      return created;
+    });
+    
+    filecoinService.getCurrentEpoch.mockResolvedValue(CURRENT_EPOCH);
+    filecoinService.findStorageProviders.mockResolvedValue([
+      { id: 'f01', location: 'eu-west', askPrice: '100' },
+      { id: 'f02', location: 'us-east', askPrice: '50' },
+      { id: 'f03', location: 'ap-south', askPrice: '20' }
+    ]);
+    filecoinService.createStorageDeal.mockImplementation(async ({ minerId, startEpoch, duration, pieceCid, pieceSize }) => ({
+      dealId: 'd9',
+      provider: minerId,
+      pieceCid,
+      pieceSize,
+      startEpoch,
+      endEpoch: startEpoch + duration,
+      duration,
+      price: '0',
+      transactionHash: '0xtx'
+    }));
+  });
+  
+  it('should renew an expiring deal with its provider in auto mode', async () => {
+    const summary = await renewalService.processRenewals();
+    
+    expect(filecoinService.createStorageDeal).toHaveBeenCalledWith(expect.objectContaining({
+      cid: 'bafydata',
+      pieceCid: 'baga-piece',
+      minerId: 'f01',
+      startEpoch: deals[0].endEpoch,
+      duration: 518400
+    }));
+    expect(deals[1]).toEqual(expect.objectContaining({ dealId: 'd9', replacesDealId: 'd1', region: 'eu-west' }));
+    expect(renewals[0]).toEqual(expect.objectContaining({
+      action: 'renew',
+      status: 'completed',
+      newDealId: 'd9',
+      estimatedCost: String(100 * 518400)
+    }));
+    expect(policy.spent).toBe(String(100 * 518400));
+    expect(outcomes()).toEqual(['completed']);
+    expect(summary).toEqual(expect.objectContaining({ due: 1, completed: 1 }));
+  });
+  
+  it('should re-deal with the cheapest unused provider when the current ask is over the limit', async () => {
+    policy.maxEpochPrice = '60';
+    deals.push(deal('d2', 'f03', { endEpoch: CURRENT_EPOCH + 400 * 2880 }));
+    
+    await renewalService.processRenewals();
+    
+    expect(filecoinService.createStorageDeal).toHaveBeenCalledTimes(1);
+    expect(renewals[0]).toEqual(expect.objectContaining({ action: 'redeal', provider: 'f02', status: 'completed' }));
+  });
+  
+  it('should wait for the owner in approval mode and renew once approved', async () => {
+    policy.mode = 'approval';
+    
+    const summary = await renewalService.processRenewals();
+    
+    expect(summary.requested).toBe(1);
+    expect(filecoinService.createStorageDeal).not.toHaveBeenCalled();
+    expect(renewals[0].status).toBe('pending_approval');
+    expect(notificationService.notify).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: '0xCreator',
+      type: 'deal_renewal',
+      data: expect.objectContaining({ renewalId: 'r1', dealId: 'd1' })
+    }));
+    
+    // Pending renewals are not planned again
+    await renewalService.processRenewals();
+    expect(renewals).toHaveLength(1);
+    
+    await expect(renewalService.approveRenewal('r1', '0xsomeoneelse'))
+      .rejects.toThrow('Only the dataset owner can decide on a renewal');
+    
+    const renewal = await renewalService.approveRenewal('r1', '0xcreator');
+    
+    expect(renewal).toEqual(expect.objectContaining({ status: 'completed', decidedBy: '0xcreator', newDealId: 'd9' }));
+    expect(outcomes()).toEqual(['requested', 'completed']);
+    await expect(renewalService.rejectRenewal('r1', '0xcreator'))
+      .rejects.toThrow('Renewal is not awaiting approval');
+  });
+  
+  it('should not approve a renewal whose deal no longer exists', async () => {
+    policy.mode = 'approval';
+    await renewalService.processRenewals();
+    deals.length = 0;
+    
+    await expect(renewalService.approveRenewal('r1', '0xcreator'))
+      .rejects.toThrow('Deal d1 being renewed no longer exists');
+    
+    expect(filecoinService.createStorageDeal).not.toHaveBeenCalled();
+    expect(renewals[0]).toEqual(expect.objectContaining({
+      status: 'skipped',
+      reason: 'The deal being renewed no longer exists'
+    }));
+    expect(outcomes()).toEqual(['requested', 'skipped']);
+  });
+  
+  it('should skip a renewal over budget and record why', async () => {
+    policy.budget = '1000';
+    
+    const summary = await renewalService.processRenewals();
+    
+    expect(summary.skipped).toBe(1);
+    expect(filecoinService.createStorageDeal).not.toHaveBeenCalled();
+    expect(renewals[0]).toEqual(expect.objectContaining({
+      status: 'skipped',
+      reason: 'Renewal would exceed the storage budget'
+    }));
+    expect(outcomes()).toEqual(['skipped']);
+  });
+  
+  it('should retry failed renewals a limited number of times', async () => {
+    filecoinService.createStorageDeal.mockRejectedValue(new Error('provider offline'));
+    
+    for (let run = 0; run < 4; run++) {
+      await renewalService.processRenewals();
+    }
+    
+    expect(filecoinService.createStorageDeal).toHaveBeenCalledTimes(3);
+    expect(renewals[0]).toEqual(expect.objectContaining({ status: 'failed', attempts: 3, reason: 'provider offline' }));
+    expect(outcomes()).toEqual(['failed', 'failed', 'failed']);
+  });
+  
+  it('should leave deals alone outside the lookahead or when renewal is off', async () => {
+    deals[0].endEpoch = CURRENT_EPOCH + 40 * 2880;
+    await renewalService.processRenewals();
+    
+    policy.mode = 'off';
+    deals[0].endEpoch = CURRENT_EPOCH + 2880;
+    await renewalService.processRenewals();
+    
+    expect(DB.DealRenewal.create).not.toHaveBeenCalled();
+    expect(filecoinService.createStorageDeal).not.toHaveBeenCalled();
+  });
+  
+  it('should validate renewal policy changes', async () => {
+    await expect(renewalService.setRenewalPolicy('dataset-1', { mode: 'sometimes' }, '0xcreator'))
+      .rejects.toThrow('Invalid renewal mode');
+    await expect(renewalService.setRenewalPolicy('dataset-1', { renewalDuration: 100 }, '0xcreator'))
+      .rejects.toThrow('Invalid renewal duration');
+    await expect(renewalService.setRenewalPolicy('dataset-1', { budget: '-5' }, '0xcreator'))
+      .rejects.toThrow('Invalid budget');
+    await expect(renewalService.setRenewalPolicy('dataset-1', { mode: 'off' }, '0xsomeoneelse'))
+      .rejects.toThrow('Only the dataset owner can manage deal renewals');
+    
+    const updated = await renewalService.setRenewalPolicy('dataset-1', { mode: 'approval', budget: '5000' }, '0xcreator');
+    
+    expect(updated).toEqual(expect.objectContaining({ mode: 'approval', budget: '5000', remainingBudget: '5000' }));
+  });
+});
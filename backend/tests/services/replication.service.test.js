@@ -0,0 +1,180 @@
+/**
+ * Replication service test
+ */
+
+// Mock the required dependencies
+jest.mock('../../src/services/filecoin.service', () => ({
+  createStorageDeal: jest.fn(),
+  checkDealStatus: jest.fn(),
+  findStorageProviders: jest.fn()
+}));
+jest.mock('../../src/services/provenance.service', () => ({
+  addProvenanceRecord: jest.fn()
+}));
+jest.mock('../../src/models', () => {
+  const { Op } = require('sequelize');
+  return {
+    Sequelize: { Op },
+    Dataset: { findByPk: jest.fn(), findAll: jest.fn() },
+    FilecoinDeal: { findAll: jest.fn(), create: jest.fn() }
+  };
+});
+
+const DB = require('../../src/models');
+const filecoinService = require('../../src/services/filecoin.service');
+const provenanceService = require('../../src/services/provenance.service');
+const { mockRow } = require('../utils/test-helpers');
+const replicationService = require('../../src/services/replication.service');
+
+describe('Replication Service', () => {
+  let dataset;
+  let deals;
+  
+  const deal = (dealId, miner, region, status, extra = {}) => mockRow({
+    dealId,
+    datasetId: 'dataset-1',
+    miner,
+    region,
+    status,
+    pieceCid: 'baga-piece',
+    pieceSize: 1048576,
+    createdAt: new Date(),
+    ...extra
+  });
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    dataset = mockRow({
+      id: 'dataset-1',
+      cid: 'bafydata',
+      fileSize: 1000,
+      creator: '0xCreator',
+      replicationTarget: 3,
+      dealId: 'd1',
+      dealConfirmed: true,
+      createdAt: new Date()
+    });
+    deals = [];
+    
+    DB.Dataset.findByPk.mockImplementation(async () => dataset);
+    DB.FilecoinDeal.findAll.mockImplementation(async () => deals.slice());
+    DB.FilecoinDeal.create.mockImplementation(async (fields) => {
+      const created = mockRow({ ...fields, createdAt: new Date() });
+      deals.push(created);
+      return created;
+    });
+    
+    filecoinService.findStorageProviders.mockResolvedValue([
+      { id: 'f01', location: 'eu-west' },
+      { id: 'f02', location: 'eu-west' },
+      { id: 'f03', location: 'us-east' },
+      { id: 'f04', location: 'ap-south' }
+    ]);
+    
+    let nextDeal = 10;
+    filecoinService.createStorageDeal.mockImplementation(async ({ minerId, pieceCid, pieceSize }) => ({
+      dealId: `d${nextDeal++}`,
+      provider: minerId,
+      pieceCid,
+      pieceSize,
+      dealCid: 'bafydeal',
+      startTime: new Date(),
+      endTime: new Date(Date.now() + 86400000),
+      duration: 518400,
+      price: '0',
+      transactionHash: '0xtx'
+    }));
+  });
+  
+  it('should top up replicas on unused providers, preferring new regions', async () => {
+    deals = [deal('d1', 'f01', 'eu-west', 'active')];
+    
+    const health = await replicationService.ensureReplicas('dataset-1');
+    
+    const miners = filecoinService.createStorageDeal.mock.calls.map(([params]) => params.minerId);
+    expect(miners).toEqual(['f03', 'f04']);
+    expect(filecoinService.createStorageDeal).toHaveBeenCalledWith(expect.objectContaining({
+      cid: 'bafydata',
+      pieceCid: 'baga-piece',
+      pieceSize: 1048576
+    }));
+    
+    expect(health).toEqual(expect.objectContaining({
+      target: 3,
+      active: 1,
+      pending: 2,
+      health: 'replicating',
+      regions: ['eu-west', 'us-east', 'ap-south']
+    }));
+  });
+  
+  it('should replace a failed replica and link the replacement', async () => {
+    deals = [
+      deal('d1', 'f01', 'eu-west', 'active'),
+      deal('d2', 'f03', 'us-east', 'proposed'),
+      deal('d3', 'f04', 'ap-south', 'active')
+    ];
+    filecoinService.checkDealStatus.mockImplementation(async (dealId) => (
+      dealId === 'd2'
+        ? { status: 'StorageDealError', active: false, message: 'transfer failed' }
+        : { status: 'StorageDealActive', active: true }
+    ));
+    
+    const health = await replicationService.checkReplicas('dataset-1');
+    
+    expect(deals[1].status).toBe('error');
+    expect(deals[1].failureReason).toBe('transfer failed');
+    expect(provenanceService.addProvenanceRecord).toHaveBeenCalledWith(
+      expect.objectContaining({ actionType: 'storage_failed' })
+    );
+    
+    // Only the unused provider is left
+    expect(filecoinService.createStorageDeal).toHaveBeenCalledTimes(1);
+    expect(filecoinService.createStorageDeal.mock.calls[0][0].minerId).toBe('f02');
+    expect(deals[3]).toEqual(expect.objectContaining({ miner: 'f02', replacesDealId: 'd2', status: 'proposed' }));
+    expect(health).toEqual(expect.objectContaining({ active: 2, pending: 1, failed: 1, health: 'replicating' }));
+  });
+  
+  it('should mark replicas past their end time as expired', async () => {
+    dataset.replicationTarget = 1;
+    deals = [deal('d1', 'f01', 'eu-west', 'active', { endTime: new Date(Date.now() - 1000) })];
+    filecoinService.checkDealStatus.mockResolvedValue({ status: 'StorageDealActive', active: true });
+    
+    const health = await replicationService.checkReplicas('dataset-1');
+    
+    expect(deals[0].status).toBe('expired');
+    expect(deals[1]).toEqual(expect.objectContaining({ replacesDealId: 'd1' }));
+    expect(health.expired).toBe(1);
+  });
+  
+  it('should adopt a dataset deal made before replicas were tracked', async () => {
+    dataset.replicationTarget = 1;
+    filecoinService.checkDealStatus.mockResolvedValue({ provider: 'f01', pieceCid: 'baga-old' });
+    
+    const health = await replicationService.getReplicaHealth('dataset-1');
+    
+    expect(DB.FilecoinDeal.create).toHaveBeenCalledWith(expect.objectContaining({
+      dealId: 'd1',
+      datasetId: 'dataset-1',
+      miner: 'f01',
+      status: 'active'
+    }));
+    expect(health.health).toBe('healthy');
+  });
+  
+  it('should only let the creator change the replica target', async () => {
+    deals = [deal('d1', 'f01', 'eu-west', 'active')];
+    
+    await expect(replicationService.setReplicationTarget('dataset-1', 2, '0xsomeoneelse'))
+      .rejects.toThrow('Only the dataset creator can change the replica target');
+    await expect(replicationService.setReplicationTarget('dataset-1', 0, '0xcreator'))
+      .rejects.toThrow('Invalid replica target');
+    
+    const health = await replicationService.setReplicationTarget('dataset-1', 2, '0xcreator');
+    
+    expect(dataset.replicationTarget).toBe(2);
+    expect(health.target).toBe(2);
+    expect(filecoinService.createStorageDeal).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * Royalty ledger service test
+ */
+
+// Mock the required dependencies
+jest.mock('../../src/services/contracts.service', () => ({
+  getPlatformFeePercentage: jest.fn(),
+  getRoyaltyDistributions: jest.fn(),
+  getTotalDistributed: jest.fn()
+}));
+jest.mock('../../src/models', () => {
+  const { Op } = require('sequelize');
+  return {
+    Sequelize: { Op },
+    sequelize: { transaction: jest.fn() },
+    Dataset: { findByPk: jest.fn() },
+    Contributor: { findAll: jest.fn() },
+    Usage: { findAll: jest.fn() },
+    RoyaltyLedgerEntry: {
+      findOrCreate: jest.fn(),
+      findAll: jest.fn()
+    }
+  };
+});
+
+const DB = require('../../src/models');
+const contractsService = require('../../src/services/contracts.service');
+const royaltyService = require('../../src/services/royalty.service');
+const { mockRow } = require('../utils/test-helpers');
+
+describe('Royalty Service', () => {
+  let ledger;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ledger = [];
+
+    // In-memory ledger honouring the unique source key
+    DB.sequelize.transaction.mockImplementation(async (work) => work({ LOCK: { UPDATE: 'UPDATE' } }));
+    DB.RoyaltyLedgerEntry.findOrCreate.mockImplementation(async ({ where, defaults }) => {
+      const existing = ledger.find(entry =>
+        Object.keys(where).every(key => entry[key] === where[key])
+      );
+      if (existing) {
+        return [existing, false];
+      }
+      ledger.push(defaults);
+      return [defaults, true];
+    });
+    DB.RoyaltyLedgerEntry.findAll.mockImplementation(async ({ where }) =>
+      ledger.filter(entry => Object.keys(where).every(key => {
+        if (key === 'occurredAt') {
+          return true;
+        }
+        return entry[key] === where[key];
+      }))
+    );
+
+    DB.Contributor.findAll.mockResolvedValue([
+      { address: '0xAAA', share: 33.33 },
+      { address: '0xBBB', share: 33.33 },
+      { address: '0xCCC', share: 33.34 }
+    ]);
+    DB.Dataset.findByPk.mockResolvedValue({ id: 'dataset-1', tokenId: '7' });
+    DB.Usage.findAll.mockResolvedValue([]);
+    contractsService.getPlatformFeePercentage.mockResolvedValue(250);
+  });
+
+  describe('recordPurchaseRevenue', () => {
+    const purchase = {
+      id: 'purchase-1',
+      datasetId: 'dataset-1',
+      listingId: 'listing-1',
+      buyer: '0xbuyer',
+      price: '1000000000000000001',
+      platformFee: '25000000000000000',
+      transactionHash: '0xtx',
+      confirmedAt: new Date('2026-03-10T00:01:00Z'),
+      createdAt: new Date('2026-03-10T00:00:00Z')
+    };
+
+    it('should split the price less the platform fee by share without losing a wei', async () => {
+      const result = await royaltyService.recordPurchaseRevenue(purchase);
+
+      expect(result.created).toBe(3);
+      const total = result.entries.reduce((sum, entry) => sum + BigInt(entry.amount), 0n);
+      expect(total).toBe(975000000000000001n);
+      expect(result.entries.map(entry => entry.account)).toEqual(['0xaaa', '0xbbb', '0xccc']);
+      expect(result.entries[2].amount).toBe('325065000000000001');
+      expect(result.entries.every(entry => entry.entryType === 'credit' && entry.source === 'purchase')).toBe(true);
+    });
+
+    it('should read and keep the fee of a purchase recorded without one', async () => {
+      const unpriced = mockRow({ ...purchase, platformFee: null });
+
+      const result = await royaltyService.recordPurchaseRevenue(unpriced);
+
+      // 2.5% of the price, rounded down as the contract does
+      expect(unpriced.update).toHaveBeenCalledWith({ platformFee: '25000000000000000' });
+      const total = result.entries.reduce((sum, entry) => sum + BigInt(entry.amount), 0n);
+      expect(total).toBe(975000000000000001n);
+    });
+
+    it('should not credit the same purchase twice', async () => {
+      await royaltyService.recordPurchaseRevenue(purchase);
+      const result = await royaltyService.recordPurchaseRevenue(purchase);
+
+      expect(result.created).toBe(0);
+      expect(ledger).toHaveLength(3);
+    });
+
+    it('should not credit a purchase before its transaction is confirmed', async () => {
+      await expect(royaltyService.recordPurchaseRevenue({ ...purchase, confirmedAt: null }))
+        .rejects.toThrow('Purchase purchase-1 is not confirmed on chain yet');
+      expect(ledger).toHaveLength(0);
+    });
+
+    it('should reject a non-integer price', async () => {
+      await expect(royaltyService.recordPurchaseRevenue({ ...purchase, price: '1.5' }))
+        .rejects.toThrow('Invalid wei amount: 1.5');
+    });
+  });
+
+  describe('recordPayout', () => {
+    beforeEach(() => {
+      ledger.push({ account: '0xaaa', datasetId: 'dataset-1', entryType: 'credit', amount: '500', source: 'purchase', sourceId: 'p1' });
+    });
+
+    it('should debit the account', async () => {
+      const entry = await royaltyService.recordPayout({
+        account: '0xAAA',
+        amount: '200',
+        datasetId: 'dataset-1',
+        transactionHash: '0xpayout'
+      });
+
+      expect(entry.entryType).toBe('debit');
+      expect(entry.amount).toBe('200');
+      expect(entry.source).toBe('payout');
+    });
+
+    it('should refuse to overdraw the account', async () => {
+      await expect(royaltyService.recordPayout({ account: '0xaaa', amount: '501', datasetId: 'dataset-1' }))
+        .rejects.toThrow('Insufficient royalty balance: 500 wei available');
+    });
+
+    it('should check the balance and debit under a lock so concurrent payouts cannot overdraw', async () => {
+      // Transactions holding the account's lock run one at a time
+      let queue = Promise.resolve();
+      DB.sequelize.transaction.mockImplementation((work) => {
+        const run = queue.then(() => work({ LOCK: { UPDATE: 'UPDATE' } }));
+        queue = run.catch(() => {});
+        return run;
+      });
+
+      const results = await Promise.allSettled(['0xpayout-1', '0xpayout-2'].map(transactionHash =>
+        royaltyService.recordPayout({ account: '0xaaa', amount: '300', datasetId: 'dataset-1', transactionHash })));
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason.message).toBe('Insufficient royalty balance: 200 wei available');
+      expect(DB.RoyaltyLedgerEntry.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { account: '0xaaa' },
+        lock: 'UPDATE'
+      }));
+    });
+  });
+
+  describe('recordModelPayment', () => {
+    it('should split a model payment between the datasets it used by impact, then by share', async () => {
+      DB.Usage.findAll.mockResolvedValue([
+        { id: 'u1', datasetId: 'dataset-1', modelId: 'model-1', impactScore: 60 },
+        { id: 'u2', datasetId: 'dataset-2', modelId: 'model-1', impactScore: 20 },
+        { id: 'u3', datasetId: 'dataset-1', modelId: 'model-1', impactScore: 20 }
+      ]);
+      DB.Contributor.findAll.mockImplementation(async ({ where }) => (where.datasetId === 'dataset-1'
+        ? [{ address: '0xAAA', share: 50 }, { address: '0xBBB', share: 50 }]
+        : [{ address: '0xAAA', share: 100 }]));
+
+      const result = await royaltyService.recordModelPayment({
+        paymentId: '0xpay',
+        modelId: 'model-1',
+        amount: '1000',
+        paymentType: 'eth',
+        paidBy: '0xpayer',
+        period: '2026-03'
+      });
+
+      expect(DB.Usage.findAll.mock.calls[0][0].where.modelId).toBe('model-1');
+      expect(result.datasets).toEqual([
+        { datasetId: 'dataset-1', impactScore: 80, amount: '800' },
+        { datasetId: 'dataset-2', impactScore: 20, amount: '200' }
+      ]);
+      expect(result.entries.map(entry => [entry.datasetId, entry.account, entry.amount])).toEqual([
+        ['dataset-1', '0xaaa', '400'],
+        ['dataset-1', '0xbbb', '400'],
+        ['dataset-2', '0xaaa', '200']
+      ]);
+      expect(result.created).toBe(3);
+    });
+
+    it('should reject a payment for a model with no usage in the period', async () => {
+      await expect(royaltyService.recordModelPayment({
+        paymentId: '0xpay',
+        modelId: 'model-1',
+        amount: '1000',
+        period: '2026-03'
+      })).rejects.toThrow('No usage found for model model-1 in the period');
+    });
+  });
+
+  describe('getStatement', () => {
+    it('should report balances and attribute credits to usage by impact', async () => {
+      ledger.push(
+        { id: 'e1', account: '0xaaa', datasetId: 'dataset-1', entryType: 'credit', amount: '1000', source: 'purchase', sourceId: 'p1' },
+        { id: 'e2', account: '0xaaa', datasetId: 'dataset-1', entryType: 'debit', amount: '400', source: 'payout', sourceId: 'x1' }
+      );
+      DB.RoyaltyLedgerEntry.findAll
+        .mockResolvedValueOnce([{ entryType: 'credit', amount: '250' }])
+        .mockResolvedValueOnce(ledger);
+      DB.Usage.findAll.mockResolvedValue([
+        { id: 'u1', modelId: 'model-a', usageType: 'training', impactScore: 75 },
+        { id: 'u2', modelId: 'model-b', usageType: 'inference', impactScore: 25 }
+      ]);
+
+      const statement = await royaltyService.getStatement('0xAAA', { period: '2026-03' });
+
+      expect(statement.periodStart).toEqual(new Date('2026-03-01T00:00:00Z'));
+      expect(statement.periodEnd).toEqual(new Date('2026-04-01T00:00:00Z'));
+      expect(statement.openingBalance).toBe('250');
+      expect(statement.totalCredits).toBe('1000');
+      expect(statement.totalDebits).toBe('400');
+      expect(statement.closingBalance).toBe('850');
+      expect(statement.usageAttribution).toEqual([{
+        datasetId: 'dataset-1',
+        unattributed: '0',
+        usage: [
+          { usageId: 'u1', modelId: 'model-a', usageType: 'training', impactScore: 75, amount: '750' },
+          { usageId: 'u2', modelId: 'model-b', usageType: 'inference', impactScore: 25, amount: '250' }
+        ]
+      }]);
+    });
+
+    it('should reject a malformed period', async () => {
+      await expect(royaltyService.getStatement('0xaaa', { period: '2026-13' }))
+        .rejects.toThrow('Invalid statement period');
+    });
+  });
+
+  describe('reconcileDataset', () => {
+    it('should credit missing on-chain distributions and reconcile', async () => {
+      contractsService.getTotalDistributed.mockResolvedValue('975');
+      contractsService.getRoyaltyDistributions.mockResolvedValue([{
+        distributionId: '3',
+        totalAmount: '975',
+        recipients: ['0xAAA', '0xBBB'],
+        amounts: ['585', '390'],
+        distributionTime: new Date('2026-03-05T00:00:00Z')
+      }]);
+
+      const result = await royaltyService.reconcileDataset('dataset-1');
+
+      expect(contractsService.getTotalDistributed).toHaveBeenCalledWith('7');
+      expect(result.reconciled).toBe(true);
+      expect(result.repairedDistributions).toBe(1);
+      expect(result.ledgerTotal).toBe('975');
+      expect(ledger.map(entry => entry.amount)).toEqual(['585', '390']);
+    });
+
+    it('should report the difference when the ledger cannot be repaired', async () => {
+      contractsService.getTotalDistributed.mockResolvedValue('1000');
+      contractsService.getRoyaltyDistributions.mockResolvedValue([]);
+
+      const result = await royaltyService.reconcileDataset('dataset-1');
+
+      expect(result.reconciled).toBe(false);
+      expect(result.difference).toBe('1000');
+    });
+
+    it('should reject datasets that are not on chain', async () => {
+      DB.Dataset.findByPk.mockResolvedValue({ id: 'dataset-1', tokenId: null });
+
+      await expect(royaltyService.reconcileDataset('dataset-1'))
+        .rejects.toThrow('not registered on chain');
+    });
+  });
+});
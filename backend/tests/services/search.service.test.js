@@ -0,0 +1,135 @@
+/**
+ * Search service test
+ */
+
+// Mock the required dependencies
+jest.mock('../../src/models', () => {
+  const { Op, QueryTypes } = require('sequelize');
+  return {
+    Sequelize: { Op, QueryTypes },
+    sequelize: { query: jest.fn(), getDialect: jest.fn() },
+    Tag: { findAll: jest.fn() },
+    Contributor: { findAll: jest.fn() }
+  };
+});
+
+const DB = require('../../src/models');
+const searchService = require('../../src/services/search.service');
+
+describe('Search Service', () => {
+  const rows = [
+    { id: 'd1', name: 'Weather', verified: true, rank: '0.6', minPrice: '2000000000000000000', usageCount: '4', sortKey: '0.6' },
+    { id: 'd2', name: 'Weather radar', verified: false, rank: '0.3', minPrice: null, usageCount: '0', sortKey: '0.3' },
+    { id: 'd3', name: 'Old weather', verified: true, rank: '0.1', minPrice: null, usageCount: '1', sortKey: '0.1' }
+  ];
+
+  // Answer the result, count and facet queries by their SQL
+  const answer = (sql) => {
+    if (sql.includes('WITH matches')) {
+      return rows;
+    }
+    if (sql.includes('AS total')) {
+      return [{ total: '3' }];
+    }
+    if (sql.includes('AS mp')) {
+      return [{ value: 'unlisted', count: '2' }, { value: '1-10', count: '1' }];
+    }
+    if (sql.includes('d.verified AS value')) {
+      return [{ value: true, count: '2' }, { value: false, count: '1' }];
+    }
+    if (sql.includes('d."dataType" AS value')) {
+      return [{ value: 'tabular', count: '3' }];
+    }
+    return [];
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    DB.sequelize.getDialect.mockReturnValue('postgres');
+    DB.sequelize.query.mockImplementation(async (sql) => answer(sql));
+    DB.Tag.findAll.mockResolvedValue([{ datasetId: 'd1', name: 'climate' }]);
+    DB.Contributor.findAll.mockResolvedValue([{ datasetId: 'd1', address: '0xaaa', share: 100, name: 'Ann' }]);
+  });
+
+  const resultQuery = () => DB.sequelize.query.mock.calls.find(([sql]) => sql.includes('WITH matches'));
+
+  it('should rank Postgres full-text matches and page with a cursor', async () => {
+    const result = await searchService.searchDatasets({ q: 'weather', limit: 2 });
+
+    const [sql, options] = resultQuery();
+    expect(sql).toContain('websearch_to_tsquery');
+    expect(sql).toContain('ORDER BY "sortKey" DESC');
+    expect(options.replacements).toEqual(expect.objectContaining({ q: 'weather', limit: 3 }));
+
+    expect(result.datasets.map(dataset => dataset.id)).toEqual(['d1', 'd2']);
+    expect(result.datasets[0]).toEqual(expect.objectContaining({
+      relevance: 0.6,
+      minPrice: '2000000000000000000',
+      minPriceInEther: '2.0',
+      usageCount: 4,
+      tags: ['climate']
+    }));
+    expect(result.datasets[1].minPrice).toBeNull();
+    expect(result.pagination.total).toBe(3);
+    expect(result.pagination.sort).toBe('relevance');
+
+    const cursor = JSON.parse(Buffer.from(result.pagination.nextCursor, 'base64url').toString('utf8'));
+    expect(cursor).toEqual({ key: '0.3', id: 'd2' });
+  });
+
+  it('should continue after the cursor', async () => {
+    const nextCursor = Buffer.from(JSON.stringify({ key: '0.3', id: 'd2' })).toString('base64url');
+
+    await searchService.searchDatasets({ q: 'weather', cursor: nextCursor });
+
+    const [sql, options] = resultQuery();
+    expect(sql).toContain('("sortKey" < :cursorKey OR ("sortKey" = :cursorKey AND id < :cursorId))');
+    expect(options.replacements).toEqual(expect.objectContaining({ cursorKey: '0.3', cursorId: 'd2' }));
+  });
+
+  it('should match terms on dialects without full-text search', async () => {
+    DB.sequelize.getDialect.mockReturnValue('sqlite');
+
+    await searchService.searchDatasets({ q: 'Weather 100%' });
+
+    const [sql, options] = resultQuery();
+    expect(sql).not.toContain('tsquery');
+    expect(sql).toContain('group_concat');
+    expect(options.replacements).toEqual(expect.objectContaining({ term0: '%weather%', term1: '%100%' }));
+  });
+
+  it('should return facets that ignore their own filter', async () => {
+    const result = await searchService.searchDatasets({
+      dataType: ['tabular'],
+      priceBand: ['1-10'],
+      verified: true
+    });
+
+    expect(result.facets.dataType).toEqual([{ value: 'tabular', count: 3 }]);
+    expect(result.facets.verified).toEqual([{ value: true, count: 2 }, { value: false, count: 1 }]);
+    expect(result.facets.priceBand).toEqual([{ value: '1-10', count: 1 }, { value: 'unlisted', count: 2 }]);
+
+    const [dataTypeSql, dataTypeOptions] = DB.sequelize.query.mock.calls
+      .find(([sql]) => sql.includes('d."dataType" AS value'));
+    expect(dataTypeSql).not.toContain('d."dataType" IN (:dataType)');
+    expect(dataTypeSql).toContain('d.verified = :verified');
+    expect(dataTypeOptions.replacements.band1Min).toBe('1000000000000000000');
+  });
+
+  it('should sort by recency without a query and by price ascending', async () => {
+    await searchService.searchDatasets({});
+    expect(resultQuery()[0]).toContain('"createdAt" AS "sortKey"');
+
+    DB.sequelize.query.mockClear();
+    const result = await searchService.searchDatasets({ sort: 'price' });
+    expect(resultQuery()[0]).toContain('ORDER BY "sortKey" ASC');
+    expect(result.pagination.order).toBe('asc');
+  });
+
+  it('should reject a malformed cursor or an unknown price band', async () => {
+    await expect(searchService.searchDatasets({ cursor: 'not-a-cursor' }))
+      .rejects.toThrow('Invalid search cursor');
+    await expect(searchService.searchDatasets({ priceBand: ['cheap'] }))
+      .rejects.toThrow('Invalid price band: cheap');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Storage backend test, run offline against the local backend
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const mockStoragePath = path.join(os.tmpdir(), `storage-test-${process.pid}`);
+
+jest.mock('../../src/config/filecoin', () => ({
+  storageBackend: 'local',
+  retrievalFallbackBackends: [],
+  dealBackend: 'local',
+  localStoragePath: mockStoragePath
+}));
+
+const { getStorageBackend, getDealBackend, fetchCar } = require('../../src/services/storage');
+const ipfsService = require('../../src/services/ipfs.service');
+const { packToCar, unpackCar } = require('../../src/utils/car');
+
+describe('Storage backends', () => {
+  let workDir;
+  
+  beforeEach(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-work-'));
+  });
+  
+  afterEach(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+    await fs.promises.rm(mockStoragePath, { recursive: true, force: true });
+  });
+  
+  const packDataset = (content) => packToCar([
+    { path: 'data.bin', content },
+    { path: 'metadata.json', content: Buffer.from(JSON.stringify({ name: 'Test dataset' })) }
+  ], path.join(workDir, 'dataset.car'), { chunkSize: 16 * 1024, wrapWithDirectory: true });
+  
+  it('should select the configured backend and reject unknown ones', () => {
+    expect(getStorageBackend().name).toBe('local');
+    expect(getDealBackend().name).toBe('local');
+    expect(() => getStorageBackend('floppy')).toThrow('Unknown storage backend: floppy');
+  });
+  
+  it('should store a CAR and serve it back by CID', async () => {
+    const content = crypto.randomBytes(100 * 1024);
+    const { rootCid, carSize } = await packDataset(content);
+    const backend = getStorageBackend();
+    
+    const stored = await backend.putCar(path.join(workDir, 'dataset.car'), { name: 'Test dataset' });
+    expect(stored).toEqual({ cid: rootCid, size: carSize });
+    
+    const { carPath, backend: servedBy } = await fetchCar(rootCid);
+    expect(servedBy).toBe('local');
+    
+    const files = await unpackCar(carPath, path.join(workDir, 'out'));
+    await fs.promises.rm(carPath, { force: true });
+    
+    expect(files.map(file => file.path).sort()).toEqual(['data.bin', 'metadata.json']);
+    expect((await fs.promises.readFile(path.join(workDir, 'out', 'data.bin'))).equals(content)).toBe(true);
+  });
+  
+  it('should report status and remove content once unpinned', async () => {
+    const { rootCid } = await packDataset(crypto.randomBytes(1024));
+    const backend = getStorageBackend();
+    await backend.putCar(path.join(workDir, 'dataset.car'));
+    
+    expect(await backend.stat(rootCid)).toMatchObject({ cid: rootCid, available: true, pinned: true });
+    expect(await backend.dealStatus({ cid: rootCid, dealId: '1' })).toMatchObject({ active: true });
+    
+    await backend.unpin(rootCid);
+    
+    expect(await backend.stat(rootCid)).toMatchObject({ available: false, pinned: false });
+    expect(await backend.dealStatus({ cid: rootCid, dealId: '1' })).toBeNull();
+    await expect(backend.pin(rootCid)).rejects.toThrow(`Content not found: ${rootCid}`);
+    await expect(fetchCar(rootCid)).rejects.toThrow('Content not retrievable from any storage backend');
+  });
+  
+  it('should refuse CIDs that are not plain file names', async () => {
+    await expect(getStorageBackend().getCar('../escape')).rejects.toThrow('Invalid CID: ../escape');
+  });
+  
+  it('should round-trip metadata documents through the IPFS service', async () => {
+    const metadata = { name: 'Test dataset', tags: ['a', 'b'] };
+    
+    const cid = await ipfsService.uploadMetadata(metadata);
+    
+    expect(await ipfsService.exists(cid)).toBe(true);
+    expect(await ipfsService.getMetadata(cid)).toEqual(metadata);
+    expect((await ipfsService.retrieveFile(cid)).files).toHaveLength(1);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Upload service test
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const mockUploadDir = path.join(os.tmpdir(), `upload-test-${process.pid}`);
+
+// Mock the required dependencies
+jest.mock('../../src/config/app', () => ({
+  ...jest.requireActual('../../src/config/app'),
+  uploadDir: mockUploadDir,
+  uploadChunkSize: 1024,
+  uploadMaxSize: 1024 * 1024,
+  uploadExpirationHours: 24
+}));
+jest.mock('../../src/services/dataset.service', () => ({
+  createDataset: jest.fn()
+}));
+jest.mock('../../src/models', () => {
+  const { Op } = require('sequelize');
+  return {
+    Sequelize: { Op },
+    Upload: { create: jest.fn(), findByPk: jest.fn(), findAll: jest.fn() }
+  };
+});
+
+const DB = require('../../src/models');
+const datasetService = require('../../src/services/dataset.service');
+const { mockRow } = require('../utils/test-helpers');
+const uploadService = require('../../src/services/upload.service');
+
+describe('Upload Service', () => {
+  const OWNER = '0xUploader';
+  let uploads;
+  
+  const checksumOf = (data) => `sha256 ${crypto.createHash('sha256').update(data).digest('base64')}`;
+  
+  const send = (id, offset, data, checksum = checksumOf(data)) =>
+    uploadService.appendChunk(id, OWNER, { offset, checksum, source: Readable.from([data]) });
+  
+  const start = async (content) => uploadService.createUpload({ fileName: 'data.csv', fileSize: content.length }, OWNER);
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    uploads = new Map();
+    DB.Upload.create.mockImplementation(async (fields) => {
+      const upload = mockRow({ id: crypto.randomUUID(), checksum: null, creationId: null, ...fields });
+      uploads.set(upload.id, upload);
+      return upload;
+    });
+    DB.Upload.findByPk.mockImplementation(async (id) => uploads.get(id) || null);
+    DB.Upload.findAll.mockImplementation(async () => [...uploads.values()]
+      .filter(upload => upload.status === 'uploading' && upload.expiresAt < new Date()));
+    datasetService.createDataset.mockResolvedValue({ id: 'creation-1', status: 'pending' });
+  });
+  
+  afterEach(async () => {
+    await fs.promises.rm(mockUploadDir, { recursive: true, force: true });
+  });
+  
+  it('should assemble chunks sent at the stored offset and start a dataset creation', async () => {
+    const content = crypto.randomBytes(2500);
+    const { id, chunkSize } = await start(content);
+    
+    for (let offset = 0; offset < content.length; offset += chunkSize) {
+      const upload = await send(id, offset, content.subarray(offset, offset + chunkSize));
+      expect(upload.offset).toBe(Math.min(offset + chunkSize, content.length));
+    }
+    
+    const { upload, creation } = await uploadService.completeUpload(id, OWNER, { name: 'Weather', tags: [] });
+    
+    expect(creation.id).toBe('creation-1');
+    expect(upload).toMatchObject({
+      status: 'completed',
+      creationId: 'creation-1',
+      checksum: crypto.createHash('sha256').update(content).digest('hex')
+    });
+    
+    const { file, creator, name } = datasetService.createDataset.mock.calls[0][0];
+    expect({ creator, name }).toEqual({ creator: OWNER, name: 'Weather' });
+    expect((await fs.promises.readFile(file)).equals(content)).toBe(true);
+  });
+  
+  it('should drop a chunk whose checksum does not match and accept it when resent', async () => {
+    const content = crypto.randomBytes(1500);
+    const { id } = await start(content);
+    await send(id, 0, content.subarray(0, 1024));
+    
+    const corrupted = Buffer.from(content.subarray(1024));
+    corrupted[0] ^= 0xff;
+    await expect(send(id, 1024, corrupted, checksumOf(content.subarray(1024))))
+      .rejects.toThrow('Checksum mismatch');
+    expect((await uploadService.getUpload(id, OWNER)).offset).toBe(1024);
+    
+    await send(id, 1024, content.subarray(1024));
+    const { creation } = await uploadService.completeUpload(id, OWNER, { name: 'Weather' });
+    
+    expect(creation.id).toBe('creation-1');
+    const { file } = datasetService.createDataset.mock.calls[0][0];
+    expect((await fs.promises.readFile(file)).equals(content)).toBe(true);
+  });
+  
+  it('should reject chunks at the wrong offset, oversized chunks and early completion', async () => {
+    const content = crypto.randomBytes(3000);
+    const { id } = await start(content);
+    
+    await expect(send(id, 512, content.subarray(512, 1024))).rejects.toThrow('Upload offset mismatch: expected 0');
+    await expect(send(id, 0, content.subarray(0, 2000))).rejects.toThrow('Invalid chunk: larger than 1024 bytes');
+    await expect(uploadService.completeUpload(id, OWNER, { name: 'Weather' }))
+      .rejects.toThrow('Upload is incomplete: 0 of 3000 bytes received');
+    expect(datasetService.createDataset).not.toHaveBeenCalled();
+  });
+  
+  it('should keep an upload completable when the dataset creation cannot start', async () => {
+    const content = crypto.randomBytes(100);
+    const { id } = await start(content);
+    await send(id, 0, content);
+    datasetService.createDataset.mockRejectedValueOnce(new Error('Database unavailable'));
+    
+    await expect(uploadService.completeUpload(id, OWNER, { name: 'Weather' })).rejects.toThrow('Database unavailable');
+    expect((await uploadService.getUpload(id, OWNER)).status).toBe('uploading');
+    
+    const { upload } = await uploadService.completeUpload(id, OWNER, { name: 'Weather' });
+    expect(upload.status).toBe('completed');
+  });
+  
+  it('should only let the uploader use an upload', async () => {
+    const { id } = await start(Buffer.alloc(10));
+    
+    await expect(uploadService.getUpload(id, '0xSomeoneElse')).rejects.toThrow('Only the uploader can access an upload');
+  });
+  
+  it('should expire stale uploads and remove their data', async () => {
+    const { id } = await start(Buffer.alloc(10));
+    uploads.get(id).expiresAt = new Date(Date.now() - 1000);
+    
+    expect(await uploadService.expireUploads()).toBe(1);
+    expect(uploads.get(id).status).toBe('expired');
+    expect(fs.existsSync(path.join(mockUploadDir, 'partial', `${id}.part`))).toBe(false);
+    await expect(send(id, 0, Buffer.alloc(10))).rejects.toThrow('Upload is not in progress: expired');
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Verification service test
+ */
+
+// Mock the required dependencies
+jest.mock('../../src/services/contracts.service', () => ({
+  getVerificationFee: jest.fn(),
+  getVerificationRequest: jest.fn(),
+  getVerificationRequestId: jest.fn(),
+  assignVerifier: jest.fn(),
+  completeVerification: jest.fn()
+}));
+jest.mock('../../src/services/ipfs.service', () => ({
+  uploadMetadata: jest.fn()
+}));
+jest.mock('../../src/services/provenance.service', () => ({
+  addProvenanceRecord: jest.fn()
+}));
+jest.mock('../../src/services/notification.service', () => ({
+  notify: jest.fn()
+}));
+jest.mock('../../src/models', () => ({
+  Dataset: { findByPk: jest.fn(), findOne: jest.fn() },
+  VerificationRequest: {
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  Verification: { create: jest.fn() }
+}));
+
+const DB = require('../../src/models');
+const contractsService = require('../../src/services/contracts.service');
+const ipfsService = require('../../src/services/ipfs.service');
+const provenanceService = require('../../src/services/provenance.service');
+const notificationService = require('../../src/services/notification.service');
+const { mockRow } = require('../utils/test-helpers');
+const verificationService = require('../../src/services/verification.service');
+
+describe('Verification Service', () => {
+  const OWNER = '0xOwner';
+  const VERIFIER = '0xVerifier';
+  const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+  let dataset;
+  let requests;
+
+  const onChainRequest = (extra = {}) => ({
+    id: '5',
+    datasetId: '42',
+    requester: OWNER,
+    method: 'manual-review',
+    details: 'Please check the labels',
+    assignedVerifier: null,
+    status: 'pending',
+    ...extra
+  });
+
+  const report = (extra = {}) => ({
+    decision: 'approve',
+    checklist: [
+      { item: 'Schema matches description', passed: true },
+      { item: 'License is compatible', passed: true, notes: 'CC-BY-4.0' }
+    ],
+    evidenceCids: ['bafyevidence'],
+    summary: 'Looks good',
+    ...extra
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    dataset = mockRow({ id: 'dataset-1', name: 'Weather', cid: 'bafydata', tokenId: '42', creator: OWNER, verified: false });
+    requests = [];
+
+    DB.Dataset.findByPk.mockImplementation(async (id) => (id === dataset.id ? dataset : null));
+    DB.Dataset.findOne.mockImplementation(async ({ where }) => (where.tokenId === dataset.tokenId ? dataset : null));
+    DB.VerificationRequest.findOne.mockImplementation(async ({ where }) => requests.find(request =>
+      Object.entries(where).every(([key, value]) => request[key] === value)) || null);
+    DB.VerificationRequest.findByPk.mockImplementation(async (id) => requests.find(request => request.id === id) || null);
+    DB.VerificationRequest.create.mockImplementation(async (fields) => {
+      const request = mockRow({ id: `request-${requests.length + 1}`, assignedVerifier: null, ...fields });
+      requests.push(request);
+      return request;
+    });
+
+    contractsService.getVerificationRequestId.mockResolvedValue('5');
+    contractsService.getVerificationRequest.mockResolvedValue(onChainRequest());
+    contractsService.getVerificationFee.mockResolvedValue('1000000000000000');
+    contractsService.assignVerifier.mockResolvedValue({ receipt: { transactionHash: '0xassign' } });
+    contractsService.completeVerification.mockResolvedValue({ receipt: { transactionHash: '0xcomplete' } });
+    ipfsService.uploadMetadata.mockResolvedValue('bafyreport');
+  });
+
+  const assignedRequest = () => {
+    const request = mockRow({
+      id: 'request-1',
+      onChainId: '5',
+      datasetId: dataset.id,
+      requester: OWNER.toLowerCase(),
+      method: 'manual-review',
+      status: 'assigned',
+      assignedVerifier: VERIFIER.toLowerCase()
+    });
+    requests.push(request);
+    return request;
+  };
+
+  it('should record a verification request the owner paid for on-chain', async () => {
+    const request = await verificationService.requestVerification(dataset.id, OWNER, { transactionHash: TX_HASH });
+
+    expect(contractsService.getVerificationRequestId).toHaveBeenCalledWith(TX_HASH);
+    expect(request).toMatchObject({
+      onChainId: '5',
+      datasetId: dataset.id,
+      requester: OWNER.toLowerCase(),
+      method: 'manual-review',
+      fee: '1000000000000000',
+      status: 'pending',
+      requestTxHash: TX_HASH
+    });
+  });
+
+  it('should only let the dataset owner request verification', async () => {
+    await expect(verificationService.requestVerification(dataset.id, '0xSomeoneElse', { transactionHash: TX_HASH }))
+      .rejects.toThrow('Only the dataset owner can request verification');
+    expect(DB.VerificationRequest.create).not.toHaveBeenCalled();
+  });
+
+  it('should refuse transactions requesting verification of another dataset', async () => {
+    contractsService.getVerificationRequest.mockResolvedValue(onChainRequest({ datasetId: '7' }));
+
+    await expect(verificationService.requestVerification(dataset.id, OWNER, { transactionHash: TX_HASH }))
+      .rejects.toThrow('Invalid transaction: the verification request is for another dataset');
+
+    contractsService.getVerificationRequestId.mockResolvedValue(null);
+
+    await expect(verificationService.requestVerification(dataset.id, OWNER, { transactionHash: TX_HASH }))
+      .rejects.toThrow('Invalid transaction: it did not create a verification request');
+  });
+
+  it('should not duplicate a request the chain indexer recorded first', async () => {
+    const indexed = await verificationService.recordOnChainRequest('5');
+    const request = await verificationService.requestVerification(dataset.id, OWNER, { transactionHash: TX_HASH });
+
+    expect(DB.VerificationRequest.create).toHaveBeenCalledTimes(1);
+    expect(request.id).toBe(indexed.id);
+    expect(request.requestTxHash).toBe(TX_HASH);
+  });
+
+  it('should assign a verifier to a pending request only', async () => {
+    await verificationService.requestVerification(dataset.id, OWNER, { transactionHash: TX_HASH });
+
+    const request = await verificationService.assignVerifier('request-1', VERIFIER, '0xAdmin');
+
+    expect(contractsService.assignVerifier).toHaveBeenCalledWith('5', VERIFIER);
+    expect(request).toMatchObject({
+      status: 'assigned',
+      assignedVerifier: VERIFIER.toLowerCase(),
+      assignedBy: '0xadmin',
+      assignTxHash: '0xassign'
+    });
+    expect(notificationService.notify).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: VERIFIER,
+      type: 'verification_assigned'
+    }));
+
+    await expect(verificationService.assignVerifier('request-1', VERIFIER, '0xAdmin'))
+      .rejects.toThrow('Verification request is not pending: assigned');
+  });
+
+  it('should store an approving report on IPFS, complete the request on-chain and verify the dataset', async () => {
+    assignedRequest();
+
+    const request = await verificationService.submitReport('request-1', VERIFIER, report());
+
+    expect(ipfsService.uploadMetadata).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'dataset-verification-report',
+      verificationRequestId: '5',
+      decision: 'approve',
+      result: 'VERIFIED',
+      evidenceCids: ['bafyevidence']
+    }));
+    expect(contractsService.completeVerification).toHaveBeenCalledWith('5', 'VERIFIED', 'bafyreport');
+    expect(request).toMatchObject({
+      status: 'verified',
+      result: 'VERIFIED',
+      reportCid: 'bafyreport',
+      completeTxHash: '0xcomplete'
+    });
+    expect(request.report.checklist).toHaveLength(2);
+    expect(dataset).toMatchObject({ verified: true, verifier: VERIFIER.toLowerCase() });
+    expect(DB.Verification.create).toHaveBeenCalledWith(expect.objectContaining({ result: 'VERIFIED' }));
+    expect(provenanceService.addProvenanceRecord).toHaveBeenCalledWith(expect.objectContaining({
+      actionType: 'verification',
+      metadata: expect.objectContaining({ reportCid: 'bafyreport' })
+    }));
+  });
+
+  it('should record a rejection without verifying the dataset', async () => {
+    assignedRequest();
+
+    const request = await verificationService.submitReport('request-1', VERIFIER, report({
+      decision: 'reject',
+      checklist: [{ item: 'Schema matches description', passed: false, notes: 'Columns missing' }]
+    }));
+
+    expect(contractsService.completeVerification).toHaveBeenCalledWith('5', 'REJECTED', 'bafyreport');
+    expect(request.status).toBe('rejected');
+    expect(dataset.verified).toBe(false);
+  });
+
+  it('should only accept consistent reports from the assigned verifier', async () => {
+    assignedRequest();
+
+    await expect(verificationService.submitReport('request-1', '0xSomeoneElse', report()))
+      .rejects.toThrow('Only the assigned verifier can submit a report');
+
+    await expect(verificationService.submitReport('request-1', VERIFIER, report({
+      checklist: [{ item: 'License is compatible', passed: false }]
+    }))).rejects.toThrow('Invalid report: a dataset that failed checklist items cannot be approved');
+
+    expect(contractsService.completeVerification).not.toHaveBeenCalled();
+  });
+
+  it('should return the verification history of a dataset', async () => {
+    DB.VerificationRequest.findAll.mockResolvedValue([assignedRequest()]);
+
+    const history = await verificationService.getVerificationHistory(dataset.id);
+
+    expect(DB.VerificationRequest.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      where: { datasetId: dataset.id }
+    }));
+    expect(history).toMatchObject({ datasetId: dataset.id, verified: false });
+    expect(history.requests).toEqual([expect.objectContaining({ id: 'request-1', status: 'assigned' })]);
+  });
+});
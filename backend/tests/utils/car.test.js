@@ -0,0 +1,103 @@
+/**
+ * CAR packing utility test
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { CarReader } = require('@ipld/car');
+const { packToCar, packPathToCar } = require('../../src/utils/car');
+
+describe('CAR utilities', () => {
+  let workDir;
+  
+  beforeEach(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'car-test-'));
+  });
+  
+  afterEach(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+  
+  const bytes = (length, seed) => {
+    const out = Buffer.alloc(length);
+    let block = Buffer.from(seed);
+    for (let offset = 0; offset < length; offset += block.length) {
+      block = crypto.createHash('sha256').update(block).digest();
+      block.copy(out, offset);
+    }
+    return out;
+  };
+  
+  const readCar = async (carPath) => {
+    const reader = await CarReader.fromBytes(await fs.promises.readFile(carPath));
+    const blocks = [];
+    for await (const block of reader.blocks()) {
+      blocks.push(block.cid.toString());
+    }
+    return { roots: (await reader.getRoots()).map(cid => cid.toString()), blocks };
+  };
+  
+  it('should produce the same root for the same input and patch it into the header', async () => {
+    const content = bytes(600 * 1024, 'same');
+    
+    const first = await packToCar([{ path: 'data.bin', content }], path.join(workDir, 'a.car'));
+    const second = await packToCar([{ path: 'data.bin', content }], path.join(workDir, 'b.car'));
+    
+    expect(second.rootCid).toBe(first.rootCid);
+    expect(first.rootCid).toMatch(/^bafy/);
+    // Three 256KiB leaves and the file node
+    expect(first.blockCount).toBe(4);
+    
+    const car = await readCar(path.join(workDir, 'a.car'));
+    expect(car.roots).toEqual([first.rootCid]);
+    expect(car.blocks).toHaveLength(4);
+    expect(car.blocks).toContain(first.rootCid);
+    expect(first.carSize).toBe((await fs.promises.stat(path.join(workDir, 'a.car'))).size);
+  });
+  
+  it('should keep directory names and layout', async () => {
+    const input = path.join(workDir, 'dataset');
+    await fs.promises.mkdir(path.join(input, 'parts'), { recursive: true });
+    await fs.promises.writeFile(path.join(input, 'readme.txt'), 'hello');
+    await fs.promises.writeFile(path.join(input, 'parts', 'one.csv'), 'a,b\n1,2\n');
+    
+    const result = await packPathToCar(input, path.join(workDir, 'out', 'dataset.car'));
+    
+    expect(result.entries.map(entry => entry.path).sort())
+      .toEqual(['dataset', 'dataset/parts', 'dataset/parts/one.csv', 'dataset/readme.txt']);
+    expect(result.rootCid).toBe(result.entries.find(entry => entry.path === 'dataset').cid);
+    
+    const car = await readCar(path.join(workDir, 'out', 'dataset.car'));
+    expect(car.roots).toEqual([result.rootCid]);
+  });
+  
+  it('should share most chunks after an insert with content-defined chunking', async () => {
+    const original = bytes(512 * 1024, 'rabin');
+    const edited = Buffer.concat([Buffer.from('inserted header line\n'), original]);
+    const options = { chunker: 'rabin', chunkSize: 16 * 1024 };
+    
+    await packToCar([{ path: 'a.bin', content: original }], path.join(workDir, 'a.car'), options);
+    await packToCar([{ path: 'a.bin', content: edited }], path.join(workDir, 'b.car'), options);
+    
+    const before = (await readCar(path.join(workDir, 'a.car'))).blocks;
+    const after = new Set((await readCar(path.join(workDir, 'b.car'))).blocks);
+    const shared = before.filter(cid => after.has(cid));
+    
+    expect(shared.length).toBeGreaterThan(before.length / 2);
+  });
+  
+  it('should reject invalid options and missing input without leaving a CAR behind', async () => {
+    const carPath = path.join(workDir, 'bad.car');
+    
+    await expect(packToCar([{ path: 'a', content: Buffer.from('a') }], carPath, { chunker: 'zigzag' }))
+      .rejects.toThrow('Invalid chunker: zigzag');
+    await expect(packToCar([{ path: 'a', content: Buffer.from('a') }], carPath, { chunkSize: 10 }))
+      .rejects.toThrow('Invalid chunk size');
+    await expect(packPathToCar(path.join(workDir, 'missing'), carPath))
+      .rejects.toThrow('Input path does not exist');
+    await expect(packToCar([], carPath)).rejects.toThrow('Nothing to pack');
+    
+    expect(fs.existsSync(carPath)).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Proof-of-retrievability utility test
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { CarReader, CarWriter } = require('@ipld/car');
+const { packToCar } = require('../../src/utils/car');
+const por = require('../../src/utils/por');
+
+describe('Proof-of-retrievability utilities', () => {
+  let workDir;
+  
+  beforeEach(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'por-test-'));
+  });
+  
+  afterEach(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+  
+  const pack = (name, content) => packToCar(
+    [{ path: 'data.bin', content }],
+    path.join(workDir, name),
+    { chunkSize: 16 * 1024 }
+  );
+  
+  it('should commit to every block while packing', async () => {
+    const content = crypto.randomBytes(100 * 1024 + 7);
+    
+    const { commitment, blockCount } = await pack('a.car', content);
+    
+    expect(commitment.blockCount).toBe(blockCount);
+    expect(commitment.dataSize).toBeGreaterThan(content.length);
+    expect(commitment.root).toMatch(/^0x[0-9a-f]{64}$/);
+  });
+  
+  it('should derive the same offsets from the same seed', () => {
+    const seed = '0x' + 'ab'.repeat(32);
+    
+    const offsets = por.deriveOffsets(seed, 8, 5000);
+    
+    expect(por.deriveOffsets(seed, 8, 5000)).toEqual(offsets);
+    expect(por.deriveOffsets('0x' + 'cd'.repeat(32), 8, 5000)).not.toEqual(offsets);
+    expect(offsets.every(offset => offset >= 0 && offset < 5000)).toBe(true);
+  });
+  
+  it('should pass a challenge answered from the committed CAR', async () => {
+    const { commitment } = await pack('a.car', crypto.randomBytes(300 * 1024));
+    const challenge = por.createChallenge(commitment, 32);
+    
+    const response = await por.respondToChallenge(path.join(workDir, 'a.car'), challenge);
+    
+    expect(response.root).toBe(commitment.root);
+    expect(response.answers).toHaveLength(32);
+    expect(por.verifyResponse(response, challenge)).toEqual({ passed: true, failures: [] });
+  });
+  
+  it('should pass when the provider exports the blocks in another order', async () => {
+    const { commitment, rootCid } = await pack('a.car', crypto.randomBytes(200 * 1024));
+    
+    // Rewrite the CAR root first, as a DAG traversal would
+    const reader = await CarReader.fromBytes(await fs.promises.readFile(path.join(workDir, 'a.car')));
+    const blocks = [];
+    for await (const block of reader.blocks()) {
+      blocks.push(block);
+    }
+    const { writer, out } = CarWriter.create(await reader.getRoots());
+    const written = (async () => {
+      const chunks = [];
+      for await (const chunk of out) {
+        chunks.push(chunk);
+      }
+      await fs.promises.writeFile(path.join(workDir, 'exported.car'), Buffer.concat(chunks));
+    })();
+    for (const block of blocks.reverse()) {
+      await writer.put(block);
+    }
+    await writer.close();
+    await written;
+    expect(blocks[0].cid.toString()).toBe(rootCid);
+    
+    const challenge = por.createChallenge(commitment, 16);
+    const response = await por.respondToChallenge(path.join(workDir, 'exported.car'), challenge);
+    
+    expect(por.verifyResponse(response, challenge).passed).toBe(true);
+  });
+  
+  it('should fail answers from other data or with altered blocks', async () => {
+    const { commitment } = await pack('a.car', crypto.randomBytes(200 * 1024));
+    await pack('b.car', crypto.randomBytes(200 * 1024));
+    const challenge = por.createChallenge(commitment, 8);
+    
+    const other = await por.respondToChallenge(path.join(workDir, 'b.car'), challenge);
+    const otherResult = por.verifyResponse(other, challenge);
+    expect(otherResult.passed).toBe(false);
+    expect(otherResult.failures[0].reason).toBe('Block does not match the stored root');
+    
+    const response = await por.respondToChallenge(path.join(workDir, 'a.car'), challenge);
+    const block = Buffer.from(response.answers[2].block, 'base64');
+    block[0] ^= 0xff;
+    response.answers[2].block = block.toString('base64');
+    response.answers[5].siblings = response.answers[5].siblings.slice(1);
+    
+    const result = por.verifyResponse(response, challenge);
+    expect(result.failures.map(failure => failure.offset)).toEqual([
+      response.answers[2].offset,
+      response.answers[5].offset
+    ]);
+  });
+  
+  it('should not accept answers to a different seed', async () => {
+    const { commitment } = await pack('a.car', crypto.randomBytes(100 * 1024));
+    const issued = por.createChallenge(commitment, 4);
+    
+    const response = await por.respondToChallenge(path.join(workDir, 'a.car'), por.createChallenge(commitment, 4));
+    
+    expect(por.verifyResponse(response, issued).failures[0].reason).toBe('Challenge not answered');
+  });
+});
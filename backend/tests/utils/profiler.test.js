@@ -0,0 +1,145 @@
+/**
+ * Dataset profiler test
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { profileFile } = require('../../src/utils/profiler');
+
+describe('Dataset profiler', () => {
+  let workDir;
+  
+  beforeEach(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'profiler-test-'));
+  });
+  
+  afterEach(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+  
+  const write = async (name, content) => {
+    const filePath = path.join(workDir, name);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+  };
+  
+  /**
+   * Build a ustar archive of regular files
+   * @param {Array<Object>} files - Files with their paths and contents
+   * @returns {Buffer}
+   */
+  const tar = (files) => {
+    const blocks = files.flatMap(({ path: name, content }) => {
+      const header = Buffer.alloc(512);
+      header.write(name, 0);
+      header.write('0000644\0', 100);
+      header.write(`${content.length.toString(8).padStart(11, '0')}\0`, 124);
+      header.write('0', 156);
+      header.write('ustar\0', 257);
+      header.fill(' ', 148, 156);
+      const checksum = header.reduce((sum, byte) => sum + byte, 0);
+      header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+      
+      const data = Buffer.alloc(Math.ceil(content.length / 512) * 512);
+      Buffer.from(content).copy(data);
+      return [header, data];
+    });
+    return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+  };
+  
+  it('should infer the schema, nulls, distributions and duplicates of a CSV file', async () => {
+    const filePath = await write('upload-1-readings.csv', [
+      'station,temp,reading_at,note',
+      'A,1.5,2024-01-01,"calm, clear"',
+      'B,,2024-01-02,"two',
+      'lines"',
+      'A,1.5,2024-01-01,"calm, clear"',
+      'C,7,NA,ok',
+      'broken,row'
+    ].join('\r\n'));
+    
+    const profile = await profileFile(filePath, { fileName: 'readings.csv' });
+    
+    expect(profile).toMatchObject({
+      fileName: 'readings.csv',
+      mimeType: 'text/csv',
+      kind: 'tabular',
+      delimiter: ',',
+      rowCount: 4,
+      malformedRows: 1,
+      duplicateRows: 1,
+      duplicatesComplete: true
+    });
+    expect(profile.sha256).toMatch(/^[0-9a-f]{64}$/);
+    
+    const [station, temp, readingAt, note] = profile.columns;
+    expect(station).toMatchObject({ type: 'string', distinctCount: 3 });
+    expect(station.topValues[0]).toEqual({ value: 'A', count: 2 });
+    expect(temp).toMatchObject({ type: 'number', nullCount: 1, nullRatio: 0.25, min: 1.5, max: 7 });
+    expect(readingAt).toMatchObject({ type: 'date', nullCount: 1 });
+    expect(note.topValues.map(entry => entry.value)).toContain('two\r\nlines');
+  });
+  
+  it('should treat the top-level keys of JSON Lines objects as columns', async () => {
+    const filePath = await write('events.jsonl', [
+      '{"id":1,"tags":["a"],"ok":true}',
+      '{"id":2,"ok":false}',
+      'not json',
+      '{"id":"3","ok":null}'
+    ].join('\n'));
+    
+    const profile = await profileFile(filePath);
+    
+    expect(profile).toMatchObject({ format: 'jsonl', rowCount: 3, malformedRows: 1, duplicateRows: 0 });
+    expect(profile.columns).toEqual([
+      expect.objectContaining({ name: 'id', type: 'mixed', types: { integer: 2, string: 1 } }),
+      expect.objectContaining({ name: 'tags', type: 'array', nullCount: 2 }),
+      expect.objectContaining({ name: 'ok', type: 'boolean', nullCount: 1 })
+    ]);
+  });
+  
+  it('should leave values out when asked to', async () => {
+    const filePath = await write('secret.csv', 'name,age\nAda,36\n');
+    
+    const profile = await profileFile(filePath, { includeValues: false });
+    
+    expect(profile.columns[1]).toMatchObject({ name: 'age', type: 'integer', distinctCount: 1 });
+    expect(profile.columns[1]).not.toHaveProperty('topValues');
+    expect(profile.columns[1]).not.toHaveProperty('max');
+  });
+  
+  it('should list the files of a gzipped tar archive with their MIME types', async () => {
+    const archive = tar([
+      { path: 'data/train.csv', content: 'a,b\n1,2\n' },
+      { path: 'data/images/cat.png', content: 'png' },
+      { path: 'README', content: 'read me' }
+    ]);
+    const filePath = await write('bundle.tgz', zlib.gzipSync(archive));
+    
+    const profile = await profileFile(filePath);
+    
+    expect(profile).toMatchObject({
+      kind: 'archive',
+      archiveFormat: 'tar.gz',
+      fileCount: 3,
+      totalSize: 18,
+      mimeTypes: { 'text/csv': 1, 'image/png': 1, 'application/octet-stream': 1 },
+      filesTruncated: false
+    });
+    expect(profile.files[1]).toEqual({ path: 'data/images/cat.png', size: 3, mimeType: 'image/png' });
+    
+    const redacted = await profileFile(filePath, { includeValues: false });
+    expect(redacted.fileCount).toBe(3);
+    expect(redacted).not.toHaveProperty('files');
+  });
+  
+  it('should describe unreadable content instead of failing', async () => {
+    const filePath = await write('table.parquet', 'PAR1 not really parquet');
+    
+    const profile = await profileFile(filePath);
+    
+    expect(profile.kind).toBe('file');
+    expect(profile.warning).toMatch(/^Could not read the file as parquet/);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Sign-In with Ethereum message test
+ */
+const { buildMessage, parseMessage } = require('../../src/utils/siwe');
+
+describe('SIWE messages', () => {
+  const fields = {
+    domain: 'app.example.org',
+    address: '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+    statement: 'Sign in to DataProvChain.',
+    uri: 'https://app.example.org',
+    version: '1',
+    chainId: 314,
+    nonce: 'abc123def456',
+    issuedAt: '2024-01-01T00:00:00.000Z',
+    expirationTime: '2024-01-01T00:05:00.000Z',
+    resources: ['ipfs://bafydata']
+  };
+  
+  it('should parse the messages it builds', () => {
+    const message = buildMessage({ ...fields, address: fields.address.toLowerCase() });
+    
+    expect(message.split('\n').slice(0, 6)).toEqual([
+      'app.example.org wants you to sign in with your Ethereum account:',
+      '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+      '',
+      'Sign in to DataProvChain.',
+      '',
+      'URI: https://app.example.org'
+    ]);
+    expect(parseMessage(message)).toEqual(fields);
+  });
+  
+  it('should parse messages without a statement or optional fields', () => {
+    const { statement, expirationTime, resources, ...required } = fields;
+    
+    expect(parseMessage(buildMessage(required))).toEqual(required);
+  });
+  
+  it('should reject messages that do not follow EIP-4361', () => {
+    const message = buildMessage(fields);
+    
+    expect(() => parseMessage(message.replace(fields.address, fields.address.toLowerCase())))
+      .toThrow('Invalid sign-in message: address is not EIP-55 checksummed');
+    expect(() => parseMessage(message.replace('Nonce: abc123def456\n', '')))
+      .toThrow('Invalid sign-in message: missing nonce');
+    expect(() => parseMessage(message.replace('Nonce: abc123def456', 'Nonce: short')))
+      .toThrow('Invalid sign-in message: invalid nonce');
+    expect(() => parseMessage(message.replace('Version: 1\nChain ID: 314', 'Chain ID: 314\nVersion: 1')))
+      .toThrow('Invalid sign-in message: unexpected line "Version: 1"');
+    expect(() => parseMessage(`Sign this message: ${fields.nonce}`))
+      .toThrow('Invalid sign-in message: missing the sign-in request line');
+  });
+});
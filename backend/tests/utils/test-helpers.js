@@ -2,6 +2,7 @@
  * Test helper utilities
  */
 const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
 const authConfig = require('../../src/config/auth');
 
@@ -46,6 +47,45 @@ const generateMockDataset = (overrides = {}) => {
   };
 };
 
+/**
+ * Create a mock model row whose update() applies changes in place
+ * @param {Object} fields - Row fields
+ * @returns {Object} - Mock row with update, save and destroy spies
+ */
+const mockRow = (fields) => {
+  const row = { ...fields };
+  row.update = jest.fn(async (changes) => Object.assign(row, changes));
+  row.save = jest.fn();
+  row.destroy = jest.fn();
+  return row;
+};
+
+/**
+ * Check a mock row against a where clause, as conditional updates of the mocked models do
+ * Covers equality, lists of values, Op.or and the Op.lte and Op.is null conditions of leases
+ * @param {Object} row - Mock row
+ * @param {Object} where - Where clause
+ * @returns {boolean} - Whether the row matches
+ */
+const matchesWhere = (row, where) => {
+  const matchesValue = (value, condition) => {
+    if (Array.isArray(condition)) {
+      return condition.includes(value);
+    }
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+      return value === condition || (condition === null && value === undefined);
+    }
+    if (condition[Op.or]) {
+      return condition[Op.or].some(option => matchesValue(value, option));
+    }
+    return (condition[Op.lte] === undefined || (value != null && value <= condition[Op.lte])) &&
+      (!(Op.is in condition) || value == null);
+  };
+  
+  return Object.keys(where).every(key => matchesValue(row[key], where[key])) &&
+    (!where[Op.or] || where[Op.or].some(option => matchesWhere(row, option)));
+};
+
 /**
  * Generate a valid JWT token for testing
  * @param {Object} user - User object to encode in the token
@@ -100,6 +140,8 @@ const mockResponse = () => {
 module.exports = {
   generateMockUser,
   generateMockDataset,
+  mockRow,
+  matchesWhere,
   generateAuthToken,
   mockRequest,
   mockResponse
@@ -313,6 +313,30 @@ contract DataDAO is IDataDAO, AccessControl, ReentrancyGuard {
         return (proposal.forVotes, proposal.againstVotes, proposal.forVotes + proposal.againstVotes);
     }
     
+    /**
+     * @dev See {IDataDAO-getVotingPower}
+     */
+    function getVotingPower(address account) 
+        external 
+        view 
+        override 
+        returns (uint256) 
+    {
+        return _votingPower[account];
+    }
+    
+    /**
+     * @dev See {IDataDAO-getTotalVotingPower}
+     */
+    function getTotalVotingPower() 
+        external 
+        view 
+        override 
+        returns (uint256) 
+    {
+        return _totalVotingPower;
+    }
+    
     /**
      * @dev See {IDataDAO-hasVoted}
      */
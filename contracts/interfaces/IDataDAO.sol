@@ -106,6 +106,19 @@ interface IDataDAO {
         uint256 proposalId
     ) external view returns (uint256, uint256, uint256);
     
+    /**
+     * @dev Gets the voting power of an address
+     * @param account Address to check
+     * @return Voting power counted for each vote the address casts
+     */
+    function getVotingPower(address account) external view returns (uint256);
+    
+    /**
+     * @dev Gets the voting power assigned across all addresses
+     * @return Total voting power, the base of the quorum check
+     */
+    function getTotalVotingPower() external view returns (uint256);
+    
     /**
      * @dev Checks if an address has voted on a proposal
      * @param proposalId ID of the proposal
@@ -1,88 +1,43 @@
 // filecoin/src/car/generator.js
 
-const { packToBlob } = require('ipfs-car/pack/blob');
-const { unpackStream } = require('ipfs-car/unpack');
+const { importer } = require('ipfs-unixfs-importer');
+const { CarWriter, CarCIDIterator } = require('@ipld/car');
 const fs = require('fs');
 const path = require('path');
 const { Readable } = require('stream');
-const CidUtils = require('../utils/cid');
+const { pipeline } = require('stream/promises');
+
+// CIDv1 with raw leaves, 256KiB chunks and 174-link balanced nodes match `ipfs add --cid-version=1`
+const DEFAULT_CHUNK_SIZE = 256 * 1024;
+const DEFAULT_MAX_CHILDREN = 174;
 
 /**
  * Utility for generating Content Addressable aRchives (CAR) files
+ * Inputs are chunked and appended to the CAR file block by block, so memory use does not grow with the input size
  */
 class CarGenerator {
   /**
    * Generate a CAR file from a file or directory
    * @param {string} inputPath - Path to the file or directory
    * @param {string} outputPath - Path where the CAR file will be saved
-   * @returns {Promise<{rootCid: string, carSize: number}>} - Root CID and CAR file size
+   * @param {Object} [options] - Packing options
+   * @param {string} [options.chunker="fixed"] - "fixed" for fixed-size chunks or "rabin" for content-defined chunks
+   * @param {number} [options.chunkSize=262144] - Chunk size, or the average chunk size of content-defined chunking
+   * @param {boolean} [options.wrapWithDirectory=true] - Wrap the input in a root directory
+   * @returns {Promise<{rootCid: string, carSize: number, blockCount: number}>} - Root CID, CAR file size and block count
    */
-  static async generateCarFile(inputPath, outputPath) {
+  static async generateCarFile(inputPath, outputPath, options = {}) {
     try {
       if (!fs.existsSync(inputPath)) {
         throw new Error(`Input path does not exist: ${inputPath}`);
       }
       
-      // Ensure output directory exists
-      const outputDir = path.dirname(outputPath);
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
-      
-      let input;
-      const stat = fs.statSync(inputPath);
-      
-      if (stat.isDirectory()) {
-        // Directory input
-        const files = [];
-        const collectFiles = (dir) => {
-          const entries = fs.readdirSync(dir, { withFileTypes: true });
-          
-          for (const entry of entries) {
-            const fullPath = path.join(dir, entry.name);
-            if (entry.isDirectory()) {
-              collectFiles(fullPath);
-            } else {
-              const fileContent = fs.readFileSync(fullPath);
-              const relativePath = path.relative(inputPath, fullPath);
-              files.push({ path: relativePath, content: fileContent });
-            }
-          }
-        };
-        
-        collectFiles(inputPath);
-        input = files;
-      } else {
-        // Single file input
-        const fileName = path.basename(inputPath);
-        const fileContent = fs.readFileSync(inputPath);
-        input = [{ path: fileName, content: fileContent }];
-      }
-      
-      // Pack the input into a CAR blob
-      const { car, root } = await packToBlob({ input });
-      
-      // Convert car blob to buffer
-      const chunks = [];
-      const reader = car.stream().getReader();
-      
-      let chunk;
-      while (!(chunk = await reader.read()).done) {
-        chunks.push(chunk.value);
-      }
+      // Directory contents or the single file are placed under a wrapping root directory
+      const resolved = path.resolve(inputPath);
+      const basePath = fs.statSync(resolved).isDirectory() ? resolved : path.dirname(resolved);
+      const entries = CarGenerator.walkPath(resolved, basePath);
       
-      const carBuffer = Buffer.concat(chunks);
-      
-      // Write CAR file
-      fs.writeFileSync(outputPath, carBuffer);
-      
-      // Get file size
-      const carSize = fs.statSync(outputPath).size;
-      
-      return {
-        rootCid: root.toString(),
-        carSize
-      };
+      return await CarGenerator.packToCar(entries, outputPath, { wrapWithDirectory: true, ...options });
     } catch (error) {
       throw new Error(`Failed to generate CAR file: ${error.message}`);
     }
@@ -93,43 +48,14 @@ class CarGenerator {
    * @param {Buffer|string} data - Data to pack
    * @param {string} fileName - Name to give the file
    * @param {string} outputPath - Path where the CAR file will be saved
-   * @returns {Promise<{rootCid: string, carSize: number}>} - Root CID and CAR file size
+   * @param {Object} [options] - Packing options, see generateCarFile
+   * @returns {Promise<{rootCid: string, carSize: number, blockCount: number}>} - Root CID, CAR file size and block count
    */
-  static async generateCarFileFromData(data, fileName, outputPath) {
+  static async generateCarFileFromData(data, fileName, outputPath, options = {}) {
     try {
-      // Ensure output directory exists
-      const outputDir = path.dirname(outputPath);
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
+      const entries = [{ path: fileName, content: Buffer.from(data) }];
       
-      // Prepare input
-      const input = [{ path: fileName, content: Buffer.from(data) }];
-      
-      // Pack the input into a CAR blob
-      const { car, root } = await packToBlob({ input });
-      
-      // Convert car blob to buffer
-      const chunks = [];
-      const reader = car.stream().getReader();
-      
-      let chunk;
-      while (!(chunk = await reader.read()).done) {
-        chunks.push(chunk.value);
-      }
-      
-      const carBuffer = Buffer.concat(chunks);
-      
-      // Write CAR file
-      fs.writeFileSync(outputPath, carBuffer);
-      
-      // Get file size
-      const carSize = fs.statSync(outputPath).size;
-      
-      return {
-        rootCid: root.toString(),
-        carSize
-      };
+      return await CarGenerator.packToCar(entries, outputPath, { wrapWithDirectory: true, ...options });
     } catch (error) {
       throw new Error(`Failed to generate CAR file from data: ${error.message}`);
     }
@@ -137,6 +63,7 @@ class CarGenerator {
 
   /**
    * Get information about a CAR file
+   * Only the header is read, so this is cheap for large CAR files
    * @param {string} carFilePath - Path to the CAR file
    * @returns {Promise<{rootCid: string, carSize: number}>} - CAR file info
    */
@@ -146,26 +73,177 @@ class CarGenerator {
         throw new Error(`CAR file does not exist: ${carFilePath}`);
       }
       
-      // Read CAR file
-      const carBuffer = fs.readFileSync(carFilePath);
-      
-      // Create readable stream from buffer
-      const carStream = Readable.from(carBuffer);
+      const stream = fs.createReadStream(carFilePath);
+      let roots;
+      try {
+        const iterator = await CarCIDIterator.fromIterable(stream);
+        roots = await iterator.getRoots();
+      } finally {
+        stream.destroy();
+      }
       
-      // Unpack the stream to get the root CID
-      const { root } = await unpackStream(carStream);
+      if (roots.length === 0) {
+        throw new Error('CAR file has no root');
+      }
       
       // Get file size
       const carSize = fs.statSync(carFilePath).size;
       
       return {
-        rootCid: root.toString(),
+        rootCid: roots[0].toString(),
         carSize
       };
     } catch (error) {
       throw new Error(`Failed to get CAR info: ${error.message}`);
     }
   }
+
+  /**
+   * Pack importer entries into a CAR file
+   * The root is only known once every block is written, so the header is written with the first
+   * block's CID as a placeholder of the same length and patched when the CAR is finished
+   * @param {Iterable<Object>|AsyncIterable<Object>} entries - Entries of { path, content }
+   * @param {string} outputPath - Path where the CAR file will be saved
+   * @param {Object} [options] - Packing options, see generateCarFile
+   * @returns {Promise<{rootCid: string, carSize: number, blockCount: number}>} - Root CID, CAR file size and block count
+   */
+  static async packToCar(entries, outputPath, options = {}) {
+    // Ensure output directory exists
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+    
+    // Only CIDs are remembered, to skip repeated chunks
+    const written = new Set();
+    let writer = null;
+    let flushed = null;
+    
+    const blockstore = {
+      put: async (cid, bytes) => {
+        if (written.has(cid.toString())) {
+          return cid;
+        }
+        written.add(cid.toString());
+        
+        if (!writer) {
+          const car = CarWriter.create([cid]);
+          writer = car.writer;
+          flushed = pipeline(Readable.from(car.out), fs.createWriteStream(outputPath));
+          flushed.catch(() => {});
+        }
+        
+        await Promise.race([writer.put({ cid, bytes }), flushed]);
+        return cid;
+      },
+      has: async (cid) => written.has(cid.toString()),
+      get: async () => {
+        throw new Error('Blocks are written to the CAR file and not kept for reading');
+      }
+    };
+    
+    try {
+      let root = null;
+      for await (const entry of importer(entries, blockstore, CarGenerator.getImporterOptions(options))) {
+        root = entry.cid;
+      }
+      
+      if (!root) {
+        throw new Error('Nothing to pack');
+      }
+      
+      await writer.close();
+      await flushed;
+      
+      const fd = await fs.promises.open(outputPath, 'r+');
+      try {
+        await CarWriter.updateRootsInFile(fd, [root]);
+      } finally {
+        await fd.close();
+      }
+      
+      return {
+        rootCid: root.toString(),
+        carSize: fs.statSync(outputPath).size,
+        blockCount: written.size
+      };
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the importer options for a packing request
+   * @param {Object} [options] - Packing options, see generateCarFile
+   * @returns {Object} - ipfs-unixfs-importer options
+   */
+  static getImporterOptions(options = {}) {
+    const chunker = options.chunker || 'fixed';
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    
+    if (!['fixed', 'rabin'].includes(chunker)) {
+      throw new Error(`Invalid chunker: ${chunker}`);
+    }
+    
+    if (!Number.isInteger(chunkSize) || chunkSize < 1024) {
+      throw new Error('Invalid chunk size: must be an integer of at least 1024 bytes');
+    }
+    
+    const chunkSizes = chunker === 'rabin'
+      ? { minChunkSize: Math.floor(chunkSize / 2), avgChunkSize: chunkSize, maxChunkSize: chunkSize * 2 }
+      : { maxChunkSize: chunkSize };
+    
+    return {
+      chunker,
+      ...chunkSizes,
+      strategy: 'balanced',
+      maxChildrenPerNode: options.maxChildrenPerNode || DEFAULT_MAX_CHILDREN,
+      cidVersion: 1,
+      rawLeaves: true,
+      reduceSingleLeafToSelf: true,
+      wrapWithDirectory: Boolean(options.wrapWithDirectory),
+      // One file and one block at a time keeps memory bounded and the block order stable
+      fileImportConcurrency: 1,
+      blockWriteConcurrency: 1
+    };
+  }
+
+  /**
+   * List the entries of a file or directory without reading their content
+   * Directory entries are sorted so that the same tree always gives the same root CID
+   * @param {string} inputPath - Path to a file or directory
+   * @param {string} basePath - Path the entry paths are relative to
+   * @returns {AsyncGenerator<Object>} - Entries with lazily opened content streams
+   */
+  static async *walkPath(inputPath, basePath) {
+    const stat = await fs.promises.stat(inputPath);
+    const entryPath = path.relative(basePath, inputPath).split(path.sep).join('/');
+    
+    if (!stat.isDirectory()) {
+      yield { path: entryPath, content: CarGenerator.readLazily(inputPath) };
+      return;
+    }
+    
+    const names = (await fs.promises.readdir(inputPath)).sort();
+    if (names.length === 0) {
+      yield { path: entryPath };
+      return;
+    }
+    
+    for (const name of names) {
+      yield* CarGenerator.walkPath(path.join(inputPath, name), basePath);
+    }
+  }
+
+  /**
+   * Open a file only when the importer starts consuming it
+   * @param {string} filePath - File path
+   * @returns {AsyncGenerator<Buffer>} - File chunks
+   */
+  static async *readLazily(filePath) {
+    yield* fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 });
+  }
 }
 
-module.exports = CarGenerator;
\ No newline at end of file
+module.exports = CarGenerator;
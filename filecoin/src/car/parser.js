@@ -1,22 +1,39 @@
 // filecoin/src/car/parser.js
 
-const { CarReader } = require('@ipld/car');
+const { CarReader, CarIndexedReader } = require('@ipld/car');
+const { exporter } = require('ipfs-unixfs-exporter');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const CidUtils = require('../utils/cid');
 
+// Multihash codes of the hash functions blocks can be verified with
+const HASH_FUNCTIONS = {
+  0x12: 'sha256',
+  0x13: 'sha512'
+};
+const IDENTITY_HASH = 0x00;
+
 /**
  * Utility for parsing Content Addressable aRchive (CAR) files
  */
 class CarParser {
   /**
-   * Extract files from a CAR file
+   * Extract the UnixFS files and directories of a CAR file
+   * The DAG is walked from the root, so files get their real names and layout, file content is
+   * streamed to disk chunk by chunk and every block is checked against its CID as it is read.
+   * Entries with missing blocks are skipped and reported instead of failing the whole extraction.
    * @param {string} carFilePath - Path to the CAR file
    * @param {string} outputDir - Directory to extract files to
-   * @returns {Promise<Array<{path: string, cid: string, size: number}>>} - Extracted file info
+   * @param {Object} [options] - Extraction options
+   * @param {string} [options.path] - Only extract this path, relative to the root (e.g. "dataset/parts")
+   * @returns {Promise<{rootCid: string, files: Array<{path: string, cid: string, type: string, size: number}>,
+   *   missingBlocks: Array<string>, incomplete: Array<string>}>} - Extracted entries, missing block CIDs
+   *   and the paths that could not be extracted because of them
    */
-  static async extractFiles(carFilePath, outputDir) {
+  static async extractFiles(carFilePath, outputDir, options = {}) {
     try {
       if (!fs.existsSync(carFilePath)) {
         throw new Error(`CAR file does not exist: ${carFilePath}`);
@@ -27,44 +44,201 @@ class CarParser {
         fs.mkdirSync(outputDir, { recursive: true });
       }
       
-      // Read CAR file
-      const carBuffer = fs.readFileSync(carFilePath);
+      // Only the block index is kept in memory; blocks are read from disk when the DAG walk reaches them
+      const reader = await CarIndexedReader.fromFile(carFilePath);
       
-      // Create CAR reader
-      const reader = await CarReader.fromBytes(carBuffer);
-      
-      // Get root CID
-      const [rootCid] = await reader.getRoots();
-      
-      // Process blocks and extract files
-      const results = [];
-      for await (const block of reader.blocks()) {
-        // Convert CID to string
-        const cid = block.cid.toString();
+      try {
+        const [rootCid] = await reader.getRoots();
+        if (!rootCid) {
+          throw new Error('CAR file has no root');
+        }
         
-        // Skip non-file blocks
-        if (block.cid.equals(rootCid)) continue;
+        const missingBlocks = new Set();
+        const blockstore = {
+          get: async (cid) => {
+            const block = await reader.get(cid);
+            if (!block) {
+              missingBlocks.add(cid.toString());
+              throw new Error(`Missing block: ${cid}`);
+            }
+            
+            CarParser.verifyBlock(cid, block.bytes);
+            return block.bytes;
+          }
+        };
         
-        // Create file path
-        const filePath = path.join(outputDir, cid);
+        const subPath = (options.path || '').split('/').filter(Boolean);
+        const state = {
+          blockstore,
+          missingBlocks,
+          files: [],
+          incomplete: []
+        };
         
-        // Write block data to file
-        fs.writeFileSync(filePath, block.bytes);
+        let entry;
+        try {
+          entry = await exporter([rootCid.toString(), ...subPath].join('/'), blockstore);
+        } catch (error) {
+          if (missingBlocks.size === 0) {
+            throw error.code === 'ERR_NOT_FOUND' ? new Error(`Path not found in CAR: ${options.path}`) : error;
+          }
+          state.incomplete.push(subPath.join('/') || rootCid.toString());
+        }
         
-        // Record file info
-        results.push({
-          path: filePath,
-          cid,
-          size: block.bytes.length
-        });
+        if (entry) {
+          // A sub-path is extracted under its own name; the root's children go straight into the output directory
+          if (subPath.length > 0) {
+            await CarParser.extractEntry(entry, path.join(outputDir, CarParser.safeName(entry.name)), entry.name, state);
+          } else if (entry.type === 'directory') {
+            await CarParser.extractDirectory(entry, outputDir, '', state);
+          } else {
+            await CarParser.extractEntry(entry, path.join(outputDir, rootCid.toString()), rootCid.toString(), state);
+          }
+        }
+        
+        return {
+          rootCid: rootCid.toString(),
+          files: state.files,
+          missingBlocks: Array.from(missingBlocks),
+          incomplete: state.incomplete
+        };
+      } finally {
+        await reader.close();
       }
-      
-      return results;
     } catch (error) {
       throw new Error(`Failed to extract files from CAR: ${error.message}`);
     }
   }
 
+  /**
+   * Write an exported UnixFS entry to disk
+   * @param {Object} entry - Exported entry
+   * @param {string} targetPath - Path to write the entry to
+   * @param {string} entryPath - Path of the entry relative to the extraction root
+   * @param {Object} state - Extraction state
+   * @returns {Promise<void>}
+   */
+  static async extractEntry(entry, targetPath, entryPath, state) {
+    if (entry.type === 'directory') {
+      fs.mkdirSync(targetPath, { recursive: true });
+      state.files.push({ path: targetPath, cid: entry.cid.toString(), type: 'directory', size: 0 });
+      await CarParser.extractDirectory(entry, targetPath, entryPath, state);
+      return;
+    }
+    
+    if (!['file', 'raw', 'identity'].includes(entry.type)) {
+      throw new Error(`Unsupported entry type at ${entryPath}: ${entry.type}`);
+    }
+    
+    const missingBefore = state.missingBlocks.size;
+    try {
+      await pipeline(Readable.from(entry.content()), fs.createWriteStream(targetPath));
+    } catch (error) {
+      if (state.missingBlocks.size === missingBefore) {
+        throw error;
+      }
+      
+      // Do not leave a truncated file behind
+      fs.rmSync(targetPath, { force: true });
+      state.incomplete.push(entryPath);
+      return;
+    }
+    
+    state.files.push({ path: targetPath, cid: entry.cid.toString(), type: 'file', size: Number(entry.size) });
+  }
+
+  /**
+   * Extract the children of a directory entry
+   * Children are resolved one link at a time, so a missing child block only skips that child
+   * @param {Object} entry - Exported directory entry
+   * @param {string} targetDir - Directory to write the children to
+   * @param {string} entryPath - Path of the directory relative to the extraction root
+   * @param {Object} state - Extraction state
+   * @returns {Promise<void>}
+   */
+  static async extractDirectory(entry, targetDir, entryPath, state) {
+    // Sharded directories spread their links over internal nodes, so the exporter has to resolve them
+    const children = entry.unixfs.type === 'hamt-sharded-directory'
+      ? entry.content()
+      : CarParser.directoryChildren(entry, entryPath, state);
+    
+    const missingBefore = state.missingBlocks.size;
+    try {
+      for await (const child of children) {
+        if (!child) {
+          continue;
+        }
+        
+        const name = CarParser.safeName(child.name);
+        const childPath = entryPath ? `${entryPath}/${name}` : name;
+        await CarParser.extractEntry(child, path.join(targetDir, name), childPath, state);
+      }
+    } catch (error) {
+      if (state.missingBlocks.size === missingBefore) {
+        throw error;
+      }
+      state.incomplete.push(entryPath || entry.cid.toString());
+    }
+  }
+
+  /**
+   * Resolve the links of a plain directory, recording children whose blocks are missing
+   * @param {Object} entry - Exported directory entry
+   * @param {string} entryPath - Path of the directory relative to the extraction root
+   * @param {Object} state - Extraction state
+   * @returns {AsyncGenerator<Object|null>} - Child entries, or null for a child that could not be resolved
+   */
+  static async *directoryChildren(entry, entryPath, state) {
+    for (const link of entry.node.Links) {
+      const missingBefore = state.missingBlocks.size;
+      try {
+        const child = await exporter(link.Hash.toString(), state.blockstore);
+        yield Object.assign(child, { name: link.Name });
+      } catch (error) {
+        if (state.missingBlocks.size === missingBefore) {
+          throw error;
+        }
+        state.incomplete.push(entryPath ? `${entryPath}/${link.Name}` : link.Name);
+        yield null;
+      }
+    }
+  }
+
+  /**
+   * Check that a block's bytes hash to the digest in its CID
+   * @param {CID} cid - Block CID
+   * @param {Uint8Array} bytes - Block bytes
+   * @throws {Error} - If the block does not match its CID
+   */
+  static verifyBlock(cid, bytes) {
+    const { code, digest } = cid.multihash;
+    
+    let actual;
+    if (code === IDENTITY_HASH) {
+      actual = bytes;
+    } else if (HASH_FUNCTIONS[code]) {
+      actual = crypto.createHash(HASH_FUNCTIONS[code]).update(bytes).digest();
+    } else {
+      throw new Error(`Unsupported hash function 0x${code.toString(16)} for block ${cid}`);
+    }
+    
+    if (Buffer.compare(Buffer.from(actual), Buffer.from(digest)) !== 0) {
+      throw new Error(`Block does not match its CID: ${cid}`);
+    }
+  }
+
+  /**
+   * Make sure an entry name cannot escape the output directory
+   * @param {string} name - Entry name from the DAG
+   * @returns {string} - The name
+   */
+  static safeName(name) {
+    if (!name || name === '.' || name === '..' || /[\\/]/.test(name)) {
+      throw new Error(`Unsafe entry name: ${name}`);
+    }
+    return name;
+  }
+
   /**
    * Get the root CID of a CAR file
    * @param {string} carFilePath - Path to the CAR file
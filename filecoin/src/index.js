@@ -4,26 +4,28 @@
  */
 
 // Storage Management
-const deal = require('./src/storage/deal');
-const retrieve = require('./src/storage/retrieve');
-const optimize = require('./src/storage/optimize');
+const deal = require('./storage/deal');
+const retrieve = require('./storage/retrieve');
+const optimize = require('./storage/optimize');
+const backends = require('./storage/backends');
 
 // Verification Tools
-const proof = require('./src/verification/proof');
-const verify = require('./src/verification/verify');
+const proof = require('./verification/proof');
+const verify = require('./verification/verify');
+const challenge = require('./verification/challenge');
 
 // CAR File Handling
-const generator = require('./src/car/generator');
-const parser = require('./src/car/parser');
+const generator = require('./car/generator');
+const parser = require('./car/parser');
 
 // RPC Interactions
-const rpcClient = require('./src/rpc/client');
-const rpcMethods = require('./src/rpc/methods');
+const rpcClient = require('./rpc/client');
+const rpcMethods = require('./rpc/methods');
 
 // Utility Functions
-const cid = require('./src/utils/cid');
-const config = require('./src/utils/config');
-const conversion = require('./src/utils/conversion');
+const cid = require('./utils/cid');
+const config = require('./utils/config');
+const conversion = require('./utils/conversion');
 
 // Export all modules
 module.exports = {
@@ -31,13 +33,15 @@ module.exports = {
   storage: {
     deal,
     retrieve,
-    optimize
+    optimize,
+    backends
   },
   
   // Verification Tools
   verification: {
     proof,
-    verify
+    verify,
+    challenge
   },
   
   // CAR File Handling
@@ -0,0 +1,66 @@
+/**
+ * @module storage/backends/gateway
+ * @description IPFS gateway backend; reads content from the configured gateway as CAR files and cannot store content
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const ConfigUtils = require('../../utils/config');
+const FileUtils = require('../../utils/file');
+
+/**
+ * Gets the gateway URL of content
+ * @private
+ * @param {String} cid - Root CID
+ * @returns {String} - URL
+ */
+function getContentUrl(cid) {
+  const { gateway } = ConfigUtils.getIpfsConfig();
+  return `${gateway.replace(/\/+$/, '')}/${cid}`;
+}
+
+/**
+ * Downloads content as a CAR file; blocks are not trusted here but verified when the CAR is read
+ * @param {String} cid - Root CID
+ * @returns {Promise<String>} - Path of the temporary CAR file
+ */
+async function getCar(cid) {
+  const response = await axios.get(getContentUrl(cid), {
+    params: { format: 'car' },
+    headers: { Accept: 'application/vnd.ipld.car' },
+    responseType: 'stream',
+    timeout: ConfigUtils.getIpfsConfig().timeout
+  });
+  
+  const carPath = await FileUtils.getTempFilePath('gateway', '.car');
+  try {
+    await pipeline(response.data, fs.createWriteStream(carPath));
+  } catch (error) {
+    await FileUtils.removeTemp(carPath);
+    throw error;
+  }
+  
+  return carPath;
+}
+
+/**
+ * Checks whether the gateway can serve content
+ * @param {String} cid - Root CID
+ * @returns {Promise<Object>} - Content status; gateways do not report deals
+ */
+async function stat(cid) {
+  try {
+    const response = await axios.head(getContentUrl(cid), { timeout: 5000 });
+    const size = parseInt(response.headers['content-length'], 10);
+    return { cid, available: true, size: Number.isNaN(size) ? null : size, deals: [] };
+  } catch (error) {
+    return { cid, available: false, size: null, deals: [] };
+  }
+}
+
+module.exports = {
+  name: 'gateway',
+  getCar,
+  stat
+};
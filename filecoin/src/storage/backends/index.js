@@ -0,0 +1,116 @@
+/**
+ * @module storage/backends
+ * @description Storage backends content is stored in and retrieved from as CAR files. Every backend provides:
+ * - name: backend name
+ * - getCar(cid): fetch the DAG under a root CID into a temporary CAR file, which the caller removes
+ * - stat(cid): { cid, available, size, deals }
+ * - putCar(carPath, options), for backends that store content: store a CAR file, resolving to { cid, size }
+ *
+ * The backend and retrieval fallbacks are chosen with STORAGE_BACKEND and STORAGE_RETRIEVAL_FALLBACKS,
+ * and applications can add their own backends with registerStorageBackend.
+ */
+
+const ConfigUtils = require('../../utils/config');
+const FileUtils = require('../../utils/file');
+
+// Backends are loaded on first use, so only the clients of configured backends are created
+const BACKENDS = {
+  web3storage: () => require('./web3storage.backend'),
+  gateway: () => require('./gateway.backend'),
+  lotus: () => require('./lotus.backend'),
+  local: () => require('./local.backend')
+};
+
+/**
+ * Registers a storage backend, replacing any backend of the same name
+ * @param {String} name - Backend name
+ * @param {Object} backend - Backend providing getCar and stat, and putCar if it stores content
+ */
+function registerStorageBackend(name, backend) {
+  if (!backend || typeof backend.getCar !== 'function' || typeof backend.stat !== 'function') {
+    throw new Error(`Storage backend ${name} must provide getCar and stat`);
+  }
+  
+  BACKENDS[name] = () => backend;
+}
+
+/**
+ * Gets a storage backend
+ * @param {String} [name] - Backend name, the configured storage backend by default
+ * @returns {Object} - Storage backend
+ */
+function getStorageBackend(name = ConfigUtils.getStorageConfig().backend) {
+  const load = BACKENDS[name];
+  if (!load) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+  
+  return load();
+}
+
+/**
+ * Gets the names of the backends content is retrieved from, in the order they are tried
+ * @returns {Array<String>} - The storage backend followed by the retrieval fallbacks
+ */
+function getRetrievalBackendNames() {
+  const { backend, retrievalFallbacks } = ConfigUtils.getStorageConfig();
+  return [...new Set([backend, ...retrievalFallbacks])];
+}
+
+/**
+ * Fetches the CAR of stored content, trying the storage backend and then each retrieval fallback
+ * @param {String} cid - Root CID of the content
+ * @returns {Promise<Object>} - Path of the temporary CAR file and the name of the backend that served it
+ */
+async function fetchCar(cid) {
+  const errors = [];
+  
+  for (const name of getRetrievalBackendNames()) {
+    try {
+      const carPath = await getStorageBackend(name).getCar(cid);
+      return { carPath, backend: name };
+    } catch (error) {
+      console.warn(`Storage backend ${name} could not serve ${cid}: ${error.message}`);
+      errors.push(`${name}: ${error.message}`);
+    }
+  }
+  
+  throw new Error(`Content not retrievable from any storage backend (${errors.join('; ')})`);
+}
+
+/**
+ * Checks whether any retrieval backend holds content
+ * @param {String} cid - Root CID of the content
+ * @returns {Promise<String|null>} - Name of the first backend holding the content, or null
+ */
+async function findAvailableBackend(cid) {
+  for (const name of getRetrievalBackendNames()) {
+    try {
+      const { available } = await getStorageBackend(name).stat(cid);
+      if (available) {
+        return name;
+      }
+    } catch (error) {
+      console.warn(`Storage backend ${name} could not check ${cid}: ${error.message}`);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Removes a temporary CAR file
+ * @param {String} carPath - Path of the CAR file
+ * @returns {Promise<void>}
+ */
+async function removeCar(carPath) {
+  await FileUtils.removeTemp(carPath);
+}
+
+module.exports = {
+  registerStorageBackend,
+  getStorageBackend,
+  fetchCar,
+  findAvailableBackend,
+  removeCar
+};
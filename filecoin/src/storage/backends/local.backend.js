@@ -0,0 +1,83 @@
+/**
+ * @module storage/backends/local
+ * @description Local backend; keeps CAR files in a directory, so storage and retrieval work without network access
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CarParser = require('../../car/parser');
+const ConfigUtils = require('../../utils/config');
+const FileUtils = require('../../utils/file');
+
+const CID_PATTERN = /^[a-zA-Z0-9]+$/;
+
+/**
+ * Gets the path of stored content
+ * @private
+ * @param {String} cid - Root CID
+ * @returns {String} - Path of the CAR file
+ */
+function getCarPath(cid) {
+  // CIDs become file names, so anything else could point outside the store
+  if (typeof cid !== 'string' || !CID_PATTERN.test(cid)) {
+    throw new Error(`Invalid CID: ${cid}`);
+  }
+  
+  return path.join(ConfigUtils.getStorageConfig().localPath, `${cid}.car`);
+}
+
+/**
+ * Stores a CAR file under its root CID
+ * @param {String} carPath - Path to the CAR file
+ * @returns {Promise<Object>} - Root CID and CAR size
+ */
+async function putCar(carPath) {
+  const cid = await CarParser.getRootCid(carPath);
+  const storedPath = getCarPath(cid);
+  
+  await fs.promises.mkdir(path.dirname(storedPath), { recursive: true });
+  await fs.promises.copyFile(carPath, storedPath);
+  
+  const { size } = await fs.promises.stat(storedPath);
+  return { cid, size };
+}
+
+/**
+ * Copies stored content to a temporary CAR file
+ * @param {String} cid - Root CID
+ * @returns {Promise<String>} - Path of the temporary CAR file
+ */
+async function getCar(cid) {
+  const storedPath = getCarPath(cid);
+  if (!fs.existsSync(storedPath)) {
+    throw new Error(`Content not stored locally: ${cid}`);
+  }
+  
+  const carPath = await FileUtils.getTempFilePath('local', '.car');
+  await fs.promises.copyFile(storedPath, carPath);
+  return carPath;
+}
+
+/**
+ * Checks whether content is stored
+ * @param {String} cid - Root CID
+ * @returns {Promise<Object>} - Content status; local content has no deals
+ */
+async function stat(cid) {
+  try {
+    const { size } = await fs.promises.stat(getCarPath(cid));
+    return { cid, available: true, size, deals: [] };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    return { cid, available: false, size: null, deals: [] };
+  }
+}
+
+module.exports = {
+  name: 'local',
+  putCar,
+  getCar,
+  stat
+};
@@ -0,0 +1,118 @@
+/**
+ * @module storage/backends/lotus
+ * @description Lotus backend; imports CARs into a Lotus node and retrieves content from storage providers
+ */
+
+const fs = require('fs');
+const FilecoinRpcClient = require('../../rpc/client');
+const ConfigUtils = require('../../utils/config');
+const FileUtils = require('../../utils/file');
+
+let client = null;
+
+/**
+ * Gets the Lotus RPC client
+ * @private
+ * @returns {FilecoinRpcClient} - Client
+ */
+function getClient() {
+  if (!client) {
+    const { lotusApiUrl, lotusAuthToken } = ConfigUtils.getStorageConfig();
+    client = new FilecoinRpcClient(lotusApiUrl, lotusAuthToken);
+  }
+  
+  return client;
+}
+
+/**
+ * Imports a CAR file into the Lotus client store
+ * @param {String} carPath - Path to the CAR file
+ * @returns {Promise<Object>} - Root CID and CAR size
+ */
+async function putCar(carPath) {
+  const result = await getClient().call('Filecoin.ClientImport', [{ Path: carPath, IsCAR: true }]);
+  const { size } = await fs.promises.stat(carPath);
+  
+  return { cid: result.Root['/'], size };
+}
+
+/**
+ * Finds a retrieval offer for content
+ * @private
+ * @param {String} cid - Root CID
+ * @returns {Promise<Object>} - Retrieval offer
+ */
+async function findOffer(cid) {
+  const offers = await getClient().call('Filecoin.ClientFindData', [{ '/': cid }, null]);
+  const offer = (offers || []).find(entry => !entry.Err);
+  if (!offer) {
+    throw new Error(`No storage provider has a retrieval offer for ${cid}`);
+  }
+  
+  return offer;
+}
+
+/**
+ * Retrieves content from a storage provider as a CAR file
+ * @param {String} cid - Root CID
+ * @returns {Promise<String>} - Path of the temporary CAR file
+ */
+async function getCar(cid) {
+  const carPath = await FileUtils.getTempFilePath('retrieval', '.car');
+  
+  try {
+    const offer = await findOffer(cid);
+    
+    await getClient().call('Filecoin.ClientRetrieve', [{
+      Root: { '/': cid },
+      Piece: offer.Piece,
+      Size: offer.Size,
+      Total: offer.MinPrice,
+      UnsealPrice: offer.UnsealPrice,
+      PaymentInterval: offer.PaymentInterval,
+      PaymentIntervalIncrease: offer.PaymentIntervalIncrease,
+      Client: await getClient().call('Filecoin.WalletDefaultAddress'),
+      Miner: offer.Miner,
+      MinerPeer: offer.MinerPeer
+    }, { Path: carPath, IsCAR: true }]);
+    
+    if (!fs.existsSync(carPath)) {
+      throw new Error(`Retrieval from ${offer.Miner} produced no data`);
+    }
+    
+    return carPath;
+  } catch (error) {
+    await FileUtils.removeTemp(carPath);
+    throw error;
+  }
+}
+
+/**
+ * Checks whether the node or a storage provider holds content
+ * @param {String} cid - Root CID
+ * @returns {Promise<Object>} - Content status
+ */
+async function stat(cid) {
+  const local = await getClient().call('Filecoin.ClientHasLocal', [{ '/': cid }]);
+  let offer = null;
+  
+  try {
+    offer = await findOffer(cid);
+  } catch (error) {
+    // Content imported into the node is available without an offer
+  }
+  
+  return {
+    cid,
+    available: Boolean(local || offer),
+    size: offer ? offer.Size : null,
+    deals: []
+  };
+}
+
+module.exports = {
+  name: 'lotus',
+  putCar,
+  getCar,
+  stat
+};
@@ -0,0 +1,99 @@
+/**
+ * @module storage/backends/web3storage
+ * @description Web3.Storage backend; Web3.Storage pins uploaded content and makes Filecoin deals for it on its own
+ */
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Web3Storage } = require('web3.storage');
+const { CarIndexedReader } = require('@ipld/car');
+const ConfigUtils = require('../../utils/config');
+const FileUtils = require('../../utils/file');
+
+let client = null;
+
+/**
+ * Gets the Web3.Storage client
+ * @private
+ * @returns {Web3Storage} - Client
+ */
+function getClient() {
+  if (!client) {
+    const { token, endpoint } = ConfigUtils.getWeb3StorageConfig();
+    if (!token) {
+      throw new Error('Web3Storage token is required');
+    }
+    client = new Web3Storage({ token, endpoint: new URL(endpoint) });
+  }
+  
+  return client;
+}
+
+/**
+ * Uploads a CAR file, reading blocks from it as they are sent
+ * @param {String} carPath - Path to the CAR file
+ * @param {Object} [options] - Upload options
+ * @param {String} [options.name] - Upload name
+ * @returns {Promise<Object>} - Root CID and CAR size
+ */
+async function putCar(carPath, options = {}) {
+  const carReader = await CarIndexedReader.fromFile(carPath);
+  
+  try {
+    const cid = await getClient().putCar(carReader, { name: options.name });
+    const { size } = await fs.promises.stat(carPath);
+    return { cid, size };
+  } finally {
+    await carReader.close();
+  }
+}
+
+/**
+ * Downloads content as a CAR file
+ * @param {String} cid - Root CID
+ * @returns {Promise<String>} - Path of the temporary CAR file
+ */
+async function getCar(cid) {
+  const res = await getClient().get(cid);
+  if (!res || !res.ok) {
+    throw new Error(`Failed to get ${cid} from Web3.Storage: ${res ? res.statusText : 'not found'}`);
+  }
+  
+  const carPath = await FileUtils.getTempFilePath('web3storage', '.car');
+  try {
+    await pipeline(Readable.from(res.body), fs.createWriteStream(carPath));
+  } catch (error) {
+    await FileUtils.removeTemp(carPath);
+    throw error;
+  }
+  
+  return carPath;
+}
+
+/**
+ * Gets the size and deals of uploaded content
+ * @param {String} cid - Root CID
+ * @returns {Promise<Object>} - Content status
+ */
+async function stat(cid) {
+  const status = await getClient().status(cid);
+  
+  if (!status) {
+    return { cid, available: false, size: null, deals: [] };
+  }
+  
+  return {
+    cid,
+    available: status.dagSize > 0,
+    size: status.dagSize,
+    deals: status.deals || []
+  };
+}
+
+module.exports = {
+  name: 'web3storage',
+  putCar,
+  getCar,
+  stat
+};
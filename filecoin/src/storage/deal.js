@@ -3,21 +3,20 @@
  * @description Functions for creating and managing Filecoin storage deals
  */
 
-const { Web3Storage } = require('web3.storage');
 const { ethers } = require('ethers');
 const { makeRpcCall } = require('../rpc/client');
 const { getDealInfo, listMiners, getCurrentEpoch, waitForMessage } = require('../rpc/methods');
 const { generateCarFromData, generateCarFromDirectory, generateCarFromLargeFile } = require('../car/generator');
+const backends = require('./backends');
 const config = require('../utils/config');
 const cidUtils = require('../utils/cid');
 const conversion = require('../utils/conversion');
+const FileUtils = require('../utils/file');
 const fs = require('fs');
 const path = require('path');
 const { CarReader } = require('@ipld/car');
 const { CID } = require('multiformats/cid');
 const { sha256 } = require('multiformats/hashes/sha2');
-const { packToFs } = require('ipfs-car/pack/fs');
-const { unpackStream } = require('ipfs-car/unpack/stream');
 
 /**
  * Creates a new storage deal for a dataset
@@ -69,9 +68,9 @@ async function createStorageDeal(options) {
       ? dealParams.verifiedDeal 
       : configData.storage.defaultVerifiedDeal;
     
-    // Method 1: Use Web3.Storage for simple storage
+    // Method 1: Store with the configured storage backend
     if (!dealParams.minerId) {
-      return await createDealWithWeb3Storage(carResult, metadata, options);
+      return await createDealWithStorageBackend(carResult, metadata, options);
     }
     
     // Method 2: Create a custom deal with a specific miner
@@ -82,53 +81,40 @@ async function createStorageDeal(options) {
 }
 
 /**
- * Creates a storage deal using Web3.Storage
+ * Creates a storage deal by storing the CAR with the configured storage backend
  * @private
  * @param {Object} carResult - Result from CAR file generation
  * @param {Object} metadata - Dataset metadata
  * @param {Object} options - Original deal options
  * @returns {Promise<Object>} - Deal information
  */
-async function createDealWithWeb3Storage(carResult, metadata, options) {
+async function createDealWithStorageBackend(carResult, metadata, options) {
+  const backend = backends.getStorageBackend();
+  let carPath = carResult.path;
+  let tempCarPath = null;
+  
   try {
-    // Check if Web3.Storage token is available
-    const token = config.getConfig().web3Storage.token;
-    if (!token) {
-      throw new Error('Web3Storage token is required');
+    if (typeof backend.putCar !== 'function') {
+      throw new Error(`Storage backend ${backend.name} cannot store content`);
     }
     
-    // Create Web3.Storage client
-    const web3Storage = new Web3Storage({ token });
-    
-    // Create file object from CAR buffer
-    const file = new File([carResult.carBuffer], `${metadata.name}.car`, {
-      type: 'application/car'
-    });
-    
-    // Upload to Web3.Storage
-    const rootCid = await web3Storage.put([file], {
-      name: metadata.name,
-      onRootCidReady: cid => {
-        console.log('Root CID:', cid);
-      },
-      onStoredChunk: bytes => {
-        console.log('Stored bytes:', bytes);
-      }
-    });
+    // Backends upload from disk
+    if (!carPath) {
+      tempCarPath = await FileUtils.getTempFilePath('deal', '.car');
+      await fs.promises.writeFile(tempCarPath, carResult.carBuffer);
+      carPath = tempCarPath;
+    }
     
-    // Get the status of the upload which includes deal information
-    const status = await web3Storage.status(rootCid);
+    const { cid: rootCid } = await backend.putCar(carPath, { name: metadata.name });
     
-    // Get the deals information from the status
-    let dealId = null;
-    if (status && status.deals && status.deals.length > 0) {
-      dealId = status.deals[0].dealId;
-    }
+    // Backends that make deals on their own, like Web3.Storage, report them with the content status
+    const status = await backend.stat(rootCid);
+    const deals = status.deals || [];
     
     return {
       cid: rootCid,
-      dealId: dealId || `web3storage-${Date.now()}`,
-      provider: 'web3.storage',
+      dealId: deals.length > 0 ? deals[0].dealId : `${backend.name}-${Date.now()}`,
+      provider: backend.name,
       status: 'active',
       name: metadata.name,
       dataType: metadata.dataType,
@@ -136,11 +122,15 @@ async function createDealWithWeb3Storage(carResult, metadata, options) {
       size: carResult.carSize,
       paddedSize: carResult.pieceSize,
       created: new Date().toISOString(),
-      retrievalUrl: `https://${rootCid}.ipfs.dweb.link/`,
-      deals: status ? status.deals : []
+      retrievalUrl: `${config.getIpfsConfig().gateway.replace(/\/+$/, '')}/${rootCid}`,
+      deals
     };
   } catch (error) {
-    throw new Error(`Failed to create deal with Web3.Storage: ${error.message}`);
+    throw new Error(`Failed to create deal with storage backend ${backend.name}: ${error.message}`);
+  } finally {
+    if (tempCarPath) {
+      await FileUtils.removeTemp(tempCarPath);
+    }
   }
 }
 
@@ -3,19 +3,19 @@
  * @description Functions for retrieving data from Filecoin storage
  */
 
-const { Web3Storage } = require('web3.storage');
 const { ethers } = require('ethers');
 const { makeRpcCall } = require('../rpc/client');
 const { getDealInfo, getClientDeals, getCurrentEpoch } = require('../rpc/methods');
-const { extractFromCar, extractFileFromCar } = require('../car/parser');
+const CarParser = require('../car/parser');
+const backends = require('./backends');
 const config = require('../utils/config');
+const FileUtils = require('../utils/file');
 const cidUtils = require('../utils/cid');
 const fs = require('fs');
 const path = require('path');
 const stream = require('stream');
 const { promisify } = require('util');
 const pipeline = promisify(stream.pipeline);
-const axios = require('axios');
 
 /**
  * Retrieves data from Filecoin by CID
@@ -34,28 +34,20 @@ async function retrieveData(cid, options = {}) {
       throw new Error(`Invalid CID: ${cid}`);
     }
     
-    // Get configuration
-    const configData = config.getConfig();
+    // A specific miner is asked directly unless speed matters more than where the data comes from
+    if (options.preferredMiner && !options.fast) {
+      return await retrieveFromFilecoinDirect(cid, options);
+    }
     
-    // First, try Web3.Storage or gateways as they're simpler and faster
-    if (!options.preferredMiner || options.fast) {
-      try {
-        const data = await retrieveFromGateway(cid, options);
-        return data;
-      } catch (gatewayError) {
-        console.warn(`Failed to retrieve from gateway: ${gatewayError.message}. Trying Web3.Storage...`);
-        
-        try {
-          const data = await retrieveFromWeb3Storage(cid, options);
-          return data;
-        } catch (web3Error) {
-          console.warn(`Failed to retrieve from Web3.Storage: ${web3Error.message}. Trying direct retrieval...`);
-          // Continue to direct retrieval if Web3.Storage fails
-        }
+    try {
+      return await retrieveFromBackends(cid, options);
+    } catch (backendError) {
+      if (!options.preferredMiner) {
+        throw backendError;
       }
+      console.warn(`${backendError.message}. Trying direct retrieval...`);
     }
     
-    // If gateways and Web3.Storage failed or specific miner is requested, try direct retrieval
     return await retrieveFromFilecoinDirect(cid, options);
   } catch (error) {
     throw new Error(`Failed to retrieve data: ${error.message}`);
@@ -137,27 +129,12 @@ async function checkDataAvailability(cid) {
       throw new Error(`Invalid CID: ${cid}`);
     }
     
-    // First, check with gateways for faster response
-    try {
-      const isAvailableOnGateway = await checkAvailabilityOnGateway(cid);
-      if (isAvailableOnGateway) {
-        return true;
-      }
-    } catch (gatewayError) {
-      console.warn(`Gateway availability check failed: ${gatewayError.message}`);
-    }
-    
-    // Then, check with Web3.Storage
-    try {
-      const isAvailableOnWeb3 = await checkAvailabilityOnWeb3Storage(cid);
-      if (isAvailableOnWeb3) {
-        return true;
-      }
-    } catch (web3Error) {
-      console.warn(`Web3.Storage availability check failed: ${web3Error.message}`);
+    // First, check the storage backends content is retrieved from
+    if (await backends.findAvailableBackend(cid)) {
+      return true;
     }
     
-    // Finally, check for active deals on Filecoin
+    // Then, check for active deals on Filecoin
     try {
       // Find active deals for the CID
       const miners = await findStorageProvidersByCid(cid);
@@ -271,258 +248,67 @@ async function getRetrievalCost(cid, minerId) {
  * @returns {Promise<Buffer>} - File data
  */
 async function retrieveFileFromCid(cid, filePath) {
+  const outputDir = await FileUtils.getTempFilePath('file-retrieval');
+  let carPath = null;
+  
   try {
-    // Try to get the file from gateway (faster)
-    try {
-      const gatewayUrl = `https://dweb.link/ipfs/${cid}/${filePath}`;
-      
-      const response = await axios.get(gatewayUrl, {
-        responseType: 'arraybuffer',
-        timeout: 30000 // 30 seconds timeout
-      });
-      
-      if (response.status === 200) {
-        return Buffer.from(response.data);
-      }
-    } catch (error) {
-      console.warn(`Failed to retrieve file from gateway: ${error.message}`);
-      // Continue to Web3.Storage retrieval
-    }
+    const fetched = await backends.fetchCar(cid);
+    carPath = fetched.carPath;
     
-    // Try Web3.Storage
-    try {
-      // Get Web3.Storage token
-      const token = config.getConfig().web3Storage.token;
-      if (token) {
-        const web3Storage = new Web3Storage({ token });
-        
-        const res = await web3Storage.get(cid);
-        if (!res.ok) {
-          throw new Error(`Failed to get ${cid} from Web3.Storage`);
-        }
-        
-        const files = await res.files();
-        
-        // Find the file with the matching path
-        for (const file of files) {
-          if (file.name === filePath || file.path === filePath) {
-            return Buffer.from(await file.arrayBuffer());
-          }
-        }
-      }
-    } catch (error) {
-      console.warn(`Failed to retrieve file from Web3.Storage: ${error.message}`);
-      // Continue to Filecoin direct retrieval
-    }
-    
-    // If gateway and Web3.Storage fail, try direct retrieval from Filecoin
-    // using the Lotus API
-    
-    // First, find providers that have the data
-    const providers = await findStorageProvidersByCid(cid);
+    // Only the file's blocks are read from the CAR
+    const result = await CarParser.extractFiles(carPath, outputDir, { path: filePath });
+    const file = result.files.find(entry => entry.type === 'file');
     
-    if (providers.length === 0) {
-      throw new Error(`No storage providers found for CID: ${cid}`);
+    if (!file) {
+      const reason = result.missingBlocks.length > 0 ? `missing blocks ${result.missingBlocks.join(', ')}` : 'not a file';
+      throw new Error(`${filePath} could not be read from ${fetched.backend}: ${reason}`);
     }
     
-    // Retrieve the entire dataset to a temporary location
-    const tempDir = path.join(config.ensureTempDir(), `file-retrieval-${Date.now()}`);
-    fs.mkdirSync(tempDir, { recursive: true });
-    
-    const datasetPath = path.join(tempDir, 'dataset');
-    
-    try {
-      // Retrieve the entire dataset
-      await retrieveFromFilecoinDirect(cid, {
-        outputPath: datasetPath,
-        preferredMiner: providers[0], // Use the first available provider
-        returnBuffer: false
-      });
-      
-      // Extract the specific file
-      const filePaths = [];
-      
-      // Try to find the file in various locations in the dataset
-      if (fs.existsSync(path.join(datasetPath, filePath))) {
-        return fs.readFileSync(path.join(datasetPath, filePath));
-      }
-      
-      // Check if the file might be in a directory structure
-      function findFileRecursive(dir, targetFile) {
-        const entries = fs.readdirSync(dir, { withFileTypes: true });
-        
-        for (const entry of entries) {
-          const fullPath = path.join(dir, entry.name);
-          
-          if (entry.isDirectory()) {
-            const found = findFileRecursive(fullPath, targetFile);
-            if (found) return found;
-          } else if (entry.name === targetFile || entry.name === path.basename(targetFile)) {
-            filePaths.push(fullPath);
-          }
-        }
-        
-        return filePaths.length > 0 ? filePaths[0] : null;
-      }
-      
-      const foundPath = findFileRecursive(datasetPath, path.basename(filePath));
-      
-      if (foundPath) {
-        return fs.readFileSync(foundPath);
-      }
-      
-      throw new Error(`File not found in dataset: ${filePath}`);
-    } finally {
-      // Clean up temporary directory
-      try {
-        if (fs.existsSync(tempDir)) {
-          fs.rmSync(tempDir, { recursive: true, force: true });
-        }
-      } catch (cleanupError) {
-        console.warn(`Failed to clean up temp directory: ${cleanupError.message}`);
-      }
-    }
+    return await fs.promises.readFile(file.path);
   } catch (error) {
     throw new Error(`Failed to retrieve file: ${error.message}`);
-  }
-}
-
-/**
- * Retrieves data using an IPFS gateway
- * @private
- * @param {String} cid - Content ID to retrieve
- * @param {Object} options - Retrieval options
- * @returns {Promise<Buffer|String>} - Retrieved data or file path
- */
-async function retrieveFromGateway(cid, options = {}) {
-  const gateways = [
-    `https://dweb.link/ipfs/${cid}`,
-    `https://ipfs.io/ipfs/${cid}`,
-    `https://cloudflare-ipfs.com/ipfs/${cid}`,
-    `https://${cid}.ipfs.dweb.link`
-  ];
-  
-  // Determine output path
-  const outputPath = options.outputPath || path.join(config.ensureTempDir(), `retrieved-${cid}`);
-  
-  // Try each gateway until one works
-  let lastError;
-  
-  for (const gatewayUrl of gateways) {
-    try {
-      // Request the data
-      const response = await axios({
-        method: 'get',
-        url: gatewayUrl,
-        responseType: 'arraybuffer',
-        timeout: 30000 // 30 seconds timeout
-      });
-      
-      // If we need to save to file
-      if (outputPath) {
-        if (!fs.existsSync(path.dirname(outputPath))) {
-          fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-        }
-        
-        fs.writeFileSync(outputPath, Buffer.from(response.data));
-        
-        if (!options.returnBuffer) {
-          return outputPath;
-        }
-      }
-      
-      return Buffer.from(response.data);
-    } catch (error) {
-      lastError = error;
-      continue;
+  } finally {
+    if (carPath) {
+      await backends.removeCar(carPath);
     }
+    await FileUtils.removeTemp(outputDir);
   }
-  
-  throw new Error(`Failed to retrieve from any gateway: ${lastError?.message}`);
 }
 
 /**
- * Retrieves data using Web3.Storage
+ * Retrieves data as a CAR from the configured storage backends and unpacks it
  * @private
  * @param {String} cid - Content ID to retrieve
  * @param {Object} options - Retrieval options
- * @returns {Promise<Buffer|String>} - Retrieved data or file path
+ * @returns {Promise<Buffer|String>} - Retrieved data, or the directory it was unpacked to
  */
-async function retrieveFromWeb3Storage(cid, options = {}) {
-  // Get Web3.Storage token
-  const token = config.getConfig().web3Storage.token;
-  if (!token) {
-    throw new Error('Web3Storage token is required');
-  }
-  
-  // Create Web3.Storage client
-  const web3Storage = new Web3Storage({ token });
-  
-  // Determine output path
-  const outputPath = options.outputPath || path.join(config.ensureTempDir(), `retrieved-${cid}`);
+async function retrieveFromBackends(cid, options = {}) {
+  const { carPath, backend } = await backends.fetchCar(cid);
+  const outputDir = options.outputPath || await FileUtils.getTempFilePath(`retrieved-${cid}`);
   
   try {
-    // Retrieve the CID from Web3.Storage
-    const res = await web3Storage.get(cid);
+    const result = await CarParser.extractFiles(carPath, outputDir);
     
-    if (!res.ok) {
-      throw new Error(`Failed to get ${cid} from Web3.Storage`);
+    if (result.incomplete.length > 0) {
+      throw new Error(`Content from ${backend} is missing blocks: ${result.missingBlocks.join(', ')}`);
     }
     
-    // Get the files
-    const files = await res.files();
+    if (options.outputPath && !options.returnBuffer) {
+      return options.outputPath;
+    }
     
-    if (files.length === 0) {
+    // A directory is returned as its first file when a buffer is asked for
+    const file = result.files.find(entry => entry.type === 'file');
+    if (!file) {
       throw new Error(`No files found for CID: ${cid}`);
     }
     
-    // If we need to save to file(s)
-    if (outputPath) {
-      if (!fs.existsSync(path.dirname(outputPath))) {
-        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-      }
-      
-      // If it's a single file or we're requesting it as one
-      if (files.length === 1 || !fs.statSync(outputPath).isDirectory()) {
-        const content = await files[0].arrayBuffer();
-        fs.writeFileSync(outputPath, Buffer.from(content));
-        
-        if (!options.returnBuffer) {
-          return outputPath;
-        }
-        
-        return Buffer.from(content);
-      }
-      
-      // If it's multiple files and we're saving to a directory
-      fs.mkdirSync(outputPath, { recursive: true });
-      
-      for (const file of files) {
-        const filePath = path.join(outputPath, file.name);
-        const fileDir = path.dirname(filePath);
-        
-        if (!fs.existsSync(fileDir)) {
-          fs.mkdirSync(fileDir, { recursive: true });
-        }
-        
-        const content = await file.arrayBuffer();
-        fs.writeFileSync(filePath, Buffer.from(content));
-      }
-      
-      if (!options.returnBuffer) {
-        return outputPath;
-      }
-      
-      // If returnBuffer is true but we have multiple files, return the first one
-      const mainContent = await files[0].arrayBuffer();
-      return Buffer.from(mainContent);
+    return await fs.promises.readFile(file.path);
+  } finally {
+    await backends.removeCar(carPath);
+    if (!options.outputPath) {
+      await FileUtils.removeTemp(outputDir);
     }
-    
-    // If no outputPath and we have a single file
-    const content = await files[0].arrayBuffer();
-    return Buffer.from(content);
-  } catch (error) {
-    throw new Error(`Failed to retrieve from Web3.Storage: ${error.message}`);
   }
 }
 
@@ -650,63 +436,6 @@ async function retrieveFromFilecoinDirect(cid, options = {}) {
   }
 }
 
-/**
- * Checks if data is available on Web3.Storage
- * @private
- * @param {String} cid - Content ID to check
- * @returns {Promise<Boolean>} - Whether the data is available
- */
-async function checkAvailabilityOnWeb3Storage(cid) {
-  try {
-    // Get Web3.Storage token
-    const token = config.getConfig().web3Storage.token;
-    if (!token) {
-      return false;
-    }
-    
-    // Create Web3.Storage client
-    const web3Storage = new Web3Storage({ token });
-    
-    // Try to check status
-    const status = await web3Storage.status(cid);
-    return status && status.dagSize > 0;
-  } catch (error) {
-    return false;
-  }
-}
-
-/**
- * Checks if data is available on IPFS gateways
- * @private
- * @param {String} cid - Content ID to check
- * @returns {Promise<Boolean>} - Whether the data is available
- */
-async function checkAvailabilityOnGateway(cid) {
-  const gateways = [
-    `https://dweb.link/ipfs/${cid}`,
-    `https://ipfs.io/ipfs/${cid}/`,
-    `https://cloudflare-ipfs.com/ipfs/${cid}/`,
-    `https://${cid}.ipfs.dweb.link/`
-  ];
-  
-  // Try each gateway with a HEAD request
-  for (const gateway of gateways) {
-    try {
-      const response = await axios.head(gateway, {
-        timeout: 5000 // 5 seconds timeout
-      });
-      
-      if (response.status === 200) {
-        return true;
-      }
-    } catch (error) {
-      // Continue to next gateway
-    }
-  }
-  
-  return false;
-}
-
 /**
  * Filters deals by CID
  * @private
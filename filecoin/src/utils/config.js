@@ -1,5 +1,8 @@
 // filecoin/src/utils/config.js
 
+const os = require('os');
+const path = require('path');
+
 /**
  * Configuration utilities for Filecoin integration
  */
@@ -46,6 +49,26 @@ class ConfigUtils {
       };
     }
   
+    /**
+     * Get storage backend configuration
+     * Uses the same variables as the backend service, so both store and retrieve content the same way
+     * @returns {Object} - Storage backend configuration
+     */
+    static getStorageConfig() {
+      return {
+        backend: process.env.STORAGE_BACKEND || 'web3storage',
+        retrievalFallbacks: (process.env.STORAGE_RETRIEVAL_FALLBACKS || 'gateway,lotus')
+          .split(',')
+          .map(name => name.trim())
+          .filter(Boolean),
+        localPath: process.env.LOCAL_STORAGE_PATH || path.join(os.tmpdir(), 'filecoin-storage'),
+        lotusApiUrl: process.env.LOTUS_API_URL ||
+                     ConfigUtils.getFilecoinApiEndpoint(process.env.FILECOIN_NETWORK || 'calibrationnet'),
+        lotusAuthToken: process.env.LOTUS_AUTH_TOKEN || null,
+        tempDir: process.env.FILECOIN_TEMP_DIR || path.join(os.tmpdir(), 'filecoin'),
+      };
+    }
+  
     /**
      * Get deal making configuration
      * @returns {Object} - Deal configuration
@@ -1,7 +1,6 @@
 // filecoin/src/utils/conversion.js
 
 const { FilecoinNumber } = require('@glif/filecoin-number');
-const { fromFil, toFil } = require('@glif/filecoin-number/dist/utils');
 const { FilecoinAddress } = require('@glif/filecoin-address');
 const uint8arrays = require('uint8arrays');
 
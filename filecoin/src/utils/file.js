@@ -0,0 +1,40 @@
+// filecoin/src/utils/file.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ConfigUtils = require('./config');
+
+/**
+ * File utilities for Filecoin integration
+ */
+class FileUtils {
+  /**
+   * Get a path for a temporary file or directory
+   * @param {string} [prefix='tmp'] - File prefix
+   * @param {string} [extension=''] - File extension
+   * @returns {Promise<string>} - Temporary path; the caller removes what it creates there
+   */
+  static async getTempFilePath(prefix = 'tmp', extension = '') {
+    const { tempDir } = ConfigUtils.getStorageConfig();
+    await fs.promises.mkdir(tempDir, { recursive: true });
+    
+    const filename = `${prefix}-${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+    return path.join(tempDir, filename);
+  }
+  
+  /**
+   * Remove a temporary file or directory
+   * @param {string} tempPath - Path to remove
+   * @returns {Promise<void>}
+   */
+  static async removeTemp(tempPath) {
+    try {
+      await fs.promises.rm(tempPath, { recursive: true, force: true });
+    } catch (error) {
+      console.warn(`Failed to clean up ${tempPath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = FileUtils;
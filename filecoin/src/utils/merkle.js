@@ -98,35 +98,25 @@ class MerkleTree {
    */
   _buildTree(leaves) {
     // Make a copy to avoid modifying the input
-    const nodes = [...leaves];
+    let nodes = [...leaves];
     const layers = [nodes];
     
-    // Ensure even number of nodes at each level by duplicating the last node if necessary
-    if (nodes.length % 2 === 1) {
-      nodes.push(nodes[nodes.length - 1]);
-    }
-    
     // Build the tree layer by layer, from bottom to top
     while (nodes.length > 1) {
-      const layerIndex = layers.length;
-      layers[layerIndex] = [];
+      // Duplicate the last node of an odd layer; it stays in the layer so proofs can use it as a sibling
+      if (nodes.length % 2 === 1) {
+        nodes.push(nodes[nodes.length - 1]);
+      }
       
+      const parents = [];
       for (let i = 0; i < nodes.length; i += 2) {
-        if (i + 1 < nodes.length) {
-          // Join two nodes and hash them to create a parent node
-          layers[layerIndex].push(
-            this.hashFunction(Buffer.concat([nodes[i], nodes[i + 1]]))
-          );
-        } else {
-          // If there's an odd number of nodes, duplicate the last one
-          layers[layerIndex].push(
-            this.hashFunction(Buffer.concat([nodes[i], nodes[i]]))
-          );
-        }
+        // Join two nodes and hash them to create a parent node
+        parents.push(this.hashFunction(Buffer.concat([nodes[i], nodes[i + 1]])));
       }
       
       // Move up one layer
-      nodes = layers[layerIndex];
+      layers.push(parents);
+      nodes = parents;
     }
     
     return layers;
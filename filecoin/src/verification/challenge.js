@@ -0,0 +1,203 @@
+/**
+ * @module verification/challenge
+ * @description Random-offset storage challenges over the blocks of a CAR file
+ *
+ * Blocks are laid out in CID order, so a commitment does not depend on the order a CAR holds
+ * them in. The data owner commits to a CAR by building a Merkle tree whose leaves hash each
+ * block together with its byte offset in that layout. A verifier derives challenged offsets
+ * from a fresh seed; the prover answers each with the block covering that offset and the
+ * Merkle path from the block to the committed root.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { CarBlockIterator } = require('@ipld/car');
+const { MerkleTree } = require('../utils/merkle');
+
+const DEFAULT_CHALLENGE_COUNT = 16;
+
+/**
+ * SHA256 hash function used for challenge trees
+ * @param {Buffer} data - Data to hash
+ * @returns {Buffer} - Hashed data
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
+
+/**
+ * Hashes a block into a tree leaf, binding it to where it starts in the layout
+ * @param {Number} start - Offset of the block's first byte
+ * @param {Buffer} digest - SHA256 digest of the block data
+ * @returns {Buffer} - Leaf hash
+ */
+function hashLeaf(start, digest) {
+  const prefix = Buffer.alloc(8);
+  prefix.writeBigUInt64BE(BigInt(start));
+  
+  return sha256(Buffer.concat([prefix, digest]));
+}
+
+/**
+ * Reads the blocks of a CAR file one at a time, skipping repeated blocks
+ * @param {String} carPath - Path to the CAR file
+ * @returns {AsyncGenerator<Object>} - Blocks with their CID and bytes
+ */
+async function* readBlocks(carPath) {
+  const blocks = await CarBlockIterator.fromIterable(fs.createReadStream(carPath));
+  const seen = new Set();
+  
+  for await (const { cid, bytes } of blocks) {
+    const key = cid.toString();
+    
+    if (!seen.has(key)) {
+      seen.add(key);
+      yield { cid, bytes };
+    }
+  }
+}
+
+/**
+ * Builds the challenge tree of a CAR file
+ * Only CIDs, sizes and digests are kept in memory, never block data
+ * @param {String} carPath - Path to the CAR file
+ * @returns {Promise<Object>} - Tree, blocks in layout order with their start offsets, and total block data size
+ */
+async function buildBlockTree(carPath) {
+  const blocks = [];
+  
+  for await (const { cid, bytes } of readBlocks(carPath)) {
+    blocks.push({ cid: cid.toString(), cidBytes: Buffer.from(cid.bytes), size: bytes.length, digest: sha256(bytes) });
+  }
+  
+  blocks.sort((a, b) => Buffer.compare(a.cidBytes, b.cidBytes));
+  
+  const leaves = [];
+  let dataSize = 0;
+  
+  for (const block of blocks) {
+    block.start = dataSize;
+    leaves.push(hashLeaf(dataSize, block.digest));
+    dataSize += block.size;
+  }
+  
+  if (dataSize === 0) {
+    throw new Error('CAR file has no block data');
+  }
+  
+  return {
+    tree: new MerkleTree(leaves, sha256, false),
+    blocks,
+    dataSize
+  };
+}
+
+/**
+ * Computes the commitment a CAR file is later challenged against
+ * @param {String} carPath - Path to the CAR file
+ * @returns {Promise<Object>} - Merkle root, block count and total block data size
+ */
+async function commitCar(carPath) {
+  try {
+    const { tree, blocks, dataSize } = await buildBlockTree(carPath);
+    
+    return {
+      root: tree.getHexRoot(),
+      blockCount: blocks.length,
+      dataSize
+    };
+  } catch (error) {
+    throw new Error(`Failed to commit CAR file: ${error.message}`);
+  }
+}
+
+/**
+ * Creates a challenge against a stored commitment with a fresh random seed
+ * @param {Object} commitment - Commitment from commitCar
+ * @param {Number} [count=16] - Number of offsets to challenge
+ * @returns {Object} - Challenge with the commitment, seed and count
+ */
+function createChallenge(commitment, count = DEFAULT_CHALLENGE_COUNT) {
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Challenge count must be a positive integer');
+  }
+  
+  return {
+    root: commitment.root,
+    blockCount: commitment.blockCount,
+    dataSize: commitment.dataSize,
+    seed: '0x' + crypto.randomBytes(32).toString('hex'),
+    count
+  };
+}
+
+/**
+ * Derives the challenged byte offsets from a seed
+ * @param {String} seed - Hex challenge seed
+ * @param {Number} count - Number of offsets
+ * @param {Number} dataSize - Total block data size
+ * @returns {Array<Number>} - Challenged offsets
+ */
+function deriveOffsets(seed, count, dataSize) {
+  const seedBytes = Buffer.from(seed.replace(/^0x/, ''), 'hex');
+  const offsets = [];
+  
+  for (let i = 0; i < count; i++) {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(i);
+    
+    const digest = sha256(Buffer.concat([seedBytes, counter]));
+    offsets.push(Number(digest.readBigUInt64BE(0) % BigInt(dataSize)));
+  }
+  
+  return offsets;
+}
+
+/**
+ * Computes the sibling positions a valid proof for a leaf must have
+ * Tying the positions to the leaf index stops a prover from answering with a different leaf
+ * @param {Number} leafIndex - Index of the leaf
+ * @param {Number} blockCount - Number of leaves in the tree
+ * @returns {Array<Number>} - Positions (0 for a left sibling, 1 for a right sibling)
+ */
+function expectedPositions(leafIndex, blockCount) {
+  const positions = [];
+  let index = leafIndex;
+  let width = blockCount;
+  
+  while (width > 1) {
+    positions.push(index % 2 === 0 ? 1 : 0);
+    index = Math.floor(index / 2);
+    width = Math.ceil(width / 2);
+  }
+  
+  return positions;
+}
+
+/**
+ * Computes the digest a prover signs over its answers
+ * @param {String} seed - Hex challenge seed
+ * @param {String} root - Hex Merkle root
+ * @param {Array<Buffer>} leaves - Leaf hashes of the answered blocks, in challenge order
+ * @returns {String} - Hex digest
+ */
+function responseDigest(seed, root, leaves) {
+  return '0x' + sha256(Buffer.concat([
+    Buffer.from(seed.replace(/^0x/, ''), 'hex'),
+    Buffer.from(root.replace(/^0x/, ''), 'hex'),
+    ...leaves
+  ])).toString('hex');
+}
+
+module.exports = {
+  DEFAULT_CHALLENGE_COUNT,
+  sha256,
+  hashLeaf,
+  readBlocks,
+  buildBlockTree,
+  commitCar,
+  createChallenge,
+  deriveOffsets,
+  expectedPositions,
+  responseDigest
+};
@@ -13,6 +13,7 @@ const { getDealInfo } = require('../rpc/methods');
 const config = require('../utils/config');
 const cidUtils = require('../utils/cid');
 const { MerkleTree, MultiLevelMerkleTree } = require('../utils/merkle');
+const { buildBlockTree, readBlocks, deriveOffsets, responseDigest } = require('./challenge');
 const fs = require('fs');
 const path = require('path');
 const { CarReader } = require('@ipld/car');
@@ -338,11 +339,16 @@ async function generateMerkleProof(data, parentCid) {
 }
 
 /**
- * Generates a proof of data possession
+ * Generates a proof of data possession answering a random-offset challenge
+ * Each challenged offset is answered with the block covering it and the block's Merkle path
+ * to the root of the CAR's challenge tree, so only a prover holding every block can pass.
  * @param {String} cid - Content ID of the data
- * @param {Object} [options] - Proof options
+ * @param {Object} options - Proof options
+ * @param {Object} options.challenge - Challenge from the verifier, see challenge.createChallenge
+ * @param {String} options.challenge.seed - Hex challenge seed
+ * @param {Number} options.challenge.count - Number of challenged offsets
+ * @param {String} [options.carPath] - CAR file holding the data; exported from Lotus when omitted
  * @param {String} [options.proverAddress] - Address proving possession
- * @param {Number} [options.randomSeed] - Random seed for challenge
  * @returns {Promise<Object>} - Possession proof
  */
 async function generatePossessionProof(cid, options = {}) {
@@ -354,32 +360,21 @@ async function generatePossessionProof(cid, options = {}) {
       throw new Error('Prover address is required');
     }
     
-    // Random seed for challenge
-    const randomSeed = options.randomSeed || Math.floor(Math.random() * 1000000);
+    const { challenge } = options;
     
-    // Create a cryptographic challenge based on the CID and random seed
-    const challenge = ethers.utils.keccak256(
-      ethers.utils.defaultAbiCoder.encode(
-        ['string', 'uint256', 'address'],
-        [cid, randomSeed, proverAddress]
-      )
-    );
+    if (!challenge || !challenge.seed || !challenge.count) {
+      throw new Error('A challenge with a seed and count is required');
+    }
     
-    // For a real possession proof, we need to get a sample of the actual data
     const configData = config.getConfig();
     const tempDir = configData.tempDir || path.join(process.cwd(), 'temp');
-    
-    // Create a temporary directory for the proof data
     const retrievalDir = path.join(tempDir, `possession-${Date.now()}`);
-    fs.mkdirSync(retrievalDir, { recursive: true });
+    let carPath = options.carPath;
     
     try {
-      // Get data samples from multiple sources for robust proofs
-      const dataSamples = [];
-      
-      // 1. Try to retrieve via Filecoin API
-      try {
-        const carPath = path.join(retrievalDir, 'data.car');
+      if (!carPath) {
+        fs.mkdirSync(retrievalDir, { recursive: true });
+        carPath = path.join(retrievalDir, 'data.car');
         
         await makeRpcCall('ClientExport', [
           {
@@ -388,68 +383,66 @@ async function generatePossessionProof(cid, options = {}) {
           },
           carPath
         ]);
-        
-        if (fs.existsSync(carPath)) {
-          // Get a sample of the file - first 8KB
-          const buffer = Buffer.alloc(8192); // 8KB
-          const fd = fs.openSync(carPath, 'r');
-          fs.readSync(fd, buffer, 0, 8192, 0);
-          fs.closeSync(fd);
-          
-          dataSamples.push({
-            source: 'filecoin',
-            sample: buffer
-          });
-        }
-      } catch (filecoinError) {
-        console.warn(`Failed to retrieve via Filecoin: ${filecoinError.message}`);
       }
       
-      // 2. Try to retrieve via IPFS gateway
-      try {
-        const response = await fetch(`https://dweb.link/ipfs/${cid}`, {
-          method: 'GET',
-          headers: {
-            'Range': 'bytes=0-8191' // Get first 8KB
-          }
-        });
+      if (!fs.existsSync(carPath)) {
+        throw new Error('Data is not available to the prover');
+      }
+      
+      // First pass: block digests and layout for the tree
+      const { tree, blocks, dataSize } = await buildBlockTree(carPath);
+      const root = tree.getHexRoot();
+      
+      // Map each challenged offset to the block covering it
+      const offsets = deriveOffsets(challenge.seed, challenge.count, dataSize);
+      const leafIndexes = offsets.map(offset => {
+        let low = 0;
+        let high = blocks.length - 1;
         
-        if (response.ok) {
-          const buffer = await response.arrayBuffer();
-          
-          dataSamples.push({
-            source: 'ipfs-gateway',
-            sample: Buffer.from(buffer)
-          });
+        while (low < high) {
+          const middle = Math.ceil((low + high) / 2);
+          if (blocks[middle].start <= offset) {
+            low = middle;
+          } else {
+            high = middle - 1;
+          }
         }
-      } catch (gatewayError) {
-        console.warn(`Failed to retrieve via gateway: ${gatewayError.message}`);
-      }
+        
+        return low;
+      });
       
-      // If we couldn't get any samples, create a dummy one
-      if (dataSamples.length === 0) {
-        dataSamples.push({
-          source: 'dummy',
-          sample: Buffer.from(cid)
-        });
+      // Second pass: read only the challenged blocks
+      const wanted = new Set(leafIndexes.map(index => blocks[index].cid));
+      const found = new Map();
+      
+      for await (const block of readBlocks(carPath)) {
+        const blockCid = block.cid.toString();
+        
+        if (wanted.has(blockCid)) {
+          found.set(blockCid, block.bytes);
+        }
       }
       
-      // Hash each sample and create multi-layer proof
-      const sampleHashes = dataSamples.map(sample => {
+      const challenges = offsets.map((offset, i) => {
+        const block = blocks[leafIndexes[i]];
+        const proof = tree.getHexProof(leafIndexes[i]);
+        
         return {
-          source: sample.source,
-          hash: crypto.createHash('sha256').update(sample.sample).digest('hex')
+          offset,
+          leafIndex: leafIndexes[i],
+          start: block.start,
+          cid: block.cid,
+          block: Buffer.from(found.get(block.cid)).toString('base64'),
+          siblings: proof.siblings,
+          positions: proof.positions
         };
       });
       
-      // Combine all hashes with the challenge
-      const combinedData = Buffer.concat([
-        Buffer.from(challenge.slice(2), 'hex'), // Remove 0x prefix
-        ...sampleHashes.map(sample => Buffer.from(sample.hash, 'hex'))
-      ]);
-      
-      // Create the response by hashing the combined data
-      const response = '0x' + crypto.createHash('sha256').update(combinedData).digest('hex');
+      const response = responseDigest(
+        challenge.seed,
+        root,
+        leafIndexes.map(index => tree.getLeaf(index))
+      );
       
       // Sign the response with our private key
       const privateKey = config.getConfig().auth.privateKey;
@@ -465,14 +458,15 @@ async function generatePossessionProof(cid, options = {}) {
       return {
         cid,
         prover: proverAddress,
-        challenge,
+        seed: challenge.seed,
+        root,
+        blockCount: blocks.length,
+        dataSize,
+        challenges,
         response,
         signature,
         timestamp: Date.now(),
-        randomSeed,
-        method: 'data-sample',
-        samples: sampleHashes,
-        samplesCount: sampleHashes.length
+        method: 'merkle-challenge'
       };
     } finally {
       // Clean up temporary directory
@@ -638,6 +632,11 @@ function serializeProof(proof) {
       );
     }
     
+    // Challenge proofs carry blocks and paths, which are kept as hex-encoded JSON
+    if (proof.method === 'merkle-challenge') {
+      return '0x' + Buffer.from(JSON.stringify(proof)).toString('hex');
+    }
+    
     // For possession proofs, serialize differently
     if (proof.challenge && proof.response) {
       return ethers.utils.defaultAbiCoder.encode(
@@ -12,6 +12,7 @@ const { getDealInfo } = require('../rpc/methods');
 const config = require('../utils/config');
 const cidUtils = require('../utils/cid');
 const { MerkleTree } = require('../utils/merkle');
+const { sha256, hashLeaf, deriveOffsets, expectedPositions, responseDigest } = require('./challenge');
 const crypto = require('crypto');
 
 /**
@@ -153,56 +154,72 @@ function verifyMerkleProof(proof, leaf, root) {
 }
 
 /**
- * Verifies a proof of data possession
+ * Verifies a proof of data possession against a challenge and the stored commitment
+ * Every challenged offset must be answered by the block covering it, with a Merkle path
+ * from that block to the committed root.
  * @param {Object} proof - The possession proof
  * @param {String} cid - Content ID of the data
  * @param {String} proverAddress - Address claiming possession
+ * @param {Object} challenge - The issued challenge, see challenge.createChallenge
+ * @param {String} challenge.root - Stored Merkle root of the CAR's challenge tree
+ * @param {Number} challenge.blockCount - Stored number of blocks
+ * @param {Number} challenge.dataSize - Stored total block data size
+ * @param {String} challenge.seed - Hex challenge seed
+ * @param {Number} challenge.count - Number of challenged offsets
  * @returns {Promise<Boolean>} - Whether the proof is valid
  */
-async function verifyPossessionProof(proof, cid, proverAddress) {
+async function verifyPossessionProof(proof, cid, proverAddress, challenge) {
   try {
     // Verify proof structure
-    if (!proof || !proof.challenge || !proof.response || !proof.signature) {
+    if (!proof || proof.method !== 'merkle-challenge' || !Array.isArray(proof.challenges) ||
+        !proof.response || !proof.signature || !challenge) {
       return false;
     }
     
     // Check CID and prover address match
-    if (proof.cid !== cid || proof.prover !== proverAddress) {
+    if (proof.cid !== cid || proof.prover.toLowerCase() !== proverAddress.toLowerCase()) {
       return false;
     }
     
-    // Verify the challenge matches our expectations
-    const expectedChallenge = ethers.utils.keccak256(
-      ethers.utils.defaultAbiCoder.encode(
-        ['string', 'uint256', 'address'],
-        [cid, proof.randomSeed, proverAddress]
-      )
-    );
-    
-    if (expectedChallenge !== proof.challenge) {
+    // The proof must answer the challenge we issued, against the root we stored
+    if (proof.seed !== challenge.seed || proof.challenges.length !== challenge.count ||
+        proof.root.toLowerCase() !== challenge.root.toLowerCase()) {
       return false;
     }
     
-    // For data sample proofs
-    if (proof.method === 'data-sample' && proof.samples) {
-      // Verify the response construction
-      // We need to reconstruct the same hash that was used to create the response
-      if (!proof.samples || !proof.samples.length) {
+    const offsets = deriveOffsets(challenge.seed, challenge.count, challenge.dataSize);
+    const leaves = [];
+    
+    for (let i = 0; i < offsets.length; i++) {
+      const answer = proof.challenges[i];
+      const block = Buffer.from(answer.block || '', 'base64');
+      
+      // The block must cover the challenged offset
+      if (answer.offset !== offsets[i] || answer.start > offsets[i] || answer.start + block.length <= offsets[i]) {
         return false;
       }
       
-      // Reconstruct the combined data
-      const combinedData = Buffer.concat([
-        Buffer.from(proof.challenge.slice(2), 'hex'), // Remove 0x prefix
-        ...proof.samples.map(sample => Buffer.from(sample.hash, 'hex'))
-      ]);
+      if (!Number.isInteger(answer.leafIndex) || answer.leafIndex < 0 || answer.leafIndex >= challenge.blockCount) {
+        return false;
+      }
       
-      // Calculate the expected response
-      const expectedResponse = '0x' + crypto.createHash('sha256').update(combinedData).digest('hex');
+      const positions = expectedPositions(answer.leafIndex, challenge.blockCount);
+      if (answer.positions.length !== positions.length ||
+          answer.positions.some((position, level) => position !== positions[level])) {
+        return false;
+      }
       
-      if (expectedResponse !== proof.response) {
+      const leaf = hashLeaf(answer.start, sha256(block));
+      if (!MerkleTree.verify(leaf, answer.siblings, positions, challenge.root, sha256)) {
         return false;
       }
+      
+      leaves.push(leaf);
+    }
+    
+    // The signed response must cover exactly these answers
+    if (responseDigest(challenge.seed, challenge.root, leaves) !== proof.response) {
+      return false;
     }
     
     // Verify the signature
@@ -437,6 +454,7 @@ function deserializeProof(serializedProof) {
  * @param {String} [params.dealId] - Deal ID for inclusion proofs
  * @param {String} [params.cid] - Content ID for inclusion/possession proofs
  * @param {String} [params.proverAddress] - Prover address for possession proofs
+ * @param {Object} [params.challenge] - Issued challenge for possession proofs
  * @returns {Promise<Boolean>} - Whether the proof is valid
  */
 async function verifySerializedProof(serializedProof, params = {}) {
@@ -455,12 +473,13 @@ async function verifySerializedProof(serializedProof, params = {}) {
         params.leaf || proof.leaf,
         proof.root
       );
-    } else if (proof.type === 'possession' || (proof.challenge && proof.response)) {
+    } else if (proof.method === 'merkle-challenge') {
       // It's a possession proof
       return verifyPossessionProof(
         proof,
         params.cid || proof.cid,
-        params.proverAddress || proof.prover
+        params.proverAddress || proof.prover,
+        params.challenge
       );
     } else if (proof.dealId && proof.pieceCID) {
       // It's likely an inclusion proof
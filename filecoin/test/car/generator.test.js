@@ -0,0 +1,62 @@
+/**
+ * CAR generation round-trip test
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const CarGenerator = require('../../src/car/generator');
+const CarParser = require('../../src/car/parser');
+
+describe('CarGenerator', () => {
+  let workDir;
+  
+  beforeEach(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'car-generator-test-'));
+  });
+  
+  afterEach(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+  
+  // Comparing digests keeps large buffers out of the matcher
+  const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex');
+  
+  it('should generate a CAR that parses back to the same root and content', async () => {
+    // Larger than one chunk, so the file is split into several leaves
+    const content = crypto.randomBytes(600 * 1024);
+    const input = path.join(workDir, 'input');
+    await fs.promises.mkdir(path.join(input, 'parts'), { recursive: true });
+    await fs.promises.writeFile(path.join(input, 'parts', 'data.bin'), content);
+    await fs.promises.writeFile(path.join(input, 'readme.txt'), 'hello');
+    
+    const carPath = path.join(workDir, 'dataset.car');
+    const generated = await CarGenerator.generateCarFile(input, carPath);
+    
+    expect(await CarParser.getRootCid(carPath)).toBe(generated.rootCid);
+    expect(await CarGenerator.getCarInfo(carPath)).toEqual({ rootCid: generated.rootCid, carSize: generated.carSize });
+    expect(await CarParser.listBlocks(carPath)).toHaveLength(generated.blockCount);
+    
+    const outputDir = path.join(workDir, 'out');
+    const parsed = await CarParser.extractFiles(carPath, outputDir);
+    
+    expect(parsed.rootCid).toBe(generated.rootCid);
+    expect(parsed.missingBlocks).toEqual([]);
+    const extracted = await fs.promises.readFile(path.join(outputDir, 'parts', 'data.bin'));
+    expect(sha256(extracted)).toBe(sha256(content));
+    expect(await fs.promises.readFile(path.join(outputDir, 'readme.txt'), 'utf8')).toBe('hello');
+  });
+  
+  it('should give data the same root whether it is packed from memory or from a file', async () => {
+    const input = path.join(workDir, 'input');
+    await fs.promises.mkdir(input);
+    await fs.promises.writeFile(path.join(input, 'metadata.json'), '{"name":"dataset"}');
+    
+    const fromFile = await CarGenerator.generateCarFile(input, path.join(workDir, 'file.car'));
+    const fromData = await CarGenerator.generateCarFileFromData('{"name":"dataset"}', 'metadata.json',
+      path.join(workDir, 'data.car'));
+    
+    expect(fromData.rootCid).toBe(fromFile.rootCid);
+    expect(await CarParser.getRootCid(path.join(workDir, 'data.car'))).toBe(fromFile.rootCid);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * CAR extraction test
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { CarReader, CarWriter } = require('@ipld/car');
+const CarGenerator = require('../../src/car/generator');
+const CarParser = require('../../src/car/parser');
+
+describe('CarParser', () => {
+  let workDir;
+  let input;
+  let carPath;
+  
+  beforeEach(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'car-parser-test-'));
+    
+    input = path.join(workDir, 'input');
+    await fs.promises.mkdir(path.join(input, 'parts'), { recursive: true });
+    await fs.promises.writeFile(path.join(input, 'readme.txt'), 'hello');
+    await fs.promises.writeFile(path.join(input, 'parts', 'one.csv'), 'a,b\n1,2\n');
+    await fs.promises.writeFile(path.join(input, 'parts', 'two.csv'), 'c,d\n3,4\n');
+    
+    carPath = path.join(workDir, 'dataset.car');
+    await CarGenerator.generateCarFile(input, carPath);
+  });
+  
+  afterEach(async () => {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Copy a CAR file without some of its blocks
+   * @param {string} source - Path to the CAR file
+   * @param {string} target - Path of the copy
+   * @param {Array<string>} dropped - CIDs of the blocks to leave out
+   */
+  const copyCarWithout = async (source, target, dropped) => {
+    const reader = await CarReader.fromBytes(await fs.promises.readFile(source));
+    const { writer, out } = CarWriter.create(await reader.getRoots());
+    const written = pipeline(Readable.from(out), fs.createWriteStream(target));
+    
+    for await (const block of reader.blocks()) {
+      if (!dropped.includes(block.cid.toString())) {
+        await writer.put(block);
+      }
+    }
+    await writer.close();
+    await written;
+  };
+  
+  it('should extract files with their names and layout', async () => {
+    const outputDir = path.join(workDir, 'out');
+    
+    const result = await CarParser.extractFiles(carPath, outputDir);
+    
+    expect(result.rootCid).toBe(await CarParser.getRootCid(carPath));
+    expect(result.missingBlocks).toEqual([]);
+    expect(result.incomplete).toEqual([]);
+    expect(result.files.filter(file => file.type === 'file').map(file => path.relative(outputDir, file.path)).sort())
+      .toEqual([path.join('parts', 'one.csv'), path.join('parts', 'two.csv'), 'readme.txt']);
+    expect(await fs.promises.readFile(path.join(outputDir, 'readme.txt'), 'utf8')).toBe('hello');
+    expect(await fs.promises.readFile(path.join(outputDir, 'parts', 'two.csv'), 'utf8')).toBe('c,d\n3,4\n');
+  });
+  
+  it('should report missing blocks and still extract the rest', async () => {
+    const complete = await CarParser.extractFiles(carPath, path.join(workDir, 'complete'));
+    const lost = complete.files.find(file => file.path.endsWith('one.csv'));
+    
+    const damagedPath = path.join(workDir, 'damaged.car');
+    await copyCarWithout(carPath, damagedPath, [lost.cid]);
+    
+    const outputDir = path.join(workDir, 'out');
+    const result = await CarParser.extractFiles(damagedPath, outputDir);
+    
+    expect(result.missingBlocks).toEqual([lost.cid]);
+    expect(result.incomplete).toEqual(['parts/one.csv']);
+    expect(fs.existsSync(path.join(outputDir, 'parts', 'one.csv'))).toBe(false);
+    expect(await fs.promises.readFile(path.join(outputDir, 'parts', 'two.csv'), 'utf8')).toBe('c,d\n3,4\n');
+    expect(await fs.promises.readFile(path.join(outputDir, 'readme.txt'), 'utf8')).toBe('hello');
+  });
+  
+  it('should only extract the requested sub-path', async () => {
+    const outputDir = path.join(workDir, 'out');
+    
+    const result = await CarParser.extractFiles(carPath, outputDir, { path: 'parts/one.csv' });
+    
+    expect(result.files).toHaveLength(1);
+    expect(result.files[0]).toMatchObject({ path: path.join(outputDir, 'one.csv'), type: 'file', size: 8 });
+    expect(await fs.promises.readdir(outputDir)).toEqual(['one.csv']);
+    
+    await expect(CarParser.extractFiles(carPath, outputDir, { path: 'parts/missing.csv' }))
+      .rejects.toThrow('Path not found in CAR: parts/missing.csv');
+  });
+});
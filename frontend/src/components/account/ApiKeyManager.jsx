@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { listApiKeys, createApiKey, revokeApiKey } from '../../services/auth';
+import { formatDate } from '../../utils/formatting';
+import Card from '../common/Card';
+import Badge from '../common/Badge';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Alert from '../common/Alert';
+
+// Scopes the backend accepts (apiKeyScopes in backend/src/config/auth.js)
+const API_KEY_SCOPES = [
+  { value: 'datasets:read', label: 'Download datasets' },
+  { value: 'datasets:write', label: 'Upload and create datasets' },
+  { value: 'usage:write', label: 'Record model usage' },
+  { value: 'provenance:write', label: 'Record provenance' }
+];
+
+const keyStatus = (apiKey) => {
+  if (apiKey.revokedAt) {
+    return { variant: 'danger', label: 'Revoked' };
+  }
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+    return { variant: 'warning', label: 'Expired' };
+  }
+  return { variant: 'success', label: 'Active' };
+};
+
+// Lists, creates and revokes the signed-in user's API keys
+const ApiKeyManager = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [label, setLabel] = useState('');
+  const [scopes, setScopes] = useState(['datasets:read']);
+  const [expiresAt, setExpiresAt] = useState('');
+  const [newKey, setNewKey] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  
+  const loadKeys = useCallback(async () => {
+    try {
+      setApiKeys(await listApiKeys());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+  
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+  
+  const toggleScope = (scope) => {
+    setScopes(prev => (prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]));
+  };
+  
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    
+    try {
+      setSaving(true);
+      setError(null);
+      
+      const created = await createApiKey({
+        label: label.trim(),
+        scopes,
+        ...(expiresAt ? { expiresAt: new Date(`${expiresAt}T23:59:59`).toISOString() } : {})
+      });
+      
+      setNewKey(created.key);
+      setLabel('');
+      setExpiresAt('');
+      await loadKeys();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+  
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.label}"? Clients using it will stop working.`)) {
+      return;
+    }
+    
+    try {
+      await revokeApiKey(apiKey.id);
+      await loadKeys();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  
+  return (
+    <Card title="API Keys" subtitle="Keys let scripts and pipelines call the API on your behalf">
+      <div className="p-4 space-y-4">
+        {error && (
+          <Alert variant="error" dismissible onDismiss={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        
+        {newKey && (
+          <Alert variant="success" title="Copy your new key now" dismissible onDismiss={() => setNewKey(null)}>
+            <p className="mb-2">It will not be shown again.</p>
+            <p className="font-mono text-sm break-all bg-white rounded px-2 py-1">{newKey}</p>
+          </Alert>
+        )}
+        
+        <form onSubmit={handleCreate} className="space-y-3 border-b pb-4">
+          <Input
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Key name, e.g. training pipeline"
+            maxLength={100}
+            required
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {API_KEY_SCOPES.map(scope => (
+              <label key={scope.value} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={scopes.includes(scope.value)}
+                  onChange={() => toggleScope(scope.value)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded mr-2"
+                />
+                {scope.label}
+                <span className="ml-1 text-xs text-gray-400 font-mono">{scope.value}</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex items-end gap-3">
+            <div className="flex-grow">
+              <label htmlFor="apiKeyExpiry" className="block text-xs text-gray-500 mb-1">
+                Expires (optional)
+              </label>
+              <Input
+                id="apiKeyExpiry"
+                type="date"
+                value={expiresAt}
+                onChange={(e) => setExpiresAt(e.target.value)}
+              />
+            </div>
+            <Button
+              type="submit"
+              variant="primary"
+              loading={saving}
+              disabled={saving || !label.trim() || scopes.length === 0}
+            >
+              Create Key
+            </Button>
+          </div>
+        </form>
+        
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading API keys...</p>
+        ) : apiKeys.length === 0 ? (
+          <p className="text-sm text-gray-500">You have no API keys yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {apiKeys.map(apiKey => {
+              const status = keyStatus(apiKey);
+              
+              return (
+                <li key={apiKey.id} className="py-3 flex items-start justify-between">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium text-gray-900">{apiKey.label}</span>
+                      <Badge variant={status.variant}>{status.label}</Badge>
+                    </div>
+                    <p className="text-xs font-mono text-gray-500">dpc_{apiKey.prefix}_…</p>
+                    <div className="mt-1 flex flex-wrap gap-1">
+                      {apiKey.scopes.map(scope => (
+                        <Badge key={scope} variant="primary">{scope}</Badge>
+                      ))}
+                    </div>
+                    <p className="mt-1 text-xs text-gray-400">
+                      Created {formatDate(apiKey.createdAt)}
+                      {apiKey.expiresAt && ` · Expires ${formatDate(apiKey.expiresAt)}`}
+                      {` · ${apiKey.lastUsedAt ? `Last used ${formatDate(apiKey.lastUsedAt, true)}` : 'Never used'}`}
+                    </p>
+                  </div>
+                  {!apiKey.revokedAt && (
+                    <Button size="sm" variant="danger" onClick={() => handleRevoke(apiKey)}>
+                      Revoke
+                    </Button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default ApiKeyManager;
@@ -7,10 +7,12 @@ import Button from '../common/Button';
 import Input from '../common/Input';
 import Card from '../common/Card';
 import { useWeb3 } from '../../contexts/Web3Context';
-import { submitDataset } from '../../services/datasetService';
+import { useResumableUpload } from '../../hooks/useResumableUpload';
+import { waitForDatasetCreation, getCreatedDataset } from '../../services/dataset';
 
 const DatasetForm = () => {
   const { account, connected } = useWeb3();
+  const fileUpload = useResumableUpload();
   
   // Form state
   const [currentStep, setCurrentStep] = useState(1);
@@ -20,16 +22,17 @@ const DatasetForm = () => {
     category: '',
     price: 0,
     license: '',
+    encrypt: false,
     files: [],
     metadata: {},
     contributors: [{ id: account || '', share: 100 }]
   });
   
   // Status state
-  const [uploading, setUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
   const [submissionStatus, setSubmissionStatus] = useState(null);
   const [submittedDatasetId, setSubmittedDatasetId] = useState(null);
+  const [creation, setCreation] = useState(null);
   const [error, setError] = useState({
     title: '',
     description: '',
@@ -71,6 +74,13 @@ const DatasetForm = () => {
       ...prev,
       files: ''
     }));
+    
+    // The file starts uploading right away, in resumable chunks, while the rest of the form is filled in
+    if (files.length > 0) {
+      fileUpload.start(files[0]);
+    } else {
+      fileUpload.cancel();
+    }
   };
 
   const handleMetadataChange = (metadata) => {
@@ -123,7 +133,10 @@ const DatasetForm = () => {
     } 
     else if (step === 2) {
       if (dataset.files.length === 0) {
-        newErrors.files = 'At least one file is required';
+        newErrors.files = 'A file is required';
+        isValid = false;
+      } else if (fileUpload.status === 'failed') {
+        newErrors.files = `Upload failed: ${fileUpload.error}. Resume the upload to try again.`;
         isValid = false;
       }
     }
@@ -163,17 +176,35 @@ const DatasetForm = () => {
       return;
     }
     
+    if (fileUpload.status !== 'uploaded') {
+      setError(prev => ({
+        ...prev,
+        general: 'Wait for the file upload to finish before submitting'
+      }));
+      return;
+    }
+    
     setSubmissionStatus('pending');
-    setUploading(true);
+    setSubmitting(true);
     
     try {
-      const progressCallback = (progress) => {
-        setUploadProgress(progress);
-      };
+      const { creation: started } = await fileUpload.complete({
+        name: dataset.title,
+        description: dataset.description,
+        dataType: dataset.category,
+        license: dataset.license,
+        contributors: dataset.contributors,
+        tags: [],
+        encrypt: dataset.encrypt
+      });
       
-      const result = await submitDataset(dataset, progressCallback);
+      setCreation(started);
       
-      setSubmittedDatasetId(result.datasetId);
+      // The dataset exists once its creation completes
+      const finished = await waitForDatasetCreation(started.id, { onStatus: setCreation });
+      const created = await getCreatedDataset(finished);
+      
+      setSubmittedDatasetId(created.id);
       setSubmissionStatus('success');
     } catch (err) {
       console.error('Error submitting dataset:', err);
@@ -183,7 +214,7 @@ const DatasetForm = () => {
         general: err.message || 'There was an error submitting your dataset'
       }));
     } finally {
-      setUploading(false);
+      setSubmitting(false);
     }
   };
 
@@ -281,6 +312,22 @@ const DatasetForm = () => {
                 <option value="custom">Custom License</option>
               </select>
             </div>
+            
+            <div className="flex items-start">
+              <input
+                id="encrypt"
+                type="checkbox"
+                checked={dataset.encrypt}
+                onChange={(e) => handleInputChange('encrypt', e.target.checked)}
+                className="h-4 w-4 mt-1 text-blue-600 border-gray-300 rounded"
+              />
+              <label htmlFor="encrypt" className="ml-2 text-sm text-gray-700">
+                Encrypt dataset
+                <span className="block text-xs text-gray-500">
+                  The stored file is encrypted and its key is released only to buyers with access
+                </span>
+              </label>
+            </div>
           </div>
         );
       
@@ -291,13 +338,15 @@ const DatasetForm = () => {
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Dataset Files *
+                Dataset File *
               </label>
               <FileUploader
-                multiple={true}
                 onChange={handleFilesChange}
-                uploading={uploading}
-                progress={uploadProgress}
+                uploading={fileUpload.status === 'uploading'}
+                progress={fileUpload.progress}
+                paused={fileUpload.status === 'paused' || fileUpload.status === 'failed'}
+                onPause={fileUpload.pause}
+                onResume={fileUpload.resume}
               />
               {error.files && <p className="mt-1 text-sm text-red-600">{error.files}</p>}
             </div>
@@ -341,11 +390,16 @@ const DatasetForm = () => {
                     <p className="text-sm"><strong>Category:</strong> {dataset.category}</p>
                     <p className="text-sm"><strong>Price:</strong> {dataset.price} ETH</p>
                     {dataset.license && <p className="text-sm"><strong>License:</strong> {dataset.license}</p>}
+                    <p className="text-sm"><strong>Encrypted:</strong> {dataset.encrypt ? 'Yes' : 'No'}</p>
                   </div>
                   
                   <div>
-                    <h5 className="text-sm font-semibold text-gray-700">Files</h5>
-                    <p className="text-sm">{dataset.files.length} files selected</p>
+                    <h5 className="text-sm font-semibold text-gray-700">File</h5>
+                    <p className="text-sm">
+                      {dataset.files.length > 0 ? dataset.files[0].name : 'No file selected'}
+                      {fileUpload.status === 'uploaded' ? ' (uploaded)' : ` (uploading, ${fileUpload.progress}%)`}
+                    </p>
+                    {error.general && <p className="mt-1 text-sm text-red-600">{error.general}</p>}
                   </div>
                   
                   <div>
@@ -369,6 +423,7 @@ const DatasetForm = () => {
           <SubmissionStatus
             status={submissionStatus}
             datasetId={submittedDatasetId}
+            creation={creation}
             error={error.general}
           />
         );
@@ -457,9 +512,9 @@ const DatasetForm = () => {
                 <Button
                   type="submit"
                   variant="primary"
-                  disabled={!connected || uploading}
+                  disabled={!connected || submitting || fileUpload.status !== 'uploaded'}
                 >
-                  {uploading ? 'Submitting...' : 'Submit Dataset'}
+                  {submitting ? 'Submitting...' : fileUpload.status === 'uploaded' ? 'Submit Dataset' : 'Waiting for upload...'}
                 </Button>
               )}
             </div>
@@ -9,6 +9,9 @@ const FileUploader = ({
   onChange,
   uploading = false,
   progress = 0,
+  paused = false,
+  onPause,
+  onResume,
   className = ''
 }) => {
   const [files, setFiles] = useState([]);
@@ -173,7 +176,7 @@ const FileUploader = ({
           {multiple ? 'Upload multiple files' : 'Upload a single file'} up to {formatFileSize(maxSize)}
         </p>
         
-        {uploading && (
+        {(uploading || paused) && (
           <div className="w-full mt-4">
             <div className="w-full bg-gray-200 rounded-full h-2.5">
               <div 
@@ -182,8 +185,29 @@ const FileUploader = ({
               ></div>
             </div>
             <p className="text-xs text-gray-600 mt-1 text-center">
-              Uploading... {progress}%
+              {paused ? 'Paused' : 'Uploading...'} {progress}%
             </p>
+            {(onPause || onResume) && (
+              <div className="mt-2 flex justify-center">
+                {paused ? (
+                  <button
+                    type="button"
+                    className="text-sm text-blue-600 hover:text-blue-500"
+                    onClick={onResume}
+                  >
+                    Resume upload
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    className="text-sm text-blue-600 hover:text-blue-500"
+                    onClick={onPause}
+                  >
+                    Pause upload
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -266,6 +290,9 @@ FileUploader.propTypes = {
   onChange: PropTypes.func.isRequired,
   uploading: PropTypes.bool,
   progress: PropTypes.number,
+  paused: PropTypes.bool,
+  onPause: PropTypes.func,
+  onResume: PropTypes.func,
   className: PropTypes.string
 };
 
@@ -3,7 +3,7 @@ import PropTypes from 'prop-types';
 import { Link } from 'react-router-dom';
 import Button from '../common/Button';
 
-const SubmissionStatus = ({ status, datasetId, error }) => {
+const SubmissionStatus = ({ status, datasetId, creation, error }) => {
   const renderContent = () => {
     switch (status) {
       case 'success':
@@ -66,6 +66,12 @@ const SubmissionStatus = ({ status, datasetId, error }) => {
               Your dataset is being uploaded and registered on the blockchain.
               This may take a few minutes.
             </p>
+            {creation && creation.currentStep && (
+              <p className="mt-2 text-sm text-gray-500">
+                Step {creation.steps.findIndex(step => step.step === creation.currentStep) + 1} of {creation.steps.length}:{' '}
+                {creation.currentStep.replace(/_/g, ' ')}
+              </p>
+            )}
           </div>
         );
       
@@ -80,6 +86,14 @@ const SubmissionStatus = ({ status, datasetId, error }) => {
 SubmissionStatus.propTypes = {
   status: PropTypes.oneOf(['success', 'error', 'pending']).isRequired,
   datasetId: PropTypes.string,
+  creation: PropTypes.shape({
+    status: PropTypes.string,
+    currentStep: PropTypes.string,
+    steps: PropTypes.arrayOf(PropTypes.shape({
+      step: PropTypes.string,
+      status: PropTypes.string
+    }))
+  }),
   error: PropTypes.string
 };
 
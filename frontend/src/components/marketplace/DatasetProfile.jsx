@@ -0,0 +1,172 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { formatFileSize } from '../../utils/formatting';
+import Card from '../common/Card';
+import Badge from '../common/Badge';
+import Table from '../common/Table';
+
+const formatRatio = (ratio) => (ratio === null || ratio === undefined ? 'Unknown' : `${(ratio * 100).toFixed(1)}%`);
+
+const formatNumber = (value) => (Number.isInteger(value) ? value : Number(value).toFixed(2));
+
+const COLUMN_FIELDS = [
+  {
+    title: 'Column',
+    render: (column) => <span className="font-mono">{column.name}</span>
+  },
+  {
+    title: 'Type',
+    render: (column) => (
+      <Badge variant={column.type === 'mixed' ? 'warning' : 'default'}>{column.type}</Badge>
+    )
+  },
+  {
+    title: 'Nulls',
+    render: (column) => formatRatio(column.nullRatio)
+  },
+  {
+    title: 'Distinct',
+    render: (column) => (column.distinctCount === undefined
+      ? '—'
+      : `${column.distinctCount}${column.distinctCapped ? '+' : ''}`)
+  },
+  {
+    title: 'Values',
+    render: (column) => {
+      if (column.min !== undefined) {
+        return `${formatNumber(column.min)} – ${formatNumber(column.max)} (mean ${formatNumber(column.mean)})`;
+      }
+      if (column.topValues && column.topValues.length > 0) {
+        return column.topValues.slice(0, 3).map(entry => `${entry.value} (${entry.count})`).join(', ');
+      }
+      return '—';
+    }
+  }
+];
+
+const FILE_FIELDS = [
+  {
+    title: 'Path',
+    render: (file) => <span className="font-mono break-all">{file.path}</span>
+  },
+  {
+    title: 'Size',
+    render: (file) => formatFileSize(file.size)
+  },
+  {
+    title: 'Type',
+    dataIndex: 'mimeType'
+  }
+];
+
+// What the ingest profiler found in a dataset's content
+const DatasetProfile = ({ profile, profileCid }) => {
+  if (!profile) {
+    return (
+      <Card title="Content Profile">
+        <p className="text-sm text-gray-600">This dataset was not profiled when it was created</p>
+      </Card>
+    );
+  }
+  
+  return (
+    <Card title="Content Profile">
+      <div className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <p className="text-sm text-gray-500">Format</p>
+            <p className="text-sm">{profile.format || profile.mimeType}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Size</p>
+            <p className="text-sm">{formatFileSize(profile.size)}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">SHA-256</p>
+            <p className="text-sm font-mono break-all">{profile.sha256}</p>
+          </div>
+        </div>
+        
+        {profile.warning && (
+          <p className="text-sm text-yellow-700">{profile.warning}</p>
+        )}
+        
+        {profile.kind === 'tabular' && (
+          <>
+            <div className="flex flex-wrap gap-2">
+              <Badge variant="info">{profile.rowCount} rows</Badge>
+              <Badge variant="info">{profile.columns.length} columns</Badge>
+              {profile.duplicateRows !== undefined && (
+                <Badge variant={profile.duplicateRows > 0 ? 'warning' : 'success'}>
+                  {profile.duplicateRows} duplicate rows{profile.duplicatesComplete === false && ' (partial check)'}
+                </Badge>
+              )}
+              {profile.malformedRows > 0 && (
+                <Badge variant="danger">{profile.malformedRows} malformed rows</Badge>
+              )}
+            </div>
+            {profile.valueStatistics === false && (
+              <p className="text-xs text-gray-500">
+                Value statistics are not available for this format; null counts come from the file's own statistics.
+              </p>
+            )}
+            <Table columns={COLUMN_FIELDS} data={profile.columns} emptyMessage="No columns found" />
+          </>
+        )}
+        
+        {profile.kind === 'archive' && (
+          <>
+            <div className="flex flex-wrap gap-2">
+              <Badge variant="info">{profile.fileCount} files</Badge>
+              <Badge variant="info">{formatFileSize(profile.totalSize)} uncompressed</Badge>
+              {Object.entries(profile.mimeTypes).map(([mimeType, count]) => (
+                <Badge key={mimeType} variant="default">{mimeType}: {count}</Badge>
+              ))}
+            </div>
+            {profile.files && (
+              <>
+                <Table columns={FILE_FIELDS} data={profile.files} emptyMessage="The archive is empty" />
+                {profile.filesTruncated && (
+                  <p className="text-xs text-gray-500">
+                    Showing the first {profile.files.length} of {profile.fileCount} files
+                  </p>
+                )}
+              </>
+            )}
+          </>
+        )}
+        
+        {profileCid && (
+          <p className="text-xs text-gray-500">
+            Profile: <span className="font-mono break-all">{profileCid}</span>
+          </p>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+DatasetProfile.propTypes = {
+  profile: PropTypes.shape({
+    kind: PropTypes.oneOf(['tabular', 'archive', 'file']).isRequired,
+    format: PropTypes.string,
+    mimeType: PropTypes.string,
+    size: PropTypes.number,
+    sha256: PropTypes.string,
+    warning: PropTypes.string,
+    rowCount: PropTypes.number,
+    duplicateRows: PropTypes.number,
+    duplicatesComplete: PropTypes.bool,
+    malformedRows: PropTypes.number,
+    valueStatistics: PropTypes.bool,
+    columns: PropTypes.arrayOf(PropTypes.object),
+    fileCount: PropTypes.number,
+    totalSize: PropTypes.number,
+    mimeTypes: PropTypes.object,
+    files: PropTypes.arrayOf(PropTypes.object),
+    filesTruncated: PropTypes.bool
+  }),
+  profileCid: PropTypes.string
+};
+
+export default DatasetProfile;
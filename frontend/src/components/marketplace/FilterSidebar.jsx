@@ -12,33 +12,48 @@ const FilterSidebar = ({
   onClearFilters,
   dataTypes = [],
   tags = [],
+  facets = null,
   className = ''
 }) => {
   const [localFilters, setLocalFilters] = useState(filters);
   
+  // Search facets list the values present in the results, with their counts
+  const facetCount = (facet, value) => {
+    const entry = facets?.[facet]?.find(item => item.value === value);
+    return entry ? entry.count : 0;
+  };
+  const withCount = (facet, label, value = label) => (
+    facets ? `${label} (${facetCount(facet, value)})` : label
+  );
+  const dataTypeOptions = facets ? facets.dataType.map(item => item.value) : dataTypes;
+  const tagOptions = facets ? facets.tag.map(item => item.value) : tags;
+  
+  const priceBandLabels = {
+    'under-1': 'Under 1 FIL',
+    '1-10': '1 - 10 FIL',
+    '10-100': '10 - 100 FIL',
+    '100-plus': '100 FIL and above',
+    unlisted: 'Not for sale'
+  };
+  
   const handleChange = (field, value) => {
     const updatedFilters = { ...localFilters, [field]: value };
     setLocalFilters(updatedFilters);
     onFilterChange(updatedFilters);
   };
   
-  const handleTagToggle = (tag) => {
-    const currentTags = localFilters.tags || [];
-    const updatedTags = currentTags.includes(tag)
-      ? currentTags.filter(t => t !== tag)
-      : [...currentTags, tag];
+  const handleToggle = (field, value) => {
+    const current = localFilters[field] || [];
+    const updated = current.includes(value)
+      ? current.filter(v => v !== value)
+      : [...current, value];
     
-    handleChange('tags', updatedTags);
+    handleChange(field, updated);
   };
   
-  const handleDataTypeToggle = (dataType) => {
-    const currentTypes = localFilters.dataTypes || [];
-    const updatedTypes = currentTypes.includes(dataType)
-      ? currentTypes.filter(t => t !== dataType)
-      : [...currentTypes, dataType];
-    
-    handleChange('dataTypes', updatedTypes);
-  };
+  const handleTagToggle = (tag) => handleToggle('tags', tag);
+  
+  const handleDataTypeToggle = (dataType) => handleToggle('dataTypes', dataType);
   
   const handleClear = () => {
     const emptyFilters = {
@@ -46,7 +61,9 @@ const FilterSidebar = ({
       dataTypes: [],
       tags: [],
       priceRange: [0, 100],
+      priceBands: [],
       licenses: [],
+      contributors: [],
       verifiedOnly: false
     };
     setLocalFilters(emptyFilters);
@@ -70,7 +87,7 @@ const FilterSidebar = ({
       <Card title="Verification">
         <Checkbox
           id="verified-filter"
-          label="Verified Datasets Only"
+          label={withCount('verified', 'Verified Datasets Only', true)}
           checked={localFilters.verifiedOnly || false}
           onChange={(e) => handleChange('verifiedOnly', e.target.checked)}
         />
@@ -79,36 +96,52 @@ const FilterSidebar = ({
       {/* Data Type Filter */}
       <Card title="Data Types">
         <div className="space-y-2">
-          {dataTypes.map((type) => (
+          {dataTypeOptions.map((type) => (
             <Checkbox
               key={type}
               id={`data-type-${type}`}
-              label={type}
+              label={withCount('dataType', type)}
               checked={(localFilters.dataTypes || []).includes(type)}
               onChange={() => handleDataTypeToggle(type)}
             />
           ))}
           
-          {!dataTypes.length && (
+          {!dataTypeOptions.length && (
             <p className="text-sm text-gray-500">No data types available</p>
           )}
         </div>
       </Card>
       
-      {/* Price Range Filter */}
-      <Card title="Price Range (FIL)">
-        <RangeSlider
-          min={0}
-          max={100}
-          step={1}
-          value={localFilters.priceRange || [0, 100]}
-          onChange={(value) => handleChange('priceRange', value)}
-        />
-        <div className="flex justify-between mt-2">
-          <span className="text-sm text-gray-600">{localFilters.priceRange?.[0] || 0} FIL</span>
-          <span className="text-sm text-gray-600">{localFilters.priceRange?.[1] || 100} FIL</span>
-        </div>
-      </Card>
+      {/* Price Filter */}
+      {facets ? (
+        <Card title="Price">
+          <div className="space-y-2">
+            {facets.priceBand.map(({ value }) => (
+              <Checkbox
+                key={value}
+                id={`price-band-${value}`}
+                label={withCount('priceBand', priceBandLabels[value] || value, value)}
+                checked={(localFilters.priceBands || []).includes(value)}
+                onChange={() => handleToggle('priceBands', value)}
+              />
+            ))}
+          </div>
+        </Card>
+      ) : (
+        <Card title="Price Range (FIL)">
+          <RangeSlider
+            min={0}
+            max={100}
+            step={1}
+            value={localFilters.priceRange || [0, 100]}
+            onChange={(value) => handleChange('priceRange', value)}
+          />
+          <div className="flex justify-between mt-2">
+            <span className="text-sm text-gray-600">{localFilters.priceRange?.[0] || 0} FIL</span>
+            <span className="text-sm text-gray-600">{localFilters.priceRange?.[1] || 100} FIL</span>
+          </div>
+        </Card>
+      )}
       
       {/* License Filter */}
       <Card title="Licenses">
@@ -122,22 +155,39 @@ const FilterSidebar = ({
       {/* Tags Filter */}
       <Card title="Tags">
         <div className="space-y-2">
-          {tags.map((tag) => (
+          {tagOptions.map((tag) => (
             <Checkbox
               key={tag}
               id={`tag-${tag}`}
-              label={tag}
+              label={withCount('tag', tag)}
               checked={(localFilters.tags || []).includes(tag)}
               onChange={() => handleTagToggle(tag)}
             />
           ))}
           
-          {!tags.length && (
+          {!tagOptions.length && (
             <p className="text-sm text-gray-500">No tags available</p>
           )}
         </div>
       </Card>
       
+      {/* Contributors Filter */}
+      {facets && facets.contributor.length > 0 && (
+        <Card title="Contributors">
+          <div className="space-y-2">
+            {facets.contributor.map(({ value }) => (
+              <Checkbox
+                key={value}
+                id={`contributor-${value}`}
+                label={withCount('contributor', `${value.slice(0, 6)}...${value.slice(-4)}`, value)}
+                checked={(localFilters.contributors || []).includes(value)}
+                onChange={() => handleToggle('contributors', value)}
+              />
+            ))}
+          </div>
+        </Card>
+      )}
+      
       <Button
         variant="primary"
         className="w-full"
@@ -155,13 +205,23 @@ FilterSidebar.propTypes = {
     dataTypes: PropTypes.arrayOf(PropTypes.string),
     tags: PropTypes.arrayOf(PropTypes.string),
     priceRange: PropTypes.arrayOf(PropTypes.number),
+    priceBands: PropTypes.arrayOf(PropTypes.string),
     licenses: PropTypes.arrayOf(PropTypes.string),
+    contributors: PropTypes.arrayOf(PropTypes.string),
     verifiedOnly: PropTypes.bool
   }),
   onFilterChange: PropTypes.func.isRequired,
   onClearFilters: PropTypes.func.isRequired,
   dataTypes: PropTypes.arrayOf(PropTypes.string),
   tags: PropTypes.arrayOf(PropTypes.string),
+  facets: PropTypes.shape({
+    dataType: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.string, count: PropTypes.number })),
+    license: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.string, count: PropTypes.number })),
+    verified: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.bool, count: PropTypes.number })),
+    tag: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.string, count: PropTypes.number })),
+    contributor: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.string, count: PropTypes.number })),
+    priceBand: PropTypes.arrayOf(PropTypes.shape({ value: PropTypes.string, count: PropTypes.number }))
+  }),
   className: PropTypes.string
 };
 
@@ -171,11 +231,14 @@ FilterSidebar.defaultProps = {
     dataTypes: [],
     tags: [],
     priceRange: [0, 100],
+    priceBands: [],
     licenses: [],
+    contributors: [],
     verifiedOnly: false
   },
   dataTypes: [],
-  tags: []
+  tags: [],
+  facets: null
 };
 
 export default FilterSidebar;
\ No newline at end of file
@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import { FiSearch, FiX } from 'react-icons/fi';
 
-const SearchBar = ({ onSearch, initialValue = '', className = '' }) => {
+const SearchBar = ({ onSearch, initialValue = '', resultCount = null, className = '' }) => {
   const [searchTerm, setSearchTerm] = useState(initialValue);
 
   const handleSubmit = (e) => {
@@ -24,7 +24,7 @@ const SearchBar = ({ onSearch, initialValue = '', className = '' }) => {
         <input
           type="text"
           className="block w-full pl-10 pr-10 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:placeholder-gray-400 focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-          placeholder="Search datasets by name, description, or tags..."
+          placeholder="Search datasets by name, description, tags or contributors..."
           value={searchTerm}
           onChange={(e) => setSearchTerm(e.target.value)}
         />
@@ -41,6 +41,11 @@ const SearchBar = ({ onSearch, initialValue = '', className = '' }) => {
         )}
       </div>
       <button type="submit" className="sr-only">Search</button>
+      {resultCount !== null && (
+        <p className="mt-2 text-sm text-gray-500">
+          {resultCount} {resultCount === 1 ? 'dataset' : 'datasets'} found
+        </p>
+      )}
     </form>
   );
 };
@@ -48,6 +53,7 @@ const SearchBar = ({ onSearch, initialValue = '', className = '' }) => {
 SearchBar.propTypes = {
   onSearch: PropTypes.func.isRequired,
   initialValue: PropTypes.string,
+  resultCount: PropTypes.number,
   className: PropTypes.string
 };
 
@@ -0,0 +1,258 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { formatDate, formatCurrency } from '../../utils/formatting';
+import { formatAddress, isValidAddress } from '../../utils/web3';
+import Card from '../common/Card';
+import Badge from '../common/Badge';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Select from '../common/Select';
+import VerificationReportForm from './VerificationReportForm';
+
+const STATUS_BADGES = {
+  pending: { variant: 'warning', label: 'Awaiting verifier' },
+  assigned: { variant: 'info', label: 'In review' },
+  verified: { variant: 'success', label: 'Verified' },
+  rejected: { variant: 'danger', label: 'Rejected' }
+};
+
+const VERIFICATION_METHODS = [
+  { value: 'manual-review', label: 'Manual review' },
+  { value: 'schema-audit', label: 'Schema audit' },
+  { value: 'source-attestation', label: 'Source attestation' }
+];
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Owner's form to request and pay for verification
+const RequestForm = ({ onRequest, loading }) => {
+  const [method, setMethod] = useState(VERIFICATION_METHODS[0].value);
+  const [details, setDetails] = useState('');
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onRequest({ method, details: details.trim() });
+  };
+  
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 border-b pb-4 mb-4">
+      <p className="text-sm text-gray-600">
+        Request verification from an independent verifier. The registry fee is paid from your wallet.
+      </p>
+      <Select value={method} onChange={(e) => setMethod(e.target.value)}>
+        {VERIFICATION_METHODS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </Select>
+      <textarea
+        rows={2}
+        value={details}
+        onChange={(e) => setDetails(e.target.value)}
+        placeholder="Anything the verifier should know (optional)"
+        className="block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+      />
+      <Button type="submit" variant="primary" loading={loading} disabled={loading}>
+        Request Verification
+      </Button>
+    </form>
+  );
+};
+
+RequestForm.propTypes = {
+  onRequest: PropTypes.func.isRequired,
+  loading: PropTypes.bool
+};
+
+// Admin's form to assign a verifier to a pending request
+const AssignForm = ({ onAssign, loading }) => {
+  const [verifier, setVerifier] = useState('');
+  const valid = isValidAddress(verifier);
+  
+  return (
+    <div className="mt-3 flex gap-2">
+      <div className="flex-grow">
+        <Input
+          value={verifier}
+          onChange={(e) => setVerifier(e.target.value)}
+          placeholder="Verifier wallet address"
+          error={verifier && !valid ? 'Invalid address' : ''}
+        />
+      </div>
+      <Button
+        variant="primary"
+        onClick={() => onAssign(verifier)}
+        loading={loading}
+        disabled={loading || !valid}
+      >
+        Assign
+      </Button>
+    </div>
+  );
+};
+
+AssignForm.propTypes = {
+  onAssign: PropTypes.func.isRequired,
+  loading: PropTypes.bool
+};
+
+// The findings of a completed verification
+const Report = ({ request }) => (
+  <div className="mt-3 space-y-3">
+    {request.report && (
+      <>
+        <ul className="space-y-1">
+          {request.report.checklist.map((entry, index) => (
+            <li key={index} className="text-sm">
+              <span className={entry.passed ? 'text-green-600' : 'text-red-600'}>
+                {entry.passed ? '✓' : '✗'}
+              </span>{' '}
+              {entry.item}
+              {entry.notes && <span className="text-gray-500"> — {entry.notes}</span>}
+            </li>
+          ))}
+        </ul>
+        {request.report.summary && (
+          <p className="text-sm text-gray-700">{request.report.summary}</p>
+        )}
+        {request.report.evidenceCids.length > 0 && (
+          <div>
+            <p className="text-xs text-gray-500">Evidence</p>
+            {request.report.evidenceCids.map(cid => (
+              <p key={cid} className="text-xs font-mono break-all">{cid}</p>
+            ))}
+          </div>
+        )}
+      </>
+    )}
+    {request.reportCid && (
+      <p className="text-xs text-gray-500">
+        Report: <span className="font-mono break-all">{request.reportCid}</span>
+      </p>
+    )}
+  </div>
+);
+
+Report.propTypes = {
+  request: PropTypes.object.isRequired
+};
+
+const VerificationHistory = ({
+  history,
+  account,
+  profileCid,
+  isOwner = false,
+  isAdmin = false,
+  loading = false,
+  submitting = false,
+  error = null,
+  onRequest,
+  onAssign,
+  onSubmitReport
+}) => {
+  const requests = history ? history.requests : [];
+  const open = requests.some(request => ['pending', 'assigned'].includes(request.status));
+  
+  return (
+    <Card title="Verification">
+      {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+      
+      {isOwner && history && !history.verified && !open && (
+        <RequestForm onRequest={onRequest} loading={submitting} />
+      )}
+      
+      {loading && !history ? (
+        <p className="text-sm text-gray-600">Loading verification history...</p>
+      ) : requests.length === 0 ? (
+        <p className="text-sm text-gray-600">This dataset has not been submitted for verification</p>
+      ) : (
+        <ol className="space-y-4">
+          {requests.map(request => {
+            const badge = STATUS_BADGES[request.status];
+            
+            return (
+              <li key={request.id} className="border rounded p-4">
+                <div className="flex justify-between items-start gap-2">
+                  <div>
+                    <p className="text-sm font-medium">
+                      {VERIFICATION_METHODS.find(option => option.value === request.method)?.label || request.method}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Requested by {formatAddress(request.requester)} on {formatDate(request.createdAt)}
+                      {request.fee && ` · Fee ${formatCurrency(request.fee, 'FIL')}`}
+                    </p>
+                  </div>
+                  <Badge variant={badge.variant}>{badge.label}</Badge>
+                </div>
+                
+                {request.details && (
+                  <p className="mt-2 text-sm text-gray-700">{request.details}</p>
+                )}
+                
+                {request.assignedVerifier && (
+                  <p className="mt-2 text-xs text-gray-500">
+                    Verifier {formatAddress(request.assignedVerifier)}
+                    {request.assignedAt && ` assigned on ${formatDate(request.assignedAt)}`}
+                    {request.completedAt && ` · completed on ${formatDate(request.completedAt)}`}
+                  </p>
+                )}
+                
+                {request.status === 'pending' && isAdmin && (
+                  <AssignForm onAssign={(verifier) => onAssign(request.id, verifier)} loading={submitting} />
+                )}
+                
+                {request.status === 'assigned' && sameAddress(request.assignedVerifier, account) && (
+                  <div className="mt-4">
+                    <VerificationReportForm
+                      profileCid={profileCid}
+                      onSubmit={(report) => onSubmitReport(request.id, report)}
+                      loading={submitting}
+                    />
+                  </div>
+                )}
+                
+                {['verified', 'rejected'].includes(request.status) && <Report request={request} />}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </Card>
+  );
+};
+
+VerificationHistory.propTypes = {
+  history: PropTypes.shape({
+    verified: PropTypes.bool,
+    requests: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      status: PropTypes.oneOf(Object.keys(STATUS_BADGES)).isRequired,
+      method: PropTypes.string,
+      details: PropTypes.string,
+      requester: PropTypes.string,
+      fee: PropTypes.string,
+      assignedVerifier: PropTypes.string,
+      report: PropTypes.shape({
+        checklist: PropTypes.arrayOf(PropTypes.shape({
+          item: PropTypes.string,
+          passed: PropTypes.bool,
+          notes: PropTypes.string
+        })),
+        evidenceCids: PropTypes.arrayOf(PropTypes.string),
+        summary: PropTypes.string
+      }),
+      reportCid: PropTypes.string
+    }))
+  }),
+  account: PropTypes.string,
+  profileCid: PropTypes.string,
+  isOwner: PropTypes.bool,
+  isAdmin: PropTypes.bool,
+  loading: PropTypes.bool,
+  submitting: PropTypes.bool,
+  error: PropTypes.string,
+  onRequest: PropTypes.func.isRequired,
+  onAssign: PropTypes.func.isRequired,
+  onSubmitReport: PropTypes.func.isRequired
+};
+
+export default VerificationHistory;
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Select from '../common/Select';
+
+// Checks every verifier starts from; more can be added per dataset
+const DEFAULT_CHECKLIST = [
+  'Content matches the description and data type',
+  'Contributors and shares are plausible',
+  'License permits the stated use',
+  'No personal or sensitive data exposed'
+];
+
+const VerificationReportForm = ({ onSubmit, profileCid, loading = false }) => {
+  const [checklist, setChecklist] = useState(
+    DEFAULT_CHECKLIST.map(item => ({ item, passed: true, notes: '' }))
+  );
+  const [newItem, setNewItem] = useState('');
+  // The ingest profile is evidence every verifier can start from
+  const [evidence, setEvidence] = useState(profileCid || '');
+  const [summary, setSummary] = useState('');
+  const [decision, setDecision] = useState('approve');
+  
+  const failed = checklist.some(entry => !entry.passed);
+  
+  const updateEntry = (index, changes) => {
+    const updated = checklist.map((entry, i) => (i === index ? { ...entry, ...changes } : entry));
+    setChecklist(updated);
+    
+    // A dataset that failed a check cannot be approved
+    if (updated.some(entry => !entry.passed)) {
+      setDecision('reject');
+    }
+  };
+  
+  const addItem = () => {
+    if (newItem.trim()) {
+      setChecklist([...checklist, { item: newItem.trim(), passed: true, notes: '' }]);
+      setNewItem('');
+    }
+  };
+  
+  const removeItem = (index) => {
+    setChecklist(checklist.filter((_, i) => i !== index));
+  };
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      decision,
+      checklist: checklist.map(({ item, passed, notes }) => ({
+        item,
+        passed,
+        ...(notes.trim() ? { notes: notes.trim() } : {})
+      })),
+      evidenceCids: evidence.split(/\s+/).filter(Boolean),
+      summary: summary.trim() || undefined
+    });
+  };
+  
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Checklist</p>
+        <ul className="space-y-3">
+          {checklist.map((entry, index) => (
+            <li key={index} className="border rounded p-3">
+              <div className="flex items-center justify-between gap-2">
+                <label className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={entry.passed}
+                    onChange={(e) => updateEntry(index, { passed: e.target.checked })}
+                  />
+                  {entry.item}
+                </label>
+                <button
+                  type="button"
+                  className="text-xs text-gray-500 hover:text-red-600"
+                  onClick={() => removeItem(index)}
+                  disabled={checklist.length === 1}
+                >
+                  Remove
+                </button>
+              </div>
+              <Input
+                value={entry.notes}
+                onChange={(e) => updateEntry(index, { notes: e.target.value })}
+                placeholder="Notes (optional)"
+                className="mt-2"
+              />
+            </li>
+          ))}
+        </ul>
+        <div className="mt-2 flex gap-2">
+          <div className="flex-grow">
+            <Input
+              value={newItem}
+              onChange={(e) => setNewItem(e.target.value)}
+              placeholder="Add a check"
+            />
+          </div>
+          <Button type="button" variant="outline" onClick={addItem}>
+            Add
+          </Button>
+        </div>
+      </div>
+      
+      <div>
+        <label htmlFor="evidenceCids" className="block text-sm font-medium text-gray-700">
+          Evidence CIDs
+        </label>
+        <textarea
+          id="evidenceCids"
+          rows={2}
+          value={evidence}
+          onChange={(e) => setEvidence(e.target.value)}
+          placeholder="One CID per line"
+          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 font-mono focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+        />
+      </div>
+      
+      <div>
+        <label htmlFor="summary" className="block text-sm font-medium text-gray-700">
+          Summary
+        </label>
+        <textarea
+          id="summary"
+          rows={3}
+          value={summary}
+          onChange={(e) => setSummary(e.target.value)}
+          placeholder="Summarize your findings"
+          className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+        />
+      </div>
+      
+      <div>
+        <label htmlFor="decision" className="block text-sm font-medium text-gray-700">
+          Decision
+        </label>
+        <Select
+          id="decision"
+          value={decision}
+          onChange={(e) => setDecision(e.target.value)}
+          className="mt-1"
+        >
+          <option value="approve" disabled={failed}>Approve</option>
+          <option value="reject">Reject</option>
+        </Select>
+      </div>
+      
+      <Button
+        type="submit"
+        variant={decision === 'approve' ? 'success' : 'danger'}
+        loading={loading}
+        disabled={loading}
+        fullWidth
+      >
+        Submit Report
+      </Button>
+    </form>
+  );
+};
+
+VerificationReportForm.propTypes = {
+  onSubmit: PropTypes.func.isRequired,
+  profileCid: PropTypes.string,
+  loading: PropTypes.bool
+};
+
+export default VerificationReportForm;
@@ -8,17 +8,38 @@ export const API_ENDPOINTS = {
     REGISTER: `${API_BASE_URL}/auth/register`,
     LOGIN: `${API_BASE_URL}/auth/login`,
     VERIFY: `${API_BASE_URL}/auth/verify`,
-    PROFILE: `${API_BASE_URL}/auth/profile`
+    PROFILE: `${API_BASE_URL}/auth/profile`,
+    CHALLENGE: `${API_BASE_URL}/users/challenge`,
+    AUTHENTICATE: `${API_BASE_URL}/users/authenticate`,
+    API_KEYS: `${API_BASE_URL}/users/me/api-keys`,
+    API_KEY_BY_ID: (id) => `${API_BASE_URL}/users/me/api-keys/${id}`
   },
   
   // Dataset endpoints
   DATASETS: {
     BASE: `${API_BASE_URL}/datasets`,
+    SEARCH: `${API_BASE_URL}/datasets/search`,
     BY_ID: (id) => `${API_BASE_URL}/datasets/${id}`,
-    VERIFY: (id) => `${API_BASE_URL}/datasets/${id}/verify`,
+    VERIFICATIONS: (id) => `${API_BASE_URL}/datasets/${id}/verifications`,
+    KEY: (id) => `${API_BASE_URL}/datasets/${id}/key`,
     UPLOAD: `${API_BASE_URL}/datasets/upload`
   },
   
+  // Resumable upload endpoints
+  UPLOADS: {
+    BASE: `${API_BASE_URL}/uploads`,
+    BY_ID: (id) => `${API_BASE_URL}/uploads/${id}`,
+    COMPLETE: (id) => `${API_BASE_URL}/uploads/${id}/complete`
+  },
+  
+  // Verification workflow endpoints
+  VERIFICATIONS: {
+    BASE: `${API_BASE_URL}/verifications`,
+    BY_ID: (id) => `${API_BASE_URL}/verifications/${id}`,
+    ASSIGN: (id) => `${API_BASE_URL}/verifications/${id}/assign`,
+    REPORT: (id) => `${API_BASE_URL}/verifications/${id}/report`
+  },
+  
   // Provenance endpoints
   PROVENANCE: {
     BASE: `${API_BASE_URL}/provenance`,
@@ -30,7 +51,9 @@ export const API_ENDPOINTS = {
   MARKETPLACE: {
     LISTINGS: `${API_BASE_URL}/marketplace/listings`,
     LISTING_BY_ID: (id) => `${API_BASE_URL}/marketplace/listings/${id}`,
-    PURCHASE: (id) => `${API_BASE_URL}/marketplace/listings/${id}/purchase`
+    PURCHASE: (id) => `${API_BASE_URL}/marketplace/listings/${id}/purchase`,
+    RENEW_SUBSCRIPTION: (id) => `${API_BASE_URL}/marketplace/subscriptions/${id}/renew`,
+    CANCEL_SUBSCRIPTION: (id) => `${API_BASE_URL}/marketplace/subscriptions/${id}/cancel`
   },
   
   // Attribution endpoints
@@ -44,7 +67,20 @@ export const API_ENDPOINTS = {
   DAO: {
     PROPOSALS: `${API_BASE_URL}/dao/proposals`,
     PROPOSAL_BY_ID: (id) => `${API_BASE_URL}/dao/proposals/${id}`,
-    VOTE: (id) => `${API_BASE_URL}/dao/proposals/${id}/vote`
+    VOTE: (id) => `${API_BASE_URL}/dao/proposals/${id}/vote`,
+    DRY_RUN: (id) => `${API_BASE_URL}/dao/proposals/${id}/dry-run`,
+    ACTIONS: `${API_BASE_URL}/dao/actions`
+  },
+  
+  // Filecoin endpoints
+  FILECOIN: {
+    REPLICAS: `${API_BASE_URL}/filecoin/replicas`,
+    DATASET_REPLICAS: (datasetId) => `${API_BASE_URL}/filecoin/datasets/${datasetId}/replicas`,
+    DATASET_RENEWALS: (datasetId) => `${API_BASE_URL}/filecoin/datasets/${datasetId}/renewals`,
+    RENEWAL_POLICY: (datasetId) => `${API_BASE_URL}/filecoin/datasets/${datasetId}/renewal-policy`,
+    APPROVE_RENEWAL: (id) => `${API_BASE_URL}/filecoin/renewals/${id}/approve`,
+    REJECT_RENEWAL: (id) => `${API_BASE_URL}/filecoin/renewals/${id}/reject`,
+    PROVIDER_AUDITS: (providerId) => `${API_BASE_URL}/filecoin/providers/${providerId}/audits`
   }
 };
 
@@ -6,6 +6,7 @@ import AttributionManagerABI from '../abis/AttributionManager.json';
 import MarketplaceABI from '../abis/Marketplace.json';
 import FilecoinDealClientABI from '../abis/FilecoinDealClient.json';
 import DataDAOABI from '../abis/DataDAO.json';
+import VerificationRegistryABI from '../abis/VerificationRegistry.json';
 
 // Contract addresses per network
 const addresses = {
@@ -14,14 +15,16 @@ const addresses = {
     AttributionManager: '0x456...',
     Marketplace: '0x789...',
     FilecoinDealClient: '0xabc...',
-    DataDAO: '0xdef...'
+    DataDAO: '0xdef...',
+    VerificationRegistry: '0xfed...'
   },
   mainnet: {
     DatasetRegistry: '',
     AttributionManager: '',
     Marketplace: '',
     FilecoinDealClient: '',
-    DataDAO: ''
+    DataDAO: '',
+    VerificationRegistry: ''
   }
 };
 
@@ -46,6 +49,10 @@ export const contracts = {
   DataDAO: {
     address: addresses[defaultNetwork].DataDAO,
     abi: DataDAOABI
+  },
+  VerificationRegistry: {
+    address: addresses[defaultNetwork].VerificationRegistry,
+    abi: VerificationRegistryABI
   }
 };
 
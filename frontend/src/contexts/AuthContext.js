@@ -41,9 +41,9 @@ export const AuthProvider = ({ children }) => {
     loadUserProfile();
   }, []);
 
-  // Login with wallet
+  // Login with wallet by signing a Sign-In with Ethereum message
   const login = async () => {
-    if (!isConnected) {
+    if (!isConnected || !signer) {
       throw new Error('Wallet not connected');
     }
 
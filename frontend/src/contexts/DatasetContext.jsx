@@ -4,6 +4,7 @@ import { useAuth } from '../hooks/useAuth';
 import { DATASET_TYPES } from '../constants/ui';
 import { API_ROUTES } from '../constants/routes';
 import api from '../services/api';
+import { waitForDatasetCreation, getCreatedDataset } from '../services/dataset';
 
 export const DatasetContext = createContext();
 
@@ -12,6 +13,7 @@ export const DatasetProvider = ({ children }) => {
   
   const [datasets, setDatasets] = useState([]);
   const [selectedDataset, setSelectedDataset] = useState(null);
+  const [creation, setCreation] = useState(null);
   const [loading, setLoading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [error, setError] = useState(null);
@@ -89,7 +91,7 @@ export const DatasetProvider = ({ children }) => {
     }
   };
 
-  // Create a new dataset
+  // Create a new dataset and follow its creation until it ends
   const createDataset = async (datasetData) => {
     if (!isAuthenticated) {
       setError('You must be authenticated to create a dataset');
@@ -100,8 +102,12 @@ export const DatasetProvider = ({ children }) => {
       setLoading(true);
       setError(null);
       
+      // The API answers with the creation status; the dataset exists once it completes
       const response = await api.post(API_ROUTES.DATASET.CREATE, datasetData);
-      const newDataset = response.data.data;
+      setCreation(response.data);
+      
+      const finished = await waitForDatasetCreation(response.data.id, { onStatus: setCreation });
+      const newDataset = await getCreatedDataset(finished);
       
       // Update local state with the new dataset
       setDatasets(prev => [newDataset, ...prev]);
@@ -306,6 +312,7 @@ export const DatasetProvider = ({ children }) => {
         datasets: getFilteredDatasets(),
         allDatasets: datasets,
         selectedDataset,
+        creation,
         loading,
         uploadProgress,
         error,
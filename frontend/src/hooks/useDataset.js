@@ -4,6 +4,7 @@ import * as datasetService from '../services/dataset';
 export const useDataset = () => {
   const [datasets, setDatasets] = useState([]);
   const [dataset, setDataset] = useState(null);
+  const [creation, setCreation] = useState(null);
   const [loading, setLoading] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
@@ -14,14 +15,22 @@ export const useDataset = () => {
     limit: 10,
     pages: 0
   });
+  const [facets, setFacets] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
 
-  // Create a new dataset
+  // Create a new dataset and follow its creation until it ends
   const createDataset = useCallback(async (datasetData) => {
     try {
       setLoading(true);
       setError(null);
       
-      const result = await datasetService.createDataset(datasetData);
+      const { data: started } = await datasetService.createDataset(datasetData);
+      setCreation(started);
+      
+      const finished = await datasetService.waitForDatasetCreation(started.id, { onStatus: setCreation });
+      const result = await datasetService.getCreatedDataset(finished);
+      setDataset(result);
+      
       return result;
     } catch (err) {
       setError(err.message);
@@ -93,25 +102,21 @@ export const useDataset = () => {
     }
   }, []);
 
-  // Verify a dataset
-  const verifyDataset = useCallback(async (id) => {
+  // Search datasets; passing the cursor of the last page appends the next one
+  const searchDatasets = useCallback(async (params = {}) => {
     try {
       setLoading(true);
       setError(null);
       
-      const result = await datasetService.verifyDataset(id);
-      
-      // Update local dataset if it matches
-      if (dataset && dataset.id === id) {
-        setDataset(result);
-      }
-      
-      // Update in datasets list if exists
-      setDatasets((prevDatasets) => 
-        prevDatasets.map((item) => 
-          item.id === id ? result : item
-        )
-      );
+      const result = await datasetService.searchDatasets(params);
+      setDatasets((prevDatasets) => (params.cursor ? [...prevDatasets, ...result.data] : result.data));
+      setFacets(result.facets);
+      setNextCursor(result.pagination.nextCursor);
+      setPagination((prevPagination) => ({
+        ...prevPagination,
+        total: result.pagination.total,
+        limit: result.pagination.limit
+      }));
       
       return result;
     } catch (err) {
@@ -120,20 +125,23 @@ export const useDataset = () => {
     } finally {
       setLoading(false);
     }
-  }, [dataset]);
+  }, []);
 
   return {
     datasets,
     dataset,
+    creation,
     loading,
     uploading,
     uploadProgress,
     error,
     pagination,
+    facets,
+    nextCursor,
     createDataset,
     uploadFiles,
     getDataset,
     listDatasets,
-    verifyDataset
+    searchDatasets
   };
 };
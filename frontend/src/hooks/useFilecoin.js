@@ -6,6 +6,8 @@ import { getContract } from '../utils/web3';
 export const useFilecoin = (signer) => {
   const [deals, setDeals] = useState([]);
   const [deal, setDeal] = useState(null);
+  const [replicas, setReplicas] = useState([]);
+  const [renewals, setRenewals] = useState({ policy: null, renewals: [] });
   const [loading, setLoading] = useState(false);
   const [storing, setStoring] = useState(false);
   const [progress, setProgress] = useState(0);
@@ -194,9 +196,126 @@ export const useFilecoin = (signer) => {
     }
   }, [signer]);
 
+  // Get replica health for the user's datasets
+  const getMyReplicas = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = await api.get(API_ENDPOINTS.FILECOIN.REPLICAS);
+      setReplicas(response.data);
+      
+      return response.data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Get replica health for a dataset
+  const getDatasetReplicas = useCallback(async (datasetId) => {
+    try {
+      setError(null);
+      const response = await api.get(API_ENDPOINTS.FILECOIN.DATASET_REPLICAS(datasetId));
+      return response.data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  // Change how many replicas a dataset keeps; missing replicas are created right away
+  const setReplicationTarget = useCallback(async (datasetId, target) => {
+    try {
+      setError(null);
+      
+      const response = await api.put(API_ENDPOINTS.FILECOIN.DATASET_REPLICAS(datasetId), { target });
+      setReplicas(current => current.map(health => (
+        health.datasetId === datasetId ? { ...health, ...response.data } : health
+      )));
+      
+      return response.data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  // Get a dataset's renewal policy and its renewals of expiring deals
+  const getRenewals = useCallback(async (datasetId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const response = await api.get(API_ENDPOINTS.FILECOIN.DATASET_RENEWALS(datasetId));
+      setRenewals(response.data);
+      
+      return response.data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Change whether and how expiring deals of a dataset are renewed
+  const setRenewalPolicy = useCallback(async (datasetId, policy) => {
+    try {
+      setError(null);
+      
+      const response = await api.put(API_ENDPOINTS.FILECOIN.RENEWAL_POLICY(datasetId), policy);
+      setRenewals(current => ({ ...current, policy: response.data }));
+      
+      return response.data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  // Approve or reject a renewal waiting on the owner
+  const decideRenewal = useCallback(async (id, approve, reason) => {
+    try {
+      setError(null);
+      
+      const response = approve
+        ? await api.post(API_ENDPOINTS.FILECOIN.APPROVE_RENEWAL(id))
+        : await api.post(API_ENDPOINTS.FILECOIN.REJECT_RENEWAL(id), { reason });
+      setRenewals(current => ({
+        ...current,
+        renewals: current.renewals.map(renewal => (renewal.id === id ? response.data : renewal))
+      }));
+      
+      return response.data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  const approveRenewal = useCallback((id) => decideRenewal(id, true), [decideRenewal]);
+  const rejectRenewal = useCallback((id, reason) => decideRenewal(id, false, reason), [decideRenewal]);
+
+  // Get how a storage provider has done in retrievability audits
+  const getProviderAudits = useCallback(async (providerId) => {
+    try {
+      setError(null);
+      const response = await api.get(API_ENDPOINTS.FILECOIN.PROVIDER_AUDITS(providerId));
+      return response.data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
   return {
     deals,
     deal,
+    replicas,
+    renewals,
     loading,
     storing,
     progress,
@@ -206,7 +325,15 @@ export const useFilecoin = (signer) => {
     storeInFilecoin,
     checkDealStatus,
     retrieveData,
-    verifyDeal
+    verifyDeal,
+    getMyReplicas,
+    getDatasetReplicas,
+    setReplicationTarget,
+    getRenewals,
+    setRenewalPolicy,
+    approveRenewal,
+    rejectRenewal,
+    getProviderAudits
   };
 };
 
@@ -141,6 +141,48 @@ export const useMarketplace = (signer) => {
     }
   }, [signer]);
 
+  // Renew a subscription for another billing period
+  const renewSubscription = useCallback(async (subscriptionId, listingId, price) => {
+    if (!signer) {
+      throw new Error('Wallet not connected');
+    }
+    
+    try {
+      setPurchasing(true);
+      setError(null);
+      
+      // Pay for the next period on blockchain
+      const marketplaceContract = getContract('Marketplace', signer);
+      const tx = await marketplaceContract.purchaseListing(listingId, {
+        value: price
+      });
+      const receipt = await tx.wait();
+      
+      // Record renewal on backend
+      const response = await api.post(API_ENDPOINTS.MARKETPLACE.RENEW_SUBSCRIPTION(subscriptionId), {
+        transactionHash: receipt.transactionHash
+      });
+      
+      return response;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setPurchasing(false);
+    }
+  }, [signer]);
+
+  // Cancel a subscription; access lasts until the end of the paid period
+  const cancelSubscription = useCallback(async (subscriptionId) => {
+    try {
+      setError(null);
+      return await api.post(API_ENDPOINTS.MARKETPLACE.CANCEL_SUBSCRIPTION(subscriptionId));
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
   return {
     listings,
     listing,
@@ -152,6 +194,8 @@ export const useMarketplace = (signer) => {
     getListings,
     getListing,
     createListing,
-    purchaseListing
+    purchaseListing,
+    renewSubscription,
+    cancelSubscription
   };
 };
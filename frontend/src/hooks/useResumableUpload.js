@@ -0,0 +1,149 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import * as uploadService from '../services/upload';
+
+// Upload a file in resumable chunks that can be paused, resumed and, once every byte has arrived,
+// submitted as a dataset
+export const useResumableUpload = () => {
+  const [upload, setUpload] = useState(null);
+  const [status, setStatus] = useState('idle'); // idle, uploading, paused, uploaded, failed
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  
+  const fileRef = useRef(null);
+  const controllerRef = useRef(null);
+  
+  // Stop sending chunks when the component goes away; the upload can be resumed later
+  useEffect(() => () => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+    }
+  }, []);
+  
+  // Send the current file from the offset the server has stored
+  const run = useCallback(async () => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    
+    try {
+      setStatus('uploading');
+      setError(null);
+      
+      const result = await uploadService.sendFile(fileRef.current, {
+        signal: controller.signal,
+        onProgress: (current, percentage) => {
+          setUpload(current);
+          setProgress(percentage);
+        }
+      });
+      
+      setUpload(result);
+      setProgress(100);
+      setStatus('uploaded');
+      
+      return result;
+    } catch (err) {
+      // Paused, unless the upload was restarted or cancelled meanwhile
+      if (controller.signal.aborted) {
+        if (controllerRef.current === controller) {
+          setStatus('paused');
+        }
+        return null;
+      }
+      
+      setError(err.message);
+      setStatus('failed');
+      return null;
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+      }
+    }
+  }, []);
+  
+  // Start uploading a file, continuing an earlier upload of the same file if there is one
+  const start = useCallback(async (file) => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+    }
+    
+    fileRef.current = file;
+    setUpload(null);
+    setProgress(0);
+    
+    return run();
+  }, [run]);
+  
+  // Pause after the chunk in flight is abandoned
+  const pause = useCallback(() => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+    }
+  }, []);
+  
+  // Resume a paused or failed upload
+  const resume = useCallback(async () => {
+    if (!fileRef.current || controllerRef.current) {
+      return null;
+    }
+    
+    return run();
+  }, [run]);
+  
+  // Cancel the upload and discard what the server received
+  const cancel = useCallback(async () => {
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+      controllerRef.current = null;
+    }
+    
+    try {
+      if (upload && upload.status === 'uploading') {
+        await uploadService.cancelUpload(upload.id);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      if (fileRef.current) {
+        uploadService.forgetUpload(fileRef.current);
+      }
+      fileRef.current = null;
+      setUpload(null);
+      setProgress(0);
+      setStatus('idle');
+    }
+  }, [upload]);
+  
+  // Submit the uploaded file as a dataset
+  const complete = useCallback(async (dataset) => {
+    if (status !== 'uploaded') {
+      throw new Error('The upload has not finished yet');
+    }
+    
+    try {
+      setError(null);
+      
+      const result = await uploadService.completeUpload(upload.id, dataset);
+      uploadService.forgetUpload(fileRef.current);
+      setUpload(result.upload);
+      
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  }, [status, upload]);
+  
+  return {
+    upload,
+    status,
+    progress,
+    error,
+    start,
+    pause,
+    resume,
+    cancel,
+    complete
+  };
+};
+
+export default useResumableUpload;
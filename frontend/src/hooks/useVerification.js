@@ -0,0 +1,88 @@
+import { useState, useCallback } from 'react';
+import { getContract } from '../utils/web3';
+import * as verificationService from '../services/verification';
+
+// Drive the verification workflow of a dataset: owners request and pay for verification,
+// admins assign verifiers and verifiers submit their reports
+export const useVerification = (signer) => {
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  
+  // Fetch the verification history of a dataset
+  const getHistory = useCallback(async (datasetId) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const result = await verificationService.getVerificationHistory(datasetId);
+      setHistory(result);
+      
+      return result;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+  
+  // Run a workflow step, then refresh the history of its dataset
+  const runStep = useCallback(async (step) => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      
+      const request = await step();
+      await getHistory(request.datasetId);
+      
+      return request;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setSubmitting(false);
+    }
+  }, [getHistory]);
+  
+  // Request verification of a dataset, paying the registry's fee from the owner's wallet
+  const requestVerification = useCallback(async (dataset, { method, details }) => {
+    if (!signer) {
+      throw new Error('Wallet not connected');
+    }
+    
+    return runStep(async () => {
+      const registry = getContract('VerificationRegistry', signer);
+      const fee = await registry.verificationFee();
+      
+      const tx = await registry.requestVerification(dataset.tokenId, method, details || '', { value: fee });
+      const receipt = await tx.wait();
+      
+      return verificationService.recordVerificationRequest(dataset.id, receipt.transactionHash);
+    });
+  }, [signer, runStep]);
+  
+  // Assign a verifier to a pending request
+  const assignVerifier = useCallback(async (requestId, verifier) => {
+    return runStep(() => verificationService.assignVerifier(requestId, verifier));
+  }, [runStep]);
+  
+  // Submit the report of an assigned request
+  const submitReport = useCallback(async (requestId, report) => {
+    return runStep(() => verificationService.submitReport(requestId, report));
+  }, [runStep]);
+  
+  return {
+    history,
+    loading,
+    submitting,
+    error,
+    getHistory,
+    requestVerification,
+    assignVerifier,
+    submitReport
+  };
+};
+
+export default useVerification;
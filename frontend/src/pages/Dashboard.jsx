@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { Link } from 'react-router-dom';
 import { useDataset } from '../hooks/useDataset';
+import { useFilecoin } from '../hooks/useFilecoin';
 import { AuthContext } from '../contexts/AuthContext';
 import Card from '../components/common/Card';
 import Button from '../components/common/Button';
@@ -10,14 +11,49 @@ import { formatDate, formatCurrency } from '../utils/formatting';
 const Dashboard = () => {
   const { user } = useContext(AuthContext);
   const { datasets, loading, error, listDatasets } = useDataset();
+  const {
+    replicas,
+    loading: replicasLoading,
+    error: replicasError,
+    getMyReplicas,
+    setReplicationTarget
+  } = useFilecoin();
   
   const [activeTab, setActiveTab] = useState('datasets');
+  const [targets, setTargets] = useState({});
   
   useEffect(() => {
     // Load user's datasets
     listDatasets({ creator: user?.walletAddress });
   }, [listDatasets, user]);
   
+  useEffect(() => {
+    if (activeTab === 'storage') {
+      getMyReplicas().catch(() => {});
+    }
+  }, [activeTab, getMyReplicas]);
+  
+  const healthBadges = {
+    healthy: { variant: 'success', label: 'Healthy' },
+    replicating: { variant: 'info', label: 'Replicating' },
+    degraded: { variant: 'warning', label: 'Degraded' },
+    unreplicated: { variant: 'danger', label: 'Unreplicated' }
+  };
+  
+  const handleTargetSubmit = async (datasetId) => {
+    const target = parseInt(targets[datasetId], 10);
+    if (!target) {
+      return;
+    }
+    
+    try {
+      await setReplicationTarget(datasetId, target);
+      setTargets(current => ({ ...current, [datasetId]: undefined }));
+    } catch (err) {
+      // Error is shown from the hook state
+    }
+  };
+  
   const renderDatasetsTab = () => {
     if (loading) {
       return (
@@ -120,6 +156,117 @@ const Dashboard = () => {
     );
   };
   
+  const renderStorageTab = () => {
+    if (replicasLoading && replicas.length === 0) {
+      return (
+        <div className="flex justify-center items-center py-12">
+          <svg className="animate-spin h-10 w-10 text-blue-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+          </svg>
+        </div>
+      );
+    }
+    
+    if (replicas.length === 0) {
+      return (
+        <div className="text-center py-12">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No stored datasets</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Replica health appears here once your datasets are stored on Filecoin.
+          </p>
+        </div>
+      );
+    }
+    
+    return (
+      <div className="overflow-x-auto">
+        {replicasError && (
+          <div className="mb-4 p-4 bg-red-50 rounded-md">
+            <p className="text-sm text-red-600">{replicasError}</p>
+          </div>
+        )}
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Dataset
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Health
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Replicas
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Providers
+              </th>
+              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Target
+              </th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {replicas.map((health) => {
+              const badge = healthBadges[health.health] || healthBadges.unreplicated;
+              
+              return (
+                <tr key={health.datasetId}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">
+                      <Link to={`/marketplace/${health.datasetId}`} className="hover:text-blue-600">
+                        {health.name}
+                      </Link>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <Badge variant={badge.variant}>{badge.label}</Badge>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {health.active} of {health.target} active
+                    {health.pending > 0 && (
+                      <span className="text-gray-500"> ({health.pending} pending)</span>
+                    )}
+                    {(health.failed > 0 || health.expired > 0) && (
+                      <div className="text-xs text-gray-500">
+                        {health.failed} failed, {health.expired} expired
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    <div>{health.providers.join(', ') || '—'}</div>
+                    <div className="text-xs">
+                      {health.regions.length} {health.regions.length === 1 ? 'region' : 'regions'}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="number"
+                        min="1"
+                        className="w-16 rounded-md border-gray-300 text-sm"
+                        value={targets[health.datasetId] ?? health.target}
+                        onChange={(e) => setTargets(current => ({ ...current, [health.datasetId]: e.target.value }))}
+                      />
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        disabled={!targets[health.datasetId] || parseInt(targets[health.datasetId], 10) === health.target}
+                        onClick={() => handleTargetSubmit(health.datasetId)}
+                      >
+                        Update
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+  
   const renderRoyaltiesTab = () => {
     return (
       <div className="py-6">
@@ -256,11 +403,24 @@ const Dashboard = () => {
           >
             Royalties & Attribution
           </button>
+          <button
+            className={`
+              whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm
+              ${activeTab === 'storage'
+                ? 'border-blue-500 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}
+            `}
+            onClick={() => setActiveTab('storage')}
+          >
+            Storage
+          </button>
         </nav>
       </div>
       
       <div className="py-6">
-        {activeTab === 'datasets' ? renderDatasetsTab() : renderRoyaltiesTab()}
+        {activeTab === 'datasets' && renderDatasetsTab()}
+        {activeTab === 'royalties' && renderRoyaltiesTab()}
+        {activeTab === 'storage' && renderStorageTab()}
       </div>
     </div>
   );
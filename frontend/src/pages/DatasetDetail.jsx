@@ -3,9 +3,12 @@ import { useParams } from 'react-router-dom';
 import { useDataset } from '../hooks/useDataset';
 import { useProvenance } from '../hooks/useProvenance';
 import { useMarketplace } from '../hooks/useMarketplace';
+import { useVerification } from '../hooks/useVerification';
 import { WalletContext } from '../contexts/WalletContext';
 import { AuthContext } from '../contexts/AuthContext';
 import DatasetDetailView from '../components/marketplace/DatasetDetail';
+import DatasetProfile from '../components/marketplace/DatasetProfile';
+import VerificationHistory from '../components/marketplace/VerificationHistory';
 import ProvenanceGraph from '../components/provenance/ProvenanceGraph';
 import UsageRecorder from '../components/attribution/UsageRecorder';
 import Card from '../components/common/Card';
@@ -17,11 +20,12 @@ import { ethers } from 'ethers';
 const DatasetDetail = () => {
   const { id } = useParams();
   const { signer, account } = useContext(WalletContext);
-  useContext(AuthContext);
+  const { user } = useContext(AuthContext);
   
   const { dataset, loading: datasetLoading, error: datasetError, getDataset } = useDataset();
   const { graph, loading: graphLoading, recordUsage, recording } = useProvenance(signer);
   const { purchaseListing, purchasing } = useMarketplace(signer);
+  const verification = useVerification(signer);
   
   const [isPurchaseModalOpen, setIsPurchaseModalOpen] = useState(false);
   const [isOwner, setIsOwner] = useState(false);
@@ -34,6 +38,14 @@ const DatasetDetail = () => {
     }
   }, [getDataset, id]);
   
+  // Fetch the verification history
+  const { getHistory } = verification;
+  useEffect(() => {
+    if (id) {
+      getHistory(id).catch(() => {});
+    }
+  }, [getHistory, id]);
+  
   // Check if the user is the owner or has access
   useEffect(() => {
     if (dataset && account) {
@@ -61,6 +73,33 @@ const DatasetDetail = () => {
     }
   };
   
+  // Handle verification workflow steps; errors are shown by the verification card
+  const handleRequestVerification = async (request) => {
+    try {
+      await verification.requestVerification(dataset, request);
+    } catch (error) {
+      console.error('Verification request failed:', error);
+    }
+  };
+  
+  const handleAssignVerifier = async (requestId, verifier) => {
+    try {
+      await verification.assignVerifier(requestId, verifier);
+    } catch (error) {
+      console.error('Verifier assignment failed:', error);
+    }
+  };
+  
+  const handleSubmitReport = async (requestId, report) => {
+    try {
+      await verification.submitReport(requestId, report);
+      // An approved report verifies the dataset
+      getDataset(id);
+    } catch (error) {
+      console.error('Verification report failed:', error);
+    }
+  };
+  
   // Handle usage recording
   const handleRecordUsage = async (usageData) => {
     try {
@@ -120,6 +159,11 @@ const DatasetDetail = () => {
         canAccess={hasAccess}
       />
       
+      {/* Content Profile Section */}
+      <div className="mt-8">
+        <DatasetProfile profile={dataset.profile} profileCid={dataset.profileCid} />
+      </div>
+      
       {/* Provenance Graph Section */}
       <div className="mt-8">
         <h2 className="text-2xl font-bold text-gray-900 mb-4">Data Provenance</h2>
@@ -135,6 +179,23 @@ const DatasetDetail = () => {
         )}
       </div>
       
+      {/* Verification Section */}
+      <div className="mt-8">
+        <VerificationHistory
+          history={verification.history}
+          account={account}
+          profileCid={dataset.profileCid}
+          isOwner={isOwner}
+          isAdmin={user?.role === 'admin'}
+          loading={verification.loading}
+          submitting={verification.submitting}
+          error={verification.error}
+          onRequest={handleRequestVerification}
+          onAssign={handleAssignVerifier}
+          onSubmitReport={handleSubmitReport}
+        />
+      </div>
+      
       {/* Usage Recording Section */}
       {hasAccess && (
         <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-8">
@@ -111,9 +111,14 @@ const Login = () => {
                 disabled={isLoggingIn || loading}
                 fullWidth
               >
-                Sign In With Wallet
+                Sign In With Ethereum
               </Button>
               
+              <p className="mt-2 text-xs text-gray-500">
+                Your wallet will ask you to sign a message for {window.location.host}. Signing is free and
+                does not send a transaction.
+              </p>
+              
               {authError && (
                 <p className="mt-2 text-sm text-red-600">{authError}</p>
               )}
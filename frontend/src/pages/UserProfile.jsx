@@ -4,6 +4,7 @@ import { WalletContext } from '../contexts/WalletContext';
 import { AuthContext } from '../contexts/AuthContext';
 import Card from '../components/common/Card';
 import Button from '../components/common/Button';
+import ApiKeyManager from '../components/account/ApiKeyManager';
 import { formatDate } from '../utils/formatting';
 import { useResponsive } from '../hooks/useResponsive';
 
@@ -457,6 +458,10 @@ const UserProfile = () => {
               </div>
             </Card>
           </div>
+          
+          <div className="mt-6">
+            <ApiKeyManager />
+          </div>
         </div>
       </div>
     </div>
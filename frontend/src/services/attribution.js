@@ -132,6 +132,24 @@ export const getDatasetRoyalties = async (datasetId) => {
   }
 };
 
+/**
+ * Get a royalty statement for a period, with amounts in wei
+ * @param {Object} [options] - Statement options
+ * @param {string} [options.period] - Calendar month (YYYY-MM)
+ * @param {string} [options.from] - Period start (ISO 8601)
+ * @param {string} [options.to] - Period end (ISO 8601)
+ * @param {string} [options.datasetId] - Only include entries of this dataset
+ * @param {string} [options.account] - Contributor address (admins only, defaults to the current user)
+ * @returns {Promise<Object>} Opening and closing balances, ledger entries and usage attribution
+ */
+export const getRoyaltyStatement = async (options = {}) => {
+  try {
+    return await api.get(`${API_ENDPOINTS.ATTRIBUTION.BASE}/royalties/statement`, { params: options });
+  } catch (error) {
+    throw new Error(error.message || 'Failed to fetch royalty statement');
+  }
+};
+
 /**
  * Distribute royalties for a dataset
  * @param {string} datasetId - Dataset ID
@@ -1,6 +1,7 @@
 import api from './api';
 import { API_ENDPOINTS } from '../constants/api';
 import { signMessage } from '../utils/web3';
+import { buildSiweMessage, checkSiweChallenge } from '../utils/siwe';
 
 /**
  * Register a new user
@@ -19,24 +20,30 @@ export const register = async (userData) => {
 };
 
 /**
- * Login with wallet
+ * Login with wallet using Sign-In with Ethereum (EIP-4361)
  * @param {string} walletAddress Wallet address
  * @param {Object} signer Ethers signer
  * @returns {Promise<Object>} User data and token
  */
 export const loginWithWallet = async (walletAddress, signer) => {
   try {
-    // Step 1: Get nonce from server
-    const { nonce } = await api.post(`${API_ENDPOINTS.AUTH.LOGIN}/nonce`, { walletAddress });
+    // Step 1: Get a nonce for the connected chain from the server
+    const chainId = await signer.getChainId();
+    const { data: challenge } = await api.post(API_ENDPOINTS.AUTH.CHALLENGE, {
+      address: walletAddress,
+      chainId
+    });
     
-    // Step 2: Sign the nonce
-    const message = `Sign this message to authenticate with DataProvChain. Nonce: ${nonce}`;
+    // Step 2: Sign a SIWE message carrying the nonce
+    checkSiweChallenge(challenge, walletAddress, chainId);
+    const message = buildSiweMessage(challenge);
     const signature = await signMessage(message, signer);
     
-    // Step 3: Verify signature and login
-    const response = await api.post(API_ENDPOINTS.AUTH.LOGIN, {
-      walletAddress,
-      signature
+    // Step 3: Verify signature and login; the session secret proves this client asked for the nonce
+    const { data: response } = await api.post(API_ENDPOINTS.AUTH.AUTHENTICATE, {
+      message,
+      signature,
+      session: challenge.session
     });
     
     // Store token in localStorage
@@ -62,6 +69,50 @@ export const getUserProfile = async () => {
   }
 };
 
+/**
+ * List the current user's API keys
+ * @returns {Promise<Array>} API keys, without their secrets
+ */
+export const listApiKeys = async () => {
+  try {
+    const { data } = await api.get(API_ENDPOINTS.AUTH.API_KEYS);
+    return data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to list API keys');
+  }
+};
+
+/**
+ * Create an API key
+ * @param {Object} keyData Key data
+ * @param {string} keyData.label Name to recognise the key by
+ * @param {Array<string>} keyData.scopes Scopes the key grants
+ * @param {string} [keyData.expiresAt] ISO 8601 expiry time
+ * @returns {Promise<Object>} The key, with its secret in `key`; shown only this once
+ */
+export const createApiKey = async (keyData) => {
+  try {
+    const { data } = await api.post(API_ENDPOINTS.AUTH.API_KEYS, keyData);
+    return data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to create API key');
+  }
+};
+
+/**
+ * Revoke an API key
+ * @param {string} id API key ID
+ * @returns {Promise<Object>} The revoked key
+ */
+export const revokeApiKey = async (id) => {
+  try {
+    const { data } = await api.delete(API_ENDPOINTS.AUTH.API_KEY_BY_ID(id));
+    return data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to revoke API key');
+  }
+};
+
 /**
  * Logout the current user
  */
@@ -33,13 +33,38 @@ export const getProposal = async (id) => {
   }
 };
 
+/**
+ * Get the projected outcome of a proposal and whether the DAO contract would execute it
+ * @param {string} id - Proposal ID
+ * @returns {Promise<Object>} Weighted tally, quorum and execution eligibility
+ */
+export const getProposalOutcome = async (id) => {
+  try {
+    return await api.get(API_ENDPOINTS.DAO.DRY_RUN(id));
+  } catch (error) {
+    throw new Error(error.message || 'Failed to fetch proposal outcome');
+  }
+};
+
+/**
+ * Get the action types a proposal can carry out
+ * @returns {Promise<Object>} Action types and the parameters each takes
+ */
+export const getProposalActionTypes = async () => {
+  try {
+    return await api.get(API_ENDPOINTS.DAO.ACTIONS);
+  } catch (error) {
+    throw new Error(error.message || 'Failed to fetch proposal action types');
+  }
+};
+
 /**
  * Create a new proposal
  * @param {Object} proposalData - Proposal data
  * @param {string} proposalData.title - Proposal title
  * @param {string} proposalData.description - Proposal description
  * @param {string} proposalData.type - Proposal type (e.g., ADD_DATASET, MODIFY_PARAMETERS)
- * @param {Object} proposalData.actions - Actions to execute if passed
+ * @param {Array<Object>} proposalData.actions - Actions to execute if passed, each with a type and params
  * @param {number} proposalData.votingPeriod - Voting period in seconds
  * @returns {Promise<Object>} Created proposal
  */
@@ -24,6 +24,36 @@ export const getDatasets = async (filters = {}) => {
   }
 };
 
+/**
+ * Search datasets by free text with facet counts
+ * @param {Object} params - Search parameters
+ * @param {string} [params.q] - Free-text query
+ * @param {Array<string>} [params.dataType] - Data types, any of
+ * @param {Array<string>} [params.license] - Licenses, any of
+ * @param {Array<string>} [params.tag] - Tags, any of
+ * @param {Array<string>} [params.contributor] - Contributor addresses, any of
+ * @param {Array<string>} [params.priceBand] - Price bands, any of
+ * @param {boolean} [params.verified] - Filter by verification status
+ * @param {string} [params.sort] - "relevance", "price", "usage" or "recent"
+ * @param {string} [params.order] - "asc" or "desc"
+ * @param {string} [params.cursor] - Cursor of the next page
+ * @param {number} [params.limit=10] - Items per page
+ * @returns {Promise<Object>} Datasets, facets and the cursor of the next page
+ */
+export const searchDatasets = async (params = {}) => {
+  const query = Object.fromEntries(
+    Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== '' && !(Array.isArray(value) && !value.length))
+      .map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : value])
+  );
+  
+  try {
+    return await api.get(API_ENDPOINTS.DATASETS.SEARCH, { params: query });
+  } catch (error) {
+    throw new Error(error.message || 'Failed to search datasets');
+  }
+};
+
 /**
  * Get a specific dataset by ID
  * @param {string} id - Dataset ID
@@ -46,7 +76,7 @@ export const getDataset = async (id) => {
  * @param {string} datasetData.license - License type
  * @param {Array} datasetData.tags - Tags for the dataset
  * @param {Object} [datasetData.metadata] - Additional metadata
- * @returns {Promise<Object>} Created dataset
+ * @returns {Promise<Object>} Creation status; poll getDatasetCreationStatus until it completes
  */
 export const createDataset = async (datasetData) => {
   try {
@@ -56,6 +86,86 @@ export const createDataset = async (datasetData) => {
   }
 };
 
+/**
+ * Get the status of a dataset creation started by createDataset
+ * @param {string} creationId - Creation ID returned by createDataset
+ * @returns {Promise<Object>} Creation status with per-step progress
+ */
+export const getDatasetCreationStatus = async (creationId) => {
+  try {
+    return await api.get(`${API_ENDPOINTS.DATASETS.BASE}/creations/${creationId}`);
+  } catch (error) {
+    throw new Error(error.message || 'Failed to fetch dataset creation status');
+  }
+};
+
+// Statuses a creation stays in until someone acts on it
+export const CREATION_END_STATUSES = ['completed', 'failed', 'blocked', 'quarantined', 'compensated'];
+
+/**
+ * Poll a dataset creation until it completes, fails or is stopped by the content scan
+ * @param {string} creationId - Creation ID returned by createDataset
+ * @param {Object} [options] - Polling options
+ * @param {number} [options.interval=2000] - Milliseconds between polls
+ * @param {Function} [options.onStatus] - Called with every creation status fetched
+ * @returns {Promise<Object>} Creation status it ended in
+ */
+export const waitForDatasetCreation = async (creationId, { interval = 2000, onStatus } = {}) => {
+  for (;;) {
+    const { data: creation } = await getDatasetCreationStatus(creationId);
+    
+    if (onStatus) {
+      onStatus(creation);
+    }
+    
+    if (CREATION_END_STATUSES.includes(creation.status)) {
+      return creation;
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+};
+
+/**
+ * Get the dataset a completed creation produced
+ * @param {Object} creation - Creation status it ended in
+ * @returns {Promise<Object>} Dataset; rejects with the creation's error when it did not complete
+ */
+export const getCreatedDataset = async (creation) => {
+  if (creation.status !== 'completed') {
+    throw new Error(creation.lastError || `Dataset creation ${creation.status}`);
+  }
+  
+  const { data: dataset } = await getDataset(creation.id);
+  return dataset;
+};
+
+/**
+ * Resume a failed dataset creation from the step that failed
+ * @param {string} creationId - Creation ID
+ * @returns {Promise<Object>} Creation status
+ */
+export const resumeDatasetCreation = async (creationId) => {
+  try {
+    return await api.post(`${API_ENDPOINTS.DATASETS.BASE}/creations/${creationId}/resume`);
+  } catch (error) {
+    throw new Error(error.message || 'Failed to resume dataset creation');
+  }
+};
+
+/**
+ * Cancel a failed dataset creation and undo its partial effects
+ * @param {string} creationId - Creation ID
+ * @returns {Promise<Object>} Creation status
+ */
+export const cancelDatasetCreation = async (creationId) => {
+  try {
+    return await api.delete(`${API_ENDPOINTS.DATASETS.BASE}/creations/${creationId}`);
+  } catch (error) {
+    throw new Error(error.message || 'Failed to cancel dataset creation');
+  }
+};
+
 /**
  * Update an existing dataset
  * @param {string} id - Dataset ID
@@ -131,19 +241,6 @@ export const publishDataset = async (id, marketplaceData) => {
   }
 };
 
-/**
- * Verify a dataset's integrity and provenance
- * @param {string} id - Dataset ID
- * @returns {Promise<Object>} Verification result
- */
-export const verifyDataset = async (id) => {
-  try {
-    return await api.post(`${API_ENDPOINTS.DATASETS.BASE}/${id}/verify`);
-  } catch (error) {
-    throw new Error(error.message || 'Failed to verify dataset');
-  }
-};
-
 /**
  * Get datasets owned by the current user
  * @returns {Promise<Array>} List of user's datasets
@@ -184,4 +281,21 @@ export const downloadDatasetFile = async (datasetId, fileId) => {
   } catch (error) {
     throw new Error(error.message || 'Failed to download file');
   }
+};
+
+/**
+ * Get the data key of an encrypted dataset, for decrypting content fetched from IPFS/Filecoin
+ * @param {string} datasetId - Dataset ID
+ * @param {string} [publicKey] - Wallet public key to wrap the key for; without it the key is returned as is
+ * @returns {Promise<Object>} Data key, wrapped or not, and the encrypted file format
+ */
+export const getDatasetKey = async (datasetId, publicKey) => {
+  try {
+    const response = await api.get(API_ENDPOINTS.DATASETS.KEY(datasetId), {
+      params: publicKey ? { publicKey } : {}
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to get dataset key');
+  }
 };
\ No newline at end of file
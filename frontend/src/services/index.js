@@ -7,4 +7,6 @@ export * as attributionService from './attribution';
 export * as contractsService from './contracts';
 export * as ipfsService from './ipfs';
 export * as filecoinService from './filecoin';
-export * as daoService from './dao';
\ No newline at end of file
+export * as daoService from './dao';
+export * as uploadService from './upload';
+export * as verificationService from './verification';
\ No newline at end of file
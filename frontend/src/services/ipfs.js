@@ -18,27 +18,24 @@ const ipfs = create({
  */
 export const uploadFile = async (file, onProgress = null) => {
   try {
-    const fileData = await file.arrayBuffer();
-    const buffer = Buffer.from(fileData);
-    
+    // The file is passed as is so the client streams it instead of holding it in memory
     // If progress callback is provided, create a wrapper for progress tracking
     if (onProgress) {
-      let loaded = 0;
       const fileSize = file.size;
-      const onChunkCallback = (chunk) => {
-        loaded += chunk.length;
-        const progress = Math.round((loaded / fileSize) * 100);
+      const onChunkCallback = (bytes) => {
+        // The client reports the total bytes sent so far
+        const progress = Math.round((bytes / fileSize) * 100);
         onProgress(progress);
       };
       
       const result = await ipfs.add(
-        { path: file.name, content: buffer },
+        { path: file.name, content: file },
         { progress: onChunkCallback }
       );
       
       return result.cid.toString();
     } else {
-      const result = await ipfs.add({ path: file.name, content: buffer });
+      const result = await ipfs.add({ path: file.name, content: file });
       return result.cid.toString();
     }
   } catch (error) {
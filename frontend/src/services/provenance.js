@@ -117,6 +117,59 @@ export const getProvenanceGraph = async (datasetId) => {
   }
 };
 
+/**
+ * Get the cross-dataset lineage graph of a dataset
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} [options] - Query options
+ * @param {number} [options.depth] - Number of generations to walk (1-10)
+ * @param {string} [options.direction] - "ancestors", "descendants" or "both"
+ * @returns {Promise<Object>} Graph data with nodes, edges and detected cycles
+ */
+export const getDatasetLineage = async (datasetId, options = {}) => {
+  try {
+    return await api.get(`${API_ENDPOINTS.PROVENANCE.BASE}/dataset/${datasetId}/lineage`, { 
+      params: options 
+    });
+  } catch (error) {
+    throw new Error(error.message || 'Failed to fetch dataset lineage');
+  }
+};
+
+/**
+ * Export a dataset's provenance history as W3C PROV
+ * @param {string} datasetId - Dataset ID
+ * @param {string} [format='prov-json'] - Export format (prov-json, jsonld, turtle)
+ * @returns {Promise<Blob>} Exported document for download
+ */
+export const exportDatasetProvenance = async (datasetId, format = 'prov-json') => {
+  try {
+    return await api.get(`${API_ENDPOINTS.PROVENANCE.BASE}/dataset/${datasetId}/export`, {
+      params: { format },
+      responseType: 'blob'
+    });
+  } catch (error) {
+    throw new Error(error.message || 'Failed to export dataset provenance');
+  }
+};
+
+/**
+ * Import W3C PROV provenance produced outside DataProvChain onto a dataset
+ * @param {string} datasetId - Dataset ID
+ * @param {Object} document - PROV-JSON or PROV-O JSON-LD document
+ * @param {string} [format='prov-json'] - Document format (prov-json, jsonld)
+ * @returns {Promise<Object>} Created records and skipped activities
+ */
+export const importDatasetProvenance = async (datasetId, document, format = 'prov-json') => {
+  try {
+    return await api.post(`${API_ENDPOINTS.PROVENANCE.BASE}/dataset/${datasetId}/import`, {
+      format,
+      document
+    });
+  } catch (error) {
+    throw new Error(error.message || 'Failed to import dataset provenance');
+  }
+};
+
 /**
  * Export provenance record in specified format
  * @param {string} id - Provenance record ID
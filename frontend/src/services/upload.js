@@ -0,0 +1,222 @@
+import api from './api';
+import { API_ENDPOINTS } from '../constants/api';
+import { getStorageItem, setStorageItem, removeStorageItem } from '../utils/storage';
+
+// Consecutive failed chunks before an upload gives up
+const MAX_RETRIES = 5;
+
+// Time allowed for a single chunk to arrive
+const CHUNK_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Get the key an unfinished upload of a file is remembered under
+ * @param {File} file - File being uploaded
+ * @returns {string} Storage key
+ */
+const getResumeKey = (file) => `upload:${file.name}:${file.size}:${file.lastModified}`;
+
+/**
+ * Compute the checksum of a chunk as sent in the Upload-Checksum header
+ * @param {Blob} chunk - Chunk of a file
+ * @returns {Promise<string>} "sha256 <base64 digest>"
+ */
+const getChecksum = async (chunk) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await chunk.arrayBuffer()));
+  return `sha256 ${btoa(String.fromCharCode(...digest))}`;
+};
+
+/**
+ * Wait before retrying a chunk
+ * @param {number} attempt - Number of the failed attempt
+ * @returns {Promise<void>}
+ */
+const backoff = (attempt) => new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** attempt, 30000)));
+
+/**
+ * Start a resumable upload
+ * @param {string} fileName - Name of the file
+ * @param {number} fileSize - Size of the file in bytes
+ * @returns {Promise<Object>} Upload, with the chunk size to send
+ */
+export const createUpload = async (fileName, fileSize) => {
+  try {
+    const response = await api.post(API_ENDPOINTS.UPLOADS.BASE, { fileName, fileSize });
+    return response.data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to start upload');
+  }
+};
+
+/**
+ * Get an upload, including the offset to resume from
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object>} Upload
+ */
+export const getUpload = async (uploadId) => {
+  try {
+    const response = await api.get(API_ENDPOINTS.UPLOADS.BY_ID(uploadId));
+    return response.data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to fetch upload');
+  }
+};
+
+/**
+ * Send a chunk of an upload
+ * @param {string} uploadId - Upload ID
+ * @param {number} offset - Offset of the chunk; must be the offset the server has stored
+ * @param {Blob} chunk - Chunk of the file
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Signal to abort the request
+ * @param {Function} [options.onProgress] - Called with the bytes of the chunk sent so far
+ * @returns {Promise<Object>} Upload with its new offset
+ */
+export const uploadChunk = async (uploadId, offset, chunk, { signal, onProgress } = {}) => {
+  try {
+    const response = await api.patch(API_ENDPOINTS.UPLOADS.BY_ID(uploadId), chunk, {
+      headers: {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(offset),
+        'Upload-Checksum': await getChecksum(chunk)
+      },
+      timeout: CHUNK_TIMEOUT,
+      signal,
+      onUploadProgress: onProgress ? (progressEvent) => onProgress(progressEvent.loaded) : undefined
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to upload chunk');
+  }
+};
+
+/**
+ * Assemble a finished upload and submit it as a dataset
+ * @param {string} uploadId - Upload ID
+ * @param {Object} dataset - Dataset fields
+ * @param {string} dataset.name - Dataset name
+ * @param {string} [dataset.description] - Dataset description
+ * @param {string} dataset.dataType - Data type
+ * @param {string} [dataset.license] - License
+ * @param {Array} [dataset.contributors] - Contributors and their shares
+ * @param {Array<string>} [dataset.tags] - Tags
+ * @returns {Promise<Object>} Completed upload and the dataset creation status
+ */
+export const completeUpload = async (uploadId, dataset) => {
+  try {
+    const response = await api.post(API_ENDPOINTS.UPLOADS.COMPLETE(uploadId), dataset);
+    return response.data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to complete upload');
+  }
+};
+
+/**
+ * Cancel an upload
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object>} Cancelled upload
+ */
+export const cancelUpload = async (uploadId) => {
+  try {
+    const response = await api.delete(API_ENDPOINTS.UPLOADS.BY_ID(uploadId));
+    return response.data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to cancel upload');
+  }
+};
+
+/**
+ * Find the unfinished upload of a file started earlier, if the server still has it
+ * @param {File} file - File being uploaded
+ * @returns {Promise<Object|null>} Upload or null
+ */
+const findResumableUpload = async (file) => {
+  const uploadId = getStorageItem(getResumeKey(file));
+  if (!uploadId) {
+    return null;
+  }
+  
+  try {
+    const upload = await getUpload(uploadId);
+    if (upload.status === 'uploading') {
+      return upload;
+    }
+  } catch (error) {
+    // Gone or expired; start over
+  }
+  
+  removeStorageItem(getResumeKey(file));
+  return null;
+};
+
+/**
+ * Send a file in chunks, continuing an unfinished upload of the same file when there is one.
+ * Every chunk is sent from the offset the server has stored, so after a failure, a pause or a
+ * reload the upload picks up from the last chunk the server confirmed.
+ * @param {File} file - File to upload
+ * @param {Object} [options] - Upload options
+ * @param {AbortSignal} [options.signal] - Signal to pause the upload
+ * @param {Function} [options.onProgress] - Called with the upload and its progress percentage
+ * @returns {Promise<Object>} Upload with every byte received
+ */
+export const sendFile = async (file, { signal, onProgress } = {}) => {
+  let upload = await findResumableUpload(file);
+  if (!upload) {
+    upload = await createUpload(file.name, file.size);
+    setStorageItem(getResumeKey(file), upload.id);
+  }
+  
+  const report = (sent) => {
+    if (onProgress) {
+      onProgress(upload, Math.floor(((upload.offset + sent) / file.size) * 100));
+    }
+  };
+  
+  report(0);
+  
+  let failures = 0;
+  while (upload.offset < file.size) {
+    if (signal && signal.aborted) {
+      throw new Error('Upload paused');
+    }
+    
+    const chunk = file.slice(upload.offset, upload.offset + upload.chunkSize);
+    
+    try {
+      upload = await uploadChunk(upload.id, upload.offset, chunk, { signal, onProgress: report });
+      failures = 0;
+      report(0);
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw new Error('Upload paused');
+      }
+      
+      failures++;
+      if (failures > MAX_RETRIES) {
+        throw error;
+      }
+      
+      // The chunk may or may not have been stored; continue from the offset the server has
+      await backoff(failures);
+      try {
+        upload = await getUpload(upload.id);
+      } catch (statusError) {
+        continue;
+      }
+      
+      if (upload.status !== 'uploading') {
+        removeStorageItem(getResumeKey(file));
+        throw new Error(`Upload is no longer in progress: ${upload.status}`);
+      }
+    }
+  }
+  
+  return upload;
+};
+
+/**
+ * Forget the unfinished upload of a file, once it is completed or cancelled
+ * @param {File} file - File that was uploaded
+ */
+export const forgetUpload = (file) => {
+  removeStorageItem(getResumeKey(file));
+};
@@ -0,0 +1,96 @@
+import api from './api';
+import { API_ENDPOINTS } from '../constants/api';
+
+/**
+ * Get the verification history of a dataset
+ * @param {string} datasetId - Dataset ID
+ * @returns {Promise<Object>} Verification status and requests with their reports, newest first
+ */
+export const getVerificationHistory = async (datasetId) => {
+  try {
+    const response = await api.get(API_ENDPOINTS.DATASETS.VERIFICATIONS(datasetId));
+    return response.data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to fetch verification history');
+  }
+};
+
+/**
+ * Record a verification request paid for on the VerificationRegistry contract
+ * @param {string} datasetId - Dataset ID
+ * @param {string} transactionHash - Hash of the requestVerification transaction
+ * @returns {Promise<Object>} Verification request
+ */
+export const recordVerificationRequest = async (datasetId, transactionHash) => {
+  try {
+    const response = await api.post(API_ENDPOINTS.DATASETS.VERIFICATIONS(datasetId), { transactionHash });
+    return response.data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to record verification request');
+  }
+};
+
+/**
+ * List verification requests; verifiers only see the requests assigned to them
+ * @param {Object} [params] - Query parameters
+ * @param {string} [params.status] - pending, assigned, verified or rejected
+ * @param {number} [params.page] - Page number
+ * @param {number} [params.limit] - Items per page
+ * @returns {Promise<Object>} Verification requests and pagination
+ */
+export const listVerificationRequests = async (params = {}) => {
+  try {
+    const response = await api.get(API_ENDPOINTS.VERIFICATIONS.BASE, { params });
+    return response.data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to fetch verification requests');
+  }
+};
+
+/**
+ * Get a verification request
+ * @param {string} id - Verification request ID
+ * @returns {Promise<Object>} Verification request
+ */
+export const getVerificationRequest = async (id) => {
+  try {
+    const response = await api.get(API_ENDPOINTS.VERIFICATIONS.BY_ID(id));
+    return response.data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to fetch verification request');
+  }
+};
+
+/**
+ * Assign a verifier to a pending verification request (admins only)
+ * @param {string} id - Verification request ID
+ * @param {string} verifier - Wallet address of a verifier holding the verifier role
+ * @returns {Promise<Object>} Verification request
+ */
+export const assignVerifier = async (id, verifier) => {
+  try {
+    const response = await api.post(API_ENDPOINTS.VERIFICATIONS.ASSIGN(id), { verifier });
+    return response.data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to assign verifier');
+  }
+};
+
+/**
+ * Submit the report of an assigned verification
+ * @param {string} id - Verification request ID
+ * @param {Object} report - Verification report
+ * @param {string} report.decision - approve or reject
+ * @param {Array<Object>} report.checklist - Items, each with item, passed and optional notes
+ * @param {Array<string>} [report.evidenceCids] - CIDs of the evidence
+ * @param {string} [report.summary] - Summary of the findings
+ * @returns {Promise<Object>} Completed verification request
+ */
+export const submitReport = async (id, report) => {
+  try {
+    const response = await api.post(API_ENDPOINTS.VERIFICATIONS.REPORT(id), report);
+    return response.data;
+  } catch (error) {
+    throw new Error(error.message || 'Failed to submit verification report');
+  }
+};
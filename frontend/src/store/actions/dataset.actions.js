@@ -6,6 +6,7 @@ import {
   setError, 
   setDatasets, 
   setCurrentDataset, 
+  setCreation, 
   addDataset, 
   updateDataset, 
   removeDataset 
@@ -53,18 +54,24 @@ export const getDatasetById = createAsyncThunk(
   }
 );
 
-// Create dataset
+// Create dataset; the creation state is kept up to date until the pipeline ends
 export const createDataset = createAsyncThunk(
   'dataset/createDataset',
   async (datasetData, { dispatch, rejectWithValue }) => {
     try {
       dispatch(setSubmitting(true));
       
-      const result = await datasetService.createDataset(datasetData);
+      const { data: started } = await datasetService.createDataset(datasetData);
+      dispatch(setCreation(started));
       
-      dispatch(addDataset(result));
+      const creation = await datasetService.waitForDatasetCreation(started.id, {
+        onStatus: (status) => dispatch(setCreation(status))
+      });
+      const dataset = await datasetService.getCreatedDataset(creation);
       
-      return result;
+      dispatch(addDataset(dataset));
+      
+      return dataset;
     } catch (error) {
       dispatch(setError(error.message));
       return rejectWithValue(error.message);
@@ -148,27 +155,6 @@ export const uploadDatasetFiles = createAsyncThunk(
       
       dispatch(updateDataset(result));
       
-      return result;
-    } catch (error) {
-      dispatch(setError(error.message));
-      return rejectWithValue(error.message);
-    } finally {
-      dispatch(setSubmitting(false));
-    }
-  }
-);
-
-// Verify dataset
-export const verifyDataset = createAsyncThunk(
-  'dataset/verifyDataset',
-  async (id, { dispatch, rejectWithValue }) => {
-    try {
-      dispatch(setSubmitting(true));
-      
-      const result = await datasetService.verifyDataset(id);
-      
-      dispatch(updateDataset(result));
-      
       return result;
     } catch (error) {
       dispatch(setError(error.message));
@@ -3,6 +3,7 @@ import { createSlice } from '@reduxjs/toolkit';
 const initialState = {
   datasets: [],
   currentDataset: null,
+  creation: null,
   loading: false,
   submitting: false,
   error: null,
@@ -34,6 +35,9 @@ export const datasetSlice = createSlice({
     setCurrentDataset: (state, action) => {
       state.currentDataset = action.payload;
     },
+    setCreation: (state, action) => {
+      state.creation = action.payload;
+    },
     setFilters: (state, action) => {
       state.filters = { ...state.filters, ...action.payload };
     },
@@ -71,6 +75,7 @@ export const {
   setError,
   setDatasets,
   setCurrentDataset,
+  setCreation,
   setFilters,
   resetFilters,
   addDataset,
@@ -0,0 +1,53 @@
+import { ethers } from 'ethers';
+
+/**
+ * Build a Sign-In with Ethereum (EIP-4361) message; the backend parses the same format
+ * @param {Object} fields Message fields issued with the challenge
+ * @param {string} fields.domain Domain requesting the sign-in
+ * @param {string} fields.address Signing address
+ * @param {string} [fields.statement] Statement the user agrees to
+ * @param {string} fields.uri URI the session is for
+ * @param {string} [fields.version] Message version
+ * @param {number} fields.chainId Chain the session is bound to
+ * @param {string} fields.nonce Server-issued nonce
+ * @param {string} fields.issuedAt ISO 8601 issue time
+ * @param {string} [fields.expirationTime] ISO 8601 expiry time
+ * @returns {string} Message to sign
+ */
+export const buildSiweMessage = (fields) => {
+  const lines = [
+    `${fields.domain} wants you to sign in with your Ethereum account:`,
+    ethers.utils.getAddress(fields.address),
+    '',
+    ...(fields.statement ? [fields.statement, ''] : ['']),
+    `URI: ${fields.uri}`,
+    `Version: ${fields.version || '1'}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  ];
+  
+  if (fields.expirationTime) {
+    lines.push(`Expiration Time: ${fields.expirationTime}`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Check that a challenge was issued for this site before signing it,
+ * so a compromised API cannot get a sign-in for another domain signed here
+ * @param {Object} challenge Challenge fields
+ * @param {string} address Connected wallet address
+ * @param {number} chainId Connected chain ID
+ */
+export const checkSiweChallenge = (challenge, address, chainId) => {
+  if (challenge.domain !== window.location.host) {
+    throw new Error(`Sign-in request is for ${challenge.domain}, not ${window.location.host}`);
+  }
+  if (challenge.address.toLowerCase() !== address.toLowerCase()) {
+    throw new Error('Sign-in request is for another wallet');
+  }
+  if (Number(challenge.chainId) !== Number(chainId)) {
+    throw new Error(`Sign-in request is for chain ${challenge.chainId}; switch your wallet to that network`);
+  }
+};
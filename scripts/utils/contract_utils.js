@@ -39,6 +39,7 @@ async function saveDeployment(contractName, contractAddress, args = []) {
   deployments[networkName][contractName] = {
     address: contractAddress,
     args: args,
+    blockNumber: await ethers.provider.getBlockNumber(), // Where the event indexer starts scanning
     timestamp: Date.now()
   };
   
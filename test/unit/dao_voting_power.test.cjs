@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("DataDAO voting power", function() {
+  let dataDAO;
+  let owner, member1, member2;
+  
+  const votingPeriod = 7 * 24 * 60 * 60; // 7 days in seconds
+  
+  beforeEach(async function() {
+    [owner, member1, member2] = await ethers.getSigners();
+    
+    // Minimum proposal power of 10, quorum of 40%
+    const DataDAO = await ethers.getContractFactory("DataDAO");
+    dataDAO = await DataDAO.deploy(10, 4000);
+    await dataDAO.waitForDeployment();
+  });
+  
+  describe("getVotingPower", function() {
+    it("should give the deployer the initial voting power", async function() {
+      expect(await dataDAO.getVotingPower(owner.address)).to.equal(100);
+      expect(await dataDAO.getVotingPower(member1.address)).to.equal(0);
+    });
+    
+    it("should return the power assigned to an account", async function() {
+      await dataDAO.assignVotingPower(member1.address, 25);
+      
+      expect(await dataDAO.getVotingPower(member1.address)).to.equal(25);
+    });
+    
+    it("should only let DAO admins assign voting power", async function() {
+      await expect(
+        dataDAO.connect(member1).assignVotingPower(member1.address, 25)
+      ).to.be.reverted;
+      
+      expect(await dataDAO.getVotingPower(member1.address)).to.equal(0);
+    });
+  });
+  
+  describe("getTotalVotingPower", function() {
+    it("should start at the deployer's voting power", async function() {
+      expect(await dataDAO.getTotalVotingPower()).to.equal(100);
+    });
+    
+    it("should follow assignments and reassignments", async function() {
+      await dataDAO.assignVotingPower(member1.address, 25);
+      await dataDAO.assignVotingPower(member2.address, 50);
+      expect(await dataDAO.getTotalVotingPower()).to.equal(175);
+      
+      // Reassigning replaces the account's power rather than adding to it
+      await dataDAO.assignVotingPower(member1.address, 5);
+      expect(await dataDAO.getTotalVotingPower()).to.equal(155);
+      
+      await dataDAO.assignVotingPower(member2.address, 0);
+      expect(await dataDAO.getTotalVotingPower()).to.equal(105);
+    });
+  });
+  
+  describe("Voting", function() {
+    it("should weight votes by the voter's power", async function() {
+      await dataDAO.assignVotingPower(member1.address, 25);
+      await dataDAO.createProposal("Raise fee", "Raise the platform fee", "0x", votingPeriod);
+      
+      await dataDAO.connect(member1).castVote(1, true);
+      await dataDAO.castVote(1, false);
+      
+      const [forVotes, againstVotes, totalVotes] = await dataDAO.getVotingResults(1);
+      expect(forVotes).to.equal(25);
+      expect(againstVotes).to.equal(100);
+      expect(totalVotes).to.equal(125);
+    });
+    
+    it("should not let accounts without voting power propose or vote", async function() {
+      await expect(
+        dataDAO.connect(member1).createProposal("Raise fee", "Raise the platform fee", "0x", votingPeriod)
+      ).to.be.revertedWith("DataDAO: Insufficient voting power");
+      
+      await dataDAO.createProposal("Raise fee", "Raise the platform fee", "0x", votingPeriod);
+      await expect(
+        dataDAO.connect(member1).castVote(1, true)
+      ).to.be.revertedWith("DataDAO: No voting power");
+    });
+  });
+});